@@ -1,5 +1,7 @@
  
 import React, { useState, useCallback, useMemo } from "https://esm.sh/react@18";
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
+import { QUEST_STATES } from '../../engine/QuestManager.js';
 
 /**
  * ConditionBuilder.js - Visual condition creation component
@@ -15,9 +17,19 @@ import React, { useState, useCallback, useMemo } from "https://esm.sh/react@18";
  * - ConditionParser: Uses existing condition evaluation
  * - StatsManager: Provides available stats for conditions
  * - InventoryManager: Provides available items for conditions
+ * - PlayerProfile: meta flag, ending, playthrough and achievement conditions (across playthroughs)
+ * - StatusEffectManager: has_status conditions on active buffs and debuffs
+ * - CharacterManager: character_stat conditions on a character's relationship stats
+ * - QuestManager: quest_state conditions on a quest or one of its objectives
  * - Editor dialogs: Scene and choice editing integration
  */
 
+// Player profile, equipment, crafting and status conditions that hold or don't (compared with true / false)
+const BOOLEAN_TYPES = ['meta_flag', 'ending_seen', 'achievement_unlocked', 'item_equipped', 'can_craft', 'has_status'];
+
+// Conditions compared with a number
+const NUMERIC_TYPES = ['stat', 'playthrough_count', 'slot_filled', 'crafted_count', 'character_stat'];
+
 export default function ConditionBuilder({ 
   conditions = [], 
   onConditionsChange, 
@@ -25,6 +37,13 @@ export default function ConditionBuilder({
   availableFlags = [],
   availableItems = [],
   availableScenes = [],
+  availableMetaFlags = [],
+  availableAchievements = [],
+  availableEquipmentSlots = [],
+  availableRecipes = [],
+  availableStatusEffects = [],
+  availableCharacters = [],
+  availableQuests = [],
   className = '',
   disabled = false,
   onInlineAddFlag = null 
@@ -267,6 +286,13 @@ export default function ConditionBuilder({
             availableFlags,
             availableItems,
             availableScenes,
+            availableMetaFlags,
+            availableAchievements,
+            availableEquipmentSlots,
+            availableRecipes,
+            availableStatusEffects,
+            availableCharacters,
+            availableQuests,
             onUpdate: (updates) => handleConditionUpdate(index, updates),
             onDelete: () => handleConditionDelete(index),
             onDragStart: handleDragStart,
@@ -301,6 +327,13 @@ function ConditionItem({
   availableFlags,
   availableItems,
   availableScenes,
+  availableMetaFlags,
+  availableAchievements,
+  availableEquipmentSlots,
+  availableRecipes,
+  availableStatusEffects,
+  availableCharacters,
+  availableQuests,
   onUpdate, 
   onDelete,
   onDragStart,
@@ -325,15 +358,52 @@ function ConditionItem({
         ];
       case 'scene_visited':
         return availableScenes.map(scene => ({ value: scene.id, label: scene.title }));
+      case 'meta_flag':
+        return availableMetaFlags.map(flag => ({ value: flag.id, label: flag.name || flag.id }));
+      case 'ending_seen':
+        return availableScenes
+          .filter(scene => scene.isEnding === true || !scene.choices || scene.choices.length === 0)
+          .map(scene => ({ value: scene.id, label: scene.title || scene.id }));
+      case 'achievement_unlocked':
+        return availableAchievements.map(achievement => ({ value: achievement.id, label: achievement.name || achievement.id }));
+      case 'item_equipped':
+        return availableItems
+          .filter(item => item.slot)
+          .map(item => ({ value: item.id, label: item.name || item.id }));
+      case 'slot_filled':
+        return availableEquipmentSlots.map(slot => ({ value: slot.id, label: slot.name || slot.id }));
+      case 'can_craft':
+      case 'crafted_count':
+        return availableRecipes.map(recipe => ({ value: recipe.id, label: recipe.name || recipe.id }));
+      case 'has_status':
+        return availableStatusEffects.map(effect => ({ value: effect.id, label: effect.name || effect.id }));
+      case 'character_stat':
+        return availableCharacters.flatMap(character => (character.stats || []).filter(stat => stat?.id).map(stat => ({
+          value: `${character.id}.${stat.id}`,
+          label: `${character.name || character.id}: ${stat.name || stat.id}`
+        })));
+      case 'quest_state':
+        // The quest itself, then each of its objectives as 'questId.objectiveId'
+        return availableQuests.filter(quest => quest?.id).flatMap(quest => [
+          { value: quest.id, label: quest.name || quest.id },
+          ...(quest.objectives || []).filter(objective => objective?.id).map(objective => ({
+            value: `${quest.id}.${objective.id}`,
+            label: `${quest.name || quest.id}: ${objective.description || objective.id}`
+          }))
+        ]);
       default:
         return [];
     }
-  }, [availableStats, availableFlags, availableItems, availableScenes]);
+  }, [availableStats, availableFlags, availableItems, availableScenes, availableMetaFlags, availableAchievements, availableEquipmentSlots, availableRecipes, availableStatusEffects, availableCharacters, availableQuests]);
 
   // Get available operators based on condition type
   const getAvailableOperators = useCallback((type) => {
     switch (type) {
       case 'stat':
+      case 'playthrough_count':
+      case 'slot_filled':
+      case 'crafted_count':
+      case 'character_stat':
         return [
           { value: 'eq', label: '=' },
           { value: 'ne', label: '≠' },
@@ -344,6 +414,13 @@ function ConditionItem({
         ];
       case 'flag':
       case 'scene_visited':
+      case 'meta_flag':
+      case 'ending_seen':
+      case 'achievement_unlocked':
+      case 'item_equipped':
+      case 'can_craft':
+      case 'has_status':
+      case 'quest_state':
         return [
           { value: 'eq', label: '=' },
           { value: 'ne', label: '≠' }
@@ -387,23 +464,44 @@ function ConditionItem({
           }, 'Type'),
           React.createElement('select', {
             value: condition.type,
-            onChange: (e) => onUpdate({ 
-              type: e.target.value, 
-              key: '',
-              operator: getAvailableOperators(e.target.value)[0]?.value || 'eq',
-              value: ''
-            }),
+            onChange: (e) => onUpdate(e.target.value === 'expression'
+              // Expression conditions are self-contained; leave operator empty so the result is used directly
+              ? { type: 'expression', expression: condition.expression || '', key: '', operator: '', value: '' }
+              : { 
+                type: e.target.value, 
+                key: '',
+                operator: getAvailableOperators(e.target.value)[0]?.value || 'eq',
+                value: BOOLEAN_TYPES.includes(e.target.value) ? true : (e.target.value === 'quest_state' ? 'active' : '')
+              }),
             className: 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
           },
             React.createElement('option', { value: 'stat' }, 'Stat'),
             React.createElement('option', { value: 'flag' }, 'Flag'),
             React.createElement('option', { value: 'inventory' }, 'Inventory'),
-            React.createElement('option', { value: 'scene_visited' }, 'Scene Visited')
+            React.createElement('option', { value: 'scene_visited' }, 'Scene Visited'),
+            React.createElement('option', { value: 'expression' }, 'Expression'),
+            React.createElement('option', { value: 'meta_flag' }, 'Meta Flag (any playthrough)'),
+            React.createElement('option', { value: 'ending_seen' }, 'Ending Seen'),
+            React.createElement('option', { value: 'playthrough_count' }, 'Playthroughs Completed'),
+            React.createElement('option', { value: 'achievement_unlocked' }, 'Achievement Unlocked'),
+            React.createElement('option', { value: 'item_equipped' }, 'Item Equipped'),
+            React.createElement('option', { value: 'slot_filled' }, 'Items in Equipment Slot'),
+            React.createElement('option', { value: 'can_craft' }, 'Can Craft Recipe'),
+            React.createElement('option', { value: 'crafted_count' }, 'Times Recipe Crafted'),
+            React.createElement('option', { value: 'has_status' }, 'Has Status Effect'),
+            React.createElement('option', { value: 'character_stat' }, 'Character Stat'),
+            React.createElement('option', { value: 'quest_state' }, 'Quest State')
           )
         ),
 
-        // Key selection
-        React.createElement('div', null,
+        // Expression input (replaces property/operator/value)
+        condition.type === 'expression' && React.createElement(ExpressionField, {
+          expression: condition.expression || '',
+          onChange: (expression) => onUpdate({ expression })
+        }),
+
+        // Key selection (playthrough_count has none)
+        condition.type !== 'expression' && condition.type !== 'playthrough_count' && React.createElement('div', null,
           React.createElement('label', {
             className: 'block text-sm font-medium text-gray-700 mb-1'
           }, 'Property'),
@@ -460,7 +558,7 @@ function ConditionItem({
         ),
 
         // Operator selection
-        React.createElement('div', null,
+        condition.type !== 'expression' && React.createElement('div', null,
           React.createElement('label', {
             className: 'block text-sm font-medium text-gray-700 mb-1'
           }, 'Operator'),
@@ -479,11 +577,11 @@ function ConditionItem({
         ),
 
         // Value input
-        React.createElement('div', null,
+        condition.type !== 'expression' && React.createElement('div', null,
           React.createElement('label', {
             className: 'block text-sm font-medium text-gray-700 mb-1'
           }, 'Value'),
-          condition.type === 'flag' ?
+          condition.type === 'flag' || BOOLEAN_TYPES.includes(condition.type) ?
             React.createElement('select', {
               value: condition.value,
               onChange: (e) => onUpdate({ value: e.target.value === 'true' }),
@@ -492,6 +590,16 @@ function ConditionItem({
               React.createElement('option', { value: 'true' }, 'True'),
               React.createElement('option', { value: 'false' }, 'False')
             ) :
+            condition.type === 'quest_state' ?
+              React.createElement('select', {
+                value: condition.value,
+                onChange: (e) => onUpdate({ value: e.target.value }),
+                className: 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+              },
+                QUEST_STATES.map(state =>
+                  React.createElement('option', { key: state, value: state }, state.charAt(0).toUpperCase() + state.slice(1))
+                )
+              ) :
             condition.type === 'inventory' && condition.key === 'has_item' ?
               React.createElement('select', {
                 value: condition.value,
@@ -521,10 +629,10 @@ function ConditionItem({
                   )
                 ) :
                 React.createElement('input', {
-                  type: condition.type === 'stat' ? 'number' : 'text',
+                  type: NUMERIC_TYPES.includes(condition.type) ? 'number' : 'text',
                   value: condition.value,
                   onChange: (e) => onUpdate({ 
-                    value: condition.type === 'stat' ? Number(e.target.value) : e.target.value 
+                    value: NUMERIC_TYPES.includes(condition.type) ? Number(e.target.value) : e.target.value 
                   }),
                   placeholder: 'Enter value',
                   className: 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
@@ -562,6 +670,31 @@ function ConditionItem({
   );
 }
 
+// Free-form expression input with inline syntax feedback
+function ExpressionField({ expression, onChange }) {
+  const validation = useMemo(() => (
+    expression.trim() ? ExpressionEvaluator.validate(expression) : { valid: true }
+  ), [expression]);
+
+  return React.createElement('div', { className: 'md:col-span-3' },
+    React.createElement('label', {
+      className: 'block text-sm font-medium text-gray-700 mb-1'
+    }, 'Expression'),
+    React.createElement('input', {
+      type: 'text',
+      value: expression,
+      onChange: (e) => onChange(e.target.value),
+      placeholder: 'e.g. strength + agility * 2 >= 15 && !flag.cursed',
+      className: `w-full px-3 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${validation.valid ? 'border-gray-300' : 'border-red-400'}`
+    }),
+    React.createElement('p', {
+      className: `mt-1 text-xs ${validation.valid ? 'text-gray-500' : 'text-red-600'}`
+    }, validation.valid
+      ? 'Use stat names, flag.id, item.id, visited.sceneId, visits.sceneId, choice.choiceId; && || ! and arithmetic.'
+      : validation.error)
+  );
+}
+
 // Helper functions
 export function generateConditionId() {
   return 'condition_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5);
@@ -578,6 +711,14 @@ export function formatConditionPreview(condition) {
   };
 
   const operator = operatorLabels[condition.operator] || condition.operator;
+
+  if (condition.type === 'expression') {
+    try {
+      return ExpressionEvaluator.describe(condition.expression);
+    } catch (error) {
+      return `Invalid expression: ${error.message}`;
+    }
+  }
   
   if (condition.type === 'inventory' && condition.key === 'has_item') {
     return `Player has item "${condition.value}"`;
@@ -591,5 +732,34 @@ export function formatConditionPreview(condition) {
     return `Flag "${condition.key}" is ${condition.value}`;
   }
 
+  if (condition.type === 'item_equipped') {
+    return `Item "${condition.key}" is ${condition.value === false ? 'not ' : ''}equipped`;
+  }
+
+  if (condition.type === 'slot_filled') {
+    return `Items in slot "${condition.key}" ${operator} ${condition.value}`;
+  }
+
+  if (condition.type === 'can_craft') {
+    return `Recipe "${condition.key}" can ${condition.value === false ? 'not ' : ''}be crafted`;
+  }
+
+  if (condition.type === 'crafted_count') {
+    return `Recipe "${condition.key}" crafted ${operator} ${condition.value} times`;
+  }
+
+  if (condition.type === 'has_status') {
+    return `Status "${condition.key}" is ${condition.value === false ? 'not ' : ''}active`;
+  }
+
+  if (condition.type === 'character_stat') {
+    return `Character stat "${condition.key}" ${operator} ${condition.value}`;
+  }
+
+  if (condition.type === 'quest_state') {
+    const what = String(condition.key || '').includes('.') ? 'Objective' : 'Quest';
+    return `${what} "${condition.key}" is ${condition.operator === 'ne' ? 'not ' : ''}${condition.value}`;
+  }
+
   return `${condition.key} ${operator} ${condition.value}`;
 }
\ No newline at end of file
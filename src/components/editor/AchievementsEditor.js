@@ -1,6 +1,7 @@
 // AchievementsEditor.js - Manage adventure achievements with conditions
 import React, { useMemo, useState, useCallback, useEffect } from "https://esm.sh/react@18";
 import ConditionBuilder from '../common/ConditionBuilder.js';
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
 
 export default function AchievementsEditor({
   achievements = [],
@@ -11,6 +12,12 @@ export default function AchievementsEditor({
   availableFlags = [],
   availableItems = [],
   availableScenes = [],
+  availableMetaFlags = [],
+  availableEquipmentSlots = [],
+  availableRecipes = [],
+  availableStatusEffects = [],
+  availableCharacters = [],
+  availableQuests = [],
   onInlineAddFlag = null,
   className = ''
 }) {
@@ -74,6 +81,11 @@ export default function AchievementsEditor({
     if (!ach.id || !ach.id.trim()) errs.push('ID is required.');
     if (!ach.name || !ach.name.trim()) errs.push('Name is required.');
     if (others.some(o => o.id === ach.id)) errs.push('ID must be unique.');
+    if (ach.counter) {
+      const check = ExpressionEvaluator.validate(ach.counter.expression || '');
+      if (!check.valid) errs.push(`Counter expression: ${check.error}`);
+      if (!(Number(ach.counter.target) > 0)) errs.push('Counter target must be greater than 0.');
+    }
     return errs;
   }, []);
 
@@ -204,6 +216,25 @@ export default function AchievementsEditor({
               })
             ]),
 
+            // Counter: progress toward a target, e.g. "stat.kills" reaching 10
+            React.createElement('div', { key: 'counter' }, [
+              React.createElement('h3', { key: 'title', className: 'text-sm font-medium text-gray-900 mb-2' }, 'Progress Counter'),
+              React.createElement('div', { key: 'fields', className: 'grid grid-cols-3 gap-4' }, [
+                React.createElement('div', { key: 'expression', className: 'col-span-2' },
+                  React.createElement(Field, {
+                    label: 'Counts (expression)', value: editing.counter?.expression || '',
+                    onChange: (v) => setEditing(prev => ({ ...prev, counter: v.trim() ? { target: 1, ...prev.counter, expression: v } : undefined }))
+                  })
+                ),
+                React.createElement(NumberField, {
+                  key: 'target', label: 'Target', value: editing.counter?.target ?? 1, min: 1,
+                  onChange: (v) => setEditing(prev => (prev.counter ? { ...prev, counter: { ...prev.counter, target: v } } : prev))
+                })
+              ]),
+              React.createElement('p', { key: 'help', className: 'text-xs text-gray-500 mt-1' },
+                'Optional. e.g. stat.kills or visits.tavern + item.coin; unlocks when the value reaches the target and the conditions hold.')
+            ]),
+
             // Conditions
             React.createElement('div', { key: 'conditions' }, [
               React.createElement('h3', { className: 'text-sm font-medium text-gray-900 mb-2' }, 'Unlock Conditions'),
@@ -214,6 +245,13 @@ export default function AchievementsEditor({
                 availableFlags,
                 availableItems,
                 availableScenes,
+                availableMetaFlags,
+                availableAchievements: achievements.filter(a => a.id !== editing.id),
+                availableEquipmentSlots,
+                availableRecipes,
+                availableStatusEffects,
+                availableCharacters,
+                availableQuests,
                 onInlineAddFlag
               })
             ]),
@@ -18,10 +18,13 @@ const DEFAULT_CHOICE = {
   id: '',
   text: '',
   targetSceneId: '',
+  randomBranches: [],
   isHidden: false,
   isSecret: false,
   isLocked: false,
   isFake: false,
+  isCall: false,
+  isReturn: false,
   inputType: 'static',
   inputConfig: {},
   conditions: [],
@@ -46,8 +49,15 @@ export function AdvancedChoiceDialog({
   availableScenes = [],
   existingChoices = [],
   onInlineAddFlag = null,
-  availableAchievements = [],
-  isChoiceScriptMode = false
+  availableAchievements = [],
+  availableMetaFlags = [],
+  onDeclareMetaFlag = null,
+  availableEquipmentSlots = [],
+  availableRecipes = [],
+  availableStatusEffects = [],
+  availableCharacters = [],
+  availableQuests = [],
+  isChoiceScriptMode = false
 }) {
   const [choiceData, setChoiceData] = useState({ ...DEFAULT_CHOICE, id: generateChoiceId(), inputConfig: {} });
   const [activeTab, setActiveTab] = useState('basic');
@@ -265,6 +275,13 @@ export function AdvancedChoiceDialog({
           availableFlags,
           availableItems,
           availableScenes,
+          availableMetaFlags,
+          availableAchievements,
+          availableEquipmentSlots,
+          availableRecipes,
+          availableStatusEffects,
+          availableCharacters,
+          availableQuests,
           onInlineAddFlag
         }),
         activeTab === 'requirements' && renderRequirementsTab({
@@ -274,6 +291,11 @@ export function AdvancedChoiceDialog({
           availableFlags,
           availableItems,
           availableScenes,
+          availableEquipmentSlots,
+          availableRecipes,
+          availableStatusEffects,
+          availableCharacters,
+          availableQuests,
           onInlineAddFlag
         }),
         activeTab === 'actions' && renderActionsTab({
@@ -282,6 +304,13 @@ export function AdvancedChoiceDialog({
           availableFlags,
           availableItems,
           availableAchievements,
+          availableMetaFlags,
+          availableRecipes,
+          availableScenes,
+          availableStatusEffects,
+          availableCharacters,
+          availableQuests,
+          onDeclareMetaFlag,
           onInlineAddFlag,
           addAction,
           updateAction,
@@ -329,7 +358,62 @@ function renderBasicTab({ choiceData, availableScenes, handleFieldChange }) {
           placeholder: 'Tooltip or additional metadata'
         })
       ])
-    ])
+    ]),
+
+    renderRandomBranches({ choiceData, availableScenes, handleFieldChange })
+  ]);
+}
+
+function renderRandomBranches({ choiceData, availableScenes, handleFieldChange }) {
+  const branches = Array.isArray(choiceData.randomBranches) ? choiceData.randomBranches : [];
+  const totalWeight = branches.reduce((sum, branch) => sum + Math.max(0, Number(branch.weight ?? 1) || 0), 0);
+  const updateBranch = (index, updates) => {
+    handleFieldChange('randomBranches', branches.map((branch, i) => i === index ? { ...branch, ...updates } : branch));
+  };
+
+  return React.createElement('div', { key: 'random-branches', className: 'space-y-2' }, [
+    React.createElement('div', { key: 'header', className: 'flex items-center justify-between' }, [
+      React.createElement('div', { key: 'title' }, [
+        React.createElement('label', { className: 'block text-sm font-medium text-gray-700' }, 'Random Branches (optional)'),
+        React.createElement('p', { className: 'text-xs text-gray-500' }, 'Pick a destination at random by weight. The target scene above is used when no branch is eligible.')
+      ]),
+      React.createElement('button', {
+        key: 'add',
+        className: 'px-3 py-1 text-sm border rounded-md hover:bg-gray-100',
+        onClick: () => handleFieldChange('randomBranches', [...branches, { targetSceneId: '', weight: 1 }])
+      }, 'Add branch')
+    ]),
+    ...branches.map((branch, index) => React.createElement('div', {
+      key: `branch-${index}`,
+      className: 'grid grid-cols-12 gap-2 items-center'
+    }, [
+      React.createElement('select', {
+        key: 'target',
+        value: branch.targetSceneId || '',
+        onChange: (e) => updateBranch(index, { targetSceneId: e.target.value }),
+        className: 'col-span-7 border rounded-md px-2 py-1 text-sm'
+      }, [
+        React.createElement('option', { key: 'empty', value: '' }, 'Select scene...'),
+        ...availableScenes.map(scene => React.createElement('option', { key: scene.id, value: scene.id }, scene.title || scene.id))
+      ]),
+      React.createElement('input', {
+        key: 'weight',
+        type: 'number',
+        min: 0,
+        step: 1,
+        value: branch.weight ?? 1,
+        onChange: (e) => updateBranch(index, { weight: e.target.value === '' ? 0 : Number(e.target.value) }),
+        className: 'col-span-2 border rounded-md px-2 py-1 text-sm',
+        title: 'Weight'
+      }),
+      React.createElement('span', { key: 'chance', className: 'col-span-2 text-xs text-gray-500' },
+        totalWeight > 0 ? `${Math.round((Math.max(0, Number(branch.weight ?? 1) || 0) / totalWeight) * 100)}%` : '0%'),
+      React.createElement('button', {
+        key: 'remove',
+        className: 'col-span-1 text-red-600 hover:text-red-800 text-sm',
+        onClick: () => handleFieldChange('randomBranches', branches.filter((_, i) => i !== index))
+      }, '×')
+    ]))
   ]);
 }
 
@@ -353,7 +437,9 @@ function renderBehaviorTab({
       renderToggle('Hide by default', 'isHidden', choiceData.isHidden, handleToggle('isHidden'), 'Hidden choices require conditions to become visible.', toggleDisabled),
       renderToggle('Secret choice', 'isSecret', choiceData.isSecret, handleToggle('isSecret'), 'Secret choices auto-hide until discovered.', toggleDisabled),
       renderToggle('Locked choice', 'isLocked', choiceData.isLocked, handleToggle('isLocked'), 'Locked choices remain visible but unselectable until requirements are met.', toggleDisabled),
-      renderToggle('Fake choice (no branching)', 'isFake', choiceData.isFake, handleToggle('isFake'), 'Fake choices continue within the same scene and ignore target scene.', false)
+      renderToggle('Fake choice (no branching)', 'isFake', choiceData.isFake, handleToggle('isFake'), 'Fake choices continue within the same scene and ignore target scene.', false),
+      renderToggle('Call scene (tunnel)', 'isCall', choiceData.isCall, handleToggle('isCall'), 'Enters the target scene; a return choice there comes back to this scene.', toggleDisabled),
+      renderToggle('Return to caller', 'isReturn', choiceData.isReturn, handleToggle('isReturn'), 'Goes back to the scene that called this one. The target scene is only used when nothing did.', toggleDisabled)
     ]),
 
     React.createElement('div', { key: 'input-type' }, [
@@ -417,6 +503,13 @@ function renderConditionsTab({
   availableFlags,
   availableItems,
   availableScenes,
+  availableMetaFlags,
+  availableAchievements,
+  availableEquipmentSlots,
+  availableRecipes,
+  availableStatusEffects,
+  availableCharacters,
+  availableQuests,
   onInlineAddFlag
 }) {
   return React.createElement('div', { className: 'space-y-6' }, [
@@ -430,6 +523,13 @@ function renderConditionsTab({
         availableFlags,
         availableItems,
         availableScenes,
+        availableMetaFlags,
+        availableAchievements,
+        availableEquipmentSlots,
+        availableRecipes,
+        availableStatusEffects,
+        availableCharacters,
+        availableQuests,
         onInlineAddFlag
       })
     ]),
@@ -443,6 +543,13 @@ function renderConditionsTab({
         availableFlags,
         availableItems,
         availableScenes,
+        availableMetaFlags,
+        availableAchievements,
+        availableEquipmentSlots,
+        availableRecipes,
+        availableStatusEffects,
+        availableCharacters,
+        availableQuests,
         onInlineAddFlag
       })
     ])
@@ -456,6 +563,11 @@ function renderRequirementsTab({
   availableFlags,
   availableItems,
   availableScenes,
+  availableEquipmentSlots,
+  availableRecipes,
+  availableStatusEffects,
+  availableCharacters,
+  availableQuests,
   onInlineAddFlag
 }) {
   return React.createElement('div', { className: 'space-y-3' }, [
@@ -467,6 +579,11 @@ function renderRequirementsTab({
       availableFlags,
       availableItems,
       availableScenes,
+      availableEquipmentSlots,
+      availableRecipes,
+      availableStatusEffects,
+      availableCharacters,
+      availableQuests,
       onInlineAddFlag
     })
   ]);
@@ -478,6 +595,13 @@ function renderActionsTab({
   availableFlags,
   availableItems,
   availableAchievements,
+  availableMetaFlags,
+  availableRecipes,
+  availableScenes,
+  availableStatusEffects,
+  availableCharacters,
+  availableQuests,
+  onDeclareMetaFlag,
   onInlineAddFlag,
   addAction,
   updateAction,
@@ -505,8 +629,8 @@ function renderActionsTab({
             className: 'w-full border rounded-md px-2 py-1 text-sm'
           }, ACTION_OPTIONS.map(item => React.createElement('option', { key: item.value, value: item.value }, item.label)))
         ]),
-        renderActionTargetField(action, index, updateAction, availableStats, availableFlags, availableItems, availableAchievements, onInlineAddFlag),
-        renderActionValueField(action, index, updateAction)
+        renderActionTargetField(action, index, updateAction, availableStats, availableFlags, availableItems, availableAchievements, onInlineAddFlag, availableMetaFlags, onDeclareMetaFlag, availableRecipes, availableScenes, availableStatusEffects, availableCharacters, availableQuests),
+        renderActionValueField(action, index, updateAction, availableFlags)
       ]),
       React.createElement('div', { key: 'row-2', className: 'flex justify-between items-center text-xs text-gray-500' }, [
         React.createElement('button', {
@@ -603,11 +727,50 @@ const ACTION_OPTIONS = [
   { value: 'add_inventory', label: 'Add item' },
   { value: 'remove_inventory', label: 'Remove item' },
   { value: 'set_inventory', label: 'Set inventory quantity' },
-  { value: 'add_achievement', label: 'Unlock achievement' }
+  { value: 'equip_item', label: 'Equip item' },
+  { value: 'unequip_item', label: 'Unequip item' },
+  { value: 'craft', label: 'Craft recipe' },
+  { value: 'buy_item', label: "Buy item (this scene's shop)" },
+  { value: 'sell_item', label: "Sell item (this scene's shop)" },
+  { value: 'add_achievement', label: 'Unlock achievement' },
+  { value: 'go_to_scene', label: 'Go to scene (instead of the target)' },
+  { value: 'add_status', label: 'Apply status effect' },
+  { value: 'cure_status', label: 'Cure status effect' },
+  { value: 'character_stat', label: 'Change character stat' },
+  { value: 'start_quest', label: 'Start quest' },
+  { value: 'complete_objective', label: 'Complete quest objective' },
+  { value: 'fail_quest', label: 'Fail quest' },
+  { value: 'roll', label: 'Roll dice into stat' },
+  { value: 'set_meta_flag', label: 'Set meta flag (kept across playthroughs)' }
 ];
 
-function renderActionTargetField(action, index, updateAction, availableStats, availableFlags, availableItems, availableAchievements, onInlineAddFlag) {
+function renderActionTargetField(action, index, updateAction, availableStats, availableFlags, availableItems, availableAchievements, onInlineAddFlag, availableMetaFlags = [], onDeclareMetaFlag = null, availableRecipes = [], availableScenes = [], availableStatusEffects = [], availableCharacters = [], availableQuests = []) {
   switch (action.type) {
+    case 'set_meta_flag': {
+      const declared = availableMetaFlags.some(flag => flag.id === action.key);
+      return React.createElement('div', { key: 'meta-flag', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Meta flag'),
+        React.createElement('div', { className: 'flex space-x-2' }, [
+          React.createElement('input', {
+            type: 'text',
+            value: action.key || '',
+            list: `meta-flags-${index}`,
+            onChange: (e) => updateAction(index, { key: e.target.value.trim() }),
+            placeholder: 'e.g. met_the_oracle',
+            className: 'flex-1 border rounded px-2 py-1 text-sm'
+          }),
+          React.createElement('datalist', { id: `meta-flags-${index}` },
+            availableMetaFlags.map(flag => React.createElement('option', { key: flag.id, value: flag.id }, flag.name || flag.id))
+          ),
+          typeof onDeclareMetaFlag === 'function' && action.key && !declared && React.createElement('button', {
+            key: 'declare-meta-flag',
+            className: 'px-2 py-1 text-xs border rounded text-green-700 border-green-400 hover:bg-green-50',
+            title: 'Declare this meta flag in the adventure',
+            onClick: () => onDeclareMetaFlag(action.key)
+          }, '+')
+        ])
+      ]);
+    }
     case 'set_flag':
     case 'toggle_flag':
       return React.createElement('div', { key: 'flag', className: 'flex flex-col space-y-1' }, [
@@ -631,6 +794,8 @@ function renderActionTargetField(action, index, updateAction, availableStats, av
     case 'add_inventory':
     case 'remove_inventory':
     case 'set_inventory':
+    case 'buy_item':
+    case 'sell_item':
       return React.createElement('div', { key: 'inventory', className: 'flex flex-col space-y-1' }, [
         React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Item'),
         React.createElement('select', {
@@ -642,6 +807,99 @@ function renderActionTargetField(action, index, updateAction, availableStats, av
           ...availableItems.map(item => React.createElement('option', { key: item.id, value: item.id }, item.name || item.id))
         ])
       ]);
+    case 'equip_item':
+    case 'unequip_item':
+      return React.createElement('div', { key: 'equipment', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Item'),
+        React.createElement('select', {
+          value: action.key || '',
+          onChange: (e) => updateAction(index, { key: e.target.value }),
+          className: 'border rounded px-2 py-1 text-sm'
+        }, [
+          React.createElement('option', { key: 'empty', value: '' }, 'Select equippable item...'),
+          ...availableItems.filter(item => item.slot).map(item => React.createElement('option', { key: item.id, value: item.id }, `${item.name || item.id} (${item.slot})`))
+        ])
+      ]);
+    case 'craft':
+      return React.createElement('div', { key: 'recipe', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Recipe'),
+        React.createElement('select', {
+          value: action.key || '',
+          onChange: (e) => updateAction(index, { key: e.target.value }),
+          className: 'border rounded px-2 py-1 text-sm'
+        }, [
+          React.createElement('option', { key: 'empty', value: '' }, 'Select recipe...'),
+          ...availableRecipes.map(recipe => React.createElement('option', { key: recipe.id, value: recipe.id }, recipe.name || recipe.id))
+        ])
+      ]);
+    case 'go_to_scene':
+      return React.createElement('div', { key: 'scene', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Scene'),
+        React.createElement('select', {
+          value: action.key || '',
+          onChange: (e) => updateAction(index, { key: e.target.value }),
+          className: 'border rounded px-2 py-1 text-sm'
+        }, [
+          React.createElement('option', { key: 'empty', value: '' }, 'Select scene...'),
+          ...availableScenes.map(scene => React.createElement('option', { key: scene.id, value: scene.id }, scene.title || scene.id))
+        ])
+      ]);
+    case 'add_status':
+    case 'cure_status':
+      return React.createElement('div', { key: 'status', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Status effect'),
+        React.createElement('select', {
+          value: action.key || '',
+          onChange: (e) => updateAction(index, { key: e.target.value }),
+          className: 'border rounded px-2 py-1 text-sm'
+        }, [
+          React.createElement('option', { key: 'empty', value: '' }, 'Select status effect...'),
+          ...availableStatusEffects.map(effect => React.createElement('option', { key: effect.id, value: effect.id }, effect.name || effect.id))
+        ])
+      ]);
+    case 'character_stat':
+      return React.createElement('div', { key: 'character-stat', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Character stat'),
+        React.createElement('select', {
+          value: action.key || '',
+          onChange: (e) => updateAction(index, { key: e.target.value }),
+          className: 'border rounded px-2 py-1 text-sm'
+        }, [
+          React.createElement('option', { key: 'empty', value: '' }, 'Select character stat...'),
+          ...availableCharacters.flatMap(character => (character.stats || []).filter(stat => stat?.id).map(stat => React.createElement('option', {
+            key: `${character.id}.${stat.id}`,
+            value: `${character.id}.${stat.id}`
+          }, `${character.name || character.id}: ${stat.name || stat.id}`)))
+        ])
+      ]);
+    case 'start_quest':
+    case 'fail_quest':
+      return React.createElement('div', { key: 'quest', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Quest'),
+        React.createElement('select', {
+          value: action.key || '',
+          onChange: (e) => updateAction(index, { key: e.target.value }),
+          className: 'border rounded px-2 py-1 text-sm'
+        }, [
+          React.createElement('option', { key: 'empty', value: '' }, 'Select quest...'),
+          ...availableQuests.filter(quest => quest?.id).map(quest => React.createElement('option', { key: quest.id, value: quest.id }, quest.name || quest.id))
+        ])
+      ]);
+    case 'complete_objective':
+      return React.createElement('div', { key: 'objective', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Objective'),
+        React.createElement('select', {
+          value: action.key || '',
+          onChange: (e) => updateAction(index, { key: e.target.value }),
+          className: 'border rounded px-2 py-1 text-sm'
+        }, [
+          React.createElement('option', { key: 'empty', value: '' }, 'Select objective...'),
+          ...availableQuests.filter(quest => quest?.id).flatMap(quest => (quest.objectives || []).filter(objective => objective?.id).map(objective => React.createElement('option', {
+            key: `${quest.id}.${objective.id}`,
+            value: `${quest.id}.${objective.id}`
+          }, `${quest.name || quest.id}: ${objective.description || objective.id}`)))
+        ])
+      ]);
     case 'add_achievement':
       return React.createElement('div', { key: 'achievements', className: 'flex flex-col space-y-1' }, [
         React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Achievement'),
@@ -669,9 +927,48 @@ function renderActionTargetField(action, index, updateAction, availableStats, av
   }
 }
 
-function renderActionValueField(action, index, updateAction) {
+function renderActionValueField(action, index, updateAction, availableFlags = []) {
   switch (action.type) {
+    case 'roll':
+      return React.createElement('div', { key: 'value', className: 'md:col-span-2 grid grid-cols-3 gap-2' }, [
+        React.createElement('div', { key: 'dice', className: 'flex flex-col space-y-1' }, [
+          React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Dice'),
+          React.createElement('input', {
+            type: 'text',
+            value: action.value ?? '',
+            onChange: (e) => updateAction(index, { value: e.target.value }),
+            placeholder: '2d6 + agility',
+            className: 'border rounded px-2 py-1 text-sm font-mono'
+          })
+        ]),
+        React.createElement('div', { key: 'difficulty', className: 'flex flex-col space-y-1' }, [
+          React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Difficulty'),
+          React.createElement('input', {
+            type: 'text',
+            value: action.difficulty ?? '',
+            onChange: (e) => {
+              const raw = e.target.value;
+              const numeric = Number(raw);
+              updateAction(index, { difficulty: raw === '' ? null : (Number.isNaN(numeric) ? raw : numeric) });
+            },
+            placeholder: 'e.g. 9',
+            className: 'border rounded px-2 py-1 text-sm'
+          })
+        ]),
+        React.createElement('div', { key: 'success-flag', className: 'flex flex-col space-y-1' }, [
+          React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Success flag'),
+          React.createElement('select', {
+            value: action.successFlag || '',
+            onChange: (e) => updateAction(index, { successFlag: e.target.value || undefined }),
+            className: 'border rounded px-2 py-1 text-sm'
+          }, [
+            React.createElement('option', { key: 'none', value: '' }, 'None'),
+            ...availableFlags.map(flag => React.createElement('option', { key: flag.id, value: flag.id }, flag.name || flag.id))
+          ])
+        ])
+      ]);
     case 'set_flag':
+    case 'set_meta_flag':
       return React.createElement('div', { key: 'value', className: 'flex flex-col space-y-1' }, [
         React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Value'),
         React.createElement('select', {
@@ -683,8 +980,53 @@ function renderActionValueField(action, index, updateAction) {
           React.createElement('option', { value: 'false' }, 'False')
         ])
       ]);
+    case 'add_status':
+    case 'cure_status':
+      // Empty keeps the effect's own duration / cures every stack
+      return React.createElement('div', { key: 'value', className: 'flex flex-col space-y-1' }, [
+        React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, action.type === 'add_status' ? 'Turns' : 'Stacks'),
+        React.createElement('input', {
+          type: 'number',
+          min: 0,
+          value: action.value ?? '',
+          onChange: (e) => updateAction(index, { value: e.target.value === '' ? null : Number(e.target.value) }),
+          placeholder: action.type === 'add_status' ? "Effect's duration" : 'All',
+          className: 'border rounded px-2 py-1 text-sm'
+        })
+      ]);
+    case 'character_stat':
+      // Adds the value unless operation is 'set'
+      return React.createElement('div', { key: 'value', className: 'md:col-span-2 grid grid-cols-2 gap-2' }, [
+        React.createElement('div', { key: 'operation', className: 'flex flex-col space-y-1' }, [
+          React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Operation'),
+          React.createElement('select', {
+            value: action.operation === 'set' ? 'set' : 'add',
+            onChange: (e) => updateAction(index, { operation: e.target.value === 'set' ? 'set' : undefined }),
+            className: 'border rounded px-2 py-1 text-sm'
+          }, [
+            React.createElement('option', { key: 'add', value: 'add' }, 'Add'),
+            React.createElement('option', { key: 'set', value: 'set' }, 'Set to')
+          ])
+        ]),
+        React.createElement('div', { key: 'amount', className: 'flex flex-col space-y-1' }, [
+          React.createElement('label', { className: 'text-xs font-semibold text-gray-600 uppercase tracking-wide' }, 'Value'),
+          React.createElement('input', {
+            type: 'number',
+            value: action.value ?? 0,
+            onChange: (e) => updateAction(index, { value: e.target.value === '' ? null : Number(e.target.value) }),
+            className: 'border rounded px-2 py-1 text-sm'
+          })
+        ])
+      ]);
     case 'toggle_flag':
     case 'add_achievement':
+    case 'equip_item':
+    case 'unequip_item':
+    case 'craft':
+    case 'go_to_scene':
+    case 'start_quest':
+    case 'complete_objective':
+    case 'fail_quest':
       return React.createElement('div', { key: 'spacer' });
     default:
       return React.createElement('div', { key: 'value', className: 'flex flex-col space-y-1' }, [
@@ -725,6 +1067,8 @@ function normalizeChoice(choice, { enforceChoiceScript = false } = {}) {
     normalized.isHidden = false;
     normalized.isSecret = false;
     normalized.isLocked = false;
+    normalized.isCall = false;
+    normalized.isReturn = false;
     normalized.oneTime = false;
     normalized.maxUses = 0;
     normalized.cooldown = 0;
@@ -755,8 +1099,22 @@ function validateChoice(choiceData, existingChoices, originalChoice, availableSc
     errors.push('Choice text is required.');
   }
 
-  if (!choiceData.isFake && !choiceData.targetSceneId) {
-    errors.push('Target scene is required unless the choice is marked as fake.');
+  const randomBranches = Array.isArray(choiceData.randomBranches) ? choiceData.randomBranches : [];
+
+  if (!choiceData.isFake && !choiceData.isReturn && !choiceData.targetSceneId && randomBranches.length === 0) {
+    errors.push('Target scene is required unless the choice is fake, returns to its caller or uses random branches.');
+  }
+
+  if (choiceData.isCall && choiceData.isReturn) {
+    errors.push('A choice can call a scene or return to its caller, not both.');
+  }
+
+  if (randomBranches.some(branch => !branch.targetSceneId)) {
+    errors.push('Every random branch needs a target scene.');
+  }
+
+  if (randomBranches.length > 0 && !randomBranches.some(branch => Number(branch.weight ?? 1) > 0)) {
+    errors.push('At least one random branch needs a weight above zero.');
   }
 
   if (choiceData.targetSceneId && !availableScenes.some(scene => scene.id === choiceData.targetSceneId)) {
@@ -832,6 +1190,15 @@ function finalizeChoice(choiceData) {
     selectableIf: choiceData.selectableIf || []
   };
 
+  if (Array.isArray(choiceData.randomBranches) && choiceData.randomBranches.length > 0) {
+    payload.randomBranches = choiceData.randomBranches.map(branch => ({
+      ...branch,
+      weight: Math.max(0, Number(branch.weight ?? 1) || 0)
+    }));
+  } else {
+    delete payload.randomBranches;
+  }
+
   if (choiceData.inputType === 'static') {
     payload.inputConfig = {};
   } else {
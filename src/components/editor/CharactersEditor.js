@@ -0,0 +1,388 @@
+// CharactersEditor.js - Manage characters (NPCs): portrait, name colour, relationship stats and where they appear
+import React, { useMemo, useState, useCallback, useEffect } from "https://esm.sh/react@18";
+import { findCharacterAppearances } from '../../engine/CharacterManager.js';
+
+export default function CharactersEditor({
+  characters = [],
+  isOpen = false,
+  onClose = () => {},
+  onCharactersChange = () => {},
+  scenes = [],
+  className = ''
+}) {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const filtered = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    if (!s) return characters;
+    return characters.filter(c =>
+      (c.name || '').toLowerCase().includes(s) ||
+      (c.id || '').toLowerCase().includes(s) ||
+      (c.description || '').toLowerCase().includes(s)
+    );
+  }, [characters, search]);
+
+  // Appearances of the saved character (a renamed id only counts once saved)
+  const appearances = useMemo(() => (
+    selectedId ? findCharacterAppearances({ scenes }, selectedId) : []
+  ), [scenes, selectedId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    if (selectedId) {
+      const character = characters.find(c => c.id === selectedId);
+      if (character) setEditing({ ...character });
+    } else if (characters.length > 0) {
+      setSelectedId(characters[0].id);
+    }
+  }, [isOpen, characters, selectedId]);
+
+  const handleCreate = useCallback(() => {
+    const character = {
+      id: `character_${Date.now()}`,
+      name: 'New Character',
+      description: '',
+      portrait: '',
+      color: '',
+      stats: [{ id: 'trust', name: 'Trust', defaultValue: 0, min: -10, max: 10 }]
+    };
+    setEditing(character);
+    setSelectedId(character.id);
+    setErrors([]);
+  }, []);
+
+  const handleSelect = useCallback((id) => {
+    setSelectedId(id);
+    const character = characters.find(c => c.id === id);
+    setEditing(character ? { ...character } : null);
+    setErrors([]);
+  }, [characters]);
+
+  const validate = useCallback((character, others) => {
+    const errs = [];
+    if (!character.id || !character.id.trim()) errs.push('ID is required.');
+    if ((character.id || '').includes('.')) errs.push('ID cannot contain a dot (character stats are addressed as character.stat).');
+    if (!character.name || !character.name.trim()) errs.push('Name is required.');
+    if (others.some(o => o.id === character.id)) errs.push('ID must be unique.');
+    const statIds = new Set();
+    (character.stats || []).forEach((stat, i) => {
+      if (!stat.id) errs.push(`Stat ${i + 1}: ID is required.`);
+      else if (statIds.has(stat.id)) errs.push(`Stat ${i + 1}: ID "${stat.id}" is used twice.`);
+      statIds.add(stat.id);
+      if (stat.min != null && stat.max != null && stat.min > stat.max) errs.push(`Stat ${i + 1}: min is above max.`);
+    });
+    return errs;
+  }, []);
+
+  const handleSave = useCallback(() => {
+    if (!editing) return;
+    const others = characters.filter(c => c.id !== selectedId && c.id !== editing.id);
+    const v = validate(editing, others);
+    setErrors(v);
+    if (v.length > 0) return;
+
+    const exists = characters.some(c => c.id === selectedId);
+    const next = exists
+      ? characters.map(c => c.id === selectedId ? editing : c)
+      : [...characters, editing];
+    onCharactersChange(next);
+    setSelectedId(editing.id);
+  }, [editing, characters, selectedId, onCharactersChange, validate]);
+
+  const handleDelete = useCallback((id) => {
+    if (!id) return;
+    const used = findCharacterAppearances({ scenes }, id).length;
+    if (!confirm(used > 0 ? `This character appears in ${used} scene(s). Delete anyway?` : 'Delete this character?')) return;
+    const next = characters.filter(c => c.id !== id);
+    onCharactersChange(next);
+    if (selectedId === id) {
+      setSelectedId(next[0]?.id || null);
+      setEditing(next[0] ? { ...next[0] } : null);
+    }
+  }, [characters, onCharactersChange, selectedId, scenes]);
+
+  if (!isOpen) return null;
+
+  return React.createElement('div', {
+    className: `fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 ${className}`,
+    onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+  },
+    React.createElement('div', {
+      className: 'bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col'
+    },
+      // Header
+      React.createElement('div', { className: 'flex items-center justify-between p-4 border-b' }, [
+        React.createElement('div', { key: 'title' }, [
+          React.createElement('h2', { className: 'text-xl font-semibold text-gray-900' }, 'Characters'),
+          React.createElement('p', { className: 'text-sm text-gray-600' }, `${characters.length} defined`)
+        ]),
+        React.createElement('div', { key: 'actions', className: 'flex items-center gap-2' }, [
+          React.createElement('input', {
+            key: 'search',
+            type: 'text',
+            value: search,
+            onChange: (e) => setSearch(e.target.value),
+            placeholder: 'Search characters...',
+            className: 'px-3 py-2 border rounded-md text-sm'
+          }),
+          React.createElement('button', {
+            key: 'create',
+            onClick: handleCreate,
+            className: 'px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700'
+          }, '+ Create'),
+          React.createElement('button', {
+            key: 'close',
+            onClick: onClose,
+            className: 'px-3 py-2 text-gray-600 hover:text-gray-800'
+          }, '✕')
+        ])
+      ]),
+
+      // Body
+      React.createElement('div', { className: 'flex-1 flex overflow-hidden' }, [
+        // List
+        React.createElement('div', { key: 'list', className: 'w-72 border-r overflow-y-auto p-3 bg-gray-50' }, [
+          filtered.length === 0 ?
+            React.createElement('div', { key: 'empty', className: 'text-sm text-gray-500 p-3 italic' }, 'No characters found') :
+            filtered.map(character => React.createElement('div', {
+              key: character.id,
+              className: `p-2 rounded cursor-pointer text-sm flex items-center gap-2 ${selectedId === character.id ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100'}`,
+              onClick: () => handleSelect(character.id)
+            }, [
+              React.createElement(Portrait, { key: 'portrait', character, size: 'w-8 h-8' }),
+              React.createElement('div', { key: 'text', className: 'min-w-0' }, [
+                React.createElement('div', {
+                  key: 'name',
+                  className: 'font-medium truncate',
+                  style: character.color ? { color: character.color } : undefined
+                }, character.name || character.id),
+                React.createElement('div', { key: 'meta', className: 'text-xs text-gray-600 truncate' },
+                  (character.stats || []).map(stat => stat.name || stat.id).join(', ') || 'No stats')
+              ])
+            ]))
+        ]),
+
+        // Editor
+        React.createElement('div', { key: 'editor', className: 'flex-1 overflow-y-auto p-4' }, [
+          !editing ? React.createElement('div', { key: 'none', className: 'h-full flex items-center justify-center text-gray-500' }, 'Select or create a character') :
+          React.createElement('div', { key: 'form', className: 'space-y-4' }, [
+            React.createElement('div', { key: 'basic', className: 'grid grid-cols-3 gap-4' }, [
+              React.createElement(Field, {
+                key: 'name', label: 'Name *', value: editing.name,
+                onChange: (v) => setEditing(prev => ({ ...prev, name: v }))
+              }),
+              React.createElement(Field, {
+                key: 'id', label: 'ID *', value: editing.id,
+                onChange: (v) => setEditing(prev => ({ ...prev, id: v.trim() }))
+              }),
+              React.createElement('div', { key: 'color' }, [
+                React.createElement('label', { key: 'label', className: 'block text-sm text-gray-700 mb-1' }, 'Name colour'),
+                React.createElement('div', { key: 'inputs', className: 'flex items-center gap-2' }, [
+                  React.createElement('input', {
+                    key: 'picker',
+                    type: 'color',
+                    value: /^#[0-9a-f]{6}$/i.test(editing.color || '') ? editing.color : '#111827',
+                    onChange: (e) => setEditing(prev => ({ ...prev, color: e.target.value })),
+                    className: 'h-10 w-12 border rounded-md'
+                  }),
+                  React.createElement('input', {
+                    key: 'text',
+                    type: 'text',
+                    value: editing.color || '',
+                    placeholder: 'Default',
+                    onChange: (e) => setEditing(prev => ({ ...prev, color: e.target.value.trim() })),
+                    className: 'flex-1 min-w-0 px-3 py-2 border rounded-md'
+                  })
+                ])
+              ])
+            ]),
+
+            React.createElement('div', { key: 'portrait', className: 'flex items-end gap-4' }, [
+              React.createElement(Portrait, { key: 'preview', character: editing, size: 'w-16 h-16' }),
+              React.createElement('div', { key: 'field', className: 'flex-1' },
+                React.createElement(Field, {
+                  label: 'Portrait (image URL)', value: editing.portrait,
+                  onChange: (v) => setEditing(prev => ({ ...prev, portrait: v.trim() }))
+                })
+              )
+            ]),
+
+            React.createElement(TextArea, {
+              key: 'desc', label: 'Description', value: editing.description || '', rows: 2,
+              onChange: (v) => setEditing(prev => ({ ...prev, description: v }))
+            }),
+
+            React.createElement(CharacterStatsList, {
+              key: 'stats',
+              stats: editing.stats || [],
+              onChange: (stats) => setEditing(prev => ({ ...prev, stats }))
+            }),
+
+            React.createElement(AppearanceList, {
+              key: 'appearances',
+              appearances,
+              saved: characters.some(c => c.id === selectedId)
+            }),
+
+            errors.length > 0 && React.createElement('div', { key: 'errors', className: 'bg-red-50 border border-red-200 rounded p-3 text-sm text-red-700' },
+              errors.map((e, i) => React.createElement('div', { key: i }, `• ${e}`))
+            ),
+
+            // Footer buttons
+            React.createElement('div', { key: 'footer', className: 'flex items-center justify-between pt-2' }, [
+              React.createElement('button', {
+                key: 'delete',
+                onClick: () => handleDelete(selectedId),
+                className: 'px-3 py-2 text-red-600 hover:text-red-800'
+              }, 'Delete'),
+              React.createElement('div', { key: 'cta', className: 'flex gap-2' }, [
+                React.createElement('button', { key: 'cancel', onClick: onClose, className: 'px-4 py-2 border rounded-md' }, 'Cancel'),
+                React.createElement('button', { key: 'save', onClick: handleSave, className: 'px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700' }, 'Save')
+              ])
+            ])
+          ])
+        ])
+      ])
+    )
+  );
+}
+
+// Portrait image, or the first letter of the name when there is none
+function Portrait({ character, size }) {
+  if (character.portrait) {
+    return React.createElement('img', {
+      src: character.portrait,
+      alt: character.name || character.id,
+      className: `${size} rounded-full object-cover border flex-shrink-0`
+    });
+  }
+  return React.createElement('div', {
+    className: `${size} rounded-full bg-gray-200 flex items-center justify-center text-gray-600 font-semibold flex-shrink-0`
+  }, (character.name || character.id || '?').charAt(0).toUpperCase());
+}
+
+// Per-character relationship stats (trust, affection, ...); conditions and actions use character.stat keys
+function CharacterStatsList({ stats, onChange }) {
+  const update = (index, changes) => onChange(stats.map((stat, i) => (i === index ? { ...stat, ...changes } : stat)));
+  const optionalNumber = value => (value === '' ? undefined : Number(value));
+
+  return React.createElement('div', null,
+    React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+      React.createElement('h3', { className: 'text-sm font-medium text-gray-900' }, 'Relationship stats'),
+      React.createElement('button', {
+        onClick: () => onChange([...stats, { id: '', name: '', defaultValue: 0 }]),
+        className: 'px-2 py-1 text-xs bg-green-600 text-white rounded-md hover:bg-green-700'
+      }, '+ Add Stat')
+    ),
+    stats.length === 0 ?
+      React.createElement('div', { className: 'text-center py-3 text-sm text-gray-500 border-2 border-dashed border-gray-300 rounded-lg' }, 'No stats') :
+      React.createElement('div', { className: 'space-y-2' },
+        React.createElement('div', { className: 'grid grid-cols-12 gap-2 text-xs text-gray-500' },
+          React.createElement('span', { className: 'col-span-3' }, 'ID'),
+          React.createElement('span', { className: 'col-span-3' }, 'Name'),
+          React.createElement('span', { className: 'col-span-2' }, 'Start'),
+          React.createElement('span', { className: 'col-span-1' }, 'Min'),
+          React.createElement('span', { className: 'col-span-1' }, 'Max'),
+          React.createElement('span', { className: 'col-span-2' }, 'Hidden')
+        ),
+        stats.map((stat, index) => React.createElement('div', { key: index, className: 'grid grid-cols-12 gap-2 items-center' },
+          React.createElement('input', {
+            type: 'text',
+            value: stat.id || '',
+            onChange: (e) => update(index, { id: e.target.value.trim() }),
+            placeholder: 'trust',
+            className: 'col-span-3 px-2 py-1 border rounded text-sm'
+          }),
+          React.createElement('input', {
+            type: 'text',
+            value: stat.name || '',
+            onChange: (e) => update(index, { name: e.target.value }),
+            placeholder: 'Trust',
+            className: 'col-span-3 px-2 py-1 border rounded text-sm'
+          }),
+          React.createElement('input', {
+            type: 'number',
+            value: stat.defaultValue ?? 0,
+            onChange: (e) => update(index, { defaultValue: Number(e.target.value) || 0 }),
+            className: 'col-span-2 px-2 py-1 border rounded text-sm'
+          }),
+          React.createElement('input', {
+            type: 'number',
+            value: stat.min ?? '',
+            onChange: (e) => update(index, { min: optionalNumber(e.target.value) }),
+            className: 'col-span-1 px-1 py-1 border rounded text-sm'
+          }),
+          React.createElement('input', {
+            type: 'number',
+            value: stat.max ?? '',
+            onChange: (e) => update(index, { max: optionalNumber(e.target.value) }),
+            className: 'col-span-1 px-1 py-1 border rounded text-sm'
+          }),
+          React.createElement('label', { className: 'col-span-1 flex justify-center', title: 'Hidden from the player' },
+            React.createElement('input', {
+              type: 'checkbox',
+              checked: !!stat.hidden,
+              onChange: (e) => update(index, { hidden: e.target.checked || undefined })
+            })
+          ),
+          React.createElement('button', {
+            onClick: () => onChange(stats.filter((_, i) => i !== index)),
+            className: 'col-span-1 p-1 text-red-600 hover:text-red-800'
+          }, '🗑️')
+        ))
+      )
+  );
+}
+
+// Scenes where the character speaks or their stats are checked / changed
+function AppearanceList({ appearances, saved }) {
+  const describe = appearance => [
+    appearance.dialogue > 0 && `${appearance.dialogue} line${appearance.dialogue === 1 ? '' : 's'}`,
+    appearance.conditions > 0 && `${appearance.conditions} condition${appearance.conditions === 1 ? '' : 's'}`,
+    appearance.actions > 0 && `${appearance.actions} action${appearance.actions === 1 ? '' : 's'}`
+  ].filter(Boolean).join(' · ');
+
+  return React.createElement('div', null,
+    React.createElement('h3', { className: 'text-sm font-medium text-gray-900 mb-2' }, 'Appears in'),
+    !saved ?
+      React.createElement('div', { className: 'text-sm text-gray-500 italic' }, 'Save the character to see where it appears') :
+    appearances.length === 0 ?
+      React.createElement('div', { className: 'text-center py-3 text-sm text-gray-500 border-2 border-dashed border-gray-300 rounded-lg' }, 'Not used in any scene yet') :
+      React.createElement('ul', { className: 'divide-y border rounded-md' },
+        appearances.map(appearance => React.createElement('li', {
+          key: appearance.sceneId,
+          className: 'flex items-center justify-between px-3 py-2 text-sm'
+        },
+          React.createElement('span', { className: 'font-medium text-gray-800 truncate' }, appearance.sceneTitle),
+          React.createElement('span', { className: 'text-xs text-gray-500 flex-shrink-0 ml-2' }, describe(appearance))
+        ))
+      )
+  );
+}
+
+function Field({ label, value, onChange }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('input', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      type: 'text',
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
+
+function TextArea({ label, value, onChange, rows = 3 }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('textarea', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      rows,
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
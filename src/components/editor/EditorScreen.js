@@ -7,7 +7,11 @@ import SceneEditDialog from './dialogs/SceneEditDialog.js';
 import ChoiceEditDialog from './dialogs/ChoiceEditDialog.js';
 import InventoryEditor from './InventoryEditor.js';
 import AchievementsEditor from './AchievementsEditor.js';
+import RecipesEditor from './RecipesEditor.js';
+import StatusEffectsEditor from './StatusEffectsEditor.js';
 import StatsEditor from './StatsEditor.js';
+import CharactersEditor from './CharactersEditor.js';
+import QuestsEditor from './QuestsEditor.js';
 import EditorSessionStorage from '../../engine/EditorSessionStorage.js';
 import AdvancedChoiceDialog from './AdvancedChoiceDialog.js';
 import ActionHistoryDialog from './dialogs/ActionHistoryDialog.js';
@@ -31,6 +35,49 @@ import {
 import React, { useState, useEffect, useCallback, useRef, useMemo } from "https://esm.sh/react@18";
 import { validationService } from '../../services/ValidationService.js';
 import { exportAdventureToChoiceScript } from '../../editor/exporters/ChoiceScriptExporter.js';
+import { exportAdventureToTwee } from '../../editor/exporters/TweeExporter.js';
+import { exportAdventureToStandaloneHtml } from '../../editor/exporters/StandaloneHtmlExporter.js';
+import { exportTranslationsToXliff, exportTranslationsToPo } from '../../editor/exporters/TranslationExporter.js';
+import { importTranslationsFromXliff, importTranslationsFromPo } from '../../editor/importers/TranslationImporter.js';
+
+// Canvas connections for a choice: its target scene plus every random branch destination
+function buildChoiceConnections(fromNodeId, choice, sceneMap) {
+  const targets = new Set();
+  if (choice.targetSceneId) targets.add(choice.targetSceneId);
+  (Array.isArray(choice.randomBranches) ? choice.randomBranches : []).forEach(branch => {
+    if (branch?.targetSceneId) targets.add(branch.targetSceneId);
+  });
+
+  return Array.from(targets)
+    .filter(targetId => sceneMap.has(targetId))
+    .map(targetId => ({
+      id: `${fromNodeId}_${choice.id}_${targetId}`,
+      fromNodeId,
+      toNodeId: targetId,
+      choiceId: choice.id,
+      choice,
+      isRandomBranch: targetId !== choice.targetSceneId,
+      isCall: !!choice.isCall
+    }));
+}
+
+// Return edges: every return choice points back at the scenes that call its scene as a tunnel
+function buildReturnConnections(sceneMap) {
+  const returns = [];
+  validationService.getReturnTargets(sceneMap).forEach((callerIds, sceneId) => {
+    (sceneMap.get(sceneId)?.choices || []).filter(choice => choice?.isReturn).forEach(choice => {
+      callerIds.forEach(callerId => returns.push({
+        id: `${sceneId}_${choice.id}_return_${callerId}`,
+        fromNodeId: sceneId,
+        toNodeId: callerId,
+        choiceId: choice.id,
+        choice,
+        isReturn: true
+      }));
+    });
+  });
+  return returns;
+}
 
 export default function EditorScreen({
   onExitEditor = () => {},
@@ -71,6 +118,9 @@ export default function EditorScreen({
     inventory: [], // Phase 3: Inventory system
     achievements: [], // Phase 3: Achievement system
     flags: [], // Phase 3: Flag definitions
+    metaFlags: [], // Flags kept in the player profile across playthroughs
+    equipmentSlots: [], // Slots items can be equipped into (stat modifiers apply while equipped)
+    recipes: [], // Crafting recipes (ingredients -> results)
     categories: [], // Phase 3: Organization categories
     crossGameCompatibility: {
       version: '2.0',
@@ -137,7 +187,11 @@ export default function EditorScreen({
   // Inventory editor state
   const [showInventoryEditor, setShowInventoryEditor] = useState(false);
   const [showAchievementsEditor, setShowAchievementsEditor] = useState(false);
-  const [showStatsEditor, setShowStatsEditor] = useState(false);
+  const [showRecipesEditor, setShowRecipesEditor] = useState(false);
+  const [showStatusEffectsEditor, setShowStatusEffectsEditor] = useState(false);
+  const [showStatsEditor, setShowStatsEditor] = useState(false);
+  const [showCharactersEditor, setShowCharactersEditor] = useState(false);
+  const [showQuestsEditor, setShowQuestsEditor] = useState(false);
   const [choiceScriptMode, setChoiceScriptMode] = useState(false);
   // Flags editor state
   const [showFlagEditor, setShowFlagEditor] = useState(false);
@@ -158,8 +212,8 @@ export default function EditorScreen({
 
   const exportFormatOptions = useMemo(() => (
     choiceScriptMode
-      ? ['choicescript', 'json', 'yaml', 'xml']
-      : ['json', 'yaml', 'xml', 'choicescript']
+      ? ['choicescript', 'json', 'yaml', 'xml', 'twee', 'html', 'xliff', 'po']
+      : ['json', 'yaml', 'xml', 'choicescript', 'twee', 'html', 'xliff', 'po']
   ), [choiceScriptMode]);
 
   const highlightedNodeIds = useMemo(() => {
@@ -864,19 +918,10 @@ export default function EditorScreen({
       const nodeConnections = new Map();
       if (node.choices) {
         node.choices.forEach((choice) => {
-          if (choice.targetSceneId && nodes.has(choice.targetSceneId)) {
-            const connectionId = `${nodeId}_${choice.id}_${choice.targetSceneId}`;
-            const newConnection = {
-              id: connectionId,
-              fromNodeId: nodeId,
-              toNodeId: choice.targetSceneId,
-              choiceId: choice.id,
-              choice: choice
-            };
-            
-            nodeConnections.set(connectionId, newConnection);
-            changesBatch.toAdd.set(connectionId, newConnection);
-          }
+          buildChoiceConnections(nodeId, choice, nodes).forEach(newConnection => {
+            nodeConnections.set(newConnection.id, newConnection);
+            changesBatch.toAdd.set(newConnection.id, newConnection);
+          });
         });
       }
       
@@ -918,16 +963,9 @@ export default function EditorScreen({
     nodes.forEach((node) => {
       if (node.choices) {
         node.choices.forEach((choice) => {
-          if (choice.targetSceneId && nodes.has(choice.targetSceneId)) {
-            const connectionId = `${node.id}_${choice.id}_${choice.targetSceneId}`;
-            newConnections.set(connectionId, {
-              id: connectionId,
-              fromNodeId: node.id,
-              toNodeId: choice.targetSceneId,
-              choiceId: choice.id,
-              choice: choice
-            });
-          }
+          buildChoiceConnections(node.id, choice, nodes).forEach(connection => {
+            newConnections.set(connection.id, connection);
+          });
         });
       }
       
@@ -937,6 +975,15 @@ export default function EditorScreen({
     
     setConnections(newConnections);
   }, [nodes, updateConnectionsSelectively]);
+
+  // Return edges depend on every call choice in the graph, so they are derived rather than cached per node
+  const canvasConnections = useMemo(() => {
+    const returns = buildReturnConnections(nodes);
+    if (returns.length === 0) return connections;
+    const merged = new Map(connections);
+    returns.forEach(connection => merged.set(connection.id, connection));
+    return merged;
+  }, [nodes, connections]);
   
   // Command callback implementations
   const handleNodeCreateCommand = useCallback(async (nodeId, nodeData) => {
@@ -1040,7 +1087,7 @@ export default function EditorScreen({
     });
     
     updateNodeVersion(nodeId);
-    if (updates.targetSceneId !== undefined) {
+    if (updates.targetSceneId !== undefined || updates.randomBranches !== undefined || updates.isCall !== undefined) {
       generateConnections(nodeId);
     }
   }, [updateNodeVersion, generateConnections]);
@@ -1461,17 +1508,10 @@ export default function EditorScreen({
           nodesFromImport.set(nodeId, { ...node, isStartScene });
         }
 
-        node.choices?.forEach(choice => {
-          if (choice.targetSceneId && nodesFromImport.has(choice.targetSceneId)) {
-            const connectionId = `${nodeId}_${choice.id}_${choice.targetSceneId}`;
-            connectionsFromImport.set(connectionId, {
-              id: connectionId,
-              fromNodeId: nodeId,
-              toNodeId: choice.targetSceneId,
-              choiceId: choice.id,
-              choice
-            });
-          }
+        node.choices?.forEach(choice => {
+          buildChoiceConnections(nodeId, choice, nodesFromImport).forEach(connection => {
+            connectionsFromImport.set(connection.id, connection);
+          });
         });
       });
 
@@ -1485,7 +1525,10 @@ export default function EditorScreen({
         stats: Array.isArray(data.stats) ? data.stats : [],
         inventory: Array.isArray(data.inventory) ? data.inventory : [],
         achievements: Array.isArray(data.achievements) ? data.achievements : [],
-        flags: Array.isArray(data.flags) ? data.flags : [],
+        flags: Array.isArray(data.flags) ? data.flags : [],
+        metaFlags: Array.isArray(data.metaFlags) ? data.metaFlags : [],
+        equipmentSlots: Array.isArray(data.equipmentSlots) ? data.equipmentSlots : [],
+        recipes: Array.isArray(data.recipes) ? data.recipes : [],
         categories: Array.isArray(data.categories) ? data.categories : [],
         crossGameCompatibility: {
           ...adventure.crossGameCompatibility,
@@ -1814,6 +1857,44 @@ export default function EditorScreen({
         }
         break;
       }
+      case "twee": {
+        const result = exportAdventureToTwee(adventureData);
+        content = result.data;
+        mimeType = "text/plain";
+        filename = `${sanitizedTitle}.twee`;
+        if (result.warnings.length > 0) {
+          console.warn("Twee export warnings:", result.warnings);
+        }
+        break;
+      }
+      case "html": {
+        const result = await exportAdventureToStandaloneHtml(adventureData);
+        content = result.data;
+        mimeType = "text/html";
+        filename = `${sanitizedTitle}.html`;
+        if (result.warnings.length > 0) {
+          console.warn("Standalone HTML export warnings:", result.warnings);
+        }
+        break;
+      }
+      case "xliff":
+      case "po": {
+        // One translation file per target locale
+        const existingLocales = Object.keys(adventureData.localization?.translations || {});
+        const locale = window.prompt('Target language code (e.g. fr, de, pt-BR)', existingLocales[0] || '')?.trim();
+        if (!locale) return;
+        const isXliff = format.toLowerCase() === "xliff";
+        const result = isXliff
+          ? exportTranslationsToXliff(adventureData, locale)
+          : exportTranslationsToPo(adventureData, locale);
+        content = result.data;
+        mimeType = isXliff ? "application/xliff+xml" : "text/x-gettext-translation";
+        filename = `${sanitizedTitle}_${locale}.${isXliff ? 'xlf' : 'po'}`;
+        if (result.warnings.length > 0) {
+          console.warn("Translation export warnings:", result.warnings);
+        }
+        break;
+      }
       case "yaml":
         content = JSON.stringify(adventureData, null, 2)
           .replace(/"/g, "")
@@ -1848,6 +1929,29 @@ export default function EditorScreen({
 
     URL.revokeObjectURL(url);
   }, [generateAdventureData, adventure.title]);
+  // Merge a translator's XLIFF / PO file into adventure.localization
+  const handleImportTranslation = useCallback((source, fileName = '') => {
+    try {
+      const adventureData = generateAdventureData();
+      const imported = /\.po$/i.test(fileName)
+        ? importTranslationsFromPo(source, adventureData)
+        : importTranslationsFromXliff(source, adventureData);
+      if (imported.warnings.length > 0) {
+        console.warn("Translation import warnings:", imported.warnings);
+      }
+      setAdventure(prev => ({
+        ...prev,
+        localization: imported.adventure.localization,
+        metadata: { ...prev.metadata, modified: Date.now() }
+      }));
+      setHasUnsavedChanges(true);
+      alert(`Imported ${imported.imported} ${imported.locale} strings${imported.warnings.length > 0 ? ` (${imported.warnings.length} warnings, see console)` : ''}.`);
+    } catch (error) {
+      console.error('Failed to import translation:', error);
+      alert(`Failed to import translation: ${error.message}`);
+    }
+  }, [generateAdventureData]);
+
   const selectedNode = selectedNodeId ? nodes.get(selectedNodeId) : null;
 
   return React.createElement('div', {
@@ -1882,6 +1986,7 @@ export default function EditorScreen({
       onImportAdventure: handleImport,
       onExportAdventure: () => handleExportWithFormat(choiceScriptMode ? 'choicescript' : 'json'),
       onExportFormat: handleExportWithFormat,
+      onImportTranslation: handleImportTranslation,
       onAddScene: () => handleNodeCreate({ x: 200, y: 200 }),
       onDeleteSelected: () => {
         if (selectedNodeId && confirm('Delete selected scene?')) {
@@ -1898,8 +2003,9 @@ export default function EditorScreen({
           onPlayTest(adventureData);
         }
       },
-      onValidate: () => {
-        validateAdventure({ skipCache: false });
+      onValidate: () => {
+        // A manual check also simulates play to find softlocks and unreachable endings
+        validateAdventure({ skipCache: false, stateSpace: true });
       },
       onSaveEditor: handleSaveProject,
       onLoadEditor: handleLoadProject,
@@ -1928,8 +2034,8 @@ export default function EditorScreen({
       React.createElement(EditorCanvas, {
         key: 'canvas',
         className: 'flex-1',
-        nodes: nodes,
-        connections: connections,
+        nodes: nodes,
+        connections: canvasConnections,
         selectedNodeId: selectedNodeId,
         highlightedNodeIds: highlightedNodeIds,
         onNodeSelect: setSelectedNodeId,
@@ -1961,6 +2067,10 @@ export default function EditorScreen({
         onOpenSceneDialog: openSceneDialog,
         onOpenChoiceDialog: (nodeId, choiceId) => openAdvancedChoiceDialog(nodeId, choiceId),
         onOpenInventoryEditor: () => setShowInventoryEditor(true),
+        onOpenRecipesEditor: () => setShowRecipesEditor(true),
+        onOpenStatusEffectsEditor: () => setShowStatusEffectsEditor(true),
+        onOpenCharactersEditor: () => setShowCharactersEditor(true),
+        onOpenQuestsEditor: () => setShowQuestsEditor(true),
         onOpenAchievementsEditor: () => setShowAchievementsEditor(true),
         onOpenFlagsEditor: () => { setShowFlagEditor(true); setEditingFlag(null); },
         isChoiceScriptMode: choiceScriptMode
@@ -1983,6 +2093,8 @@ export default function EditorScreen({
       adventureInventory: adventure.inventory,
       choiceScriptMode: choiceScriptMode,
       adventureFlags: adventure.flags,
+      adventureCharacters: adventure.characters || [],
+      adventureQuests: adventure.quests || [],
       onInlineAddFlag: handleInlineAddFlag,
       onSave: handleSceneSave,
       onCancel: closeDialog,
@@ -2004,6 +2116,15 @@ export default function EditorScreen({
       availableFlags: adventure.flags || [],
       availableItems: adventure.inventory || [],
   availableAchievements: adventure.achievements || [],
+      availableMetaFlags: adventure.metaFlags || [],
+      onDeclareMetaFlag: (id) => setAdventure(prev => ((prev.metaFlags || []).some(flag => flag.id === id)
+        ? prev
+        : { ...prev, metaFlags: [...(prev.metaFlags || []), { id, name: id }], metadata: { ...prev.metadata, modified: Date.now() } })),
+      availableEquipmentSlots: adventure.equipmentSlots || [],
+      availableRecipes: adventure.recipes || [],
+      availableStatusEffects: adventure.statusEffects || [],
+      availableCharacters: adventure.characters || [],
+      availableQuests: adventure.quests || [],
       onInlineAddFlag: handleInlineAddFlag,
       existingChoices: selectedNode?.choices || [],
       onSave: handleChoiceSave,
@@ -2048,6 +2169,18 @@ export default function EditorScreen({
       onItemsChange: (newInventory) => {
         handleInventoryUpdate(newInventory);
       },
+      equipmentSlots: adventure.equipmentSlots || [],
+      onEquipmentSlotsChange: (next) => setAdventure(prev => ({ ...prev, equipmentSlots: next, metadata: { ...prev.metadata, modified: Date.now() } })),
+      availableStats: adventure.stats || [],
+      availableFlags: adventure.flags || [],
+      availableScenes: Array.from(nodes.values()),
+      availableMetaFlags: adventure.metaFlags || [],
+      availableAchievements: adventure.achievements || [],
+      availableRecipes: adventure.recipes || [],
+      availableStatusEffects: adventure.statusEffects || [],
+      availableCharacters: adventure.characters || [],
+      availableQuests: adventure.quests || [],
+      onInlineAddFlag: handleInlineAddFlag,
       onClose: () => setShowInventoryEditor(false)
     }),
 
@@ -2061,9 +2194,46 @@ export default function EditorScreen({
       availableFlags: adventure.flags || [],
       availableItems: adventure.inventory || [],
       availableScenes: Array.from(nodes.values()),
+      availableMetaFlags: adventure.metaFlags || [],
+      availableEquipmentSlots: adventure.equipmentSlots || [],
+      availableRecipes: adventure.recipes || [],
+      availableStatusEffects: adventure.statusEffects || [],
+      availableCharacters: adventure.characters || [],
+      availableQuests: adventure.quests || [],
+      onInlineAddFlag: handleInlineAddFlag
+    }),
+
+    React.createElement(RecipesEditor, {
+      key: 'recipes-editor',
+      isOpen: showRecipesEditor,
+      recipes: adventure.recipes || [],
+      onClose: () => setShowRecipesEditor(false),
+      onRecipesChange: (next) => setAdventure(prev => ({ ...prev, recipes: next, metadata: { ...prev.metadata, modified: Date.now() } })),
+      availableStats: adventure.stats || [],
+      availableFlags: adventure.flags || [],
+      availableItems: adventure.inventory || [],
+      availableScenes: Array.from(nodes.values()),
+      availableMetaFlags: adventure.metaFlags || [],
+      availableAchievements: adventure.achievements || [],
+      availableEquipmentSlots: adventure.equipmentSlots || [],
+      availableStatusEffects: adventure.statusEffects || [],
+      availableCharacters: adventure.characters || [],
+      availableQuests: adventure.quests || [],
       onInlineAddFlag: handleInlineAddFlag
     }),
 
+    React.createElement(StatusEffectsEditor, {
+      key: 'status-effects-editor',
+      isOpen: showStatusEffectsEditor,
+      statusEffects: adventure.statusEffects || [],
+      onClose: () => setShowStatusEffectsEditor(false),
+      onStatusEffectsChange: (next) => setAdventure(prev => ({ ...prev, statusEffects: next, metadata: { ...prev.metadata, modified: Date.now() } })),
+      availableStats: adventure.stats || [],
+      availableFlags: adventure.flags || [],
+      availableItems: adventure.inventory || [],
+      availableScenes: Array.from(nodes.values())
+    }),
+
     React.createElement(StatsEditor, {
       key: 'stats-editor',
       isOpen: showStatsEditor,
@@ -2072,6 +2242,34 @@ export default function EditorScreen({
       onStatsChange: (next) => setAdventure(prev => ({ ...prev, stats: next, metadata: { ...prev.metadata, modified: Date.now() } }))
     }),
 
+    React.createElement(CharactersEditor, {
+      key: 'characters-editor',
+      isOpen: showCharactersEditor,
+      characters: adventure.characters || [],
+      onClose: () => setShowCharactersEditor(false),
+      onCharactersChange: (next) => setAdventure(prev => ({ ...prev, characters: next, metadata: { ...prev.metadata, modified: Date.now() } })),
+      scenes: Array.from(nodes.values())
+    }),
+
+    React.createElement(QuestsEditor, {
+      key: 'quests-editor',
+      isOpen: showQuestsEditor,
+      quests: adventure.quests || [],
+      onClose: () => setShowQuestsEditor(false),
+      onQuestsChange: (next) => setAdventure(prev => ({ ...prev, quests: next, metadata: { ...prev.metadata, modified: Date.now() } })),
+      availableStats: adventure.stats || [],
+      availableFlags: adventure.flags || [],
+      availableItems: adventure.inventory || [],
+      availableScenes: Array.from(nodes.values()),
+      availableMetaFlags: adventure.metaFlags || [],
+      availableAchievements: adventure.achievements || [],
+      availableEquipmentSlots: adventure.equipmentSlots || [],
+      availableRecipes: adventure.recipes || [],
+      availableStatusEffects: adventure.statusEffects || [],
+      availableCharacters: adventure.characters || [],
+      onInlineAddFlag: handleInlineAddFlag
+    }),
+
     React.createElement(ActionHistoryDialog, {
       key: 'action-history-dialog',
       isOpen: commandHistoryVisible,
@@ -4,7 +4,9 @@
  * Features:
  * - Item definition creation and editing
  * - Category management and organization
- * - Item effects and properties configuration
+ * - Item effects and properties configuration: effects are StoryEngine actions run when the
+ *   item is used, with use conditions and the scenes (or scene tags) it works in
+ * - Equipment slots and the stat modifiers items give while equipped
  * - Bulk import/export functionality
  * - Real-time validation and preview
  * 
@@ -16,10 +18,53 @@
  */
 
 import React, { useState, useCallback, useMemo, useEffect } from 'https://esm.sh/react@18';
+import ConditionBuilder from '../common/ConditionBuilder.js';
+import { getItemActions } from '../../engine/InventoryManager.js';
+
+// Actions an item can run when used (StoryEngine.executeActions): what its key picks and what its value is
+const EFFECT_TYPES = [
+  { value: 'add_stat', label: 'Add to Stat', key: 'stat', input: 'number' },
+  { value: 'set_stat', label: 'Set Stat', key: 'stat', input: 'number' },
+  { value: 'multiply_stat', label: 'Multiply Stat', key: 'stat', input: 'number' },
+  { value: 'set_flag', label: 'Set Flag', key: 'flag', input: 'boolean' },
+  { value: 'toggle_flag', label: 'Toggle Flag', key: 'flag' },
+  { value: 'set_meta_flag', label: 'Set Meta Flag', key: 'metaFlag', input: 'boolean' },
+  { value: 'add_inventory', label: 'Add Item', key: 'item', input: 'number' },
+  { value: 'remove_inventory', label: 'Remove Item', key: 'item', input: 'number' },
+  { value: 'set_inventory', label: 'Set Item Count', key: 'item', input: 'number' },
+  { value: 'equip_item', label: 'Equip Item', key: 'item' },
+  { value: 'unequip_item', label: 'Unequip Item', key: 'item' },
+  { value: 'craft', label: 'Craft Recipe', key: 'recipe' },
+  { value: 'buy_item', label: 'Buy Item (current shop)', key: 'item', input: 'number' },
+  { value: 'sell_item', label: 'Sell Item (current shop)', key: 'item', input: 'number' },
+  { value: 'add_status', label: 'Apply Status Effect', key: 'status', input: 'count', placeholder: 'Turns' },
+  { value: 'cure_status', label: 'Cure Status Effect', key: 'status', input: 'count', placeholder: 'Stacks' },
+  { value: 'character_stat', label: 'Change Character Stat', key: 'characterStat', input: 'number' },
+  { value: 'start_quest', label: 'Start Quest', key: 'quest' },
+  { value: 'complete_objective', label: 'Complete Quest Objective', key: 'objective' },
+  { value: 'fail_quest', label: 'Fail Quest', key: 'quest' },
+  { value: 'add_achievement', label: 'Unlock Achievement', key: 'achievement' },
+  { value: 'unlock_secret', label: 'Reveal Secret Choice', key: 'text', placeholder: 'Secret choice id' },
+  { value: 'go_to_scene', label: 'Go to Scene', key: 'scene' },
+  { value: 'roll', label: 'Roll Dice', key: 'stat', input: 'text', placeholder: '2d6 + agility' },
+  { value: 'trigger_event', label: 'Trigger Event', key: 'text', input: 'text', placeholder: 'Payload (optional)' }
+];
 
 export function InventoryEditor({ 
   items = [], 
   onItemsChange,
+  equipmentSlots = [],
+  onEquipmentSlotsChange,
+  availableStats = [],
+  availableFlags = [],
+  availableScenes = [],
+  availableMetaFlags = [],
+  availableAchievements = [],
+  availableRecipes = [],
+  availableStatusEffects = [],
+  availableCharacters = [],
+  availableQuests = [],
+  onInlineAddFlag = null,
   isOpen = false,
   onClose,
   className = ''
@@ -88,12 +133,13 @@ export function InventoryEditor({
       value: 0,
       maxStack: 1,
       consumable: false,
-      equipable: false,
       unique: false,
       hidden: false,
       rarity: 'common',
       icon: '',
-      effects: []
+      effects: [],
+      slot: '',
+      modifiers: []
     };
 
     setEditingItem(newItem);
@@ -253,7 +299,12 @@ export function InventoryEditor({
                 )
               )
             )
-          )
+          ),
+
+          React.createElement(EquipmentSlotsSection, {
+            slots: equipmentSlots,
+            onSlotsChange: onEquipmentSlotsChange
+          })
         ),
 
         // Main content area
@@ -318,6 +369,17 @@ export function InventoryEditor({
         item: editingItem,
         categories: itemCategories,
         existingItems: items,
+        equipmentSlots,
+        availableStats,
+        availableFlags,
+        availableScenes,
+        availableMetaFlags,
+        availableAchievements,
+        availableRecipes,
+        availableStatusEffects,
+        availableCharacters,
+        availableQuests,
+        onInlineAddFlag,
         onSave: handleSaveItem,
         onCancel: () => {
           setShowItemDialog(false);
@@ -393,9 +455,9 @@ function ItemCard({ item, category, hasErrors, errors, onEdit, onDelete, onDupli
             className: 'px-2 py-1 text-xs bg-green-100 text-green-800 rounded'
           }, 'Consumable'),
 
-          item.equipable && React.createElement('span', {
+          item.slot && React.createElement('span', {
             className: 'px-2 py-1 text-xs bg-purple-100 text-purple-800 rounded'
-          }, 'Equipable'),
+          }, `Slot: ${item.slot}`),
 
           item.unique && React.createElement('span', {
             className: 'px-2 py-1 text-xs bg-orange-100 text-orange-800 rounded'
@@ -409,7 +471,11 @@ function ItemCard({ item, category, hasErrors, errors, onEdit, onDelete, onDupli
         // Effects summary
         item.effects && item.effects.length > 0 && React.createElement('div', {
           className: 'mt-2 text-sm text-gray-600'
-        }, `${item.effects.length} effect${item.effects.length > 1 ? 's' : ''}`)
+        }, `${item.effects.length} effect${item.effects.length > 1 ? 's' : ''}`),
+
+        item.modifiers && item.modifiers.length > 0 && React.createElement('div', {
+          className: 'mt-1 text-sm text-gray-600'
+        }, `${item.modifiers.length} stat modifier${item.modifiers.length > 1 ? 's' : ''} while equipped`)
       ),
 
       // Actions menu
@@ -470,8 +536,9 @@ function ItemCard({ item, category, hasErrors, errors, onEdit, onDelete, onDupli
 }
 
 // Item editing dialog
-function ItemDialog({ item, categories, existingItems, onSave, onCancel }) {
-  const [formData, setFormData] = useState(item);
+function ItemDialog({ item, categories, existingItems, equipmentSlots = [], availableStats = [], onSave, onCancel, ...effectContext }) {
+  // Older stat_add / flag_set effects are edited as the actions they run
+  const [formData, setFormData] = useState(() => ({ ...item, effects: getItemActions(item) }));
   const [activeTab, setActiveTab] = useState('basic');
 
   const handleFieldChange = useCallback((field, value) => {
@@ -484,16 +551,21 @@ function ItemDialog({ item, categories, existingItems, onSave, onCancel }) {
   const handleEffectChange = useCallback((index, field, value) => {
     setFormData(prev => ({
       ...prev,
-      effects: prev.effects.map((effect, i) => 
-        i === index ? { ...effect, [field]: value } : effect
-      )
+      effects: prev.effects.map((effect, i) => {
+        if (i !== index) return effect;
+        if (field !== 'type') return { ...effect, [field]: value };
+        // A new type starts with an empty key and a value of the right kind
+        const input = EFFECT_TYPES.find(type => type.value === value)?.input;
+        const { value: previous, ...rest } = effect;
+        return { ...rest, type: value, key: '', ...(input === 'number' ? { value: 1 } : input === 'boolean' ? { value: true } : {}) };
+      })
     }));
   }, []);
 
   const handleAddEffect = useCallback(() => {
     setFormData(prev => ({
       ...prev,
-      effects: [...prev.effects, { type: 'stat_add', target: '', value: 0 }]
+      effects: [...prev.effects, { type: 'add_stat', key: '', value: 1 }]
     }));
   }, []);
 
@@ -504,6 +576,29 @@ function ItemDialog({ item, categories, existingItems, onSave, onCancel }) {
     }));
   }, []);
 
+  const handleModifierChange = useCallback((index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      modifiers: (prev.modifiers || []).map((modifier, i) =>
+        i === index ? { ...modifier, [field]: value } : modifier
+      )
+    }));
+  }, []);
+
+  const handleAddModifier = useCallback(() => {
+    setFormData(prev => ({
+      ...prev,
+      modifiers: [...(prev.modifiers || []), { stat: '', type: 'add', value: 0 }]
+    }));
+  }, []);
+
+  const handleRemoveModifier = useCallback((index) => {
+    setFormData(prev => ({
+      ...prev,
+      modifiers: (prev.modifiers || []).filter((_, i) => i !== index)
+    }));
+  }, []);
+
   const validation = useMemo(() => {
     const errors = validateItem(formData, existingItems.filter(i => i.id !== item.id));
     return {
@@ -541,7 +636,7 @@ function ItemDialog({ item, categories, existingItems, onSave, onCancel }) {
       React.createElement('div', {
         className: 'flex border-b'
       },
-        ['basic', 'properties', 'effects'].map(tab =>
+        ['basic', 'properties', 'effects', 'equipment'].map(tab =>
           React.createElement('button', {
             key: tab,
             onClick: () => setActiveTab(tab),
@@ -570,10 +665,26 @@ function ItemDialog({ item, categories, existingItems, onSave, onCancel }) {
         }),
 
         activeTab === 'effects' && React.createElement(ItemEffectsForm, {
+          formData,
           effects: formData.effects || [],
+          availableStats,
+          availableItems: [...existingItems.filter(existing => existing.id !== item.id), formData],
+          availableEquipmentSlots: equipmentSlots,
+          ...effectContext,
+          onFieldChange: handleFieldChange,
           onEffectChange: handleEffectChange,
           onAddEffect: handleAddEffect,
           onRemoveEffect: handleRemoveEffect
+        }),
+
+        activeTab === 'equipment' && React.createElement(ItemEquipmentForm, {
+          formData,
+          equipmentSlots,
+          availableStats,
+          onFieldChange: handleFieldChange,
+          onModifierChange: handleModifierChange,
+          onAddModifier: handleAddModifier,
+          onRemoveModifier: handleRemoveModifier
         })
       ),
 
@@ -744,7 +855,7 @@ function ItemPropertiesForm({ formData, onFieldChange }) {
     React.createElement('div', {
       className: 'grid grid-cols-2 gap-4'
     },
-      ['consumable', 'equipable', 'unique', 'hidden'].map(prop =>
+      ['consumable', 'unique', 'hidden'].map(prop =>
         React.createElement('label', {
           key: prop,
           className: 'flex items-center'
@@ -764,17 +875,178 @@ function ItemPropertiesForm({ formData, onFieldChange }) {
   );
 }
 
-// Item effects form
-function ItemEffectsForm({ effects, onEffectChange, onAddEffect, onRemoveEffect }) {
+// Item effects form: when the item can be used, what it needs and the actions it runs
+function ItemEffectsForm({
+  formData,
+  effects,
+  availableStats = [],
+  availableFlags = [],
+  availableItems = [],
+  availableScenes = [],
+  availableMetaFlags = [],
+  availableAchievements = [],
+  availableRecipes = [],
+  availableEquipmentSlots = [],
+  availableStatusEffects = [],
+  availableCharacters = [],
+  availableQuests = [],
+  onInlineAddFlag = null,
+  onFieldChange,
+  onEffectChange,
+  onAddEffect,
+  onRemoveEffect
+}) {
+  const keyOptions = {
+    stat: availableStats,
+    flag: availableFlags,
+    metaFlag: availableMetaFlags,
+    item: availableItems,
+    recipe: availableRecipes,
+    achievement: availableAchievements,
+    scene: availableScenes,
+    status: availableStatusEffects,
+    // Character stats are picked as 'characterId.statId'
+    characterStat: availableCharacters.flatMap(character => (character.stats || []).filter(stat => stat?.id).map(stat => ({
+      id: `${character.id}.${stat.id}`,
+      name: `${character.name || character.id}: ${stat.name || stat.id}`
+    }))),
+    quest: availableQuests,
+    // Objectives are picked as 'questId.objectiveId'
+    objective: availableQuests.filter(quest => quest?.id).flatMap(quest => (quest.objectives || []).filter(objective => objective?.id).map(objective => ({
+      id: `${quest.id}.${objective.id}`,
+      name: `${quest.name || quest.id}: ${objective.description || objective.id}`
+    })))
+  };
+  const inputClass = 'px-2 py-1 border rounded text-sm';
+
+  const renderKey = (effect, index, type) => {
+    if (!type || type.key === 'text') {
+      return React.createElement('input', {
+        type: 'text',
+        value: effect.key || '',
+        onChange: (e) => onEffectChange(index, 'key', e.target.value),
+        placeholder: type?.placeholder || (type?.value === 'trigger_event' ? 'Event name' : 'Key'),
+        className: `flex-1 ${inputClass}`
+      });
+    }
+    return React.createElement('select', {
+      value: effect.key || '',
+      onChange: (e) => onEffectChange(index, 'key', e.target.value),
+      className: `flex-1 ${inputClass}`
+    },
+      React.createElement('option', { value: '' }, `Select ${{ metaFlag: 'meta flag', status: 'status effect', characterStat: 'character stat' }[type.key] || type.key}...`),
+      (keyOptions[type.key] || []).filter(option => option?.id).map(option =>
+        React.createElement('option', { key: option.id, value: option.id }, option.name || option.title || option.id)
+      )
+    );
+  };
+
+  const renderValue = (effect, index, type) => {
+    if (type?.input === 'number') {
+      return React.createElement('input', {
+        type: 'number',
+        value: effect.value ?? 0,
+        onChange: (e) => onEffectChange(index, 'value', Number(e.target.value)),
+        className: `w-20 ${inputClass}`
+      });
+    }
+    // Optional count: empty keeps the default (the effect's duration / every stack)
+    if (type?.input === 'count') {
+      return React.createElement('input', {
+        type: 'number',
+        min: 0,
+        value: effect.value ?? '',
+        onChange: (e) => onEffectChange(index, 'value', e.target.value === '' ? null : Number(e.target.value)),
+        placeholder: type.placeholder,
+        className: `w-20 ${inputClass}`
+      });
+    }
+    if (type?.input === 'boolean') {
+      return React.createElement('select', {
+        value: String(effect.value !== false),
+        onChange: (e) => onEffectChange(index, 'value', e.target.value === 'true'),
+        className: `w-20 ${inputClass}`
+      },
+        React.createElement('option', { value: 'true' }, 'True'),
+        React.createElement('option', { value: 'false' }, 'False')
+      );
+    }
+    if (type?.input === 'text') {
+      return React.createElement('input', {
+        type: 'text',
+        value: effect.value ?? '',
+        onChange: (e) => onEffectChange(index, 'value', e.target.value),
+        placeholder: type.placeholder,
+        className: `w-32 ${inputClass}`
+      });
+    }
+    return null;
+  };
+
   return React.createElement('div', {
     className: 'space-y-4'
   },
+    // Using the item
+    React.createElement('div', {
+      className: 'space-y-3'
+    },
+      React.createElement('label', {
+        className: 'flex items-center'
+      },
+        React.createElement('input', {
+          type: 'checkbox',
+          checked: !!formData.usable || !!formData.consumable,
+          disabled: !!formData.consumable,
+          onChange: (e) => onFieldChange('usable', e.target.checked),
+          className: 'mr-2'
+        }),
+        React.createElement('span', {
+          className: 'text-sm font-medium text-gray-700'
+        }, formData.consumable ? 'Usable (consumable: used up on use)' : 'Usable (kept after use)')
+      ),
+
+      React.createElement('div', null,
+        React.createElement('label', {
+          className: 'block text-sm font-medium text-gray-700 mb-1'
+        }, 'Usable in'),
+        React.createElement('input', {
+          type: 'text',
+          value: (formData.usableIn || []).join(', '),
+          onChange: (e) => onFieldChange('usableIn', e.target.value.split(',').map(place => place.trim()).filter(Boolean)),
+          placeholder: 'Anywhere (or scene ids / scene tags, comma separated)',
+          className: 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+        })
+      ),
+
+      React.createElement('div', null,
+        React.createElement('h4', {
+          className: 'text-sm font-medium text-gray-700 mb-1'
+        }, 'Use conditions'),
+        React.createElement(ConditionBuilder, {
+          conditions: formData.requirements || [],
+          onConditionsChange: (conditions) => onFieldChange('requirements', conditions),
+          availableStats,
+          availableFlags,
+          availableItems,
+          availableScenes,
+          availableMetaFlags,
+          availableAchievements,
+          availableEquipmentSlots,
+          availableRecipes,
+          availableStatusEffects,
+          availableCharacters,
+          availableQuests,
+          onInlineAddFlag
+        })
+      )
+    ),
+
     React.createElement('div', {
       className: 'flex justify-between items-center'
     },
       React.createElement('h4', {
         className: 'font-medium'
-      }, 'Item Effects'),
+      }, 'Effects When Used'),
       React.createElement('button', {
         onClick: onAddEffect,
         className: 'px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700'
@@ -786,10 +1058,11 @@ function ItemEffectsForm({ effects, onEffectChange, onAddEffect, onRemoveEffect
         className: 'text-center py-4 text-gray-500 border-2 border-dashed border-gray-300 rounded-lg'
       }, 'No effects configured') :
 
-      effects.map((effect, index) =>
-        React.createElement('div', {
+      effects.map((effect, index) => {
+        const type = EFFECT_TYPES.find(option => option.value === effect.type);
+        return React.createElement('div', {
           key: index,
-          className: 'border rounded-lg p-3 bg-white'
+          className: 'border rounded-lg p-3 bg-white space-y-2'
         },
           React.createElement('div', {
             className: 'flex items-center gap-3'
@@ -797,39 +1070,116 @@ function ItemEffectsForm({ effects, onEffectChange, onAddEffect, onRemoveEffect
             React.createElement('select', {
               value: effect.type,
               onChange: (e) => onEffectChange(index, 'type', e.target.value),
+              className: inputClass
+            },
+              !type && React.createElement('option', { value: effect.type }, `${effect.type} (not supported)`),
+              EFFECT_TYPES.map(option =>
+                React.createElement('option', { key: option.value, value: option.value }, option.label)
+              )
+            ),
+
+            renderKey(effect, index, type),
+            renderValue(effect, index, type),
+
+            React.createElement('button', {
+              onClick: () => onRemoveEffect(index),
+              className: 'p-1 text-red-600 hover:text-red-800'
+            }, '🗑️')
+          ),
+
+          React.createElement('input', {
+            type: 'text',
+            value: effect.description || '',
+            onChange: (e) => onEffectChange(index, 'description', e.target.value),
+            placeholder: 'Message shown to the player (optional)',
+            className: `w-full ${inputClass}`
+          })
+        );
+      })
+  );
+}
+
+// Equipment form: the slot an item goes into and what it does to stats while equipped
+function ItemEquipmentForm({ formData, equipmentSlots, availableStats, onFieldChange, onModifierChange, onAddModifier, onRemoveModifier }) {
+  const modifiers = formData.modifiers || [];
+
+  return React.createElement('div', {
+    className: 'space-y-4'
+  },
+    React.createElement('div', null,
+      React.createElement('label', {
+        className: 'block text-sm font-medium text-gray-700 mb-1'
+      }, 'Equipment Slot'),
+      React.createElement('select', {
+        value: formData.slot || '',
+        onChange: (e) => onFieldChange('slot', e.target.value),
+        className: 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+      },
+        React.createElement('option', { value: '' }, 'Not equippable'),
+        equipmentSlots.map(slot =>
+          React.createElement('option', { key: slot.id, value: slot.id }, slot.name || slot.id)
+        )
+      ),
+      equipmentSlots.length === 0 && React.createElement('p', {
+        className: 'text-xs text-gray-500 mt-1'
+      }, 'Add equipment slots in the sidebar first.')
+    ),
+
+    React.createElement('div', {
+      className: 'flex justify-between items-center'
+    },
+      React.createElement('h4', {
+        className: 'font-medium'
+      }, 'Stat Modifiers (while equipped)'),
+      React.createElement('button', {
+        onClick: onAddModifier,
+        className: 'px-3 py-1 text-sm bg-green-600 text-white rounded-md hover:bg-green-700'
+      }, '+ Add Modifier')
+    ),
+
+    modifiers.length === 0 ?
+      React.createElement('div', {
+        className: 'text-center py-4 text-gray-500 border-2 border-dashed border-gray-300 rounded-lg'
+      }, 'No stat modifiers configured') :
+
+      modifiers.map((modifier, index) =>
+        React.createElement('div', {
+          key: index,
+          className: 'border rounded-lg p-3 bg-white'
+        },
+          React.createElement('div', {
+            className: 'flex items-center gap-3'
+          },
+            React.createElement('select', {
+              value: modifier.stat || '',
+              onChange: (e) => onModifierChange(index, 'stat', e.target.value),
+              className: 'flex-1 px-2 py-1 border rounded text-sm'
+            },
+              React.createElement('option', { value: '' }, 'Select stat...'),
+              availableStats.map(stat =>
+                React.createElement('option', { key: stat.id, value: stat.id }, stat.name || stat.id)
+              )
+            ),
+
+            React.createElement('select', {
+              value: modifier.type || 'add',
+              onChange: (e) => onModifierChange(index, 'type', e.target.value),
               className: 'px-2 py-1 border rounded text-sm'
             },
-              React.createElement('option', { value: 'stat_add' }, 'Add to Stat'),
-              React.createElement('option', { value: 'stat_set' }, 'Set Stat'),
-              React.createElement('option', { value: 'flag_set' }, 'Set Flag')
+              React.createElement('option', { value: 'add' }, 'Add'),
+              React.createElement('option', { value: 'multiply' }, 'Multiply')
             ),
 
             React.createElement('input', {
-              type: 'text',
-              value: effect.target,
-              onChange: (e) => onEffectChange(index, 'target', e.target.value),
-              placeholder: 'Target stat/flag',
-              className: 'flex-1 px-2 py-1 border rounded text-sm'
+              type: 'number',
+              step: modifier.type === 'multiply' ? 0.1 : 1,
+              value: modifier.value,
+              onChange: (e) => onModifierChange(index, 'value', Number(e.target.value)),
+              className: 'w-20 px-2 py-1 border rounded text-sm'
             }),
 
-            effect.type !== 'flag_set' ?
-              React.createElement('input', {
-                type: 'number',
-                value: effect.value,
-                onChange: (e) => onEffectChange(index, 'value', Number(e.target.value)),
-                className: 'w-20 px-2 py-1 border rounded text-sm'
-              }) :
-              React.createElement('select', {
-                value: effect.value,
-                onChange: (e) => onEffectChange(index, 'value', e.target.value === 'true'),
-                className: 'w-20 px-2 py-1 border rounded text-sm'
-              },
-                React.createElement('option', { value: 'true' }, 'True'),
-                React.createElement('option', { value: 'false' }, 'False')
-              ),
-
             React.createElement('button', {
-              onClick: () => onRemoveEffect(index),
+              onClick: () => onRemoveModifier(index),
               className: 'p-1 text-red-600 hover:text-red-800'
             }, '🗑️')
           )
@@ -838,6 +1188,78 @@ function ItemEffectsForm({ effects, onEffectChange, onAddEffect, onRemoveEffect
   );
 }
 
+// Equipment slot list in the sidebar (id, name and how many items fit)
+function EquipmentSlotsSection({ slots = [], onSlotsChange }) {
+  const updateSlot = (index, field, value) => {
+    onSlotsChange?.(slots.map((slot, i) => (i === index ? { ...slot, [field]: value } : slot)));
+  };
+
+  const addSlot = () => {
+    let number = slots.length + 1;
+    while (slots.some(slot => slot.id === `slot_${number}`)) number++;
+    onSlotsChange?.([...slots, { id: `slot_${number}`, name: `Slot ${number}`, capacity: 1 }]);
+  };
+
+  return React.createElement('div', {
+    className: 'border-t pt-3 mt-4'
+  },
+    React.createElement('div', {
+      className: 'flex justify-between items-center mb-2'
+    },
+      React.createElement('span', {
+        className: 'text-sm font-medium text-gray-700'
+      }, '🎽 Equipment Slots'),
+      typeof onSlotsChange === 'function' && React.createElement('button', {
+        onClick: addSlot,
+        className: 'text-sm text-blue-600 hover:text-blue-800'
+      }, '+ Add')
+    ),
+
+    slots.length === 0 && React.createElement('p', {
+      className: 'text-xs text-gray-500'
+    }, 'No slots. Items need a slot to be equipped.'),
+
+    slots.map((slot, index) =>
+      React.createElement('div', {
+        key: index,
+        className: 'bg-white border rounded p-2 mb-2 space-y-1'
+      },
+        React.createElement('div', {
+          className: 'flex gap-1'
+        },
+          React.createElement('input', {
+            type: 'text',
+            value: slot.id,
+            onChange: (e) => updateSlot(index, 'id', e.target.value.trim()),
+            placeholder: 'id',
+            title: 'Slot ID',
+            className: 'w-1/2 px-2 py-1 border rounded text-xs'
+          }),
+          React.createElement('input', {
+            type: 'number',
+            min: 1,
+            value: slot.capacity ?? 1,
+            onChange: (e) => updateSlot(index, 'capacity', Number(e.target.value)),
+            title: 'Capacity',
+            className: 'w-14 px-2 py-1 border rounded text-xs'
+          }),
+          React.createElement('button', {
+            onClick: () => onSlotsChange?.(slots.filter((_, i) => i !== index)),
+            className: 'px-1 text-red-600 hover:text-red-800 text-xs'
+          }, '✕')
+        ),
+        React.createElement('input', {
+          type: 'text',
+          value: slot.name || '',
+          onChange: (e) => updateSlot(index, 'name', e.target.value),
+          placeholder: 'Name',
+          className: 'w-full px-2 py-1 border rounded text-xs'
+        })
+      )
+    )
+  );
+}
+
 // Bulk import dialog
 function BulkImportDialog({ onImport, onCancel, existingItems }) {
   const [importText, setImportText] = useState('');
@@ -1040,13 +1462,30 @@ function validateItem(item, existingItems = []) {
   }
 
   if (item.effects && Array.isArray(item.effects)) {
-    item.effects.forEach((effect, index) => {
-      if (!effect.target || !effect.target.trim()) {
-        errors.push(`Effect ${index + 1}: target is required`);
+    getItemActions(item).forEach((effect, index) => {
+      const type = EFFECT_TYPES.find(option => option.value === effect.type);
+      if (!type) {
+        errors.push(`Effect ${index + 1}: "${effect.type}" is not an action items can run`);
+      } else if (!effect.key || !String(effect.key).trim()) {
+        errors.push(`Effect ${index + 1}: ${type.key === 'text' ? 'key' : type.key} is required`);
       }
-      if (effect.type !== 'flag_set' && (typeof effect.value !== 'number')) {
+      if (type?.input === 'number' && (typeof effect.value !== 'number' || !Number.isFinite(effect.value))) {
         errors.push(`Effect ${index + 1}: value must be a number`);
       }
+      if (type?.input === 'count' && effect.value != null && !(Number(effect.value) >= 0)) {
+        errors.push(`Effect ${index + 1}: ${type.placeholder.toLowerCase()} cannot be negative`);
+      }
+    });
+  }
+
+  if (item.modifiers && Array.isArray(item.modifiers)) {
+    item.modifiers.forEach((modifier, index) => {
+      if (!modifier.stat) {
+        errors.push(`Modifier ${index + 1}: stat is required`);
+      }
+      if (typeof modifier.value !== 'number' || !Number.isFinite(modifier.value)) {
+        errors.push(`Modifier ${index + 1}: value must be a number`);
+      }
     });
   }
 
@@ -0,0 +1,460 @@
+// QuestsEditor.js - Manage quests: objectives, the conditions that start / progress / fail them and their rewards
+import React, { useMemo, useState, useCallback, useEffect } from "https://esm.sh/react@18";
+import ConditionBuilder from '../common/ConditionBuilder.js';
+
+// Actions onComplete / onFail can run: what the key picks
+const QUEST_ACTIONS = [
+  { value: 'add_stat', label: 'Add to Stat', key: 'stat' },
+  { value: 'set_stat', label: 'Set Stat', key: 'stat' },
+  { value: 'set_flag', label: 'Set Flag', key: 'flag' },
+  { value: 'add_inventory', label: 'Add Item', key: 'item' },
+  { value: 'remove_inventory', label: 'Remove Item', key: 'item' },
+  { value: 'add_status', label: 'Apply Status Effect', key: 'status' },
+  { value: 'add_achievement', label: 'Unlock Achievement', key: 'achievement' },
+  { value: 'start_quest', label: 'Start Quest', key: 'quest' }
+];
+
+const hasList = list => Array.isArray(list) && list.length > 0;
+
+export default function QuestsEditor({
+  quests = [],
+  isOpen = false,
+  onClose = () => {},
+  onQuestsChange = () => {},
+  availableStats = [],
+  availableFlags = [],
+  availableItems = [],
+  availableScenes = [],
+  availableMetaFlags = [],
+  availableAchievements = [],
+  availableEquipmentSlots = [],
+  availableRecipes = [],
+  availableStatusEffects = [],
+  availableCharacters = [],
+  onInlineAddFlag = null,
+  className = ''
+}) {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const filtered = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    if (!s) return quests;
+    return quests.filter(q =>
+      (q.name || '').toLowerCase().includes(s) ||
+      (q.id || '').toLowerCase().includes(s) ||
+      (q.description || '').toLowerCase().includes(s)
+    );
+  }, [quests, search]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    if (selectedId) {
+      const quest = quests.find(q => q.id === selectedId);
+      if (quest) setEditing({ ...quest });
+    } else if (quests.length > 0) {
+      setSelectedId(quests[0].id);
+    }
+  }, [isOpen, quests, selectedId]);
+
+  const handleCreate = useCallback(() => {
+    const quest = {
+      id: `quest_${Date.now()}`,
+      name: 'New Quest',
+      description: '',
+      objectives: [{ id: 'objective_1', description: 'First objective' }],
+      startWhen: [],
+      failWhen: [],
+      onComplete: [],
+      onFail: []
+    };
+    setEditing(quest);
+    setSelectedId(quest.id);
+    setErrors([]);
+  }, []);
+
+  const handleSelect = useCallback((id) => {
+    setSelectedId(id);
+    const quest = quests.find(q => q.id === id);
+    setEditing(quest ? { ...quest } : null);
+    setErrors([]);
+  }, [quests]);
+
+  const validate = useCallback((quest, others) => {
+    const errs = [];
+    if (!quest.id || !quest.id.trim()) errs.push('ID is required.');
+    if ((quest.id || '').includes('.')) errs.push('ID cannot contain a dot (objectives are addressed as quest.objective).');
+    if (!quest.name || !quest.name.trim()) errs.push('Name is required.');
+    if (others.some(o => o.id === quest.id)) errs.push('ID must be unique.');
+    const objectiveIds = new Set();
+    (quest.objectives || []).forEach((objective, i) => {
+      if (!objective.id) errs.push(`Objective ${i + 1}: ID is required.`);
+      else if (objectiveIds.has(objective.id)) errs.push(`Objective ${i + 1}: ID "${objective.id}" is used twice.`);
+      objectiveIds.add(objective.id);
+    });
+    if (!(quest.objectives || []).some(objective => !objective.optional)) {
+      errs.push('Add at least one objective that is not optional; the quest can never complete otherwise.');
+    }
+    ['onComplete', 'onFail'].forEach(field => {
+      (quest[field] || []).forEach((action, i) => {
+        if (!action.key) errs.push(`${field === 'onComplete' ? 'On complete' : 'On fail'} action ${i + 1}: pick a target.`);
+      });
+    });
+    return errs;
+  }, []);
+
+  const handleSave = useCallback(() => {
+    if (!editing) return;
+    const others = quests.filter(q => q.id !== selectedId && q.id !== editing.id);
+    const v = validate(editing, others);
+    setErrors(v);
+    if (v.length > 0) return;
+
+    const exists = quests.some(q => q.id === selectedId);
+    const next = exists
+      ? quests.map(q => q.id === selectedId ? editing : q)
+      : [...quests, editing];
+    onQuestsChange(next);
+    setSelectedId(editing.id);
+  }, [editing, quests, selectedId, onQuestsChange, validate]);
+
+  const handleDelete = useCallback((id) => {
+    if (!id) return;
+    if (!confirm('Delete this quest? Actions and conditions that refer to it will stop working.')) return;
+    const next = quests.filter(q => q.id !== id);
+    onQuestsChange(next);
+    if (selectedId === id) {
+      setSelectedId(next[0]?.id || null);
+      setEditing(next[0] ? { ...next[0] } : null);
+    }
+  }, [quests, onQuestsChange, selectedId]);
+
+  // Conditions may refer to any quest, including the one being edited with its unsaved objectives
+  const conditionContext = {
+    availableStats,
+    availableFlags,
+    availableItems,
+    availableScenes,
+    availableMetaFlags,
+    availableAchievements,
+    availableEquipmentSlots,
+    availableRecipes,
+    availableStatusEffects,
+    availableCharacters,
+    availableQuests: editing ? [...quests.filter(q => q.id !== selectedId), editing] : quests,
+    onInlineAddFlag
+  };
+
+  const keyOptions = {
+    stat: availableStats,
+    flag: availableFlags,
+    item: availableItems,
+    status: availableStatusEffects,
+    achievement: availableAchievements,
+    quest: quests.filter(q => q.id !== selectedId)
+  };
+
+  if (!isOpen) return null;
+
+  return React.createElement('div', {
+    className: `fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 ${className}`,
+    onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+  },
+    React.createElement('div', {
+      className: 'bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col'
+    },
+      // Header
+      React.createElement('div', { className: 'flex items-center justify-between p-4 border-b' }, [
+        React.createElement('div', { key: 'title' }, [
+          React.createElement('h2', { className: 'text-xl font-semibold text-gray-900' }, 'Quests'),
+          React.createElement('p', { className: 'text-sm text-gray-600' }, `${quests.length} defined`)
+        ]),
+        React.createElement('div', { key: 'actions', className: 'flex items-center gap-2' }, [
+          React.createElement('input', {
+            key: 'search',
+            type: 'text',
+            value: search,
+            onChange: (e) => setSearch(e.target.value),
+            placeholder: 'Search quests...',
+            className: 'px-3 py-2 border rounded-md text-sm'
+          }),
+          React.createElement('button', {
+            key: 'create',
+            onClick: handleCreate,
+            className: 'px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700'
+          }, '+ Create'),
+          React.createElement('button', {
+            key: 'close',
+            onClick: onClose,
+            className: 'px-3 py-2 text-gray-600 hover:text-gray-800'
+          }, '✕')
+        ])
+      ]),
+
+      // Body
+      React.createElement('div', { className: 'flex-1 flex overflow-hidden' }, [
+        // List
+        React.createElement('div', { key: 'list', className: 'w-72 border-r overflow-y-auto p-3 bg-gray-50' }, [
+          filtered.length === 0 ?
+            React.createElement('div', { key: 'empty', className: 'text-sm text-gray-500 p-3 italic' }, 'No quests found') :
+            filtered.map(quest => React.createElement('div', {
+              key: quest.id,
+              className: `p-2 rounded cursor-pointer text-sm ${selectedId === quest.id ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100'}`,
+              onClick: () => handleSelect(quest.id)
+            }, [
+              React.createElement('div', { key: 'name', className: 'font-medium truncate' }, quest.name || quest.id),
+              React.createElement('div', { key: 'meta', className: 'text-xs text-gray-600 truncate' },
+                `${(quest.objectives || []).length} objective${(quest.objectives || []).length === 1 ? '' : 's'}${hasList(quest.startWhen) ? ' · starts automatically' : ''}`)
+            ]))
+        ]),
+
+        // Editor
+        React.createElement('div', { key: 'editor', className: 'flex-1 overflow-y-auto p-4' }, [
+          !editing ? React.createElement('div', { key: 'none', className: 'h-full flex items-center justify-center text-gray-500' }, 'Select or create a quest') :
+          React.createElement('div', { key: 'form', className: 'space-y-4' }, [
+            React.createElement('div', { key: 'basic', className: 'grid grid-cols-2 gap-4' }, [
+              React.createElement(Field, {
+                key: 'name', label: 'Name *', value: editing.name,
+                onChange: (v) => setEditing(prev => ({ ...prev, name: v }))
+              }),
+              React.createElement(Field, {
+                key: 'id', label: 'ID *', value: editing.id,
+                onChange: (v) => setEditing(prev => ({ ...prev, id: v.trim() }))
+              })
+            ]),
+
+            React.createElement(TextArea, {
+              key: 'desc', label: 'Description (shown in the journal)', value: editing.description || '', rows: 2,
+              onChange: (v) => setEditing(prev => ({ ...prev, description: v }))
+            }),
+
+            React.createElement(ObjectivesList, {
+              key: 'objectives',
+              objectives: editing.objectives || [],
+              conditionContext,
+              onChange: (objectives) => setEditing(prev => ({ ...prev, objectives }))
+            }),
+
+            React.createElement('div', { key: 'startWhen' }, [
+              React.createElement('h3', { key: 'title', className: 'text-sm font-medium text-gray-900 mb-1' }, 'Start when'),
+              React.createElement('p', { key: 'help', className: 'text-xs text-gray-500 mb-2' },
+                'Optional. The quest starts by itself once these hold; otherwise use a Start Quest action.'),
+              React.createElement(ConditionBuilder, {
+                key: 'builder',
+                conditions: editing.startWhen || [],
+                onConditionsChange: (conds) => setEditing(prev => ({ ...prev, startWhen: conds })),
+                ...conditionContext
+              })
+            ]),
+
+            React.createElement('div', { key: 'failWhen' }, [
+              React.createElement('h3', { key: 'title', className: 'text-sm font-medium text-gray-900 mb-1' }, 'Fail when'),
+              React.createElement('p', { key: 'help', className: 'text-xs text-gray-500 mb-2' },
+                'Optional. The active quest fails once these hold.'),
+              React.createElement(ConditionBuilder, {
+                key: 'builder',
+                conditions: editing.failWhen || [],
+                onConditionsChange: (conds) => setEditing(prev => ({ ...prev, failWhen: conds })),
+                ...conditionContext
+              })
+            ]),
+
+            React.createElement('div', { key: 'actions', className: 'grid grid-cols-2 gap-4' }, [
+              React.createElement(ActionsList, {
+                key: 'onComplete',
+                title: 'When it completes',
+                actions: editing.onComplete || [],
+                keyOptions,
+                onChange: (actions) => setEditing(prev => ({ ...prev, onComplete: actions }))
+              }),
+              React.createElement(ActionsList, {
+                key: 'onFail',
+                title: 'When it fails',
+                actions: editing.onFail || [],
+                keyOptions,
+                onChange: (actions) => setEditing(prev => ({ ...prev, onFail: actions }))
+              })
+            ]),
+
+            errors.length > 0 && React.createElement('div', { key: 'errors', className: 'bg-red-50 border border-red-200 rounded p-3 text-sm text-red-700' },
+              errors.map((e, i) => React.createElement('div', { key: i }, `• ${e}`))
+            ),
+
+            // Footer buttons
+            React.createElement('div', { key: 'footer', className: 'flex items-center justify-between pt-2' }, [
+              React.createElement('button', {
+                key: 'delete',
+                onClick: () => handleDelete(selectedId),
+                className: 'px-3 py-2 text-red-600 hover:text-red-800'
+              }, 'Delete'),
+              React.createElement('div', { key: 'cta', className: 'flex gap-2' }, [
+                React.createElement('button', { key: 'cancel', onClick: onClose, className: 'px-4 py-2 border rounded-md' }, 'Cancel'),
+                React.createElement('button', { key: 'save', onClick: handleSave, className: 'px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700' }, 'Save')
+              ])
+            ])
+          ])
+        ])
+      ])
+    )
+  );
+}
+
+// Objective rows; each can complete / fail by itself through conditions (shown on demand)
+function ObjectivesList({ objectives, conditionContext, onChange }) {
+  const [expanded, setExpanded] = useState(null);
+  const update = (index, changes) => onChange(objectives.map((objective, i) => (i === index ? { ...objective, ...changes } : objective)));
+
+  return React.createElement('div', null,
+    React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+      React.createElement('h3', { className: 'text-sm font-medium text-gray-900' }, 'Objectives'),
+      React.createElement('button', {
+        onClick: () => onChange([...objectives, { id: `objective_${objectives.length + 1}`, description: '' }]),
+        className: 'px-2 py-1 text-xs bg-green-600 text-white rounded-md hover:bg-green-700'
+      }, '+ Add Objective')
+    ),
+    objectives.length === 0 ?
+      React.createElement('div', { className: 'text-center py-3 text-sm text-gray-500 border-2 border-dashed border-gray-300 rounded-lg' }, 'No objectives') :
+      React.createElement('div', { className: 'space-y-2' },
+        objectives.map((objective, index) => React.createElement('div', { key: index, className: 'border rounded-md p-2' },
+          React.createElement('div', { className: 'grid grid-cols-12 gap-2 items-center' },
+            React.createElement('input', {
+              type: 'text',
+              value: objective.id || '',
+              onChange: (e) => update(index, { id: e.target.value.trim() }),
+              placeholder: 'find_key',
+              className: 'col-span-3 px-2 py-1 border rounded text-sm'
+            }),
+            React.createElement('input', {
+              type: 'text',
+              value: objective.description || '',
+              onChange: (e) => update(index, { description: e.target.value }),
+              placeholder: 'Find the cellar key',
+              className: 'col-span-5 px-2 py-1 border rounded text-sm'
+            }),
+            React.createElement('label', { className: 'col-span-2 flex items-center gap-1 text-xs text-gray-600' },
+              React.createElement('input', {
+                type: 'checkbox',
+                checked: !!objective.optional,
+                onChange: (e) => update(index, { optional: e.target.checked || undefined })
+              }),
+              'Optional'
+            ),
+            React.createElement('button', {
+              onClick: () => setExpanded(expanded === index ? null : index),
+              className: `col-span-1 p-1 text-xs ${hasList(objective.completeWhen) || hasList(objective.failWhen) ? 'text-blue-600' : 'text-gray-500'} hover:text-blue-800`,
+              title: 'Conditions that complete or fail this objective'
+            }, expanded === index ? '▲' : '▼'),
+            React.createElement('button', {
+              onClick: () => onChange(objectives.filter((_, i) => i !== index)),
+              className: 'col-span-1 p-1 text-red-600 hover:text-red-800'
+            }, '🗑️')
+          ),
+          expanded === index && React.createElement('div', { className: 'mt-3 space-y-3' },
+            React.createElement('div', null,
+              React.createElement('h4', { className: 'text-xs font-medium text-gray-700 mb-1' }, 'Complete when (or use a Complete Objective action)'),
+              React.createElement(ConditionBuilder, {
+                conditions: objective.completeWhen || [],
+                onConditionsChange: (conds) => update(index, { completeWhen: conds }),
+                ...conditionContext
+              })
+            ),
+            React.createElement('div', null,
+              React.createElement('h4', { className: 'text-xs font-medium text-gray-700 mb-1' }, 'Fail when'),
+              React.createElement(ConditionBuilder, {
+                conditions: objective.failWhen || [],
+                onConditionsChange: (conds) => update(index, { failWhen: conds }),
+                ...conditionContext
+              })
+            )
+          )
+        ))
+      )
+  );
+}
+
+// Action rows for onComplete / onFail
+function ActionsList({ title, actions, keyOptions, onChange }) {
+  const update = (index, changes) => onChange(actions.map((action, i) => (i === index ? { ...action, ...changes } : action)));
+
+  return React.createElement('div', null,
+    React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+      React.createElement('h3', { className: 'text-sm font-medium text-gray-900' }, title),
+      React.createElement('button', {
+        onClick: () => onChange([...actions, { type: 'add_stat', key: '', value: 1 }]),
+        className: 'px-2 py-1 text-xs bg-green-600 text-white rounded-md hover:bg-green-700'
+      }, '+ Add Action')
+    ),
+    actions.length === 0 ?
+      React.createElement('div', { className: 'text-center py-3 text-sm text-gray-500 border-2 border-dashed border-gray-300 rounded-lg' }, 'No actions') :
+      actions.map((action, index) => {
+        const type = QUEST_ACTIONS.find(option => option.value === action.type);
+        const hasValue = type && !['achievement', 'quest'].includes(type.key);
+        return React.createElement('div', { key: index, className: 'flex items-center gap-2 mb-2' },
+          React.createElement('select', {
+            value: action.type,
+            onChange: (e) => update(index, { type: e.target.value, key: '' }),
+            className: 'px-2 py-1 border rounded text-sm'
+          },
+            !type && React.createElement('option', { value: action.type }, `${action.type} (not supported)`),
+            QUEST_ACTIONS.map(option => React.createElement('option', { key: option.value, value: option.value }, option.label))
+          ),
+          React.createElement('select', {
+            value: action.key || '',
+            onChange: (e) => update(index, { key: e.target.value }),
+            className: 'flex-1 min-w-0 px-2 py-1 border rounded text-sm'
+          },
+            React.createElement('option', { value: '' }, 'Select...'),
+            (keyOptions[type?.key] || []).filter(option => option?.id).map(option =>
+              React.createElement('option', { key: option.id, value: option.id }, option.name || option.title || option.id)
+            )
+          ),
+          hasValue && (type.key === 'flag'
+            ? React.createElement('select', {
+              value: String(action.value !== false),
+              onChange: (e) => update(index, { value: e.target.value === 'true' }),
+              className: 'w-20 px-2 py-1 border rounded text-sm'
+            },
+              React.createElement('option', { value: 'true' }, 'True'),
+              React.createElement('option', { value: 'false' }, 'False')
+            )
+            : React.createElement('input', {
+              type: 'number',
+              value: action.value ?? '',
+              onChange: (e) => update(index, { value: e.target.value === '' ? null : Number(e.target.value) }),
+              placeholder: type.key === 'status' ? 'Default' : '',
+              className: 'w-20 px-2 py-1 border rounded text-sm'
+            })),
+          React.createElement('button', {
+            onClick: () => onChange(actions.filter((_, i) => i !== index)),
+            className: 'p-1 text-red-600 hover:text-red-800'
+          }, '🗑️')
+        );
+      })
+  );
+}
+
+function Field({ label, value, onChange }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('input', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      type: 'text',
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
+
+function TextArea({ label, value, onChange, rows = 3 }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('textarea', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      rows,
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
@@ -0,0 +1,325 @@
+// RecipesEditor.js - Manage crafting recipes (ingredients in, results out, optional requirements)
+import React, { useMemo, useState, useCallback, useEffect } from "https://esm.sh/react@18";
+import ConditionBuilder from '../common/ConditionBuilder.js';
+
+export default function RecipesEditor({
+  recipes = [],
+  isOpen = false,
+  onClose = () => {},
+  onRecipesChange = () => {},
+  availableStats = [],
+  availableFlags = [],
+  availableItems = [],
+  availableScenes = [],
+  availableMetaFlags = [],
+  availableAchievements = [],
+  availableEquipmentSlots = [],
+  availableStatusEffects = [],
+  availableCharacters = [],
+  availableQuests = [],
+  onInlineAddFlag = null,
+  className = ''
+}) {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const filtered = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    if (!s) return recipes;
+    return recipes.filter(r =>
+      (r.name || '').toLowerCase().includes(s) ||
+      (r.id || '').toLowerCase().includes(s) ||
+      (r.description || '').toLowerCase().includes(s)
+    );
+  }, [recipes, search]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    if (selectedId) {
+      const recipe = recipes.find(r => r.id === selectedId);
+      if (recipe) setEditing({ ...recipe });
+    } else if (recipes.length > 0) {
+      setSelectedId(recipes[0].id);
+    }
+  }, [isOpen, recipes, selectedId]);
+
+  const handleCreate = useCallback(() => {
+    const recipe = {
+      id: `recipe_${Date.now()}`,
+      name: 'New Recipe',
+      description: '',
+      ingredients: [],
+      results: [],
+      requirements: []
+    };
+    setEditing(recipe);
+    setSelectedId(recipe.id);
+    setErrors([]);
+  }, []);
+
+  const handleSelect = useCallback((id) => {
+    setSelectedId(id);
+    const recipe = recipes.find(r => r.id === id);
+    setEditing(recipe ? { ...recipe } : null);
+    setErrors([]);
+  }, [recipes]);
+
+  const validate = useCallback((recipe, others) => {
+    const errs = [];
+    if (!recipe.id || !recipe.id.trim()) errs.push('ID is required.');
+    if (!recipe.name || !recipe.name.trim()) errs.push('Name is required.');
+    if (others.some(o => o.id === recipe.id)) errs.push('ID must be unique.');
+    ['ingredients', 'results'].forEach(field => {
+      const parts = recipe[field] || [];
+      if (parts.length === 0) errs.push(`Add at least one item to ${field}.`);
+      parts.forEach((part, i) => {
+        if (!part.itemId) errs.push(`${field === 'ingredients' ? 'Ingredient' : 'Result'} ${i + 1}: pick an item.`);
+        if (!(Number.isInteger(part.quantity) && part.quantity > 0)) {
+          errs.push(`${field === 'ingredients' ? 'Ingredient' : 'Result'} ${i + 1}: quantity must be a whole number of at least 1.`);
+        }
+      });
+    });
+    return errs;
+  }, []);
+
+  const handleSave = useCallback(() => {
+    if (!editing) return;
+    const others = recipes.filter(r => r.id !== selectedId && r.id !== editing.id);
+    const v = validate(editing, others);
+    setErrors(v);
+    if (v.length > 0) return;
+
+    const exists = recipes.some(r => r.id === selectedId);
+    const next = exists
+      ? recipes.map(r => r.id === selectedId ? editing : r)
+      : [...recipes, editing];
+    onRecipesChange(next);
+    setSelectedId(editing.id);
+  }, [editing, recipes, selectedId, onRecipesChange, validate]);
+
+  const handleDelete = useCallback((id) => {
+    if (!id) return;
+    if (!confirm('Delete this recipe?')) return;
+    const next = recipes.filter(r => r.id !== id);
+    onRecipesChange(next);
+    if (selectedId === id) {
+      setSelectedId(next[0]?.id || null);
+      setEditing(next[0] ? { ...next[0] } : null);
+    }
+  }, [recipes, onRecipesChange, selectedId]);
+
+  const updateParts = useCallback((field, parts) => {
+    setEditing(prev => ({ ...prev, [field]: parts }));
+  }, []);
+
+  if (!isOpen) return null;
+
+  return React.createElement('div', {
+    className: `fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 ${className}`,
+    onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+  },
+    React.createElement('div', {
+      className: 'bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col'
+    },
+      // Header
+      React.createElement('div', { className: 'flex items-center justify-between p-4 border-b' }, [
+        React.createElement('div', { key: 'title' }, [
+          React.createElement('h2', { className: 'text-xl font-semibold text-gray-900' }, 'Crafting Recipes'),
+          React.createElement('p', { className: 'text-sm text-gray-600' }, `${recipes.length} defined`)
+        ]),
+        React.createElement('div', { key: 'actions', className: 'flex items-center gap-2' }, [
+          React.createElement('input', {
+            key: 'search',
+            type: 'text',
+            value: search,
+            onChange: (e) => setSearch(e.target.value),
+            placeholder: 'Search recipes...',
+            className: 'px-3 py-2 border rounded-md text-sm'
+          }),
+          React.createElement('button', {
+            key: 'create',
+            onClick: handleCreate,
+            className: 'px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700'
+          }, '+ Create'),
+          React.createElement('button', {
+            key: 'close',
+            onClick: onClose,
+            className: 'px-3 py-2 text-gray-600 hover:text-gray-800'
+          }, '✕')
+        ])
+      ]),
+
+      // Body
+      React.createElement('div', { className: 'flex-1 flex overflow-hidden' }, [
+        // List
+        React.createElement('div', { key: 'list', className: 'w-72 border-r overflow-y-auto p-3 bg-gray-50' }, [
+          filtered.length === 0 ?
+            React.createElement('div', { key: 'empty', className: 'text-sm text-gray-500 p-3 italic' }, 'No recipes found') :
+            filtered.map(recipe => React.createElement('div', {
+              key: recipe.id,
+              className: `p-2 rounded cursor-pointer text-sm ${selectedId === recipe.id ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100'}`,
+              onClick: () => handleSelect(recipe.id)
+            }, [
+              React.createElement('div', { key: 'name', className: 'font-medium truncate' }, recipe.name || recipe.id),
+              React.createElement('div', { key: 'meta', className: 'text-xs text-gray-600 truncate' },
+                `${(recipe.ingredients || []).length} in → ${(recipe.results || []).length} out`)
+            ]))
+        ]),
+
+        // Editor
+        React.createElement('div', { key: 'editor', className: 'flex-1 overflow-y-auto p-4' }, [
+          !editing ? React.createElement('div', { key: 'none', className: 'h-full flex items-center justify-center text-gray-500' },
+            availableItems.length === 0 ? 'Define inventory items first, then combine them here' : 'Select or create a recipe') :
+          React.createElement('div', { key: 'form', className: 'space-y-4' }, [
+            React.createElement('div', { key: 'basic', className: 'grid grid-cols-2 gap-4' }, [
+              React.createElement(Field, {
+                key: 'name', label: 'Name *', value: editing.name,
+                onChange: (v) => setEditing(prev => ({ ...prev, name: v }))
+              }),
+              React.createElement(Field, {
+                key: 'id', label: 'ID *', value: editing.id,
+                onChange: (v) => setEditing(prev => ({ ...prev, id: v.trim() }))
+              })
+            ]),
+
+            React.createElement(TextArea, {
+              key: 'desc', label: 'Description', value: editing.description || '', rows: 2,
+              onChange: (v) => setEditing(prev => ({ ...prev, description: v }))
+            }),
+
+            React.createElement('label', { key: 'hidden', className: 'flex items-center text-sm text-gray-700' }, [
+              React.createElement('input', {
+                key: 'checkbox',
+                type: 'checkbox',
+                checked: !!editing.hidden,
+                onChange: (e) => setEditing(prev => ({ ...prev, hidden: e.target.checked || undefined })),
+                className: 'mr-2'
+              }),
+              'Hidden until the player can craft it'
+            ]),
+
+            React.createElement('div', { key: 'parts', className: 'grid grid-cols-2 gap-4' }, [
+              React.createElement(PartsList, {
+                key: 'ingredients',
+                title: 'Ingredients (used up)',
+                parts: editing.ingredients || [],
+                availableItems,
+                onChange: (parts) => updateParts('ingredients', parts)
+              }),
+              React.createElement(PartsList, {
+                key: 'results',
+                title: 'Results',
+                parts: editing.results || [],
+                availableItems,
+                onChange: (parts) => updateParts('results', parts)
+              })
+            ]),
+
+            // Requirements: stats, flags, ... the player needs besides the ingredients
+            React.createElement('div', { key: 'requirements' }, [
+              React.createElement('h3', { key: 'title', className: 'text-sm font-medium text-gray-900 mb-2' }, 'Requirements'),
+              React.createElement(ConditionBuilder, {
+                key: 'builder',
+                conditions: editing.requirements || [],
+                onConditionsChange: (conds) => setEditing(prev => ({ ...prev, requirements: conds })),
+                availableStats,
+                availableFlags,
+                availableItems,
+                availableScenes,
+                availableMetaFlags,
+                availableAchievements,
+                availableEquipmentSlots,
+                availableRecipes: recipes.filter(r => r.id !== editing.id),
+                availableStatusEffects,
+                availableCharacters,
+                availableQuests,
+                onInlineAddFlag
+              })
+            ]),
+
+            errors.length > 0 && React.createElement('div', { key: 'errors', className: 'bg-red-50 border border-red-200 rounded p-3 text-sm text-red-700' },
+              errors.map((e, i) => React.createElement('div', { key: i }, `• ${e}`))
+            ),
+
+            // Footer buttons
+            React.createElement('div', { key: 'footer', className: 'flex items-center justify-between pt-2' }, [
+              React.createElement('button', {
+                key: 'delete',
+                onClick: () => handleDelete(selectedId),
+                className: 'px-3 py-2 text-red-600 hover:text-red-800'
+              }, 'Delete'),
+              React.createElement('div', { key: 'cta', className: 'flex gap-2' }, [
+                React.createElement('button', { key: 'cancel', onClick: onClose, className: 'px-4 py-2 border rounded-md' }, 'Cancel'),
+                React.createElement('button', { key: 'save', onClick: handleSave, className: 'px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700' }, 'Save')
+              ])
+            ])
+          ])
+        ])
+      ])
+    )
+  );
+}
+
+// Item + quantity rows for ingredients or results
+function PartsList({ title, parts, availableItems, onChange }) {
+  const update = (index, changes) => onChange(parts.map((part, i) => (i === index ? { ...part, ...changes } : part)));
+
+  return React.createElement('div', null,
+    React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+      React.createElement('h3', { className: 'text-sm font-medium text-gray-900' }, title),
+      React.createElement('button', {
+        onClick: () => onChange([...parts, { itemId: '', quantity: 1 }]),
+        className: 'px-2 py-1 text-xs bg-green-600 text-white rounded-md hover:bg-green-700'
+      }, '+ Add Item')
+    ),
+    parts.length === 0 ?
+      React.createElement('div', { className: 'text-center py-3 text-sm text-gray-500 border-2 border-dashed border-gray-300 rounded-lg' }, 'No items') :
+      parts.map((part, index) => React.createElement('div', { key: index, className: 'flex items-center gap-2 mb-2' },
+        React.createElement('select', {
+          value: part.itemId || '',
+          onChange: (e) => update(index, { itemId: e.target.value }),
+          className: 'flex-1 px-2 py-1 border rounded text-sm'
+        },
+          React.createElement('option', { value: '' }, 'Select item...'),
+          availableItems.map(item => React.createElement('option', { key: item.id, value: item.id }, item.name || item.id))
+        ),
+        React.createElement('input', {
+          type: 'number',
+          min: 1,
+          value: part.quantity ?? 1,
+          onChange: (e) => update(index, { quantity: Number(e.target.value) }),
+          className: 'w-16 px-2 py-1 border rounded text-sm'
+        }),
+        React.createElement('button', {
+          onClick: () => onChange(parts.filter((_, i) => i !== index)),
+          className: 'p-1 text-red-600 hover:text-red-800'
+        }, '🗑️')
+      ))
+  );
+}
+
+function Field({ label, value, onChange }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('input', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      type: 'text',
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
+
+function TextArea({ label, value, onChange, rows = 3 }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('textarea', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      rows,
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
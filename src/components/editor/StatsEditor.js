@@ -1,5 +1,6 @@
 // StatsEditor.js - Manage adventure stats in a dedicated modal
 import React, { useState, useMemo, useCallback } from "https://esm.sh/react@18";
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
 
 export default function StatsEditor({
   isOpen = false,
@@ -75,7 +76,7 @@ export default function StatsEditor({
                 className: 'p-2 rounded hover:bg-gray-100 cursor-pointer',
                 onClick: () => setEditing({ ...s })
               }, [
-                React.createElement('div', { key: 'n', className: 'font-medium text-sm truncate' }, s.name || s.id),
+                React.createElement('div', { key: 'n', className: 'font-medium text-sm truncate' }, s.formula ? `ƒ ${s.name || s.id}` : (s.name || s.id)),
                 React.createElement('div', { key: 'i', className: 'text-xs text-gray-600 truncate' }, s.id)
               ])
             )
@@ -92,6 +93,7 @@ export default function StatsEditor({
 
 function StatForm({ stat, onChange, onDelete, onSave }) {
   const update = (field, value) => onChange(prev => ({ ...prev, [field]: value }));
+  const formulaCheck = stat.formula && stat.formula.trim() ? ExpressionEvaluator.validate(stat.formula) : { valid: true };
   return React.createElement('div', { className: 'space-y-4' }, [
     gridRow('Name *', React.createElement('input', { className: 'w-full px-3 py-2 border rounded-md', value: stat.name || '', onChange: (e) => update('name', e.target.value) })),
     gridRow('ID *', React.createElement('input', { className: 'w-full px-3 py-2 border rounded-md', value: stat.id || '', onChange: (e) => update('id', e.target.value) })),
@@ -99,6 +101,19 @@ function StatForm({ stat, onChange, onDelete, onSave }) {
       React.createElement('option', { key: 'number', value: 'number' }, 'Number'),
       React.createElement('option', { key: 'boolean', value: 'boolean' }, 'Boolean')
     ])),
+    gridRow('Formula (computed, read-only)', React.createElement('div', { className: 'space-y-1' }, [
+      React.createElement('input', {
+        key: 'formula',
+        className: `w-full px-3 py-2 border rounded-md font-mono text-sm ${formulaCheck.valid ? '' : 'border-red-400'}`,
+        value: stat.formula || '',
+        placeholder: 'e.g. strength * 10 - inventory.weight',
+        onChange: (e) => update('formula', e.target.value)
+      }),
+      React.createElement('div', { key: 'hint', className: `text-xs ${formulaCheck.valid ? 'text-gray-500' : 'text-red-600'}` },
+        formulaCheck.valid
+          ? 'Leave empty for a normal stat. Can use other stats, flag.id, item.id, inventory.weight/total/value.'
+          : formulaCheck.error)
+    ])),
     gridRow('Default', React.createElement('input', { type: 'number', className: 'w-full px-3 py-2 border rounded-md', value: stat.defaultValue ?? 0, onChange: (e) => update('defaultValue', Number(e.target.value)) })),
     React.createElement('div', { className: 'grid grid-cols-2 gap-4' }, [
       gridRow('Min', React.createElement('input', { type: 'number', className: 'w-full px-3 py-2 border rounded-md', value: stat.min ?? 0, onChange: (e) => update('min', Number(e.target.value)) })),
@@ -0,0 +1,439 @@
+// StatusEffectsEditor.js - Manage status effects (timed buffs / debuffs, their stat modifiers and per-turn actions)
+import React, { useMemo, useState, useCallback, useEffect } from "https://esm.sh/react@18";
+
+const STACKING_OPTIONS = [
+  { value: 'refresh', label: 'Refresh: restart the duration' },
+  { value: 'extend', label: 'Extend: add the new duration' },
+  { value: 'stack', label: 'Stack: add a stack, restart the duration' },
+  { value: 'ignore', label: 'Ignore: keep the running effect' }
+];
+
+// Actions onTick / onExpire can run: what the key picks
+const EFFECT_ACTIONS = [
+  { value: 'add_stat', label: 'Add to Stat', key: 'stat' },
+  { value: 'set_stat', label: 'Set Stat', key: 'stat' },
+  { value: 'set_flag', label: 'Set Flag', key: 'flag' },
+  { value: 'add_inventory', label: 'Add Item', key: 'item' },
+  { value: 'remove_inventory', label: 'Remove Item', key: 'item' },
+  { value: 'add_status', label: 'Apply Status Effect', key: 'status' },
+  { value: 'cure_status', label: 'Cure Status Effect', key: 'status' },
+  { value: 'go_to_scene', label: 'Go to Scene', key: 'scene' }
+];
+
+export default function StatusEffectsEditor({
+  statusEffects = [],
+  isOpen = false,
+  onClose = () => {},
+  onStatusEffectsChange = () => {},
+  availableStats = [],
+  availableFlags = [],
+  availableItems = [],
+  availableScenes = [],
+  className = ''
+}) {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const filtered = useMemo(() => {
+    const s = search.trim().toLowerCase();
+    if (!s) return statusEffects;
+    return statusEffects.filter(e =>
+      (e.name || '').toLowerCase().includes(s) ||
+      (e.id || '').toLowerCase().includes(s) ||
+      (e.description || '').toLowerCase().includes(s)
+    );
+  }, [statusEffects, search]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    if (selectedId) {
+      const effect = statusEffects.find(e => e.id === selectedId);
+      if (effect) setEditing({ ...effect });
+    } else if (statusEffects.length > 0) {
+      setSelectedId(statusEffects[0].id);
+    }
+  }, [isOpen, statusEffects, selectedId]);
+
+  const handleCreate = useCallback(() => {
+    const effect = {
+      id: `status_${Date.now()}`,
+      name: 'New Status Effect',
+      description: '',
+      duration: 3,
+      stacking: 'refresh',
+      modifiers: [],
+      onTick: [],
+      onExpire: []
+    };
+    setEditing(effect);
+    setSelectedId(effect.id);
+    setErrors([]);
+  }, []);
+
+  const handleSelect = useCallback((id) => {
+    setSelectedId(id);
+    const effect = statusEffects.find(e => e.id === id);
+    setEditing(effect ? { ...effect } : null);
+    setErrors([]);
+  }, [statusEffects]);
+
+  const validate = useCallback((effect, others) => {
+    const errs = [];
+    if (!effect.id || !effect.id.trim()) errs.push('ID is required.');
+    if (!effect.name || !effect.name.trim()) errs.push('Name is required.');
+    if (others.some(o => o.id === effect.id)) errs.push('ID must be unique.');
+    if (effect.duration != null && !(Number.isInteger(effect.duration) && effect.duration > 0)) {
+      errs.push('Duration must be a whole number of turns, or empty to last until cured.');
+    }
+    if (effect.stacking === 'stack' && effect.maxStacks != null && !(Number.isInteger(effect.maxStacks) && effect.maxStacks > 0)) {
+      errs.push('Max stacks must be a whole number of at least 1, or empty for no limit.');
+    }
+    (effect.modifiers || []).forEach((modifier, i) => {
+      if (!modifier.stat) errs.push(`Modifier ${i + 1}: pick a stat.`);
+      if (!Number.isFinite(modifier.value)) errs.push(`Modifier ${i + 1}: value must be a number.`);
+    });
+    ['onTick', 'onExpire'].forEach(field => {
+      (effect[field] || []).forEach((action, i) => {
+        if (!action.key) errs.push(`${field === 'onTick' ? 'Every turn' : 'On expire'} action ${i + 1}: pick a target.`);
+      });
+    });
+    return errs;
+  }, []);
+
+  const handleSave = useCallback(() => {
+    if (!editing) return;
+    const others = statusEffects.filter(e => e.id !== selectedId && e.id !== editing.id);
+    const v = validate(editing, others);
+    setErrors(v);
+    if (v.length > 0) return;
+
+    const exists = statusEffects.some(e => e.id === selectedId);
+    const next = exists
+      ? statusEffects.map(e => e.id === selectedId ? editing : e)
+      : [...statusEffects, editing];
+    onStatusEffectsChange(next);
+    setSelectedId(editing.id);
+  }, [editing, statusEffects, selectedId, onStatusEffectsChange, validate]);
+
+  const handleDelete = useCallback((id) => {
+    if (!id) return;
+    if (!confirm('Delete this status effect?')) return;
+    const next = statusEffects.filter(e => e.id !== id);
+    onStatusEffectsChange(next);
+    if (selectedId === id) {
+      setSelectedId(next[0]?.id || null);
+      setEditing(next[0] ? { ...next[0] } : null);
+    }
+  }, [statusEffects, onStatusEffectsChange, selectedId]);
+
+  const keyOptions = {
+    stat: availableStats,
+    flag: availableFlags,
+    item: availableItems,
+    status: statusEffects,
+    scene: availableScenes
+  };
+
+  if (!isOpen) return null;
+
+  return React.createElement('div', {
+    className: `fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 ${className}`,
+    onClick: (e) => { if (e.target === e.currentTarget) onClose(); }
+  },
+    React.createElement('div', {
+      className: 'bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[90vh] overflow-hidden flex flex-col'
+    },
+      // Header
+      React.createElement('div', { className: 'flex items-center justify-between p-4 border-b' }, [
+        React.createElement('div', { key: 'title' }, [
+          React.createElement('h2', { className: 'text-xl font-semibold text-gray-900' }, 'Status Effects'),
+          React.createElement('p', { className: 'text-sm text-gray-600' }, `${statusEffects.length} defined`)
+        ]),
+        React.createElement('div', { key: 'actions', className: 'flex items-center gap-2' }, [
+          React.createElement('input', {
+            key: 'search',
+            type: 'text',
+            value: search,
+            onChange: (e) => setSearch(e.target.value),
+            placeholder: 'Search status effects...',
+            className: 'px-3 py-2 border rounded-md text-sm'
+          }),
+          React.createElement('button', {
+            key: 'create',
+            onClick: handleCreate,
+            className: 'px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700'
+          }, '+ Create'),
+          React.createElement('button', {
+            key: 'close',
+            onClick: onClose,
+            className: 'px-3 py-2 text-gray-600 hover:text-gray-800'
+          }, '✕')
+        ])
+      ]),
+
+      // Body
+      React.createElement('div', { className: 'flex-1 flex overflow-hidden' }, [
+        // List
+        React.createElement('div', { key: 'list', className: 'w-72 border-r overflow-y-auto p-3 bg-gray-50' }, [
+          filtered.length === 0 ?
+            React.createElement('div', { key: 'empty', className: 'text-sm text-gray-500 p-3 italic' }, 'No status effects found') :
+            filtered.map(effect => React.createElement('div', {
+              key: effect.id,
+              className: `p-2 rounded cursor-pointer text-sm ${selectedId === effect.id ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100'}`,
+              onClick: () => handleSelect(effect.id)
+            }, [
+              React.createElement('div', { key: 'name', className: 'font-medium truncate' }, `${effect.icon || ''} ${effect.name || effect.id}`.trim()),
+              React.createElement('div', { key: 'meta', className: `text-xs truncate ${effect.debuff ? 'text-red-600' : 'text-gray-600'}` },
+                `${effect.debuff ? 'Debuff' : 'Buff'} · ${effect.duration ? `${effect.duration} turns` : 'until cured'}`)
+            ]))
+        ]),
+
+        // Editor
+        React.createElement('div', { key: 'editor', className: 'flex-1 overflow-y-auto p-4' }, [
+          !editing ? React.createElement('div', { key: 'none', className: 'h-full flex items-center justify-center text-gray-500' }, 'Select or create a status effect') :
+          React.createElement('div', { key: 'form', className: 'space-y-4' }, [
+            React.createElement('div', { key: 'basic', className: 'grid grid-cols-3 gap-4' }, [
+              React.createElement(Field, {
+                key: 'name', label: 'Name *', value: editing.name,
+                onChange: (v) => setEditing(prev => ({ ...prev, name: v }))
+              }),
+              React.createElement(Field, {
+                key: 'id', label: 'ID *', value: editing.id,
+                onChange: (v) => setEditing(prev => ({ ...prev, id: v.trim() }))
+              }),
+              React.createElement(Field, {
+                key: 'icon', label: 'Icon', value: editing.icon,
+                onChange: (v) => setEditing(prev => ({ ...prev, icon: v || undefined }))
+              })
+            ]),
+
+            React.createElement(TextArea, {
+              key: 'desc', label: 'Description', value: editing.description || '', rows: 2,
+              onChange: (v) => setEditing(prev => ({ ...prev, description: v }))
+            }),
+
+            React.createElement('div', { key: 'timing', className: 'grid grid-cols-3 gap-4' }, [
+              React.createElement(NumberField, {
+                key: 'duration', label: 'Duration (turns)', value: editing.duration, placeholder: 'Until cured',
+                onChange: (v) => setEditing(prev => ({ ...prev, duration: v }))
+              }),
+              React.createElement('div', { key: 'stacking' }, [
+                React.createElement('label', { key: 'label', className: 'block text-sm text-gray-700 mb-1' }, 'Applied again'),
+                React.createElement('select', {
+                  key: 'select',
+                  value: editing.stacking || 'refresh',
+                  onChange: (e) => setEditing(prev => ({ ...prev, stacking: e.target.value })),
+                  className: 'w-full px-3 py-2 border rounded-md'
+                }, STACKING_OPTIONS.map(option => React.createElement('option', { key: option.value, value: option.value }, option.label)))
+              ]),
+              editing.stacking === 'stack' && React.createElement(NumberField, {
+                key: 'maxStacks', label: 'Max stacks', value: editing.maxStacks, placeholder: 'No limit',
+                onChange: (v) => setEditing(prev => ({ ...prev, maxStacks: v }))
+              })
+            ]),
+
+            React.createElement('label', { key: 'debuff', className: 'flex items-center text-sm text-gray-700' }, [
+              React.createElement('input', {
+                key: 'checkbox',
+                type: 'checkbox',
+                checked: !!editing.debuff,
+                onChange: (e) => setEditing(prev => ({ ...prev, debuff: e.target.checked || undefined })),
+                className: 'mr-2'
+              }),
+              'Debuff (shown as harmful to the player)'
+            ]),
+
+            React.createElement(ModifiersList, {
+              key: 'modifiers',
+              modifiers: editing.modifiers || [],
+              availableStats,
+              onChange: (modifiers) => setEditing(prev => ({ ...prev, modifiers }))
+            }),
+
+            React.createElement('div', { key: 'actions', className: 'grid grid-cols-2 gap-4' }, [
+              React.createElement(ActionsList, {
+                key: 'onTick',
+                title: 'Every turn (once per stack)',
+                actions: editing.onTick || [],
+                keyOptions,
+                onChange: (actions) => setEditing(prev => ({ ...prev, onTick: actions }))
+              }),
+              React.createElement(ActionsList, {
+                key: 'onExpire',
+                title: 'When it runs out',
+                actions: editing.onExpire || [],
+                keyOptions,
+                onChange: (actions) => setEditing(prev => ({ ...prev, onExpire: actions }))
+              })
+            ]),
+
+            errors.length > 0 && React.createElement('div', { key: 'errors', className: 'bg-red-50 border border-red-200 rounded p-3 text-sm text-red-700' },
+              errors.map((e, i) => React.createElement('div', { key: i }, `• ${e}`))
+            ),
+
+            // Footer buttons
+            React.createElement('div', { key: 'footer', className: 'flex items-center justify-between pt-2' }, [
+              React.createElement('button', {
+                key: 'delete',
+                onClick: () => handleDelete(selectedId),
+                className: 'px-3 py-2 text-red-600 hover:text-red-800'
+              }, 'Delete'),
+              React.createElement('div', { key: 'cta', className: 'flex gap-2' }, [
+                React.createElement('button', { key: 'cancel', onClick: onClose, className: 'px-4 py-2 border rounded-md' }, 'Cancel'),
+                React.createElement('button', { key: 'save', onClick: handleSave, className: 'px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700' }, 'Save')
+              ])
+            ])
+          ])
+        ])
+      ])
+    )
+  );
+}
+
+// Stat + add/multiply rows applied while the effect is active (again for each stack)
+function ModifiersList({ modifiers, availableStats, onChange }) {
+  const update = (index, changes) => onChange(modifiers.map((modifier, i) => (i === index ? { ...modifier, ...changes } : modifier)));
+
+  return React.createElement('div', null,
+    React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+      React.createElement('h3', { className: 'text-sm font-medium text-gray-900' }, 'Stat modifiers'),
+      React.createElement('button', {
+        onClick: () => onChange([...modifiers, { stat: '', type: 'add', value: 0 }]),
+        className: 'px-2 py-1 text-xs bg-green-600 text-white rounded-md hover:bg-green-700'
+      }, '+ Add Modifier')
+    ),
+    modifiers.length === 0 ?
+      React.createElement('div', { className: 'text-center py-3 text-sm text-gray-500 border-2 border-dashed border-gray-300 rounded-lg' }, 'No modifiers') :
+      modifiers.map((modifier, index) => React.createElement('div', { key: index, className: 'flex items-center gap-2 mb-2' },
+        React.createElement('select', {
+          value: modifier.stat || '',
+          onChange: (e) => update(index, { stat: e.target.value }),
+          className: 'flex-1 px-2 py-1 border rounded text-sm'
+        },
+          React.createElement('option', { value: '' }, 'Select stat...'),
+          availableStats.map(stat => React.createElement('option', { key: stat.id, value: stat.id }, stat.name || stat.id))
+        ),
+        React.createElement('select', {
+          value: modifier.type || 'add',
+          onChange: (e) => update(index, { type: e.target.value }),
+          className: 'px-2 py-1 border rounded text-sm'
+        },
+          React.createElement('option', { value: 'add' }, 'Add'),
+          React.createElement('option', { value: 'multiply' }, 'Multiply')
+        ),
+        React.createElement('input', {
+          type: 'number',
+          step: 'any',
+          value: modifier.value ?? 0,
+          onChange: (e) => update(index, { value: Number(e.target.value) }),
+          className: 'w-20 px-2 py-1 border rounded text-sm'
+        }),
+        React.createElement('button', {
+          onClick: () => onChange(modifiers.filter((_, i) => i !== index)),
+          className: 'p-1 text-red-600 hover:text-red-800'
+        }, '🗑️')
+      ))
+  );
+}
+
+// Action rows for onTick / onExpire
+function ActionsList({ title, actions, keyOptions, onChange }) {
+  const update = (index, changes) => onChange(actions.map((action, i) => (i === index ? { ...action, ...changes } : action)));
+
+  return React.createElement('div', null,
+    React.createElement('div', { className: 'flex justify-between items-center mb-2' },
+      React.createElement('h3', { className: 'text-sm font-medium text-gray-900' }, title),
+      React.createElement('button', {
+        onClick: () => onChange([...actions, { type: 'add_stat', key: '', value: -1 }]),
+        className: 'px-2 py-1 text-xs bg-green-600 text-white rounded-md hover:bg-green-700'
+      }, '+ Add Action')
+    ),
+    actions.length === 0 ?
+      React.createElement('div', { className: 'text-center py-3 text-sm text-gray-500 border-2 border-dashed border-gray-300 rounded-lg' }, 'No actions') :
+      actions.map((action, index) => {
+        const type = EFFECT_ACTIONS.find(option => option.value === action.type);
+        const hasValue = type && type.key !== 'scene';
+        return React.createElement('div', { key: index, className: 'flex items-center gap-2 mb-2' },
+          React.createElement('select', {
+            value: action.type,
+            onChange: (e) => update(index, { type: e.target.value, key: '' }),
+            className: 'px-2 py-1 border rounded text-sm'
+          },
+            !type && React.createElement('option', { value: action.type }, `${action.type} (not supported)`),
+            EFFECT_ACTIONS.map(option => React.createElement('option', { key: option.value, value: option.value }, option.label))
+          ),
+          React.createElement('select', {
+            value: action.key || '',
+            onChange: (e) => update(index, { key: e.target.value }),
+            className: 'flex-1 min-w-0 px-2 py-1 border rounded text-sm'
+          },
+            React.createElement('option', { value: '' }, 'Select...'),
+            (keyOptions[type?.key] || []).filter(option => option?.id).map(option =>
+              React.createElement('option', { key: option.id, value: option.id }, option.name || option.title || option.id)
+            )
+          ),
+          hasValue && (type.key === 'flag'
+            ? React.createElement('select', {
+              value: String(action.value !== false),
+              onChange: (e) => update(index, { value: e.target.value === 'true' }),
+              className: 'w-20 px-2 py-1 border rounded text-sm'
+            },
+              React.createElement('option', { value: 'true' }, 'True'),
+              React.createElement('option', { value: 'false' }, 'False')
+            )
+            : React.createElement('input', {
+              type: 'number',
+              value: action.value ?? '',
+              onChange: (e) => update(index, { value: e.target.value === '' ? null : Number(e.target.value) }),
+              placeholder: type.key === 'status' ? 'Default' : '',
+              className: 'w-20 px-2 py-1 border rounded text-sm'
+            })),
+          React.createElement('button', {
+            onClick: () => onChange(actions.filter((_, i) => i !== index)),
+            className: 'p-1 text-red-600 hover:text-red-800'
+          }, '🗑️')
+        );
+      })
+  );
+}
+
+function Field({ label, value, onChange }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('input', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      type: 'text',
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
+
+// Optional whole number: empty stores undefined
+function NumberField({ label, value, placeholder, onChange }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('input', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      type: 'number',
+      min: 1,
+      value: value ?? '',
+      placeholder,
+      onChange: (e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))
+    })
+  );
+}
+
+function TextArea({ label, value, onChange, rows = 3 }) {
+  return React.createElement('div', null,
+    React.createElement('label', { className: 'block text-sm text-gray-700 mb-1' }, label),
+    React.createElement('textarea', {
+      className: 'w-full px-3 py-2 border rounded-md',
+      rows,
+      value: value || '',
+      onChange: (e) => onChange(e.target.value)
+    })
+  );
+}
@@ -21,7 +21,11 @@ export default function EditorSidebar({
   onStatDelete = () => {},
   onOpenSceneDialog = () => {},
   onOpenChoiceDialog = () => {},
-  onOpenInventoryEditor = () => {},
+  onOpenInventoryEditor = () => {},
+  onOpenRecipesEditor = () => {},
+  onOpenStatusEffectsEditor = () => {},
+  onOpenCharactersEditor = () => {},
+  onOpenQuestsEditor = () => {},
   onOpenAchievementsEditor = () => {},
   onOpenFlagsEditor = () => {},
   className = '',
@@ -226,6 +230,10 @@ export default function EditorSidebar({
       React.createElement('div', { key: 'tools', className: 'flex flex-col gap-2' }, [
         React.createElement(Button, { key: 'flags-btn', onClick: onOpenFlagsEditor, variant: 'secondary', size: 'sm', className: 'w-full justify-start' }, '🏁 Flags'),
         React.createElement(Button, { key: 'inventory-btn', onClick: onOpenInventoryEditor, variant: 'secondary', size: 'sm', className: 'w-full justify-start' }, '📦 Inventory'),
+        React.createElement(Button, { key: 'recipes-btn', onClick: onOpenRecipesEditor, variant: 'secondary', size: 'sm', className: 'w-full justify-start' }, '⚗️ Recipes'),
+        React.createElement(Button, { key: 'status-effects-btn', onClick: onOpenStatusEffectsEditor, variant: 'secondary', size: 'sm', className: 'w-full justify-start' }, '🧪 Status Effects'),
+        React.createElement(Button, { key: 'characters-btn', onClick: onOpenCharactersEditor, variant: 'secondary', size: 'sm', className: 'w-full justify-start' }, '🎭 Characters'),
+        React.createElement(Button, { key: 'quests-btn', onClick: onOpenQuestsEditor, variant: 'secondary', size: 'sm', className: 'w-full justify-start' }, '📜 Quests'),
         React.createElement(Button, { key: 'achievements-btn', onClick: onOpenAchievementsEditor, variant: 'secondary', size: 'sm', className: 'w-full justify-start' }, '🏆 Achievements'),
   React.createElement(Button, { key: 'stats-btn', onClick: onStatAdd, variant: 'primary', size: 'sm', className: 'w-full justify-start' }, '📊 Stats')
       ]),
@@ -21,6 +21,7 @@ export default function EditorToolbar({
   onLoadEditor = () => {},
   onAutoSaveToggle = () => {},
   onExportFormat = () => {},
+  onImportTranslation = () => {},
   selectedNodeId = null,
   // Phase 3 additions
   currentProject = null,
@@ -82,6 +83,17 @@ export default function EditorToolbar({
     e.target.value = '';
   };
 
+  // XLIFF / PO file from a translator; EditorScreen merges it into the adventure
+  const handleTranslationImport = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (event) => onImportTranslation(event.target.result, file.name);
+      reader.readAsText(file);
+    }
+    e.target.value = '';
+  };
+
   const handleTemplateImport = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -715,6 +727,27 @@ export default function EditorToolbar({
         ])
       ]),
 
+      // Translation import (XLIFF 2.0 / gettext PO)
+      React.createElement('label', {
+        key: 'import-translation',
+        className: 'block',
+        title: 'Merge an XLIFF or PO translation into this adventure'
+      }, [
+        React.createElement(Button, {
+          key: 'import-translation-btn',
+          variant: 'secondary',
+          size: 'sm',
+          as: 'span'
+        }, 'Import Translation'),
+        React.createElement('input', {
+          key: 'import-translation-input',
+          type: 'file',
+          accept: '.xlf,.xliff,.po',
+          onChange: handleTranslationImport,
+          className: 'hidden'
+        })
+      ]),
+
       // Export menu
       React.createElement('div', {
         key: 'export-menu',
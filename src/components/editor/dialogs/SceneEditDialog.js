@@ -10,7 +10,9 @@ export default function SceneEditDialog({
   scene = null,
   adventureStats = [],
   adventureInventory = [],
-  adventureFlags = [],
+  adventureFlags = [],
+  adventureCharacters = [],
+  adventureQuests = [],
   availableScenes = [],
   onSave = () => {},
   onCancel = () => {},
@@ -27,7 +29,11 @@ export default function SceneEditDialog({
     onEnter: [],
     onExit: [],
     requiredItems: [],
-    secretUnlocks: []
+    secretUnlocks: [],
+    timeLimit: '',
+    defaultChoiceId: '',
+    shop: null,
+    dialogue: []
   });
   const [activeTab, setActiveTab] = useState('content');
   const [newTag, setNewTag] = useState('');
@@ -51,7 +57,11 @@ export default function SceneEditDialog({
         onExit: [...(scene.onExit || [])],
         requiredItems: [...(scene.requiredItems || [])],
         secretUnlocks: [...(scene.secretUnlocks || [])],
-        choices: [...(scene.choices || [])]
+        choices: [...(scene.choices || [])],
+        timeLimit: scene.timeLimit ?? '',
+        defaultChoiceId: scene.defaultChoiceId || '',
+        shop: scene.shop ? { ...scene.shop, stock: [...(scene.shop.stock || [])], priceModifiers: [...(scene.shop.priceModifiers || [])] } : null,
+        dialogue: (scene.dialogue || []).map(line => ({ ...line }))
       });
     }
   }, [scene]);
@@ -147,6 +157,61 @@ export default function SceneEditDialog({
     handleFieldChange('secretUnlocks', formData.secretUnlocks.filter(unlock => unlock.id !== unlockId));
   };
 
+  // Shop management; empty quantity = unlimited stock, empty price = the item's value
+  const toggleShop = (enabled) => {
+    handleFieldChange('shop', enabled ? {
+      name: '',
+      currencyStat: adventureStats.find(stat => stat.type === 'currency')?.id || '',
+      stock: [],
+      buyMultiplier: 1,
+      sellMultiplier: 0.5,
+      priceModifiers: [],
+      restock: true
+    } : null);
+  };
+
+  const updateShop = (updates) => {
+    setFormData(prev => ({ ...prev, shop: { ...prev.shop, ...updates } }));
+  };
+
+  const updateShopList = (field, index, updates) => {
+    updateShop({ [field]: formData.shop[field].map((entry, i) => (i === index ? { ...entry, ...updates } : entry)) });
+  };
+
+  const removeShopListEntry = (field, index) => {
+    updateShop({ [field]: formData.shop[field].filter((entry, i) => i !== index) });
+  };
+
+  const optionalNumber = value => (value === '' ? undefined : Number(value));
+
+  // Dialogue management; a line without a speaker is narration, ids keep translations attached
+  const addDialogueLine = () => {
+    handleFieldChange('dialogue', [...formData.dialogue, {
+      id: `line_${Date.now()}`,
+      speaker: adventureCharacters[0]?.id || '',
+      text: ''
+    }]);
+  };
+
+  const updateDialogueLine = (index, updates) => {
+    setFormData(prev => ({
+      ...prev,
+      dialogue: prev.dialogue.map((line, i) => (i === index ? { ...line, ...updates } : line))
+    }));
+  };
+
+  const moveDialogueLine = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= formData.dialogue.length) return;
+    const lines = [...formData.dialogue];
+    [lines[index], lines[target]] = [lines[target], lines[index]];
+    handleFieldChange('dialogue', lines);
+  };
+
+  const removeDialogueLine = (index) => {
+    handleFieldChange('dialogue', formData.dialogue.filter((line, i) => i !== index));
+  };
+
   // Choice management with advanced features
   const addChoice = () => {
     const newChoice = {
@@ -200,6 +265,10 @@ export default function SceneEditDialog({
         updateAction(conditionTarget.actionType, conditionTarget.actionId, { conditions });
       } else if (conditionTarget.type === 'secretUnlock') {
         updateSecretUnlock(conditionTarget.unlockId, { conditions });
+      } else if (conditionTarget.type === 'shopModifier') {
+        updateShopList('priceModifiers', conditionTarget.index, { conditions });
+      } else if (conditionTarget.type === 'dialogueLine') {
+        updateDialogueLine(conditionTarget.index, { conditions });
       }
     }
     setShowConditionBuilder(false);
@@ -211,7 +280,15 @@ export default function SceneEditDialog({
     const updatedScene = {
       ...scene,
       ...formData,
-      tags: formData.tags.filter(tag => tag.trim())
+      tags: formData.tags.filter(tag => tag.trim()),
+      // Empty or zero time limit means the scene is untimed
+      timeLimit: Number(formData.timeLimit) > 0 ? Number(formData.timeLimit) : undefined,
+      defaultChoiceId: formData.defaultChoiceId || undefined,
+      shop: formData.shop ? {
+        ...formData.shop,
+        stock: formData.shop.stock.filter(entry => entry.itemId)
+      } : undefined,
+      dialogue: formData.dialogue.length > 0 ? formData.dialogue : undefined
     };
     onSave(updatedScene);
   };
@@ -238,7 +315,8 @@ export default function SceneEditDialog({
       { value: 'set_inventory', label: 'Set Item Count' },
       { value: 'unlock_secret', label: 'Unlock Secret' },
       { value: 'add_achievement', label: 'Add Achievement' },
-      { value: 'trigger_event', label: 'Trigger Event' }
+      { value: 'trigger_event', label: 'Trigger Event' },
+      { value: 'roll', label: 'Roll Dice' }
     ];
 
     return React.createElement('div', {
@@ -316,6 +394,15 @@ export default function SceneEditDialog({
                 React.createElement('option', { key: 'empty', value: '' }, 'Select item...'),
                 ...adventureInventory.map(item => React.createElement('option', { key: item.id, value: item.id }, item.name || item.id))
               ])
+            : (action.type === 'unlock_secret' || action.type === 'trigger_event') ?
+              React.createElement('input', {
+                key: 'action-text-key',
+                type: 'text',
+                value: action.key || '',
+                onChange: (e) => updateAction(actionType, action.id, { key: e.target.value }),
+                placeholder: action.type === 'unlock_secret' ? 'Secret choice id' : 'Event name',
+                className: 'col-span-4 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500'
+              })
             :
               React.createElement('select', {
                 key: 'stat-select',
@@ -337,8 +424,27 @@ export default function SceneEditDialog({
                 React.createElement('option', { key: 'true', value: 'true' }, 'True'),
                 React.createElement('option', { key: 'false', value: 'false' }, 'False')
               ])
-            : (action.type === 'toggle_flag') ?
+            : (action.type === 'toggle_flag' || action.type === 'unlock_secret') ?
               React.createElement('div', { key: 'no-value', className: 'col-span-3 text-xs text-gray-500' }, 'No value')
+            : (action.type === 'roll') ?
+              React.createElement('input', {
+                key: 'action-roll-dice',
+                type: 'text',
+                value: action.value ?? '',
+                onChange: (e) => updateAction(actionType, action.id, { value: e.target.value }),
+                placeholder: '2d6 + agility',
+                title: 'Dice roll stored in the selected stat',
+                className: 'col-span-3 px-2 py-1 border border-gray-300 rounded text-sm font-mono focus:outline-none focus:ring-1 focus:ring-blue-500'
+              })
+            : (action.type === 'trigger_event') ?
+              React.createElement('input', {
+                key: 'action-event-payload',
+                type: 'text',
+                value: action.value ?? '',
+                onChange: (e) => updateAction(actionType, action.id, { value: e.target.value }),
+                placeholder: 'Payload (optional)',
+                className: 'col-span-3 px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500'
+              })
             : (action.type === 'set_stat' || action.type === 'add_stat' || action.type === 'multiply_stat' || action.type === 'set_inventory' || action.type === 'add_inventory' || action.type === 'remove_inventory') ?
               React.createElement('input', {
                 key: 'action-value',
@@ -375,10 +481,10 @@ export default function SceneEditDialog({
             ])
           ]),
 
-          // Probability and description
+          // Probability, delay and description
           React.createElement('div', {
             key: 'action-extra',
-            className: 'grid grid-cols-2 gap-2 mt-2'
+            className: 'grid grid-cols-4 gap-2 mt-2'
           }, [
             React.createElement('div', {
               key: 'probability',
@@ -394,11 +500,49 @@ export default function SceneEditDialog({
                 min: '0',
                 max: '1',
                 step: '0.1',
-                value: action.probability || 1.0,
+                value: action.probability ?? 1.0,
                 onChange: (e) => updateAction(actionType, action.id, { probability: parseFloat(e.target.value) }),
                 className: 'w-16 px-1 py-1 border border-gray-300 rounded text-xs'
               })
             ]),
+            React.createElement('div', {
+              key: 'delay',
+              className: 'flex items-center space-x-2'
+            }, [
+              React.createElement('label', {
+                key: 'delay-label',
+                className: 'text-xs text-gray-600',
+                title: 'Real time before the action fires'
+              }, 'Delay (ms):'),
+              React.createElement('input', {
+                key: 'delay-input',
+                type: 'number',
+                min: '0',
+                step: '100',
+                value: action.delay ?? 0,
+                onChange: (e) => updateAction(actionType, action.id, { delay: Math.max(0, Number(e.target.value) || 0) }),
+                className: 'w-20 px-1 py-1 border border-gray-300 rounded text-xs'
+              })
+            ]),
+            React.createElement('div', {
+              key: 'delay-turns',
+              className: 'flex items-center space-x-2'
+            }, [
+              React.createElement('label', {
+                key: 'delay-turns-label',
+                className: 'text-xs text-gray-600',
+                title: 'Number of choices before the action fires'
+              }, 'After turns:'),
+              React.createElement('input', {
+                key: 'delay-turns-input',
+                type: 'number',
+                min: '0',
+                step: '1',
+                value: action.delayTurns ?? 0,
+                onChange: (e) => updateAction(actionType, action.id, { delayTurns: Math.max(0, Math.floor(Number(e.target.value) || 0)) }),
+                className: 'w-16 px-1 py-1 border border-gray-300 rounded text-xs'
+              })
+            ]),
             React.createElement('input', {
               key: 'description',
               type: 'text',
@@ -424,6 +568,363 @@ export default function SceneEditDialog({
     ]);
   };
 
+  // Shop: stock, prices and what the shop buys
+  const renderShopEditor = () => {
+    const shop = formData.shop;
+    const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500';
+    const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+
+    return React.createElement('div', {
+      key: 'shop-form',
+      className: 'space-y-6'
+    }, [
+      React.createElement('label', {
+        key: 'shop-enabled',
+        className: 'flex items-center gap-2 text-sm font-medium text-gray-700'
+      }, [
+        React.createElement('input', {
+          key: 'checkbox',
+          type: 'checkbox',
+          checked: !!shop,
+          onChange: (e) => toggleShop(e.target.checked)
+        }),
+        'The player can trade here'
+      ]),
+
+      shop && React.createElement('div', {
+        key: 'shop-settings',
+        className: 'grid grid-cols-2 gap-4'
+      }, [
+        React.createElement('div', { key: 'name' }, [
+          React.createElement('label', { key: 'label', className: labelClass }, 'Shop Name'),
+          React.createElement('input', {
+            key: 'input',
+            type: 'text',
+            value: shop.name || '',
+            onChange: (e) => updateShop({ name: e.target.value }),
+            placeholder: formData.title || 'Scene title',
+            className: inputClass
+          })
+        ]),
+        React.createElement('div', { key: 'currency' }, [
+          React.createElement('label', { key: 'label', className: labelClass }, 'Currency Stat'),
+          React.createElement('select', {
+            key: 'select',
+            value: shop.currencyStat || '',
+            onChange: (e) => updateShop({ currencyStat: e.target.value || undefined }),
+            className: inputClass
+          }, [
+            React.createElement('option', { key: 'default', value: '' }, "Adventure's currency"),
+            ...adventureStats.map(stat => React.createElement('option', { key: stat.id, value: stat.id }, stat.name || stat.id))
+          ])
+        ]),
+        React.createElement('div', { key: 'description', className: 'col-span-2' }, [
+          React.createElement('label', { key: 'label', className: labelClass }, 'Description'),
+          React.createElement('input', {
+            key: 'input',
+            type: 'text',
+            value: shop.description || '',
+            onChange: (e) => updateShop({ description: e.target.value }),
+            className: inputClass
+          })
+        ]),
+        React.createElement('div', { key: 'buy-multiplier' }, [
+          React.createElement('label', { key: 'label', className: labelClass }, 'Buy Price Multiplier'),
+          React.createElement('input', {
+            key: 'input',
+            type: 'number',
+            min: 0,
+            step: 0.05,
+            value: shop.buyMultiplier ?? '',
+            onChange: (e) => updateShop({ buyMultiplier: optionalNumber(e.target.value) }),
+            placeholder: '1',
+            className: inputClass
+          })
+        ]),
+        React.createElement('div', { key: 'sell-multiplier' }, [
+          React.createElement('label', { key: 'label', className: labelClass }, 'Sell Price Multiplier'),
+          React.createElement('input', {
+            key: 'input',
+            type: 'number',
+            min: 0,
+            step: 0.05,
+            value: shop.sellMultiplier ?? '',
+            onChange: (e) => updateShop({ sellMultiplier: optionalNumber(e.target.value) }),
+            placeholder: '0.5',
+            title: 'What the shop pays, as a share of the item value',
+            className: inputClass
+          })
+        ]),
+        React.createElement('label', {
+          key: 'restock',
+          className: 'col-span-2 flex items-center gap-2 text-sm text-gray-700'
+        }, [
+          React.createElement('input', {
+            key: 'checkbox',
+            type: 'checkbox',
+            checked: shop.restock !== false,
+            onChange: (e) => updateShop({ restock: e.target.checked })
+          }),
+          'Restock every time the player enters the scene'
+        ])
+      ]),
+
+      // Stock
+      shop && React.createElement('div', {
+        key: 'shop-stock',
+        className: 'space-y-2'
+      }, [
+        React.createElement('div', {
+          key: 'header',
+          className: 'flex items-center justify-between'
+        }, [
+          React.createElement('h4', { key: 'title', className: 'font-medium text-gray-900' }, 'Stock'),
+          React.createElement(Button, {
+            key: 'add',
+            onClick: () => updateShop({ stock: [...shop.stock, { itemId: adventureInventory[0]?.id || '' }] }),
+            variant: 'secondary',
+            size: 'xs'
+          }, '+ Add Item')
+        ]),
+        ...shop.stock.map((entry, index) => React.createElement('div', {
+          key: `stock-${index}`,
+          className: 'grid grid-cols-12 gap-2 items-center'
+        }, [
+          React.createElement('select', {
+            key: 'item',
+            value: entry.itemId || '',
+            onChange: (e) => updateShopList('stock', index, { itemId: e.target.value }),
+            className: `col-span-5 ${inputClass}`
+          }, [
+            React.createElement('option', { key: 'empty', value: '' }, 'Select item...'),
+            ...adventureInventory.map(item => React.createElement('option', { key: item.id, value: item.id }, item.name || item.id))
+          ]),
+          React.createElement('input', {
+            key: 'quantity',
+            type: 'number',
+            min: 0,
+            step: 1,
+            value: entry.quantity ?? '',
+            onChange: (e) => updateShopList('stock', index, { quantity: optionalNumber(e.target.value) }),
+            placeholder: 'Unlimited',
+            title: 'How many the shop has',
+            className: `col-span-3 ${inputClass}`
+          }),
+          React.createElement('input', {
+            key: 'price',
+            type: 'number',
+            min: 0,
+            value: entry.price ?? '',
+            onChange: (e) => updateShopList('stock', index, { price: optionalNumber(e.target.value) }),
+            placeholder: `Value (${adventureInventory.find(item => item.id === entry.itemId)?.value || 0})`,
+            title: 'Base price before multipliers',
+            className: `col-span-3 ${inputClass}`
+          }),
+          React.createElement('button', {
+            key: 'remove',
+            onClick: () => removeShopListEntry('stock', index),
+            className: 'col-span-1 px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200'
+          }, '×')
+        ])),
+        shop.stock.length === 0 && React.createElement('div', {
+          key: 'empty',
+          className: 'text-center text-gray-500 text-sm py-2'
+        }, 'Nothing for sale')
+      ]),
+
+      // What the shop buys from the player
+      shop && React.createElement('div', {
+        key: 'shop-buys',
+        className: 'space-y-2'
+      }, [
+        React.createElement('label', {
+          key: 'toggle',
+          className: 'flex items-center gap-2 text-sm font-medium text-gray-900'
+        }, [
+          React.createElement('input', {
+            key: 'checkbox',
+            type: 'checkbox',
+            checked: Array.isArray(shop.buys),
+            onChange: (e) => updateShop({ buys: e.target.checked ? [] : undefined })
+          }),
+          'Only buys these items (otherwise any item with a value)'
+        ]),
+        Array.isArray(shop.buys) && React.createElement('div', {
+          key: 'items',
+          className: 'flex flex-wrap gap-3'
+        }, adventureInventory.map(item => React.createElement('label', {
+          key: item.id,
+          className: 'flex items-center gap-1 text-sm text-gray-700'
+        }, [
+          React.createElement('input', {
+            key: 'checkbox',
+            type: 'checkbox',
+            checked: shop.buys.includes(item.id),
+            onChange: (e) => updateShop({
+              buys: e.target.checked ? [...shop.buys, item.id] : shop.buys.filter(id => id !== item.id)
+            })
+          }),
+          item.name || item.id
+        ])))
+      ]),
+
+      // Price modifiers driven by stats or flags
+      shop && React.createElement('div', {
+        key: 'shop-modifiers',
+        className: 'space-y-2'
+      }, [
+        React.createElement('div', {
+          key: 'header',
+          className: 'flex items-center justify-between'
+        }, [
+          React.createElement('h4', { key: 'title', className: 'font-medium text-gray-900' }, 'Price Modifiers'),
+          React.createElement(Button, {
+            key: 'add',
+            onClick: () => updateShop({ priceModifiers: [...shop.priceModifiers, { label: '', conditions: [], buy: 1, sell: 1 }] }),
+            variant: 'secondary',
+            size: 'xs'
+          }, '+ Add Modifier')
+        ]),
+        ...shop.priceModifiers.map((modifier, index) => React.createElement('div', {
+          key: `modifier-${index}`,
+          className: 'grid grid-cols-12 gap-2 items-center'
+        }, [
+          React.createElement('input', {
+            key: 'label',
+            type: 'text',
+            value: modifier.label || '',
+            onChange: (e) => updateShopList('priceModifiers', index, { label: e.target.value }),
+            placeholder: 'e.g. Guild discount',
+            className: `col-span-4 ${inputClass}`
+          }),
+          React.createElement('input', {
+            key: 'buy',
+            type: 'number',
+            min: 0,
+            step: 0.05,
+            value: modifier.buy ?? '',
+            onChange: (e) => updateShopList('priceModifiers', index, { buy: optionalNumber(e.target.value) }),
+            title: 'Buy price multiplier while the conditions hold',
+            className: `col-span-2 ${inputClass}`
+          }),
+          React.createElement('input', {
+            key: 'sell',
+            type: 'number',
+            min: 0,
+            step: 0.05,
+            value: modifier.sell ?? '',
+            onChange: (e) => updateShopList('priceModifiers', index, { sell: optionalNumber(e.target.value) }),
+            title: 'Sell price multiplier while the conditions hold',
+            className: `col-span-2 ${inputClass}`
+          }),
+          React.createElement('button', {
+            key: 'conditions',
+            onClick: () => openConditionBuilder({ type: 'shopModifier', index }, modifier.conditions || []),
+            className: 'col-span-3 px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200'
+          }, `Conditions (${(modifier.conditions || []).length})`),
+          React.createElement('button', {
+            key: 'remove',
+            onClick: () => removeShopListEntry('priceModifiers', index),
+            className: 'col-span-1 px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200'
+          }, '×')
+        ]))
+      ])
+    ]);
+  };
+
+  const renderDialogueEditor = () => {
+    const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-1 focus:ring-blue-500';
+    const buttonClass = 'px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-40';
+
+    return React.createElement('div', {
+      key: 'dialogue-form',
+      className: 'space-y-3'
+    }, [
+      React.createElement('div', {
+        key: 'dialogue-header',
+        className: 'flex items-center justify-between'
+      }, [
+        React.createElement('h4', {
+          key: 'dialogue-title',
+          className: 'font-medium text-gray-900'
+        }, 'Dialogue'),
+        React.createElement(Button, {
+          key: 'add-line-btn',
+          onClick: addDialogueLine,
+          variant: 'secondary',
+          size: 'xs'
+        }, '+ Add Line')
+      ]),
+      React.createElement('p', {
+        key: 'dialogue-help',
+        className: 'text-xs text-gray-500'
+      }, 'Shown after the scene content, in order. Lines whose conditions fail are skipped; lines without a speaker are narration.'),
+
+      ...formData.dialogue.map((line, index) => React.createElement('div', {
+        key: line.id || index,
+        className: 'p-3 rounded-lg border border-gray-200 bg-white space-y-2'
+      }, [
+        React.createElement('div', {
+          key: 'line-controls',
+          className: 'flex items-center gap-2'
+        }, [
+          React.createElement('select', {
+            key: 'speaker',
+            value: line.speaker || '',
+            onChange: (e) => updateDialogueLine(index, { speaker: e.target.value || undefined }),
+            className: `flex-1 ${inputClass}`
+          }, [
+            React.createElement('option', { key: 'narration', value: '' }, 'Narration'),
+            ...adventureCharacters.map(character => React.createElement('option', {
+              key: character.id,
+              value: character.id
+            }, character.name || character.id)),
+            line.speaker && !adventureCharacters.some(character => character.id === line.speaker)
+              ? React.createElement('option', { key: 'unknown', value: line.speaker }, `${line.speaker} (missing)`)
+              : null
+          ]),
+          React.createElement('button', {
+            key: 'conditions',
+            onClick: () => openConditionBuilder({ type: 'dialogueLine', index }, line.conditions || []),
+            className: 'px-2 py-1 text-xs bg-blue-100 text-blue-700 rounded hover:bg-blue-200'
+          }, `Conditions (${(line.conditions || []).length})`),
+          React.createElement('button', {
+            key: 'up',
+            onClick: () => moveDialogueLine(index, -1),
+            disabled: index === 0,
+            title: 'Move up',
+            className: buttonClass
+          }, '↑'),
+          React.createElement('button', {
+            key: 'down',
+            onClick: () => moveDialogueLine(index, 1),
+            disabled: index === formData.dialogue.length - 1,
+            title: 'Move down',
+            className: buttonClass
+          }, '↓'),
+          React.createElement('button', {
+            key: 'remove',
+            onClick: () => removeDialogueLine(index),
+            className: 'px-2 py-1 text-xs bg-red-100 text-red-700 rounded hover:bg-red-200'
+          }, '×')
+        ]),
+        React.createElement('textarea', {
+          key: 'text',
+          value: line.text || '',
+          onChange: (e) => updateDialogueLine(index, { text: e.target.value }),
+          rows: 2,
+          placeholder: line.speaker ? 'What they say...' : 'Narration...',
+          className: inputClass
+        })
+      ])),
+
+      formData.dialogue.length === 0 && React.createElement('div', {
+        key: 'no-dialogue',
+        className: 'text-center text-gray-500 text-sm py-4'
+      }, 'No dialogue in this scene')
+    ]);
+  };
+
   const renderChoiceList = () => {
     return React.createElement('div', {
       className: 'space-y-3'
@@ -554,9 +1055,11 @@ export default function SceneEditDialog({
         className: 'flex space-x-6'
       }, [
         { id: 'content', label: 'Content' },
+        { id: 'dialogue', label: 'Dialogue' },
         { id: 'choices', label: 'Choices' },
         { id: 'actions', label: 'Actions' },
         { id: 'advanced', label: 'Advanced' },
+        { id: 'shop', label: 'Shop' },
         { id: 'meta', label: 'Metadata' }
       ].map(tab =>
         React.createElement('button', {
@@ -630,6 +1133,9 @@ export default function SceneEditDialog({
           ])
         ]),
 
+        // Dialogue tab
+        activeTab === 'dialogue' && renderDialogueEditor(),
+
         // Choices tab
         activeTab === 'choices' && renderChoiceList(),
 
@@ -765,6 +1271,9 @@ export default function SceneEditDialog({
           ])
         ]),
 
+        // Shop tab
+        activeTab === 'shop' && renderShopEditor(),
+
         // Metadata tab
         activeTab === 'meta' && React.createElement('div', {
           key: 'meta-form',
@@ -791,6 +1300,47 @@ export default function SceneEditDialog({
             ])
           ]),
 
+          // Timed choices
+          React.createElement('div', {
+            key: 'timing-field',
+            className: 'grid grid-cols-2 gap-4'
+          }, [
+            React.createElement('div', { key: 'time-limit' }, [
+              React.createElement('label', {
+                key: 'label',
+                className: 'block text-sm font-medium text-gray-700 mb-1'
+              }, 'Time Limit (seconds)'),
+              React.createElement('input', {
+                key: 'input',
+                type: 'number',
+                min: 0,
+                step: 1,
+                value: formData.timeLimit,
+                onChange: (e) => handleFieldChange('timeLimit', e.target.value),
+                placeholder: 'No limit',
+                className: 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+              })
+            ]),
+            React.createElement('div', { key: 'default-choice' }, [
+              React.createElement('label', {
+                key: 'label',
+                className: 'block text-sm font-medium text-gray-700 mb-1'
+              }, 'Default Choice'),
+              React.createElement('select', {
+                key: 'select',
+                value: formData.defaultChoiceId,
+                onChange: (e) => handleFieldChange('defaultChoiceId', e.target.value),
+                disabled: !(Number(formData.timeLimit) > 0),
+                className: 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500'
+              }, [
+                React.createElement('option', { key: '', value: '' }, 'First available choice'),
+                ...(formData.choices || []).map(choice =>
+                  React.createElement('option', { key: choice.id, value: choice.id }, choice.text || choice.id)
+                )
+              ])
+            ])
+          ]),
+
           // Tags section
           React.createElement('div', {
             key: 'tags-field'
@@ -888,6 +1438,8 @@ export default function SceneEditDialog({
       availableStats: adventureStats,
       availableFlags: adventureFlags,
       availableItems: adventureInventory,
+      availableCharacters: adventureCharacters,
+      availableQuests: adventureQuests,
       isChoiceScriptMode: choiceScriptMode,
       onSave: saveChoice,
       onCancel: () => {
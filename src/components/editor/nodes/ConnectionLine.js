@@ -93,6 +93,9 @@ const ConnectionLine = memo(function ConnectionLine({
     return `arrowhead-${suffix}-${connectionId}`;
   };
 
+  // Return edges (tunnel back to its caller) are dashed in every state
+  const withReturnDash = styles => (connection?.isReturn ? { ...styles, strokeDasharray: '6,4' } : styles);
+
   // Get line styles - use viewport zoom for consistent scaling
   const getLineStyles = () => {
     if (isPreview) {
@@ -129,7 +132,7 @@ const ConnectionLine = memo(function ConnectionLine({
 
   const { from, to } = getConnectionPoints();
   const path = generatePath(from, to);
-  const lineStyles = getLineStyles();
+  const lineStyles = isPreview ? getLineStyles() : withReturnDash(getLineStyles());
   const arrowMarkerId = getArrowMarkerId();
 
   // Calculate label position (midpoint of curve) - use viewport zoom
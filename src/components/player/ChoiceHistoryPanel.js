@@ -0,0 +1,71 @@
+import React, { createElement } from "https://esm.sh/react@18";
+import { Button } from '../common/Button.js';
+
+/**
+ * ChoiceHistoryPanel.js - Decision points the player can rewind to
+ *
+ * Lists the engine's rewind points newest first; "Rewind here" returns to the state
+ * just before that choice was made, dropping every later decision point.
+ *
+ * Integration Points:
+ * - StoryEngine: getRewindPoints / rewindTo (through useGameState)
+ * - GameScreen: shown in the sidebar when the adventure allows rewinding
+ */
+export function ChoiceHistoryPanel({ points = [], limit = 0, onRewind, disabled = false, interpolate = null, className = '' }) {
+  const render = text => (interpolate ? interpolate(text || '') : (text || ''));
+  const newestFirst = [...points].reverse();
+
+  return createElement('div', {
+    className: `bg-white rounded-lg border p-4 space-y-3 ${className}`
+  }, [
+    createElement('div', {
+      key: 'header',
+      className: 'flex items-center justify-between'
+    }, [
+      createElement('h4', {
+        key: 'title',
+        className: 'font-semibold text-gray-800'
+      }, 'History'),
+      limit > 0 && createElement('span', {
+        key: 'limit',
+        className: 'text-xs text-gray-500'
+      }, `Last ${limit} choices`)
+    ]),
+
+    newestFirst.length === 0
+      ? createElement('p', {
+        key: 'empty',
+        className: 'text-sm text-gray-500'
+      }, 'No choices to rewind yet.')
+      : createElement('ol', {
+        key: 'points',
+        className: 'space-y-2 max-h-80 overflow-y-auto'
+      }, newestFirst.map(point => createElement('li', {
+        key: point.turn,
+        className: 'flex items-start justify-between gap-2 text-sm'
+      }, [
+        createElement('div', {
+          key: 'text',
+          className: 'min-w-0'
+        }, [
+          createElement('div', {
+            key: 'scene',
+            className: 'text-xs text-gray-500'
+          }, `Turn ${point.turn + 1} · ${render(point.sceneTitle)}`),
+          createElement('div', {
+            key: 'choice',
+            className: 'text-gray-800 truncate'
+          }, render(point.choiceText))
+        ]),
+        createElement(Button, {
+          key: 'rewind',
+          onClick: () => onRewind && onRewind(point.turn),
+          variant: 'secondary',
+          size: 'sm',
+          disabled
+        }, 'Rewind here')
+      ])))
+  ]);
+}
+
+export default ChoiceHistoryPanel;
@@ -1,11 +1,27 @@
 import React, { createElement, useMemo, useState, useEffect } from "https://esm.sh/react@18";
 import { Button } from '../common/Button.js';
-import sanitizeHtml from '../../utils/sanitizeHtml.js';
+import { formatChoiceText, getDefaultInputValue, normalizeInputValue, buildNumberHint } from './playerFormatting.js';
 
-export function ChoiceList({ choices = [], onChoiceSelect, disabled = false }) {
+export function ChoiceList({ choices = [], onChoiceSelect, disabled = false, interpolate = null, timer = null }) {
   const preparedChoices = useMemo(() => {
     return Array.isArray(choices) ? choices : [];
   }, [choices]);
+  // Taken when time runs out: the scene's default if it can be selected, else the first selectable choice
+  const timeoutChoiceId = useMemo(() => {
+    if (!timer) return null;
+    const selectable = preparedChoices.filter(choice => choice.evaluation?.isSelectable !== false);
+    return (selectable.find(choice => choice.id === timer.defaultChoiceId) || selectable[0])?.id ?? null;
+  }, [timer, preparedChoices]);
+  const timerRunning = !!timer && !timer.paused;
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick locally between engine updates; the engine owns the real deadline
+  useEffect(() => {
+    if (!timerRunning) return undefined;
+    setNow(Date.now());
+    const handle = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(handle);
+  }, [timerRunning, timer]);
 
   if (preparedChoices.length === 0) {
     return createElement('div', {
@@ -17,16 +33,51 @@ export function ChoiceList({ choices = [], onChoiceSelect, disabled = false }) {
 
   return createElement('div', {
     className: 'space-y-3'
-  }, preparedChoices.map((choice, index) => createElement(ChoiceRow, {
-    key: choice.id || index,
-    choice,
-    index: index + 1,
-    onChoose: onChoiceSelect,
-    disabled
-  })));
+  }, [
+    timer && createElement(ChoiceCountdown, {
+      key: 'countdown',
+      timer,
+      remainingMs: timerRunning ? Math.max(0, timer.remainingMs - (now - (timer.capturedAt ?? now))) : timer.remainingMs
+    }),
+    ...preparedChoices.map((choice, index) => createElement(ChoiceRow, {
+      key: choice.id || index,
+      choice,
+      index: index + 1,
+      onChoose: onChoiceSelect,
+      disabled,
+      interpolate,
+      isDefault: timeoutChoiceId !== null && timeoutChoiceId === choice.id
+    }))
+  ]);
+}
+
+function ChoiceCountdown({ timer, remainingMs }) {
+  const percent = timer.limitMs > 0 ? Math.round((remainingMs / timer.limitMs) * 100) : 0;
+  const seconds = Math.ceil(remainingMs / 1000);
+
+  return createElement('div', {
+    className: 'space-y-1',
+    role: 'timer',
+    'aria-live': 'polite'
+  }, [
+    createElement('div', {
+      key: 'label',
+      className: 'flex justify-between text-xs text-gray-300'
+    }, [
+      createElement('span', { key: 'text' }, 'Time to choose'),
+      createElement('span', { key: 'seconds' }, timer.paused ? `${seconds}s (paused)` : `${seconds}s`)
+    ]),
+    createElement('div', {
+      key: 'bar',
+      className: 'h-2 bg-gray-700 rounded-full overflow-hidden'
+    }, createElement('div', {
+      className: `h-full ${percent <= 25 ? 'bg-red-500' : 'bg-blue-500'} transition-all`,
+      style: { width: `${percent}%` }
+    }))
+  ]);
 }
 
-function ChoiceRow({ choice, index, onChoose, disabled }) {
+function ChoiceRow({ choice, index, onChoose, disabled, interpolate, isDefault = false }) {
   const evaluation = choice.evaluation || { isSelectable: true, state: 'VISIBLE' };
   const isLocked = evaluation.state === 'LOCKED' || evaluation.isSelectable === false;
   const isSecret = !!choice.isSecret;
@@ -47,7 +98,7 @@ function ChoiceRow({ choice, index, onChoose, disabled }) {
     }
   };
 
-  const textHtml = formatChoiceText(choice.text || '');
+  const textHtml = formatChoiceText(choice.text || '', interpolate);
   const lockReasons = evaluation.lockReasons || [];
 
   return createElement('div', {
@@ -64,6 +115,10 @@ function ChoiceRow({ choice, index, onChoose, disabled }) {
           className: `text-sm leading-relaxed ${isLocked ? 'text-gray-400' : 'text-white'}`,
           dangerouslySetInnerHTML: { __html: textHtml }
         }),
+        isDefault && createElement('span', {
+          className: 'inline-block px-2 py-0.5 rounded-full text-xs bg-blue-900 text-blue-100',
+          title: 'Taken automatically when time runs out'
+        }, 'Default'),
         isLocked && lockReasons.length > 0 && createElement('div', {
           className: 'text-xs text-yellow-200'
         }, lockReasons.join(', ')),
@@ -139,66 +194,6 @@ function renderInputControl(inputType, inputConfig, value, onChange, disabled) {
   }
 }
 
-function buildNumberHint(config = {}) {
-  const parts = [];
-  if (config.min != null) parts.push(`min ${config.min}`);
-  if (config.max != null) parts.push(`max ${config.max}`);
-  if (config.step != null) parts.push(`step ${config.step}`);
-  return parts.length > 0 ? parts.join(', ') : 'Enter a number';
-}
-
-function formatChoiceText(text) {
-  if (!text) return '';
-  const hasHtml = /<\/?[a-z][^>]*>/i.test(text);
-  const processed = hasHtml ? text : text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/\r?\n/g, '<br>');
-  return sanitizeHtml(processed);
-}
-
-function getDefaultInputValue(type, config = {}) {
-  switch (type) {
-    case 'input_text':
-      return '';
-    case 'input_number':
-      return config.min != null ? config.min : '';
-    case 'input_choice':
-      if (Array.isArray(config.options) && config.options.length > 0) {
-        return config.options[0].value ?? config.options[0].label ?? '';
-      }
-      return '';
-    default:
-      return '';
-  }
-}
-
-function normalizeInputValue(type, value, config = {}) {
-  if (type === 'input_number') {
-    let numeric = Number(value);
-    if (Number.isNaN(numeric)) {
-      numeric = config.min != null ? Number(config.min) : 0;
-    }
-    if (typeof config.min === 'number') {
-      numeric = Math.max(config.min, numeric);
-    }
-    if (typeof config.max === 'number') {
-      numeric = Math.min(config.max, numeric);
-    }
-    return numeric;
-  }
-
-  if (type === 'input_choice') {
-    if (!value && Array.isArray(config.options) && config.options.length > 0) {
-      return config.options[0].value ?? config.options[0].label ?? '';
-    }
-    return value;
-  }
-
-  return value ?? '';
-}
-
 export function getConsequenceClassName(severity) {
   switch (severity) {
     case 'critical':
@@ -214,6 +209,6 @@ export function getConsequenceClassName(severity) {
   }
 }
 
-export default ChoiceList;
-
-
+export default ChoiceList;
+
+
@@ -4,9 +4,13 @@ import { SceneDisplay } from './SceneDisplay.js';
 import { ChoiceList } from './ChoiceList.js';
 import { StatsPanel } from './StatsPanel.js';
 import { SaveLoadMenu } from './SaveLoadMenu.js';
+import { ChoiceHistoryPanel } from './ChoiceHistoryPanel.js';
+import { ShopPanel } from './ShopPanel.js';
 import { Button } from '../common/Button.js';
+import { TIMER_SCALE_OPTIONS } from '../../engine/PlayerSettings.js';
+import { getLocaleName } from '../../engine/Localization.js';
 
-import React, { useState, createElement } from "https://esm.sh/react@18";
+import React, { useState, useEffect, createElement } from "https://esm.sh/react@18";
 
 export function GameScreen() {
   const {
@@ -20,6 +24,22 @@ export function GameScreen() {
   exportCrossGameSave,
   importCrossGameSave,
   getSaveAnalytics,
+    interpolateText,
+    rewindTo,
+    undoLastChoice,
+    pauseChoiceTimer,
+    resumeChoiceTimer,
+    updatePlayerSettings,
+    dismissAchievementNotification,
+    exportPlayerProfile,
+    importPlayerProfile,
+    resetPlayerProfile,
+    useItem,
+    equipItem,
+    unequipItem,
+    craftItem,
+    buyItem,
+    sellItem,
     isGameLoaded,
     isPlaying,
     hasError,
@@ -27,6 +47,15 @@ export function GameScreen() {
   } = useGameState();
 
   const [showSaveMenu, setShowSaveMenu] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const rewindEnabled = gameState.rewindSettings.enabled;
+
+  // Timed choices don't count down while the save/load menu covers them
+  useEffect(() => {
+    if (!showSaveMenu) return undefined;
+    pauseChoiceTimer();
+    return () => resumeChoiceTimer();
+  }, [showSaveMenu]);
 
   if (!isGameLoaded) {
     return createElement('div', {
@@ -90,12 +119,29 @@ export function GameScreen() {
       createElement('div', {
         key: 'actions',
         className: 'flex items-center space-x-2'
-      }, createElement(Button, {
-        onClick: () => setShowSaveMenu(true),
-        variant: 'secondary',
-        size: 'sm',
-        disabled: !isPlaying || isLoading
-      }, 'Save/Load'))
+      }, [
+        rewindEnabled && createElement(Button, {
+          key: 'undo',
+          onClick: undoLastChoice,
+          variant: 'secondary',
+          size: 'sm',
+          disabled: !gameState.canRewind || isLoading
+        }, 'Undo'),
+        rewindEnabled && createElement(Button, {
+          key: 'history',
+          onClick: () => setShowHistory(!showHistory),
+          variant: 'secondary',
+          size: 'sm',
+          disabled: !isPlaying
+        }, showHistory ? 'Hide History' : 'History'),
+        createElement(Button, {
+          key: 'save-load',
+          onClick: () => setShowSaveMenu(true),
+          variant: 'secondary',
+          size: 'sm',
+          disabled: !isPlaying || isLoading
+        }, 'Save/Load')
+      ])
     ]))),
 
     // Main Content
@@ -113,7 +159,9 @@ export function GameScreen() {
         // Scene Display
         createElement(SceneDisplay, {
           key: 'scene',
-          scene: gameState.currentScene
+          scene: gameState.currentScene,
+          dialogue: gameState.dialogue,
+          interpolate: interpolateText
         }),
 
         // Loading State
@@ -136,6 +184,17 @@ export function GameScreen() {
           key: 'choices',
           choices: gameState.availableChoices,
           onChoiceSelect: makeChoice,
+          disabled: isLoading,
+          interpolate: interpolateText,
+          timer: gameState.choiceTimer
+        }),
+
+        // Shop of the current scene
+        !isLoading && gameState.shop && createElement(ShopPanel, {
+          key: `shop-${gameState.shop.id}`,
+          shop: gameState.shop,
+          onBuy: buyItem,
+          onSell: sellItem,
           disabled: isLoading
         }),
 
@@ -152,11 +211,21 @@ export function GameScreen() {
             key: 'message',
             className: 'text-gray-600 mb-4'
           }, 'You have reached the end of this adventure.'),
-          createElement(Button, {
-            key: 'save-button',
-            onClick: () => setShowSaveMenu(true),
-            variant: 'secondary'
-          }, 'Save Progress')
+          createElement('div', {
+            key: 'buttons',
+            className: 'flex justify-center space-x-2'
+          }, [
+            gameState.canRewind && createElement(Button, {
+              key: 'undo-button',
+              onClick: undoLastChoice,
+              variant: 'secondary'
+            }, 'Undo Last Choice'),
+            createElement(Button, {
+              key: 'save-button',
+              onClick: () => setShowSaveMenu(true),
+              variant: 'secondary'
+            }, 'Save Progress')
+          ])
         ])
       ]),
 
@@ -170,7 +239,28 @@ export function GameScreen() {
           stats: gameState.visibleStats,
           visitedScenes: gameState.visitedCount,
           totalScenes: gameState.sceneCount,
-          progressPercent: gameState.progressPercent
+          progressPercent: gameState.progressPercent,
+          achievements: gameState.achievements,
+          statusEffects: gameState.statusEffects,
+          characters: gameState.characters,
+          quests: gameState.quests,
+          inventoryData: gameState.inventoryDisplay,
+          equipment: gameState.equipment,
+          onItemUse: useItem,
+          onEquip: equipItem,
+          onUnequip: unequipItem,
+          recipes: gameState.recipes,
+          onCraft: craftItem
+        }),
+
+        // Choice history (rewind to an earlier decision point)
+        rewindEnabled && showHistory && createElement(ChoiceHistoryPanel, {
+          key: 'history',
+          points: gameState.rewindPoints,
+          limit: gameState.rewindSettings.limit,
+          onRewind: rewindTo,
+          disabled: isLoading,
+          interpolate: interpolateText
         }),
 
         // Quick Actions
@@ -190,6 +280,43 @@ export function GameScreen() {
             className: 'w-full',
             disabled: !gameState.canSave || isLoading
           }, 'Quick Save')
+        ]),
+
+        // Player settings: language, and stretching or switching off timed choices
+        (gameState.locales.length > 1 || gameState.hasTimedScenes) && createElement('div', {
+          key: 'player-settings',
+          className: 'bg-white rounded-lg border p-4 space-y-2'
+        }, [
+          gameState.locales.length > 1 && createElement('label', {
+            key: 'locale-label',
+            htmlFor: 'player-locale',
+            className: 'block font-semibold text-gray-800'
+          }, 'Language'),
+          gameState.locales.length > 1 && createElement('select', {
+            key: 'locale',
+            id: 'player-locale',
+            value: gameState.locale || '',
+            onChange: (event) => updatePlayerSettings({ locale: event.target.value }),
+            className: 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm'
+          }, gameState.locales.map(locale => createElement('option', {
+            key: locale,
+            value: locale
+          }, getLocaleName(locale)))),
+          gameState.hasTimedScenes && createElement('label', {
+            key: 'label',
+            htmlFor: 'timer-scale',
+            className: 'block font-semibold text-gray-800'
+          }, 'Timed choices'),
+          gameState.hasTimedScenes && createElement('select', {
+            key: 'timer-scale',
+            id: 'timer-scale',
+            value: String(gameState.playerSettings?.timerScale ?? 1),
+            onChange: (event) => updatePlayerSettings({ timerScale: Number(event.target.value) }),
+            className: 'w-full px-2 py-1 border border-gray-300 rounded-md text-sm'
+          }, TIMER_SCALE_OPTIONS.map(option => createElement('option', {
+            key: option.value,
+            value: String(option.value)
+          }, option.label)))
         ])
       ])
     ])),
@@ -205,10 +332,59 @@ export function GameScreen() {
   onExportCrossGame: exportCrossGameSave,
   onImportCrossGame: importCrossGameSave,
   onGetSaveAnalytics: getSaveAnalytics,
+      profile: gameState.profile,
+      onExportProfile: exportPlayerProfile,
+      onImportProfile: importPlayerProfile,
+      onResetProfile: resetPlayerProfile,
   canSave: gameState.canSave,
   canLoad: gameState.canLoad,
   isLoading,
   onClose: () => setShowSaveMenu(false)
+    }),
+
+    // Achievement unlock notifications
+    gameState.achievementNotifications.length > 0 && createElement(AchievementNotifications, {
+      key: 'achievement-notifications',
+      notifications: gameState.achievementNotifications,
+      onDismiss: dismissAchievementNotification
     })
   ]);
+}
+
+const NOTIFICATION_DURATION_MS = 5000;
+
+// Toasts for newly unlocked achievements; each one dismisses itself after a few seconds
+function AchievementNotifications({ notifications, onDismiss }) {
+  useEffect(() => {
+    const timers = notifications.map(notification =>
+      setTimeout(() => onDismiss(notification.id), NOTIFICATION_DURATION_MS));
+    return () => timers.forEach(clearTimeout);
+  }, [notifications.map(notification => notification.id).join('|')]);
+
+  return createElement('div', {
+    className: 'fixed bottom-4 right-4 z-50 space-y-2 w-72',
+    role: 'status',
+    'aria-live': 'polite'
+  }, notifications.map(notification => {
+    const definition = notification.definition || {};
+    const points = Number(definition.points) || 0;
+    return createElement('div', {
+      key: notification.id,
+      className: 'bg-white border border-yellow-300 rounded-lg shadow-lg p-3 flex items-start space-x-3'
+    }, [
+      createElement('span', { key: 'icon', className: 'text-2xl', 'aria-hidden': true }, definition.icon || '🏆'),
+      createElement('div', { key: 'text', className: 'flex-1 min-w-0' }, [
+        createElement('p', { key: 'label', className: 'text-xs font-semibold uppercase text-yellow-700' }, 'Achievement unlocked'),
+        createElement('p', { key: 'name', className: 'font-semibold text-gray-800 truncate' }, definition.name || notification.id),
+        definition.description && createElement('p', { key: 'description', className: 'text-sm text-gray-600' }, definition.description),
+        points > 0 && createElement('p', { key: 'points', className: 'text-xs text-gray-500' }, `+${points} points`)
+      ]),
+      createElement('button', {
+        key: 'dismiss',
+        onClick: () => onDismiss(notification.id),
+        className: 'text-gray-400 hover:text-gray-600',
+        'aria-label': 'Dismiss'
+      }, '✕')
+    ]);
+  }));
 }
\ No newline at end of file
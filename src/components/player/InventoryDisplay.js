@@ -5,10 +5,12 @@ import React, { useState, useMemo, useCallback, memo } from "https://esm.sh/reac
  * 
  * Features:
  * - Categorized inventory display with filtering
- * - Item usage and interaction
+ * - Item usage and interaction, with the result and effects of the last use
  * - Search and sorting functionality
  * - Responsive grid layout
  * - Item tooltips and descriptions
+ * - Equipment slots (paper doll) with equip/unequip and stat modifiers
+ * - Crafting panel listing recipes with the ingredients held
  * 
  * Integration Points:
  * - InventoryManager: Core inventory operations
@@ -19,8 +21,13 @@ import React, { useState, useMemo, useCallback, memo } from "https://esm.sh/reac
 
 export const InventoryDisplay = memo(function InventoryDisplay({ 
   inventoryData = null,
+  equipment = [],
   onItemUse = null,
   onItemSelect = null,
+  onEquip = null,
+  onUnequip = null,
+  recipes = [],
+  onCraft = null,
   className = '',
   compact = false,
   showSearch = true,
@@ -32,6 +39,7 @@ export const InventoryDisplay = memo(function InventoryDisplay({
   const [sortBy, setSortBy] = useState('name');
   const [selectedItem, setSelectedItem] = useState(null);
   const [showTooltip, setShowTooltip] = useState(null);
+  const [lastUse, setLastUse] = useState(null);
 
   // Process inventory data
   const processedInventory = useMemo(() => {
@@ -104,12 +112,27 @@ export const InventoryDisplay = memo(function InventoryDisplay({
     }
   }, [selectedItem, onItemSelect]);
 
-  // Handle item usage
+  // Use goes through onItemUse (StoryEngine.useItem), which reports what happened
   const handleItemUse = useCallback((item) => {
-    if (onItemUse && item.item.consumable) {
-      onItemUse(item.id, 1);
+    if (!onItemUse || !item.usable) return;
+    const result = onItemUse(item.id, 1);
+    if (result) {
+      setLastUse(result);
+      if (result.success && item.item.consumable && item.quantity <= 1) setSelectedItem(null);
     }
   }, [onItemUse]);
+  const handleUse = onItemUse ? handleItemUse : null;
+
+  // Equip into the item's slot, or take it off again
+  const handleToggleEquip = useCallback((item) => {
+    if (!item.item.slot) return;
+    if (item.equipped) {
+      onUnequip?.(item.id);
+    } else {
+      onEquip?.(item.id);
+    }
+  }, [onEquip, onUnequip]);
+  const canEquip = !!(onEquip && onUnequip);
 
   // Get category list for filter
   const categoryList = useMemo(() => {
@@ -225,6 +248,24 @@ export const InventoryDisplay = memo(function InventoryDisplay({
       )
     ),
 
+    // Result of the last item use
+    lastUse && React.createElement('div', {
+      className: `mb-3 text-xs ${lastUse.success ? 'text-green-700' : 'text-red-600'}`
+    },
+      React.createElement('div', null, lastUse.message),
+      lastUse.effects?.length > 0 && React.createElement('ul', {
+        className: 'list-disc list-inside text-gray-700'
+      },
+        lastUse.effects.map((effect, index) => React.createElement('li', { key: index }, effect))
+      )
+    ),
+
+    // Equipment slots
+    !compact && equipment.length > 0 && React.createElement(EquipmentSlots, {
+      equipment,
+      onUnequip: canEquip ? onUnequip : null
+    }),
+
     // Items grid
     React.createElement('div', {
       className: 'inventory-grid overflow-y-auto',
@@ -252,7 +293,8 @@ export const InventoryDisplay = memo(function InventoryDisplay({
               isSelected: selectedItem?.id === item.id,
               isCompact: compact,
               onClick: handleItemClick,
-              onUse: handleItemUse,
+              onUse: handleUse,
+              onToggleEquip: canEquip ? handleToggleEquip : null,
               onMouseEnter: () => setShowTooltip(item.id),
               onMouseLeave: () => setShowTooltip(null),
               showTooltip: showTooltip === item.id
@@ -261,10 +303,17 @@ export const InventoryDisplay = memo(function InventoryDisplay({
         )
     ),
 
+    // Crafting
+    !compact && recipes.length > 0 && React.createElement(CraftingPanel, {
+      recipes,
+      onCraft
+    }),
+
     // Selected item details (if not compact)
     !compact && selectedItem && React.createElement(ItemDetails, {
-      item: selectedItem,
-      onUse: handleItemUse,
+      item: filteredItems.find(entry => entry.id === selectedItem.id) || selectedItem,
+      onUse: handleUse,
+      onToggleEquip: canEquip ? handleToggleEquip : null,
       onClose: () => setSelectedItem(null)
     })
   );
@@ -277,6 +326,7 @@ const InventoryItem = memo(function InventoryItem({
   isCompact, 
   onClick, 
   onUse, 
+  onToggleEquip,
   onMouseEnter, 
   onMouseLeave,
   showTooltip 
@@ -290,6 +340,11 @@ const InventoryItem = memo(function InventoryItem({
     onUse(item);
   }, [item, onUse]);
 
+  const handleToggleEquip = useCallback((e) => {
+    e.stopPropagation();
+    onToggleEquip(item);
+  }, [item, onToggleEquip]);
+
   return React.createElement('div', {
     className: `inventory-item relative cursor-pointer border rounded-lg p-3 transition-all duration-200 ${
       isSelected 
@@ -328,6 +383,10 @@ const InventoryItem = memo(function InventoryItem({
           }, `×${item.quantity}`)
         ),
 
+        item.equipped && React.createElement('span', {
+          className: 'inline-block mt-1 px-1.5 py-0.5 text-xs bg-blue-100 text-blue-800 rounded'
+        }, 'Equipped'),
+
         !isCompact && React.createElement('div', {
           className: 'mt-1'
         },
@@ -352,15 +411,15 @@ const InventoryItem = memo(function InventoryItem({
         React.createElement('div', {
           className: 'flex gap-2 mt-2'
         },
-          item.item.consumable && React.createElement('button', {
+          item.usable && onUse && React.createElement('button', {
             onClick: handleUse,
             className: 'px-2 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 transition-colors'
           }, 'Use'),
 
-          item.item.equipable && React.createElement('button', {
-            onClick: (e) => { e.stopPropagation(); /* handle equip */ },
+          item.item.slot && onToggleEquip && React.createElement('button', {
+            onClick: handleToggleEquip,
             className: 'px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors'
-          }, 'Equip')
+          }, item.equipped ? 'Unequip' : 'Equip')
         )
       )
     ),
@@ -374,7 +433,7 @@ const InventoryItem = memo(function InventoryItem({
 });
 
 // Item details panel
-const ItemDetails = memo(function ItemDetails({ item, onUse, onClose}) {
+const ItemDetails = memo(function ItemDetails({ item, onUse, onToggleEquip, onClose}) {
   return React.createElement('div', {
     className: 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50'
   },
@@ -429,21 +488,31 @@ const ItemDetails = memo(function ItemDetails({ item, onUse, onClose}) {
           }, item.item.description)
         ),
 
-        item.item.effects && React.createElement('div', null,
+        item.item.effects?.length > 0 && React.createElement('div', null,
           React.createElement('h4', {
             className: 'font-medium mb-2'
-          }, 'Effects'),
+          }, item.item.consumable ? 'When used (used up)' : 'When used'),
           React.createElement('ul', {
             className: 'text-sm text-gray-700 space-y-1'
           },
             item.item.effects.map((effect, index) =>
-              React.createElement('li', {
-                key: index,
-                className: 'flex justify-between'
-              },
-                React.createElement('span', null, effect.target),
-                React.createElement('span', null, `${effect.value > 0 ? '+' : ''}${effect.value}`)
-              )
+              React.createElement('li', { key: index }, formatEffect(effect))
+            )
+          ),
+          item.item.usableIn?.length > 0 && React.createElement('p', {
+            className: 'text-xs text-gray-500 mt-1'
+          }, `Only usable in: ${item.item.usableIn.join(', ')}`)
+        ),
+
+        item.item.slot && item.item.modifiers?.length > 0 && React.createElement('div', null,
+          React.createElement('h4', {
+            className: 'font-medium mb-2'
+          }, `While equipped (${item.item.slot})`),
+          React.createElement('ul', {
+            className: 'text-sm text-gray-700 space-y-1'
+          },
+            item.item.modifiers.map((modifier, index) =>
+              React.createElement('li', { key: index }, formatModifier(modifier))
             )
           )
         )
@@ -453,15 +522,145 @@ const ItemDetails = memo(function ItemDetails({ item, onUse, onClose}) {
       React.createElement('div', {
         className: 'flex gap-2 mt-6'
       },
-        item.item.consumable && React.createElement('button', {
+        item.usable && onUse && React.createElement('button', {
           onClick: () => onUse(item),
           className: 'flex-1 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors'
         }, 'Use Item'),
 
-        item.item.equipable && React.createElement('button', {
-          onClick: () => { /* handle equip */ },
+        item.item.slot && onToggleEquip && React.createElement('button', {
+          onClick: () => onToggleEquip(item),
           className: 'flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors'
-        }, 'Equip')
+        }, item.equipped ? 'Unequip' : 'Equip')
+      )
+    )
+  );
+});
+
+// Paper doll: every slot with what is in it; empty places show as dashed boxes
+const EquipmentSlots = memo(function EquipmentSlots({ equipment, onUnequip }) {
+  return React.createElement('div', {
+    className: 'equipment-slots mb-4'
+  },
+    React.createElement('h4', {
+      className: 'text-sm font-medium text-gray-700 mb-2'
+    }, 'Equipment'),
+    React.createElement('div', {
+      className: 'grid grid-cols-2 sm:grid-cols-4 gap-2'
+    },
+      equipment.map(slot =>
+        React.createElement('div', {
+          key: slot.id,
+          className: 'border border-gray-300 rounded-lg p-2 bg-gray-50'
+        },
+          React.createElement('div', {
+            className: 'text-xs text-gray-500 mb-1'
+          }, slot.capacity > 1 ? `${slot.name} (${slot.items.length}/${slot.capacity})` : slot.name),
+          Array.from({ length: slot.capacity }, (_, index) => {
+            const item = slot.items[index];
+            if (!item) {
+              return React.createElement('div', {
+                key: index,
+                className: 'h-8 mb-1 border border-dashed border-gray-300 rounded flex items-center justify-center text-xs text-gray-400'
+              }, 'Empty');
+            }
+            return React.createElement('button', {
+              key: item.id,
+              onClick: onUnequip ? () => onUnequip(item.id) : undefined,
+              disabled: !onUnequip,
+              title: [...item.modifiers.map(formatModifier), onUnequip ? 'Click to unequip' : ''].filter(Boolean).join('\n'),
+              className: 'w-full h-8 mb-1 px-2 flex items-center gap-1 text-xs text-left bg-white border border-blue-300 rounded hover:bg-blue-50'
+            },
+              React.createElement('span', null, item.icon || '🎽'),
+              React.createElement('span', { className: 'truncate' }, item.name)
+            );
+          })
+        )
+      )
+    )
+  );
+});
+
+// Recipes with what they need; crafting goes through onCraft (StoryEngine.craft)
+const CraftingPanel = memo(function CraftingPanel({ recipes, onCraft }) {
+  const [lastResult, setLastResult] = useState(null);
+
+  const handleCraft = useCallback((recipeId) => {
+    const result = onCraft?.(recipeId);
+    if (result) setLastResult(result);
+  }, [onCraft]);
+
+  return React.createElement('div', {
+    className: 'crafting-panel mt-4 border-t pt-3'
+  },
+    React.createElement('h4', {
+      className: 'text-sm font-medium text-gray-700 mb-2'
+    }, 'Crafting'),
+
+    lastResult && React.createElement('div', {
+      className: `text-xs mb-2 ${lastResult.success ? 'text-green-700' : 'text-red-600'}`
+    }, lastResult.message),
+
+    React.createElement('div', {
+      className: 'space-y-2'
+    },
+      recipes.map(recipe =>
+        React.createElement('div', {
+          key: recipe.id,
+          className: `border rounded-lg p-2 ${recipe.canCraft ? 'border-green-300 bg-white' : 'border-gray-200 bg-gray-50'}`
+        },
+          React.createElement('div', {
+            className: 'flex justify-between items-center gap-2'
+          },
+            React.createElement('div', {
+              className: 'min-w-0'
+            },
+              React.createElement('div', {
+                className: 'text-sm font-medium text-gray-900 truncate'
+              }, recipe.name),
+              recipe.craftedCount > 0 && React.createElement('div', {
+                className: 'text-xs text-gray-500'
+              }, `Crafted ${recipe.craftedCount}×`)
+            ),
+            onCraft && React.createElement('button', {
+              onClick: () => handleCraft(recipe.id),
+              disabled: !recipe.canCraft,
+              title: recipe.message,
+              className: `px-2 py-1 text-xs rounded ${
+                recipe.canCraft
+                  ? 'bg-green-600 text-white hover:bg-green-700'
+                  : 'bg-gray-200 text-gray-500 cursor-not-allowed'
+              }`
+            }, 'Craft')
+          ),
+
+          recipe.description && React.createElement('p', {
+            className: 'text-xs text-gray-600 mt-1'
+          }, recipe.description),
+
+          React.createElement('div', {
+            className: 'flex flex-wrap items-center gap-1 mt-1 text-xs'
+          },
+            recipe.ingredients.map(part =>
+              React.createElement('span', {
+                key: part.itemId,
+                className: `px-1 rounded ${part.have >= part.quantity ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-700'}`
+              }, `${part.icon || ''} ${part.name} ${part.have}/${part.quantity}`.trim())
+            ),
+            React.createElement('span', {
+              className: 'text-gray-400'
+            }, '→'),
+            recipe.results.map(part =>
+              React.createElement('span', {
+                key: part.itemId,
+                className: 'px-1 rounded bg-blue-100 text-blue-800'
+              }, `${part.icon || ''} ${part.quantity > 1 ? `${part.quantity}× ` : ''}${part.name}`.trim())
+            )
+          ),
+
+          !recipe.requirementsMet && React.createElement('div', {
+            className: 'text-xs text-orange-600 mt-1'
+          }, 'Requirements not met')
+        )
       )
     )
   );
@@ -526,6 +725,25 @@ export function getItemIcon(category) {
   return icons[category] || icons.misc;
 }
 
+// '+2 strength' / '×1.5 strength'
+export function formatModifier(modifier) {
+  if (modifier.type === 'multiply') {
+    return `×${modifier.value} ${modifier.stat}`;
+  }
+  return `${modifier.value >= 0 ? '+' : ''}${modifier.value} ${modifier.stat}`;
+}
+
+// An item effect for the details panel: its description, else '+10 health' / 'go to scene tower'
+export function formatEffect(effect) {
+  if (effect.description) return effect.description;
+  const target = effect.key ?? effect.target ?? '';
+  if (typeof effect.value === 'number' && (!effect.type || ['add_stat', 'stat_add', 'stat_modifier'].includes(effect.type))) {
+    return `${effect.value >= 0 ? '+' : ''}${effect.value} ${target}`;
+  }
+  const value = effect.value === undefined || typeof effect.value === 'object' ? '' : ` ${effect.value}`;
+  return `${(effect.type || 'effect').replace(/_/g, ' ')} ${target}${value}`.trim();
+}
+
 export function getRarityColor(rarity) {
   switch (rarity) {
     case 'common':
@@ -12,6 +12,10 @@ export function SaveLoadMenu({
   onExportCrossGame,
   onImportCrossGame,
   onGetSaveAnalytics,
+  profile,
+  onExportProfile,
+  onImportProfile,
+  onResetProfile,
   canSave,
   canLoad,
   isLoading,
@@ -55,15 +59,7 @@ export function SaveLoadMenu({
     try {
       const result = await onExportCrossGame(saveId, format);
       if (result) {
-        // Create download link
-        const url = URL.createObjectURL(result.blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = result.filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(result);
       }
     } catch (error) {
       alert(`Export failed: ${error.message}`);
@@ -118,7 +114,8 @@ export function SaveLoadMenu({
     { id: 'save', label: 'Save Game', icon: '💾' },
     { id: 'load', label: 'Load Game', icon: '📂' },
     { id: 'crossgame', label: 'Cross-Game', icon: '🔄' },
-    saves.length > 0 && { id: 'analytics', label: 'Analytics', icon: '📊' }
+    saves.length > 0 && { id: 'analytics', label: 'Analytics', icon: '📊' },
+    profile && { id: 'profile', label: 'Profile', icon: '🏅' }
   ].filter(Boolean);
 
   return createElement('div', {
@@ -432,6 +429,15 @@ export function SaveLoadMenu({
         }, 'No saves available for analytics')
       ]),
 
+      // Player Profile Mode
+      mode === 'profile' && profile && createElement(ProfilePanel, {
+        key: 'profile-mode',
+        profile,
+        onExport: onExportProfile,
+        onImport: onImportProfile,
+        onReset: onResetProfile
+      }),
+
       // Analytics Detail Modal
       showAnalytics && createElement(AnalyticsModal, {
         key: 'analytics-modal',
@@ -442,6 +448,138 @@ export function SaveLoadMenu({
   ]));
 }
 
+// Offer { blob, filename } as a download
+function downloadFile({ blob, filename }) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// What carries over between playthroughs of this adventure, with export / import / reset
+function ProfilePanel({ profile, onExport, onImport, onReset }) {
+  const fileInputRef = useRef(null);
+  const metaFlags = Object.entries(profile.metaFlags || {});
+
+  const handleExport = () => {
+    try {
+      downloadFile(onExport());
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      if (!window.confirm('Replace your player profile with this file? Progress not in the file is lost.')) return;
+      const result = onImport(event.target.result);
+      alert(result.success ? result.message : `Import failed: ${result.message}`);
+    };
+    reader.readAsText(file);
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Reset your progress in this adventure? Endings, meta flags and achievements are forgotten.')) {
+      onReset();
+    }
+  };
+
+  return createElement('div', {
+    className: 'space-y-4'
+  }, [
+    createElement('div', {
+      key: 'summary',
+      className: 'grid grid-cols-3 gap-2 text-center'
+    }, [
+      ['playthroughs', 'Playthroughs', profile.playthroughs],
+      ['endings', 'Endings Seen', `${profile.endings.length} / ${profile.totalEndings}`],
+      ['achievements', 'Achievements', `${profile.achievementsUnlocked} / ${profile.totalAchievements}`]
+    ].map(([key, label, value]) => createElement('div', {
+      key,
+      className: 'p-3 bg-gray-50 rounded-lg border'
+    }, [
+      createElement('div', { key: 'value', className: 'text-lg font-semibold text-gray-800' }, value),
+      createElement('div', { key: 'label', className: 'text-xs text-gray-600' }, label)
+    ]))),
+
+    createElement('div', { key: 'endings' }, [
+      createElement('h3', {
+        key: 'title',
+        className: 'text-sm font-medium text-gray-800 mb-2'
+      }, 'Endings'),
+      profile.endings.length > 0 ? createElement('ul', {
+        key: 'list',
+        className: 'space-y-1'
+      }, profile.endings.map(ending => createElement('li', {
+        key: ending.sceneId,
+        className: 'flex items-center justify-between p-2 bg-white rounded border text-sm'
+      }, [
+        createElement('span', { key: 'title' }, ending.title),
+        createElement('span', { key: 'count', className: 'text-xs text-gray-500' }, `reached ${ending.count}×`)
+      ]))) : createElement('p', {
+        key: 'none',
+        className: 'text-xs text-gray-500'
+      }, 'No endings reached yet')
+    ]),
+
+    metaFlags.length > 0 && createElement('div', { key: 'meta-flags' }, [
+      createElement('h3', {
+        key: 'title',
+        className: 'text-sm font-medium text-gray-800 mb-2'
+      }, 'Meta Flags'),
+      createElement('div', {
+        key: 'list',
+        className: 'flex flex-wrap gap-2'
+      }, metaFlags.map(([id, value]) => createElement('span', {
+        key: id,
+        className: 'px-2 py-1 text-xs bg-blue-50 text-blue-700 rounded border border-blue-200'
+      }, value === true ? id : `${id}: ${String(value)}`)))
+    ]),
+
+    createElement('div', {
+      key: 'actions',
+      className: 'flex gap-2 pt-2 border-t'
+    }, [
+      createElement('input', {
+        key: 'file-input',
+        type: 'file',
+        accept: '.json',
+        onChange: handleImportFile,
+        ref: fileInputRef,
+        className: 'hidden'
+      }),
+      createElement(Button, {
+        key: 'export',
+        onClick: handleExport,
+        variant: 'secondary',
+        size: 'sm'
+      }, '📤 Export Profile'),
+      createElement(Button, {
+        key: 'import',
+        onClick: () => fileInputRef.current?.click(),
+        variant: 'secondary',
+        size: 'sm'
+      }, '📥 Import Profile'),
+      createElement(Button, {
+        key: 'reset',
+        onClick: handleReset,
+        variant: 'danger',
+        size: 'sm',
+        className: 'ml-auto'
+      }, 'Reset Progress')
+    ])
+  ]);
+}
+
 function SaveItem({ 
   save, 
   isSelected, 
@@ -1,10 +1,10 @@
 import React, { createElement, useMemo } from "https://esm.sh/react@18";
-import sanitizeHtml from '../../utils/sanitizeHtml.js';
+import { formatSceneContent, formatDialogueText } from './playerFormatting.js';
 
-export function SceneDisplay({ scene, className = '' }) {
+export function SceneDisplay({ scene, dialogue = [], className = '', interpolate = null }) {
   const formattedContent = useMemo(() => {
-    return scene ? formatSceneContent(scene.content) : '';
-  }, [scene?.content]);
+    return scene ? formatSceneContent(scene.content, interpolate) : '';
+  }, [scene?.content, interpolate]);
 
   if (!scene) {
     return createElement('div', {
@@ -20,7 +20,7 @@ export function SceneDisplay({ scene, className = '' }) {
     createElement('h2', {
       key: 'title',
       className: 'text-2xl font-bold text-gray-900 mb-4'
-    }, scene.title),
+    }, typeof interpolate === 'function' ? interpolate(scene.title) : scene.title),
 
     createElement('div', {
       key: 'content',
@@ -28,29 +28,54 @@ export function SceneDisplay({ scene, className = '' }) {
     }, createElement('div', {
       className: 'text-gray-700 leading-relaxed',
       dangerouslySetInnerHTML: { __html: formattedContent }
-    }))
+    })),
+
+    // Speaker-tagged lines (StoryEngine.getCurrentDialogue); lines without a speaker are narration
+    dialogue.length > 0 && createElement('div', {
+      key: 'dialogue',
+      className: 'mt-6 space-y-3'
+    }, dialogue.map(line => createElement(DialogueLine, { key: line.id, line, interpolate })))
   ]);
 }
 
-export function formatSceneContent(content = '') {
-  if (!content) return '';
+function DialogueLine({ line, interpolate }) {
+  const text = createElement('div', {
+    key: 'text',
+    className: line.speaker ? 'text-gray-800' : 'text-gray-600 italic',
+    dangerouslySetInnerHTML: { __html: formatDialogueText(line.text, interpolate) }
+  });
 
-  const hasHtml = /<\/?[a-z][\s\S]*>/i.test(content);
-  const processed = hasHtml ? content : convertPlainTextToHtml(content);
+  if (!line.speaker) {
+    return createElement('div', { className: 'px-1' }, text);
+  }
 
-  return sanitizeHtml(processed);
+  return createElement('div', {
+    className: 'flex items-start gap-3'
+  }, [
+    line.speaker.portrait
+      ? createElement('img', {
+        key: 'portrait',
+        src: line.speaker.portrait,
+        alt: line.speaker.name,
+        className: 'w-12 h-12 rounded-full object-cover border flex-shrink-0'
+      })
+      : createElement('div', {
+        key: 'portrait',
+        className: 'w-12 h-12 rounded-full bg-gray-200 flex items-center justify-center text-gray-600 font-semibold flex-shrink-0',
+        'aria-hidden': true
+      }, line.speaker.name.charAt(0).toUpperCase()),
+    createElement('div', {
+      key: 'bubble',
+      className: 'flex-1 bg-gray-50 rounded-lg px-3 py-2 border'
+    }, [
+      createElement('div', {
+        key: 'name',
+        className: 'text-sm font-semibold text-gray-900',
+        style: line.speaker.color ? { color: line.speaker.color } : undefined
+      }, line.speaker.name),
+      text
+    ])
+  ]);
 }
 
-function convertPlainTextToHtml(text) {
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/\r\n/g, '\n')
-    .replace(/\n\n+/g, '</p><p>')
-    .replace(/\n/g, '<br>')
-    .replace(/^/, '<p>')
-    .replace(/$/, '</p>')
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*(.*?)\*/g, '<em>$1</em>');
-}
+export { formatSceneContent };
@@ -0,0 +1,124 @@
+import React, { useState, createElement } from "https://esm.sh/react@18";
+import { Button } from '../common/Button.js';
+
+/**
+ * ShopPanel.js - Buy and sell at the current scene's shop
+ *
+ * Shows the shop's stock with prices and what is left, and the player's items the
+ * shop buys. Each button trades one item; the engine checks money, stock and stack
+ * limits and the result message is shown above the lists.
+ *
+ * Integration Points:
+ * - StoryEngine: getCurrentShop / buyItem / sellItem (through useGameState)
+ * - GameScreen: shown below the choices while the scene has a shop
+ */
+export function ShopPanel({ shop, onBuy, onSell, disabled = false, className = '' }) {
+  const [tab, setTab] = useState('buy');
+  const [lastResult, setLastResult] = useState(null);
+  const { currency } = shop;
+
+  const trade = (handler, itemId) => {
+    const result = handler?.(itemId, 1);
+    if (result) setLastResult(result);
+  };
+
+  const row = (entry, details, button) => createElement('li', {
+    key: entry.itemId,
+    className: 'flex items-center justify-between gap-2 text-sm'
+  }, [
+    createElement('div', {
+      key: 'text',
+      className: 'min-w-0'
+    }, [
+      createElement('div', {
+        key: 'name',
+        className: 'text-gray-800 truncate'
+      }, `${entry.icon || ''} ${entry.name}`.trim()),
+      createElement('div', {
+        key: 'details',
+        className: 'text-xs text-gray-500'
+      }, details)
+    ]),
+    button
+  ]);
+
+  const stockList = shop.stock.map(entry => row(
+    entry,
+    `${entry.price} ${currency.name}${entry.remaining === null ? '' : ` · ${entry.remaining} left`}`,
+    createElement(Button, {
+      key: 'buy',
+      onClick: () => trade(onBuy, entry.itemId),
+      variant: 'primary',
+      size: 'sm',
+      disabled: disabled || !entry.canBuy
+    }, 'Buy')
+  ));
+
+  const sellList = shop.sellable.map(entry => row(
+    entry,
+    `You have ${entry.count} · sells for ${entry.price} ${currency.name}`,
+    createElement(Button, {
+      key: 'sell',
+      onClick: () => trade(onSell, entry.itemId),
+      variant: 'secondary',
+      size: 'sm',
+      disabled: disabled || !entry.canSell
+    }, 'Sell')
+  ));
+
+  const list = tab === 'buy' ? stockList : sellList;
+
+  return createElement('div', {
+    className: `bg-white rounded-lg border p-4 space-y-3 ${className}`
+  }, [
+    createElement('div', {
+      key: 'header',
+      className: 'flex items-center justify-between'
+    }, [
+      createElement('h4', {
+        key: 'title',
+        className: 'font-semibold text-gray-800'
+      }, shop.name),
+      createElement('span', {
+        key: 'currency',
+        className: 'text-sm text-gray-600'
+      }, `${currency.name}: ${currency.value ?? '—'}`)
+    ]),
+
+    shop.description && createElement('p', {
+      key: 'description',
+      className: 'text-sm text-gray-600'
+    }, shop.description),
+
+    shop.multipliers.buy !== 1 && createElement('p', {
+      key: 'multiplier',
+      className: 'text-xs text-gray-500'
+    }, `Prices at ${Math.round(shop.multipliers.buy * 100)}% for you`),
+
+    createElement('div', {
+      key: 'tabs',
+      className: 'flex gap-2 border-b'
+    }, [['buy', 'Buy'], ['sell', 'Sell']].map(([id, label]) => createElement('button', {
+      key: id,
+      onClick: () => setTab(id),
+      className: `px-3 py-1 text-sm ${tab === id ? 'border-b-2 border-blue-600 text-blue-700 font-medium' : 'text-gray-500 hover:text-gray-700'}`
+    }, label))),
+
+    lastResult && createElement('div', {
+      key: 'result',
+      className: `text-xs ${lastResult.success ? 'text-green-700' : 'text-red-600'}`
+    }, lastResult.message),
+
+    list.length === 0
+      ? createElement('p', {
+        key: 'empty',
+        className: 'text-sm text-gray-500'
+      }, tab === 'buy' ? 'Nothing for sale.' : 'You have nothing this shop buys.')
+      : createElement('ul', {
+        key: 'items',
+        className: 'space-y-2 max-h-80 overflow-y-auto'
+      }, list)
+  ]);
+}
+
+export default ShopPanel;
@@ -0,0 +1,333 @@
+/**
+ * StandalonePlayer.js - React-free player for the standalone HTML export
+ *
+ * Plays an adventure with the same StoryEngine/SaveSystem the app uses, rendering
+ * with plain DOM calls so the exported file needs no CDN. Scene and choice text go
+ * through playerFormatting (shared with SceneDisplay/ChoiceList), so both players
+ * format content identically.
+ *
+ * Saves live in localStorage: three manual slots plus an autosave after every
+ * choice. The save list is shared by every adventure on the same origin, so slots
+ * are named after the adventure and filtered by adventureId.
+ *
+ * Integration Points:
+ * - StandaloneHtmlExporter: bundles this module and calls mountStandalonePlayer
+ * - StoryEngine: gameplay; its 'actionsExecuted' and 'choiceTimerExpired' events re-render
+ *   after timed actions and timed-out choices (timers pause while the save panel is open)
+ * - SaveSystem: localStorage saves
+ * - PlayerSettings: language choice (and timer scale), remembered in localStorage
+ */
+
+import { StoryEngine } from '../../engine/StoryEngine.js';
+import { SaveSystem } from '../../engine/SaveSystem.js';
+import { PlayerSettings } from '../../engine/PlayerSettings.js';
+import { getLocaleName } from '../../engine/Localization.js';
+import {
+  formatSceneContent,
+  formatChoiceText,
+  formatDialogueText,
+  getDefaultInputValue,
+  normalizeInputValue,
+  buildNumberHint
+} from './playerFormatting.js';
+
+const SAVE_SLOTS = 3;
+
+/**
+ * Start playing an adventure inside a DOM element
+ * @param {HTMLElement} root - Element the player renders into (its content is replaced)
+ * @param {Object} adventure - Adventure in the 'adventure' export format
+ * @returns {Promise<Object>} Controls: { getEngine, restart, save, load }
+ */
+export async function mountStandalonePlayer(root, adventure) {
+  const doc = root.ownerDocument;
+  const adventureId = adventure.id || 'current';
+  const state = { engine: null, saveSystem: null, unsubscribe: null, showSaves: false, message: '' };
+  const settings = new PlayerSettings();
+
+  const el = (tag, props = {}, children = []) => {
+    const node = doc.createElement(tag);
+    Object.entries(props).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === false) return;
+      if (key === 'className') node.className = value;
+      else if (key === 'html') node.innerHTML = value;
+      else if (key === 'text') node.textContent = value;
+      else if (key.startsWith('on')) node.addEventListener(key.slice(2).toLowerCase(), value);
+      else node.setAttribute(key, value === true ? '' : value);
+    });
+    children.filter(Boolean).forEach(child => node.appendChild(child));
+    return node;
+  };
+
+  const slotName = slot => `${adventure.title || adventureId} - ${slot}`;
+
+  const listSaves = async () => {
+    const saves = await state.saveSystem.listSaves();
+    return saves.filter(save => save.adventureId === adventureId);
+  };
+
+  const start = async () => {
+    if (state.unsubscribe) state.unsubscribe();
+    if (state.engine) state.engine.dispose();
+
+    const engine = new StoryEngine();
+    settings.applyTo(engine);
+    // Each start gets its own copy; the engine keeps references to scene objects
+    await engine.loadAdventure(JSON.parse(JSON.stringify(adventure)));
+    state.engine = engine;
+    if (state.showSaves) engine.pauseChoiceTimer();
+    state.saveSystem = new SaveSystem(engine);
+    const offActions = engine.events.on('actionsExecuted', () => render());
+    const offExpired = engine.events.on('choiceTimerExpired', () => {
+      state.message = 'Time ran out.';
+      render();
+    });
+    state.unsubscribe = () => {
+      offActions();
+      offExpired();
+    };
+  };
+
+  const toggleSaves = () => {
+    state.showSaves = !state.showSaves;
+    if (state.showSaves) state.engine.pauseChoiceTimer();
+    else state.engine.resumeChoiceTimer();
+    render();
+  };
+
+  const choose = async (choiceId, submission) => {
+    const result = state.engine.makeChoice(choiceId, submission);
+    if (!result) {
+      state.message = 'That choice is not available.';
+    } else {
+      state.message = '';
+      await state.saveSystem.saveGame(slotName('Autosave')).catch(error => {
+        console.warn('StandalonePlayer: Autosave failed:', error);
+      });
+    }
+    render();
+  };
+
+  const save = async (slot) => {
+    try {
+      await state.saveSystem.saveGame(slotName(slot));
+      state.message = `Saved to ${slot}.`;
+    } catch (error) {
+      state.message = `Save failed: ${error.message}`;
+    }
+    render();
+  };
+
+  const load = async (saveId) => {
+    try {
+      await state.saveSystem.loadGame(saveId);
+      state.message = 'Game loaded.';
+      state.showSaves = false;
+      state.engine.resumeChoiceTimer();
+    } catch (error) {
+      state.message = `Load failed: ${error.message}`;
+    }
+    render();
+  };
+
+  const changeLocale = (locale) => {
+    settings.update({ locale });
+    settings.applyTo(state.engine);
+    render();
+  };
+
+  const restart = async () => {
+    await start();
+    state.message = '';
+    render();
+  };
+
+  const renderChoice = (choice, index, interpolate) => {
+    const evaluation = choice.evaluation || { isSelectable: true, state: 'VISIBLE' };
+    const isLocked = evaluation.state === 'LOCKED' || evaluation.isSelectable === false;
+    const inputType = evaluation.inputType || choice.inputType || 'static';
+    const inputConfig = evaluation.inputConfig || choice.inputConfig || {};
+    const lockReasons = evaluation.lockReasons || [];
+
+    let input = null;
+    let readInput = () => undefined;
+    if (inputType === 'input_text' || inputType === 'input_number') {
+      input = el('input', {
+        className: 'player-input',
+        type: inputType === 'input_number' ? 'number' : 'text',
+        min: inputConfig.min,
+        max: inputConfig.max,
+        step: inputConfig.step,
+        placeholder: inputType === 'input_number' ? buildNumberHint(inputConfig) : (inputConfig.placeholder || 'Type your answer'),
+        disabled: isLocked
+      });
+      input.value = getDefaultInputValue(inputType, inputConfig);
+      readInput = () => input.value;
+    } else if (inputType === 'input_choice') {
+      input = el('select', { className: 'player-input', disabled: isLocked }, (inputConfig.options || []).map(option =>
+        el('option', { value: option.value ?? option.label, text: option.label ?? option.value })
+      ));
+      input.value = getDefaultInputValue(inputType, inputConfig);
+      readInput = () => input.value;
+    }
+
+    const handleSelect = () => {
+      if (isLocked) return;
+      const submission = input ? { inputValue: normalizeInputValue(inputType, readInput(), inputConfig) } : {};
+      choose(choice.id, submission);
+    };
+
+    return el('div', { className: `player-choice${isLocked ? ' player-choice-locked' : ''}` }, [
+      input,
+      el('div', { className: 'player-choice-row' }, [
+        el('div', { className: 'player-choice-text' }, [
+          el('div', { html: formatChoiceText(choice.text || '', interpolate) }),
+          isLocked && lockReasons.length > 0 && el('div', { className: 'player-lock-reasons', text: lockReasons.join(', ') })
+        ]),
+        el('button', {
+          className: 'player-button',
+          type: 'button',
+          disabled: isLocked,
+          onClick: handleSelect
+        }, [doc.createTextNode(isLocked ? 'Locked' : `Choose ${index + 1}`)])
+      ])
+    ]);
+  };
+
+  // Speaker-tagged lines of the current scene; lines without a speaker are narration
+  const renderDialogue = (interpolate) => {
+    const lines = state.engine.getCurrentDialogue();
+    if (lines.length === 0) return null;
+
+    return el('div', { className: 'player-dialogue' }, lines.map(line => {
+      const text = el('div', { className: line.speaker ? '' : 'player-narration', html: formatDialogueText(line.text, interpolate) });
+      if (!line.speaker) return text;
+      return el('div', { className: 'player-line' }, [
+        line.speaker.portrait && el('img', { className: 'player-portrait', src: line.speaker.portrait, alt: line.speaker.name }),
+        el('div', {}, [
+          el('div', { className: 'player-speaker', text: line.speaker.name, style: line.speaker.color ? `color: ${line.speaker.color}` : null }),
+          text
+        ])
+      ]);
+    }));
+  };
+
+  const renderStats = () => {
+    const stats = state.engine.getStatsManager().getVisibleStats();
+    const inventoryManager = state.engine.getInventoryManager();
+    const items = inventoryManager
+      ? inventoryManager.getAllItems().filter(item => !inventoryManager.itemDefinitions.get(item.id)?.hidden)
+      : [];
+    if (stats.length === 0 && items.length === 0) return null;
+
+    const row = (label, value) => el('li', {}, [
+      el('span', { text: label }),
+      el('strong', { text: String(value) })
+    ]);
+
+    return el('aside', { className: 'player-sidebar' }, [
+      stats.length > 0 && el('h3', { text: 'Stats' }),
+      stats.length > 0 && el('ul', {}, stats.map(stat => row(stat.name || stat.id, stat.displayValue ?? stat.value))),
+      items.length > 0 && el('h3', { text: 'Inventory' }),
+      items.length > 0 && el('ul', {}, items.map(item => row(inventoryManager.itemDefinitions.get(item.id)?.name || item.id, item.count)))
+    ]);
+  };
+
+  const renderSaves = async () => {
+    const saves = await listSaves();
+    const slots = Array.from({ length: SAVE_SLOTS }, (_, index) => `Slot ${index + 1}`);
+
+    return el('div', { className: 'player-saves' }, [
+      el('h3', { text: 'Save' }),
+      el('div', { className: 'player-save-slots' }, slots.map(slot =>
+        el('button', { className: 'player-button player-button-secondary', type: 'button', onClick: () => save(slot) }, [doc.createTextNode(slot)])
+      )),
+      el('h3', { text: 'Load' }),
+      saves.length === 0
+        ? el('p', { className: 'player-muted', text: 'No saves yet.' })
+        : el('ul', {}, saves.map(entry => el('li', {}, [
+          el('span', { text: `${entry.name.replace(slotName(''), '')}: ${entry.currentSceneTitle} (${new Date(entry.timestamp).toLocaleString()})` }),
+          el('button', { className: 'player-button player-button-secondary', type: 'button', onClick: () => load(entry.id) }, [doc.createTextNode('Load')])
+        ])))
+    ]);
+  };
+
+  const localeSelect = (locales, current) => {
+    const select = el('select', {
+      className: 'player-input',
+      'aria-label': 'Language',
+      onChange: event => changeLocale(event.target.value)
+    }, locales.map(locale => el('option', { value: locale, text: getLocaleName(locale) })));
+    select.value = current;
+    return select;
+  };
+
+  const render = async () => {
+    const engine = state.engine;
+    const scene = engine.getCurrentScene();
+    const interpolate = (text, options) => engine.interpolateText(text, options);
+    const choices = engine.getCurrentChoices();
+    const timer = engine.getChoiceTimer();
+    const locales = engine.getAvailableLocales();
+    const saves = state.showSaves ? await renderSaves() : null;
+
+    const header = el('header', { className: 'player-header' }, [
+      el('div', {}, [
+        el('h1', { text: adventure.title || 'Untitled Adventure' }),
+        adventure.author && el('p', { className: 'player-muted', text: `by ${adventure.author}` })
+      ]),
+      el('div', { className: 'player-toolbar' }, [
+        locales.length > 1 && localeSelect(locales, engine.getLocale()),
+        el('button', {
+          className: 'player-button player-button-secondary',
+          type: 'button',
+          onClick: toggleSaves
+        }, [doc.createTextNode(state.showSaves ? 'Close' : 'Save / Load')]),
+        el('button', { className: 'player-button player-button-secondary', type: 'button', onClick: restart }, [doc.createTextNode('Restart')])
+      ])
+    ]);
+
+    const sceneNode = scene
+      ? el('section', { className: 'player-scene' }, [
+        el('h2', { text: interpolate(scene.title || '') }),
+        el('div', { className: 'player-content', html: formatSceneContent(scene.content, interpolate) }),
+        renderDialogue(interpolate)
+      ])
+      : el('section', { className: 'player-scene player-muted', text: 'No scene loaded' });
+
+    const choicesNode = choices.length > 0
+      ? el('div', { className: 'player-choices' }, [
+        timer && el('p', {
+          className: 'player-muted',
+          text: `${Math.ceil(timer.remainingMs / 1000)} seconds to choose${timer.paused ? ' (paused)' : ''}.`
+        }),
+        ...choices.map((choice, index) => renderChoice(choice, index, interpolate))
+      ])
+      : el('div', { className: 'player-end' }, [
+        el('h3', { text: 'The End' }),
+        el('p', { className: 'player-muted', text: 'You have reached the end of this adventure.' })
+      ]);
+
+    root.replaceChildren(...[
+      header,
+      saves,
+      state.message && el('p', { className: 'player-message', text: state.message }),
+      el('main', { className: 'player-main' }, [
+        el('div', { className: 'player-story' }, [sceneNode, choicesNode]),
+        renderStats()
+      ])
+    ].filter(Boolean));
+  };
+
+  await start();
+  await render();
+
+  return {
+    getEngine: () => state.engine,
+    restart,
+    save,
+    load
+  };
+}
+
+export default mountStandalonePlayer;
@@ -7,7 +7,17 @@ export function StatsPanel({
   stats, 
   inventory = [],
   inventoryState = {},
+  inventoryData = null,
+  equipment = [],
+  onItemUse = null,
+  onEquip = null,
+  onUnequip = null,
+  recipes = [],
+  onCraft = null,
   achievements = [],
+  statusEffects = [],
+  characters = [],
+  quests = [],
   secretsDiscovered = [],
   visitedScenes, 
   totalScenes, 
@@ -48,14 +58,27 @@ export function StatsPanel({
 
   const categories = useMemo(() => Object.keys(statsByCategory).sort(), [statsByCategory]);
 
+  // Item count for the tab: InventoryManager's display data, else the plain item list
+  const inventoryCount = inventoryData && !inventoryData.isEmpty
+    ? inventoryData.totalItems
+    : inventory.reduce((sum, item) => sum + item.count, 0);
+
+  const activeQuestCount = quests.filter(quest => quest.state === 'active').length;
+
   // Tab configuration
   const tabs = useMemo(() => [
     { id: 'stats', label: 'Stats', icon: '📊', count: stats.length },
-    showInventory && inventory.length > 0 && { 
+    showInventory && inventoryCount > 0 && { 
       id: 'inventory', 
       label: 'Inventory', 
       icon: '🎒', 
-      count: inventory.reduce((sum, item) => sum + item.count, 0) 
+      count: inventoryCount 
+    },
+    quests.length > 0 && {
+      id: 'journal',
+      label: 'Journal',
+      icon: '📜',
+      count: activeQuestCount
     },
     showAchievements && achievements.length > 0 && { 
       id: 'achievements', 
@@ -75,7 +98,7 @@ export function StatsPanel({
       icon: '📈', 
       count: null 
     }
-  ].filter(Boolean), [stats.length, showInventory, inventory, showAchievements, achievements.length, showSecrets, secretsDiscovered.length, showAnalytics]);
+  ].filter(Boolean), [stats.length, showInventory, inventoryCount, quests.length, activeQuestCount, showAchievements, achievements.length, showSecrets, secretsDiscovered.length, showAnalytics]);
 
   return createElement('div', {
     className: `bg-gray-50 border rounded-lg overflow-hidden ${className}`
@@ -152,6 +175,10 @@ export function StatsPanel({
         key: 'stats-content',
         className: 'space-y-4'
       }, [
+        statusEffects.length > 0 && createElement(StatusEffectList, {
+          key: 'status-effects',
+          effects: statusEffects
+        }),
         categories.length > 0 ? categories.map(category =>
           createElement('div', {
             key: category,
@@ -184,19 +211,33 @@ export function StatsPanel({
         ) : createElement('p', {
           key: 'no-stats',
           className: 'text-sm text-gray-500 text-center py-4'
-        }, 'No stats to display')
+        }, 'No stats to display'),
+        characters.some(character => character.stats.length > 0) && createElement(CharacterList, {
+          key: 'characters',
+          characters: characters.filter(character => character.stats.length > 0)
+        })
       ]),
 
       activeTab === 'inventory' && createElement(InventoryDisplay, {
         key: 'inventory-content',
-        inventory: inventory,
-        inventoryState: inventoryState,
+        inventoryData,
+        equipment,
+        onItemUse,
+        onEquip,
+        onUnequip,
+        recipes,
+        onCraft,
         showCategories: true,
         showSearch: true,
         showTooltips: true,
         className: 'bg-transparent border-0 p-0'
       }),
 
+      activeTab === 'journal' && createElement(QuestList, {
+        key: 'journal-content',
+        quests
+      }),
+
       activeTab === 'achievements' && createElement('div', {
         key: 'achievements-content',
         className: 'space-y-3'
@@ -321,6 +362,19 @@ const StatItem = memo(function StatItem({ stat }) {
       className: 'text-gray-700 flex items-center space-x-1'
     }, [
       createElement('span', { key: 'text' }, stat.name),
+      stat.computed && createElement('span', {
+        key: 'computed',
+        className: 'px-1 text-xs text-indigo-600 bg-indigo-50 rounded font-mono',
+        title: stat.formula ? `Computed: ${stat.formula}` : 'Computed'
+      }, 'ƒ'),
+      // Equipped items and status effects change this stat: show the base value and where the difference comes from
+      stat.modifiers?.length > 0 && createElement('span', {
+        key: 'modified',
+        className: 'px-1 text-xs text-blue-600 bg-blue-50 rounded',
+        title: stat.modifiers
+          .map(m => `${m.statusName ?? m.itemName}: ${m.type === 'multiply' ? `×${m.value}` : `${m.value >= 0 ? '+' : ''}${m.value}`}`)
+          .join('\n')
+      }, `base ${stat.baseValue}`),
       stat.description && createElement('span', {
         key: 'info',
         className: 'text-gray-400 text-xs',
@@ -334,6 +388,142 @@ const StatItem = memo(function StatItem({ stat }) {
   ]);
 });
 
+// Active buffs and debuffs with the turns they have left (a turn is one choice)
+const StatusEffectList = memo(function StatusEffectList({ effects }) {
+  return createElement('div', {
+    className: 'space-y-2'
+  }, [
+    createElement('h4', {
+      key: 'title',
+      className: 'text-sm font-medium text-gray-700'
+    }, 'Active Effects'),
+    createElement('div', {
+      key: 'effects',
+      className: 'flex flex-wrap gap-2'
+    }, effects.map(effect =>
+      createElement('span', {
+        key: effect.id,
+        className: `inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border ${
+          effect.debuff ? 'bg-red-50 border-red-200 text-red-800' : 'bg-green-50 border-green-200 text-green-800'
+        }`,
+        title: effect.description || effect.name
+      }, [
+        effect.icon && createElement('span', { key: 'icon' }, effect.icon),
+        createElement('span', { key: 'name', className: 'font-medium' }, effect.name),
+        effect.stacks > 1 && createElement('span', { key: 'stacks' }, `×${effect.stacks}`),
+        createElement('span', {
+          key: 'remaining',
+          className: 'opacity-75'
+        }, effect.remaining === null ? 'until cured' : `${effect.remaining} turn${effect.remaining === 1 ? '' : 's'} left`)
+      ])
+    ))
+  ]);
+});
+
+// Characters the player knows with their relationship stats (trust, affection, ...)
+const CharacterList = memo(function CharacterList({ characters }) {
+  return createElement('div', {
+    className: 'space-y-2'
+  }, [
+    createElement('h4', {
+      key: 'title',
+      className: 'text-sm font-medium text-gray-700'
+    }, 'Characters'),
+    ...characters.map(character =>
+      createElement('div', {
+        key: character.id,
+        className: 'ml-2 p-2 rounded-lg border bg-gray-50',
+        title: character.description || character.name
+      }, [
+        createElement('div', {
+          key: 'name',
+          className: 'flex items-center gap-2 text-sm font-medium text-gray-800',
+          style: character.color ? { color: character.color } : undefined
+        }, [
+          character.portrait && createElement('img', {
+            key: 'portrait',
+            src: character.portrait,
+            alt: '',
+            className: 'w-6 h-6 rounded-full object-cover'
+          }),
+          createElement('span', { key: 'label' }, character.name)
+        ]),
+        ...character.stats.map(stat =>
+          createElement('div', {
+            key: stat.id,
+            className: 'flex justify-between text-xs text-gray-600 mt-1'
+          }, [
+            createElement('span', { key: 'name' }, stat.name),
+            createElement('span', { key: 'value', className: 'font-mono text-gray-800' },
+              stat.max != null ? `${stat.value} / ${stat.max}` : String(stat.value))
+          ])
+        )
+      ])
+    )
+  ]);
+});
+
+const QUEST_GROUPS = [
+  { state: 'active', title: 'Active' },
+  { state: 'completed', title: 'Completed' },
+  { state: 'failed', title: 'Failed' }
+];
+
+const OBJECTIVE_MARKS = {
+  completed: { mark: '✓', className: 'text-green-600' },
+  failed: { mark: '✗', className: 'text-red-500 line-through' },
+  active: { mark: '○', className: 'text-gray-700' }
+};
+
+// Started quests grouped by state, each with its objectives
+const QuestList = memo(function QuestList({ quests }) {
+  return createElement('div', {
+    className: 'space-y-4'
+  }, QUEST_GROUPS.filter(group => quests.some(quest => quest.state === group.state)).map(group =>
+    createElement('div', {
+      key: group.state,
+      className: 'space-y-2'
+    }, [
+      createElement('h4', {
+        key: 'title',
+        className: 'text-sm font-medium text-gray-700'
+      }, group.title),
+      ...quests.filter(quest => quest.state === group.state).map(quest =>
+        createElement('div', {
+          key: quest.id,
+          className: `p-3 rounded-lg border ${group.state === 'active' ? 'bg-white border-blue-200' : 'bg-gray-50 border-gray-200'}`
+        }, [
+          createElement('div', {
+            key: 'name',
+            className: `font-medium text-sm ${group.state === 'failed' ? 'text-gray-500' : 'text-gray-800'}`
+          }, quest.name),
+          quest.description && createElement('p', {
+            key: 'description',
+            className: 'text-xs text-gray-600 mt-1'
+          }, quest.description),
+          createElement('ul', {
+            key: 'objectives',
+            className: 'mt-2 space-y-1'
+          }, quest.objectives.map(objective => {
+            const { mark, className } = OBJECTIVE_MARKS[objective.state] || OBJECTIVE_MARKS.active;
+            return createElement('li', {
+              key: objective.id,
+              className: `flex items-start gap-2 text-xs ${className}`
+            }, [
+              createElement('span', { key: 'mark', 'aria-hidden': true }, mark),
+              createElement('span', { key: 'text' }, objective.description),
+              objective.optional && createElement('span', {
+                key: 'optional',
+                className: 'text-gray-400 italic'
+              }, '(optional)')
+            ]);
+          }))
+        ])
+      )
+    ])
+  ));
+});
+
 const AchievementItem = memo(function AchievementItem({ achievement }) {
   const isComplete = achievement.progress >= 1.0;
   
@@ -0,0 +1,95 @@
+// playerFormatting.js - Scene and choice text formatting shared by the React player
+// (SceneDisplay, ChoiceList) and the React-free StandalonePlayer. Keep this module free of
+// CDN imports: the standalone HTML export bundles it.
+import sanitizeHtml from '../../utils/sanitizeHtml.js';
+
+export function formatSceneContent(content = '', interpolate = null) {
+  if (!content) return '';
+
+  // Detect HTML on the authored template so interpolated values can't switch formatting modes
+  const hasHtml = /<\/?[a-z][\s\S]*>/i.test(content);
+  const rendered = typeof interpolate === 'function' ? interpolate(content, { escapeHtml: hasHtml }) : content;
+  const processed = hasHtml ? rendered : convertPlainTextToHtml(rendered);
+
+  return sanitizeHtml(processed);
+}
+
+export function formatChoiceText(text, interpolate = null) {
+  if (!text) return '';
+  const hasHtml = /<\/?[a-z][^>]*>/i.test(text);
+  const rendered = typeof interpolate === 'function' ? interpolate(text, { escapeHtml: hasHtml }) : text;
+  const processed = hasHtml ? rendered : rendered
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r?\n/g, '<br>');
+  return sanitizeHtml(processed);
+}
+
+// Dialogue lines are short like choice text: inline formatting, line breaks kept
+export function formatDialogueText(text, interpolate = null) {
+  return formatChoiceText(text, interpolate);
+}
+
+export function buildNumberHint(config = {}) {
+  const parts = [];
+  if (config.min != null) parts.push(`min ${config.min}`);
+  if (config.max != null) parts.push(`max ${config.max}`);
+  if (config.step != null) parts.push(`step ${config.step}`);
+  return parts.length > 0 ? parts.join(', ') : 'Enter a number';
+}
+
+export function getDefaultInputValue(type, config = {}) {
+  switch (type) {
+    case 'input_text':
+      return '';
+    case 'input_number':
+      return config.min != null ? config.min : '';
+    case 'input_choice':
+      if (Array.isArray(config.options) && config.options.length > 0) {
+        return config.options[0].value ?? config.options[0].label ?? '';
+      }
+      return '';
+    default:
+      return '';
+  }
+}
+
+export function normalizeInputValue(type, value, config = {}) {
+  if (type === 'input_number') {
+    let numeric = Number(value);
+    if (Number.isNaN(numeric)) {
+      numeric = config.min != null ? Number(config.min) : 0;
+    }
+    if (typeof config.min === 'number') {
+      numeric = Math.max(config.min, numeric);
+    }
+    if (typeof config.max === 'number') {
+      numeric = Math.min(config.max, numeric);
+    }
+    return numeric;
+  }
+
+  if (type === 'input_choice') {
+    if (!value && Array.isArray(config.options) && config.options.length > 0) {
+      return config.options[0].value ?? config.options[0].label ?? '';
+    }
+    return value;
+  }
+
+  return value ?? '';
+}
+
+function convertPlainTextToHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n\n+/g, '</p><p>')
+    .replace(/\n/g, '<br>')
+    .replace(/^/, '<p>')
+    .replace(/$/, '</p>')
+    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.*?)\*/g, '<em>$1</em>');
+}
@@ -4,6 +4,7 @@ import { StoryEngine } from '../engine/StoryEngine.js';
 import { SaveSystem } from '../engine/SaveSystem.js';
 import { CrossGameSaveSystem } from '../engine/CrossGameSaveSystem.js';
 import { ExportableDataManager } from '../engine/ExportableDataManager.js';
+import { PlayerSettings } from '../engine/PlayerSettings.js';
 
 import React, { createContext, useContext, useReducer, useEffect } from "https://esm.sh/react@18";
 
@@ -153,6 +154,65 @@ export function gameReducer(state, action) {
         }
       };
 
+    // Engine state changed outside a choice (e.g. delayed actions firing)
+    case 'SYNC_ENGINE_STATE':
+      return {
+        ...state,
+        stats: { ...action.payload.stats },
+        flags: { ...action.payload.flags },
+        inventory: action.payload.inventory ?? state.inventory,
+        inventoryState: action.payload.inventoryState
+          ? { ...state.inventoryState, ...action.payload.inventoryState, lastModified: Date.now() }
+          : state.inventoryState,
+        equipment: action.payload.equipment ?? state.equipment
+      };
+
+    // What is equipped in each slot ({ [slotId]: itemIds })
+    case 'SET_EQUIPMENT':
+      return {
+        ...state,
+        equipment: { ...action.payload }
+      };
+
+    // Engine rewound to an earlier decision point; achievements and metrics are kept
+    case 'REWIND':
+      return {
+        ...state,
+        currentScene: action.payload.scene,
+        stats: { ...action.payload.stats },
+        flags: { ...action.payload.flags },
+        visitedScenes: [...action.payload.visitedScenes],
+        choiceHistory: state.choiceHistory.slice(0, action.payload.turn),
+        inventory: action.payload.inventory ?? state.inventory,
+        inventoryState: action.payload.inventoryState
+          ? { ...state.inventoryState, ...action.payload.inventoryState, lastModified: Date.now() }
+          : state.inventoryState,
+        equipment: action.payload.equipment ?? state.equipment,
+        secretsDiscovered: [...action.payload.secretsDiscovered],
+        secretChoicesAvailable: [...action.payload.secretChoicesAvailable]
+      };
+
+    // Countdown of a timed scene (null when untimed); capturedAt lets the UI tick locally
+    case 'SET_CHOICE_TIMER':
+      return {
+        ...state,
+        choiceTimer: action.payload ? { ...action.payload, capturedAt: Date.now() } : null
+      };
+
+    // Language switch: same scene, re-read in the new locale (visited scenes untouched)
+    case 'SET_LOCALE':
+      return {
+        ...state,
+        locale: action.payload.locale,
+        currentScene: action.payload.scene ?? state.currentScene
+      };
+
+    case 'SET_PLAYER_SETTINGS':
+      return {
+        ...state,
+        playerSettings: { ...action.payload }
+      };
+
     // Phase 3 secret discovery actions
     case 'DISCOVER_SECRET':
       if (state.secretsDiscovered.some(secret => 
@@ -215,6 +275,16 @@ export function gameReducer(state, action) {
         )
       };
 
+    // Unlocks from the engine (earlier playthroughs, saves); pending notifications are kept
+    case 'SET_ACHIEVEMENTS':
+      return {
+        ...state,
+        achievements: action.payload.map(entry => {
+          const existing = state.achievements.find(achievement => achievement.id === entry.id);
+          return { ...entry, notificationShown: existing ? existing.notificationShown : true };
+        })
+      };
+
     case 'MARK_ACHIEVEMENT_NOTIFICATION_SHOWN':
       return {
         ...state,
@@ -240,6 +310,7 @@ export function gameReducer(state, action) {
           categories: {},
           lastModified: Date.now()
         },
+        equipment: action.payload.equipment || {},
         secretsDiscovered: action.payload.secretsDiscovered || [],
         secretChoicesAvailable: action.payload.secretChoicesAvailable || [],
         achievements: action.payload.achievements || [],
@@ -308,6 +379,7 @@ export function gameReducer(state, action) {
           categories: {},
           lastModified: Date.now()
         },
+        equipment: {},
         secretsDiscovered: [],
         secretChoicesAvailable: [],
         achievements: [],
@@ -320,7 +392,10 @@ export function gameReducer(state, action) {
           estimatedPlayTime: 0
         },
         autoSaveEnabled: true,
-        autoSaveInterval: 300000
+        autoSaveInterval: 300000,
+        // Player settings are not part of a playthrough
+        playerSettings: state.playerSettings,
+        choiceTimer: null
       };
 
     // Auto-save management
@@ -346,6 +421,13 @@ const GameContext = createContext();
 
 // Context provider with Phase 3 enhancements
 export function GameProvider({ children }) {
+  // Player preferences outlive saves and restarts (see PlayerSettings)
+  const playerSettingsRef = React.useRef(null);
+  if (!playerSettingsRef.current) {
+    playerSettingsRef.current = new PlayerSettings();
+  }
+  const playerSettings = playerSettingsRef.current;
+
   const [state, dispatch] = useReducer(gameReducer, {
     ...initialGameState,
     // Phase 3 additions to initial state
@@ -356,6 +438,7 @@ export function GameProvider({ children }) {
       categories: {},
       lastModified: Date.now()
     },
+    equipment: {},
     secretsDiscovered: [],
     secretChoicesAvailable: [],
     achievements: [],
@@ -368,13 +451,16 @@ export function GameProvider({ children }) {
       estimatedPlayTime: 0
     },
     autoSaveEnabled: true,
-    autoSaveInterval: 300000 // 5 minutes
+    autoSaveInterval: 300000, // 5 minutes
+    playerSettings: playerSettings.get(),
+    choiceTimer: null
   });
   
   // Initialize engines with Phase 3 support and keep them stable across re-renders
   const storyEngineRef = React.useRef(null);
   if (!storyEngineRef.current) {
     storyEngineRef.current = new StoryEngine();
+    playerSettings.applyTo(storyEngineRef.current);
   }
   const storyEngine = storyEngineRef.current;
 
@@ -436,6 +522,112 @@ export function GameProvider({ children }) {
     }
   }, []);
 
+  // Mirror engine stats, flags, inventory and equipment into React state
+  const syncEngineState = () => {
+    const statsManager = storyEngine.getStatsManager();
+    const inventoryManager = storyEngine.getInventoryManager();
+    dispatch({
+      type: 'SYNC_ENGINE_STATE',
+      payload: {
+        stats: statsManager.getAllStats(),
+        flags: statsManager.getAllFlags(),
+        inventory: inventoryManager ? inventoryManager.getAllItems() : undefined,
+        inventoryState: inventoryManager ? inventoryManager.getInventoryState() : undefined,
+        equipment: inventoryManager ? inventoryManager.getEquipmentState() : undefined
+      }
+    });
+  };
+
+  // Results of the inventory and shop screens; result.scene is set when a go_to_scene
+  // (an item effect or an achievement reward) moved the player
+  const applyInventoryResult = (result) => {
+    if (result.scene) dispatch({ type: 'SET_SCENE', payload: result.scene });
+    if (result.success) syncEngineState();
+    return result;
+  };
+
+  // Delayed actions fire between choices; mirror their effects into React state
+  useEffect(() => {
+    if (!storyEngine.events) return;
+
+    return storyEngine.events.on('actionsExecuted', ({ source, scene }) => {
+      if (source !== 'delayed') return;
+      if (scene) dispatch({ type: 'SET_SCENE', payload: scene }); // A go_to_scene moved the player
+      syncEngineState();
+    });
+  }, [storyEngine]);
+
+  // Timed scenes: mirror the countdown, and the choice the engine makes when it runs out.
+  // Language switches re-read the current scene in the new locale.
+  useEffect(() => {
+    if (!storyEngine.events) return;
+
+    const offChanged = storyEngine.events.on('choiceTimerChanged', timer => {
+      dispatch({ type: 'SET_CHOICE_TIMER', payload: timer });
+    });
+    const offExpired = storyEngine.events.on('choiceTimerExpired', ({ sceneId, choiceId, scene }) => {
+      if (!scene) return;
+      const choice = storyEngine.adventure?.scenes?.find(s => s.id === sceneId)?.choices?.find(c => c.id === choiceId);
+      dispatch({ type: 'SET_SCENE', payload: scene });
+      dispatch({
+        type: 'RECORD_CHOICE',
+        payload: { sceneId, choiceId, choiceText: choice?.text, wasSecret: !!choice?.isSecret, wasLocked: false }
+      });
+      syncEngineState();
+    });
+
+    const offLocale = storyEngine.events.on('localeChanged', ({ locale }) => {
+      dispatch({ type: 'SET_LOCALE', payload: { locale, scene: storyEngine.getCurrentScene() } });
+    });
+
+    return () => {
+      offChanged();
+      offExpired();
+      offLocale();
+    };
+  }, [storyEngine]);
+
+  // Achievements the engine unlocks are queued for a notification in GameScreen
+  useEffect(() => {
+    if (!storyEngine.events) return;
+
+    return storyEngine.events.on('achievementUnlocked', ({ achievement, source }) => {
+      dispatch({
+        type: 'UNLOCK_ACHIEVEMENT',
+        payload: {
+          id: achievement.id,
+          metadata: { source, name: achievement.name, points: achievement.points ?? 0, rarity: achievement.rarity || 'common' }
+        }
+      });
+    });
+  }, [storyEngine]);
+
+  const syncAchievements = () => {
+    dispatch({ type: 'SET_ACHIEVEMENTS', payload: storyEngine.getUnlockedAchievements() });
+  };
+
+  // Mirror the engine into React state after a rewind
+  const syncRewind = (turn) => {
+    const scene = storyEngine.getCurrentScene();
+    const statsManager = storyEngine.getStatsManager();
+    const inventoryManager = storyEngine.getInventoryManager();
+    dispatch({
+      type: 'REWIND',
+      payload: {
+        turn,
+        scene,
+        stats: statsManager.getAllStats(),
+        flags: statsManager.getAllFlags(),
+        visitedScenes: storyEngine.visitedScenes,
+        inventory: inventoryManager ? inventoryManager.getAllItems() : undefined,
+        inventoryState: inventoryManager ? inventoryManager.getInventoryState() : undefined,
+        equipment: inventoryManager ? inventoryManager.getEquipmentState() : undefined,
+        secretsDiscovered: storyEngine.secretsDiscovered,
+        secretChoicesAvailable: Array.from(storyEngine.secretChoicesAvailable)
+      }
+    });
+  };
+
   // Enhanced action helpers with Phase 3 features
   const actions = {
     loadAdventure: async (adventure) => {
@@ -444,6 +636,7 @@ export function GameProvider({ children }) {
         // Wait for the story engine to finish loading and navigating to the start scene
         await storyEngine.loadAdventure(adventure);
         dispatch({ type: 'LOAD_ADVENTURE', payload: adventure });
+        syncAchievements();
         const scene = storyEngine.getCurrentScene();
         console.log('GameContext: storyEngine current scene after load:', scene?.id, scene?.title);
         if (scene) {
@@ -536,6 +729,7 @@ export function GameProvider({ children }) {
               type: 'UPDATE_INVENTORY_STATE',
               payload: inventoryState
             });
+            dispatch({ type: 'SET_EQUIPMENT', payload: inventoryManager.getEquipmentState() });
           }
           
           // Update gameplay metrics
@@ -560,6 +754,32 @@ export function GameProvider({ children }) {
       }
     },
 
+    // Rewind to the decision point before choice number `turn` (see StoryEngine.rewindTo)
+    rewindTo: (turn) => {
+      const scene = storyEngine.rewindTo(turn);
+      if (scene) {
+        syncRewind(turn);
+      }
+      return scene;
+    },
+
+    undoLastChoice: () => {
+      const points = storyEngine.getRewindPoints();
+      const last = points[points.length - 1];
+      return last ? actions.rewindTo(last.turn) : null;
+    },
+
+    // Timed choices stop counting while menus cover the choices
+    pauseChoiceTimer: () => storyEngine.pauseChoiceTimer(),
+    resumeChoiceTimer: () => storyEngine.resumeChoiceTimer(),
+
+    updatePlayerSettings: (changes) => {
+      const settings = playerSettings.update(changes);
+      playerSettings.applyTo(storyEngine);
+      dispatch({ type: 'SET_PLAYER_SETTINGS', payload: settings });
+      return settings;
+    },
+
     // Enhanced save/load with Phase 3 support
     saveGame: async (name) => {
       try {
@@ -577,6 +797,7 @@ export function GameProvider({ children }) {
         dispatch({ type: 'SET_LOADING', payload: true });
         const saveData = await saveSystem.loadGame(saveId);
         dispatch({ type: 'LOAD_SAVE', payload: saveData });
+        syncAchievements();
         const scene = storyEngine.getCurrentScene();
         if (scene) {
           dispatch({ type: 'SET_SCENE', payload: scene });
@@ -646,6 +867,22 @@ export function GameProvider({ children }) {
       });
     },
 
+    // Using an item runs its effects, which can move the player (see applyInventoryResult)
+    useItem: (itemId, quantity = 1) => applyInventoryResult(storyEngine.useItem(itemId, quantity)),
+
+    // Equipment changes go through the engine; effective stats follow
+    equipItem: (itemId) => applyInventoryResult(storyEngine.equipItem(itemId)),
+
+    unequipItem: (itemId) => applyInventoryResult(storyEngine.unequipItem(itemId)),
+
+    // Crafting is one engine transaction; nothing changes when it fails
+    craftItem: (recipeId) => applyInventoryResult(storyEngine.craft(recipeId)),
+
+    // Trading at the current scene's shop; currency and inventory change together
+    buyItem: (itemId, quantity = 1) => applyInventoryResult(storyEngine.buyItem(itemId, quantity)),
+
+    sellItem: (itemId, quantity = 1) => applyInventoryResult(storyEngine.sellItem(itemId, quantity)),
+
     // Secret and achievement actions
     discoverSecret: (choiceId, sceneId, choiceText, method = 'condition_met') => {
       dispatch({
@@ -654,11 +891,35 @@ export function GameProvider({ children }) {
       });
     },
 
+    // Goes through the engine so the unlock is stored and its rewards run
     unlockAchievement: (achievementId, metadata = {}) => {
-      dispatch({
-        type: 'UNLOCK_ACHIEVEMENT',
-        payload: { id: achievementId, metadata }
-      });
+      storyEngine.achievementManager.unlock(achievementId, { source: 'manual', ...metadata });
+    },
+
+    dismissAchievementNotification: (achievementId) => {
+      dispatch({ type: 'MARK_ACHIEVEMENT_NOTIFICATION_SHOWN', payload: achievementId });
+    },
+
+    // Player profile (endings, meta flags, achievements across playthroughs)
+    exportPlayerProfile: () => ({
+      blob: new Blob([storyEngine.playerProfile.exportProfile()], { type: 'application/json' }),
+      filename: `player_profile_${new Date().toISOString().slice(0, 10)}.json`
+    }),
+
+    importPlayerProfile: (data) => {
+      const result = storyEngine.playerProfile.importProfile(data);
+      if (result.success) {
+        storyEngine.reloadPlayerProfile();
+        syncAchievements();
+      }
+      return result;
+    },
+
+    // Only this adventure's record unless everything is asked for
+    resetPlayerProfile: ({ allAdventures = false } = {}) => {
+      storyEngine.playerProfile.reset(allAdventures ? null : storyEngine.getProfileId());
+      storyEngine.reloadPlayerProfile();
+      syncAchievements();
     },
 
     updateAchievementProgress: (achievementId, progress) => {
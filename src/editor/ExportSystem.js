@@ -3,11 +3,31 @@
 
 import { validateAdventure } from '../utils/validation.js';
 import { logError, logWarning, logInfo } from '../utils/errorLogger.js';
+import { exportAdventureToTwee } from './exporters/TweeExporter.js';
+import { importAdventureFromTwee } from './importers/TweeImporter.js';
+import { exportAdventureToStandaloneHtml } from './exporters/StandaloneHtmlExporter.js';
+import {
+  importAdventureFromChoiceScript,
+  importAdventureFromChoiceScriptArchive
+} from './importers/ChoiceScriptImporter.js';
+import { importAdventureFromInk } from './importers/InkImporter.js';
+import { exportTranslationsToXliff, exportTranslationsToPo } from './exporters/TranslationExporter.js';
+import { importTranslationsFromXliff, importTranslationsFromPo } from './importers/TranslationImporter.js';
+
+// File extension per export format
+const FORMAT_EXTENSIONS = {
+  json: 'json',
+  adventure: 'adventure',
+  twee: 'twee',
+  html: 'html',
+  xliff: 'xlf',
+  po: 'po'
+};
 
 class ExportSystem {
   constructor(editorEngine) {
     this.editorEngine = editorEngine;
-    this.supportedFormats = ['json', 'adventure'];
+    this.supportedFormats = ['json', 'adventure', 'twee', 'html', 'xliff', 'po'];
     this.exportHistory = [];
     this.maxHistorySize = 10;
   }
@@ -59,7 +79,8 @@ class ExportSystem {
         data: exportResult.data,
         mimeType: exportResult.mimeType,
         filename: exportResult.filename,
-        validation
+        validation,
+        warnings: exportResult.warnings || []
       };
       
     } catch (error) {
@@ -157,7 +178,7 @@ class ExportSystem {
   // Comprehensive validation of export data
   async validateExportData(adventureData, options) {
     try {
-      const validation = validateAdventure(adventureData);
+      const validation = await validateAdventure(adventureData);
       
       // Add additional export-specific validations
       const exportValidation = {
@@ -225,6 +246,7 @@ class ExportSystem {
       let exportData;
       let mimeType;
       let filename;
+      let warnings = [];
 
       switch (format.toLowerCase()) {
         case 'json':
@@ -239,11 +261,51 @@ class ExportSystem {
           filename = this.generateFilenameSafely(adventureData, 'adventure');
           break;
           
+        case 'twee': {
+          const result = exportAdventureToTwee(adventureData, options);
+          exportData = result.data;
+          warnings = result.warnings;
+          mimeType = 'text/plain';
+          filename = this.generateFilenameSafely(adventureData, 'twee');
+          if (warnings.length > 0) {
+            logWarning('Twee export warnings', { warnings, adventureId: adventureData.id });
+          }
+          break;
+        }
+
+        case 'html': {
+          // Embed the same player-optimized data the 'adventure' format produces
+          const playerData = JSON.parse(await this.exportToAdventureFormatSafely(adventureData, options));
+          const result = await exportAdventureToStandaloneHtml(playerData, options);
+          exportData = result.data;
+          warnings = result.warnings;
+          mimeType = 'text/html';
+          filename = this.generateFilenameSafely(adventureData, 'html');
+          if (warnings.length > 0) {
+            logWarning('Standalone HTML export warnings', { warnings, adventureId: adventureData.id });
+          }
+          break;
+        }
+          
+        // Translation files for one locale (options.locale)
+        case 'xliff':
+        case 'po': {
+          const isXliff = format.toLowerCase() === 'xliff';
+          const result = isXliff
+            ? exportTranslationsToXliff(adventureData, options.locale)
+            : exportTranslationsToPo(adventureData, options.locale);
+          exportData = result.data;
+          warnings = result.warnings;
+          mimeType = isXliff ? 'application/xliff+xml' : 'text/x-gettext-translation';
+          filename = this.generateFilenameSafely(adventureData, format).replace(/(\.\w+)$/, `_${options.locale}$1`);
+          break;
+        }
+          
         default:
           throw new Error(`Unsupported export format: ${format}`);
       }
 
-      return { data: exportData, mimeType, filename };
+      return { data: exportData, mimeType, filename, warnings };
       
     } catch (error) {
       logError({
@@ -321,7 +383,7 @@ class ExportSystem {
       
       // Fallback filename generation
       const timestamp = new Date().toISOString().split('T')[0];
-      const extension = format === 'json' ? 'json' : 'adventure';
+      const extension = FORMAT_EXTENSIONS[format] || 'adventure';
       return `adventure_export_${timestamp}.${extension}`;
     }
   }
@@ -511,20 +573,76 @@ class ExportSystem {
     };
   }
 
-  // Import adventure into editor
+  // Merge a translation file into the loaded adventure (options.format: 'xliff' or 'po')
+  async importTranslations(data, options = {}) {
+    try {
+      const current = this.convertEditorToAdventure();
+      const imported = options.format === 'po'
+        ? importTranslationsFromPo(data, current, options)
+        : importTranslationsFromXliff(data, current, options);
+      if (imported.warnings.length > 0) {
+        logWarning('Translation import warnings', { warnings: imported.warnings, locale: imported.locale });
+      }
+
+      this.editorEngine.adventure = {
+        ...this.editorEngine.getAdventure(),
+        localization: imported.adventure.localization
+      };
+      this.editorEngine.markDirty?.();
+
+      return {
+        success: true,
+        locale: imported.locale,
+        imported: imported.imported,
+        localization: imported.adventure.localization,
+        warnings: imported.warnings
+      };
+    } catch (error) {
+      throw new Error(`Translation import failed: ${error.message}`);
+    }
+  }
+
+  // Import adventure into editor (options.format: 'json' (default), 'twee', 'choicescript' or 'ink')
   async importAdventure(data, options = {}) {
     try {
       let adventureData;
+      let warnings = [];
 
       // Parse data if it's a string
-      if (typeof data === 'string') {
+      if (options.format === 'twee') {
+        const imported = importAdventureFromTwee(data, options);
+        adventureData = imported.adventure;
+        warnings = imported.warnings;
+        if (warnings.length > 0) {
+          logWarning('Twee import warnings', { warnings, adventureId: adventureData.id });
+        }
+      } else if (options.format === 'choicescript') {
+        // A zip of scene files, or the files themselves by name
+        const isArchive = data instanceof ArrayBuffer || ArrayBuffer.isView(data) ||
+          (typeof Blob !== 'undefined' && data instanceof Blob);
+        const imported = isArchive
+          ? await importAdventureFromChoiceScriptArchive(data, options)
+          : importAdventureFromChoiceScript(data, options);
+        adventureData = imported.adventure;
+        warnings = imported.warnings;
+        if (warnings.length > 0) {
+          logWarning('ChoiceScript import warnings', { warnings, adventureId: adventureData.id });
+        }
+      } else if (options.format === 'ink') {
+        const imported = importAdventureFromInk(data, options);
+        adventureData = imported.adventure;
+        warnings = imported.warnings;
+        if (warnings.length > 0) {
+          logWarning('Ink import warnings', { warnings, adventureId: adventureData.id });
+        }
+      } else if (typeof data === 'string') {
         adventureData = JSON.parse(data);
       } else {
         adventureData = data;
       }
 
       // Validate imported data
-      const validation = validateAdventure(adventureData);
+      const validation = await validateAdventure(adventureData);
       if (validation.errors.length > 0 && !options.ignoreErrors) {
         throw new Error(`Invalid adventure data: ${validation.errors.join(', ')}`);
       }
@@ -544,6 +662,7 @@ class ExportSystem {
         success: true,
         adventure: editorData.adventure,
         validation,
+        warnings,
         restoredState: !!editorData.editorState
       };
     } catch (error) {
@@ -692,7 +811,7 @@ class ExportSystem {
       .replace(/^_+|_+$/g, '');
     
     const timestamp = new Date().toISOString().split('T')[0];
-    const extension = format === 'json' ? 'json' : 'adventure';
+    const extension = FORMAT_EXTENSIONS[format] || 'adventure';
     
     return `${cleanTitle}_${timestamp}.${extension}`;
   }
@@ -783,6 +902,34 @@ class ExportSystem {
         description: 'Optimized format for playing adventures',
         extension: '.adventure',
         mimeType: 'application/json'
+      },
+      {
+        key: 'twee',
+        name: 'Twee 3 (SugarCube)',
+        description: 'Twine source; can also be imported',
+        extension: '.twee',
+        mimeType: 'text/plain'
+      },
+      {
+        key: 'html',
+        name: 'Standalone HTML',
+        description: 'Playable offline in any browser; no app or network needed',
+        extension: '.html',
+        mimeType: 'text/html'
+      },
+      {
+        key: 'xliff',
+        name: 'XLIFF 2.0 translation',
+        description: 'Strings for one locale (options.locale) for translation tools; can be imported back',
+        extension: '.xlf',
+        mimeType: 'application/xliff+xml'
+      },
+      {
+        key: 'po',
+        name: 'gettext PO translation',
+        description: 'Strings for one locale (options.locale) as a PO catalog; can be imported back',
+        extension: '.po',
+        mimeType: 'text/x-gettext-translation'
       }
     ];
   }
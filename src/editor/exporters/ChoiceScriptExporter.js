@@ -1,9 +1,70 @@
+/**
+ * ChoiceScriptExporter.js - Editor adventure to ChoiceScript scene files
+ *
+ * Each scene becomes a scene file that starts with its *label; choices become *choice
+ * options ending in *goto. Stats, flags and inventory counts are *create'd in startup.txt.
+ *
+ * Game logic is translated as well:
+ * - conditions → *if (expr) #Option, requirements → *selectable_if (expr) #Option,
+ *   oneTime → *disable_reuse, maxUses → a uses_ counter
+ * - ConditionParser condition types, AND/OR/NOT/XOR/NAND/NOR logic and expression
+ *   conditions → ChoiceScript expressions, fully parenthesized as ChoiceScript requires
+ * - StoryEngine actions → *set / *rand, inside *if blocks for their conditions,
+ *   probability and oneTime id
+ * - onEnter → code right after the scene's *label; onExit → code in every option
+ *   before its *goto
+ * - ${stat:gold} / ${flag:ready} in scene and choice text → ${gold} / ${ready}
+ * - Visits and choice history that conditions read → tracking variables, created only
+ *   when something reads them
+ *
+ * Anything ChoiceScript can't express (delays, achievements, secrets, random branches,
+ * string operators...) is reported in `warnings` and noted in a *comment.
+ *
+ * Integration Points:
+ * - EditorScreen: ChoiceScript zip export
+ * - ChoiceScriptImporter: reads the files back
+ */
+
 import sanitizeHtml from '../../utils/sanitizeHtml.js';
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
+import { DiceRoller } from '../../engine/DiceRoller.js';
 
 const JSZIP_URL = 'https://esm.sh/jszip@3.10.1';
 
+// Files buildChoiceScriptFiles writes itself (startup.txt, choicescript_stats.txt, scenes.txt)
+const GENERATED_FILE_NAMES = ['startup', 'choicescript_stats', 'scenes'];
+
+// Condition / ExpressionEvaluator comparison operators → ChoiceScript
+const COMPARISONS = {
+  '==': '=',
+  eq: '=',
+  '!=': '!=',
+  ne: '!=',
+  '>': '>',
+  gt: '>',
+  '>=': '>=',
+  gte: '>=',
+  '<': '<',
+  lt: '<',
+  '<=': '<=',
+  lte: '<='
+};
+
+const EXPRESSION_OPERATORS = {
+  ...COMPARISONS,
+  '&&': 'and',
+  '||': 'or',
+  '+': '+',
+  '-': '-',
+  '*': '*',
+  '/': '/',
+  '%': 'modulo'
+};
+
+const EXPRESSION_FUNCTIONS = ['round'];
+
 export async function exportAdventureToChoiceScript(adventure = {}, options = {}) {
-  const normalized = normalizeAdventure(adventure, options);
+  const normalized = buildChoiceScriptFiles(adventure, options);
   const module = await import(JSZIP_URL);
   const JSZip = module.default || module;
   const zip = new JSZip();
@@ -19,10 +80,12 @@ export async function exportAdventureToChoiceScript(adventure = {}, options = {}
   };
 }
 
-function normalizeAdventure(adventure = {}, options = {}) {
+// Scene files by name ({ 'startup.txt': '...' }) without the zip; ChoiceScriptImporter reads the same shape
+export function buildChoiceScriptFiles(adventure = {}, options = {}) {
   const warnings = [];
   const scenes = Array.isArray(adventure.scenes) ? adventure.scenes : [];
-  const usedSceneIds = new Set();
+  // Scenes can't take the generated files' names (an imported game's first scene is 'startup')
+  const usedSceneIds = new Set(GENERATED_FILE_NAMES);
   const sceneIdMap = new Map();
   const sceneWrappers = scenes.map((scene, index) => {
     const fallbackId = `scene_${index + 1}`;
@@ -34,15 +97,28 @@ function normalizeAdventure(adventure = {}, options = {}) {
     return { scene, csId, originalKey };
   });
 
+  const context = createVariables(adventure, sceneWrappers, warnings);
+
   const sanitizedScenes = sceneWrappers.map(({ scene, csId, originalKey }, index) => {
     const originalId = scene?.id ?? originalKey;
-    const contentText = convertContentToText(scene?.content);
+    const contentText = convertInterpolations(convertContentToText(scene?.content), context);
     const contentLines = contentText ? contentText.split('\n') : [];
+    const sceneWarnings = [];
+    const sceneContext = { ...context, warnings: sceneWarnings };
+    const where = `Scene "${csId}"`;
+    const prologue = actionsToLines(scene?.onEnter, sceneContext, `${where} onEnter`);
+    const epilogue = actionsToLines(scene?.onExit, sceneContext, `${where} onExit`);
+    if (Number(scene?.timeLimit) > 0) {
+      sceneWarnings.push(`${where} has a ${scene.timeLimit}s time limit; ChoiceScript has no timed choices, so it is exported untimed.`);
+    }
+    warnings.push(...sceneWarnings);
 
     const normalizedChoices = Array.isArray(scene?.choices)
       ? scene.choices.map((choice, choiceIndex) => {
           const choiceWarnings = [];
-          const text = convertChoiceText(choice?.text) || `Option ${choiceIndex + 1}`;
+          const choiceContext = { ...context, warnings: choiceWarnings };
+          const text = convertInterpolations(convertChoiceText(choice?.text), context) || `Option ${choiceIndex + 1}`;
+          const choiceId = choice?.id || `choice_${choiceIndex + 1}`;
           const targetOriginal = choice?.targetSceneId;
           let target = null;
 
@@ -64,7 +140,7 @@ function normalizeAdventure(adventure = {}, options = {}) {
 
           if (inputType === 'input_text' || inputType === 'input_number') {
             const fallbackVar = `${csId}_choice_${choiceIndex + 1}`;
-            inputVariable = sanitizeIdentifier(inputConfig.variable || fallbackVar) || fallbackVar;
+            inputVariable = variableFor('stat', inputConfig.variable || fallbackVar, choiceContext, inputType === 'input_number' ? 0 : '""');
             if (!inputConfig.variable) {
               choiceWarnings.push(`Choice "${text}" missing input variable; using "${inputVariable}".`);
             }
@@ -82,28 +158,34 @@ function normalizeAdventure(adventure = {}, options = {}) {
             );
           }
 
-          if (Array.isArray(choice?.conditions) && choice.conditions.length > 0) {
-            choiceWarnings.push(
-              `Choice "${text}" has visibility conditions which are not exported; consider using selectable_if manually.`
-            );
-          }
-          if (Array.isArray(choice?.requirements) && choice.requirements.length > 0) {
-            choiceWarnings.push(`Choice "${text}" has requirements which are not exported.`);
-          }
-          if (Array.isArray(choice?.actions) && choice.actions.length > 0) {
-            choiceWarnings.push(`Choice "${text}" has actions; convert them to ChoiceScript commands manually.`);
+          reportUnsupportedChoiceFeatures(choice, `Choice "${text}"`, choiceWarnings);
+
+          const visibility = conditionsToExpression(choice?.conditions, choiceContext, `Choice "${text}"`);
+          const selectable = [conditionsToExpression(choice?.requirements, choiceContext, `Choice "${text}"`)];
+          const usage = [];
+          const maxUses = typeof choice?.maxUses === 'number' ? choice.maxUses : 0;
+          if (!choice?.oneTime && maxUses > 1) {
+            const uses = trackingVariable(`uses:${originalId}:${choiceId}`, `uses_${csId}_${choiceId}`, 0, context);
+            selectable.push(`${uses} < ${maxUses}`);
+            usage.push(`*set ${uses} +1`);
           }
 
+          const actionLines = actionsToLines(choice?.actions, choiceContext, `Choice "${text}"`);
+
           warnings.push(...choiceWarnings);
 
           return {
-            id: choice?.id || `choice_${choiceIndex + 1}`,
+            id: choiceId,
             text,
             target,
             inputType,
             inputVariable,
             inputMin,
             inputMax,
+            visibility,
+            selectable: joinExpressions(selectable.filter(Boolean), 'and'),
+            disableReuse: Boolean(choice?.oneTime) || maxUses === 1,
+            actionLines: [...usage, ...actionLines],
             notes: choiceWarnings,
             isFake: Boolean(choice?.isFake)
           };
@@ -114,6 +196,9 @@ function normalizeAdventure(adventure = {}, options = {}) {
       originalId,
       csId,
       contentLines,
+      prologue,
+      epilogue,
+      notes: sceneWarnings,
       choices: normalizedChoices
     };
   });
@@ -126,53 +211,475 @@ function normalizeAdventure(adventure = {}, options = {}) {
     warnings.push('Adventure missing startSceneId; defaulting to first scene.');
   }
 
-  const stats = Array.isArray(adventure?.stats) ? adventure.stats : [];
-  const statDeclarations = [];
-  const statChart = [];
-  const statIdSet = new Set();
+  const files = {
+    'startup.txt': buildStartupFile(adventure, sanitizedScenes, context.declarations, startSceneId),
+    'choicescript_stats.txt': buildStatsFile(context.statChart),
+    'scenes.txt': buildSceneIndex(sanitizedScenes)
+  };
+
+  sanitizedScenes.forEach(scene => {
+    files[`${scene.csId}.txt`] = buildSceneFile(scene, context);
+  });
+
+  return {
+    files,
+    warnings
+  };
+}
+
+/**
+ * ChoiceScript variables for the adventure's stats, flags and items
+ * @returns {Object} context shared by the conversions: variable names, *create lines,
+ *   stat chart entries and the tracking variables created on demand
+ * @private
+ */
+function createVariables(adventure, sceneWrappers, warnings) {
+  const context = {
+    names: { stat: new Map(), flag: new Map(), item: new Map() },
+    itemDefinitions: new Map(),
+    scenes: new Map(sceneWrappers.map(({ originalKey, csId }) => [originalKey, csId])),
+    used: new Set(),
+    declarations: [],
+    statChart: [],
+    tracking: new Map(),
+    warnings
+  };
 
+  const stats = Array.isArray(adventure?.stats) ? adventure.stats : [];
   stats.forEach((stat, index) => {
     const fallbackId = `stat_${index + 1}`;
     const rawId = stat?.id ?? fallbackId;
-    const id = makeUniqueIdentifier(rawId, statIdSet, fallbackId);
-    const defaultValue = formatDefaultStatValue(stat);
-    statDeclarations.push(`*create ${id} ${defaultValue}`);
-    statChart.push({ id, type: determineStatType(stat) });
+    const id = makeUniqueIdentifier(rawId, context.used, fallbackId);
+    context.names.stat.set(rawId, id);
+    context.declarations.push(`*create ${id} ${formatDefaultStatValue(stat)}`);
+    context.statChart.push({ id, type: determineStatType(stat) });
   });
 
-  const extraVariables = new Map();
-  sanitizedScenes.forEach(scene => {
-    scene.choices.forEach(choice => {
-      if (choice.inputVariable) {
-        if (!extraVariables.has(choice.inputVariable)) {
-          extraVariables.set(choice.inputVariable, choice.inputType === 'input_number' ? 'number' : 'string');
-        }
-      }
-    });
+  (Array.isArray(adventure?.flags) ? adventure.flags : []).forEach(flag => {
+    if (!flag?.id || context.names.flag.has(flag.id)) return;
+    const id = makeUniqueIdentifier(flag.id, context.used, 'flag');
+    context.names.flag.set(flag.id, id);
+    context.declarations.push(`*create ${id} ${toBoolean(flag.defaultValue) ? 'true' : 'false'}`);
   });
 
-  extraVariables.forEach((type, variableId) => {
-    if (!statDeclarations.some(line => line.startsWith(`*create ${variableId} `))) {
-      const defaultValue = type === 'number' ? 0 : '""';
-      statDeclarations.push(`*create ${variableId} ${defaultValue}`);
-      statChart.push({ id: variableId, type: type === 'number' ? 'number' : 'string' });
-    }
+  // Inventory counts start at zero, like InventoryManager
+  (Array.isArray(adventure?.inventory) ? adventure.inventory : []).forEach(item => {
+    if (!item?.id || context.names.item.has(item.id)) return;
+    const id = makeUniqueIdentifier(item.id, context.used, 'item');
+    context.names.item.set(item.id, id);
+    context.itemDefinitions.set(item.id, item);
+    context.declarations.push(`*create ${id} 0`);
   });
 
-  const files = {
-    'startup.txt': buildStartupFile(adventure, sanitizedScenes, statDeclarations, startSceneId),
-    'choicescript_stats.txt': buildStatsFile(statChart),
-    'scenes.txt': buildSceneIndex(sanitizedScenes)
+  return context;
+}
+
+// Variable for a stat, flag or item; ones the adventure doesn't declare are created with a default
+function variableFor(namespace, key, context, initial = namespace === 'flag' ? 'false' : 0) {
+  const names = context.names[namespace];
+  if (!names.has(key)) {
+    const id = makeUniqueIdentifier(key, context.used, namespace);
+    names.set(key, id);
+    context.declarations.push(`*create ${id} ${initial}`);
+    if (namespace === 'stat') {
+      context.statChart.push({ id, type: initial === '""' ? 'string' : 'number' });
+    }
+  }
+  return names.get(key);
+}
+
+// Bookkeeping variable (visits, choice counts, dice...) created the first time it is needed
+function trackingVariable(key, proposed, initial, context) {
+  if (!context.tracking.has(key)) {
+    const id = makeUniqueIdentifier(proposed, context.used, 'tracked');
+    context.tracking.set(key, id);
+    context.declarations.push(`*create ${id} ${initial}`);
+  }
+  return context.tracking.get(key);
+}
+
+function visitedVariable(sceneKey, context) {
+  return trackingVariable(`visited:${sceneKey}`, `visited_${context.scenes.get(sceneKey)}`, 'false', context);
+}
+
+// Choices made in a scene, optionally only those of one choice
+function choiceCountVariable(sceneKey, choiceId, context) {
+  const csId = context.scenes.get(sceneKey);
+  return choiceId
+    ? trackingVariable(`scene_choice:${sceneKey}:${choiceId}`, `chose_${csId}_${choiceId}`, 0, context)
+    : trackingVariable(`visits:${sceneKey}`, `choices_in_${csId}`, 0, context);
+}
+
+function reportUnsupportedChoiceFeatures(choice, where, warnings) {
+  const unsupported = [];
+  if (Array.isArray(choice?.randomBranches) && choice.randomBranches.length > 0) unsupported.push('random branches');
+  if (choice?.isSecret || (Array.isArray(choice?.secretConditions) && choice.secretConditions.length > 0)) unsupported.push('secret discovery');
+  if (choice?.isCall || choice?.isReturn) unsupported.push('tunnel calls/returns');
+  if (choice?.cooldown > 0) unsupported.push('a cooldown');
+  if (unsupported.length > 0) {
+    warnings.push(`${where} uses ${unsupported.join(', ')} which ChoiceScript can't express; not exported.`);
+  }
+}
+
+/**
+ * Combine conditions into one ChoiceScript expression (all must hold)
+ * @returns {string|null} null when nothing is left to check
+ * @private
+ */
+function conditionsToExpression(conditions, context, where) {
+  if (!Array.isArray(conditions) || conditions.length === 0) return null;
+  const parts = conditions
+    .map(condition => conditionToExpression(condition, context, where))
+    .filter(Boolean);
+  return parts.length > 0 ? joinExpressions(parts, 'and') : null;
+}
+
+function conditionToExpression(condition, context, where) {
+  const unsupported = (detail) => {
+    context.warnings.push(`${where}: ${detail} condition is not supported by ChoiceScript; dropped.`);
+    return null;
   };
 
-  sanitizedScenes.forEach(scene => {
-    files[`${scene.csId}.txt`] = buildSceneFile(scene);
-  });
+  if (Array.isArray(condition?.conditions)) {
+    const parts = condition.conditions.map(sub => conditionToExpression(sub, context, where));
+    if (parts.some(part => !part)) return null;
+    if (parts.length === 0) return 'true';
+    switch (String(condition.logic || 'AND').toUpperCase()) {
+      case 'AND':
+        return joinExpressions(parts, 'and');
+      case 'OR':
+        return joinExpressions(parts, 'or');
+      case 'NOT':
+      case 'NOR':
+        return `not(${joinExpressions(parts, 'or')})`;
+      case 'NAND':
+        return `not(${joinExpressions(parts, 'and')})`;
+      case 'XOR':
+        // Exactly one holds: each part with none of the others
+        return joinExpressions(parts.map((part, index) => {
+          const others = parts.filter((_, other) => other !== index);
+          return others.length > 0 ? `${wrap(part)} and not(${joinExpressions(others, 'or')})` : part;
+        }), 'or');
+      default:
+        return unsupported(`${condition.logic} logic`);
+    }
+  }
 
-  return {
-    files,
-    warnings
+  let subject;
+  try {
+    subject = conditionSubject(condition, context);
+  } catch (error) {
+    return unsupported(`${condition?.type || 'untyped'} (${error.message})`);
+  }
+  if (!subject) return unsupported(condition?.type || 'untyped');
+
+  // Without an operator an expression condition is its own test
+  if (condition.type === 'expression' && !condition.operator) return subject.expression;
+
+  const operator = condition.operator || '==';
+  const compared = compareValue(subject, operator, condition.value);
+  return compared || unsupported(`"${operator}" ${condition.type}`);
+}
+
+/**
+ * The value a condition compares, as ConditionParser reads it
+ * @returns {Object|null} { expression, boolean } or null for unsupported types
+ * @throws {Error} for references ChoiceScript has no equivalent for
+ * @private
+ */
+function conditionSubject(condition, context) {
+  const { type, key, value } = condition;
+  const requireScene = (sceneKey) => {
+    if (!context.scenes.has(sceneKey)) throw new Error(`unknown scene "${sceneKey}"`);
+    return sceneKey;
   };
+
+  switch (type) {
+    case 'stat':
+      return { expression: variableFor('stat', key, context) };
+    case 'flag':
+      return { expression: variableFor('flag', key, context), boolean: true };
+    case 'scene_visited':
+      return { expression: visitedVariable(requireScene(key), context), boolean: true };
+    case 'has_item':
+      return { expression: `${variableFor('item', key, context)} > 0`, boolean: true };
+    case 'item_count':
+      return { expression: variableFor('item', key, context) };
+    case 'choice_made': {
+      // key is a choice id, or a scene id with the choice id in value
+      const counter = context.scenes.has(key) && typeof value === 'string'
+        ? choiceCountVariable(key, value, context)
+        : trackingVariable(`choice:${key}`, `chose_${key}`, 0, context);
+      return { expression: `${counter} > 0`, boolean: true };
+    }
+    case 'choice_made_count':
+      return { expression: choiceCountVariable(requireScene(key), value ? String(value) : null, context) };
+    case 'scene_visit_count':
+      return { expression: choiceCountVariable(requireScene(key), null, context) };
+    case 'total_choices':
+      return { expression: trackingVariable('total_choices', 'total_choices', 0, context) };
+    case 'unique_scenes_visited':
+      // Counted the first time each scene is entered, so every scene needs its visited flag
+      context.scenes.forEach((csId, sceneKey) => visitedVariable(sceneKey, context));
+      return { expression: trackingVariable('scenes_visited', 'scenes_visited', 0, context) };
+    case 'inventory_total':
+      return { expression: inventorySum('total', context) };
+    case 'inventory_weight':
+      return { expression: inventorySum('weight', context) };
+    case 'inventory_value':
+      return { expression: inventorySum('value', context) };
+    case 'expression':
+      return { expression: expressionToChoiceScript(ExpressionEvaluator.parse(condition.expression), context) };
+    default:
+      return null;
+  }
+}
+
+function compareValue(subject, operator, value) {
+  if (subject.boolean) {
+    if (!['==', 'eq', '!=', 'ne'].includes(operator)) return null;
+    const expected = toBoolean(value ?? true) === (operator === '==' || operator === 'eq');
+    return expected ? subject.expression : `not(${subject.expression})`;
+  }
+
+  const left = wrap(subject.expression);
+  if (COMPARISONS[operator]) {
+    return `${left} ${COMPARISONS[operator]} ${formatValue(value)}`;
+  }
+  switch (operator) {
+    case 'between':
+    case 'not_between': {
+      if (!Array.isArray(value) || value.length !== 2) return null;
+      return operator === 'between'
+        ? `(${left} >= ${formatValue(value[0])}) and (${left} <= ${formatValue(value[1])})`
+        : `(${left} < ${formatValue(value[0])}) or (${left} > ${formatValue(value[1])})`;
+    }
+    case 'in':
+    case 'not_in': {
+      if (!Array.isArray(value)) return null;
+      const any = value.length > 0
+        ? joinExpressions(value.map(option => `${left} = ${formatValue(option)}`), 'or')
+        : 'false';
+      return operator === 'in' ? any : `not(${any})`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Print an ExpressionEvaluator AST as a ChoiceScript expression
+ * @param {Object} locals - stat keys that stand for other ChoiceScript variables
+ * @throws {Error} for references and functions ChoiceScript has no equivalent for
+ * @private
+ */
+function expressionToChoiceScript(node, context, locals = {}) {
+  switch (node.type) {
+    case 'literal':
+      return formatValue(node.value);
+    case 'ref':
+      return referenceToChoiceScript(node, context, locals);
+    case 'unary': {
+      const argument = expressionToChoiceScript(node.argument, context, locals);
+      if (node.op === '!') return `not(${argument})`;
+      return node.op === '-' ? `0 - ${wrap(argument)}` : argument;
+    }
+    case 'binary': {
+      const operator = EXPRESSION_OPERATORS[node.op];
+      if (!operator) throw new Error(`"${node.op}" has no ChoiceScript equivalent`);
+      const left = expressionToChoiceScript(node.left, context, locals);
+      const right = expressionToChoiceScript(node.right, context, locals);
+      return `${wrap(left)} ${operator} ${wrap(right)}`;
+    }
+    case 'call':
+      if (!EXPRESSION_FUNCTIONS.includes(node.name)) {
+        throw new Error(`${node.name}() has no ChoiceScript equivalent`);
+      }
+      return `${node.name}(${node.args.map(arg => expressionToChoiceScript(arg, context, locals)).join(', ')})`;
+    default:
+      throw new Error(`unsupported ${node.type}`);
+  }
+}
+
+function referenceToChoiceScript(node, context, locals) {
+  const { namespace, key } = node;
+  switch (namespace) {
+    case 'stat':
+      return locals[key] || variableFor('stat', key, context);
+    case 'flag':
+      return variableFor('flag', key, context);
+    case 'item':
+      return variableFor('item', key, context);
+    case 'inventory':
+      if (!['total', 'count', 'weight', 'value'].includes(key)) break;
+      return inventorySum(key, context);
+    case 'visited':
+      if (!context.scenes.has(key)) break;
+      return visitedVariable(key, context);
+    case 'visits':
+      if (!context.scenes.has(key)) break;
+      return choiceCountVariable(key, null, context);
+    case 'choice':
+      return trackingVariable(`choice:${key}`, `chose_${key}`, 0, context);
+    default:
+      break;
+  }
+  throw new Error(`${namespace}.${key} has no ChoiceScript equivalent`);
+}
+
+// Item count, weight or value across the declared items, as InventoryManager totals them
+function inventorySum(kind, context) {
+  const terms = [];
+  context.itemDefinitions.forEach((item, id) => {
+    const variable = context.names.item.get(id);
+    if (kind === 'weight' || kind === 'value') {
+      const factor = Number(item[kind]) || 0;
+      if (factor !== 0) terms.push(factor === 1 ? variable : `${variable} * ${formatValue(factor)}`);
+    } else {
+      terms.push(variable);
+    }
+  });
+  return terms.length > 0 ? joinExpressions(terms, '+') : '0';
+}
+
+function actionsToLines(actions, context, where) {
+  if (!Array.isArray(actions)) return [];
+  return actions.flatMap(action => actionToLines(action, context, where));
+}
+
+/**
+ * ChoiceScript lines for an action, inside *if blocks for its oneTime id, conditions
+ * and probability (checked in that order, like StoryEngine)
+ * @returns {string[]} lines indented relative to the caller
+ * @private
+ */
+function actionToLines(action, context, where) {
+  if (!action?.type) return [];
+  let lines = actionCommands(action, context, where);
+  if (lines.length === 0) return [];
+
+  if (action.delay > 0 || action.delayTurns > 0) {
+    context.warnings.push(`${where}: ${action.type} action delay is not exported; it runs immediately.`);
+  }
+
+  const done = action.oneTime && action.id
+    ? trackingVariable(`done:${action.id}`, `done_${action.id}`, 'false', context)
+    : null;
+  if (done) {
+    lines = [...lines, `*set ${done} true`];
+  }
+
+  const probability = Number(action.probability);
+  if (action.probability != null && !Number.isNaN(probability) && probability < 1) {
+    const chance = trackingVariable('chance', 'chance', 0, context);
+    lines = [`*rand ${chance} 1 100`, `*if ${chance} <= ${Math.round(probability * 100)}`, ...indent(lines)];
+  }
+
+  const condition = conditionsToExpression(action.conditions, context, where);
+  if (condition) {
+    lines = [`*if ${condition}`, ...indent(lines)];
+  }
+  if (done) {
+    lines = [`*if not(${done})`, ...indent(lines)];
+  }
+  return lines;
+}
+
+function actionCommands(action, context, where) {
+  const stat = () => variableFor('stat', action.key, context);
+  const flag = () => variableFor('flag', action.key, context);
+  const amount = Number(action.value);
+
+  switch (action.type) {
+    case 'set_stat':
+      return [`*set ${stat()} ${formatValue(action.value)}`];
+    case 'add_stat':
+      if (!Number.isFinite(amount)) break;
+      return [amount < 0 ? `*set ${stat()} -${-amount}` : `*set ${stat()} +${amount}`];
+    case 'multiply_stat': {
+      const factor = Number(action.value) || 1;
+      return [factor < 0 ? `*set ${stat()} ${stat()} * ${formatValue(factor)}` : `*set ${stat()} *${factor}`];
+    }
+    case 'set_flag':
+      return [`*set ${flag()} ${toBoolean(action.value) ? 'true' : 'false'}`];
+    case 'toggle_flag':
+      return [`*set ${flag()} not(${flag()})`];
+    case 'add_inventory':
+    case 'remove_inventory':
+    case 'set_inventory': {
+      const item = context.itemDefinitions.get(action.key);
+      if (!item) {
+        context.warnings.push(`${where}: ${action.type} action uses unknown item "${action.key}"; skipped.`);
+        return [];
+      }
+      const variable = context.names.item.get(action.key);
+      const maxStack = item.maxStack || (item.unique ? 1 : 99);
+      const quantity = action.type === 'set_inventory' ? Number(action.value ?? 0) : Number(action.value || 1);
+      if (!Number.isFinite(quantity) || quantity < 0) break;
+      if (action.type === 'add_inventory') {
+        // InventoryManager fills the stack up to maxStack
+        return [`*set ${variable} +${quantity}`, `*if ${variable} > ${maxStack}`, `  *set ${variable} ${maxStack}`];
+      }
+      if (action.type === 'remove_inventory') {
+        // Removing more than the player has removes nothing
+        return [`*if ${variable} >= ${quantity}`, `  *set ${variable} -${quantity}`];
+      }
+      return [`*set ${variable} ${Math.min(Math.floor(quantity), maxStack)}`];
+    }
+    case 'roll':
+      try {
+        const lines = rollToLines(action, context);
+        if (lines) return lines;
+      } catch (error) {
+        context.warnings.push(`${where}: roll "${action.value}" can't be exported (${error.message}); skipped.`);
+        return [];
+      }
+      break;
+    default:
+      break;
+  }
+
+  context.warnings.push(`${where}: ${action.type} action${action.key ? ` "${action.key}"` : ''} is not supported by the ChoiceScript exporter; skipped.`);
+  return [];
+}
+
+// One *rand per die, summed into the roll's stat; a lone die (1d6 + 2) is a single *rand over its range
+function rollToLines(action, context) {
+  const notation = String(action.value ?? '');
+  if (!DiceRoller.analyze(notation).valid) return null;
+
+  const target = action.key
+    ? variableFor('stat', action.key, context)
+    : trackingVariable('roll_total', 'roll_total', 0, context);
+  const lines = [];
+
+  const lone = /^\s*1?[dD](\d+)\s*(?:([-+])\s*(\d+))?\s*$/.exec(notation);
+  const offset = lone && lone[2] ? Number(lone[3]) * (lone[2] === '-' ? -1 : 1) : 0;
+  if (lone && 1 + offset >= 0) {
+    lines.push(`*rand ${target} ${1 + offset} ${Number(lone[1]) + offset}`);
+  } else {
+    const locals = {};
+    const expression = DiceRoller.substitute(notation, (die, index) => {
+      const part = trackingVariable(`roll_part:${index}`, `roll_part_${index + 1}`, 0, context);
+      locals[`__roll_part_${index}`] = part;
+      lines.push(`*rand ${part} 1 ${die.sides}`);
+      for (let count = 1; count < die.count; count++) {
+        const dieRoll = trackingVariable('die_roll', 'die_roll', 0, context);
+        lines.push(`*rand ${dieRoll} 1 ${die.sides}`, `*set ${part} +${dieRoll}`);
+      }
+      return `stat.__roll_part_${index}`;
+    });
+    lines.push(`*set ${target} ${expressionToChoiceScript(ExpressionEvaluator.parse(expression), context, locals)}`);
+  }
+
+  const difficulty = action.difficulty;
+  if (action.successFlag && difficulty !== undefined && difficulty !== null && difficulty !== '') {
+    const threshold = Number.isNaN(Number(difficulty))
+      ? expressionToChoiceScript(ExpressionEvaluator.parse(String(difficulty)), context)
+      : formatValue(Number(difficulty));
+    lines.push(`*set ${variableFor('flag', action.successFlag, context)} (${target} >= ${wrap(threshold)})`);
+  }
+  return lines;
 }
 
 function buildStartupFile(adventure, scenes, statDeclarations, startSceneId) {
@@ -233,48 +740,108 @@ function buildSceneIndex(scenes) {
   return ['startup', 'choicescript_stats', ...names].join('\n');
 }
 
-function buildSceneFile(scene) {
+function buildSceneFile(scene, context) {
   const lines = [];
   lines.push(`*label ${scene.csId}`);
   lines.push('');
 
+  scene.notes.forEach(note => lines.push(`*comment ${note}`));
+  const prologue = [...sceneTrackingLines(scene, context), ...scene.prologue];
+  prologue.forEach(line => lines.push(line));
+
+  // Fake choices stay in the scene without running its onEnter code again
+  const returnLabel = prologue.length > 0 && scene.choices.some(choice => choice.isFake && !choice.target)
+    ? `${scene.csId}_return`
+    : scene.csId;
+  if (returnLabel !== scene.csId) {
+    lines.push(`*label ${returnLabel}`);
+  }
+  if (scene.notes.length > 0 || prologue.length > 0) {
+    lines.push('');
+  }
+
   if (scene.contentLines.length > 0) {
     scene.contentLines.forEach(line => lines.push(line));
     lines.push('');
   }
 
   if (scene.choices.length === 0) {
-    lines.push('*finish');
+    // *finish would continue to the next file in *scene_list
+    lines.push('*ending');
     lines.push('');
     return lines.join('\n');
   }
 
   lines.push('*choice');
   scene.choices.forEach(choice => {
-    lines.push(`  #${choice.text}`);
-    if (choice.notes.length > 0) {
-      choice.notes.forEach(note => lines.push(`    *comment ${note}`));
+    const reuse = choice.disableReuse ? '*disable_reuse ' : '';
+    let optionIndent = '  ';
+    if (choice.visibility && choice.selectable) {
+      // Hidden unless the conditions hold, then locked unless the requirements do
+      lines.push(`  *if (${choice.visibility})`);
+      lines.push(`    ${reuse}*selectable_if (${choice.selectable}) #${choice.text}`);
+      optionIndent = '    ';
+    } else if (choice.visibility) {
+      lines.push(`  ${reuse}*if (${choice.visibility}) #${choice.text}`);
+    } else if (choice.selectable) {
+      lines.push(`  ${reuse}*selectable_if (${choice.selectable}) #${choice.text}`);
+    } else {
+      lines.push(`  ${reuse}#${choice.text}`);
     }
+
+    const body = [];
+    choice.notes.forEach(note => body.push(`*comment ${note}`));
     if (choice.inputType === 'input_text' && choice.inputVariable) {
-      lines.push(`    *input_text ${choice.inputVariable}`);
+      body.push(`*input_text ${choice.inputVariable}`);
     } else if (choice.inputType === 'input_number' && choice.inputVariable != null) {
       const min = choice.inputMin != null ? choice.inputMin : 0;
       const max = choice.inputMax != null ? choice.inputMax : 100;
-      lines.push(`    *input_number ${choice.inputVariable} ${min} ${max}`);
+      body.push(`*input_number ${choice.inputVariable} ${min} ${max}`);
+    }
+    body.push(...choiceTrackingLines(scene, choice, context));
+    body.push(...choice.actionLines);
+    if (!choice.isFake) {
+      body.push(...scene.epilogue);
     }
+
     const target = choice.target;
     if (target) {
-      lines.push(`    *goto ${target}`);
+      body.push(`*goto ${target}`);
     } else if (choice.isFake) {
-      lines.push(`    *goto ${scene.csId}`);
+      body.push(`*goto ${returnLabel}`);
     } else {
-      lines.push('    *finish');
+      body.push('*finish');
     }
+    body.forEach(line => lines.push(`${optionIndent}  ${line}`));
   });
   lines.push('');
   return lines.join('\n');
 }
 
+// Visit bookkeeping the conditions asked for, before the scene's onEnter code
+function sceneTrackingLines(scene, context) {
+  const lines = [];
+  const visited = context.tracking.get(`visited:${scene.originalId}`);
+  const scenesVisited = context.tracking.get('scenes_visited');
+  if (visited && scenesVisited) {
+    lines.push(`*if not(${visited})`, `  *set ${scenesVisited} +1`);
+  }
+  if (visited) {
+    lines.push(`*set ${visited} true`);
+  }
+  return lines;
+}
+
+// Choice history counters, updated before the choice's actions like StoryEngine's history
+function choiceTrackingLines(scene, choice, context) {
+  return [
+    context.tracking.get(`choice:${choice.id}`),
+    context.tracking.get(`scene_choice:${scene.originalId}:${choice.id}`),
+    context.tracking.get(`visits:${scene.originalId}`),
+    context.tracking.get('total_choices')
+  ].filter(Boolean).map(variable => `*set ${variable} +1`);
+}
+
 function makeUniqueIdentifier(value, usedSet, fallback) {
   const baseRaw = sanitizeIdentifier(value) || sanitizeIdentifier(fallback) || 'entry';
   let base = baseRaw;
@@ -304,6 +871,14 @@ function sanitizeIdentifier(value) {
   return str;
 }
 
+// ${stat:gold} / ${flag:ready} / ${gold} → ChoiceScript's ${gold}; other namespaces stay as text
+function convertInterpolations(text, context) {
+  return text.replace(/\$\{(?:(stat|flag):)?([A-Za-z0-9_.\-]+)\}/g, (match, namespace, key) => {
+    const name = (namespace !== 'flag' && context.names.stat.get(key)) || (namespace !== 'stat' && context.names.flag.get(key));
+    return name ? `\${${name}}` : match;
+  });
+}
+
 function convertChoiceText(text) {
   const plain = convertContentToText(text);
   return plain.replace(/\s+/g, ' ').trim();
@@ -346,6 +921,60 @@ function escapeChoiceScriptString(value) {
     .replace(/"/g, '\\"');
 }
 
+// Literal in an expression; ChoiceScript has no negative number literals
+function formatValue(value) {
+  if (typeof value === 'number') {
+    return value < 0 ? `(0 - ${-value})` : String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+  return `"${escapeChoiceScriptString(value ?? '')}"`;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') {
+    const lower = value.toLowerCase();
+    return !(lower === 'false' || lower === '0' || lower === '');
+  }
+  return Boolean(value);
+}
+
+// ChoiceScript only combines two operands at a time: `(a and b) and c`
+function joinExpressions(parts, operator) {
+  if (parts.length === 0) return null;
+  return parts.reduce((joined, part) => `${wrap(joined)} ${operator} ${wrap(part)}`);
+}
+
+function wrap(expression) {
+  if (!/\s/.test(expression) || /^"(?:\\.|[^"\\])*"$/.test(expression)) return expression;
+  // Already one parenthesized group or call, e.g. (a or b), not(a or b)
+  return isParenthesized(expression.replace(/^\w+/, '')) ? expression : `(${expression})`;
+}
+
+function isParenthesized(expression) {
+  if (!expression.startsWith('(')) return false;
+  let depth = 0;
+  let quote = false;
+  for (let index = 0; index < expression.length; index++) {
+    const char = expression[index];
+    if (quote) {
+      if (char === '\\') index += 1;
+      else if (char === '"') quote = false;
+    } else if (char === '"') {
+      quote = true;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth === 0) return index === expression.length - 1;
+    }
+  }
+  return false;
+}
+
+function indent(lines) {
+  return lines.map(line => `  ${line}`);
+}
+
 function formatDefaultStatValue(stat) {
   if (!stat) return 0;
   const type = determineStatType(stat);
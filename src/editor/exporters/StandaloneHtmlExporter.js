@@ -0,0 +1,287 @@
+/**
+ * StandaloneHtmlExporter.js - Adventure + player runtime as one offline HTML file
+ *
+ * The 'adventure' export still needs the whole app to play. This exporter bundles
+ * the React-free StandalonePlayer and everything it imports (StoryEngine,
+ * ChoiceEvaluator, ConditionParser, StatsManager, InventoryManager, SaveSystem,
+ * playerFormatting...) into a single inline script, with the adventure embedded as
+ * JSON. The result runs from disk or an itch.io upload with no network access;
+ * saves go to localStorage.
+ *
+ * Bundling is deliberately small: each ES module becomes a function in a registry
+ * and its `import`/`export` statements are rewritten to registry lookups. It only
+ * understands the statement forms the runtime modules use, and it refuses bare or
+ * URL specifiers so a CDN import in the player runtime fails the export instead of
+ * shipping a file that breaks offline.
+ *
+ * Integration Points:
+ * - ExportSystem: 'html' export format
+ * - StandalonePlayer: bundle entry point (mountStandalonePlayer)
+ */
+
+const PLAYER_ENTRY = 'components/player/StandalonePlayer.js';
+
+const IMPORT_PATTERN = /^import\s+(?:([\s\S]*?)\s+from\s+)?(['"])([^'"\n]+)\2;?/gm;
+const DECLARATION_EXPORT_PATTERN = /^export\s+((?:async\s+)?function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+const DEFAULT_DECLARATION_PATTERN = /^export\s+default\s+((?:async\s+)?function\*?|class)\s+([A-Za-z_$][\w$]*)/gm;
+const DEFAULT_EXPRESSION_PATTERN = /^export\s+default\s+/gm;
+const LIST_EXPORT_PATTERN = /^export\s*\{([^}]*)\}\s*;?/gm;
+
+const PLAYER_STYLES = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; background: #f3f4f6; color: #1f2937; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; line-height: 1.5; }
+.player { max-width: 64rem; margin: 0 auto; padding: 1.5rem 1rem; }
+.player-header { display: flex; flex-wrap: wrap; gap: 1rem; align-items: center; justify-content: space-between; margin-bottom: 1.5rem; }
+.player-header h1 { margin: 0; font-size: 1.5rem; }
+.player-header p { margin: 0; }
+.player-toolbar { display: flex; gap: 0.5rem; }
+.player-main { display: grid; grid-template-columns: minmax(0, 2fr) minmax(0, 1fr); gap: 1.5rem; }
+.player-main > :only-child { grid-column: 1 / -1; }
+@media (max-width: 48rem) { .player-main { grid-template-columns: minmax(0, 1fr); } }
+.player-story { display: flex; flex-direction: column; gap: 1.5rem; }
+.player-scene, .player-end, .player-sidebar, .player-saves { background: #fff; border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 1.5rem; }
+.player-scene h2 { margin: 0 0 1rem; font-size: 1.5rem; }
+.player-content { color: #374151; }
+.player-content img { max-width: 100%; }
+.player-dialogue { display: flex; flex-direction: column; gap: 0.75rem; margin-top: 1.5rem; }
+.player-line { display: flex; gap: 0.75rem; align-items: flex-start; }
+.player-portrait { width: 3rem; height: 3rem; border-radius: 9999px; object-fit: cover; flex-shrink: 0; }
+.player-speaker { font-size: 0.875rem; font-weight: 600; }
+.player-narration { color: #4b5563; font-style: italic; }
+.player-choices { display: flex; flex-direction: column; gap: 0.75rem; }
+.player-choice { background: rgba(17, 24, 39, 0.9); border: 1px solid #374151; border-radius: 0.5rem; padding: 1rem; color: #fff; display: flex; flex-direction: column; gap: 0.75rem; }
+.player-choice-locked { color: #9ca3af; }
+.player-choice-row { display: flex; gap: 0.75rem; align-items: flex-start; justify-content: space-between; }
+.player-choice-text { flex: 1; min-width: 0; font-size: 0.9rem; }
+.player-lock-reasons { font-size: 0.75rem; color: #fef08a; margin-top: 0.5rem; }
+.player-input { width: 100%; padding: 0.5rem; border-radius: 0.375rem; border: 1px solid #4b5563; background: #1f2937; color: #fff; font: inherit; }
+.player-button { border: 0; border-radius: 0.375rem; padding: 0.5rem 1rem; background: #2563eb; color: #fff; font: inherit; font-size: 0.875rem; cursor: pointer; white-space: nowrap; }
+.player-button:hover { background: #1d4ed8; }
+.player-button:disabled { background: #4b5563; cursor: not-allowed; }
+.player-button-secondary { background: #e5e7eb; color: #1f2937; }
+.player-button-secondary:hover { background: #d1d5db; }
+.player-end { text-align: center; }
+.player-end h3 { margin: 0 0 0.5rem; font-size: 1.25rem; }
+.player-sidebar h3, .player-saves h3 { margin: 0 0 0.5rem; font-size: 1rem; }
+.player-sidebar ul, .player-saves ul { list-style: none; margin: 0 0 1rem; padding: 0; }
+.player-sidebar li, .player-saves li { display: flex; justify-content: space-between; gap: 0.5rem; align-items: center; padding: 0.25rem 0; border-bottom: 1px solid #f3f4f6; }
+.player-saves { margin-bottom: 1.5rem; }
+.player-save-slots { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; }
+.player-message { background: #eff6ff; border: 1px solid #bfdbfe; border-radius: 0.375rem; padding: 0.5rem 1rem; }
+.player-muted { color: #6b7280; }
+`;
+
+/**
+ * Export an adventure as a self-contained HTML player
+ * @param {Object} adventure - Adventure in the 'adventure' export format
+ * @param {Object} options
+ * @param {Function} [options.readSource] - async (path relative to src/) => module source;
+ *   defaults to fetching the module next to this one
+ * @returns {Promise<{data: string, warnings: string[]}>}
+ */
+export async function exportAdventureToStandaloneHtml(adventure, options = {}) {
+  const readSource = options.readSource || fetchSource;
+  const warnings = collectWarnings(adventure);
+  const modules = await bundleModules(PLAYER_ENTRY, readSource);
+
+  const registry = modules
+    .map(({ id, code }) => `${JSON.stringify(id)}: function (__exports, __require) {\n${code}\n}`)
+    .join(',\n');
+
+  const script = `(function () {
+'use strict';
+var modules = {
+${registry}
+};
+var cache = {};
+function __require(id) {
+  if (cache[id]) return cache[id];
+  var exports = cache[id] = {};
+  modules[id](exports, __require);
+  return exports;
+}
+var root = document.getElementById('player-root');
+var adventure = JSON.parse(document.getElementById('adventure-data').textContent);
+__require(${JSON.stringify(PLAYER_ENTRY)}).mountStandalonePlayer(root, adventure).catch(function (error) {
+  console.error('StandalonePlayer: Failed to start adventure:', error);
+  root.textContent = 'This adventure could not be started: ' + error.message;
+});
+})();`;
+
+  const data = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="Adventure Engine standalone export">
+<title>${escapeHtml(adventure.title || 'Untitled Adventure')}</title>
+<style>${PLAYER_STYLES}</style>
+</head>
+<body>
+<div id="player-root" class="player"></div>
+<script type="application/json" id="adventure-data">${escapeScriptJson(adventure)}</script>
+<script>
+${script.replace(/<\/(script)/gi, '<\\/$1')}
+</script>
+</body>
+</html>
+`;
+
+  return { data, warnings };
+}
+
+// Module sources sit under src/, two levels above this file
+async function fetchSource(path) {
+  const response = await fetch(new URL(`../../${path}`, import.meta.url));
+  if (!response.ok) {
+    throw new Error(`Could not read ${path} for the standalone export (HTTP ${response.status})`);
+  }
+  return response.text();
+}
+
+// Load the entry and everything it imports; entry first, then in discovery order
+async function bundleModules(entry, readSource) {
+  const modules = [];
+  const seen = new Set([entry]);
+  const queue = [entry];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const source = await readSource(id);
+    const { code, dependencies } = transformModule(id, source);
+    modules.push({ id, code });
+    dependencies.forEach(dependency => {
+      if (!seen.has(dependency)) {
+        seen.add(dependency);
+        queue.push(dependency);
+      }
+    });
+  }
+
+  return modules;
+}
+
+function resolveSpecifier(fromId, specifier) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) {
+    throw new Error(`${fromId} imports "${specifier}"; the standalone player can only bundle relative imports (no CDN or package imports)`);
+  }
+  const url = new URL(specifier, `file:///src/${fromId}`);
+  if (!url.pathname.startsWith('/src/')) {
+    throw new Error(`${fromId} imports "${specifier}" from outside src/`);
+  }
+  return url.pathname.slice('/src/'.length);
+}
+
+// Rewrite one ES module into the body of a registry function
+function transformModule(id, source) {
+  if (/\bimport\s*\(|\bimport\.meta\b/.test(source)) {
+    throw new Error(`${id} uses dynamic import() or import.meta, which the standalone export can't bundle`);
+  }
+
+  const dependencies = [];
+  const exported = [];
+
+  let code = source.replace(IMPORT_PATTERN, (_, clause, quote, specifier) => {
+    const dependency = resolveSpecifier(id, specifier);
+    dependencies.push(dependency);
+    const required = `__require(${JSON.stringify(dependency)})`;
+    return clause ? importBindings(id, clause.trim(), required) : `${required};`;
+  });
+
+  code = code
+    .replace(DEFAULT_DECLARATION_PATTERN, (_, keyword, name) => {
+      exported.push(['default', name]);
+      return `${keyword} ${name}`;
+    })
+    .replace(DEFAULT_EXPRESSION_PATTERN, '__exports.default = ')
+    .replace(DECLARATION_EXPORT_PATTERN, (_, keyword, name) => {
+      exported.push([name, name]);
+      return `${keyword} ${name}`;
+    })
+    .replace(LIST_EXPORT_PATTERN, (_, list) => {
+      splitList(list).forEach(entry => {
+        const [local, name = local] = entry.split(/\s+as\s+/);
+        exported.push([name, local]);
+      });
+      return '';
+    });
+
+  const leftover = code.match(/^export\b.*$/m);
+  if (leftover) {
+    throw new Error(`${id}: unsupported export statement "${leftover[0].trim()}"`);
+  }
+
+  // Getters keep exports live, like ES module bindings
+  const bindings = exported
+    .map(([name, local]) => `Object.defineProperty(__exports, ${JSON.stringify(name)}, { enumerable: true, get: function () { return ${local}; } });`)
+    .join('\n');
+
+  return { code: bindings ? `${bindings}\n${code}` : code, dependencies };
+}
+
+// `Default, { a, b as c }` / `* as ns` / `{ a }` / `Default` → const declarations
+function importBindings(id, clause, required) {
+  const declarations = [];
+  let rest = clause;
+
+  const namespace = rest.match(/^\*\s+as\s+([A-Za-z_$][\w$]*)$/);
+  if (namespace) {
+    return `const ${namespace[1]} = ${required};`;
+  }
+
+  const defaultBinding = rest.match(/^([A-Za-z_$][\w$]*)\s*(?:,\s*|$)/);
+  if (defaultBinding) {
+    declarations.push(`const ${defaultBinding[1]} = ${required}.default;`);
+    rest = rest.slice(defaultBinding[0].length);
+  }
+
+  if (rest) {
+    const named = rest.match(/^\{([\s\S]*)\}$/);
+    if (!named) {
+      throw new Error(`${id}: unsupported import clause "${clause}"`);
+    }
+    const bindings = splitList(named[1]).map(entry => {
+      const [name, local] = entry.split(/\s+as\s+/);
+      return local ? `${name}: ${local}` : name;
+    });
+    declarations.push(`const { ${bindings.join(', ')} } = ${required};`);
+  }
+
+  return declarations.join(' ');
+}
+
+function splitList(list) {
+  return list.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// Remote media can't load offline; everything else travels inside the file
+function collectWarnings(adventure) {
+  const warnings = [];
+  (adventure.scenes || []).forEach(scene => {
+    const remote = new Set((scene.content || '').match(/\b(?:src|href)\s*=\s*["']https?:\/\/[^"']+/gi) || []);
+    remote.forEach(match => {
+      const url = match.replace(/^[^"']*["']/, '');
+      warnings.push(`Scene "${scene.title || scene.id}" links to ${url}; it won't load without a network connection.`);
+    });
+  });
+  (adventure.characters || []).forEach(character => {
+    const portrait = typeof character?.portrait === 'string' ? character.portrait.trim() : '';
+    if (/^https?:\/\//i.test(portrait)) {
+      warnings.push(`Character "${character.name || character.id}" has a portrait at ${portrait}; it won't load without a network connection.`);
+    }
+  });
+  return warnings;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON inside <script> must not contain "</script" or "<!--"
+function escapeScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,119 @@
+/**
+ * TranslationExporter.js - Adventure strings to XLIFF 2.0 and gettext PO
+ *
+ * Both formats carry every string from Localization.collectStrings: the stable
+ * string ID (XLIFF unit `name`, PO `msgctxt`), the source text, a note saying
+ * where the string is shown, and the current translation for the target locale
+ * (empty when untranslated). Translators fill in targets in their own tools and
+ * TranslationImporter merges the file back.
+ *
+ * Integration Points:
+ * - ExportSystem: 'xliff' and 'po' export formats (options.locale picks the target)
+ * - TranslationImporter: reads the output back
+ */
+
+import { collectStrings, getSourceLocale, getTranslations } from '../../engine/Localization.js';
+
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+function prepare(adventure, locale) {
+  if (!locale) {
+    throw new Error('A target locale is required to export translations');
+  }
+  const sourceLocale = getSourceLocale(adventure);
+  const warnings = [];
+  if (locale === sourceLocale) {
+    warnings.push(`Target locale "${locale}" is the source locale; every target is left empty.`);
+  }
+  const table = locale === sourceLocale ? {} : getTranslations(adventure, locale);
+  const strings = collectStrings(adventure).map(entry => ({ ...entry, target: table[entry.id] || '' }));
+  return { sourceLocale, strings, warnings };
+}
+
+/**
+ * Export the adventure's strings as an XLIFF 2.0 document
+ * @param {Object} adventure
+ * @param {string} locale - Target locale (trgLang)
+ * @returns {Object} { data: string, warnings: string[] }
+ */
+export function exportTranslationsToXliff(adventure = {}, locale) {
+  const { sourceLocale, strings, warnings } = prepare(adventure, locale);
+
+  const units = strings.map((entry, index) => [
+    `    <unit id="u${index + 1}" name="${escapeXml(entry.id)}">`,
+    '      <notes>',
+    `        <note category="location">${escapeXml(entry.context)}</note>`,
+    '      </notes>',
+    `      <segment state="${entry.target ? 'translated' : 'initial'}">`,
+    `        <source>${escapeXml(entry.text)}</source>`,
+    entry.target ? `        <target>${escapeXml(entry.target)}</target>` : null,
+    '      </segment>',
+    '    </unit>'
+  ].filter(line => line !== null).join('\n'));
+
+  const data = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${escapeXml(sourceLocale)}" trgLang="${escapeXml(locale)}">`,
+    `  <file id="${escapeXml(adventure.id || 'adventure')}" original="${escapeXml(adventure.title || 'Untitled Adventure')}">`,
+    ...units,
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+
+  return { data, warnings };
+}
+
+// PO string literal; multi-line text is split after each newline, as gettext tools do
+function poString(keyword, value) {
+  const escape = text => text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  const text = String(value);
+  if (!text.includes('\n') || text.indexOf('\n') === text.length - 1) {
+    return `${keyword} "${escape(text)}"`;
+  }
+  const lines = text.split(/(?<=\n)/);
+  return [`${keyword} ""`, ...lines.map(line => `"${escape(line)}"`)].join('\n');
+}
+
+/**
+ * Export the adventure's strings as a gettext PO catalog
+ * @param {Object} adventure
+ * @param {string} locale - Target locale (Language header)
+ * @returns {Object} { data: string, warnings: string[] }
+ */
+export function exportTranslationsToPo(adventure = {}, locale) {
+  const { sourceLocale, strings, warnings } = prepare(adventure, locale);
+
+  const header = [
+    `# ${String(adventure.title || 'Untitled Adventure').replace(/\n/g, ' ')}`,
+    'msgid ""',
+    'msgstr ""',
+    '"MIME-Version: 1.0\\n"',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Content-Transfer-Encoding: 8bit\\n"',
+    `"Language: ${locale}\\n"`,
+    `"X-Source-Language: ${sourceLocale}\\n"`,
+    `"X-Adventure-Id: ${String(adventure.id || 'adventure').replace(/["\\\n]/g, '')}\\n"`
+  ].join('\n');
+
+  const entries = strings.map(entry => [
+    `#. ${entry.context.replace(/\n/g, ' ')}`,
+    poString('msgctxt', entry.id),
+    poString('msgid', entry.text),
+    poString('msgstr', entry.target)
+  ].join('\n'));
+
+  return { data: [header, ...entries].join('\n\n') + '\n', warnings };
+}
@@ -0,0 +1,546 @@
+/**
+ * TweeExporter.js - Editor adventure to Twee 3 (SugarCube)
+ *
+ * Scenes become passages named after their titles; choices become [[Text|Passage]]
+ * links (setter components for their actions, <<if>> around conditional ones),
+ * onEnter actions become <<set>> lines, and stats/flags are declared in StoryInit.
+ * ${stat:x} placeholders and {if} blocks are rewritten as $x and <<if>>.
+ *
+ * Anything SugarCube can't express (inventory actions, random branches, usage
+ * limits, delays, input choices...) is left out and reported in `warnings`,
+ * mirroring the ChoiceScript exporter.
+ *
+ * Integration Points:
+ * - ExportSystem: 'twee' export format
+ * - TweeImporter: reads the output back
+ */
+
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
+import { TextInterpolator } from '../../engine/TextInterpolator.js';
+
+const STORY_FORMAT = 'SugarCube';
+const STORY_FORMAT_VERSION = '2.36.1';
+
+// Passage names SugarCube treats specially; scenes may not use them
+const RESERVED_PASSAGE_NAMES = [
+  'StoryTitle', 'StoryData', 'StoryInit', 'StoryAuthor', 'StoryBanner', 'StoryCaption',
+  'StoryDisplayTitle', 'StoryInterface', 'StoryMenu', 'StoryShare', 'StorySubtitle',
+  'PassageDone', 'PassageFooter', 'PassageHeader', 'PassageReady'
+];
+
+// ExpressionEvaluator / condition operators → SugarCube
+const OPERATORS = {
+  '==': 'is',
+  eq: 'is',
+  '!=': 'isnot',
+  ne: 'isnot',
+  '>': 'gt',
+  gt: 'gt',
+  '>=': 'gte',
+  gte: 'gte',
+  '<': 'lt',
+  lt: 'lt',
+  '<=': 'lte',
+  lte: 'lte',
+  '&&': 'and',
+  '||': 'or'
+};
+
+const MATH_FUNCTIONS = ['min', 'max', 'abs', 'floor', 'ceil', 'round', 'clamp'];
+
+/**
+ * Convert an adventure to Twee 3 source
+ * @param {Object} adventure
+ * @param {Object} options - { ifid?: string, formatVersion?: string }
+ * @returns {Object} { data: string, warnings: string[] }
+ */
+export function exportAdventureToTwee(adventure = {}, options = {}) {
+  const warnings = [];
+  const scenes = Array.isArray(adventure.scenes) ? adventure.scenes : [];
+  const context = {
+    passageNames: buildPassageNames(scenes),
+    variables: buildVariableNames(adventure, warnings),
+    warnings
+  };
+
+  let startScene = scenes.find(scene => scene?.id === adventure.startSceneId);
+  if (!startScene && scenes.length > 0) {
+    startScene = scenes[0];
+    warnings.push('Adventure missing startSceneId; defaulting to first scene.');
+  }
+
+  if (Array.isArray(adventure.inventory) && adventure.inventory.length > 0) {
+    warnings.push('Inventory items are not exported; SugarCube has no built-in inventory.');
+  }
+  if (Array.isArray(adventure.achievements) && adventure.achievements.length > 0) {
+    warnings.push('Achievements are not exported.');
+  }
+
+  const storyData = {
+    ifid: options.ifid || adventure.metadata?.twine?.ifid || generateIfid(),
+    format: STORY_FORMAT,
+    'format-version': options.formatVersion || STORY_FORMAT_VERSION,
+    ...(startScene ? { start: context.passageNames.get(startScene.id) } : {}),
+    zoom: 1
+  };
+
+  const passages = [
+    [':: StoryTitle', (adventure.title || 'Untitled Adventure').trim()],
+    [':: StoryData', JSON.stringify(storyData, null, 2)]
+  ];
+  if (adventure.author) {
+    passages.push([':: StoryAuthor', String(adventure.author).trim()]);
+  }
+
+  const init = buildStoryInit(adventure, context);
+  if (init.length > 0) {
+    passages.push([':: StoryInit', ...init]);
+  }
+
+  scenes.forEach(scene => {
+    passages.push(buildPassage(scene, context));
+  });
+
+  return {
+    data: `${passages.map(lines => lines.join('\n')).join('\n\n')}\n`,
+    warnings
+  };
+}
+
+// Unique passage names from scene titles, without Twee header/link metacharacters
+function buildPassageNames(scenes) {
+  const names = new Map();
+  const used = new Set();
+
+  scenes.forEach((scene, index) => {
+    const base = String(scene?.title || scene?.id || `Scene ${index + 1}`)
+      .replace(/->/g, '-')
+      .replace(/<-/g, '-')
+      .replace(/[[\]{}|\\]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim() || `Scene ${index + 1}`;
+    let name = RESERVED_PASSAGE_NAMES.includes(base) ? `${base} (scene)` : base;
+    let counter = 2;
+    while (used.has(name)) {
+      name = `${base} (${counter})`;
+      counter += 1;
+    }
+    used.add(name);
+    names.set(scene?.id, name);
+  });
+
+  return names;
+}
+
+// SugarCube variable names for stats and flags (`$name`)
+function buildVariableNames(adventure, warnings) {
+  const variables = { stat: new Map(), flag: new Map() };
+  const used = new Set();
+
+  const register = (namespace, id) => {
+    if (!id || variables[namespace].has(id)) return;
+    let name = String(id).replace(/[^A-Za-z0-9_]/g, '_');
+    if (!/^[A-Za-z_]/.test(name)) name = `v_${name}`;
+    const base = name;
+    let counter = 2;
+    while (used.has(name)) {
+      name = `${base}_${counter}`;
+      counter += 1;
+    }
+    if (name !== id) {
+      warnings.push(`${namespace === 'stat' ? 'Stat' : 'Flag'} "${id}" exported as $${name}.`);
+    }
+    used.add(name);
+    variables[namespace].set(id, name);
+  };
+
+  (Array.isArray(adventure.stats) ? adventure.stats : []).forEach(stat => register('stat', stat?.id));
+  (Array.isArray(adventure.flags) ? adventure.flags : []).forEach(flag => register('flag', flag?.id));
+  return variables;
+}
+
+function variableFor(namespace, key, context) {
+  const known = context.variables[namespace].get(key);
+  if (known) return `$${known}`;
+  const name = String(key).replace(/[^A-Za-z0-9_]/g, '_');
+  return `$${/^[A-Za-z_]/.test(name) ? name : `v_${name}`}`;
+}
+
+function buildStoryInit(adventure, context) {
+  const lines = [];
+
+  (Array.isArray(adventure.stats) ? adventure.stats : []).forEach(stat => {
+    if (!stat?.id) return;
+    if (stat.formula) {
+      context.warnings.push(`Stat "${stat.id}" is computed; exported with its default value only.`);
+    }
+    lines.push(`<<set ${variableFor('stat', stat.id, context)} to ${formatLiteral(defaultStatValue(stat))}>>`);
+  });
+
+  (Array.isArray(adventure.flags) ? adventure.flags : []).forEach(flag => {
+    if (!flag?.id) return;
+    lines.push(`<<set ${variableFor('flag', flag.id, context)} to ${flag.defaultValue ? 'true' : 'false'}>>`);
+  });
+
+  return lines;
+}
+
+function buildPassage(scene, context) {
+  const name = context.passageNames.get(scene?.id);
+  const where = `Scene "${name}"`;
+  const lines = [buildHeader(name, scene)];
+
+  (Array.isArray(scene?.onEnter) ? scene.onEnter : []).forEach(action => {
+    const line = actionToMacro(action, context, where);
+    if (line) lines.push(line);
+  });
+  if (Array.isArray(scene?.onExit) && scene.onExit.length > 0) {
+    context.warnings.push(`${where} has onExit actions which are not exported.`);
+  }
+
+  const content = renderTemplate(scene?.content || '', context, where);
+  if (content.trim()) {
+    lines.push(content.trim());
+  }
+
+  const choices = Array.isArray(scene?.choices) ? scene.choices : [];
+  if (choices.length > 0) {
+    lines.push('');
+    choices.forEach((choice, index) => {
+      const line = choiceToLink(choice, index, scene, context);
+      if (line) lines.push(line);
+    });
+  }
+
+  return lines;
+}
+
+function buildHeader(name, scene) {
+  const tags = (Array.isArray(scene?.tags) ? scene.tags : [])
+    .map(tag => String(tag).trim().replace(/\s+/g, '-').replace(/[[\]]/g, ''))
+    .filter(Boolean);
+  const position = scene?.position && Number.isFinite(scene.position.x) && Number.isFinite(scene.position.y)
+    ? ` ${JSON.stringify({ position: `${Math.round(scene.position.x)},${Math.round(scene.position.y)}`, size: '100,100' })}`
+    : '';
+  return `:: ${name}${tags.length > 0 ? ` [${tags.join(' ')}]` : ''}${position}`;
+}
+
+function choiceToLink(choice, index, scene, context) {
+  const text = convertChoiceText(choice?.text, context) || `Option ${index + 1}`;
+  const where = `Choice "${text}"`;
+
+  let target = context.passageNames.get(choice?.targetSceneId);
+  if (!target && choice?.isFake) {
+    target = context.passageNames.get(scene?.id);
+  }
+  if (!target) {
+    context.warnings.push(`${where} targets missing scene "${choice?.targetSceneId || ''}". Exported as plain text.`);
+    return text;
+  }
+
+  reportUnsupportedChoiceFeatures(choice, where, context);
+
+  const actions = Array.isArray(choice?.actions) ? choice.actions : [];
+  const hasConditionalActions = actions.some(action => Array.isArray(action?.conditions) && action.conditions.length > 0);
+  let link;
+  if (hasConditionalActions) {
+    // Setter components can't be conditional; <<link>> bodies can
+    const body = actions.map(action => actionToMacro(action, context, where)).filter(Boolean).join('');
+    link = `<<link ${quote(text)} ${quote(target)}>>${body}<</link>>`;
+  } else {
+    const statements = actions.map(action => actionToStatement(action, context, where)).filter(Boolean);
+    const label = text === target ? target : `${text}|${target}`;
+    link = `[[${label}${statements.length > 0 ? `][${statements.join('; ')}` : ''}]]`;
+  }
+
+  const condition = conditionsToExpression(choice?.conditions, context, where);
+  return condition ? `<<if ${condition}>>${link}<</if>>` : link;
+}
+
+function reportUnsupportedChoiceFeatures(choice, where, context) {
+  const unsupported = [];
+  if (Array.isArray(choice?.randomBranches) && choice.randomBranches.length > 0) unsupported.push('random branches');
+  if (choice?.isSecret || (Array.isArray(choice?.secretConditions) && choice.secretConditions.length > 0)) unsupported.push('secret discovery');
+  if (choice?.isCall || choice?.isReturn) unsupported.push('tunnel calls/returns');
+  if (choice?.isLocked || (Array.isArray(choice?.requirements) && choice.requirements.length > 0)) unsupported.push('requirements');
+  if (choice?.oneTime || choice?.maxUses > 0 || choice?.cooldown > 0) unsupported.push('usage limits');
+  if (choice?.inputType && choice.inputType !== 'static') unsupported.push(`${choice.inputType} input`);
+  if (unsupported.length > 0) {
+    context.warnings.push(`${where} uses ${unsupported.join(', ')} which SugarCube links can't express; not exported.`);
+  }
+}
+
+// Action as a <<set>> macro, wrapped in <<if>> when it has conditions
+function actionToMacro(action, context, where) {
+  const statement = actionToStatement(action, context, where);
+  if (!statement) return null;
+  const macro = `<<set ${statement}>>`;
+  const condition = conditionsToExpression(action.conditions, context, where);
+  return condition ? `<<if ${condition}>>${macro}<</if>>` : macro;
+}
+
+function actionToStatement(action, context, where) {
+  if (!action?.type) return null;
+  if (action.probability != null && action.probability < 1) {
+    context.warnings.push(`${where}: ${action.type} action probability is not exported; it always runs.`);
+  }
+  if (action.delay > 0 || action.delayTurns > 0) {
+    context.warnings.push(`${where}: ${action.type} action delay is not exported; it runs immediately.`);
+  }
+
+  const stat = () => variableFor('stat', action.key, context);
+  const flag = () => variableFor('flag', action.key, context);
+  const amount = Number(action.value);
+
+  switch (action.type) {
+    case 'set_stat':
+      return `${stat()} to ${formatLiteral(action.value)}`;
+    case 'add_stat':
+      if (!Number.isFinite(amount)) break;
+      return amount < 0 ? `${stat()} -= ${-amount}` : `${stat()} += ${amount}`;
+    case 'multiply_stat':
+      if (!Number.isFinite(amount)) break;
+      return `${stat()} *= ${amount}`;
+    case 'set_flag':
+      return `${flag()} to ${toBoolean(action.value) ? 'true' : 'false'}`;
+    case 'toggle_flag':
+      return `${flag()} to not ${flag()}`;
+    case 'roll': {
+      // A single die without a difficulty is SugarCube's random(1, N)
+      const die = /^\s*1?[dD](\d+)\s*$/.exec(String(action.value ?? ''));
+      if (die && action.difficulty == null && !action.successFlag) {
+        return `${stat()} to random(1, ${die[1]})`;
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  context.warnings.push(`${where}: ${action.type} action${action.key ? ` "${action.key}"` : ''} is not supported by the Twee exporter; skipped.`);
+  return null;
+}
+
+/**
+ * Combine conditions into one SugarCube expression (joined with `and`)
+ * @returns {string|null}
+ * @private
+ */
+function conditionsToExpression(conditions, context, where) {
+  if (!Array.isArray(conditions) || conditions.length === 0) return null;
+  const parts = conditions
+    .map(condition => conditionToExpression(condition, context, where))
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+  return parts.length === 1 ? parts[0] : parts.map(wrap).join(' and ');
+}
+
+function conditionToExpression(condition, context, where) {
+  const unsupported = (detail) => {
+    context.warnings.push(`${where}: ${detail} condition is not supported by the Twee exporter; dropped.`);
+    return null;
+  };
+
+  if (Array.isArray(condition?.conditions)) {
+    const parts = condition.conditions.map(sub => conditionToExpression(sub, context, where));
+    if (parts.some(part => !part)) return null;
+    switch (String(condition.logic || 'AND').toUpperCase()) {
+      case 'AND':
+        return parts.map(wrap).join(' and ');
+      case 'OR':
+        return parts.map(wrap).join(' or ');
+      case 'NOT':
+      case 'NOR':
+        return `not (${parts.map(wrap).join(' or ')})`;
+      default:
+        return unsupported(`${condition.logic} logic`);
+    }
+  }
+
+  const operator = condition?.operator || '==';
+  switch (condition?.type) {
+    case 'stat':
+      if (!OPERATORS[operator]) return unsupported(`"${operator}" stat`);
+      return `${variableFor('stat', condition.key, context)} ${OPERATORS[operator]} ${formatLiteral(condition.value)}`;
+    case 'flag': {
+      if (operator !== '==' && operator !== '!=' && operator !== 'eq' && operator !== 'ne') {
+        return unsupported(`"${operator}" flag`);
+      }
+      const expected = toBoolean(condition.value ?? true) === (operator === '==' || operator === 'eq');
+      return `${expected ? '' : 'not '}${variableFor('flag', condition.key, context)}`;
+    }
+    case 'scene_visited': {
+      const name = context.passageNames.get(condition.key);
+      if (!name) return unsupported(`scene_visited "${condition.key}"`);
+      const expected = toBoolean(condition.value ?? true) === (operator !== '!=' && operator !== 'ne');
+      return `${expected ? '' : 'not '}visited(${quote(name)})`;
+    }
+    case 'expression':
+      try {
+        return expressionToSugarCube(ExpressionEvaluator.parse(condition.expression), context);
+      } catch (error) {
+        return unsupported(`expression "${condition.expression}" (${error.message})`);
+      }
+    default:
+      return unsupported(condition?.type || 'untyped');
+  }
+}
+
+/**
+ * Print an ExpressionEvaluator AST as SugarCube
+ * @throws {Error} for references SugarCube has no equivalent for
+ * @private
+ */
+function expressionToSugarCube(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return formatLiteral(node.value);
+    case 'ref':
+      if (node.namespace === 'stat' || node.namespace === 'flag') {
+        return variableFor(node.namespace, node.key, context);
+      }
+      if (node.namespace === 'visited' && context.passageNames.has(node.key)) {
+        return `visited(${quote(context.passageNames.get(node.key))})`;
+      }
+      throw new Error(`${node.namespace}.${node.key} has no SugarCube equivalent`);
+    case 'unary': {
+      const argument = expressionToSugarCube(node.argument, context);
+      const operand = node.argument.type === 'binary' ? `(${argument})` : argument;
+      if (node.op === '!') return `not ${operand}`;
+      return node.op === '-' ? `-${operand}` : operand;
+    }
+    case 'binary': {
+      const side = (child) => {
+        const printed = expressionToSugarCube(child, context);
+        return child.type === 'binary' ? `(${printed})` : printed;
+      };
+      return `${side(node.left)} ${OPERATORS[node.op] || node.op} ${side(node.right)}`;
+    }
+    case 'call':
+      if (!MATH_FUNCTIONS.includes(node.name)) {
+        throw new Error(`${node.name}() has no SugarCube equivalent`);
+      }
+      return `Math.${node.name}(${node.args.map(arg => expressionToSugarCube(arg, context)).join(', ')})`;
+    default:
+      throw new Error(`unsupported ${node.type}`);
+  }
+}
+
+/**
+ * Rewrite ${...} placeholders and {if} blocks as SugarCube markup
+ * @private
+ */
+function renderTemplate(template, context, where) {
+  if (!TextInterpolator.hasTemplates(template)) return template;
+
+  const { nodes, errors } = TextInterpolator.parse(template);
+  if (errors.length > 0) {
+    context.warnings.push(`${where}: text template has errors (${errors[0].message}); exported as written.`);
+    return template;
+  }
+  return renderNodes(nodes, context, where);
+}
+
+function renderNodes(nodes, context, where) {
+  return nodes.map((node, index) => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'var') {
+      if (node.fallback !== null) {
+        context.warnings.push(`${where}: fallback text in \${${node.raw}} is not exported.`);
+      }
+      if (node.namespace !== 'stat' && node.namespace !== 'flag') {
+        context.warnings.push(`${where}: \${${node.raw}} has no SugarCube equivalent; exported as written.`);
+        return `\${${node.raw}}`;
+      }
+      const variable = variableFor(node.namespace, node.key, context);
+      // A naked variable would swallow directly following word characters
+      const next = nodes[index + 1];
+      return next?.type === 'text' && /^(\w|\.\w|\[)/.test(next.value) ? `<<= ${variable}>>` : variable;
+    }
+
+    if (node.type === 'if') {
+      const branches = node.branches.map((branch, branchIndex) => (
+        `<<${branchIndex === 0 ? 'if' : 'elseif'} ${templateCondition(branch.condition, context, where)}>>` +
+        renderNodes(branch.children, context, where)
+      ));
+      const otherwise = node.elseChildren ? `<<else>>${renderNodes(node.elseChildren, context, where)}` : '';
+      return `${branches.join('')}${otherwise}<</if>>`;
+    }
+
+    return '';
+  }).join('');
+}
+
+function templateCondition(condition, context, where) {
+  let expression;
+  if (condition.namespace === 'stat' || condition.namespace === 'flag') {
+    expression = variableFor(condition.namespace, condition.key, context);
+  } else if (condition.namespace === 'visits' && context.passageNames.has(condition.key)) {
+    expression = `visited(${quote(context.passageNames.get(condition.key))})`;
+  } else {
+    context.warnings.push(`${where}: {if ${condition.namespace}:${condition.key}} has no SugarCube equivalent; exported as false.`);
+    return 'false';
+  }
+
+  if (condition.operator) {
+    expression = `${expression} ${OPERATORS[condition.operator]} ${formatLiteral(condition.value)}`;
+  }
+  if (condition.negate) {
+    expression = condition.operator ? `not (${expression})` : `not ${expression}`;
+  }
+  return expression;
+}
+
+function convertChoiceText(text, context) {
+  const rendered = renderTemplate(String(text ?? ''), context, 'Choice text');
+  return rendered
+    .replace(/<[^>]+>/g, '')
+    .replace(/->/g, '→')
+    .replace(/<-/g, '←')
+    .replace(/\|/g, '/')
+    .replace(/[[\]]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function defaultStatValue(stat) {
+  const value = stat?.defaultValue;
+  if (stat?.type === 'boolean') return Boolean(value);
+  if (stat?.type === 'string' || (typeof value === 'string' && !Number.isFinite(Number(value)))) {
+    return value != null ? String(value) : '';
+  }
+  return Number.isFinite(Number(value)) ? Number(value) : 0;
+}
+
+function formatLiteral(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(value == null ? '' : String(value));
+}
+
+function toBoolean(value) {
+  if (typeof value === 'string') {
+    const lower = value.toLowerCase();
+    return !(lower === 'false' || lower === '0' || lower === '');
+  }
+  return Boolean(value);
+}
+
+function quote(value) {
+  return JSON.stringify(String(value));
+}
+
+function wrap(expression) {
+  return /\s/.test(expression) ? `(${expression})` : expression;
+}
+
+// Twine IFIDs are uppercase v4 UUIDs
+function generateIfid() {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID().toUpperCase();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.floor(Math.random() * 16);
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  }).toUpperCase();
+}
@@ -0,0 +1,1094 @@
+/**
+ * ChoiceScriptImporter.js - ChoiceScript scene files to editor adventure
+ *
+ * Mapping:
+ * - startup.txt: *title, *author → adventure fields; *create → stats (numbers, strings)
+ *   or flags (true/false); *scene_list → the order *finish moves through
+ * - Each scene file → a scene; each top-level *label in it → a further scene
+ *   (a *label at the very top names the file's own scene)
+ * - *choice / *fake_choice options → choices: *if (cond) #Option and *if blocks around
+ *   options → conditions, *selectable_if → requirements, *hide_reuse / *disable_reuse →
+ *   oneTime; *set / *rand in the option → actions; *input_text / *input_number → input
+ *   choices; *goto / *goto_scene / *finish → target. An option with text or other
+ *   commands after choosing gets a scene of its own.
+ * - *goto, *goto_scene, *finish, *page_break and running into the next *label outside a
+ *   choice → a "Continue" choice; *ending and *finish in the last scene → an ending
+ * - *set / *rand / *temp outside options → onEnter actions
+ * - *if / *elseif / *else → conditions on the sets and choices they wrap, and
+ *   {if}...{/if} blocks (TextInterpolator) for the text they wrap
+ * - ${var} → ${stat:var} / ${flag:var}; [b] / [i] → <b> / <i>
+ *
+ * Everything else (*gosub, *image, multireplace, fairmath, ...) is listed in the
+ * report with its file and line, and skipped or left as text.
+ *
+ * Integration Points:
+ * - ExportSystem.importAdventure(filesOrZip, { format: 'choicescript' })
+ * - ChoiceScriptExporter: the inverse mapping; buildChoiceScriptFiles returns the files
+ *   in the shape this importer reads
+ */
+
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
+import { referenceExpression, toConditions, toTextCondition } from './importedConditions.js';
+
+const JSZIP_URL = 'https://esm.sh/jszip@3.10.1';
+
+// Files that aren't scenes: the stats screen and the index ChoiceScriptExporter writes
+const NON_SCENE_FILES = ['choicescript_stats', 'scenes'];
+
+// Commands that own the indented lines below them
+const BLOCK_COMMANDS = ['choice', 'fake_choice', 'if', 'elseif', 'elsif', 'else', 'scene_list', 'stat_chart', 'achievement'];
+const ELSE_COMMANDS = ['elseif', 'elsif', 'else'];
+
+// Prefixes an option line may carry: *if (cond) #Text, *selectable_if (cond) #Text, *hide_reuse #Text
+const OPTION_MODIFIERS = ['if', 'selectable_if', 'hide_reuse', 'disable_reuse', 'allow_reuse'];
+
+// startup.txt header commands, read before its scene is converted
+const STARTUP_COMMANDS = ['title', 'author', 'create', 'scene_list'];
+
+const ASSIGNMENT_COMMANDS = ['set', 'rand', 'temp'];
+const JUMP_COMMANDS = ['goto', 'goto_scene', 'finish'];
+
+// ChoiceScript operator words → ExpressionEvaluator operators
+const OPERATOR_WORDS = { and: '&&', or: '||', not: '!', modulo: '%' };
+const EXPRESSION_FUNCTIONS = ['round'];
+
+const EXPRESSION_TOKEN = /\s+|"(?:\\.|[^"\\])*"|\d+(?:\.\d+)?|[A-Za-z_]\w*|%[-+]|!=|<=|>=|[-+*/=<>()&{}#[\]]/y;
+
+/**
+ * Convert ChoiceScript scene files into an editor adventure
+ * @param {Object|Map} files - file name → contents, e.g. { 'startup.txt': '...', 'forest.txt': '...' }
+ * @param {Object} options - { id?: adventure id }
+ * @returns {Object} { adventure, warnings, report: Array<{file, line, message}> }
+ * @throws {Error} when there is no startup.txt
+ */
+export function importAdventureFromChoiceScript(files = {}, options = {}) {
+  const sources = normalizeFiles(files);
+  if (!sources.has('startup')) {
+    throw new Error('startup.txt not found (ChoiceScript games start there)');
+  }
+
+  const context = {
+    files: new Map(),
+    sceneList: [],
+    variables: new Map(),
+    usedSceneIds: new Set(),
+    scenes: [],
+    report: []
+  };
+
+  const parsed = Array.from(sources.entries()).map(([name, text]) => parseFile(name, text));
+  const startup = parsed.find(file => file.name === 'startup');
+  const header = readStartupHeader(startup, context);
+
+  // Listed scenes first (startup always leads), then any other file *goto_scene may reach
+  const listed = ['startup', ...header.sceneList.filter(name => name !== 'startup')];
+  listed.forEach(name => {
+    if (!sources.has(name)) {
+      report(context, 'startup.txt', header.sceneListLine, `*scene_list names "${name}" but ${name}.txt was not provided.`);
+    }
+  });
+  context.sceneList = listed.filter(name => sources.has(name));
+  const ordered = [
+    ...context.sceneList.map(name => parsed.find(file => file.name === name)),
+    ...parsed.filter(file => !context.sceneList.includes(file.name))
+  ];
+
+  ordered.forEach(file => {
+    context.files.set(file.name, { ...file, sceneId: makeUniqueIdentifier(file.name, context.usedSceneIds, 'scene') });
+  });
+  context.files.forEach(file => planSegments(file, context));
+
+  collectVariables(ordered, context);
+
+  context.files.forEach(file => {
+    file.segments.forEach((segment, index) => {
+      const scene = createScene(segment.sceneId, segment.title, context);
+      const next = file.segments[index + 1];
+      convertFlow(segment.nodes, scene, () => (next ? next.sceneId : finishTarget(file, context)), file, context);
+    });
+  });
+
+  const startSceneId = collapseStartup(context);
+
+  const stats = [];
+  const flags = [];
+  context.variables.forEach((variable, name) => {
+    if (variable.kind === 'flag') {
+      flags.push({ id: name, name, defaultValue: Boolean(variable.defaultValue) });
+    } else {
+      stats.push({
+        id: name,
+        name,
+        type: variable.kind,
+        defaultValue: variable.defaultValue ?? (variable.kind === 'number' ? 0 : '')
+      });
+    }
+  });
+
+  const title = header.title || 'Untitled Adventure';
+  const now = Date.now();
+  const adventure = {
+    id: options.id || sanitizeIdentifier(title) || 'choicescript_adventure',
+    title,
+    author: header.author,
+    version: '1.0.0',
+    description: '',
+    startSceneId,
+    scenes: context.scenes.map(finishScene),
+    stats,
+    flags,
+    inventory: [],
+    metadata: {
+      created: now,
+      modified: now
+    }
+  };
+
+  return {
+    adventure,
+    warnings: context.report.map(entry => `${entry.file} (line ${entry.line}): ${entry.message}`),
+    report: context.report
+  };
+}
+
+/**
+ * Import a ChoiceScript zip, e.g. one written by exportAdventureToChoiceScript or a
+ * game's scenes folder; every .txt file in it is read
+ * @param {ArrayBuffer|Uint8Array|Blob} data
+ * @param {Object} options - as for importAdventureFromChoiceScript
+ * @returns {Promise<Object>} { adventure, warnings, report }
+ */
+export async function importAdventureFromChoiceScriptArchive(data, options = {}) {
+  const module = await import(JSZIP_URL);
+  const JSZip = module.default || module;
+  const zip = await JSZip.loadAsync(data);
+
+  const files = {};
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && /\.txt$/i.test(entry.name));
+  for (const entry of entries) {
+    files[entry.name] = await entry.async('string');
+  }
+  return importAdventureFromChoiceScript(files, options);
+}
+
+// { 'scenes/Startup.txt': text } → Map('startup' → text); ChoiceScript scene names are case-insensitive
+function normalizeFiles(files) {
+  const entries = files instanceof Map ? Array.from(files.entries()) : Object.entries(files || {});
+  const sources = new Map();
+  entries.forEach(([path, text]) => {
+    const match = /([^/\\]+)\.txt$/i.exec(path);
+    if (!match || typeof text !== 'string') return;
+    const name = match[1].toLowerCase();
+    if (NON_SCENE_FILES.includes(name) || sources.has(name)) return;
+    sources.set(name, text);
+  });
+  return sources;
+}
+
+/**
+ * Split a file into lines nested by indentation. Only options and block commands
+ * (*choice, *if, ...) own the deeper lines below them; blank lines go to the block
+ * of the line that follows them.
+ * @private
+ */
+function parseFile(name, text) {
+  const root = { indent: -1, children: [] };
+  const stack = [root];
+  let blanks = [];
+
+  String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) {
+      blanks.push({ type: 'blank', line: index + 1 });
+      return;
+    }
+    const indent = /^\s*/.exec(raw)[0].length;
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const node = parseLine(raw.trim(), index + 1, indent);
+    stack[stack.length - 1].children.push(...blanks, node);
+    blanks = [];
+    if (opensBlock(node)) stack.push(node);
+  });
+
+  return { name, file: `${name}.txt`, nodes: root.children };
+}
+
+function parseLine(text, line, indent) {
+  if (text.startsWith('#')) {
+    return { type: 'option', line, indent, text: text.slice(1).trim(), children: [] };
+  }
+  const command = /^\*(\w+)\s*(.*)$/.exec(text);
+  if (command) {
+    return { type: 'command', line, indent, name: command[1].toLowerCase(), args: command[2].trim(), children: [] };
+  }
+  return { type: 'text', line, indent, text };
+}
+
+function opensBlock(node) {
+  if (node.type === 'option') return true;
+  if (node.type !== 'command') return false;
+  return BLOCK_COMMANDS.includes(node.name) || (OPTION_MODIFIERS.includes(node.name) && node.args.includes('#'));
+}
+
+// *title, *author and *scene_list are consumed; *create is left for collectVariables
+function readStartupHeader(startup, context) {
+  const header = { title: '', author: '', sceneList: [], sceneListLine: 1 };
+  startup.nodes = startup.nodes.filter(node => {
+    if (node.type !== 'command' || !STARTUP_COMMANDS.includes(node.name)) return true;
+    if (node.name === 'title') header.title = node.args;
+    if (node.name === 'author') header.author = node.args;
+    if (node.name === 'scene_list') {
+      header.sceneListLine = node.line;
+      header.sceneList = node.children
+        .filter(child => child.type === 'text')
+        // `$ name` marks a scene sold separately
+        .map(child => child.text.replace(/^\$\S*\s*/, '').trim().toLowerCase())
+        .filter(Boolean);
+    }
+    if (node.name === 'create') startup.creates = [...(startup.creates || []), node];
+    return false;
+  });
+  if (!startup.creates) startup.creates = [];
+  return header;
+}
+
+// Top-level *label lines split a file into scenes
+function planSegments(file, context) {
+  file.labels = new Map();
+  file.segments = [];
+  let current = { sceneId: file.sceneId, title: humanize(file.name), nodes: [] };
+
+  file.nodes.forEach(node => {
+    if (node.type !== 'command' || node.name !== 'label') {
+      current.nodes.push(node);
+      return;
+    }
+
+    const label = node.args.split(/\s+/)[0].toLowerCase();
+    if (!label || file.labels.has(label)) {
+      report(context, file.file, node.line, label ? `duplicate *label ${label} ignored.` : '*label without a name ignored.');
+      return;
+    }
+
+    // A label before any content just names the file's own scene
+    const leading = file.segments.length === 0 && current.nodes.every(isInert);
+    if (!leading) {
+      file.segments.push(current);
+      current = {
+        sceneId: makeUniqueIdentifier(`${file.sceneId}_${label}`, context.usedSceneIds, `${file.sceneId}_label`),
+        title: humanize(label),
+        nodes: []
+      };
+    }
+    file.labels.set(label, current.sceneId);
+  });
+
+  file.segments.push(current);
+}
+
+/**
+ * First pass: *create / *temp declare variables with their defaults; *set, *rand and
+ * inputs decide the kind of variables that are never declared
+ * @private
+ */
+function collectVariables(files, context) {
+  const startup = files.find(file => file.name === 'startup');
+  startup.creates.forEach(node => declareVariable(node, startup, context));
+
+  const inferred = new Map();
+  const visit = (nodes, file) => nodes.forEach(node => {
+    if (node.type === 'command') {
+      const [rawName = ''] = node.args.split(/\s+/);
+      const name = rawName.toLowerCase();
+      const value = node.args.slice(rawName.length).trim();
+
+      if (node.name === 'temp') {
+        declareVariable(node, file, context);
+      } else if (/^[a-z_]\w*$/.test(name) && !context.variables.has(name) && !inferred.has(name)) {
+        let kind = null;
+        if (node.name === 'set') kind = inferKind(value);
+        if (node.name === 'rand' || node.name === 'input_number') kind = 'number';
+        if (node.name === 'input_text') kind = 'string';
+        if (kind) inferred.set(name, { kind, file, line: node.line });
+      }
+    }
+    visit(node.children || [], file);
+  });
+  files.forEach(file => visit(file.nodes, file));
+
+  inferred.forEach(({ kind, file, line }, name) => {
+    if (context.variables.has(name)) return;
+    context.variables.set(name, { kind, defaultValue: undefined });
+    report(context, file.file, line, `${name} is never created; imported as a ${kind === 'flag' ? 'flag' : `${kind} stat`}.`);
+  });
+}
+
+// *create name value / *temp name [value]
+function declareVariable(node, file, context) {
+  const match = /^([A-Za-z_]\w*)\s*([\s\S]*)$/.exec(node.args);
+  if (!match) {
+    report(context, file.file, node.line, `could not read "*${node.name} ${node.args}".`);
+    return;
+  }
+
+  const name = match[1].toLowerCase();
+  if (context.variables.has(name)) {
+    if (node.name === 'create') report(context, file.file, node.line, `${name} is created twice; the first *create wins.`);
+    return;
+  }
+
+  const literal = match[2] ? parseLiteral(match[2]) : null;
+  if (match[2] && !literal) {
+    report(context, file.file, node.line, `*${node.name} ${name} needs a number, string or true/false value; defaulting to 0.`);
+  }
+  const value = literal ? literal.value : undefined;
+  const kind = typeof value === 'boolean' ? 'flag' : typeof value === 'string' ? 'string' : 'number';
+  context.variables.set(name, { kind, defaultValue: value });
+
+  if (node.name === 'temp') {
+    report(context, file.file, node.line, `temporary variable ${name} imported as a global ${kind === 'flag' ? 'flag' : 'stat'}.`);
+  }
+}
+
+function inferKind(value) {
+  const literal = parseLiteral(value);
+  if (literal) {
+    if (typeof literal.value === 'boolean') return 'flag';
+    return typeof literal.value === 'number' ? 'number' : 'string';
+  }
+  if (/^not\s*\(/i.test(value)) return 'flag';
+  if (/^&/.test(value)) return 'string';
+  if (/^(%?[-+]|[*/])/.test(value)) return 'number';
+  return null;
+}
+
+function createScene(id, title, context) {
+  const scene = { id, title, text: [], choices: [], actions: [], input: null };
+  context.scenes.push(scene);
+  return scene;
+}
+
+function finishScene(scene) {
+  return {
+    id: scene.id,
+    title: scene.title,
+    content: cleanContent(scene.text.join('\n')),
+    choices: scene.choices.map((choice, index) => ({ id: `${scene.id}_choice_${index + 1}`, ...choice })),
+    onEnter: scene.actions,
+    onExit: []
+  };
+}
+
+/**
+ * Convert a run of lines into `scene`
+ * @param {Function} exit - () => scene id the flow continues to when it runs off the end, or null for an ending
+ * @private
+ */
+function convertFlow(nodes, scene, exit, file, context) {
+  const ended = convertLines(nodes, scene, { conditions: [] }, exit, file, context);
+  if (!ended) {
+    const target = exit();
+    if (target) addContinue(scene, target, [], 'Continue');
+  }
+  if (scene.input) {
+    report(context, file.file, scene.input.line, `*${scene.input.inputType} is not followed by a *goto or *page_break; ignored.`);
+    scene.input = null;
+  }
+}
+
+/**
+ * @param {Object} scope - { conditions: expression strings in effect }
+ * @returns {boolean} true when every path through the lines has left the scene
+ * @private
+ */
+function convertLines(nodes, scene, scope, exit, file, context) {
+  for (let index = 0; index < nodes.length; index++) {
+    const node = nodes[index];
+
+    if (node.type === 'blank') {
+      scene.text.push('');
+      continue;
+    }
+    if (node.type === 'text') {
+      scene.text.push(convertText(node.text, file, node.line, context));
+      continue;
+    }
+    if (node.type === 'option') {
+      report(context, file.file, node.line, `option #${node.text} outside a *choice ignored.`);
+      continue;
+    }
+
+    switch (node.name) {
+      case 'comment':
+      case 'line_break':
+        break;
+
+      case 'set':
+      case 'rand':
+      case 'temp': {
+        const conditions = toConditions(scope.conditions);
+        convertAssignment(node, file, context).forEach(action => {
+          scene.actions.push(conditions.length > 0 ? { ...action, conditions } : action);
+        });
+        break;
+      }
+
+      case 'input_text':
+      case 'input_number':
+        scene.input = { ...convertInput(node, file, context), line: node.line };
+        break;
+
+      case 'goto':
+      case 'goto_scene':
+      case 'finish': {
+        const target = jumpTarget(node, file, context);
+        if (target) {
+          addContinue(scene, target, scope.conditions, 'Continue');
+        } else if (target === null && scope.conditions.length > 0) {
+          report(context, file.file, node.line, 'ending the game under a condition is not supported; that path keeps the scene\'s other choices.');
+        }
+        return true;
+      }
+
+      case 'ending':
+        if (scope.conditions.length > 0) {
+          report(context, file.file, node.line, 'ending the game under a condition is not supported; that path keeps the scene\'s other choices.');
+        }
+        return true;
+
+      case 'page_break': {
+        const target = continuation(nodes.slice(index + 1), scene, scope, exit, file, node, context);
+        if (target) addContinue(scene, target, scope.conditions, node.args || 'Next');
+        return true;
+      }
+
+      case 'choice':
+      case 'fake_choice': {
+        const rest = nodes.slice(index + 1);
+        let target;
+        const next = () => {
+          if (target === undefined) target = continuation(rest, scene, scope, exit, file, node, context);
+          return target;
+        };
+        convertChoice(node, scene, scope, node.name === 'fake_choice' ? next : null, file, context);
+        return true;
+      }
+
+      case 'if': {
+        const { last, ended } = convertIfChain(nodes, index, scene, scope, exit, file, context);
+        if (ended) return true;
+        index = last;
+        break;
+      }
+
+      case 'elseif':
+      case 'elsif':
+      case 'else':
+        report(context, file.file, node.line, `*${node.name} without a matching *if ignored.`);
+        break;
+
+      case 'label':
+        report(context, file.file, node.line, '*label inside a block is not supported; ignored.');
+        break;
+
+      case 'create':
+        report(context, file.file, node.line, '*create only works in startup.txt; ignored.');
+        break;
+
+      default:
+        report(context, file.file, node.line, `*${node.name} is not supported; skipped.`);
+        break;
+    }
+  }
+  return false;
+}
+
+// The lines after a *page_break or *fake_choice become a scene of their own
+function continuation(rest, scene, scope, exit, file, node, context) {
+  if (rest.every(isInert)) return exit();
+  if (scope.conditions.length > 0) {
+    report(context, file.file, node.line, `*${node.name} inside *if: the lines after the *if block are not reached from it.`);
+  }
+  const next = createScene(
+    makeUniqueIdentifier(`${scene.id}_continued`, context.usedSceneIds, 'scene'),
+    `${scene.title} (continued)`,
+    context
+  );
+  convertFlow(rest, next, exit, file, context);
+  return next.id;
+}
+
+function addContinue(scene, target, conditions, text) {
+  const choice = {
+    text,
+    targetSceneId: target,
+    conditions: toConditions(conditions),
+    actions: []
+  };
+  if (scene.input) {
+    const { line, ...input } = scene.input;
+    Object.assign(choice, input);
+    scene.input = null;
+  }
+  scene.choices.push(choice);
+}
+
+/**
+ * *if / *elseif / *else: sets and choices get the branch conditions (with earlier
+ * branches negated); text becomes a TextInterpolator {if} block when the conditions allow it
+ * @returns {Object} { last: index of the chain's last line, ended }
+ * @private
+ */
+function convertIfChain(nodes, index, scene, scope, exit, file, context) {
+  const { chain, last } = readChain(nodes, index);
+  const previous = [];
+
+  const branches = chain.map(node => {
+    let expression = null;
+    if (node.name !== 'else') {
+      const converted = convertExpression(node.args, file, node.line, context);
+      if (converted.error) {
+        report(context, file.file, node.line, `could not translate condition "${node.args}" (${converted.error}); its choices and sets are imported without it.`);
+      } else {
+        expression = converted.expression;
+      }
+    }
+
+    const conditions = [
+      ...scope.conditions,
+      ...previous.map(previousExpression => `!(${previousExpression})`),
+      ...(expression ? [expression] : [])
+    ];
+    if (expression) previous.push(expression);
+
+    const branchScene = { ...scene, text: [] };
+    const ended = convertLines(node.children, branchScene, { conditions }, exit, file, context);
+    scene.input = branchScene.input;
+    return { node, expression, text: cleanContent(branchScene.text.join('\n')), ended };
+  });
+
+  const ended = chain[chain.length - 1].name === 'else' && branches.every(branch => branch.ended);
+  if (branches.every(({ text }) => !text)) return { last, ended };
+
+  const textConditions = branches.map(({ node, expression }) => (
+    node.name === 'else' ? null : expression && toTextCondition(expression)
+  ));
+  const convertible = branches.every(({ node }, position) => node.name === 'else' || textConditions[position]);
+
+  if (!convertible) {
+    report(context, file.file, chain[0].line, 'conditional text uses conditions {if} blocks cannot express; left as ChoiceScript.');
+    branches.forEach(({ node, text }) => {
+      scene.text.push(`*${node.name}${node.args ? ` ${node.args}` : ''}`);
+      if (text) scene.text.push(text);
+    });
+    return { last, ended };
+  }
+
+  const parts = branches.map(({ node, text }, position) => {
+    if (node.name === 'else') return `{else}${text}`;
+    return `{${position === 0 ? 'if' : 'elseif'} ${textConditions[position]}}${text}`;
+  });
+  scene.text.push(`${parts.join('')}{/if}`);
+  return { last, ended };
+}
+
+// An *if line and the *elseif / *else lines that follow it (blank lines may sit between)
+function readChain(nodes, index) {
+  const chain = [nodes[index]];
+  let last = index;
+  for (let probe = index + 1; probe < nodes.length; probe++) {
+    const node = nodes[probe];
+    if (node.type === 'blank') continue;
+    if (node.type !== 'command' || !ELSE_COMMANDS.includes(node.name) || chain[chain.length - 1].name === 'else') break;
+    chain.push(node.name === 'elsif' ? { ...node, name: 'elseif' } : node);
+    last = probe;
+  }
+  return { chain, last };
+}
+
+/**
+ * *choice / *fake_choice → one choice per option
+ * @param {Function|null} next - where *fake_choice options without a *goto continue
+ * @private
+ */
+function convertChoice(node, scene, scope, next, file, context) {
+  const options = collectOptions(node.children, scope.conditions, file, context);
+  if (options.length === 0) {
+    report(context, file.file, node.line, `*${node.name} has no options.`);
+  }
+
+  options.forEach(option => {
+    const choice = {
+      text: convertText(option.text, file, option.line, context),
+      targetSceneId: '',
+      conditions: toConditions(option.conditions),
+      actions: []
+    };
+    if (option.requirements.length > 0) choice.requirements = toConditions(option.requirements);
+    if (option.oneTime) choice.oneTime = true;
+
+    // Leading *set / *rand / input commands belong to the choice itself
+    let index = 0;
+    for (; index < option.children.length; index++) {
+      const child = option.children[index];
+      if (isInert(child)) continue;
+      if (child.type !== 'command') break;
+      if (ASSIGNMENT_COMMANDS.includes(child.name)) {
+        choice.actions.push(...convertAssignment(child, file, context));
+      } else if (child.name === 'input_text' || child.name === 'input_number') {
+        Object.assign(choice, convertInput(child, file, context));
+      } else {
+        break;
+      }
+    }
+
+    const rest = option.children.slice(index);
+    const meaningful = rest.filter(child => !isInert(child));
+    if (meaningful.length === 1 && meaningful[0].type === 'command' && JUMP_COMMANDS.includes(meaningful[0].name)) {
+      const target = jumpTarget(meaningful[0], file, context);
+      if (target === null) {
+        report(context, file.file, meaningful[0].line, `option #${option.text} ends the game; imported without a destination.`);
+      }
+      choice.targetSceneId = target || '';
+    } else if (meaningful.length === 0) {
+      if (next) {
+        choice.targetSceneId = next() || '';
+      } else {
+        report(context, file.file, option.line, `option #${option.text} has no *goto or *finish; imported without a destination.`);
+      }
+    } else {
+      // Text or further commands after choosing become the option's own scene
+      const optionScene = createScene(
+        makeUniqueIdentifier(`${scene.id}_option_${scene.choices.length + 1}`, context.usedSceneIds, 'scene'),
+        plainText(option.text) || `${scene.title} option`,
+        context
+      );
+      const exit = next || (() => {
+        report(context, file.file, option.line, `option #${option.text} falls out of the *choice without a *goto or *finish.`);
+        return null;
+      });
+      convertFlow(rest, optionScene, exit, file, context);
+      choice.targetSceneId = optionScene.id;
+    }
+
+    scene.choices.push(choice);
+  });
+}
+
+/**
+ * Options of a *choice with the conditions of the *if blocks and inline modifiers around them
+ * @returns {Array} { text, line, conditions, requirements, oneTime, children }
+ * @private
+ */
+function collectOptions(nodes, conditions, file, context) {
+  const options = [];
+
+  for (let index = 0; index < nodes.length; index++) {
+    const node = nodes[index];
+    if (isInert(node)) continue;
+
+    if (node.type === 'option') {
+      options.push({ text: node.text, line: node.line, conditions, requirements: [], oneTime: false, children: node.children });
+      continue;
+    }
+
+    if (node.type === 'command' && OPTION_MODIFIERS.includes(node.name) && node.args.includes('#')) {
+      const option = readOptionModifiers(node, file, context);
+      if (option) options.push({ ...option, conditions: [...conditions, ...option.conditions] });
+      continue;
+    }
+
+    if (node.type === 'command' && node.name === 'if') {
+      const { chain, last } = readChain(nodes, index);
+      const previous = [];
+      chain.forEach(branch => {
+        let expression = null;
+        if (branch.name !== 'else') {
+          const converted = convertExpression(branch.args, file, branch.line, context);
+          if (converted.error) {
+            report(context, file.file, branch.line, `could not translate condition "${branch.args}" (${converted.error}); its options are imported without it.`);
+          } else {
+            expression = converted.expression;
+          }
+        }
+        const branchConditions = [
+          ...conditions,
+          ...previous.map(previousExpression => `!(${previousExpression})`),
+          ...(expression ? [expression] : [])
+        ];
+        if (expression) previous.push(expression);
+        options.push(...collectOptions(branch.children, branchConditions, file, context));
+      });
+      index = last;
+      continue;
+    }
+
+    const what = node.type === 'command' ? `*${node.name}` : 'text';
+    report(context, file.file, node.line, `${what} inside a *choice is not supported; skipped.`);
+  }
+
+  return options;
+}
+
+// `*hide_reuse *if (strength > 5) #Lift the rock`
+function readOptionModifiers(node, file, context) {
+  const option = { line: node.line, conditions: [], requirements: [], oneTime: false, children: node.children };
+  let rest = `*${node.name} ${node.args}`;
+
+  while (rest.startsWith('*')) {
+    const match = /^\*(\w+)\s*/.exec(rest);
+    const name = match ? match[1].toLowerCase() : '';
+    rest = rest.slice(match ? match[0].length : 1);
+
+    if (name === 'if' || name === 'selectable_if') {
+      const condition = takeParenthesized(rest);
+      if (!condition) {
+        report(context, file.file, node.line, `*${name} on an option needs its condition in parentheses; option skipped.`);
+        return null;
+      }
+      rest = condition.remainder;
+      const converted = convertExpression(condition.expression, file, node.line, context);
+      if (converted.error) {
+        report(context, file.file, node.line, `could not translate condition "${condition.expression}" (${converted.error}); option imported without it.`);
+      } else if (name === 'if') {
+        option.conditions.push(converted.expression);
+      } else {
+        option.requirements.push(converted.expression);
+      }
+    } else if (name === 'hide_reuse' || name === 'disable_reuse') {
+      option.oneTime = true;
+    } else if (name !== 'allow_reuse') {
+      report(context, file.file, node.line, `*${name} on an option is not supported; ignored.`);
+    }
+  }
+
+  if (!rest.startsWith('#')) {
+    report(context, file.file, node.line, 'option line has no #text; skipped.');
+    return null;
+  }
+  return { ...option, text: rest.slice(1).trim() };
+}
+
+// `(a and (b)) rest` → { expression: 'a and (b)', remainder: 'rest' }
+function takeParenthesized(text) {
+  if (!text.startsWith('(')) return null;
+  let depth = 0;
+  let quote = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\') index += 1;
+      else if (char === '"') quote = false;
+    } else if (char === '"') {
+      quote = true;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return { expression: text.slice(1, index), remainder: text.slice(index + 1).trim() };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Destination of *goto label, *goto_scene scene [label] and *finish
+ * @returns {string|null|''} scene id, null when the game ends, '' when the target is missing
+ * @private
+ */
+function jumpTarget(node, file, context) {
+  if (node.name === 'finish') return finishTarget(file, context);
+
+  const [first = '', second = ''] = node.args.split(/\s+/).map(part => part.toLowerCase());
+  if (/[{}]/.test(node.args)) {
+    report(context, file.file, node.line, `*${node.name} to a computed label is not supported; imported without a destination.`);
+    return '';
+  }
+
+  if (node.name === 'goto_scene') {
+    const target = context.files.get(first);
+    const sceneId = target && (second ? target.labels.get(second) : target.sceneId);
+    if (!sceneId) {
+      report(context, file.file, node.line, `*goto_scene targets missing ${second ? `label "${second}" in ` : ''}scene "${first}".`);
+      return '';
+    }
+    return sceneId;
+  }
+
+  if (file.labels.has(first)) return file.labels.get(first);
+  // ChoiceScriptExporter writes cross-file jumps as *goto with the other file's top label
+  for (const other of context.files.values()) {
+    if (other.labels.has(first)) return other.labels.get(first);
+  }
+  if (context.files.has(first)) return context.files.get(first).sceneId;
+
+  report(context, file.file, node.line, `*goto targets missing label "${first}".`);
+  return '';
+}
+
+// *finish moves on to the next file in *scene_list; after the last one the game ends
+function finishTarget(file, context) {
+  const position = context.sceneList.indexOf(file.name);
+  if (position === -1 || position === context.sceneList.length - 1) return null;
+  return context.files.get(context.sceneList[position + 1]).sceneId;
+}
+
+// A startup.txt that only sets variables and jumps on isn't a scene of its own
+function collapseStartup(context) {
+  const startupId = context.files.get('startup').sceneId;
+  const startup = context.scenes.find(scene => scene.id === startupId);
+  const [only] = startup.choices;
+  const passThrough = startup.choices.length === 1 && only.text === 'Continue' && only.conditions.length === 0 &&
+    !only.inputType && only.targetSceneId && !cleanContent(startup.text.join('\n')) && startup.actions.length === 0;
+  if (!passThrough) return startupId;
+
+  context.scenes = context.scenes.filter(scene => scene !== startup);
+  context.scenes.forEach(scene => scene.choices.forEach(choice => {
+    if (choice.targetSceneId === startupId) choice.targetSceneId = only.targetSceneId;
+  }));
+  return only.targetSceneId;
+}
+
+/**
+ * Translate *set, *rand and *temp into actions
+ * @returns {Array} actions
+ * @private
+ */
+function convertAssignment(node, file, context) {
+  const match = /^([A-Za-z_]\w*)\s*([\s\S]*)$/.exec(node.args);
+  if (!match) {
+    report(context, file.file, node.line, `could not translate "*${node.name} ${node.args}".`);
+    return [];
+  }
+
+  const key = match[1].toLowerCase();
+  const value = match[2].trim();
+  const variable = requireVariable(key, file, node.line, context);
+
+  if (node.name === 'temp') {
+    const literal = value ? parseLiteral(value) : null;
+    if (!literal) return [];
+    return [variable.kind === 'flag'
+      ? { type: 'set_flag', key, value: Boolean(literal.value) }
+      : { type: 'set_stat', key, value: literal.value }];
+  }
+
+  if (node.name === 'rand') {
+    const [min, max] = value.split(/\s+/).map(Number);
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+      report(context, file.file, node.line, `*rand ${node.args} needs whole-number bounds; skipped.`);
+      return [];
+    }
+    if (min === max) return [{ type: 'set_stat', key, value: min }];
+    const offset = min - 1;
+    return [{ type: 'roll', key, value: `1d${max - min + 1}${offset > 0 ? ` + ${offset}` : offset < 0 ? ` - ${-offset}` : ''}` }];
+  }
+
+  if (/^%[-+]/.test(value)) {
+    report(context, file.file, node.line, `fairmath (*set ${key} ${value}) is not supported; skipped.`);
+    return [];
+  }
+
+  const action = assignmentToAction(key, value, variable);
+  if (!action) {
+    report(context, file.file, node.line, `could not translate "*set ${node.args}"; skipped.`);
+    return [];
+  }
+  return [action];
+}
+
+function assignmentToAction(key, value, variable) {
+  const isFlag = variable.kind === 'flag';
+
+  // *set gold +5, *set gold -5, *set gold *2, *set gold /2, and the same with the variable spelled out
+  const arithmetic = /^([-+*/])\s*(\d+(?:\.\d+)?)$/.exec(value) ||
+    new RegExp(`^\\(?\\s*${key}\\s*([-+*/])\\s*(\\d+(?:\\.\\d+)?)\\s*\\)?$`, 'i').exec(value);
+  if (arithmetic) {
+    const amount = Number(arithmetic[2]);
+    if (isFlag) return null;
+    if (arithmetic[1] === '*') return { type: 'multiply_stat', key, value: amount };
+    if (arithmetic[1] === '/') return amount === 0 ? null : { type: 'multiply_stat', key, value: 1 / amount };
+    return { type: 'add_stat', key, value: arithmetic[1] === '-' ? -amount : amount };
+  }
+
+  const literal = parseLiteral(value);
+  if (literal) {
+    return isFlag
+      ? { type: 'set_flag', key, value: Boolean(literal.value) }
+      : { type: 'set_stat', key, value: literal.value };
+  }
+
+  if (isFlag && new RegExp(`^not\\s*\\(\\s*${key}\\s*\\)$`, 'i').test(value)) {
+    return { type: 'toggle_flag', key };
+  }
+  return null;
+}
+
+// *input_text name / *input_number name min max
+function convertInput(node, file, context) {
+  const [rawName = '', min, max] = node.args.split(/\s+/);
+  const variable = rawName.toLowerCase();
+  requireVariable(variable, file, node.line, context);
+
+  if (node.name === 'input_text') {
+    return { inputType: 'input_text', inputConfig: { variable } };
+  }
+
+  const inputConfig = { variable };
+  const bounds = [Number(min), Number(max)];
+  if (bounds.every(Number.isFinite)) {
+    [inputConfig.min, inputConfig.max] = bounds;
+  } else {
+    report(context, file.file, node.line, `*input_number ${variable} bounds must be numbers; imported without limits.`);
+  }
+  return { inputType: 'input_number', inputConfig };
+}
+
+/**
+ * Rewrite a ChoiceScript expression in ExpressionEvaluator syntax
+ * @param {string} source - e.g. `(strength > 5) and not(cursed)`
+ * @returns {Object} { expression } or { error }
+ * @private
+ */
+function convertExpression(source, file, line, context) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < source.length) {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(source);
+    if (!match) {
+      return { error: `unexpected "${source[start]}"` };
+    }
+    tokens.push(match[0]);
+  }
+
+  const parts = [];
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const lower = token.toLowerCase();
+    const nextToken = tokens.slice(index + 1).find(part => part.trim());
+
+    if (/^[A-Za-z_]/.test(token)) {
+      if (Object.prototype.hasOwnProperty.call(OPERATOR_WORDS, lower)) {
+        parts.push(` ${OPERATOR_WORDS[lower]} `);
+      } else if (lower === 'true' || lower === 'false') {
+        parts.push(lower);
+      } else if (nextToken === '(') {
+        if (!EXPRESSION_FUNCTIONS.includes(lower)) return { error: `${lower}() is not supported` };
+        parts.push(lower);
+      } else {
+        parts.push(referenceExpression(lower, requireVariable(lower, file, line, context).kind));
+      }
+    } else if (token === '=') {
+      parts.push('==');
+    } else if (token === '%+' || token === '%-') {
+      return { error: 'fairmath is not supported' };
+    } else if (token === '&') {
+      return { error: 'string concatenation is not supported' };
+    } else if (/^[{}#[\]]$/.test(token)) {
+      return { error: `"${token}" is not supported` };
+    } else {
+      parts.push(token);
+    }
+  }
+
+  const expression = parts.join('').replace(/\s+/g, ' ').trim();
+  const { valid, error } = ExpressionEvaluator.validate(expression);
+  return valid ? { expression } : { error };
+}
+
+// Variables only ever read are imported as number stats
+function requireVariable(name, file, line, context) {
+  if (!context.variables.has(name)) {
+    context.variables.set(name, { kind: 'number', defaultValue: 0 });
+    report(context, file.file, line, `${name} is never created; imported as a number stat.`);
+  }
+  return context.variables.get(name);
+}
+
+// ${var} → ${stat:var} / ${flag:var}, [b] / [i] → HTML; multireplace is reported and left as is
+function convertText(text, file, line, context) {
+  let result = text.replace(/\$(!{0,2})\{([^}]*)\}/g, (match, capitalize, inner) => {
+    const name = inner.trim().toLowerCase();
+    if (!/^[a-z_]\w*$/.test(name)) {
+      report(context, file.file, line, `\${${inner}} is not a plain variable; left as text.`);
+      return match;
+    }
+    if (capitalize) {
+      report(context, file.file, line, `$${capitalize}{${inner}} capitalization is not supported; imported as \${${name}}.`);
+    }
+    const variable = requireVariable(name, file, line, context);
+    return `\${${variable.kind === 'flag' ? 'flag' : 'stat'}:${name}}`;
+  });
+
+  if (/@!{0,2}\{/.test(result)) {
+    report(context, file.file, line, 'multireplace @{...} is not supported; left as text.');
+  }
+
+  result = result
+    .replace(/\[(\/?)(b|i)\]/gi, (match, closing, tag) => `<${closing}${tag.toLowerCase()}>`)
+    .replace(/\[n\/\]/gi, '\n');
+  return result;
+}
+
+function parseLiteral(raw) {
+  const value = String(raw).trim();
+  if (/^(true|false)$/i.test(value)) return { value: value.toLowerCase() === 'true' };
+  if (/^-?\d+(\.\d+)?$/.test(value)) return { value: Number(value) };
+  const quoted = /^"((?:\\.|[^"\\])*)"$/.exec(value);
+  if (quoted) return { value: quoted[1].replace(/\\(.)/g, '$1') };
+  return null;
+}
+
+// Blank lines and *comments don't affect where a flow goes
+function isInert(node) {
+  return node.type === 'blank' || (node.type === 'command' && node.name === 'comment');
+}
+
+function cleanContent(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function plainText(text) {
+  return String(text ?? '').replace(/\$!{0,2}\{([^}]*)\}/g, '$1').replace(/<[^>]+>|\[\/?\w\]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function humanize(name) {
+  return String(name).replace(/_+/g, ' ').trim().replace(/\b\w/g, char => char.toUpperCase());
+}
+
+function report(context, file, line, message) {
+  context.report.push({ file, line, message });
+}
+
+function makeUniqueIdentifier(value, usedSet, fallback) {
+  const base = sanitizeIdentifier(value) || sanitizeIdentifier(fallback) || 'scene';
+  let id = base;
+  let counter = 2;
+  while (usedSet.has(id)) {
+    id = `${base}_${counter}`;
+    counter += 1;
+  }
+  usedSet.add(id);
+  return id;
+}
+
+function sanitizeIdentifier(value) {
+  if (value === undefined || value === null) return '';
+  let str = String(value).trim().toLowerCase();
+  str = str.replace(/[^a-z0-9_]/g, '_');
+  str = str.replace(/_+/g, '_');
+  str = str.replace(/^_+|_+$/g, '');
+  if (!str) return '';
+  if (!/^[a-z]/.test(str)) {
+    str = `s_${str}`;
+  }
+  return str;
+}
@@ -0,0 +1,1177 @@
+/**
+ * InkImporter.js - Ink (inkle) source to editor adventure
+ *
+ * Mapping:
+ * - Knots and stitches → scenes (`knot`, `knot_stitch`); content before the first knot
+ *   → a start scene. A knot that opens straight into a stitch is that stitch's scene
+ * - `*` choices → `oneTime` choices; `+` sticky choices have no usage limit.
+ *   `[...]` text only shows on the button, `{condition}` prefixes → choice conditions
+ * - Text and weave after a choice → the choice's own scene; gathers (`-`) → the scene
+ *   the choices above them fall through to; `- (label)` gathers can be diverted to
+ * - Diverts (`-> target`) → choice targets, or a "Continue" choice when they end a
+ *   flow; `-> END` / `-> DONE` → an ending
+ * - VAR / CONST → stats (numbers, strings) or flags (true/false); `~ x = ...`,
+ *   `~ x += n`, `~ x++`, `RANDOM(1, N)` → actions (temp variables become stats)
+ * - `{x}` → ${stat:x} / ${flag:x}; `{cond: a|b}` and multi-line `{ cond: ... - else: ... }`
+ *   blocks → {if} blocks for text and conditions on the choices, diverts and
+ *   assignments inside them; knot names in conditions → visited.scene
+ * - `# title:` / `# author:` tags at the top → adventure title and author; other tags → scene tags
+ *
+ * Tunnels, threads, functions, lists, sequences/cycles/shuffles, INCLUDE and EXTERNAL
+ * have no equivalent; they are reported in `warnings` with their source line.
+ *
+ * Integration Points:
+ * - ExportSystem.importAdventure(source, { format: 'ink' })
+ */
+
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
+import { referenceExpression, toConditions, toTextCondition } from './importedConditions.js';
+
+const KNOT_HEADER = /^={2,}\s*(function\s+)?([A-Za-z_]\w*)\s*(?:\(([^)]*)\))?\s*=*$/;
+const STITCH_HEADER = /^=\s*([A-Za-z_]\w*)\s*(?:\(([^)]*)\))?$/;
+const DECLARATION = /^(VAR|CONST|LIST|INCLUDE|EXTERNAL)\b\s*(.*)$/;
+const CHOICE_BULLETS = /^[*+](?:\s*[*+])*\s*/;
+const GATHER_DASHES = /^-(?!>)(?:\s*-(?!>))*\s*/;
+const LABEL = /^\(\s*([A-Za-z_]\w*)\s*\)\s*/;
+const ASSIGNMENT = /^(temp\s+)?([A-Za-z_]\w*)\s*(\+\+|--|\+=|-=|=)\s*([\s\S]*)$/;
+
+const END_TARGETS = ['END', 'DONE'];
+const OPERATOR_WORDS = { and: '&&', or: '||', not: '!', mod: '%' };
+const ARITHMETIC_OPERATORS = ['==', '!=', '>', '>=', '<', '<=', '+', '-', '*', '/', '%'];
+
+const EXPRESSION_TOKEN = /\s+|"(?:\\.|[^"\\])*"|\d+(?:\.\d+)?|[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*|==|!=|>=|<=|&&|\|\||!\?|[-+*/%<>!(),?^]/y;
+
+/**
+ * Convert Ink source into an editor adventure
+ * @param {string} source - Contents of a .ink file
+ * @param {Object} options - { id?: adventure id }
+ * @returns {Object} { adventure, warnings }
+ * @throws {Error} when the source has no story content
+ */
+export function importAdventureFromInk(source = '', options = {}) {
+  const context = {
+    variables: new Map(),
+    targets: new Map(),
+    usedSceneIds: new Set(),
+    scenes: [],
+    endSceneId: null,
+    warnings: []
+  };
+
+  const { root, containers, declarations } = parseContainers(readLines(source), context);
+  const storyContainers = containers.filter(container => container !== root);
+  const rootHasContent = root.entries.some(entry => !isInertLine(entry.text));
+  if (!rootHasContent && storyContainers.length === 0) {
+    throw new Error('No Ink story content found');
+  }
+
+  planScenes(root, storyContainers, rootHasContent, context);
+  collectVariables(declarations, containers, context);
+
+  containers.forEach(container => {
+    if (!container.sceneId || container.alias) return;
+    const scene = createScene(container.sceneId, container.title, context);
+    const { items } = parseWeave(container.entries, 0, 0, container, context);
+    convertFlow(items, scene, () => null, container, context);
+  });
+
+  const startSceneId = rootHasContent ? collapseStart(root.sceneId, context) : storyContainers[0].sceneId;
+  const header = readHeaderTags(root);
+
+  const stats = [];
+  const flags = [];
+  context.variables.forEach((variable, name) => {
+    if (variable.kind === 'flag') {
+      flags.push({ id: name, name, defaultValue: Boolean(variable.defaultValue) });
+    } else {
+      stats.push({
+        id: name,
+        name,
+        type: variable.kind,
+        defaultValue: variable.defaultValue ?? (variable.kind === 'number' ? 0 : '')
+      });
+    }
+  });
+
+  const title = header.title || 'Untitled Adventure';
+  const now = Date.now();
+  const adventure = {
+    id: options.id || sanitizeIdentifier(title) || 'ink_adventure',
+    title,
+    author: header.author,
+    version: '1.0.0',
+    description: '',
+    startSceneId,
+    scenes: context.scenes.map(finishScene),
+    stats,
+    flags,
+    inventory: [],
+    metadata: {
+      created: now,
+      modified: now
+    }
+  };
+
+  const warnings = context.warnings
+    .sort((a, b) => a.line - b.line)
+    .map(({ line, message }) => `Line ${line}: ${message}`);
+  return { adventure, warnings };
+}
+
+// Lines without comments; block comments keep their newlines so line numbers stay right
+function readLines(source) {
+  const text = String(source ?? '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ''));
+
+  return text.split('\n').map((raw, index) => ({
+    text: raw.replace(/(^|[^\\])\/\/.*$/, '$1').replace(/^TODO:.*$/, '').trim(),
+    line: index + 1
+  }));
+}
+
+// Split the story into the top-level flow, knots and stitches
+function parseContainers(lines, context) {
+  const root = { name: null, knot: null, stitch: null, line: 1, entries: [] };
+  const containers = [root];
+  const declarations = [];
+  let current = root;
+  let knot = null;
+
+  lines.forEach(entry => {
+    const knotHeader = KNOT_HEADER.exec(entry.text);
+    if (knotHeader) {
+      const [, isFunction, name, parameters] = knotHeader;
+      if (isFunction) {
+        warn(context, entry.line, `function ${name}() is not supported; skipped.`);
+        current = { skipped: true, entries: [] };
+        knot = null;
+        return;
+      }
+      if (parameters && parameters.trim()) {
+        warn(context, entry.line, `knot parameters (${parameters.trim()}) are not supported; ${name} is imported without them.`);
+      }
+      knot = { name, knot: name, stitch: null, line: entry.line, entries: [], stitches: [] };
+      containers.push(knot);
+      current = knot;
+      return;
+    }
+
+    const stitchHeader = STITCH_HEADER.exec(entry.text);
+    if (stitchHeader && !current.skipped) {
+      const [, name, parameters] = stitchHeader;
+      if (parameters && parameters.trim()) {
+        warn(context, entry.line, `stitch parameters (${parameters.trim()}) are not supported; ${name} is imported without them.`);
+      }
+      if (!knot) {
+        warn(context, entry.line, `stitch ${name} is outside a knot; imported as a knot.`);
+        knot = { name, knot: name, stitch: null, line: entry.line, entries: [], stitches: [] };
+        containers.push(knot);
+        current = knot;
+        return;
+      }
+      current = { name: `${knot.name}.${name}`, knot: knot.name, stitch: name, line: entry.line, entries: [] };
+      knot.stitches.push(current);
+      containers.push(current);
+      return;
+    }
+
+    if (DECLARATION.test(entry.text)) {
+      declarations.push(entry);
+      return;
+    }
+
+    current.entries.push(entry);
+  });
+
+  return { root, containers, declarations };
+}
+
+// Scene ids for knots, stitches and labelled gathers, so diverts can be resolved in any order
+function planScenes(root, containers, rootHasContent, context) {
+  containers.forEach(container => {
+    container.title = container.stitch
+      ? `${humanize(container.knot)}: ${humanize(container.stitch)}`
+      : humanize(container.name);
+    if (container.stitches?.length > 0 && container.entries.every(entry => isInertLine(entry.text))) {
+      // A knot with no content of its own starts at its first stitch
+      container.alias = true;
+      return;
+    }
+    container.sceneId = makeUniqueIdentifier(container.stitch ? `${container.knot}_${container.stitch}` : container.name, context.usedSceneIds, 'scene');
+    context.targets.set(container.name, container.sceneId);
+  });
+
+  containers.forEach(container => {
+    if (!container.alias) return;
+    container.sceneId = container.stitches[0].sceneId;
+    context.targets.set(container.name, container.sceneId);
+  });
+
+  if (rootHasContent) {
+    root.title = 'Start';
+    root.sceneId = makeUniqueIdentifier('start', context.usedSceneIds, 'scene');
+  }
+
+  [root, ...containers].forEach(container => {
+    if (!container.sceneId || container.alias) return;
+    container.entries.forEach(entry => {
+      const dashes = GATHER_DASHES.exec(entry.text);
+      const label = dashes && LABEL.exec(entry.text.slice(dashes[0].length));
+      if (!label) return;
+      const path = container.name ? `${container.name}.${label[1]}` : label[1];
+      context.targets.set(path, makeUniqueIdentifier(`${container.sceneId}_${label[1]}`, context.usedSceneIds, 'scene'));
+    });
+  });
+}
+
+// VAR / CONST declare variables; `~` assignments to anything else declare it too
+function collectVariables(declarations, containers, context) {
+  declarations.forEach(({ text, line }) => {
+    const [, keyword, rest] = DECLARATION.exec(text);
+
+    if (keyword === 'VAR' || keyword === 'CONST') {
+      const match = /^([A-Za-z_]\w*)\s*=\s*(.+)$/.exec(rest);
+      if (!match) {
+        warn(context, line, `could not read "${text}".`);
+        return;
+      }
+      const [, name, value] = match;
+      const literal = parseLiteral(value);
+      if (!literal) {
+        warn(context, line, `${keyword} ${name} = ${value.trim()} is not a plain value; imported as a number stat starting at 0.`);
+        context.variables.set(name, { kind: 'number', defaultValue: 0 });
+        return;
+      }
+      context.variables.set(name, { kind: kindOf(literal.value), defaultValue: literal.value, constant: keyword === 'CONST' });
+      return;
+    }
+
+    if (keyword === 'LIST') {
+      warn(context, line, `LIST ${rest.split('=')[0].trim()} is not supported; skipped.`);
+    } else if (keyword === 'INCLUDE') {
+      warn(context, line, `INCLUDE ${rest} is not supported; combine the files into one .ink file before importing.`);
+    } else {
+      warn(context, line, `EXTERNAL ${rest} is not supported; skipped.`);
+    }
+  });
+
+  containers.forEach(container => {
+    if (container.skipped) return;
+    container.entries.forEach(({ text, line }) => {
+      if (!text.startsWith('~')) return;
+      const assignment = ASSIGNMENT.exec(text.slice(1).trim());
+      if (!assignment || context.variables.has(assignment[2])) return;
+
+      const [, temporary, name, operator, value] = assignment;
+      const kind = inferKind(operator, value);
+      context.variables.set(name, { kind, defaultValue: null });
+      warn(context, line, temporary
+        ? `temporary variable ${name} is imported as a ${kind === 'flag' ? 'flag' : `${kind} stat`}.`
+        : `${name} is never declared with VAR; imported as a ${kind === 'flag' ? 'flag' : `${kind} stat`}.`);
+    });
+  });
+}
+
+function inferKind(operator, value) {
+  if (operator !== '=') return 'number';
+  const literal = parseLiteral(value);
+  if (literal) return kindOf(literal.value);
+  return /^(not\b|!)/.test(value.trim()) ? 'flag' : 'number';
+}
+
+function kindOf(value) {
+  if (typeof value === 'boolean') return 'flag';
+  return typeof value === 'number' ? 'number' : 'string';
+}
+
+// `# title: ...` and `# author: ...` tags before the first knot
+function readHeaderTags(root) {
+  const header = { title: '', author: '' };
+  root.entries.forEach(({ text }) => {
+    splitTags(text).tags.forEach(tag => {
+      const match = /^(title|author)\s*:\s*(.+)$/i.exec(tag);
+      if (match && !header[match[1].toLowerCase()]) header[match[1].toLowerCase()] = match[2].trim();
+    });
+  });
+  return header;
+}
+
+/**
+ * Group lines into weave items: choices own the lines below them until the next
+ * choice or gather at their level (or shallower)
+ * @param {number} depth - bullet depth of the weave being read (0 at the top of a knot)
+ * @returns {Object} { items, end: index of the first line not consumed }
+ * @private
+ */
+function parseWeave(entries, start, depth, container, context) {
+  const items = [];
+  let index = start;
+
+  while (index < entries.length) {
+    const entry = entries[index];
+    const { text, line } = entry;
+
+    if (!text) {
+      items.push({ type: 'blank' });
+      index += 1;
+      continue;
+    }
+
+    const bullets = CHOICE_BULLETS.exec(text);
+    if (bullets) {
+      const level = bullets[0].replace(/\s/g, '').length;
+      if (level <= depth) break;
+      const choice = parseChoice(entry, bullets[0], context);
+      const body = parseWeave(entries, index + 1, level, container, context);
+      choice.children = body.items;
+      items.push(choice);
+      index = body.end;
+      continue;
+    }
+
+    const dashes = GATHER_DASHES.exec(text);
+    if (dashes) {
+      const level = dashes[0].replace(/\s/g, '').length;
+      if (level <= depth) break;
+      let rest = text.slice(dashes[0].length);
+      const label = LABEL.exec(rest);
+      if (label) rest = rest.slice(label[0].length);
+      const path = label ? (container.name ? `${container.name}.${label[1]}` : label[1]) : null;
+      items.push({ type: 'gather', line, targetId: path ? context.targets.get(path) : null, label: label?.[1] ?? null });
+      if (rest) items.push(...parseTextLine({ text: rest, line }, context));
+      index += 1;
+      continue;
+    }
+
+    if (text.startsWith('{') && braceDepth(text) > 0) {
+      const block = readBlock(entries, index);
+      items.push(parseConditional(block.entries, depth, container, context));
+      index = block.end;
+      continue;
+    }
+
+    if (text.startsWith('~')) {
+      items.push({ type: 'logic', code: text.slice(1).trim(), line });
+    } else if (text.startsWith('<-')) {
+      warn(context, line, `threads (${text}) are not supported; skipped.`);
+    } else {
+      items.push(...parseTextLine(entry, context));
+    }
+    index += 1;
+  }
+
+  return { items, end: index };
+}
+
+// `* (label) {cond} Hello [there] friend -> target # tag`
+function parseChoice(entry, bullets, context) {
+  let rest = entry.text.slice(bullets.length);
+  const label = LABEL.exec(rest);
+  if (label) rest = rest.slice(label[0].length);
+
+  const conditions = [];
+  while (rest.startsWith('{')) {
+    const end = findClosingBrace(rest, 0);
+    if (end === -1) break;
+    conditions.push(rest.slice(1, end).trim());
+    rest = rest.slice(end + 1).trim();
+  }
+
+  const { text, tags } = splitTags(rest);
+  let body = text;
+  let divert = null;
+  const arrow = indexOfTopLevel(text, '->');
+  if (arrow !== -1) {
+    body = text.slice(0, arrow).trim();
+    divert = text.slice(arrow + 2).trim();
+    if (!divert || divert.includes('->')) {
+      warn(context, entry.line, 'tunnels (-> target ->) are not supported; the choice is imported without its divert.');
+      divert = null;
+    }
+  }
+
+  let display = body;
+  let output = body;
+  const open = body.indexOf('[');
+  const close = open === -1 ? -1 : body.indexOf(']', open);
+  if (close !== -1) {
+    const before = body.slice(0, open);
+    display = `${before}${body.slice(open + 1, close)}`;
+    output = `${before}${body.slice(close + 1)}`;
+  }
+
+  return {
+    type: 'choice',
+    line: entry.line,
+    sticky: bullets.includes('+'),
+    label: label?.[1] ?? null,
+    conditions,
+    display: display.replace(/\s+/g, ' ').trim(),
+    output: output.replace(/\s+/g, ' ').trim(),
+    divert,
+    tags,
+    children: []
+  };
+}
+
+// A text line becomes a text item and/or a divert item
+function parseTextLine({ text: raw, line }, context) {
+  const { text, tags } = splitTags(raw);
+  const arrow = indexOfTopLevel(text, '->');
+  if (arrow === -1) return [{ type: 'text', text, tags, line }];
+
+  const items = [];
+  const before = text.slice(0, arrow).trim();
+  if (before || tags.length > 0) items.push({ type: 'text', text: before, tags, line });
+
+  const target = text.slice(arrow + 2).trim();
+  if (!target || target.includes('->')) {
+    warn(context, line, `tunnels (${text.slice(arrow).trim()}) are not supported; skipped.`);
+  } else {
+    items.push({ type: 'divert', target, line });
+  }
+  return items;
+}
+
+// The lines of a multi-line { ... } block, up to its closing brace
+function readBlock(entries, start) {
+  const blockEntries = [];
+  let depth = 0;
+  let index = start;
+  for (; index < entries.length; index++) {
+    blockEntries.push(entries[index]);
+    depth += braceDepth(entries[index].text);
+    if (depth <= 0) {
+      index += 1;
+      break;
+    }
+  }
+  return { entries: blockEntries, end: index };
+}
+
+/**
+ * `{ cond: ... - else: ... }`, `{ - cond: ... - else: ... }` and `{ x: - 1: ... - else: ... }`
+ * @returns {Object} { type: 'conditional', line, branches: [{ condition, line, items }] }
+ * @private
+ */
+function parseConditional(entries, depth, container, context) {
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  const header = first.text.slice(1).trim();
+  const inner = entries.slice(1, -1);
+  const closing = entries.length > 1 ? last.text.replace(/}\s*$/, '').trim() : '';
+  if (closing) inner.push({ text: closing, line: last.line });
+
+  // Branch markers are `- condition:` lines outside nested blocks
+  const branches = [];
+  let current = null;
+  let nested = 0;
+  const headerCondition = header.replace(/:\s*$/, '').trim();
+  const isSwitch = header.endsWith(':') && inner.find(entry => entry.text)?.text.startsWith('-');
+
+  if (header.endsWith(':') && !isSwitch) {
+    current = { condition: headerCondition, line: first.line, entries: [] };
+    branches.push(current);
+  }
+
+  inner.forEach(entry => {
+    const marker = nested === 0 ? /^-(?!>)\s*([^:]*?)\s*:\s*(.*)$/.exec(entry.text) : null;
+    if (marker) {
+      const [, condition, rest] = marker;
+      const isElse = condition === 'else';
+      current = {
+        condition: isElse ? null : (isSwitch ? `${headerCondition} == ${condition}` : condition),
+        line: entry.line,
+        entries: rest ? [{ text: rest, line: entry.line }] : []
+      };
+      branches.push(current);
+    } else if (current) {
+      current.entries.push(entry);
+    }
+    nested += braceDepth(entry.text);
+  });
+
+  if (branches.length === 0) {
+    warn(context, first.line, 'could not read this { ... } block; skipped.');
+  }
+
+  return {
+    type: 'conditional',
+    line: first.line,
+    branches: branches.map(branch => ({
+      condition: branch.condition,
+      line: branch.line,
+      items: parseWeave(branch.entries, 0, depth, container, context).items
+    }))
+  };
+}
+
+function createScene(id, title, context) {
+  const scene = { id, title, text: [], choices: [], actions: [], tags: [] };
+  context.scenes.push(scene);
+  return scene;
+}
+
+function findScene(id, context) {
+  return context.scenes.find(scene => scene.id === id);
+}
+
+function finishScene(scene) {
+  return {
+    id: scene.id,
+    title: scene.title,
+    content: cleanContent(scene.text.join('\n')),
+    choices: scene.choices.map((choice, index) => ({ id: `${scene.id}_choice_${index + 1}`, ...choice })),
+    onEnter: scene.actions,
+    onExit: [],
+    tags: scene.tags
+  };
+}
+
+/**
+ * Convert weave items into `scene`
+ * @param {Function} exit - () => scene id the flow continues to when it runs off the end, or null for an ending
+ * @private
+ */
+function convertFlow(items, scene, exit, container, context) {
+  const ended = convertItems(items, scene, { conditions: [] }, exit, container, context);
+  if (!ended) {
+    const target = exit();
+    if (target) addContinue(scene, target, []);
+  }
+}
+
+/**
+ * @param {Object} scope - { conditions: expression strings in effect }
+ * @returns {boolean} true when every path through the items has left the scene
+ * @private
+ */
+function convertItems(items, scene, scope, exit, container, context) {
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+
+    switch (item.type) {
+      case 'blank':
+        scene.text.push('');
+        break;
+
+      case 'text':
+        if (item.text) scene.text.push(convertText(item.text, container, item.line, context));
+        item.tags.forEach(tag => {
+          if (!scene.tags.includes(tag) && !/^(title|author)\s*:/i.test(tag)) scene.tags.push(tag);
+        });
+        break;
+
+      case 'logic': {
+        const conditions = toConditions(scope.conditions);
+        convertLogic(item, container, context).forEach(action => {
+          scene.actions.push(conditions.length > 0 ? { ...action, conditions } : action);
+        });
+        break;
+      }
+
+      case 'divert': {
+        const target = resolveDivert(item.target, container, item.line, context);
+        if (target) {
+          addContinue(scene, target, scope.conditions);
+        } else if (target === null && scope.conditions.length > 0) {
+          warn(context, item.line, 'ending the story under a condition is not supported; that path keeps the scene\'s other choices.');
+        }
+        resumeAtLabel(items, index + 1, exit, container, context);
+        return true;
+      }
+
+      case 'gather': {
+        if (!item.targetId) break;
+        // A labelled gather is its own scene so diverts can reach it
+        addContinue(scene, item.targetId, scope.conditions);
+        convertFlow(items.slice(index + 1), createScene(item.targetId, humanize(item.label), context), exit, container, context);
+        return true;
+      }
+
+      case 'choice': {
+        let last = index;
+        const group = [];
+        for (let probe = index; probe < items.length; probe++) {
+          if (items[probe].type === 'choice') {
+            group.push(items[probe]);
+            last = probe;
+          } else if (items[probe].type !== 'blank') {
+            break;
+          }
+        }
+
+        const gather = items.slice(last + 1).find(candidate => candidate.type !== 'blank');
+        let gatherScene = null;
+        if (gather && gather.type === 'gather') {
+          const id = gather.targetId || makeUniqueIdentifier(`${scene.id}_gather`, context.usedSceneIds, 'scene');
+          gatherScene = createScene(id, gather.label ? humanize(gather.label) : `${scene.title} (continued)`, context);
+        }
+        const next = gatherScene ? () => gatherScene.id : exit;
+
+        group.forEach(choice => convertChoice(choice, scene, scope, next, container, context));
+
+        if (gatherScene) {
+          const gatherIndex = items.indexOf(gather);
+          convertFlow(items.slice(gatherIndex + 1), gatherScene, exit, container, context);
+        }
+        return true;
+      }
+
+      case 'conditional': {
+        if (convertConditional(item, scene, scope, exit, container, context)) return true;
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+  return false;
+}
+
+// After a divert, the rest of the weave is only reachable through a labelled gather
+function resumeAtLabel(items, start, exit, container, context) {
+  const gatherIndex = items.findIndex((item, index) => index >= start && item.type === 'gather' && item.targetId);
+  if (gatherIndex === -1) return;
+  const gather = items[gatherIndex];
+  convertFlow(items.slice(gatherIndex + 1), createScene(gather.targetId, humanize(gather.label), context), exit, container, context);
+}
+
+function addContinue(scene, target, conditions) {
+  scene.choices.push({
+    text: 'Continue',
+    targetSceneId: target,
+    conditions: toConditions(conditions),
+    actions: []
+  });
+}
+
+/**
+ * One weave choice: `*` → oneTime, `[...]` → button-only text, body → its own scene
+ * @param {Function} next - where the choice continues when its body runs out (the gather below it)
+ * @private
+ */
+function convertChoice(item, scene, scope, next, container, context) {
+  const conditions = [...scope.conditions];
+  item.conditions.forEach(source => {
+    const converted = convertExpression(source, container, item.line, context);
+    if (converted.error) {
+      warn(context, item.line, `could not translate condition {${source}} (${converted.error}); the choice is imported without it.`);
+    } else {
+      conditions.push(converted.expression);
+    }
+  });
+
+  const fallback = !item.display;
+  if (fallback) {
+    warn(context, item.line, 'fallback choices (no text) are imported as a "Continue" choice.');
+  }
+
+  const choice = {
+    text: fallback ? 'Continue' : convertText(item.display, container, item.line, context),
+    targetSceneId: '',
+    conditions: toConditions(conditions),
+    actions: []
+  };
+  if (!item.sticky) choice.oneTime = true;
+  item.tags.forEach(tag => {
+    if (!scene.tags.includes(tag)) scene.tags.push(tag);
+  });
+
+  // Leading `~` lines run as the choice's own actions
+  let index = 0;
+  for (; index < item.children.length; index++) {
+    const child = item.children[index];
+    if (child.type === 'blank') continue;
+    if (child.type !== 'logic') break;
+    choice.actions.push(...convertLogic(child, container, context));
+  }
+
+  const rest = item.children.slice(index);
+  const meaningful = rest.filter(child => child.type !== 'blank');
+  const jump = item.divert
+    ? { target: item.divert, line: item.line }
+    : (meaningful.length === 1 && meaningful[0].type === 'divert' ? meaningful[0] : null);
+
+  if (!item.output && jump) {
+    choice.targetSceneId = choiceTarget(resolveDivert(jump.target, container, jump.line, context), context);
+  } else if (!item.output && meaningful.length === 0) {
+    choice.targetSceneId = choiceTarget(next(), context);
+  } else {
+    // Text after choosing (and any deeper weave) becomes the choice's own scene
+    const optionScene = createScene(
+      makeUniqueIdentifier(`${scene.id}_option_${scene.choices.length + 1}`, context.usedSceneIds, 'scene'),
+      plainText(item.display) || `${scene.title} choice`,
+      context
+    );
+    const flow = [
+      ...(item.output ? [{ type: 'text', text: item.output, tags: [], line: item.line }] : []),
+      ...(item.divert ? [{ type: 'divert', target: item.divert, line: item.line }] : rest)
+    ];
+    convertFlow(flow, optionScene, next, container, context);
+    choice.targetSceneId = optionScene.id;
+  }
+
+  scene.choices.push(choice);
+}
+
+// Choices need somewhere to go; `-> END` from a choice goes to a shared empty ending scene
+function choiceTarget(target, context) {
+  if (target !== null) return target || '';
+  if (!context.endSceneId) {
+    context.endSceneId = makeUniqueIdentifier('end', context.usedSceneIds, 'scene');
+    createScene(context.endSceneId, 'The End', context);
+  }
+  return context.endSceneId;
+}
+
+/**
+ * Multi-line conditional: assignments, diverts and choices get the branch conditions
+ * (earlier branches negated); text becomes a TextInterpolator {if} block when possible
+ * @returns {boolean} true when every branch (including an else) has left the scene
+ * @private
+ */
+function convertConditional(item, scene, scope, exit, container, context) {
+  const previous = [];
+
+  const branches = item.branches.map(branch => {
+    let expression = null;
+    if (branch.condition !== null) {
+      const converted = convertExpression(branch.condition, container, branch.line, context);
+      if (converted.error) {
+        warn(context, branch.line, `could not translate condition "${branch.condition}" (${converted.error}); its choices and assignments are imported without it.`);
+      } else {
+        expression = converted.expression;
+      }
+    }
+
+    const conditions = [
+      ...scope.conditions,
+      ...previous.map(previousExpression => `!(${previousExpression})`),
+      ...(expression ? [expression] : [])
+    ];
+    if (expression) previous.push(expression);
+
+    const branchScene = { ...scene, text: [] };
+    const ended = convertItems(branch.items, branchScene, { conditions }, exit, container, context);
+    return { branch, expression, text: cleanContent(branchScene.text.join('\n')), ended };
+  });
+
+  const hasElse = item.branches.some(branch => branch.condition === null);
+  const ended = hasElse && branches.every(branch => branch.ended);
+  if (branches.every(({ text }) => !text)) return ended;
+
+  const textConditions = branches.map(({ branch, expression }) => (
+    branch.condition === null ? null : expression && toTextCondition(expression)
+  ));
+  const convertible = branches.every(({ branch }, position) => branch.condition === null || textConditions[position]);
+
+  if (!convertible) {
+    warn(context, item.line, 'conditional text uses conditions {if} blocks cannot express; all branches are imported as plain text.');
+    branches.forEach(({ text }) => {
+      if (text) scene.text.push(text);
+    });
+    return ended;
+  }
+
+  const parts = branches.map(({ branch, text }, position) => {
+    if (branch.condition === null) return `{else}${text}`;
+    return `{${position === 0 ? 'if' : 'elseif'} ${textConditions[position]}}${text}`;
+  });
+  scene.text.push(`${parts.join('')}{/if}`);
+  return ended;
+}
+
+/**
+ * Scene id for a divert target: stitch or label in the current knot first, then
+ * knots and `knot.stitch` paths
+ * @returns {string|null|undefined} null for END/DONE, '' when the target is unknown
+ * @private
+ */
+function resolveDivert(raw, container, line, context) {
+  let target = raw.trim();
+  const call = /^([\w.]+)\s*\(.*\)$/.exec(target);
+  if (call) {
+    warn(context, line, `divert arguments (${target}) are not supported; diverting to ${call[1]} without them.`);
+    target = call[1];
+  }
+  if (END_TARGETS.includes(target)) return null;
+
+  const sceneId = lookupTarget(target, container, context);
+  if (!sceneId) {
+    warn(context, line, `divert target "${target}" not found.`);
+    return '';
+  }
+  return sceneId;
+}
+
+function lookupTarget(name, container, context) {
+  const candidates = [
+    container.stitch ? `${container.knot}.${container.stitch}.${name}` : null,
+    container.knot ? `${container.knot}.${name}` : null,
+    name
+  ].filter(Boolean);
+  const found = candidates.find(candidate => context.targets.has(candidate));
+  return found ? context.targets.get(found) : null;
+}
+
+/**
+ * Translate a `~` line into actions
+ * @returns {Array} actions
+ * @private
+ */
+function convertLogic(item, container, context) {
+  const assignment = ASSIGNMENT.exec(item.code);
+  if (!assignment) {
+    const what = /^[A-Za-z_][\w.]*\s*\(/.test(item.code) ? 'function calls' : 'this logic';
+    warn(context, item.line, `${what} (~ ${item.code}) ${what === 'function calls' ? 'are' : 'is'} not supported; skipped.`);
+    return [];
+  }
+
+  const [, , key, operator, rawValue] = assignment;
+  const value = rawValue.trim();
+  const variable = requireVariable(key, item.line, context);
+  const isFlag = variable.kind === 'flag';
+
+  if (operator === '++' || operator === '--') {
+    if (!isFlag && !value) return [{ type: 'add_stat', key, value: operator === '++' ? 1 : -1 }];
+  } else if (operator === '+=' || operator === '-=') {
+    const literal = constantValue(value, context);
+    if (!isFlag && literal && typeof literal.value === 'number') {
+      return [{ type: 'add_stat', key, value: operator === '-=' ? -literal.value : literal.value }];
+    }
+  } else {
+    const action = assignmentToAction(key, value, isFlag, context);
+    if (action) return [action];
+  }
+
+  warn(context, item.line, `could not translate "~ ${item.code}"; skipped.`);
+  return [];
+}
+
+function assignmentToAction(key, value, isFlag, context) {
+  const literal = constantValue(value, context);
+  if (literal) {
+    return isFlag
+      ? { type: 'set_flag', key, value: Boolean(literal.value) }
+      : { type: 'set_stat', key, value: literal.value };
+  }
+
+  // x = x + 5, x = x * 2
+  const selfArithmetic = new RegExp(`^${key}\\s*([-+*])\\s*(\\d+(?:\\.\\d+)?)$`).exec(value);
+  if (selfArithmetic && !isFlag) {
+    const amount = Number(selfArithmetic[2]);
+    if (selfArithmetic[1] === '*') return { type: 'multiply_stat', key, value: amount };
+    return { type: 'add_stat', key, value: selfArithmetic[1] === '-' ? -amount : amount };
+  }
+
+  // lamp = not lamp
+  if (isFlag && new RegExp(`^(?:not\\s+|!\\s*)${key}$`).test(value)) {
+    return { type: 'toggle_flag', key };
+  }
+
+  // RANDOM(min, max) is one die plus an offset
+  const random = /^RANDOM\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\)$/.exec(value);
+  if (random && !isFlag) {
+    const [min, max] = [Number(random[1]), Number(random[2])];
+    if (min > max) return null;
+    if (min === max) return { type: 'set_stat', key, value: min };
+    const offset = min - 1;
+    return { type: 'roll', key, value: `1d${max - min + 1}${offset > 0 ? ` + ${offset}` : offset < 0 ? ` - ${-offset}` : ''}` };
+  }
+
+  return null;
+}
+
+/**
+ * Rewrite an Ink expression in ExpressionEvaluator syntax
+ * @param {string} source - e.g. `gold >= 5 and not met_guard`
+ * @returns {Object} { expression } or { error }
+ * @private
+ */
+function convertExpression(source, container, line, context) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < source.length) {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(source);
+    if (!match) {
+      return { error: `unexpected "${source[start]}"` };
+    }
+    tokens.push(match[0]);
+  }
+
+  const significant = tokens.filter(token => token.trim());
+  const parts = [];
+  let position = -1;
+  for (const token of tokens) {
+    if (!token.trim()) {
+      parts.push(token);
+      continue;
+    }
+    position += 1;
+    const nextToken = significant[position + 1];
+
+    if (/^[A-Za-z_]/.test(token)) {
+      if (Object.prototype.hasOwnProperty.call(OPERATOR_WORDS, token)) {
+        parts.push(` ${OPERATOR_WORDS[token]} `);
+      } else if (token === 'true' || token === 'false') {
+        parts.push(token);
+      } else if (nextToken === '(') {
+        return { error: `${token}() is not supported` };
+      } else if (context.variables.has(token)) {
+        parts.push(referenceExpression(token, context.variables.get(token).kind));
+      } else {
+        const sceneId = lookupTarget(token, container, context);
+        if (!sceneId) {
+          parts.push(referenceExpression(token, requireVariable(token, line, context).kind));
+        } else if ([significant[position - 1], nextToken].some(neighbour => ARITHMETIC_OPERATORS.includes(neighbour))) {
+          return { error: `read counts (${token}) in comparisons or arithmetic are not supported` };
+        } else {
+          // A knot, stitch or label on its own: has it been seen?
+          parts.push(`visited.${sceneId}`);
+        }
+      }
+    } else if (token === '?' || token === '!?' || token === '^') {
+      return { error: 'list operators are not supported' };
+    } else {
+      parts.push(token);
+    }
+  }
+
+  const expression = parts.join('').replace(/\s+/g, ' ').trim();
+  const { valid, error } = ExpressionEvaluator.validate(expression);
+  return valid ? { expression } : { error };
+}
+
+// Variables only ever read are imported as number stats
+function requireVariable(name, line, context) {
+  if (!context.variables.has(name)) {
+    context.variables.set(name, { kind: 'number', defaultValue: 0 });
+    warn(context, line, `${name} is never declared; imported as a number stat.`);
+  }
+  return context.variables.get(name);
+}
+
+/**
+ * Inline Ink in a line of text: `{x}` prints, `{cond: a|b}` conditionals,
+ * `{a|b}` sequences (first alternative kept); `\` escapes the next character
+ * @private
+ */
+function convertText(text, container, line, context) {
+  let result = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '\\' && index + 1 < text.length) {
+      result += text[index + 1];
+      index += 2;
+      continue;
+    }
+    if (char !== '{') {
+      result += char;
+      index += 1;
+      continue;
+    }
+
+    const end = findClosingBrace(text, index);
+    if (end === -1) {
+      warn(context, line, 'unclosed "{" left as text.');
+      result += text.slice(index);
+      break;
+    }
+    result += convertInline(text.slice(index + 1, end), text.slice(index, end + 1), container, line, context);
+    index = end + 1;
+  }
+
+  return result;
+}
+
+function convertInline(inner, raw, container, line, context) {
+  const alternatives = splitTopLevel(inner, '|');
+
+  if (/^\s*[&~!]/.test(inner) || (alternatives.length > 1 && indexOfTopLevel(inner, ':') === -1)) {
+    warn(context, line, `sequences, cycles and shuffles (${raw}) are not supported; kept the first alternative.`);
+    return convertText(alternatives[0].replace(/^\s*[&~!]/, ''), container, line, context);
+  }
+
+  const colon = indexOfTopLevel(inner, ':');
+  if (colon !== -1) {
+    const conditionSource = inner.slice(0, colon).trim();
+    const [whenTrue = '', ...otherwise] = splitTopLevel(inner.slice(colon + 1), '|');
+    const converted = convertExpression(conditionSource, container, line, context);
+    const textCondition = !converted.error && toTextCondition(converted.expression);
+    if (!textCondition) {
+      warn(context, line, `conditional text ${raw} uses a condition {if} blocks cannot express; left as Ink.`);
+      return raw;
+    }
+    const whenFalse = convertText(otherwise.join('|'), container, line, context);
+    return `{if ${textCondition}}${convertText(whenTrue, container, line, context)}${whenFalse ? `{else}${whenFalse}` : ''}{/if}`;
+  }
+
+  const name = inner.trim();
+  if (/^[A-Za-z_]\w*$/.test(name) && (context.variables.has(name) || !lookupTarget(name, container, context))) {
+    const variable = requireVariable(name, line, context);
+    return `\${${variable.kind === 'flag' ? 'flag' : 'stat'}:${name}}`;
+  }
+
+  warn(context, line, `printing ${raw} is not supported; left as Ink.`);
+  return raw;
+}
+
+// `text # tag # tag` → { text, tags }
+function splitTags(raw) {
+  const hash = indexOfTopLevel(raw, '#');
+  if (hash === -1) return { text: raw.trim(), tags: [] };
+  return {
+    text: raw.slice(0, hash).trim(),
+    tags: raw.slice(hash + 1).split('#').map(tag => tag.trim()).filter(Boolean)
+  };
+}
+
+// Index of the `}` closing the `{` at `start`, or -1
+function findClosingBrace(text, start) {
+  let depth = 0;
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+  return -1;
+}
+
+// Index of `needle` outside braces and escapes, or -1
+function indexOfTopLevel(text, needle) {
+  let depth = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+    } else if (depth === 0 && text.startsWith(needle, index)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let rest = text;
+  let index = indexOfTopLevel(rest, separator);
+  while (index !== -1) {
+    parts.push(rest.slice(0, index));
+    rest = rest.slice(index + separator.length);
+    index = indexOfTopLevel(rest, separator);
+  }
+  parts.push(rest);
+  return parts;
+}
+
+// Net `{` minus `}` on a line
+function braceDepth(text) {
+  let depth = 0;
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\\') index += 1;
+    else if (text[index] === '{') depth += 1;
+    else if (text[index] === '}') depth -= 1;
+  }
+  return depth;
+}
+
+// A start scene that only diverts somewhere is dropped in favour of its target
+function collapseStart(startId, context) {
+  const start = findScene(startId, context);
+  const [only] = start.choices;
+  const passThrough = start.choices.length === 1 && only.text === 'Continue' && only.conditions.length === 0 &&
+    only.targetSceneId && !cleanContent(start.text.join('\n')) && start.actions.length === 0;
+  if (!passThrough) return startId;
+
+  context.scenes = context.scenes.filter(scene => scene !== start);
+  context.scenes.forEach(scene => scene.choices.forEach(choice => {
+    if (choice.targetSceneId === startId) choice.targetSceneId = only.targetSceneId;
+  }));
+  return only.targetSceneId;
+}
+
+// A literal, or the value of a CONST
+function constantValue(raw, context) {
+  const variable = context.variables.get(String(raw).trim());
+  return variable?.constant ? { value: variable.defaultValue } : parseLiteral(raw);
+}
+
+function parseLiteral(raw) {
+  const value = String(raw).trim();
+  if (value === 'true' || value === 'false') return { value: value === 'true' };
+  if (/^-?\d+(\.\d+)?$/.test(value)) return { value: Number(value) };
+  const quoted = /^"((?:\\.|[^"\\])*)"$/.exec(value);
+  if (quoted) return { value: quoted[1].replace(/\\(.)/g, '$1') };
+  return null;
+}
+
+// Blank lines and tag-only lines don't make a knot worth a scene of its own
+function isInertLine(text) {
+  return !text || text.startsWith('#');
+}
+
+// Glue (<>) joins lines
+function cleanContent(text) {
+  return text
+    .replace(/\s*<>\s*/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function plainText(text) {
+  return String(text ?? '').replace(/\{[^}]*\}/g, '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function humanize(name) {
+  return String(name).replace(/_+/g, ' ').trim().replace(/\b\w/g, char => char.toUpperCase());
+}
+
+// Reported in source order, whichever pass found them
+function warn(context, line, message) {
+  context.warnings.push({ line, message });
+}
+
+function makeUniqueIdentifier(value, usedSet, fallback) {
+  const base = sanitizeIdentifier(value) || sanitizeIdentifier(fallback) || 'scene';
+  let id = base;
+  let counter = 2;
+  while (usedSet.has(id)) {
+    id = `${base}_${counter}`;
+    counter += 1;
+  }
+  usedSet.add(id);
+  return id;
+}
+
+function sanitizeIdentifier(value) {
+  if (value === undefined || value === null) return '';
+  let str = String(value).trim().toLowerCase();
+  str = str.replace(/[^a-z0-9_]/g, '_');
+  str = str.replace(/_+/g, '_');
+  str = str.replace(/^_+|_+$/g, '');
+  if (!str) return '';
+  if (!/^[a-z]/.test(str)) {
+    str = `s_${str}`;
+  }
+  return str;
+}
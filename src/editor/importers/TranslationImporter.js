@@ -0,0 +1,227 @@
+/**
+ * TranslationImporter.js - XLIFF 2.0 and gettext PO translations back into an adventure
+ *
+ * Reads files written by TranslationExporter (or the translator's tool after editing
+ * them) and merges their targets into adventure.localization.translations[locale]:
+ * - XLIFF: the target locale is the trgLang attribute; each <unit>'s `name` (or `id`)
+ *   is the string ID, its <segment>s' <target> the translation
+ * - PO: the Language header is the locale; msgctxt is the string ID, msgstr the translation
+ *
+ * Units without a target, fuzzy PO entries and empty msgstr are skipped. IDs the
+ * adventure no longer has, sources that changed since the export, inline XLIFF
+ * markup and PO plurals are reported in `warnings`.
+ *
+ * Integration Points:
+ * - ExportSystem.importTranslations(source, { format: 'xliff' | 'po' })
+ * - EditorScreen: "Import Translation" in the toolbar
+ * - TranslationExporter: the inverse mapping
+ */
+
+import { collectStrings, getSourceLocale, mergeTranslations } from '../../engine/Localization.js';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const unescapeXml = value => value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+const readAttributes = source => {
+  const attributes = {};
+  source.replace(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (match, name, double, single) => {
+    attributes[name] = unescapeXml(double ?? single);
+    return match;
+  });
+  return attributes;
+};
+
+// Text content of an XLIFF <source>/<target>; CDATA kept verbatim, markup reported
+function readXmlText(inner, unitId, warnings) {
+  const parts = [];
+  let markup = false;
+  inner.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).forEach(part => {
+    if (part.startsWith('<![CDATA[')) {
+      parts.push(part.slice(9, -3));
+    } else {
+      if (/<[^>]+>/.test(part)) markup = true;
+      parts.push(unescapeXml(part.replace(/<[^>]+>/g, '')));
+    }
+  });
+  if (markup) {
+    warnings.push(`Unit "${unitId}" contains inline markup; only its text was imported.`);
+  }
+  return parts.join('');
+}
+
+function finish(adventure, locale, entries, warnings) {
+  if (!locale) {
+    throw new Error('Translation file does not name its target locale; pass options.locale');
+  }
+  const sourceLocale = getSourceLocale(adventure);
+  if (locale === sourceLocale) {
+    throw new Error(`Translation target "${locale}" is the adventure's source locale`);
+  }
+
+  const sources = new Map(collectStrings(adventure).map(entry => [entry.id, entry.text]));
+  const strings = {};
+  entries.forEach(({ id, source, target }) => {
+    if (!sources.has(id)) {
+      warnings.push(`String "${id}" no longer exists in the adventure; skipped.`);
+      return;
+    }
+    if (source !== undefined && source !== sources.get(id)) {
+      warnings.push(`Source text of "${id}" changed since it was exported; check the translation.`);
+    }
+    strings[id] = target;
+  });
+
+  return {
+    adventure: mergeTranslations(adventure, locale, strings),
+    locale,
+    imported: Object.keys(strings).length,
+    warnings
+  };
+}
+
+/**
+ * Merge an XLIFF 2.0 document into the adventure's translations
+ * @param {string} source - XLIFF document
+ * @param {Object} adventure
+ * @param {Object} options - { locale?: string } overrides trgLang
+ * @returns {Object} { adventure, locale, imported: number, warnings: string[] }
+ */
+export function importTranslationsFromXliff(source, adventure, options = {}) {
+  const text = String(source || '');
+  const root = text.match(/<xliff\b([^>]*)>/);
+  if (!root) {
+    throw new Error('Not an XLIFF document: missing <xliff> element');
+  }
+  const rootAttributes = readAttributes(root[1]);
+  if (rootAttributes.version && !rootAttributes.version.startsWith('2.')) {
+    throw new Error(`Unsupported XLIFF version ${rootAttributes.version}; export XLIFF 2.0`);
+  }
+
+  const warnings = [];
+  const entries = [];
+  const unitPattern = /<unit\b([^>]*?)(?:\/>|>([\s\S]*?)<\/unit>)/g;
+  let match;
+  while ((match = unitPattern.exec(text)) !== null) {
+    const attributes = readAttributes(match[1]);
+    const id = attributes.name || attributes.id;
+    const body = match[2] || '';
+    const segments = [...body.matchAll(/<segment\b[^>]*>([\s\S]*?)<\/segment>/g)].map(segment => ({
+      source: segment[1].match(/<source\b[^>]*>([\s\S]*?)<\/source>/)?.[1],
+      target: segment[1].match(/<target\b[^>]*>([\s\S]*?)<\/target>/)?.[1]
+    }));
+    if (!id || segments.length === 0 || segments.every(segment => segment.target === undefined)) continue;
+
+    entries.push({
+      id,
+      source: segments.map(segment => readXmlText(segment.source || '', id, warnings)).join(''),
+      target: segments.map(segment => readXmlText(segment.target || '', id, warnings)).join('')
+    });
+  }
+
+  return finish(adventure, options.locale || rootAttributes.trgLang, entries.filter(entry => entry.target), warnings);
+}
+
+const PO_ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+const unquotePo = literal => literal
+  .slice(1, -1)
+  .replace(/\\(.)/g, (match, char) => PO_ESCAPES[char] ?? char);
+
+// Entries as { msgctxt, msgid, msgstr, flags, line }, following gettext's layout rules
+function parsePo(text, warnings) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const flush = () => {
+    if (entry && entry.msgid !== undefined) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    if (line === '') {
+      flush();
+      return;
+    }
+    if (line.startsWith('#~')) return; // obsolete entries
+    if (line.startsWith('#')) {
+      if (entry && entry.msgid !== undefined) flush();
+      entry = entry || { flags: [], line: lineNumber };
+      if (line.startsWith('#,')) {
+        entry.flags.push(...line.slice(2).split(',').map(flag => flag.trim()));
+      }
+      return;
+    }
+
+    const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+(".*")$/);
+    if (keyword) {
+      const [, name, literal] = keyword;
+      if (name === 'msgctxt' || (name === 'msgid' && entry?.msgid !== undefined)) {
+        if (entry?.msgid !== undefined) flush();
+      }
+      entry = entry || { flags: [], line: lineNumber };
+      if (name === 'msgid_plural' || name.startsWith('msgstr[')) {
+        if (!entry.plural) {
+          warnings.push(`Line ${lineNumber}: plural forms are not supported; entry skipped.`);
+        }
+        entry.plural = true;
+        field = null;
+        return;
+      }
+      field = name;
+      entry[field] = unquotePo(literal);
+      return;
+    }
+
+    if (line.startsWith('"') && line.endsWith('"') && entry && field) {
+      entry[field] += unquotePo(line);
+      return;
+    }
+
+    warnings.push(`Line ${lineNumber}: could not parse "${line}".`);
+  });
+  flush();
+
+  return entries;
+}
+
+/**
+ * Merge a gettext PO catalog into the adventure's translations
+ * @param {string} source - PO file contents
+ * @param {Object} adventure
+ * @param {Object} options - { locale?: string } overrides the Language header
+ * @returns {Object} { adventure, locale, imported: number, warnings: string[] }
+ */
+export function importTranslationsFromPo(source, adventure, options = {}) {
+  const warnings = [];
+  const entries = parsePo(String(source || ''), warnings);
+
+  const header = entries.find(entry => entry.msgid === '' && !entry.msgctxt);
+  const language = header?.msgstr?.match(/^Language:\s*(\S+)\s*$/m)?.[1];
+
+  const translations = [];
+  entries.forEach(entry => {
+    if (entry === header || entry.plural || !entry.msgstr) return;
+    if (!entry.msgctxt) {
+      warnings.push(`Line ${entry.line}: entry has no msgctxt (string ID); skipped.`);
+      return;
+    }
+    if (entry.flags.includes('fuzzy')) {
+      warnings.push(`Line ${entry.line}: "${entry.msgctxt}" is marked fuzzy; skipped.`);
+      return;
+    }
+    translations.push({ id: entry.msgctxt, source: entry.msgid, target: entry.msgstr });
+  });
+
+  return finish(adventure, options.locale || language, translations, warnings);
+}
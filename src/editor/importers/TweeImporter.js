@@ -0,0 +1,951 @@
+/**
+ * TweeImporter.js - Twee 3 (SugarCube) source to editor adventure
+ *
+ * Mapping:
+ * - Passages → scenes (name → title, tags, position metadata)
+ * - [[Text|Target]], [[Text->Target]], [[Target<-Text]], [[Target]] → choices;
+ *   setter components ([[Text|Target][$gold -= 5]]) → choice actions
+ * - <<link "Text" "Target">> / <<button>> → choices; <<set>> / <<goto>> inside → actions / target
+ * - <<set>> → onEnter actions (set_stat, add_stat, multiply_stat, set_flag, toggle_flag,
+ *   random(1, N) → roll)
+ * - <<if>>/<<elseif>>/<<else>> → conditions on the links and sets they wrap, and
+ *   {if}...{/if} blocks (TextInterpolator) for the text they wrap
+ * - $variables → stats (numbers, strings) or flags (true/false); StoryInit sets defaults.
+ *   Naked variables and <<print $x>> in text become ${stat:x} / ${flag:x}
+ * - StoryTitle, StoryAuthor, StoryData (start passage, IFID) → adventure fields
+ *
+ * Anything else (other macros, widgets, scripts, temporary variables, JavaScript in
+ * expressions) is reported in `warnings` with its source line and left as text.
+ *
+ * Integration Points:
+ * - ExportSystem.importAdventure(source, { format: 'twee' })
+ * - TweeExporter: the inverse mapping
+ */
+
+import { ExpressionEvaluator } from '../../engine/ExpressionEvaluator.js';
+import { referenceExpression, toConditions, toTextCondition } from './importedConditions.js';
+
+// Special passages that carry story data rather than a scene
+const STORY_PASSAGES = ['StoryTitle', 'StoryData', 'StoryInit', 'StoryAuthor'];
+
+// SugarCube special passages that configure the UI; they have no scene equivalent
+const SKIPPED_PASSAGES = [
+  'StoryBanner', 'StoryCaption', 'StoryDisplayTitle', 'StoryInterface', 'StoryMenu',
+  'StoryShare', 'StorySubtitle', 'PassageDone', 'PassageFooter', 'PassageHeader', 'PassageReady'
+];
+const SKIPPED_TAGS = ['script', 'stylesheet', 'widget', 'Twine.private'];
+
+const LINK_MACROS = ['link', 'button'];
+const TRANSPARENT_MACROS = ['nobr', 'silently'];
+const PRINT_MACROS = ['print', '=', '-'];
+
+// SugarCube operator keywords → ExpressionEvaluator operators
+const OPERATOR_KEYWORDS = {
+  is: '==',
+  eq: '==',
+  isnot: '!=',
+  neq: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  and: '&&',
+  or: '||',
+  not: '!'
+};
+
+const MATH_FUNCTIONS = ['min', 'max', 'abs', 'floor', 'ceil', 'round', 'clamp'];
+
+const EXPRESSION_TOKEN = /\s+|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\d+(?:\.\d+)?|[$_][A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*|Math\.[A-Za-z]+|[A-Za-z_]\w*|===|!==|==|!=|>=|<=|&&|\|\||[-+*/%<>!(),]/y;
+const ASSIGNMENT_PATTERN = /^([$_])([A-Za-z_]\w*)\s*(to\b|\+=|-=|\*=|\/=|=(?!=))\s*([\s\S]+)$/;
+
+/**
+ * Convert Twee 3 source into an editor adventure
+ * @param {string} source - Contents of a .twee / .tw file
+ * @param {Object} options - { id?: adventure id }
+ * @returns {Object} { adventure, warnings }
+ * @throws {Error} when the source has no passages
+ */
+export function importAdventureFromTwee(source = '', options = {}) {
+  const warnings = [];
+  const passages = parsePassages(String(source ?? ''), warnings);
+  if (passages.length === 0) {
+    throw new Error('No Twee passages found (passage headers start with "::")');
+  }
+
+  const byName = new Map();
+  passages.forEach(passage => {
+    if (byName.has(passage.name)) {
+      warnings.push(`Duplicate passage "${passage.name}" (line ${passage.line}) ignored.`);
+      return;
+    }
+    byName.set(passage.name, passage);
+  });
+
+  const storyData = parseStoryData(byName.get('StoryData'), warnings);
+  if (storyData.format && storyData.format.toLowerCase() !== 'sugarcube') {
+    warnings.push(`Story format is ${storyData.format}; macros were read as SugarCube.`);
+  }
+
+  const storyPassages = Array.from(byName.values()).filter(passage => {
+    if (STORY_PASSAGES.includes(passage.name)) return false;
+    if (SKIPPED_PASSAGES.includes(passage.name)) {
+      warnings.push(`Special passage "${passage.name}" (line ${passage.line}) has no scene equivalent and was skipped.`);
+      return false;
+    }
+    const skippedTag = passage.tags.find(tag => SKIPPED_TAGS.includes(tag));
+    if (skippedTag) {
+      warnings.push(`Passage "${passage.name}" (line ${passage.line}) is tagged "${skippedTag}" and was skipped.`);
+      return false;
+    }
+    return true;
+  });
+
+  const usedSceneIds = new Set();
+  const sceneIds = new Map();
+  storyPassages.forEach((passage, index) => {
+    sceneIds.set(passage.name, makeUniqueIdentifier(passage.name, usedSceneIds, `scene_${index + 1}`));
+  });
+
+  const context = {
+    sceneIds,
+    variables: collectVariables([byName.get('StoryInit'), ...storyPassages].filter(Boolean), warnings),
+    warnings
+  };
+
+  const initPassage = byName.get('StoryInit');
+  if (initPassage) {
+    readStoryInit(initPassage, context);
+  }
+
+  const scenes = storyPassages.map(passage => convertPassage(passage, context));
+
+  let startName = storyData.start;
+  if (!startName || !sceneIds.has(startName)) {
+    if (startName) {
+      warnings.push(`StoryData start passage "${startName}" not found; using the first passage.`);
+    }
+    startName = sceneIds.has('Start') ? 'Start' : storyPassages[0]?.name;
+  }
+
+  const title = plainText(byName.get('StoryTitle')?.body) || 'Untitled Adventure';
+  const author = plainText(byName.get('StoryAuthor')?.body);
+  const stats = [];
+  const flags = [];
+  context.variables.forEach((variable, name) => {
+    if (variable.kind === 'flag') {
+      flags.push({ id: name, name, defaultValue: Boolean(variable.defaultValue) });
+    } else {
+      stats.push({
+        id: name,
+        name,
+        type: variable.kind,
+        defaultValue: variable.defaultValue ?? (variable.kind === 'number' ? 0 : '')
+      });
+    }
+  });
+
+  const now = Date.now();
+  const adventure = {
+    id: options.id || sanitizeIdentifier(title) || 'twee_adventure',
+    title,
+    author,
+    version: '1.0.0',
+    description: '',
+    startSceneId: startName ? sceneIds.get(startName) : null,
+    scenes,
+    stats,
+    flags,
+    inventory: [],
+    metadata: {
+      created: now,
+      modified: now,
+      twine: {
+        ifid: storyData.ifid || null,
+        format: storyData.format || 'SugarCube',
+        formatVersion: storyData['format-version'] || null
+      }
+    }
+  };
+
+  return { adventure, warnings };
+}
+
+function parsePassages(source, warnings) {
+  const passages = [];
+  const lines = source.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let current = null;
+  let warnedPreamble = false;
+
+  lines.forEach((line, index) => {
+    if (line.startsWith('::')) {
+      current = { ...parseHeader(line.slice(2), index + 1, warnings), line: index + 1, bodyLines: [] };
+      passages.push(current);
+    } else if (current) {
+      current.bodyLines.push(line);
+    } else if (line.trim() && !warnedPreamble) {
+      warnedPreamble = true;
+      warnings.push(`Text before the first passage header (line ${index + 1}) was ignored.`);
+    }
+  });
+
+  return passages.map(({ bodyLines, ...passage }) => ({
+    ...passage,
+    body: bodyLines.join('\n').replace(/\s+$/, '')
+  }));
+}
+
+// `Name [tag tag] {"position":"100,200"}` with backslash-escaped metacharacters in the name
+function parseHeader(raw, line, warnings) {
+  let name = '';
+  let index = 0;
+  const text = raw.trim();
+
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '\\' && index + 1 < text.length) {
+      name += text[index + 1];
+      index += 2;
+      continue;
+    }
+    if (char === '[' || char === '{') break;
+    name += char;
+    index += 1;
+  }
+
+  let rest = text.slice(index).trim();
+  let tags = [];
+  if (rest.startsWith('[')) {
+    const close = rest.indexOf(']');
+    tags = rest.slice(1, close === -1 ? rest.length : close).split(/\s+/).filter(Boolean);
+    rest = close === -1 ? '' : rest.slice(close + 1).trim();
+  }
+
+  let metadata = {};
+  if (rest.startsWith('{')) {
+    try {
+      metadata = JSON.parse(rest);
+    } catch (error) {
+      warnings.push(`Passage "${name.trim()}" (line ${line}) has invalid metadata; ignored.`);
+    }
+  }
+
+  return { name: name.trim(), tags, metadata };
+}
+
+function parseStoryData(passage, warnings) {
+  if (!passage) return {};
+  try {
+    const data = JSON.parse(passage.body);
+    return data && typeof data === 'object' ? data : {};
+  } catch (error) {
+    warnings.push(`StoryData (line ${passage.line}) is not valid JSON; ignored.`);
+    return {};
+  }
+}
+
+// First pass: decide whether each variable is a flag, number or string from how it is set
+function collectVariables(passages, warnings) {
+  const variables = new Map();
+
+  passages.forEach(passage => {
+    tokenizePassage(passage.body, passage.line + 1).forEach(token => {
+      const statements = token.type === 'macro' && token.name === 'set' && !token.closing
+        ? token.args
+        : token.type === 'link' && token.setter ? token.setter : null;
+      if (!statements) return;
+
+      splitStatements(statements).forEach(statement => {
+        const assignment = parseAssignment(statement);
+        if (!assignment || assignment.temporary) return;
+        const kind = inferKind(assignment);
+        const existing = variables.get(assignment.key);
+        if (!existing) {
+          variables.set(assignment.key, { kind, defaultValue: null });
+        } else if (!existing.kind) {
+          existing.kind = kind;
+        } else if (kind && existing.kind !== kind) {
+          warnings.push(`Passage "${passage.name}" (line ${token.line}): $${assignment.key} is set as both ${existing.kind} and ${kind}; imported as ${existing.kind}.`);
+        }
+      });
+    });
+  });
+
+  variables.forEach(variable => {
+    if (!variable.kind) variable.kind = 'number';
+  });
+  return variables;
+}
+
+function inferKind({ operator, value }) {
+  if (operator !== 'to' && operator !== '=') return 'number';
+  const literal = parseLiteral(value);
+  if (literal) {
+    if (typeof literal.value === 'boolean') return 'flag';
+    return typeof literal.value === 'number' ? 'number' : 'string';
+  }
+  if (/^(not\s|!)/.test(value)) return 'flag';
+  if (/[-+*/%]|random\(/.test(value)) return 'number';
+  return null;
+}
+
+// StoryInit literal assignments become the variables' default values
+function readStoryInit(passage, context) {
+  tokenizePassage(passage.body, passage.line + 1).forEach(token => {
+    if (token.type !== 'macro' || token.closing || TRANSPARENT_MACROS.includes(token.name)) return;
+    if (token.name !== 'set') {
+      warn(context, passage, token.line, `<<${token.name}>> in StoryInit is not supported.`);
+      return;
+    }
+    splitStatements(token.args).forEach(statement => {
+      const assignment = parseAssignment(statement);
+      const literal = assignment && !assignment.temporary && (assignment.operator === 'to' || assignment.operator === '=')
+        ? parseLiteral(assignment.value)
+        : null;
+      if (!literal) {
+        warn(context, passage, token.line, `could not use "${statement.trim()}" as a default value.`);
+        return;
+      }
+      context.variables.get(assignment.key).defaultValue = literal.value;
+    });
+  });
+}
+
+function convertPassage(passage, context) {
+  const sceneId = context.sceneIds.get(passage.name);
+  const nodes = buildTree(tokenizePassage(passage.body, passage.line + 1), passage, context);
+  const output = { text: [], choices: [], actions: [] };
+  convertNodes(nodes, { conditions: [], link: null }, output, passage, context);
+
+  const position = parsePosition(passage.metadata?.position);
+  return {
+    id: sceneId,
+    title: passage.name,
+    content: cleanContent(output.text.join('')),
+    choices: output.choices.map((choice, index) => ({ id: `${sceneId}_choice_${index + 1}`, ...choice })),
+    onEnter: output.actions,
+    onExit: [],
+    tags: passage.tags,
+    ...(position ? { position } : {})
+  };
+}
+
+/**
+ * Split passage text into text, link and macro tokens
+ * @private
+ */
+function tokenizePassage(text, startLine) {
+  const tokens = [];
+  let textStart = 0;
+  let index = 0;
+  const lineAt = (position) => startLine + (text.slice(0, position).match(/\n/g) || []).length;
+  const flush = (end) => {
+    if (end > textStart) {
+      tokens.push({ type: 'text', value: text.slice(textStart, end) });
+    }
+  };
+
+  while (index < text.length) {
+    if (text.startsWith('[[', index)) {
+      const end = text.indexOf(']]', index + 2);
+      if (end !== -1) {
+        // [[Text|Target][$setter to 1]]
+        const inner = text.slice(index + 2, end);
+        const split = inner.indexOf('][');
+        flush(index);
+        tokens.push({
+          type: 'link',
+          body: split === -1 ? inner : inner.slice(0, split),
+          setter: split === -1 ? null : inner.slice(split + 2),
+          raw: text.slice(index, end + 2),
+          line: lineAt(index)
+        });
+        index = end + 2;
+        textStart = index;
+        continue;
+      }
+    }
+
+    if (text.startsWith('<<', index)) {
+      const end = findMacroEnd(text, index + 2);
+      const match = end === -1 ? null : /^(\/?)([A-Za-z][\w-]*|=|-)\s*([\s\S]*)$/.exec(text.slice(index + 2, end).trim());
+      if (match) {
+        flush(index);
+        tokens.push({
+          type: 'macro',
+          closing: match[1] === '/',
+          name: match[2],
+          args: match[3].trim(),
+          raw: text.slice(index, end + 2),
+          line: lineAt(index)
+        });
+        index = end + 2;
+        textStart = index;
+        continue;
+      }
+    }
+
+    index += 1;
+  }
+
+  flush(text.length);
+  return tokens;
+}
+
+// Index of the `>>` closing a macro, skipping quoted strings
+function findMacroEnd(text, start) {
+  let index = start;
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '"' || char === "'") {
+      index += 1;
+      while (index < text.length && text[index] !== char) {
+        index += text[index] === '\\' ? 2 : 1;
+      }
+    } else if (char === '>' && text[index + 1] === '>') {
+      return index;
+    }
+    index += 1;
+  }
+  return -1;
+}
+
+// Nest container macros (<<if>>, <<link>>, <<nobr>>...) around their contents
+function buildTree(tokens, passage, context) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+
+  tokens.forEach(token => {
+    const frame = stack[stack.length - 1];
+    if (token.type !== 'macro') {
+      frame.target.push(token);
+      return;
+    }
+
+    const { name, closing } = token;
+    if (!closing && name === 'if') {
+      const block = { type: 'if', token, branches: [{ condition: token.args, token, children: [] }] };
+      frame.target.push(block);
+      stack.push({ node: block, target: block.branches[0].children });
+    } else if (!closing && (name === 'elseif' || name === 'else')) {
+      if (frame.node.type !== 'if') {
+        warn(context, passage, token.line, `<<${name}>> without a matching <<if>>; left as text.`);
+        frame.target.push({ type: 'text', value: token.raw });
+        return;
+      }
+      const branch = { condition: name === 'else' ? null : token.args, token, children: [] };
+      frame.node.branches.push(branch);
+      frame.target = branch.children;
+    } else if (!closing && (LINK_MACROS.includes(name) || TRANSPARENT_MACROS.includes(name))) {
+      const block = { type: LINK_MACROS.includes(name) ? 'link_macro' : 'group', token, children: [] };
+      frame.target.push(block);
+      stack.push({ node: block, target: block.children });
+    } else if (closing && (name === 'if' || LINK_MACROS.includes(name) || TRANSPARENT_MACROS.includes(name))) {
+      if (frame.node.token?.name === name) {
+        stack.pop();
+      } else {
+        warn(context, passage, token.line, `<</${name}>> does not close an open <<${name}>>; left as text.`);
+        frame.target.push({ type: 'text', value: token.raw });
+      }
+    } else {
+      frame.target.push(token);
+    }
+  });
+
+  for (let depth = stack.length - 1; depth > 0; depth--) {
+    const { token } = stack[depth].node;
+    warn(context, passage, token.line, `<<${token.name}>> is never closed.`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Convert a node list into scene text, choices and actions
+ * @param {Array} nodes
+ * @param {Object} scope - { conditions: expression strings in effect, link: open <<link>> state }
+ * @param {Object} output - { text: string[], choices, actions } (mutated)
+ * @private
+ */
+function convertNodes(nodes, scope, output, passage, context) {
+  nodes.forEach(node => {
+    switch (node.type) {
+      case 'text':
+        output.text.push(scope.link ? '' : convertNakedVariables(node.value, context));
+        break;
+
+      case 'link': {
+        if (scope.link) {
+          warn(context, passage, node.line, 'links inside <<link>> are not supported; ignored.');
+          break;
+        }
+        const { text, target } = parseLinkBody(node.body);
+        output.choices.push({
+          text: convertNakedVariables(text, context),
+          targetSceneId: resolveTarget(target, passage, node.line, context),
+          conditions: toConditions(scope.conditions),
+          actions: node.setter ? convertSet(node.setter, passage, node.line, context) : []
+        });
+        break;
+      }
+
+      case 'link_macro':
+        convertLinkMacro(node, scope, output, passage, context);
+        break;
+
+      case 'group':
+        convertNodes(node.children, scope, output, passage, context);
+        break;
+
+      case 'if':
+        convertIf(node, scope, output, passage, context);
+        break;
+
+      case 'macro':
+        convertMacro(node, scope, output, passage, context);
+        break;
+
+      default:
+        break;
+    }
+  });
+}
+
+function convertMacro(token, scope, output, passage, context) {
+  if (token.closing) {
+    // Closing tag of an unsupported container; its opening tag already produced a warning
+    output.text.push(token.raw);
+    return;
+  }
+
+  if (token.name === 'set') {
+    const conditions = toConditions(scope.conditions);
+    convertSet(token.args, passage, token.line, context).forEach(action => {
+      output.actions.push(conditions.length > 0 ? { ...action, conditions } : action);
+    });
+    return;
+  }
+
+  if (token.name === 'goto') {
+    const target = parseMacroArguments(token.args)[0];
+    if (scope.link) {
+      scope.link.target = target;
+      return;
+    }
+    warn(context, passage, token.line, '<<goto>> has no automatic equivalent; imported as a "Continue" choice.');
+    output.choices.push({
+      text: 'Continue',
+      targetSceneId: resolveTarget(target, passage, token.line, context),
+      conditions: toConditions(scope.conditions),
+      actions: []
+    });
+    return;
+  }
+
+  if (PRINT_MACROS.includes(token.name)) {
+    const reference = /^\$([A-Za-z_]\w*)$/.exec(token.args);
+    const variable = reference && context.variables.get(reference[1]);
+    if (variable) {
+      output.text.push(interpolationFor(reference[1], variable));
+      return;
+    }
+  }
+
+  warn(context, passage, token.line, `<<${token.name}>> is not supported; left as text.`);
+  output.text.push(token.raw);
+}
+
+// <<link "Text" "Target">> / <<link [[Text|Target]]>>; <<set>> and <<goto>> inside become the choice's actions and target
+function convertLinkMacro(node, scope, output, passage, context) {
+  const { token } = node;
+  if (scope.link) {
+    warn(context, passage, token.line, `<<${token.name}>> inside another link is not supported; ignored.`);
+    return;
+  }
+
+  let text;
+  let target;
+  const bracketed = /^\[\[([\s\S]*)\]\]$/.exec(token.args);
+  if (bracketed) {
+    ({ text, target } = parseLinkBody(bracketed[1]));
+  } else {
+    [text, target] = parseMacroArguments(token.args);
+  }
+
+  const link = { target: target ?? null };
+  const inner = { text: [], choices: [], actions: [] };
+  convertNodes(node.children, { conditions: [], link }, inner, passage, context);
+
+  let targetSceneId;
+  if (link.target == null) {
+    warn(context, passage, token.line, `<<${token.name}>> "${text}" stays on the passage; imported as a choice that re-enters it.`);
+    targetSceneId = context.sceneIds.get(passage.name);
+  } else {
+    targetSceneId = resolveTarget(link.target, passage, token.line, context);
+  }
+
+  output.choices.push({
+    text: convertNakedVariables(text || 'Continue', context),
+    targetSceneId,
+    conditions: toConditions(scope.conditions),
+    actions: inner.actions
+  });
+}
+
+/**
+ * <<if>> chains: links and sets get the branch conditions (with earlier branches
+ * negated); text becomes a TextInterpolator {if} block when the conditions allow it.
+ * @private
+ */
+function convertIf(node, scope, output, passage, context) {
+  const previous = [];
+  const branches = node.branches.map(branch => {
+    let expression = null;
+    if (branch.condition !== null) {
+      const converted = convertExpression(branch.condition, context);
+      if (converted.error) {
+        warn(context, passage, branch.token.line, `could not translate condition "${branch.condition}" (${converted.error}); its links and sets are imported without it.`);
+      } else {
+        expression = converted.expression;
+      }
+    }
+
+    const conditions = [
+      ...scope.conditions,
+      ...previous.map(previousExpression => `!(${previousExpression})`),
+      ...(expression ? [expression] : [])
+    ];
+    if (expression) previous.push(expression);
+
+    const branchOutput = { text: [], choices: output.choices, actions: output.actions };
+    convertNodes(branch.children, { ...scope, conditions }, branchOutput, passage, context);
+    return { branch, expression, text: branchOutput.text.join('') };
+  });
+
+  if (scope.link || branches.every(({ text }) => !text.trim())) return;
+
+  const textConditions = branches.map(({ branch, expression }) => (
+    branch.condition === null ? null : expression && toTextCondition(expression)
+  ));
+  const convertible = branches.every(({ branch }, index) => branch.condition === null || textConditions[index]);
+
+  if (!convertible) {
+    warn(context, passage, node.token.line, 'conditional text uses conditions {if} blocks cannot express; left as SugarCube markup.');
+  }
+
+  branches.forEach(({ branch, text }, index) => {
+    if (!convertible) {
+      output.text.push(branch.token.raw, text);
+    } else if (branch.condition === null) {
+      output.text.push('{else}', text);
+    } else {
+      output.text.push(`{${index === 0 ? 'if' : 'elseif'} ${textConditions[index]}}`, text);
+    }
+  });
+  output.text.push(convertible ? '{/if}' : '<</if>>');
+}
+
+/**
+ * Translate `<<set>>` statements into actions
+ * @returns {Array} actions
+ * @private
+ */
+function convertSet(statements, passage, line, context) {
+  const actions = [];
+
+  splitStatements(statements).forEach(statement => {
+    const assignment = parseAssignment(statement);
+    if (!assignment) {
+      warn(context, passage, line, `could not translate "${statement.trim()}".`);
+      return;
+    }
+    if (assignment.temporary) {
+      warn(context, passage, line, `temporary variable _${assignment.key} is not supported.`);
+      return;
+    }
+
+    const action = assignmentToAction(assignment, context.variables.get(assignment.key));
+    if (action) {
+      actions.push(action);
+    } else {
+      warn(context, passage, line, `could not translate "${statement.trim()}".`);
+    }
+  });
+
+  return actions;
+}
+
+function assignmentToAction({ key, operator, value }, variable) {
+  const isFlag = variable?.kind === 'flag';
+  const literal = parseLiteral(value);
+  const number = literal && typeof literal.value === 'number' ? literal.value : null;
+
+  if (operator === '+=' || operator === '-=') {
+    return number === null || isFlag ? null : { type: 'add_stat', key, value: operator === '-=' ? -number : number };
+  }
+  if (operator === '*=') {
+    return number === null || isFlag ? null : { type: 'multiply_stat', key, value: number };
+  }
+  if (operator === '/=') {
+    return number === null || isFlag || number === 0 ? null : { type: 'multiply_stat', key, value: 1 / number };
+  }
+
+  if (literal) {
+    return isFlag
+      ? { type: 'set_flag', key, value: Boolean(literal.value) }
+      : { type: 'set_stat', key, value: literal.value };
+  }
+
+  // $gold to $gold + 5
+  const selfArithmetic = new RegExp(`^\\$${key}\\s*([-+*])\\s*(\\d+(?:\\.\\d+)?)$`).exec(value);
+  if (selfArithmetic && !isFlag) {
+    const amount = Number(selfArithmetic[2]);
+    if (selfArithmetic[1] === '*') return { type: 'multiply_stat', key, value: amount };
+    return { type: 'add_stat', key, value: selfArithmetic[1] === '-' ? -amount : amount };
+  }
+
+  // $lamp to not $lamp
+  if (isFlag && new RegExp(`^(?:not\\s+|!\\s*)\\$${key}$`).test(value)) {
+    return { type: 'toggle_flag', key };
+  }
+
+  // random(1, N) is a single die
+  const random = /^random\(\s*1\s*,\s*(\d+)\s*\)$/.exec(value);
+  if (random && !isFlag) {
+    return { type: 'roll', key, value: `1d${random[1]}` };
+  }
+
+  return null;
+}
+
+/**
+ * Rewrite a SugarCube expression in ExpressionEvaluator syntax
+ * @param {string} source - e.g. `$gold gte 5 and not $cursed`
+ * @returns {Object} { expression } or { error }
+ * @private
+ */
+function convertExpression(source, context) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < source.length) {
+    const start = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(source);
+    if (!match) {
+      return { error: `unexpected "${source[start]}"` };
+    }
+    tokens.push(match[0]);
+  }
+
+  const parts = [];
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+
+    if (token.startsWith('$')) {
+      const name = token.slice(1);
+      if (name.includes('.')) return { error: `property access ${token}` };
+      parts.push(referenceFor(name, context));
+    } else if (token.startsWith('_')) {
+      return { error: `temporary variable ${token}` };
+    } else if (/^[A-Za-z]/.test(token)) {
+      if (Object.prototype.hasOwnProperty.call(OPERATOR_KEYWORDS, token)) {
+        parts.push(` ${OPERATOR_KEYWORDS[token]} `);
+      } else if (token === 'true' || token === 'false') {
+        parts.push(token);
+      } else if (token.startsWith('Math.') && MATH_FUNCTIONS.includes(token.slice(5))) {
+        parts.push(token.slice(5));
+      } else if (token === 'visited') {
+        // visited("Passage") → visited.sceneId
+        const [open, name, close] = tokens.slice(index + 1).filter(part => part.trim());
+        const sceneId = open === '(' && close === ')' && /^["']/.test(name ?? '')
+          ? context.sceneIds.get(name.slice(1, -1))
+          : null;
+        if (!sceneId) return { error: 'visited() needs the name of an imported passage' };
+        parts.push(`visited.${sceneId}`);
+        index = tokens.indexOf(')', index);
+      } else {
+        return { error: `"${token}" is not supported` };
+      }
+    } else if (token === '===' || token === '!==') {
+      parts.push(token.slice(0, 2));
+    } else {
+      parts.push(token);
+    }
+  }
+
+  const expression = parts.join('').replace(/\s+/g, ' ').trim();
+  const { valid, error } = ExpressionEvaluator.validate(expression);
+  return valid ? { expression } : { error };
+}
+
+function referenceFor(name, context) {
+  return referenceExpression(name, requireVariable(name, context).kind);
+}
+
+// Variables only ever read are imported as number stats
+function requireVariable(name, context) {
+  if (!context.variables.has(name)) {
+    context.variables.set(name, { kind: 'number', defaultValue: 0 });
+    context.warnings.push(`$${name} is never set; imported as a number stat.`);
+  }
+  return context.variables.get(name);
+}
+
+function convertNakedVariables(text, context) {
+  return String(text).replace(/\$([A-Za-z_]\w*)/g, (match, name) => {
+    const variable = context.variables.get(name);
+    return variable ? interpolationFor(name, variable) : match;
+  });
+}
+
+function interpolationFor(name, variable) {
+  return `\${${variable.kind === 'flag' ? 'flag' : 'stat'}:${name}}`;
+}
+
+// [[Text|Target]], [[Text->Target]], [[Target<-Text]], [[Target]]
+function parseLinkBody(body) {
+  const pipe = body.indexOf('|');
+  if (pipe !== -1) {
+    return { text: body.slice(0, pipe).trim(), target: body.slice(pipe + 1).trim() };
+  }
+  const right = body.lastIndexOf('->');
+  if (right !== -1) {
+    return { text: body.slice(0, right).trim(), target: body.slice(right + 2).trim() };
+  }
+  const left = body.indexOf('<-');
+  if (left !== -1) {
+    return { text: body.slice(left + 2).trim(), target: body.slice(0, left).trim() };
+  }
+  return { text: body.trim(), target: body.trim() };
+}
+
+function resolveTarget(target, passage, line, context) {
+  if (!target) {
+    warn(context, passage, line, 'link has no target passage.');
+    return '';
+  }
+  if (/^\$|\(/.test(target)) {
+    warn(context, passage, line, `link target ${target} is an expression; imported without a destination.`);
+    return '';
+  }
+  const sceneId = context.sceneIds.get(target);
+  if (!sceneId) {
+    warn(context, passage, line, `link targets missing passage "${target}".`);
+    return '';
+  }
+  return sceneId;
+}
+
+// Quoted strings and [[links]] from a macro's arguments
+function parseMacroArguments(args) {
+  const values = [];
+  const pattern = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|\[\[([\s\S]*?)\]\]/g;
+  let match;
+  while ((match = pattern.exec(args))) {
+    if (match[3] !== undefined) {
+      values.push(parseLinkBody(match[3]).target);
+    } else {
+      values.push((match[1] ?? match[2]).replace(/\\(.)/g, '$1'));
+    }
+  }
+  return values;
+}
+
+// Split `<<set>>` arguments on top-level `;` and `,`
+function splitStatements(source) {
+  const statements = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let index = 0; index < source.length; index++) {
+    const char = source[index];
+    if (quote) {
+      current += char;
+      if (char === '\\') {
+        current += source[++index] ?? '';
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '"' || char === "'") quote = char;
+    if (char === '(' || char === '[') depth += 1;
+    if (char === ')' || char === ']') depth -= 1;
+    if ((char === ';' || char === ',') && depth === 0) {
+      statements.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  statements.push(current);
+  return statements.filter(statement => statement.trim());
+}
+
+function parseAssignment(statement) {
+  const match = ASSIGNMENT_PATTERN.exec(statement.trim());
+  if (!match) return null;
+  return {
+    temporary: match[1] === '_',
+    key: match[2],
+    operator: match[3],
+    value: match[4].trim()
+  };
+}
+
+function parseLiteral(raw) {
+  const value = String(raw).trim();
+  if (value === 'true' || value === 'false') return { value: value === 'true' };
+  if (/^-?\d+(\.\d+)?$/.test(value)) return { value: Number(value) };
+  const quoted = /^(["'])((?:\\.|(?!\1)[^\\])*)\1$/.exec(value);
+  if (quoted) return { value: quoted[2].replace(/\\(.)/g, '$1') };
+  return null;
+}
+
+function parsePosition(position) {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(position ?? '');
+  return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+}
+
+function cleanContent(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function plainText(text) {
+  return String(text ?? '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function warn(context, passage, line, message) {
+  context.warnings.push(`Passage "${passage.name}" (line ${line}): ${message}`);
+}
+
+function makeUniqueIdentifier(value, usedSet, fallback) {
+  const base = sanitizeIdentifier(value) || sanitizeIdentifier(fallback) || 'scene';
+  let id = base;
+  let counter = 2;
+  while (usedSet.has(id)) {
+    id = `${base}_${counter}`;
+    counter += 1;
+  }
+  usedSet.add(id);
+  return id;
+}
+
+function sanitizeIdentifier(value) {
+  if (value === undefined || value === null) return '';
+  let str = String(value).trim().toLowerCase();
+  str = str.replace(/[^a-z0-9_]/g, '_');
+  str = str.replace(/_+/g, '_');
+  str = str.replace(/^_+|_+$/g, '');
+  if (!str) return '';
+  if (!/^[a-z]/.test(str)) {
+    str = `s_${str}`;
+  }
+  return str;
+}
@@ -0,0 +1,135 @@
+/**
+ * importedConditions.js - Shared condition helpers for the story format importers
+ *
+ * Importers translate their source language into an ExpressionEvaluator expression
+ * first; these helpers turn the result into editor conditions:
+ * - toConditions: `a && b` → one condition per part; single references and
+ *   comparisons become stat/flag/scene_visited conditions, the rest `expression`
+ * - toTextCondition: the `[not] namespace:key [operator value]` form {if} blocks accept
+ * - referenceExpression: how a variable is written inside an expression
+ */
+
+import { ExpressionEvaluator, EXPRESSION_NAMESPACES } from '../../engine/ExpressionEvaluator.js';
+
+const COMPARISON_OPERATORS = ['==', '!=', '>', '>=', '<', '<='];
+const NEGATED_OPERATORS = { '==': '!=', '!=': '==', '>': '<=', '>=': '<', '<': '>=', '<=': '>' };
+
+// Names that can't be written as bare stat references in an expression
+const RESERVED_NAMES = new Set(['and', 'or', 'not', 'true', 'false', 'min', 'max', 'abs', 'floor', 'ceil', 'round', 'clamp', ...EXPRESSION_NAMESPACES]);
+
+/**
+ * Reference to an imported variable in ExpressionEvaluator syntax
+ * @param {string} name
+ * @param {string} kind - 'flag', 'number' or 'string'
+ * @returns {string} e.g. `flag.lamp_lit`, `gold`, `stat.max`
+ */
+export function referenceExpression(name, kind) {
+  if (kind === 'flag') return `flag.${name}`;
+  return RESERVED_NAMES.has(name.toLowerCase()) ? `stat.${name}` : name;
+}
+
+/**
+ * Turn expression strings (all of which must hold) into editor conditions
+ * @param {string[]} expressions - valid ExpressionEvaluator expressions
+ * @returns {Array} conditions
+ */
+export function toConditions(expressions) {
+  return expressions.flatMap(splitConjunction).map(expression => {
+    const simple = simplifyCondition(ExpressionEvaluator.parse(expression));
+    return simple || { type: 'expression', expression };
+  });
+}
+
+/**
+ * {if} block condition for an expression
+ * @param {string} expression - valid ExpressionEvaluator expression
+ * @returns {string|null} null when {if} blocks can't express it
+ */
+export function toTextCondition(expression) {
+  let node = ExpressionEvaluator.parse(expression);
+  let negate = false;
+  if (node.type === 'unary' && node.op === '!') {
+    negate = true;
+    node = node.argument;
+  }
+
+  const prefix = negate ? 'not ' : '';
+  if (node.type === 'ref' && (node.namespace === 'stat' || node.namespace === 'flag')) {
+    return `${prefix}${node.namespace}:${node.key}`;
+  }
+  const literal = literalValue(node.right);
+  if (node.type === 'binary' && COMPARISON_OPERATORS.includes(node.op) && node.left.type === 'ref' &&
+      (node.left.namespace === 'stat' || node.left.namespace === 'flag') && literal) {
+    const value = typeof literal.value === 'string' ? `'${literal.value}'` : String(literal.value);
+    return `${prefix}${node.left.namespace}:${node.left.key} ${node.op} ${value}`;
+  }
+  return null;
+}
+
+// `a && (b)` → ['a', 'b'] so each part can become its own condition; left whole if it has a top-level ||
+function splitConjunction(expression) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let index = 0; index < expression.length; index++) {
+    const char = expression[index];
+    if (quote) {
+      if (char === '\\') index += 1;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+    } else if (depth === 0 && expression.startsWith('||', index)) {
+      return [stripParentheses(expression)];
+    } else if (depth === 0 && expression.startsWith('&&', index)) {
+      parts.push(expression.slice(start, index));
+      start = index + 2;
+      index += 1;
+    }
+  }
+
+  parts.push(expression.slice(start));
+  return parts.map(stripParentheses);
+}
+
+function stripParentheses(expression) {
+  let result = expression.trim();
+  while (result.startsWith('(') && result.endsWith(')')) {
+    const inner = result.slice(1, -1);
+    if (!ExpressionEvaluator.validate(inner).valid) break;
+    result = inner.trim();
+  }
+  return result;
+}
+
+// Single references and comparisons become regular stat/flag/scene_visited conditions
+function simplifyCondition(node, negate = false) {
+  if (node.type === 'unary' && node.op === '!') {
+    return simplifyCondition(node.argument, !negate);
+  }
+  if (node.type === 'ref' && node.namespace === 'flag') {
+    return { type: 'flag', key: node.key, operator: '==', value: !negate };
+  }
+  if (node.type === 'ref' && node.namespace === 'visited') {
+    return { type: 'scene_visited', key: node.key, operator: '==', value: !negate };
+  }
+  const literal = literalValue(node.right);
+  if (node.type === 'binary' && COMPARISON_OPERATORS.includes(node.op) && node.left.type === 'ref' && node.left.namespace === 'stat' && literal) {
+    return { type: 'stat', key: node.left.key, operator: negate ? NEGATED_OPERATORS[node.op] : node.op, value: literal.value };
+  }
+  return null;
+}
+
+function literalValue(node) {
+  if (!node) return null;
+  if (node.type === 'literal') return { value: node.value };
+  if (node.type === 'unary' && node.op === '-' && node.argument.type === 'literal' && typeof node.argument.value === 'number') {
+    return { value: -node.argument.value };
+  }
+  return null;
+}
@@ -0,0 +1,219 @@
+/**
+ * AchievementManager.js - Runtime unlocks and progress for adventure.achievements
+ *
+ * An achievement unlocks when:
+ * - its `conditions` hold (evaluated with ConditionParser, AND logic like choice conditions), and
+ * - its `counter` ({ expression, target }) has reached the target, if it has one.
+ *   The expression uses the same references as expression conditions ('stat.kills',
+ *   'visits.tavern + item.coin') and its value / target is the achievement's progress.
+ * Achievements with neither only unlock through `add_achievement` actions.
+ *
+ * Unlocks belong to the player, not to a playthrough: they are kept in the PlayerProfile,
+ * carried in saves and never taken back by restarts or rewinds.
+ *
+ * Events (on the StoryEventBus passed in):
+ * - 'achievementUnlocked' { achievement, unlockedTimestamp, source }, before its rewards run
+ * - 'achievementProgress' { id, value, target, progress } when a counter moves
+ *
+ * Integration Points:
+ * - StoryEngine: evaluates after actions, scene changes and choices; runs `rewards`
+ * - SaveSystem: `achievements` in save data
+ * - GameContext / GameScreen: unlock notifications and the Achievements tab
+ */
+
+import { ExpressionEvaluator } from './ExpressionEvaluator.js';
+
+const hasConditions = achievement => Array.isArray(achievement?.conditions) && achievement.conditions.length > 0;
+
+export const hasCounter = achievement => typeof achievement?.counter?.expression === 'string' &&
+  achievement.counter.expression.trim() !== '' && Number(achievement.counter.target) > 0;
+
+export class AchievementManager {
+  /**
+   * @param {Object} options - { events?: StoryEventBus, profile?: PlayerProfile, onUnlock?: (achievement) => void }
+   */
+  constructor({ events = null, profile = null, onUnlock = null } = {}) {
+    this.events = events;
+    this.profile = profile;
+    this.onUnlock = onUnlock;
+    this.adventureId = null;
+    this.definitions = [];
+    this.unlocked = new Map(); // id -> { id, unlockedTimestamp, progress: 1, metadata }
+    this.counters = new Map(); // id -> { value, target, progress }
+    this.evaluating = false;
+    this.dirty = false;
+  }
+
+  // Switch to an adventure: its definitions plus what the player unlocked in earlier playthroughs
+  setAdventure(adventure) {
+    this.adventureId = adventure?.id || 'current';
+    this.definitions = Array.isArray(adventure?.achievements) ? adventure.achievements.filter(a => a?.id) : [];
+    this.counters = new Map();
+    this.unlocked = new Map(this.readStored().map(entry => [entry.id, entry]));
+  }
+
+  // Same achievements with different text (a language switch); unlocks are untouched
+  setDefinitions(achievements = []) {
+    this.definitions = (Array.isArray(achievements) ? achievements : []).filter(a => a?.id);
+  }
+
+  getDefinition(id) {
+    return this.definitions.find(achievement => achievement.id === id) || null;
+  }
+
+  /**
+   * Check every locked achievement against the current state
+   * @param {ConditionParser} conditionParser
+   * @returns {Array} achievements unlocked by this call
+   */
+  evaluate(conditionParser) {
+    // Rewards run actions, which evaluate again; let the outer call pick those changes up
+    if (this.evaluating) {
+      this.dirty = true;
+      return [];
+    }
+
+    const unlockedNow = [];
+    this.evaluating = true;
+    try {
+      do {
+        this.dirty = false;
+        this.definitions.forEach(achievement => {
+          if (this.unlocked.has(achievement.id)) return;
+          const counterDone = this.updateCounter(achievement, conditionParser);
+          if (!hasConditions(achievement) && !hasCounter(achievement)) return;
+          if (counterDone === false) return;
+          if (hasConditions(achievement) && !conditionParser.evaluateConditions(achievement.conditions)) return;
+
+          const entry = this.unlock(achievement.id, { source: 'conditions' });
+          if (entry) unlockedNow.push(entry);
+        });
+      } while (this.dirty);
+    } finally {
+      this.evaluating = false;
+    }
+    return unlockedNow;
+  }
+
+  // Recompute a counter; returns whether it reached its target (null without a counter)
+  updateCounter(achievement, conditionParser) {
+    if (!hasCounter(achievement)) return null;
+
+    const target = Number(achievement.counter.target);
+    let value = 0;
+    try {
+      value = Number(ExpressionEvaluator.evaluate(
+        achievement.counter.expression,
+        (namespace, key) => conditionParser.resolveExpressionValue(namespace, key)
+      ));
+    } catch (error) {
+      console.warn(`AchievementManager: Counter of "${achievement.id}" failed:`, error.message);
+    }
+    if (!Number.isFinite(value)) value = 0;
+
+    const counter = { value, target, progress: Math.max(0, Math.min(1, value / target)) };
+    const previous = this.counters.get(achievement.id);
+    this.counters.set(achievement.id, counter);
+    if (!previous || previous.value !== counter.value) {
+      this.events?.emit('achievementProgress', { id: achievement.id, ...counter });
+    }
+    return value >= target;
+  }
+
+  /**
+   * Unlock an achievement (conditions are not checked)
+   * @param {string} id
+   * @param {Object} metadata - e.g. { source: 'action', sceneId }
+   * @returns {Object|null} the unlock entry, or null when unknown or already unlocked
+   */
+  unlock(id, metadata = {}) {
+    const achievement = this.getDefinition(id);
+    if (!achievement) {
+      console.warn(`AchievementManager: Achievement id not found: ${id}`);
+      return null;
+    }
+    if (this.unlocked.has(id)) return null;
+
+    const entry = { id, unlockedTimestamp: Date.now(), progress: 1, metadata: { ...metadata } };
+    this.unlocked.set(id, entry);
+    this.writeStored();
+
+    // Announce before the rewards run, so listeners see this unlock before anything it causes
+    this.events?.emit('achievementUnlocked', {
+      achievement,
+      unlockedTimestamp: entry.unlockedTimestamp,
+      source: metadata.source || 'conditions'
+    });
+    this.onUnlock?.(achievement, entry);
+    return { ...entry };
+  }
+
+  isUnlocked(id) {
+    return this.unlocked.has(id);
+  }
+
+  // Unlock entries in the SaveData shape: { id, unlockedTimestamp, progress, metadata }
+  getUnlocked() {
+    return [...this.unlocked.values()].map(entry => ({ ...entry, metadata: { ...entry.metadata } }));
+  }
+
+  getProgress(id) {
+    if (this.unlocked.has(id)) return 1;
+    return this.counters.get(id)?.progress ?? 0;
+  }
+
+  /**
+   * Definitions with their status, for achievement lists. Hidden achievements are
+   * left out until unlocked.
+   * @returns {Array} { ...achievement, unlocked, unlockedTimestamp, progress, value?, target? }
+   */
+  getAchievements({ includeHidden = false } = {}) {
+    return this.definitions
+      .filter(achievement => includeHidden || !achievement.hidden || this.unlocked.has(achievement.id))
+      .map(achievement => {
+        const entry = this.unlocked.get(achievement.id);
+        const counter = this.counters.get(achievement.id);
+        return {
+          ...achievement,
+          unlocked: !!entry,
+          unlockedTimestamp: entry?.unlockedTimestamp ?? null,
+          progress: entry ? 1 : (counter?.progress ?? 0),
+          value: counter?.value,
+          target: counter?.target
+        };
+      });
+  }
+
+  getTotalPoints() {
+    return this.definitions
+      .filter(achievement => this.unlocked.has(achievement.id))
+      .reduce((sum, achievement) => sum + (Number(achievement.points) || 0), 0);
+  }
+
+  // Saves may come from another browser; their unlocks are added, never removed
+  loadFromSave(saved = []) {
+    let changed = false;
+    (Array.isArray(saved) ? saved : []).forEach(entry => {
+      const id = typeof entry === 'string' ? entry : entry?.id;
+      if (!id || this.unlocked.has(id) || !this.getDefinition(id)) return;
+      this.unlocked.set(id, {
+        id,
+        unlockedTimestamp: Number(entry?.unlockedTimestamp) || Date.now(),
+        progress: 1,
+        metadata: { ...(entry?.metadata || {}), source: entry?.metadata?.source || 'save' }
+      });
+      changed = true;
+    });
+    if (changed) this.writeStored();
+  }
+
+  readStored() {
+    return this.profile ? this.profile.getAchievements(this.adventureId) : [];
+  }
+
+  writeStored() {
+    this.profile?.setAchievements(this.adventureId, this.getUnlocked());
+  }
+}
+
+export default AchievementManager;
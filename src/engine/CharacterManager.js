@@ -0,0 +1,212 @@
+/**
+ * CharacterManager.js - Recurring characters (NPCs), their relationship stats and dialogue speakers
+ *
+ * adventure.characters declares them:
+ * - name, description, portrait (image URL) and color (CSS colour for their name in dialogue)
+ * - stats: [{ id, name, defaultValue, min, max, hidden }] kept per character (trust, affection, ...),
+ *   apart from the player's stats; hidden ones are left out of the stats panel
+ *
+ * character_stat conditions and actions address a character stat as 'characterId.statId':
+ *   { type: 'character_stat', key: 'mara.trust', operator: 'gte', value: 5 }
+ *   { type: 'character_stat', key: 'mara.trust', value: 2 }                    (adds)
+ *   { type: 'character_stat', key: 'mara.trust', value: 0, operation: 'set' }
+ * Values are kept within the stat's min / max.
+ *
+ * Scenes carry structured dialogue shown after their content:
+ *   scene.dialogue = [{ id, speaker: characterId, text, conditions? }]
+ * Lines whose conditions fail are skipped; a line without a known speaker is narration.
+ *
+ * Integration Points:
+ * - StoryEngine: character_stat actions, getCurrentDialogue(), saves `characters`
+ * - ConditionParser: character_stat conditions
+ * - SceneDisplay / StandalonePlayer: dialogue blocks with speaker name and portrait
+ * - StatsPanel: characters with their (visible) stats
+ * - CharactersEditor: definitions and where each character appears (findCharacterAppearances)
+ */
+
+/**
+ * Split a 'characterId.statId' key
+ * @param {string} key
+ * @returns {Object|null} { characterId, statId }, or null when the key has no stat part
+ */
+export function parseCharacterStatKey(key) {
+  if (typeof key !== 'string') return null;
+  const dot = key.indexOf('.');
+  if (dot <= 0 || dot === key.length - 1) return null;
+  return { characterId: key.slice(0, dot), statId: key.slice(dot + 1) };
+}
+
+const toNumber = (value, fallback) => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? fallback : Number(value));
+
+const clamp = (stat, value) => Math.min(stat.max ?? Infinity, Math.max(stat.min ?? -Infinity, value));
+
+/**
+ * Scenes where a character speaks or a character_stat condition / action refers to them
+ * @param {Object} adventure
+ * @param {string} characterId
+ * @returns {Array} [{ sceneId, sceneTitle, dialogue: lines spoken, conditions, actions }] in scene order
+ */
+export function findCharacterAppearances(adventure, characterId) {
+  const mentions = item => parseCharacterStatKey(item?.key)?.characterId === characterId && item.type === 'character_stat';
+  const countConditions = list => (Array.isArray(list) ? list : []).reduce((count, condition) => {
+    if (!condition) return count;
+    if (Array.isArray(condition.conditions)) return count + countConditions(condition.conditions);
+    return count + (mentions(condition) ? 1 : 0);
+  }, 0);
+  const countActions = list => (Array.isArray(list) ? list : []).reduce((count, action) => (
+    action ? count + (mentions(action) ? 1 : 0) + countConditions(action.conditions) : count
+  ), 0);
+
+  const appearances = [];
+  (adventure?.scenes || []).forEach(scene => {
+    if (!scene?.id) return;
+    const lines = Array.isArray(scene.dialogue) ? scene.dialogue : [];
+    let conditions = lines.reduce((count, line) => count + countConditions(line?.conditions), 0);
+    let actions = countActions(scene.onEnter) + countActions(scene.onExit);
+    (scene.choices || []).forEach(choice => {
+      if (!choice) return;
+      conditions += countConditions(choice.conditions) + countConditions(choice.selectableIf) + countConditions(choice.secretConditions);
+      actions += countActions(choice.actions);
+    });
+    const dialogue = lines.filter(line => line?.speaker === characterId).length;
+    if (dialogue + conditions + actions > 0) {
+      appearances.push({ sceneId: scene.id, sceneTitle: scene.title || scene.id, dialogue, conditions, actions });
+    }
+  });
+  return appearances;
+}
+
+export class CharacterManager {
+  constructor() {
+    this.statsManager = null;
+    this.definitions = new Map(); // characterId -> normalized definition
+    this.values = new Map(); // characterId -> { [statId]: value }
+  }
+
+  /**
+   * Switch to an adventure; every character stat starts at its default
+   * @param {Object} adventure
+   * @param {Object} managers - { statsManager } of the engine (told when character stats change)
+   */
+  setAdventure(adventure, { statsManager }) {
+    this.statsManager = statsManager;
+    this.setDefinitions(adventure);
+    this.loadState({});
+  }
+
+  // Same characters with different text (a language switch); stat values are untouched
+  setDefinitions(adventure) {
+    this.definitions.clear();
+    (adventure?.characters || []).forEach(character => {
+      if (!character?.id) return;
+      this.definitions.set(character.id, this.normalizeCharacter(character));
+    });
+  }
+
+  /**
+   * @private
+   */
+  normalizeCharacter(character) {
+    return {
+      ...character,
+      name: character.name || character.id,
+      stats: (Array.isArray(character.stats) ? character.stats : []).filter(stat => stat?.id).map(stat => ({
+        ...stat,
+        name: stat.name || stat.id,
+        defaultValue: toNumber(stat.defaultValue, 0),
+        min: toNumber(stat.min, null),
+        max: toNumber(stat.max, null)
+      }))
+    };
+  }
+
+  getCharacter(characterId) {
+    return this.definitions.get(characterId) || null;
+  }
+
+  // Definition of a character stat from its 'characterId.statId' key
+  getStatDefinition(key) {
+    const parsed = parseCharacterStatKey(key);
+    return parsed ? this.definitions.get(parsed.characterId)?.stats.find(stat => stat.id === parsed.statId) || null : null;
+  }
+
+  /**
+   * @param {string} key - 'characterId.statId'
+   * @returns {number|undefined} undefined for unknown characters and stats
+   */
+  getStat(key) {
+    const parsed = parseCharacterStatKey(key);
+    if (!parsed || !this.getStatDefinition(key)) return undefined;
+    return this.values.get(parsed.characterId)?.[parsed.statId];
+  }
+
+  /**
+   * @param {string} key - 'characterId.statId'
+   * @param {number} value
+   * @returns {Object} { success, message }
+   */
+  setStat(key, value) {
+    const definition = this.getStatDefinition(key);
+    if (!definition) {
+      return { success: false, message: `Unknown character stat: ${key}` };
+    }
+    const { characterId, statId } = parseCharacterStatKey(key);
+    const number = clamp(definition, toNumber(value, 0));
+    this.values.set(characterId, { ...this.values.get(characterId), [statId]: number });
+    this.changed();
+    return { success: true, message: `${this.definitions.get(characterId).name}'s ${definition.name} is now ${number}` };
+  }
+
+  addToStat(key, amount) {
+    const current = this.getStat(key);
+    if (current === undefined) {
+      return { success: false, message: `Unknown character stat: ${key}` };
+    }
+    return this.setStat(key, current + toNumber(amount, 0));
+  }
+
+  // Characters with their current stat values for the stats panel (hidden stats left out)
+  getCharacters() {
+    return Array.from(this.definitions.values(), character => ({
+      id: character.id,
+      name: character.name,
+      description: character.description || '',
+      portrait: character.portrait || '',
+      color: character.color || '',
+      stats: character.stats.filter(stat => !stat.hidden).map(stat => ({
+        id: stat.id,
+        name: stat.name,
+        value: this.values.get(character.id)?.[stat.id] ?? stat.defaultValue,
+        min: stat.min,
+        max: stat.max
+      }))
+    }));
+  }
+
+  // Serializable { [characterId]: { [statId]: value } } for saves and rewind snapshots
+  getState() {
+    return Object.fromEntries(Array.from(this.values, ([characterId, stats]) => [characterId, { ...stats }]));
+  }
+
+  // Restore getState() output; missing values start at their default, unknown characters and stats are dropped
+  loadState(state = {}) {
+    this.values = new Map();
+    this.definitions.forEach((character, characterId) => {
+      const saved = state?.[characterId] || {};
+      this.values.set(characterId, Object.fromEntries(character.stats.map(stat => [
+        stat.id,
+        clamp(stat, toNumber(saved[stat.id], stat.defaultValue))
+      ])));
+    });
+    this.changed();
+  }
+
+  /**
+   * @private
+   */
+  changed() {
+    this.statsManager?.onCharacterStatsChanged?.();
+  }
+}
+
+export default CharacterManager;
@@ -11,12 +11,22 @@
  * - StoryEngine: getCurrentChoices() uses this for choice filtering
  * - ConditionParser: Leverages existing condition evaluation
  * - SaveSystem: Tracks secret discoveries in save data
+ * - Localization: lock reasons are LOCK_MESSAGES templates, replaceable per locale
  */
 
+// Lock reasons shown to the player; {name} placeholders are filled in by formatMessage
+export const LOCK_MESSAGES = {
+  oneTime: 'This choice can only be used once',
+  noUses: 'No uses remaining for this choice',
+  cooldown: 'On cooldown ({seconds}s remaining)',
+  selectableIf: 'Selectable conditions not met'
+};
+
 export class ChoiceEvaluator {
   constructor(conditionParser, statsManager) {
     this.conditionParser = conditionParser;
     this.statsManager = statsManager;
+    this.messages = { ...LOCK_MESSAGES };
     
     // Cache for performance - cleared when game state changes
     this.evaluationCache = new Map();
@@ -31,6 +41,17 @@ export class ChoiceEvaluator {
     this.clearCache();
   }
 
+  // Replace lock reason templates (e.g. with a translation); missing keys keep the defaults
+  setMessages(messages = {}) {
+    this.messages = { ...LOCK_MESSAGES, ...messages };
+    this.clearCache();
+  }
+
+  formatMessage(key, params = {}) {
+    const template = this.messages[key] ?? LOCK_MESSAGES[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
   // Allow StoryEngine to update choice history (compatibility)
   updateChoiceHistory(history = []) {
     this.choiceHistory = Array.isArray(history) ? history : [];
@@ -143,9 +164,7 @@ export class ChoiceEvaluator {
     const allowed = oneTime ? 1 : (maxUses > 0 ? maxUses : Infinity);
     if (timesUsed >= allowed) {
       const remaining = Math.max(0, allowed - timesUsed);
-      const reason = oneTime
-        ? 'This choice can only be used once'
-        : 'No uses remaining for this choice';
+      const reason = this.formatMessage(oneTime ? 'oneTime' : 'noUses');
       return { reason: remaining > 0 ? `${reason} (${remaining} left)` : reason };
     }
 
@@ -158,7 +177,7 @@ export class ChoiceEvaluator {
       if (remainingMs > 0) {
         const secs = Math.ceil(remainingMs / 1000);
         return {
-          reason: `On cooldown (${secs}s remaining)`,
+          reason: this.formatMessage('cooldown', { seconds: secs }),
           cooldownRemainingMs: remainingMs
         };
       }
@@ -198,7 +217,7 @@ export class ChoiceEvaluator {
       if (evaluation.state !== 'HIDDEN') {
         evaluation.state = 'LOCKED';
       }
-      const reason = 'Selectable conditions not met';
+      const reason = this.formatMessage('selectableIf');
       if (Array.isArray(evaluation.lockReasons)) {
         if (!evaluation.lockReasons.includes(reason)) {
           evaluation.lockReasons.push(reason);
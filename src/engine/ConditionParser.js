@@ -1,10 +1,38 @@
 // ConditionParser.js - Enhanced version with Phase 3 advanced features and caching
+import { ExpressionEvaluator, resolveInventoryTotal } from './ExpressionEvaluator.js';
+
+// Simple condition types evaluateCondition understands; utils/validation.js checks against
+// the same lists, so add a new type here and both accept it
+export const CONDITION_TYPES = [
+  'stat', 'flag', 'scene_visited', 'has_item', 'item_count',
+  'inventory_category', 'choice_made', 'choice_made_count',
+  'scene_visit_count', 'total_choices', 'unique_scenes_visited',
+  'inventory_total', 'inventory_weight', 'inventory_value', 'expression',
+  'meta_flag', 'ending_seen', 'playthrough_count', 'achievement_unlocked',
+  'item_equipped', 'slot_filled', 'can_craft', 'crafted_count', 'has_status',
+  'character_stat', 'quest_state'
+];
+
+// Types that take no key
+export const KEYLESS_CONDITION_TYPES = ['total_choices', 'unique_scenes_visited', 'playthrough_count'];
+
+export const CONDITION_OPERATORS = [
+  'eq', '==', 'ne', '!=', 'gt', '>', 'gte', '>=', 'lt', '<', 'lte', '<=',
+  'contains', 'not_contains', 'starts_with', 'ends_with', 'matches',
+  'in', 'not_in', 'between', 'not_between'
+];
+
 export class ConditionParser {
   constructor(statsManager, visitedScenes = [], inventoryManager = null, choiceHistory = []) {
     this.statsManager = statsManager;
     this.visitedScenes = visitedScenes;
     this.inventoryManager = inventoryManager;
     this.choiceHistory = choiceHistory;
+    this.playerProfile = null; // PlayerProfile for meta_flag, ending_seen, ... (see setPlayerProfile)
+    this.profileId = null;
+    this.statusEffectManager = null; // Active buffs/debuffs for has_status (see setStatusEffectManager)
+    this.characterManager = null; // Character stats for character_stat (see setCharacterManager)
+    this.questManager = null; // Quest and objective states for quest_state (see setQuestManager)
     
     // Performance optimization: condition evaluation cache
     this.evaluationCache = new Map();
@@ -19,6 +47,7 @@ export class ConditionParser {
     this.lastVisitedScenesLength = visitedScenes.length;
     this.lastInventoryVersion = this.inventoryManager?.getVersion?.() || 0;
     this.lastChoiceHistoryLength = choiceHistory.length;
+    this.lastProfileVersion = 0;
     
     // Performance: limit cache size to prevent memory bloat
     this.maxCacheSize = 1000;
@@ -34,11 +63,13 @@ export class ConditionParser {
       condition.key,
       JSON.stringify(condition.value), // Handle complex values
       condition.logic,
+      condition.expression,
       // Include relevant state versions for cache invalidation
       this.lastStatsVersion,
       this.lastVisitedScenesLength,
       this.lastInventoryVersion,
-      this.lastChoiceHistoryLength
+      this.lastChoiceHistoryLength,
+      this.lastProfileVersion
     ];
     
     // Handle nested conditions for complex conditions
@@ -55,12 +86,14 @@ export class ConditionParser {
     const visitedScenesLength = this.visitedScenes.length;
     const inventoryVersion = this.inventoryManager?.getVersion?.() || 0;
     const choiceHistoryLength = this.choiceHistory.length;
+    const profileVersion = this.playerProfile?.getVersion?.() || 0;
     
     const hasChanged = (
       statsVersion !== this.lastStatsVersion ||
       visitedScenesLength !== this.lastVisitedScenesLength ||
       inventoryVersion !== this.lastInventoryVersion ||
-      choiceHistoryLength !== this.lastChoiceHistoryLength
+      choiceHistoryLength !== this.lastChoiceHistoryLength ||
+      profileVersion !== this.lastProfileVersion
     );
     
     if (hasChanged) {
@@ -68,6 +101,7 @@ export class ConditionParser {
       this.lastVisitedScenesLength = visitedScenesLength;
       this.lastInventoryVersion = inventoryVersion;
       this.lastChoiceHistoryLength = choiceHistoryLength;
+      this.lastProfileVersion = profileVersion;
       return true;
     }
     
@@ -240,6 +274,93 @@ export class ConditionParser {
         }
         currentValue = this.inventoryManager.getTotalValue();
         break;
+      case 'item_equipped':
+        if (!this.inventoryManager) {
+          console.warn('ConditionParser: item_equipped condition requires inventoryManager');
+          return false;
+        }
+        currentValue = this.inventoryManager.isEquipped(key);
+        break;
+      case 'slot_filled':
+        // Number of items in the slot (0 when empty)
+        if (!this.inventoryManager) {
+          console.warn('ConditionParser: slot_filled condition requires inventoryManager');
+          return false;
+        }
+        currentValue = this.inventoryManager.getEquippedItems(key).length;
+        break;
+      case 'can_craft':
+        // Ingredients held and the recipe's requirements met
+        if (!this.inventoryManager) {
+          console.warn('ConditionParser: can_craft condition requires inventoryManager');
+          return false;
+        }
+        currentValue = this.inventoryManager.canCraft(key, this);
+        break;
+      case 'crafted_count':
+        if (!this.inventoryManager) {
+          console.warn('ConditionParser: crafted_count condition requires inventoryManager');
+          return false;
+        }
+        currentValue = this.inventoryManager.getCraftedCount(key);
+        break;
+      case 'has_status':
+        // Status effect id; compared with true / false
+        if (!this.statusEffectManager) {
+          console.warn('ConditionParser: has_status condition requires a status effect manager');
+          return false;
+        }
+        currentValue = this.statusEffectManager.has(key);
+        break;
+      case 'character_stat':
+        // 'characterId.statId'; unknown characters and stats never match
+        if (!this.characterManager) {
+          console.warn('ConditionParser: character_stat condition requires a character manager');
+          return false;
+        }
+        currentValue = this.characterManager.getStat(key);
+        if (currentValue === undefined) {
+          console.warn('ConditionParser: Unknown character stat:', key);
+          return false;
+        }
+        break;
+      case 'quest_state':
+        // 'questId' or 'questId.objectiveId'; compared with 'inactive' / 'active' / 'completed' / 'failed'
+        if (!this.questManager) {
+          console.warn('ConditionParser: quest_state condition requires a quest manager');
+          return false;
+        }
+        currentValue = this.questManager.getStateOf(key);
+        if (currentValue === undefined) {
+          console.warn('ConditionParser: Unknown quest or objective:', key);
+          return false;
+        }
+        break;
+      case 'meta_flag':
+      case 'ending_seen':
+      case 'playthrough_count':
+      case 'achievement_unlocked':
+        if (!this.playerProfile) {
+          console.warn(`ConditionParser: ${type} condition requires a player profile`);
+          return false;
+        }
+        currentValue = this.getProfileValue(type, key);
+        break;
+      case 'expression':
+        try {
+          currentValue = ExpressionEvaluator.evaluate(
+            condition.expression,
+            (namespace, refKey) => this.resolveExpressionValue(namespace, refKey)
+          );
+        } catch (error) {
+          console.warn('ConditionParser: Failed to evaluate expression:', condition.expression, error.message);
+          return false;
+        }
+        // Without an operator the expression itself is the condition
+        if (!operator) {
+          return Boolean(currentValue);
+        }
+        break;
       default:
         console.warn('ConditionParser: Unknown condition type:', type);
         return false;
@@ -249,6 +370,30 @@ export class ConditionParser {
     return this.compareValues(currentValue, operator, value);
   }
 
+  // Resolve namespaced references for expression conditions
+  resolveExpressionValue(namespace, key) {
+    switch (namespace) {
+      case 'stat':
+        return this.statsManager?.getStat?.(key);
+      case 'flag':
+        return this.statsManager?.hasFlag?.(key) ?? false;
+      case 'item':
+        return this.inventoryManager
+          ? this.inventoryManager.getItemCount(key)
+          : (this.statsManager?.getItemCount?.(key) ?? 0);
+      case 'inventory':
+        return resolveInventoryTotal(this.inventoryManager, key);
+      case 'visited':
+        return this.visitedScenes.includes(key);
+      case 'visits':
+        return this.choiceHistory.filter(choice => choice.sceneId === key).length;
+      case 'choice':
+        return this.choiceHistory.filter(choice => choice.choiceId === key).length;
+      default:
+        return undefined;
+    }
+  }
+
   // Evaluate complex conditions with logical operators (AND, OR, NOT)
   evaluateComplexCondition(condition) {
     const { logic = 'AND', conditions } = condition;
@@ -401,6 +546,46 @@ export class ConditionParser {
     this.inventoryManager = inventoryManager;
   }
 
+  // Cross-playthrough state for the profile condition types; profileId is the adventure's record
+  setPlayerProfile(playerProfile, profileId) {
+    this.playerProfile = playerProfile;
+    this.profileId = profileId;
+    this.clearCache();
+  }
+
+  // Applying, curing or running out bumps the stats version, which drops cached results
+  setStatusEffectManager(statusEffectManager) {
+    this.statusEffectManager = statusEffectManager;
+    this.clearCache();
+  }
+
+  // Character stat changes bump the stats version too
+  setCharacterManager(characterManager) {
+    this.characterManager = characterManager;
+    this.clearCache();
+  }
+
+  // Quest state changes bump the stats version too
+  setQuestManager(questManager) {
+    this.questManager = questManager;
+    this.clearCache();
+  }
+
+  getProfileValue(type, key) {
+    switch (type) {
+      case 'meta_flag':
+        return this.playerProfile.getMetaFlag(this.profileId, key) ?? false;
+      case 'ending_seen':
+        return this.playerProfile.hasSeenEnding(this.profileId, key);
+      case 'playthrough_count':
+        return this.playerProfile.getPlaythroughCount(this.profileId);
+      case 'achievement_unlocked':
+        return this.playerProfile.hasAchievement(this.profileId, key);
+      default:
+        return undefined;
+    }
+  }
+
   // Validate condition syntax
   validateCondition(condition) {
     if (!condition || typeof condition !== 'object') {
@@ -433,32 +618,28 @@ export class ConditionParser {
       return { valid: false, error: 'Condition must have a type' };
     }
 
+    // Expression conditions carry their own logic; the operator is optional
+    if (type === 'expression') {
+      const parsed = ExpressionEvaluator.validate(condition.expression);
+      if (!parsed.valid) {
+        return { valid: false, error: `Invalid expression: ${parsed.error}`, position: parsed.position };
+      }
+      return { valid: true };
+    }
+
     if (!operator) {
       return { valid: false, error: 'Condition must have an operator' };
     }
 
-    if (!key && type !== 'total_choices' && type !== 'unique_scenes_visited') {
+    if (!key && !KEYLESS_CONDITION_TYPES.includes(type)) {
       return { valid: false, error: 'Condition must have a key' };
     }
 
-    const validTypes = [
-      'stat', 'flag', 'scene_visited', 'has_item', 'item_count', 
-      'inventory_category', 'choice_made', 'choice_made_count', 
-      'scene_visit_count', 'total_choices', 'unique_scenes_visited',
-      'inventory_total', 'inventory_weight', 'inventory_value'
-    ];
-
-    if (!validTypes.includes(type)) {
+    if (!CONDITION_TYPES.includes(type)) {
       return { valid: false, error: `Invalid condition type: ${type}` };
     }
 
-    const validOperators = [
-      'eq', '==', 'ne', '!=', 'gt', '>', 'gte', '>=', 'lt', '<', 'lte', '<=',
-      'contains', 'not_contains', 'starts_with', 'ends_with', 'matches',
-      'in', 'not_in', 'between', 'not_between'
-    ];
-
-    if (!validOperators.includes(operator)) {
+    if (!CONDITION_OPERATORS.includes(operator)) {
       return { valid: false, error: `Invalid operator: ${operator}` };
     }
 
@@ -490,6 +671,17 @@ export class ConditionParser {
 
     // Handle simple conditions
     const { type, operator, key, value } = condition;
+
+    if (type === 'expression') {
+      let expressionDesc;
+      try {
+        expressionDesc = ExpressionEvaluator.describe(condition.expression);
+      } catch (error) {
+        return `Invalid expression "${condition.expression ?? ''}"`;
+      }
+      if (!operator) return expressionDesc;
+      return `(${expressionDesc}) ${operator} ${value}`;
+    }
     
     const typeDescriptions = {
       stat: `Stat "${key}"`,
@@ -505,7 +697,18 @@ export class ConditionParser {
       unique_scenes_visited: 'Unique scenes visited',
       inventory_total: 'Total inventory items',
       inventory_weight: 'Total inventory weight',
-      inventory_value: 'Total inventory value'
+      inventory_value: 'Total inventory value',
+      meta_flag: `Meta flag "${key}"`,
+      ending_seen: `Seen ending "${key}"`,
+      playthrough_count: 'Completed playthroughs',
+      achievement_unlocked: `Unlocked achievement "${key}"`,
+      item_equipped: `Equipped "${key}"`,
+      slot_filled: `Items in slot "${key}"`,
+      can_craft: `Can craft "${key}"`,
+      crafted_count: `Times crafted "${key}"`,
+      has_status: `Has status "${key}"`,
+      character_stat: `Character stat "${key}"`,
+      quest_state: `Quest state of "${key}"`
     };
 
     const operatorDescriptions = {
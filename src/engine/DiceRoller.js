@@ -0,0 +1,184 @@
+/**
+ * DiceRoller.js - Dice notation on top of the expression language
+ *
+ * A roll is an ExpressionEvaluator expression that may also contain dice terms:
+ * - 2d6, d20, 3d8          (count defaults to 1)
+ * - 2d6 + agility          (stats, flags, items... as in ExpressionEvaluator)
+ * - max(1d20, 1d20) + 2    (advantage)
+ *
+ * Dice are rolled on the supplied SeededRandom so results replay with the seed.
+ *
+ * Integration Points:
+ * - StoryEngine: `roll` actions
+ * - ValidationService: analyze() for syntax errors, successChance() for outcome odds
+ */
+
+import { ExpressionEvaluator } from './ExpressionEvaluator.js';
+
+const MAX_DICE_COUNT = 100;
+const MAX_DICE_SIDES = 1000;
+const MAX_DISTRIBUTION_FACES = 2000;
+const MAX_DISTRIBUTION_COMBINATIONS = 20000;
+
+// A dice term not preceded by an identifier character or a dot (so stat.d20 stays a reference)
+const DICE_PATTERN = /(^|[^A-Za-z0-9_."'])(\d*)[dD](\d+)(?![A-Za-z0-9_])/g;
+
+export class DiceRoller {
+  /**
+   * Find the dice terms in a notation
+   * @param {string} notation
+   * @returns {Array<{count, sides, text}>}
+   */
+  static parseDice(notation = '') {
+    const dice = [];
+    String(notation).replace(DICE_PATTERN, (match, prefix, count, sides) => {
+      dice.push({
+        count: count === '' ? 1 : Number(count),
+        sides: Number(sides),
+        text: match.slice(prefix.length)
+      });
+      return match;
+    });
+    return dice;
+  }
+
+  /**
+   * Replace each dice term with a value produced by `valueFor(die, index)`
+   * (the ChoiceScript exporter uses it to swap dice for *rand variables)
+   */
+  static substitute(notation, valueFor) {
+    let index = 0;
+    return String(notation).replace(DICE_PATTERN, (match, prefix, count, sides) => {
+      const die = { count: count === '' ? 1 : Number(count), sides: Number(sides) };
+      return `${prefix}(${valueFor(die, index++)})`;
+    });
+  }
+
+  /**
+   * Check a notation for syntax errors and compute the range of its dice
+   * @param {string} notation
+   * @returns {Object} { valid, error?, dice, min, max, references }
+   */
+  static analyze(notation) {
+    if (typeof notation !== 'string' || !notation.trim()) {
+      return { valid: false, error: 'Roll must be a non-empty string such as "2d6 + agility"', dice: [], min: 0, max: 0, references: [] };
+    }
+
+    const dice = DiceRoller.parseDice(notation);
+    const invalidDie = dice.find(die => die.count < 1 || die.count > MAX_DICE_COUNT || die.sides < 2 || die.sides > MAX_DICE_SIDES);
+    if (invalidDie) {
+      return {
+        valid: false,
+        error: `Invalid dice "${invalidDie.text}" (use 1-${MAX_DICE_COUNT} dice with 2-${MAX_DICE_SIDES} sides)`,
+        dice,
+        min: 0,
+        max: 0,
+        references: []
+      };
+    }
+
+    const expression = DiceRoller.substitute(notation, () => 0);
+    const { valid, error } = ExpressionEvaluator.validate(expression);
+    if (!valid) {
+      return { valid: false, error, dice, min: 0, max: 0, references: [] };
+    }
+
+    return {
+      valid: true,
+      dice,
+      min: dice.reduce((sum, die) => sum + die.count, 0),
+      max: dice.reduce((sum, die) => sum + die.count * die.sides, 0),
+      references: ExpressionEvaluator.collectReferences(expression)
+    };
+  }
+
+  /**
+   * Exact probability of every total for notations that don't read game state
+   * @param {string} notation
+   * @returns {Array<{total, probability}>|null} null when the notation references state or is too large
+   */
+  static distribution(notation) {
+    const analysis = DiceRoller.analyze(notation);
+    if (!analysis.valid || analysis.references.length > 0) return null;
+    if (analysis.dice.some(die => die.count * die.sides > MAX_DISTRIBUTION_FACES)) return null;
+
+    // Distribution of each dice term's sum, then every combination of term sums
+    const termDistributions = analysis.dice.map(die => sumDistribution(die.count, die.sides));
+    const combinations = termDistributions.reduce((total, dist) => total * dist.size, 1);
+    if (combinations > MAX_DISTRIBUTION_COMBINATIONS) return null;
+
+    const totals = new Map();
+    const visit = (index, values, probability) => {
+      if (index === termDistributions.length) {
+        let valueIndex = 0;
+        const expression = DiceRoller.substitute(notation, () => values[valueIndex++]);
+        const total = Number(ExpressionEvaluator.evaluate(expression, () => undefined));
+        totals.set(total, (totals.get(total) || 0) + probability);
+        return;
+      }
+      termDistributions[index].forEach((p, sum) => visit(index + 1, [...values, sum], probability * p));
+    };
+    visit(0, [], 1);
+
+    return Array.from(totals.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([total, probability]) => ({ total, probability }));
+  }
+
+  /**
+   * Chance that a roll meets or beats a difficulty
+   * @returns {number|null} null when the distribution can't be computed
+   */
+  static successChance(notation, difficulty) {
+    const dist = DiceRoller.distribution(notation);
+    if (!dist || !Number.isFinite(Number(difficulty))) return null;
+    return dist
+      .filter(entry => entry.total >= Number(difficulty))
+      .reduce((sum, entry) => sum + entry.probability, 0);
+  }
+
+  /**
+   * Roll a notation
+   * @param {string} notation
+   * @param {SeededRandom} rng
+   * @param {Function} resolve - (namespace, key) => value, as for ExpressionEvaluator
+   * @returns {Object} { total, rolls: Array<{count, sides, results, sum}>, notation }
+   * @throws {ExpressionError|Error} for invalid notation
+   */
+  static roll(notation, rng, resolve = () => undefined) {
+    const analysis = DiceRoller.analyze(notation);
+    if (!analysis.valid) {
+      throw new Error(analysis.error);
+    }
+
+    const rolls = [];
+    const expression = DiceRoller.substitute(notation, (die) => {
+      const results = Array.from({ length: die.count }, () => rng.nextInt(1, die.sides));
+      const sum = results.reduce((total, value) => total + value, 0);
+      rolls.push({ count: die.count, sides: die.sides, results, sum });
+      return sum;
+    });
+
+    const value = Number(ExpressionEvaluator.evaluate(expression, resolve));
+    return {
+      total: Number.isFinite(value) ? value : 0,
+      rolls,
+      notation
+    };
+  }
+}
+
+// Probability of each sum of `count` dice with `sides` faces (Map sum -> probability)
+function sumDistribution(count, sides) {
+  let dist = new Map([[0, 1]]);
+  for (let i = 0; i < count; i++) {
+    const next = new Map();
+    dist.forEach((p, sum) => {
+      for (let face = 1; face <= sides; face++) {
+        next.set(sum + face, (next.get(sum + face) || 0) + p / sides);
+      }
+    });
+    dist = next;
+  }
+  return dist;
+}
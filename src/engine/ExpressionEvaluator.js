@@ -0,0 +1,596 @@
+/**
+ * ExpressionEvaluator.js - Safe expression language for conditions and formulas
+ *
+ * Expressions are tokenized and parsed into a small AST and evaluated by walking
+ * that tree; nothing is ever passed to eval/Function, and only whitelisted
+ * functions can be called.
+ *
+ * Syntax:
+ * - Literals: 12, 3.5, 'text', "text", true, false
+ * - Stats: strength (bare identifiers are stats) or stat.strength / stat["my-stat"]
+ * - Flags: flag.cursed              (true / false)
+ * - Items: item.potion              (count in inventory)
+ * - Inventory totals: inventory.weight, inventory.total (item count), inventory.value
+ * - Scenes: visited.tavern          (true / false), visits.tavern (choices made there)
+ * - Choices: choice.ask_name        (times the choice was taken)
+ * - Arithmetic: + - * / %           Comparisons: == != > >= < <=
+ * - Logic: && || ! (or and / or / not)
+ * - Functions: min, max, abs, floor, ceil, round, clamp(value, low, high)
+ *
+ * Example: strength + agility * 2 >= 15 && !flag.cursed
+ *
+ * Integration Points:
+ * - ConditionParser: `{ type: 'expression', expression: '...' }` conditions
+ * - StatsManager: computed stats (`formula` on a stat definition)
+ * - validateCondition / validateConditions: parse errors are reported with a position
+ */
+
+export const EXPRESSION_NAMESPACES = ['stat', 'flag', 'item', 'inventory', 'visited', 'visits', 'choice'];
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_NESTING_DEPTH = 64;
+
+const FUNCTIONS = {
+  min: { minArgs: 1, fn: (...args) => Math.min(...args) },
+  max: { minArgs: 1, fn: (...args) => Math.max(...args) },
+  abs: { minArgs: 1, maxArgs: 1, fn: (x) => Math.abs(x) },
+  floor: { minArgs: 1, maxArgs: 1, fn: (x) => Math.floor(x) },
+  ceil: { minArgs: 1, maxArgs: 1, fn: (x) => Math.ceil(x) },
+  round: { minArgs: 1, maxArgs: 1, fn: (x) => Math.round(x) },
+  clamp: { minArgs: 3, maxArgs: 3, fn: (x, low, high) => Math.min(Math.max(x, low), high) }
+};
+
+const KEYWORDS = {
+  and: '&&',
+  or: '||',
+  not: '!'
+};
+
+// Binary operator precedence (higher binds tighter)
+const PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+const DESCRIPTION_OPERATORS = {
+  '&&': 'AND',
+  '||': 'OR'
+};
+
+/**
+ * Shared resolver for `inventory.*` references
+ * @param {InventoryManager} inventoryManager
+ * @param {string} key - weight | total | count | value
+ * @returns {number}
+ */
+export function resolveInventoryTotal(inventoryManager, key) {
+  if (!inventoryManager) return 0;
+  switch (key) {
+    case 'weight':
+      return inventoryManager.getTotalWeight();
+    case 'total':
+    case 'count':
+      return inventoryManager.getTotalItemCount();
+    case 'value':
+      return inventoryManager.getTotalValue();
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Error thrown for malformed expressions; `position` is the 0-based source offset
+ */
+export class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position != null ? `${message} (at position ${position + 1})` : message);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+// Parsed ASTs keyed by source text; expressions are re-evaluated far more often than edited
+const parseCache = new Map();
+
+export class ExpressionEvaluator {
+  /**
+   * Parse an expression into an AST (cached by source)
+   * @param {string} source
+   * @returns {Object} AST node
+   * @throws {ExpressionError}
+   */
+  static parse(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new ExpressionError('Expression must be a non-empty string');
+    }
+    if (source.length > MAX_EXPRESSION_LENGTH) {
+      throw new ExpressionError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    if (parseCache.has(source)) {
+      return parseCache.get(source);
+    }
+
+    const parser = new Parser(tokenize(source));
+    const ast = parser.parseExpression(0);
+    parser.expectEnd();
+
+    if (parseCache.size > 500) {
+      parseCache.clear();
+    }
+    parseCache.set(source, ast);
+    return ast;
+  }
+
+  /**
+   * Check an expression for syntax errors without evaluating it
+   * @param {string} source
+   * @returns {Object} { valid, error?, position? }
+   */
+  static validate(source) {
+    try {
+      ExpressionEvaluator.parse(source);
+      return { valid: true };
+    } catch (error) {
+      return { valid: false, error: error.message, position: error.position ?? null };
+    }
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {string|Object} expression - Source text or parsed AST
+   * @param {Function} resolve - (namespace, key) => value
+   * @returns {any}
+   */
+  static evaluate(expression, resolve) {
+    const ast = typeof expression === 'string' ? ExpressionEvaluator.parse(expression) : expression;
+    return evaluateNode(ast, resolve);
+  }
+
+  /**
+   * List every state reference in an expression
+   * @param {string|Object} expression
+   * @returns {Array<{namespace, key}>}
+   */
+  static collectReferences(expression) {
+    const ast = typeof expression === 'string' ? ExpressionEvaluator.parse(expression) : expression;
+    const references = [];
+    const seen = new Set();
+
+    const visit = (node) => {
+      switch (node.type) {
+        case 'ref': {
+          const id = `${node.namespace}:${node.key}`;
+          if (!seen.has(id)) {
+            seen.add(id);
+            references.push({ namespace: node.namespace, key: node.key });
+          }
+          break;
+        }
+        case 'unary':
+          visit(node.argument);
+          break;
+        case 'binary':
+          visit(node.left);
+          visit(node.right);
+          break;
+        case 'call':
+          node.args.forEach(visit);
+          break;
+        default:
+          break;
+      }
+    };
+
+    visit(ast);
+    return references;
+  }
+
+  /**
+   * Render an expression in a readable, normalized form for UI display
+   * @param {string|Object} expression
+   * @returns {string}
+   */
+  static describe(expression) {
+    const ast = typeof expression === 'string' ? ExpressionEvaluator.parse(expression) : expression;
+    return describeNode(ast, 0);
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new ExpressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      const word = match[0];
+      const lower = word.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, lower)) {
+        tokens.push({ type: 'operator', value: KEYWORDS[lower], position: i });
+      } else if (lower === 'true' || lower === 'false') {
+        tokens.push({ type: 'boolean', value: lower === 'true', position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      }
+      i += word.length;
+      continue;
+    }
+
+    const twoChar = source.slice(i, i + 2);
+    if (['&&', '||', '==', '!=', '>=', '<='].includes(twoChar)) {
+      tokens.push({ type: 'operator', value: twoChar, position: i });
+      i += 2;
+      continue;
+    }
+
+    if ('+-*/%<>!'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if ('()[],.'.includes(char)) {
+      tokens.push({ type: 'punctuation', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '=') {
+      throw new ExpressionError('Use "==" for comparison', i);
+    }
+
+    throw new ExpressionError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isPunctuation(value) {
+    const token = this.peek();
+    return token.type === 'punctuation' && token.value === value;
+  }
+
+  expectPunctuation(value) {
+    const token = this.next();
+    if (token.type !== 'punctuation' || token.value !== value) {
+      throw new ExpressionError(`Expected "${value}" but found ${describeToken(token)}`, token.position);
+    }
+    return token;
+  }
+
+  expectEnd() {
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new ExpressionError(`Unexpected ${describeToken(token)}`, token.position);
+    }
+  }
+
+  // Precedence climbing for binary operators
+  parseExpression(minPrecedence) {
+    if (++this.depth > MAX_NESTING_DEPTH) {
+      throw new ExpressionError('Expression is nested too deeply', this.peek().position);
+    }
+
+    let left = this.parseUnary();
+
+    while (true) {
+      const token = this.peek();
+      const precedence = token.type === 'operator' ? PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) break;
+      this.next();
+      const right = this.parseExpression(precedence);
+      left = { type: 'binary', op: token.value, left, right };
+    }
+
+    this.depth--;
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === 'operator' && ['!', '-', '+'].includes(token.value)) {
+      this.next();
+      if (++this.depth > MAX_NESTING_DEPTH) {
+        throw new ExpressionError('Expression is nested too deeply', token.position);
+      }
+      const argument = this.parseUnary();
+      this.depth--;
+      return { type: 'unary', op: token.value, argument };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'boolean':
+        return { type: 'literal', value: token.value };
+      case 'punctuation':
+        if (token.value === '(') {
+          const inner = this.parseExpression(0);
+          this.expectPunctuation(')');
+          return inner;
+        }
+        break;
+      case 'identifier':
+        return this.parseIdentifier(token);
+      default:
+        break;
+    }
+
+    throw new ExpressionError(
+      token.type === 'end' ? 'Unexpected end of expression' : `Unexpected ${describeToken(token)}`,
+      token.position
+    );
+  }
+
+  parseIdentifier(token) {
+    const name = token.value;
+
+    if (this.isPunctuation('(')) {
+      const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, name.toLowerCase())
+        ? FUNCTIONS[name.toLowerCase()]
+        : null;
+      if (!definition) {
+        throw new ExpressionError(`Unknown function "${name}"`, token.position);
+      }
+      this.next();
+      const args = [];
+      if (!this.isPunctuation(')')) {
+        args.push(this.parseExpression(0));
+        while (this.isPunctuation(',')) {
+          this.next();
+          args.push(this.parseExpression(0));
+        }
+      }
+      this.expectPunctuation(')');
+      if (args.length < definition.minArgs || (definition.maxArgs && args.length > definition.maxArgs)) {
+        throw new ExpressionError(`Wrong number of arguments for ${name}()`, token.position);
+      }
+      return { type: 'call', name: name.toLowerCase(), args };
+    }
+
+    if (EXPRESSION_NAMESPACES.includes(name) && (this.isPunctuation('.') || this.isPunctuation('['))) {
+      if (this.next().value === '.') {
+        const keyToken = this.next();
+        if (keyToken.type !== 'identifier' && keyToken.type !== 'number') {
+          throw new ExpressionError(`Expected a name after "${name}."`, keyToken.position);
+        }
+        return { type: 'ref', namespace: name, key: String(keyToken.value) };
+      }
+      const keyToken = this.next();
+      if (keyToken.type !== 'string') {
+        throw new ExpressionError(`Expected a quoted name in ${name}[...]`, keyToken.position);
+      }
+      this.expectPunctuation(']');
+      return { type: 'ref', namespace: name, key: keyToken.value };
+    }
+
+    return { type: 'ref', namespace: 'stat', key: name };
+  }
+}
+
+function describeToken(token) {
+  if (token.type === 'end') return 'end of expression';
+  if (token.type === 'string') return `string "${token.value}"`;
+  return `"${token.value}"`;
+}
+
+function evaluateNode(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'ref':
+      return resolve(node.namespace, node.key);
+    case 'unary': {
+      const value = evaluateNode(node.argument, resolve);
+      if (node.op === '!') return !isTruthy(value);
+      if (node.op === '-') return -toNumber(value);
+      return toNumber(value);
+    }
+    case 'binary':
+      return evaluateBinary(node, resolve);
+    case 'call': {
+      const args = node.args.map(arg => toNumber(evaluateNode(arg, resolve)));
+      return FUNCTIONS[node.name].fn(...args);
+    }
+    default:
+      throw new ExpressionError(`Unknown expression node "${node.type}"`);
+  }
+}
+
+function evaluateBinary(node, resolve) {
+  const { op } = node;
+
+  // Short-circuit logic
+  if (op === '&&') {
+    return isTruthy(evaluateNode(node.left, resolve)) && isTruthy(evaluateNode(node.right, resolve));
+  }
+  if (op === '||') {
+    return isTruthy(evaluateNode(node.left, resolve)) || isTruthy(evaluateNode(node.right, resolve));
+  }
+
+  const left = evaluateNode(node.left, resolve);
+  const right = evaluateNode(node.right, resolve);
+
+  switch (op) {
+    case '+':
+      if ((typeof left === 'string' && !isNumeric(left)) || (typeof right === 'string' && !isNumeric(right))) {
+        return `${left ?? ''}${right ?? ''}`;
+      }
+      return toNumber(left) + toNumber(right);
+    case '-':
+      return toNumber(left) - toNumber(right);
+    case '*':
+      return toNumber(left) * toNumber(right);
+    case '/': {
+      const divisor = toNumber(right);
+      return divisor === 0 ? 0 : toNumber(left) / divisor;
+    }
+    case '%': {
+      const divisor = toNumber(right);
+      return divisor === 0 ? 0 : toNumber(left) % divisor;
+    }
+    case '==':
+      return looseEquals(left, right);
+    case '!=':
+      return !looseEquals(left, right);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=':
+      return compareOrdered(left, right, op);
+    default:
+      throw new ExpressionError(`Unknown operator "${op}"`);
+  }
+}
+
+function isNumeric(value) {
+  if (typeof value === 'number') return !Number.isNaN(value);
+  if (typeof value === 'boolean') return true;
+  if (value === null || value === undefined) return true;
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value));
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value === null || value === undefined || value === '') return 0;
+  const numeric = Number(value);
+  return Number.isNaN(numeric) ? 0 : numeric;
+}
+
+function isTruthy(value) {
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') return value.length > 0 && value !== 'false';
+  return Boolean(value);
+}
+
+function looseEquals(left, right) {
+  if (typeof left === 'boolean' || typeof right === 'boolean') {
+    return isTruthy(left) === isTruthy(right);
+  }
+  if (isNumeric(left) && isNumeric(right)) {
+    return toNumber(left) === toNumber(right);
+  }
+  return String(left ?? '') === String(right ?? '');
+}
+
+function compareOrdered(left, right, op) {
+  let a = left;
+  let b = right;
+  if (isNumeric(left) && isNumeric(right)) {
+    a = toNumber(left);
+    b = toNumber(right);
+  } else {
+    a = String(left ?? '');
+    b = String(right ?? '');
+  }
+
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+}
+
+function describeNode(node, parentPrecedence) {
+  switch (node.type) {
+    case 'literal':
+      return typeof node.value === 'string' ? `"${node.value}"` : String(node.value);
+    case 'ref':
+      return describeReference(node);
+    case 'unary': {
+      const argument = describeNode(node.argument, 7);
+      return node.op === '!' ? `NOT ${argument}` : `${node.op}${argument}`;
+    }
+    case 'binary': {
+      const precedence = PRECEDENCE[node.op];
+      const operator = DESCRIPTION_OPERATORS[node.op] || node.op;
+      const text = `${describeNode(node.left, precedence - 1)} ${operator} ${describeNode(node.right, precedence)}`;
+      return precedence <= parentPrecedence ? `(${text})` : text;
+    }
+    case 'call':
+      return `${node.name}(${node.args.map(arg => describeNode(arg, 0)).join(', ')})`;
+    default:
+      return '?';
+  }
+}
+
+function describeReference({ namespace, key }) {
+  switch (namespace) {
+    case 'stat':
+      return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : `stat "${key}"`;
+    case 'flag':
+      return `flag "${key}"`;
+    case 'item':
+      return `count of "${key}"`;
+    case 'inventory':
+      return `inventory ${key}`;
+    case 'visited':
+      return `visited "${key}"`;
+    case 'visits':
+      return `times visited "${key}"`;
+    case 'choice':
+      return `times chose "${key}"`;
+    default:
+      return `${namespace} "${key}"`;
+  }
+}
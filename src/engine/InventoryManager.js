@@ -7,20 +7,59 @@
  * - Category-based organization 
  * - Stack limits and unique items
  * - Integration with stats system
+ * - Equipment slots: items with a `slot` can be equipped; their `modifiers`
+ *   ({ stat, type: 'add' | 'multiply', value }) apply only while equipped
+ * - Crafting: recipes turn ingredients into results in one transaction that is
+ *   rolled back when any step fails (e.g. the results do not fit)
+ * - Item use: consumable (used up) and `usable` (kept) items run their `effects`, which
+ *   are StoryEngine actions, when their `requirements` hold and the scene allows it
  * - Efficient lookup and validation
  * 
  * Integration Points:
- * - StatsManager: Extends stat operations with inventory
- * - ConditionParser: Provides inventory conditions (has_item, item_count)
+ * - StatsManager: Extends stat operations with inventory, reads equipment modifiers
+ * - ConditionParser: Provides inventory conditions (has_item, item_count, item_equipped, slot_filled,
+ *   can_craft, crafted_count) and evaluates recipe requirements
  * - SaveSystem: Serializes inventory state
  * - UI Components: Provides display-ready inventory data
  */
 
+// Effect types items had before they carried StoryEngine actions (target was the stat, flag or choice);
+// effects without a type added to their target stat
+const LEGACY_EFFECT_TYPES = {
+  stat_add: 'add_stat',
+  stat_modifier: 'add_stat',
+  stat_set: 'set_stat',
+  flag_set: 'set_flag',
+  unlock_choice: 'unlock_secret'
+};
+
+/**
+ * An item's effects as StoryEngine actions; legacy { type: 'stat_add', target, value }
+ * effects become { type: 'add_stat', key, value }
+ * @param {Object} itemDef - Item definition
+ * @returns {Array} Actions
+ */
+export function getItemActions(itemDef) {
+  return (Array.isArray(itemDef?.effects) ? itemDef.effects : [])
+    .filter(effect => effect && (effect.type || effect.target))
+    .map(effect => {
+      const type = LEGACY_EFFECT_TYPES[effect.type || 'stat_add'];
+      if (!type) return effect;
+      const { target, ...rest } = effect;
+      return { ...rest, type, key: effect.key ?? target };
+    });
+}
+
 export class InventoryManager {
   constructor(statsManager, itemDefinitions = []) {
     this.statsManager = statsManager;
     this.itemDefinitions = new Map();
     this.inventory = new Map(); // itemId -> { item, quantity, acquiredAt }
+    this.equipmentSlots = new Map(); // slotId -> { id, name, capacity }
+    this.equipped = new Map(); // slotId -> itemIds, oldest first
+    this.recipes = new Map(); // recipeId -> normalized recipe
+    this.craftedCounts = new Map(); // recipeId -> times crafted this playthrough
+    this.checkingRecipes = new Set(); // Guards requirements that test can_craft on their own recipe
     
     // Performance caches
     this.categoryCache = new Map();
@@ -56,7 +95,8 @@ export class InventoryManager {
           category: item.category || 'misc',
           value: item.value || 0,
           consumable: item.consumable || false,
-          hidden: item.hidden || false
+          hidden: item.hidden || false,
+          modifiers: Array.isArray(item.modifiers) ? item.modifiers : []
         });
       }
     });
@@ -175,6 +215,7 @@ export class InventoryManager {
     
     if (newQuantity === 0) {
       this.inventory.delete(itemId);
+      if (this.releaseEquipment(itemId)) this.onEquipmentChanged();
     } else {
       this.inventory.set(itemId, {
         ...currentEntry,
@@ -243,8 +284,9 @@ export class InventoryManager {
         };
       }
 
-      this.inventory.delete(itemId);
-      this.clearCaches();
+      this.inventory.delete(itemId);
+      if (this.releaseEquipment(itemId)) this.onEquipmentChanged();
+      this.clearCaches();
       this.updateStatsIntegration(itemId, -currentQuantity);
 
       return {
@@ -320,85 +362,482 @@ export class InventoryManager {
     return entry ? entry.quantity : 0;
   }
 
+  // Consumable items are used up; `usable` ones stay in the inventory
+  isUsable(itemDef) {
+    return !!(itemDef && (itemDef.consumable || itemDef.usable));
+  }
+
   /**
-   * Use/consume item (for consumables)
+   * Whether an item can be used now
    * @param {string} itemId - Item identifier
-   * @param {number} quantity - Amount to consume (default: 1)
-   * @returns {Object} { success, message, effects }
+   * @param {Object} context - { conditionParser (checks `requirements`), scene (checked against `usableIn`), quantity }
+   * @returns {Object} { canUse, message }
    */
-  useItem(itemId, quantity = 1) {
+  getUseStatus(itemId, { conditionParser = null, scene = null, quantity = 1 } = {}) {
     const entry = this.inventory.get(itemId);
-    
     if (!entry) {
-      return {
-        success: false,
-        message: `Don't have item: ${itemId}`,
-        effects: []
-      };
+      return { canUse: false, message: `Don't have item: ${itemId}` };
     }
 
     const itemDef = entry.item;
-    
-    if (!itemDef.consumable) {
-      return {
-        success: false,
-        message: `${itemDef.name} cannot be used`,
-        effects: []
-      };
+    if (!this.isUsable(itemDef)) {
+      return { canUse: false, message: `${itemDef.name} cannot be used` };
     }
-
     if (entry.quantity < quantity) {
-      return {
-        success: false,
-        message: `Don't have enough ${itemDef.name}`,
-        effects: []
-      };
+      return { canUse: false, message: `Don't have enough ${itemDef.name}` };
+    }
+
+    // usableIn lists scene ids or scene tags; without it the item works anywhere
+    const places = Array.isArray(itemDef.usableIn) ? itemDef.usableIn.filter(Boolean) : [];
+    if (places.length > 0 && !(scene && (places.includes(scene.id) || (scene.tags || []).some(tag => places.includes(tag))))) {
+      return { canUse: false, message: `${itemDef.name} can't be used here` };
+    }
+
+    const requirements = Array.isArray(itemDef.requirements) ? itemDef.requirements : [];
+    if (requirements.length > 0 && conditionParser && !conditionParser.evaluateConditions(requirements)) {
+      return { canUse: false, message: `${itemDef.name} can't be used right now` };
+    }
+
+    return { canUse: true, message: `${itemDef.name} can be used` };
+  }
+
+  /**
+   * Use an item: consumables are removed first, then its effects run once per item used
+   * @param {string} itemId - Item identifier
+   * @param {number} quantity - Amount to use (default: 1)
+   * @param {Object} context - getUseStatus() context plus executeActions(actions) → effect descriptions;
+   *   without executeActions only stat and flag effects apply
+   * @returns {Object} { success, message, effects }
+   */
+  useItem(itemId, quantity = 1, { executeActions = null, ...context } = {}) {
+    const status = this.getUseStatus(itemId, { ...context, quantity });
+    if (!status.canUse) {
+      return { success: false, message: status.message, effects: [] };
+    }
+
+    const itemDef = this.inventory.get(itemId).item;
+    if (itemDef.consumable) {
+      this.removeItem(itemId, quantity);
+    }
+
+    const actions = getItemActions(itemDef);
+    const effects = [];
+    for (let i = 0; i < quantity; i++) {
+      effects.push(...(executeActions ? executeActions(actions) : this.executeItemEffects(actions)) || []);
     }
 
-    // Execute item effects
-    const effects = this.executeItemEffects(itemDef, quantity);
-    
-    // Remove consumed items
-    const removeResult = this.removeItem(itemId, quantity);
-    
     return {
       success: true,
       message: `Used ${quantity} ${itemDef.name}`,
-      effects: effects
+      effects
     };
   }
 
   /**
-   * Execute item effects (for consumables)
+   * Apply the stat and flag effects of an item without a StoryEngine
    * @private
    */
-  executeItemEffects(itemDef, quantity) {
+  executeItemEffects(actions) {
     const effects = [];
-    
-    if (itemDef.effects) {
-      itemDef.effects.forEach(effect => {
-        const totalEffect = effect.value * quantity;
-        
-        switch (effect.type) {
-          case 'stat_add':
-            this.statsManager.addToStat(effect.target, totalEffect);
-            effects.push(`${effect.target} +${totalEffect}`);
-            break;
-          
-          case 'stat_set':
-            this.statsManager.setStat(effect.target, effect.value);
-            effects.push(`${effect.target} set to ${effect.value}`);
-            break;
-          
-          case 'flag_set':
-            this.statsManager.setFlag(effect.target, effect.value);
-            effects.push(`${effect.target} flag set`);
-            break;
-        }
+
+    actions.forEach(action => {
+      switch (action.type) {
+        case 'add_stat':
+          this.statsManager.addToStat(action.key, action.value);
+          effects.push(`${action.key} ${action.value >= 0 ? '+' : ''}${action.value}`);
+          break;
+
+        case 'set_stat':
+          this.statsManager.setStat(action.key, action.value);
+          effects.push(`${action.key} set to ${action.value}`);
+          break;
+
+        case 'set_flag':
+          this.statsManager.setFlag(action.key, action.value);
+          effects.push(`${action.key} flag set`);
+          break;
+
+        default:
+          console.warn(`InventoryManager: Item effect "${action.type}" needs a StoryEngine to run`);
+      }
+    });
+
+    return effects;
+  }
+
+  /**
+   * Set the adventure's equipment slots
+   * @param {Array} slots - [{ id, name, capacity }]; capacity defaults to 1 (e.g. 2 for rings)
+   */
+  setEquipmentSlots(slots = []) {
+    this.equipmentSlots.clear();
+    (Array.isArray(slots) ? slots : []).forEach(slot => {
+      if (!slot?.id) return;
+      this.equipmentSlots.set(slot.id, {
+        id: slot.id,
+        name: slot.name || slot.id,
+        capacity: Number.isInteger(slot.capacity) && slot.capacity > 0 ? slot.capacity : 1
       });
+    });
+
+    // Drop anything equipped in a slot that no longer exists or got smaller
+    let changed = false;
+    this.equipped.forEach((itemIds, slotId) => {
+      const slot = this.equipmentSlots.get(slotId);
+      const kept = slot ? itemIds.slice(-slot.capacity) : [];
+      if (kept.length !== itemIds.length) changed = true;
+      if (kept.length > 0) this.equipped.set(slotId, kept);
+      else this.equipped.delete(slotId);
+    });
+    if (changed) this.onEquipmentChanged();
+  }
+
+  getEquipmentSlots() {
+    return Array.from(this.equipmentSlots.values());
+  }
+
+  /**
+   * Equip an item into its `slot`. When the slot is full, the item equipped longest
+   * ago is unequipped to make room.
+   * @param {string} itemId - Item identifier
+   * @returns {Object} { success, message, replaced: string[] }
+   */
+  equipItem(itemId) {
+    const entry = this.inventory.get(itemId);
+    if (!entry) {
+      return { success: false, message: `Don't have item: ${itemId}`, replaced: [] };
     }
-    
-    return effects;
+
+    const itemDef = entry.item;
+    if (!itemDef.slot) {
+      return { success: false, message: `${itemDef.name} cannot be equipped`, replaced: [] };
+    }
+
+    const slot = this.equipmentSlots.get(itemDef.slot);
+    if (!slot) {
+      return { success: false, message: `Unknown equipment slot: ${itemDef.slot}`, replaced: [] };
+    }
+
+    const itemIds = this.equipped.get(slot.id) || [];
+    if (itemIds.includes(itemId)) {
+      return { success: true, message: `${itemDef.name} is already equipped`, replaced: [] };
+    }
+
+    const replaced = itemIds.slice(0, Math.max(0, itemIds.length - slot.capacity + 1));
+    this.equipped.set(slot.id, [...itemIds.slice(replaced.length), itemId]);
+    this.onEquipmentChanged();
+
+    const replacedNames = replaced.map(id => this.itemDefinitions.get(id)?.name || id);
+    return {
+      success: true,
+      message: replacedNames.length > 0
+        ? `Equipped ${itemDef.name} (replaced ${replacedNames.join(', ')})`
+        : `Equipped ${itemDef.name}`,
+      replaced
+    };
+  }
+
+  /**
+   * Unequip an item; it stays in the inventory
+   * @param {string} itemId - Item identifier
+   * @returns {Object} { success, message }
+   */
+  unequipItem(itemId) {
+    const name = this.itemDefinitions.get(itemId)?.name || itemId;
+    if (!this.releaseEquipment(itemId)) {
+      return { success: false, message: `${name} is not equipped` };
+    }
+    this.onEquipmentChanged();
+    return { success: true, message: `Unequipped ${name}` };
+  }
+
+  /**
+   * Take an item out of its slot without notifying (callers do)
+   * @private
+   * @returns {boolean} whether it was equipped
+   */
+  releaseEquipment(itemId) {
+    for (const [slotId, itemIds] of this.equipped) {
+      if (!itemIds.includes(itemId)) continue;
+      const kept = itemIds.filter(id => id !== itemId);
+      if (kept.length > 0) this.equipped.set(slotId, kept);
+      else this.equipped.delete(slotId);
+      return true;
+    }
+    return false;
+  }
+
+  isEquipped(itemId) {
+    for (const itemIds of this.equipped.values()) {
+      if (itemIds.includes(itemId)) return true;
+    }
+    return false;
+  }
+
+  // Item ids in a slot, oldest first
+  getEquippedItems(slotId) {
+    return [...(this.equipped.get(slotId) || [])];
+  }
+
+  /**
+   * Every slot with what is in it, for the paper-doll view
+   * @returns {Array} [{ id, name, capacity, items: [{ id, name, icon, modifiers }] }]
+   */
+  getEquipment() {
+    return this.getEquipmentSlots().map(slot => ({
+      ...slot,
+      items: this.getEquippedItems(slot.id).map(itemId => {
+        const item = this.itemDefinitions.get(itemId);
+        return { id: itemId, name: item?.name || itemId, icon: item?.icon || '', modifiers: item?.modifiers || [] };
+      })
+    }));
+  }
+
+  /**
+   * Modifiers equipped items apply to a stat, in equip order
+   * @param {string} statId - Stat identifier
+   * @returns {Array} [{ itemId, itemName, type, value }]
+   */
+  getStatModifiers(statId) {
+    const modifiers = [];
+    this.equipped.forEach(itemIds => {
+      itemIds.forEach(itemId => {
+        const item = this.itemDefinitions.get(itemId);
+        (item?.modifiers || []).forEach(modifier => {
+          if (modifier?.stat !== statId) return;
+          modifiers.push({
+            itemId,
+            itemName: item.name,
+            type: modifier.type === 'multiply' ? 'multiply' : 'add',
+            value: Number(modifier.value) || 0
+          });
+        });
+      });
+    });
+    return modifiers;
+  }
+
+  // Serializable { [slotId]: itemIds } for saves
+  getEquipmentState() {
+    const state = {};
+    this.equipped.forEach((itemIds, slotId) => {
+      state[slotId] = [...itemIds];
+    });
+    return state;
+  }
+
+  /**
+   * Restore equipment from save data; items no longer held or slots no longer
+   * defined are skipped
+   * @param {Object} state - getEquipmentState() output
+   */
+  loadEquipmentState(state = {}) {
+    this.equipped.clear();
+    Object.entries(state || {}).forEach(([slotId, itemIds]) => {
+      const slot = this.equipmentSlots.get(slotId);
+      if (!slot || !Array.isArray(itemIds)) return;
+      const kept = itemIds
+        .filter(itemId => this.inventory.has(itemId) && this.inventory.get(itemId).item.slot === slotId)
+        .slice(-slot.capacity);
+      if (kept.length > 0) this.equipped.set(slotId, kept);
+    });
+    this.onEquipmentChanged();
+  }
+
+  /**
+   * Equipment changed: effective stats move
+   * @private
+   */
+  onEquipmentChanged() {
+    this.clearCaches();
+    this.statsManager?.onEquipmentChanged?.();
+  }
+
+  /**
+   * Set the adventure's crafting recipes
+   * @param {Array} recipes - [{ id, name, ingredients: [{ itemId, quantity }], results: [{ itemId, quantity }],
+   *   requirements?: Condition[] }]; quantities default to 1
+   */
+  setRecipes(recipes = []) {
+    const normalizeParts = parts => (Array.isArray(parts) ? parts : [])
+      .filter(part => part?.itemId)
+      .map(part => ({ itemId: part.itemId, quantity: Math.max(1, Math.floor(Number(part.quantity) || 1)) }));
+
+    this.recipes.clear();
+    (Array.isArray(recipes) ? recipes : []).forEach(recipe => {
+      if (!recipe?.id) return;
+      this.recipes.set(recipe.id, {
+        ...recipe,
+        name: recipe.name || recipe.id,
+        ingredients: normalizeParts(recipe.ingredients),
+        results: normalizeParts(recipe.results),
+        requirements: Array.isArray(recipe.requirements) ? recipe.requirements : []
+      });
+    });
+  }
+
+  getRecipe(recipeId) {
+    return this.recipes.get(recipeId) || null;
+  }
+
+  /**
+   * Whether a recipe can be crafted now, and what is missing if not
+   * @param {string} recipeId
+   * @param {ConditionParser} conditionParser - evaluates `requirements`; without one they count as met
+   * @returns {Object} { canCraft, message, missing: [{ itemId, name, required, have }], requirementsMet }
+   */
+  getCraftingStatus(recipeId, conditionParser = null) {
+    const recipe = this.recipes.get(recipeId);
+    if (!recipe) {
+      return { canCraft: false, message: `Unknown recipe: ${recipeId}`, missing: [], requirementsMet: false };
+    }
+    if (recipe.ingredients.length === 0 || recipe.results.length === 0) {
+      return { canCraft: false, message: `${recipe.name} has no ingredients or results`, missing: [], requirementsMet: true };
+    }
+
+    const missing = recipe.ingredients
+      .map(({ itemId, quantity }) => ({
+        itemId,
+        name: this.itemDefinitions.get(itemId)?.name || itemId,
+        required: quantity,
+        have: this.getItemCount(itemId)
+      }))
+      .filter(part => part.have < part.required);
+
+    let requirementsMet = true;
+    if (recipe.requirements.length > 0 && conditionParser) {
+      if (this.checkingRecipes.has(recipeId)) {
+        requirementsMet = false;
+      } else {
+        this.checkingRecipes.add(recipeId);
+        try {
+          requirementsMet = conditionParser.evaluateConditions(recipe.requirements);
+        } finally {
+          this.checkingRecipes.delete(recipeId);
+        }
+      }
+    }
+
+    let message = `Can craft ${recipe.name}`;
+    if (missing.length > 0) {
+      message = `Missing ${missing.map(part => `${part.required - part.have} ${part.name}`).join(', ')}`;
+    } else if (!requirementsMet) {
+      message = `Requirements for ${recipe.name} are not met`;
+    }
+    return { canCraft: missing.length === 0 && requirementsMet, message, missing, requirementsMet };
+  }
+
+  canCraft(recipeId, conditionParser = null) {
+    return this.getCraftingStatus(recipeId, conditionParser).canCraft;
+  }
+
+  /**
+   * Craft a recipe: remove its ingredients and add its results as one transaction.
+   * If any step fails (including results that do not fully fit) the inventory is
+   * restored to what it was before.
+   * @param {string} recipeId
+   * @param {ConditionParser} conditionParser - evaluates `requirements`
+   * @returns {Object} { success, message, results: [{ itemId, quantity }] }
+   */
+  craft(recipeId, conditionParser = null) {
+    const status = this.getCraftingStatus(recipeId, conditionParser);
+    if (!status.canCraft) {
+      return { success: false, message: status.message, results: [] };
+    }
+
+    const recipe = this.recipes.get(recipeId);
+    const snapshot = this.createSnapshot();
+    const fail = message => {
+      this.restoreSnapshot(snapshot);
+      return { success: false, message: `Could not craft ${recipe.name}: ${message}`, results: [] };
+    };
+
+    for (const { itemId, quantity } of recipe.ingredients) {
+      const result = this.removeItem(itemId, quantity);
+      if (!result.success) return fail(result.message);
+    }
+    for (const { itemId, quantity } of recipe.results) {
+      const before = this.getItemCount(itemId);
+      const result = this.addItem(itemId, quantity);
+      if (!result.success || result.newQuantity - before !== quantity) {
+        const name = this.itemDefinitions.get(itemId)?.name || itemId;
+        return fail(result.success ? `no room for ${quantity} ${name}` : result.message);
+      }
+    }
+
+    this.craftedCounts.set(recipeId, this.getCraftedCount(recipeId) + 1);
+    return {
+      success: true,
+      message: `Crafted ${recipe.name}`,
+      results: recipe.results.map(part => ({ ...part }))
+    };
+  }
+
+  getCraftedCount(recipeId) {
+    return this.craftedCounts.get(recipeId) || 0;
+  }
+
+  // Serializable { [recipeId]: count } for saves
+  getCraftedCounts() {
+    return Object.fromEntries(this.craftedCounts);
+  }
+
+  loadCraftedCounts(counts = {}) {
+    this.craftedCounts = new Map(Object.entries(counts || {})
+      .filter(([recipeId, count]) => this.recipes.has(recipeId) && Number.isInteger(count) && count > 0));
+  }
+
+  /**
+   * Recipes with their current status, for crafting screens. Hidden recipes are
+   * left out until they can be crafted or have been crafted once.
+   * @param {ConditionParser} conditionParser
+   * @returns {Array} { ...recipe, canCraft, message, requirementsMet, craftedCount,
+   *   ingredients: [{ itemId, quantity, name, icon, have }], results: [{ itemId, quantity, name, icon }] }
+   */
+  getRecipeList(conditionParser = null) {
+    const describe = part => {
+      const itemDef = this.itemDefinitions.get(part.itemId);
+      return { ...part, name: itemDef?.name || part.itemId, icon: itemDef?.icon || '' };
+    };
+
+    return [...this.recipes.values()]
+      .map(recipe => {
+        const status = this.getCraftingStatus(recipe.id, conditionParser);
+        return {
+          ...recipe,
+          canCraft: status.canCraft,
+          message: status.message,
+          requirementsMet: status.requirementsMet,
+          craftedCount: this.getCraftedCount(recipe.id),
+          ingredients: recipe.ingredients.map(part => ({ ...describe(part), have: this.getItemCount(part.itemId) })),
+          results: recipe.results.map(describe)
+        };
+      })
+      .filter(recipe => !recipe.hidden || recipe.canCraft || recipe.craftedCount > 0);
+  }
+
+  /**
+   * Inventory, equipment and the total_items stat, for rolling back a failed transaction
+   * @private
+   */
+  createSnapshot() {
+    return {
+      inventory: new Map(this.inventory),
+      equipped: new Map([...this.equipped].map(([slotId, itemIds]) => [slotId, [...itemIds]])),
+      totalItems: this.statsManager?.hasStatDefinition?.('total_items') ? this.statsManager.getBaseStat('total_items') : undefined
+    };
+  }
+
+  /**
+   * @private
+   */
+  restoreSnapshot(snapshot) {
+    this.inventory = new Map(snapshot.inventory);
+    this.equipped = new Map(snapshot.equipped);
+    if (snapshot.totalItems !== undefined && !this.statsManager.isComputedStat?.('total_items')) {
+      this.statsManager.setStat('total_items', snapshot.totalItems, false);
+    }
+    this.onEquipmentChanged();
   }
 
   /**
@@ -440,6 +879,8 @@ export class InventoryManager {
       categoryData.items.push({
         id: itemId,
         ...entry,
+        equipped: this.isEquipped(itemId),
+        usable: this.isUsable(item),
         totalValue: (item.value || 0) * entry.quantity
       });
       categoryData.totalQuantity += entry.quantity;
@@ -656,25 +1097,31 @@ export class InventoryManager {
 
   /**
    * Load inventory from save data
-   * @param {Object} saveData - Inventory data from save file
+   * @param {Object|Array} saveData - exportToSave() output, or the getAllItems() list SaveSystem stores
    */
   loadFromSave(saveData) {
     this.inventory.clear();
     
-    if (saveData && saveData.inventory) {
-      Object.entries(saveData.inventory).forEach(([itemId, data]) => {
-        const itemDef = this.itemDefinitions.get(itemId);
-        if (itemDef) {
-          this.inventory.set(itemId, {
-            item: itemDef,
-            quantity: data.quantity || 1,
-            acquiredAt: data.acquiredAt || Date.now()
-          });
-        }
-      });
+    const entries = Array.isArray(saveData)
+      ? saveData.map(data => [data?.id, { quantity: data?.count, acquiredAt: data?.acquiredAt }])
+      : Object.entries(saveData?.inventory || {});
+
+    entries.forEach(([itemId, data]) => {
+      const itemDef = this.itemDefinitions.get(itemId);
+      if (itemDef) {
+        this.inventory.set(itemId, {
+          item: itemDef,
+          quantity: data.quantity || 1,
+          acquiredAt: data.acquiredAt || Date.now()
+        });
+      }
+    });
+
+    // Also clears caches; SaveSystem's item list carries no equipment or crafting counts (they are saved separately)
+    this.loadEquipmentState(Array.isArray(saveData) ? {} : saveData?.equipment);
+    if (!Array.isArray(saveData)) {
+      this.loadCraftedCounts(saveData?.crafted);
     }
-    
-    this.clearCaches();
   }
 
   /**
@@ -693,6 +1140,8 @@ export class InventoryManager {
 
     return {
       inventory: inventoryData,
+      equipment: this.getEquipmentState(),
+      crafted: this.getCraftedCounts(),
       metadata: {
         totalItems: this.inventory.size,
         lastUpdate: Date.now()
@@ -746,8 +1195,8 @@ export class InventoryManager {
       return;
     }
 
-    if (this.statsManager.hasStatDefinition('total_items')) {
-      const currentTotal = this.statsManager.getStat('total_items') || 0;
+    if (this.statsManager.hasStatDefinition('total_items') && !this.statsManager.isComputedStat?.('total_items')) {
+      const currentTotal = this.statsManager.getBaseStat('total_items') || 0;
       this.statsManager.setStat('total_items', Math.max(0, currentTotal + quantityChange));
     }
   }
@@ -777,6 +1226,9 @@ export class InventoryManager {
     this.categoryCache.clear();
     this.displayCache = null;
     this.lastCacheUpdate = 0;
+
+    // Inventory changed: let StatsManager refresh formulas that read items or totals
+    this.statsManager?.onInventoryChanged?.();
   }
 
   /**
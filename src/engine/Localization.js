@@ -0,0 +1,280 @@
+/**
+ * Localization.js - Per-locale string tables for player-visible adventure text
+ *
+ * The adventure is written in one source language; translations live next to it:
+ *
+ *   adventure.localization = {
+ *     sourceLocale: 'en',
+ *     translations: { fr: { 'scene.intro.title': 'Bienvenue', ... } }
+ *   }
+ *
+ * Every translatable string has a stable ID derived from the ids of what owns it:
+ * - scene.<sceneId>.title / scene.<sceneId>.content
+ * - choice.<sceneId>.<choiceId>.text
+ * - dialogue.<sceneId>.<lineId>.text for a scene's dialogue lines
+ * - shop.<sceneId>.name / shop.<sceneId>.description for a scene's shop
+ * - stat.<statId>.name / stat.<statId>.description
+ * - item.<itemId>.name / item.<itemId>.description
+ * - achievement.<achievementId>.name / achievement.<achievementId>.description
+ * - recipe.<recipeId>.name / recipe.<recipeId>.description
+ * - status.<effectId>.name / status.<effectId>.description
+ * - character.<characterId>.name / character.<characterId>.description
+ * - characterStat.<characterId>.<statId>.name
+ * - quest.<questId>.name / quest.<questId>.description
+ * - questObjective.<questId>.<objectiveId>.description
+ * - lock.<key> for the lock reasons ChoiceEvaluator shows (see LOCK_MESSAGES)
+ * Missing or empty translations fall back to the source text.
+ *
+ * Integration Points:
+ * - StoryEngine: setLocale() plays a localized copy of the adventure
+ * - ValidationService: translation-coverage rule and getTranslationCoverage()
+ * - TranslationExporter / TranslationImporter: XLIFF 2.0 and gettext PO round trips
+ */
+
+import { LOCK_MESSAGES } from './ChoiceEvaluator.js';
+
+export const DEFAULT_SOURCE_LOCALE = 'en';
+
+const LOCK_MESSAGE_CONTEXT = {
+  oneTime: 'Lock reason: a one-time choice was already used',
+  noUses: 'Lock reason: a choice has no uses left',
+  cooldown: 'Lock reason: a choice is cooling down ({seconds} is replaced with the seconds left)',
+  selectableIf: 'Lock reason: the conditions to select a choice are not met'
+};
+
+const hasText = value => typeof value === 'string' && value.trim() !== '';
+
+export function getSourceLocale(adventure) {
+  return adventure?.localization?.sourceLocale || DEFAULT_SOURCE_LOCALE;
+}
+
+// Source locale first, then every locale with a string table
+export function getLocales(adventure) {
+  const locales = [getSourceLocale(adventure), ...Object.keys(adventure?.localization?.translations || {})];
+  return [...new Set(locales)];
+}
+
+// Human-readable language name for a locale code ('fr' -> 'français'), falling back to the code
+export function getLocaleName(locale) {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+  } catch (error) {
+    return locale;
+  }
+}
+
+export function getTranslations(adventure, locale) {
+  return adventure?.localization?.translations?.[locale] || {};
+}
+
+/**
+ * Every translatable string in the adventure, in a stable order
+ * @param {Object} adventure
+ * @returns {Array<{id: string, text: string, context: string}>}
+ */
+export function collectStrings(adventure) {
+  const strings = [];
+  const add = (id, text, context) => {
+    if (hasText(text)) strings.push({ id, text, context });
+  };
+
+  (adventure?.scenes || []).forEach(scene => {
+    if (!scene?.id) return;
+    const label = scene.title || scene.id;
+    add(`scene.${scene.id}.title`, scene.title, `Scene "${label}" title`);
+    add(`scene.${scene.id}.content`, scene.content, `Scene "${label}" content`);
+    (scene.choices || []).forEach(choice => {
+      if (!choice?.id) return;
+      add(`choice.${scene.id}.${choice.id}.text`, choice.text, `Choice in scene "${label}"`);
+    });
+    (scene.dialogue || []).forEach(line => {
+      if (!line?.id) return;
+      add(`dialogue.${scene.id}.${line.id}.text`, line.text, `Dialogue line${line.speaker ? ` of "${line.speaker}"` : ''} in scene "${label}"`);
+    });
+    if (scene.shop) {
+      add(`shop.${scene.id}.name`, scene.shop.name, `Shop name in scene "${label}"`);
+      add(`shop.${scene.id}.description`, scene.shop.description, `Shop description in scene "${label}"`);
+    }
+  });
+
+  (adventure?.stats || []).forEach(stat => {
+    if (!stat?.id) return;
+    add(`stat.${stat.id}.name`, stat.name, `Stat "${stat.id}" name`);
+    add(`stat.${stat.id}.description`, stat.description, `Stat "${stat.id}" description`);
+  });
+
+  (adventure?.inventory || []).forEach(item => {
+    if (!item?.id) return;
+    add(`item.${item.id}.name`, item.name, `Item "${item.id}" name`);
+    add(`item.${item.id}.description`, item.description, `Item "${item.id}" description`);
+  });
+
+  (adventure?.achievements || []).forEach(achievement => {
+    if (!achievement?.id) return;
+    add(`achievement.${achievement.id}.name`, achievement.name, `Achievement "${achievement.id}" name`);
+    add(`achievement.${achievement.id}.description`, achievement.description, `Achievement "${achievement.id}" description`);
+  });
+
+  (adventure?.recipes || []).forEach(recipe => {
+    if (!recipe?.id) return;
+    add(`recipe.${recipe.id}.name`, recipe.name, `Recipe "${recipe.id}" name`);
+    add(`recipe.${recipe.id}.description`, recipe.description, `Recipe "${recipe.id}" description`);
+  });
+
+  (adventure?.statusEffects || []).forEach(effect => {
+    if (!effect?.id) return;
+    add(`status.${effect.id}.name`, effect.name, `Status effect "${effect.id}" name`);
+    add(`status.${effect.id}.description`, effect.description, `Status effect "${effect.id}" description`);
+  });
+
+  (adventure?.characters || []).forEach(character => {
+    if (!character?.id) return;
+    add(`character.${character.id}.name`, character.name, `Character "${character.id}" name`);
+    add(`character.${character.id}.description`, character.description, `Character "${character.id}" description`);
+    (character.stats || []).forEach(stat => {
+      if (!stat?.id) return;
+      add(`characterStat.${character.id}.${stat.id}.name`, stat.name, `Stat "${stat.id}" of character "${character.id}" name`);
+    });
+  });
+
+  (adventure?.quests || []).forEach(quest => {
+    if (!quest?.id) return;
+    add(`quest.${quest.id}.name`, quest.name, `Quest "${quest.id}" name`);
+    add(`quest.${quest.id}.description`, quest.description, `Quest "${quest.id}" description`);
+    (quest.objectives || []).forEach(objective => {
+      if (!objective?.id) return;
+      add(`questObjective.${quest.id}.${objective.id}.description`, objective.description, `Objective "${objective.id}" of quest "${quest.id}"`);
+    });
+  });
+
+  Object.entries(LOCK_MESSAGES).forEach(([key, text]) => {
+    add(`lock.${key}`, text, LOCK_MESSAGE_CONTEXT[key] || 'Lock reason');
+  });
+
+  return strings;
+}
+
+/**
+ * The adventure as played in a locale. Returns the adventure itself for the source
+ * locale or a locale without a string table, otherwise a copy with the translated
+ * strings swapped in (scenes, choices, dialogue lines, shops, stats, items, achievements, recipes, status
+ * effects, characters and quests are new objects; nothing is mutated).
+ */
+export function localizeAdventure(adventure, locale) {
+  if (!adventure || !locale || locale === getSourceLocale(adventure)) return adventure;
+  const table = adventure.localization?.translations?.[locale];
+  if (!table) return adventure;
+
+  const translate = (id, text) => (hasText(table[id]) ? table[id] : text);
+  const withText = (object, prefix, fields) => {
+    const copy = { ...object };
+    fields.forEach(field => {
+      if (hasText(object[field])) copy[field] = translate(`${prefix}.${field}`, object[field]);
+    });
+    return copy;
+  };
+
+  return {
+    ...adventure,
+    scenes: (adventure.scenes || []).map(scene => (scene?.id
+      ? {
+        ...withText(scene, `scene.${scene.id}`, ['title', 'content']),
+        choices: (scene.choices || []).map(choice => (choice?.id
+          ? withText(choice, `choice.${scene.id}.${choice.id}`, ['text'])
+          : choice)),
+        ...(Array.isArray(scene.dialogue) ? {
+          dialogue: scene.dialogue.map(line => (line?.id ? withText(line, `dialogue.${scene.id}.${line.id}`, ['text']) : line))
+        } : {}),
+        ...(scene.shop ? { shop: withText(scene.shop, `shop.${scene.id}`, ['name', 'description']) } : {})
+      }
+      : scene)),
+    stats: adventure.stats && adventure.stats.map(stat => (stat?.id ? withText(stat, `stat.${stat.id}`, ['name', 'description']) : stat)),
+    inventory: adventure.inventory && adventure.inventory.map(item => (item?.id ? withText(item, `item.${item.id}`, ['name', 'description']) : item)),
+    achievements: adventure.achievements && adventure.achievements.map(achievement => (achievement?.id
+      ? withText(achievement, `achievement.${achievement.id}`, ['name', 'description'])
+      : achievement)),
+    recipes: adventure.recipes && adventure.recipes.map(recipe => (recipe?.id ? withText(recipe, `recipe.${recipe.id}`, ['name', 'description']) : recipe)),
+    statusEffects: adventure.statusEffects && adventure.statusEffects.map(effect => (effect?.id
+      ? withText(effect, `status.${effect.id}`, ['name', 'description'])
+      : effect)),
+    characters: adventure.characters && adventure.characters.map(character => (character?.id
+      ? {
+        ...withText(character, `character.${character.id}`, ['name', 'description']),
+        ...(Array.isArray(character.stats) ? {
+          stats: character.stats.map(stat => (stat?.id ? withText(stat, `characterStat.${character.id}.${stat.id}`, ['name']) : stat))
+        } : {})
+      }
+      : character)),
+    quests: adventure.quests && adventure.quests.map(quest => (quest?.id
+      ? {
+        ...withText(quest, `quest.${quest.id}`, ['name', 'description']),
+        ...(Array.isArray(quest.objectives) ? {
+          objectives: quest.objectives.map(objective => (objective?.id
+            ? withText(objective, `questObjective.${quest.id}.${objective.id}`, ['description'])
+            : objective))
+        } : {})
+      }
+      : quest))
+  };
+}
+
+// Lock reason templates for ChoiceEvaluator in a locale (untranslated ones stay in the source language)
+export function getLockMessages(adventure, locale) {
+  const table = locale && locale !== getSourceLocale(adventure) ? getTranslations(adventure, locale) : {};
+  return Object.fromEntries(Object.entries(LOCK_MESSAGES).map(([key, text]) => [
+    key,
+    hasText(table[`lock.${key}`]) ? table[`lock.${key}`] : text
+  ]));
+}
+
+/**
+ * Add or replace translations for one locale
+ * @param {Object} adventure
+ * @param {string} locale
+ * @param {Object} strings - { [stringId]: text }; empty texts remove the entry
+ * @returns {Object} A new adventure with the merged localization
+ */
+export function mergeTranslations(adventure, locale, strings = {}) {
+  const localization = adventure.localization || {};
+  const table = { ...(localization.translations?.[locale] || {}) };
+  Object.entries(strings).forEach(([id, text]) => {
+    if (hasText(text)) table[id] = text;
+    else delete table[id];
+  });
+
+  return {
+    ...adventure,
+    localization: {
+      ...localization,
+      sourceLocale: getSourceLocale(adventure),
+      translations: { ...(localization.translations || {}), [locale]: table }
+    }
+  };
+}
+
+/**
+ * How much of the adventure each locale translates
+ * @returns {Object} { sourceLocale, total, locales: Array<{ locale, translated, total, percent, missing: string[], unused: string[] }> }
+ */
+export function getTranslationCoverage(adventure) {
+  const strings = collectStrings(adventure);
+  const ids = new Set(strings.map(entry => entry.id));
+  const sourceLocale = getSourceLocale(adventure);
+
+  const locales = Object.entries(adventure?.localization?.translations || {})
+    .filter(([locale]) => locale !== sourceLocale)
+    .map(([locale, table]) => {
+      const missing = strings.filter(entry => !hasText(table?.[entry.id])).map(entry => entry.id);
+      const translated = strings.length - missing.length;
+      return {
+        locale,
+        translated,
+        total: strings.length,
+        percent: strings.length > 0 ? Math.floor((translated / strings.length) * 100) : 100,
+        missing,
+        unused: Object.keys(table || {}).filter(id => !ids.has(id))
+      };
+    });
+
+  return { sourceLocale, total: strings.length, locales };
+}
@@ -0,0 +1,186 @@
+/**
+ * PlayerProfile.js - What the player has done across every playthrough, per adventure
+ *
+ * Unlike save slots, the profile outlives restarts, rewinds and deleted saves:
+ * - playthroughs: how many playthroughs reached an ending
+ * - endings: { [sceneId]: { count, firstSeen, lastSeen } } (an ending is a scene with
+ *   no choices, or one marked isEnding)
+ * - metaFlags: { [id]: value } set by set_meta_flag actions (declared in adventure.metaFlags)
+ * - achievements: unlock entries kept by AchievementManager
+ *
+ * ConditionParser reads it through the meta_flag, ending_seen, playthrough_count and
+ * achievement_unlocked condition types, so adventures can unlock content on replay.
+ * Every call reads storage, so engines sharing a page never overwrite each other;
+ * without storage (StateSpaceExplorer) the profile lives in memory.
+ *
+ * Integration Points:
+ * - StoryEngine: records endings and meta flags, owns the instance as `playerProfile`
+ * - SaveLoadMenu: Profile tab with export, import and reset
+ */
+
+const STORAGE_KEY = 'adventure_player_profile';
+const EXPORT_FORMAT = 'adventure-player-profile';
+export const PROFILE_VERSION = 1;
+
+// Scenes whose arrival counts as an ending: marked isEnding, or without choices
+export const isEnding = scene => !!scene && (scene.isEnding === true || !scene.choices || scene.choices.length === 0);
+
+const emptyProfile = () => ({ version: PROFILE_VERSION, adventures: {} });
+
+const normalizeRecord = (record = {}) => ({
+  playthroughs: Number.isInteger(record.playthroughs) && record.playthroughs > 0 ? record.playthroughs : 0,
+  endings: record.endings && typeof record.endings === 'object' ? { ...record.endings } : {},
+  metaFlags: record.metaFlags && typeof record.metaFlags === 'object' ? { ...record.metaFlags } : {},
+  achievements: Array.isArray(record.achievements) ? record.achievements.filter(entry => entry?.id) : []
+});
+
+export class PlayerProfile {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.memory = emptyProfile();
+    this.version = 0; // Bumped on every change this instance makes (ConditionParser cache key)
+  }
+
+  read() {
+    if (!this.storage) return this.memory;
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || 'null');
+      return stored && typeof stored.adventures === 'object' ? stored : emptyProfile();
+    } catch (error) {
+      console.warn('PlayerProfile: Failed to read profile, starting empty:', error);
+      return emptyProfile();
+    }
+  }
+
+  write(profile) {
+    this.version++;
+    if (!this.storage) {
+      this.memory = profile;
+      return;
+    }
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(profile));
+    } catch (error) {
+      console.warn('PlayerProfile: Failed to store profile:', error);
+    }
+  }
+
+  getVersion() {
+    return this.version;
+  }
+
+  getRecord(adventureId) {
+    return normalizeRecord(this.read().adventures[adventureId]);
+  }
+
+  // Read-modify-write of one adventure's record
+  updateRecord(adventureId, change) {
+    const profile = this.read();
+    const record = normalizeRecord(profile.adventures[adventureId]);
+    change(record);
+    this.write({ ...profile, adventures: { ...profile.adventures, [adventureId]: record } });
+    return record;
+  }
+
+  /**
+   * Record reaching an ending
+   * @param {string} adventureId
+   * @param {string} sceneId
+   * @param {Object} options - { completesPlaythrough: false for a second ending in the same playthrough }
+   * @returns {boolean} true the first time this ending is seen
+   */
+  recordEnding(adventureId, sceneId, { completesPlaythrough = true } = {}) {
+    let firstTime = false;
+    this.updateRecord(adventureId, record => {
+      const now = Date.now();
+      const seen = record.endings[sceneId];
+      firstTime = !seen;
+      record.endings[sceneId] = {
+        count: (seen?.count || 0) + 1,
+        firstSeen: seen?.firstSeen || now,
+        lastSeen: now
+      };
+      if (completesPlaythrough) record.playthroughs += 1;
+    });
+    return firstTime;
+  }
+
+  hasSeenEnding(adventureId, sceneId) {
+    return !!this.getRecord(adventureId).endings[sceneId];
+  }
+
+  getEndingsSeen(adventureId) {
+    return Object.keys(this.getRecord(adventureId).endings);
+  }
+
+  getPlaythroughCount(adventureId) {
+    return this.getRecord(adventureId).playthroughs;
+  }
+
+  getMetaFlag(adventureId, id) {
+    return this.getRecord(adventureId).metaFlags[id];
+  }
+
+  setMetaFlag(adventureId, id, value) {
+    this.updateRecord(adventureId, record => {
+      record.metaFlags[id] = value;
+    });
+  }
+
+  getAchievements(adventureId) {
+    return this.getRecord(adventureId).achievements;
+  }
+
+  setAchievements(adventureId, entries = []) {
+    this.updateRecord(adventureId, record => {
+      record.achievements = entries;
+    });
+  }
+
+  hasAchievement(adventureId, id) {
+    return this.getAchievements(adventureId).some(entry => entry.id === id);
+  }
+
+  // The whole profile (every adventure) as a JSON file
+  exportProfile() {
+    return JSON.stringify({ format: EXPORT_FORMAT, exportedAt: Date.now(), ...this.read() }, null, 2);
+  }
+
+  /**
+   * Replace the profile with an exported one
+   * @param {string|Object} data - exportProfile() output
+   * @returns {Object} { success, message }
+   */
+  importProfile(data) {
+    let parsed;
+    try {
+      parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (error) {
+      return { success: false, message: 'Profile file is not valid JSON' };
+    }
+    if (!parsed || parsed.format !== EXPORT_FORMAT || typeof parsed.adventures !== 'object') {
+      return { success: false, message: 'Not a player profile export' };
+    }
+    if (parsed.version > PROFILE_VERSION) {
+      return { success: false, message: `Profile version ${parsed.version} is newer than this player supports` };
+    }
+
+    const adventures = Object.fromEntries(Object.entries(parsed.adventures)
+      .map(([adventureId, record]) => [adventureId, normalizeRecord(record)]));
+    this.write({ version: PROFILE_VERSION, adventures });
+    return { success: true, message: `Imported profile for ${Object.keys(adventures).length} adventure(s)` };
+  }
+
+  // Forget one adventure, or everything when no id is given
+  reset(adventureId = null) {
+    if (adventureId === null) {
+      this.write(emptyProfile());
+      return;
+    }
+    const profile = this.read();
+    const { [adventureId]: removed, ...adventures } = profile.adventures;
+    this.write({ ...profile, adventures });
+  }
+}
+
+export default PlayerProfile;
@@ -0,0 +1,77 @@
+/**
+ * PlayerSettings.js - Player preferences that belong to the browser, not to a save
+ *
+ * Settings:
+ * - timerScale: accessibility override for timed choices. 1 plays time limits as
+ *   written, 2 and 3 stretch them, 0 turns them off.
+ * - locale: language to play adventures in (null = the adventure's source language);
+ *   adventures without that translation fall back to their source language.
+ *
+ * Integration Points:
+ * - GameContext: loads the settings and applies them to the StoryEngine
+ * - GameScreen: settings controls in the sidebar
+ */
+
+const STORAGE_KEY = 'adventure_player_settings';
+
+export const DEFAULT_PLAYER_SETTINGS = {
+  timerScale: 1,
+  locale: null
+};
+
+export const TIMER_SCALE_OPTIONS = [
+  { value: 1, label: 'As written' },
+  { value: 2, label: 'Double time' },
+  { value: 3, label: 'Triple time' },
+  { value: 0, label: 'No time limits' }
+];
+
+export class PlayerSettings {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+    this.settings = this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '{}');
+      return PlayerSettings.normalize({ ...DEFAULT_PLAYER_SETTINGS, ...saved });
+    } catch (error) {
+      console.warn('PlayerSettings: Failed to read settings, using defaults:', error);
+      return { ...DEFAULT_PLAYER_SETTINGS };
+    }
+  }
+
+  get() {
+    return { ...this.settings };
+  }
+
+  update(changes = {}) {
+    this.settings = PlayerSettings.normalize({ ...this.settings, ...changes });
+    try {
+      this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('PlayerSettings: Failed to store settings:', error);
+    }
+    return this.get();
+  }
+
+  // Push the settings the engine cares about into a StoryEngine
+  applyTo(storyEngine) {
+    storyEngine?.setTimerScale?.(this.settings.timerScale);
+    if (storyEngine && storyEngine.locale !== this.settings.locale) {
+      storyEngine.setLocale?.(this.settings.locale);
+    }
+  }
+
+  static normalize(settings) {
+    const timerScale = Number(settings.timerScale);
+    return {
+      ...settings,
+      timerScale: Number.isFinite(timerScale) && timerScale >= 0 ? timerScale : DEFAULT_PLAYER_SETTINGS.timerScale,
+      locale: typeof settings.locale === 'string' && settings.locale.trim() ? settings.locale.trim() : null
+    };
+  }
+}
+
+export default PlayerSettings;
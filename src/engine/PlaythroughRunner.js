@@ -0,0 +1,397 @@
+/**
+ * PlaythroughRunner.js - Headless scripted playthroughs for regression-testing adventures
+ *
+ * A playthrough spec picks choices from the start scene and checks the state after each:
+ *
+ *   {
+ *     name: 'gate with enough gold',
+ *     seed: 42,                       // optional; replaces adventure.randomSeed
+ *     steps: [
+ *       { choose: 'a' },
+ *       { choose: 'riddle', input: 'echo' },
+ *       { choose: 'b', expect: { scene: 'castle_gate', stats: { gold: { gte: 10 } }, inventory: { key: true } } }
+ *     ]
+ *   }
+ *
+ * Shorthand: { name, choices: ['a', 'c', 'b'], expect } checks `expect` once, after the last choice.
+ * A step without `choose` only checks (a first step like that checks the start scene).
+ *
+ * Expectations:
+ * - scene: id of the current scene
+ * - stats: { statId: value | { eq|ne|gt|gte|lt|lte: value, ... } } on effective values
+ * - flags: { flagId: true | false }
+ * - inventory: { itemId: true (held) | false (not held) | count | { eq|ne|gt|gte|lt|lte: count } }
+ * - choices: { visible, hidden, selectable, locked } lists of choice ids in the current scene
+ *   (visible = shown to the player, locked or not; hidden = not shown)
+ *
+ * A step whose choice can't be taken fails and the steps after it are skipped. Real-time
+ * delays have run out by the time the next step runs, choice timers are off and the player
+ * profile lives in memory, so a spec plays the same way every time.
+ *
+ * Results format as TAP (formatTap) or JUnit XML (formatJUnit), and registerPlaythroughTests
+ * turns specs into node:test tests.
+ *
+ * Integration Points:
+ * - StoryEngine: plays each spec on a fresh engine (no DOM needed)
+ * - tests/: registerPlaythroughTests(test, adventure, specs) under `node --test`
+ */
+
+import { StoryEngine } from './StoryEngine.js';
+import { PlayerProfile } from './PlayerProfile.js';
+import { withQuietConsole } from '../utils/quietConsole.js';
+
+export const EXPECTATION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describeValue = value => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+/**
+ * The steps a spec plays, with the choices shorthand expanded
+ * @param {Object} spec
+ * @returns {Array} [{ choose?, input?, expect?, name? }]
+ */
+export function normalizeSteps(spec) {
+  if (Array.isArray(spec?.steps)) return spec.steps.map(step => (typeof step === 'string' ? { choose: step } : step || {}));
+  const steps = (Array.isArray(spec?.choices) ? spec.choices : []).map(choose => ({ choose }));
+  if (spec?.expect) {
+    if (steps.length > 0) steps[steps.length - 1].expect = spec.expect;
+    else steps.push({ expect: spec.expect });
+  }
+  return steps;
+}
+
+function describeStep(step, index) {
+  if (step.name) return step.name;
+  if (step.choose === undefined) return index === 0 ? 'start' : 'check';
+  return step.input !== undefined ? `choose '${step.choose}' with ${describeValue(step.input)}` : `choose '${step.choose}'`;
+}
+
+export class PlaythroughRunner {
+  /**
+   * @param {Object} adventure - Adventure in the 'adventure' export format
+   * @param {Object} options - { verbose? } (verbose keeps the engine's console output)
+   */
+  constructor(adventure, options = {}) {
+    this.adventure = adventure;
+    this.verbose = !!options.verbose;
+  }
+
+  /**
+   * Play one spec on a fresh engine
+   * @param {Object} spec
+   * @returns {Promise<Object>} {
+   *   name, passed, durationMs,
+   *   steps: [{ index, description, choiceId, sceneId, passed, skipped, durationMs, failures: [{ message, expected, actual }] }]
+   * }
+   */
+  async run(spec) {
+    const name = spec?.name || 'playthrough';
+    const startedAt = Date.now();
+    const engine = new StoryEngine();
+    engine.setValidationEnabled(false);
+    engine.setTimerScale(0);
+    // Scripted play must not touch the player's profile (endings, meta flags, achievements)
+    engine.setPlayerProfile(new PlayerProfile(null));
+
+    // The engine logs every step; keep reports readable. Only synchronous engine calls are
+    // muted (loading is synchronous with validation off), never across an await
+    const quietly = fn => (this.verbose ? fn() : withQuietConsole(fn));
+
+    const steps = [];
+    try {
+      // The engine keeps references to scene objects; play on a copy
+      const adventure = JSON.parse(JSON.stringify(this.adventure));
+      if (spec?.seed !== undefined) adventure.randomSeed = spec.seed;
+      await quietly(() => engine.loadAdventure(adventure));
+
+      let stopped = null;
+      if (!engine.getCurrentScene()) {
+        const message = `Start scene '${this.adventure?.startSceneId}' not found`;
+        steps.push({ index: 0, description: 'start', choiceId: null, sceneId: null, passed: false, skipped: false, durationMs: 0, failures: [{ message }] });
+        stopped = message;
+      }
+
+      quietly(() => normalizeSteps(spec).forEach((step, index) => {
+        const stepStartedAt = Date.now();
+        const result = {
+          index: steps.length,
+          description: describeStep(step, index),
+          choiceId: step.choose ?? null,
+          sceneId: null,
+          passed: true,
+          skipped: false,
+          durationMs: 0,
+          failures: []
+        };
+        steps.push(result);
+
+        if (stopped) {
+          result.skipped = true;
+          result.skipReason = stopped;
+          result.sceneId = engine.getCurrentScene()?.id ?? null;
+          return;
+        }
+
+        if (step.choose !== undefined) {
+          const failure = this.choose(engine, step);
+          if (failure) {
+            result.failures.push(failure);
+            stopped = `step ${result.index + 1} failed`;
+          }
+        }
+        if (result.failures.length === 0 && step.expect) {
+          result.failures.push(...this.check(engine, step.expect));
+        }
+
+        result.passed = result.failures.length === 0;
+        result.sceneId = engine.getCurrentScene()?.id ?? null;
+        result.durationMs = Date.now() - stepStartedAt;
+      }));
+    } catch (error) {
+      steps.push({
+        index: steps.length,
+        description: 'engine error',
+        choiceId: null,
+        sceneId: engine.getCurrentScene()?.id ?? null,
+        passed: false,
+        skipped: false,
+        durationMs: 0,
+        failures: [{ message: error?.message || String(error) }]
+      });
+    } finally {
+      quietly(() => engine.dispose());
+    }
+
+    return {
+      name,
+      passed: steps.every(step => step.passed),
+      durationMs: Date.now() - startedAt,
+      steps
+    };
+  }
+
+  /**
+   * Play several specs, one after another
+   * @param {Array} specs
+   * @returns {Promise<Array>} run() results in spec order
+   */
+  async runAll(specs = []) {
+    const results = [];
+    for (const spec of specs) {
+      results.push(await this.run(spec));
+    }
+    return results;
+  }
+
+  /**
+   * Take a step's choice
+   * @private
+   * @returns {Object|null} a failure, or null when the choice was made
+   */
+  choose(engine, step) {
+    const scene = engine.getCurrentScene();
+    if (!(scene.choices || []).some(choice => choice.id === step.choose)) {
+      return { message: `Scene '${scene.id}' has no choice '${step.choose}'`, expected: step.choose, actual: (scene.choices || []).map(choice => choice.id) };
+    }
+
+    const offered = engine.getCurrentChoices().find(choice => choice.id === step.choose);
+    if (!offered) {
+      return { message: `Choice '${step.choose}' is hidden in scene '${scene.id}'` };
+    }
+    if (offered.evaluation?.state === 'LOCKED' || offered.evaluation?.isSelectable === false) {
+      const reasons = offered.evaluation?.lockReasons || [];
+      return { message: `Choice '${step.choose}' is locked in scene '${scene.id}'${reasons.length > 0 ? `: ${reasons.join('; ')}` : ''}` };
+    }
+
+    const submission = step.input !== undefined ? { inputValue: step.input } : {};
+    if (!engine.makeChoice(step.choose, submission)) {
+      return { message: `Choice '${step.choose}' could not be made in scene '${scene.id}'` };
+    }
+    // Real-time delays have run out by the time the player acts again (a go_to_scene among them moves on)
+    engine.processPendingActions(Number.POSITIVE_INFINITY);
+    return null;
+  }
+
+  /**
+   * Compare the engine state with a step's expectations
+   * @private
+   * @returns {Array} failures
+   */
+  check(engine, expect) {
+    const failures = [];
+    const fail = (message, expected, actual) => failures.push({ message, expected, actual });
+    const statsManager = engine.getStatsManager();
+    const inventoryManager = engine.getInventoryManager();
+
+    // value | { operator: value, ... } against the actual value
+    const compare = (label, actual, expected) => {
+      const comparisons = isPlainObject(expected) ? Object.entries(expected) : [['eq', expected]];
+      comparisons.forEach(([operator, target]) => {
+        if (!EXPECTATION_OPERATORS.includes(operator)) {
+          fail(`Unknown operator '${operator}' for ${label}`, target, actual);
+        } else if (!engine.conditionParser.compareValues(actual, operator, target)) {
+          fail(`Expected ${label} ${operator} ${describeValue(target)}, got ${describeValue(actual)}`, { [operator]: target }, actual);
+        }
+      });
+    };
+
+    if (expect.scene !== undefined) {
+      const sceneId = engine.getCurrentScene()?.id ?? null;
+      if (sceneId !== expect.scene) fail(`Expected scene '${expect.scene}', got '${sceneId}'`, expect.scene, sceneId);
+    }
+
+    Object.entries(expect.stats || {}).forEach(([statId, expected]) => {
+      compare(`stat ${statId}`, statsManager.getStat(statId), expected);
+    });
+
+    Object.entries(expect.flags || {}).forEach(([flagId, expected]) => {
+      const actual = !!statsManager.hasFlag(flagId);
+      if (actual !== !!expected) fail(`Expected flag ${flagId} to be ${!!expected}, got ${actual}`, !!expected, actual);
+    });
+
+    Object.entries(expect.inventory || {}).forEach(([itemId, expected]) => {
+      const count = inventoryManager.getItemCount(itemId);
+      if (typeof expected === 'boolean') {
+        if ((count > 0) !== expected) {
+          fail(expected ? `Expected item ${itemId} to be held` : `Expected item ${itemId} not to be held, got ${count}`, expected, count);
+        }
+      } else {
+        compare(`item ${itemId} count`, count, expected);
+      }
+    });
+
+    if (expect.choices) {
+      const offered = new Map(engine.getCurrentChoices().map(choice => [choice.id, choice]));
+      const selectable = choice => choice.evaluation?.state !== 'LOCKED' && choice.evaluation?.isSelectable !== false;
+      const checks = {
+        visible: [id => offered.has(id), 'visible'],
+        hidden: [id => !offered.has(id), 'hidden'],
+        selectable: [id => offered.has(id) && selectable(offered.get(id)), 'selectable'],
+        locked: [id => offered.has(id) && !selectable(offered.get(id)), 'locked']
+      };
+      Object.entries(checks).forEach(([key, [holds, label]]) => {
+        (expect.choices[key] || []).forEach(choiceId => {
+          if (holds(choiceId)) return;
+          const actual = !offered.has(choiceId) ? 'hidden' : selectable(offered.get(choiceId)) ? 'selectable' : 'locked';
+          fail(`Expected choice '${choiceId}' to be ${label}, it is ${actual}`, label, actual);
+        });
+      });
+    }
+
+    return failures;
+  }
+}
+
+/**
+ * TAP version 13 report: one test per playthrough with a subtest per step
+ * @param {Array} results - run() / runAll() results
+ * @returns {string}
+ */
+export function formatTap(results = []) {
+  const lines = ['TAP version 13'];
+  results.forEach((result, index) => {
+    lines.push(`# Subtest: ${result.name}`);
+    result.steps.forEach(step => {
+      const status = step.passed || step.skipped ? 'ok' : 'not ok';
+      const directive = step.skipped ? ` # SKIP ${step.skipReason || ''}`.trimEnd() : '';
+      lines.push(`    ${status} ${step.index + 1} - ${step.description}${directive}`);
+      if (!step.passed && !step.skipped) {
+        lines.push('      ---');
+        lines.push(`      sceneId: ${describeValue(step.sceneId)}`);
+        lines.push('      failures:');
+        step.failures.forEach(failure => {
+          lines.push(`        - message: ${JSON.stringify(failure.message)}`);
+          if (failure.expected !== undefined) lines.push(`          expected: ${JSON.stringify(failure.expected)}`);
+          if (failure.actual !== undefined) lines.push(`          actual: ${JSON.stringify(failure.actual)}`);
+        });
+        lines.push('      ...');
+      }
+    });
+    lines.push(`    1..${result.steps.length}`);
+    lines.push(`${result.passed ? 'ok' : 'not ok'} ${index + 1} - ${result.name}`);
+  });
+  lines.push(`1..${results.length}`);
+  return `${lines.join('\n')}\n`;
+}
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * JUnit XML report: a testsuite per playthrough with a testcase per step
+ * @param {Array} results - run() / runAll() results
+ * @param {Object} options - { name? } of the testsuites element
+ * @returns {string}
+ */
+export function formatJUnit(results = [], { name = 'playthroughs' } = {}) {
+  const count = (list, predicate) => list.filter(predicate).length;
+  const allSteps = results.flatMap(result => result.steps);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${allSteps.length}" failures="${count(allSteps, step => !step.passed && !step.skipped)}" skipped="${count(allSteps, step => step.skipped)}" time="${seconds(results.reduce((sum, result) => sum + result.durationMs, 0))}">`
+  ];
+
+  results.forEach(result => {
+    lines.push(`  <testsuite name="${escapeXml(result.name)}" tests="${result.steps.length}" failures="${count(result.steps, step => !step.passed && !step.skipped)}" skipped="${count(result.steps, step => step.skipped)}" time="${seconds(result.durationMs)}">`);
+    result.steps.forEach(step => {
+      const open = `    <testcase classname="${escapeXml(result.name)}" name="${escapeXml(`${step.index + 1} - ${step.description}`)}" time="${seconds(step.durationMs)}"`;
+      if (step.skipped) {
+        lines.push(`${open}>`, `      <skipped message="${escapeXml(step.skipReason || '')}"/>`, '    </testcase>');
+      } else if (!step.passed) {
+        const message = step.failures.map(failure => failure.message).join('; ');
+        const details = step.failures.map(failure => [
+          failure.message,
+          failure.expected !== undefined ? `  expected: ${JSON.stringify(failure.expected)}` : null,
+          failure.actual !== undefined ? `  actual: ${JSON.stringify(failure.actual)}` : null
+        ].filter(Boolean).join('\n')).join('\n');
+        lines.push(`${open}>`, `      <failure message="${escapeXml(message)}">${escapeXml(`scene: ${step.sceneId}\n${details}`)}</failure>`, '    </testcase>');
+      } else {
+        lines.push(`${open}/>`);
+      }
+    });
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Register one node:test test per spec, with a subtest per step
+ *
+ *   import test from 'node:test';
+ *   registerPlaythroughTests(test, adventure, [{ name: 'gate', choices: ['a', 'c', 'b'], expect: { scene: 'castle_gate' } }]);
+ *
+ * @param {Function} test - node:test's test()
+ * @param {Object} adventure
+ * @param {Array} specs
+ * @param {Object} options - PlaythroughRunner options
+ */
+export function registerPlaythroughTests(test, adventure, specs = [], options = {}) {
+  const runner = new PlaythroughRunner(adventure, options);
+  specs.forEach(spec => {
+    test(spec?.name || 'playthrough', async (t) => {
+      const result = await runner.run(spec);
+      for (const step of result.steps) {
+        await t.test(step.description, { skip: step.skipped ? step.skipReason || true : false }, () => {
+          if (step.passed) return;
+          const error = new Error(step.failures.map(failure => failure.message).join('\n'));
+          if (step.failures.length === 1) {
+            error.expected = step.failures[0].expected;
+            error.actual = step.failures[0].actual;
+          }
+          throw error;
+        });
+      }
+    });
+  });
+}
+
+export default PlaythroughRunner;
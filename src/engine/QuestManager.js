@@ -0,0 +1,315 @@
+/**
+ * QuestManager.js - Quest journal: quests, their objectives and the states they move through
+ *
+ * adventure.quests declares them:
+ * - name, description
+ * - objectives: [{ id, description, optional, completeWhen?, failWhen? }]
+ * - startWhen / failWhen: conditions that start an inactive quest / fail an active one automatically
+ * - onComplete / onFail: actions run when the quest completes / fails
+ *
+ * Quests and objectives are 'inactive', 'active', 'completed' or 'failed':
+ * - start_quest (key questId) starts an inactive quest; its objectives become active
+ * - complete_objective (key 'questId.objectiveId') completes an active objective
+ * - fail_quest (key questId) fails an active quest
+ * - an objective's completeWhen / failWhen conditions do the same while it is active
+ * A quest completes once every required (non-optional) objective is completed and fails when
+ * one of them fails. Objectives still open when the quest ends fail with it.
+ *
+ * quest_state conditions compare a quest ('questId') or an objective ('questId.objectiveId')
+ * with a state: { type: 'quest_state', key: 'find_cat', operator: 'eq', value: 'completed' }
+ *
+ * Events (on the StoryEventBus passed in):
+ * - 'questUpdated' { questId, objectiveId (null for the quest itself), state, name }
+ *
+ * Integration Points:
+ * - StoryEngine: quest actions, evaluates after actions and scene changes, runs onComplete / onFail, saves `quests`
+ * - ConditionParser: quest_state conditions
+ * - StatsPanel: Journal tab (getJournal)
+ * - QuestsEditor / ValidationService: definitions and quests that can never complete
+ */
+
+export const QUEST_STATES = ['inactive', 'active', 'completed', 'failed'];
+
+const hasConditions = list => Array.isArray(list) && list.length > 0;
+
+/**
+ * Split a 'questId.objectiveId' key
+ * @param {string} key
+ * @returns {Object|null} { questId, objectiveId }, or null when the key has no objective part
+ */
+export function parseObjectiveKey(key) {
+  if (typeof key !== 'string') return null;
+  const dot = key.indexOf('.');
+  if (dot <= 0 || dot === key.length - 1) return null;
+  return { questId: key.slice(0, dot), objectiveId: key.slice(dot + 1) };
+}
+
+export class QuestManager {
+  /**
+   * @param {Object} options - { events?: StoryEventBus, onQuestEnded?: (quest, state) => void }
+   */
+  constructor({ events = null, onQuestEnded = null } = {}) {
+    this.events = events;
+    this.onQuestEnded = onQuestEnded;
+    this.statsManager = null;
+    this.definitions = new Map(); // questId -> normalized definition
+    this.quests = new Map(); // questId -> { state, objectives: { [objectiveId]: state } }, in start order
+    this.evaluating = false;
+    this.dirty = false;
+  }
+
+  /**
+   * Switch to an adventure; every quest starts inactive
+   * @param {Object} adventure
+   * @param {Object} managers - { statsManager } of the engine (told when quest states change)
+   */
+  setAdventure(adventure, { statsManager }) {
+    this.statsManager = statsManager;
+    this.quests = new Map();
+    this.setDefinitions(adventure);
+  }
+
+  // Same quests with different text (a language switch); states are untouched
+  setDefinitions(adventure) {
+    this.definitions.clear();
+    (adventure?.quests || []).forEach(quest => {
+      if (!quest?.id) return;
+      this.definitions.set(quest.id, this.normalizeQuest(quest));
+    });
+  }
+
+  /**
+   * @private
+   */
+  normalizeQuest(quest) {
+    return {
+      ...quest,
+      name: quest.name || quest.id,
+      objectives: (Array.isArray(quest.objectives) ? quest.objectives : []).filter(objective => objective?.id).map(objective => ({
+        ...objective,
+        description: objective.description || objective.id,
+        optional: !!objective.optional
+      })),
+      onComplete: Array.isArray(quest.onComplete) ? quest.onComplete : [],
+      onFail: Array.isArray(quest.onFail) ? quest.onFail : []
+    };
+  }
+
+  getDefinition(questId) {
+    return this.definitions.get(questId) || null;
+  }
+
+  getQuestState(questId) {
+    if (!this.definitions.has(questId)) return undefined;
+    return this.quests.get(questId)?.state || 'inactive';
+  }
+
+  getObjectiveState(key) {
+    const parsed = parseObjectiveKey(key);
+    const quest = parsed ? this.definitions.get(parsed.questId) : null;
+    if (!quest?.objectives.some(objective => objective.id === parsed.objectiveId)) return undefined;
+    return this.quests.get(parsed.questId)?.objectives[parsed.objectiveId] || 'inactive';
+  }
+
+  /**
+   * State of a quest ('questId') or an objective ('questId.objectiveId')
+   * @returns {string|undefined} undefined for unknown quests and objectives
+   */
+  getStateOf(key) {
+    return typeof key === 'string' && key.includes('.') ? this.getObjectiveState(key) : this.getQuestState(key);
+  }
+
+  /**
+   * @param {string} questId
+   * @returns {Object} { success, message }
+   */
+  start(questId) {
+    const quest = this.definitions.get(questId);
+    if (!quest) {
+      return { success: false, message: `Unknown quest: ${questId}` };
+    }
+    if (this.getQuestState(questId) !== 'inactive') {
+      return { success: false, message: `${quest.name} was already started` };
+    }
+
+    this.quests.set(questId, {
+      state: 'active',
+      objectives: Object.fromEntries(quest.objectives.map(objective => [objective.id, 'active']))
+    });
+    this.changed(questId, null, 'active', quest.name);
+    return { success: true, message: `Quest started: ${quest.name}` };
+  }
+
+  /**
+   * @param {string} key - 'questId.objectiveId'
+   * @returns {Object} { success, message }
+   */
+  completeObjective(key) {
+    return this.finishObjective(key, 'completed');
+  }
+
+  /**
+   * @param {string} questId
+   * @returns {Object} { success, message }
+   */
+  fail(questId) {
+    const quest = this.definitions.get(questId);
+    if (!quest) {
+      return { success: false, message: `Unknown quest: ${questId}` };
+    }
+    if (this.getQuestState(questId) !== 'active') {
+      return { success: false, message: `${quest.name} is not active` };
+    }
+    this.endQuest(quest, 'failed');
+    return { success: true, message: `Quest failed: ${quest.name}` };
+  }
+
+  /**
+   * Start, progress and fail quests whose conditions hold now
+   * @param {ConditionParser} conditionParser
+   * @returns {Array} [{ questId, objectiveId, state }] changes made by this call
+   */
+  evaluate(conditionParser) {
+    // onComplete / onFail run actions, which evaluate again; let the outer call pick those changes up
+    if (this.evaluating) {
+      this.dirty = true;
+      return [];
+    }
+
+    const changes = [];
+    const record = (questId, objectiveId, result, state) => {
+      if (result.success) changes.push({ questId, objectiveId, state });
+    };
+    this.evaluating = true;
+    try {
+      do {
+        this.dirty = false;
+        this.definitions.forEach(quest => {
+          const state = this.getQuestState(quest.id);
+          if (state === 'inactive' && hasConditions(quest.startWhen) && conditionParser.evaluateConditions(quest.startWhen)) {
+            record(quest.id, null, this.start(quest.id), 'active');
+          }
+          if (this.getQuestState(quest.id) !== 'active') return;
+
+          if (hasConditions(quest.failWhen) && conditionParser.evaluateConditions(quest.failWhen)) {
+            record(quest.id, null, this.fail(quest.id), 'failed');
+            return;
+          }
+          quest.objectives.forEach(objective => {
+            if (this.getQuestState(quest.id) !== 'active') return;
+            const key = `${quest.id}.${objective.id}`;
+            if (this.getObjectiveState(key) !== 'active') return;
+            if (hasConditions(objective.failWhen) && conditionParser.evaluateConditions(objective.failWhen)) {
+              record(quest.id, objective.id, this.finishObjective(key, 'failed'), 'failed');
+            } else if (hasConditions(objective.completeWhen) && conditionParser.evaluateConditions(objective.completeWhen)) {
+              record(quest.id, objective.id, this.finishObjective(key, 'completed'), 'completed');
+            }
+          });
+        });
+      } while (this.dirty);
+    } finally {
+      this.evaluating = false;
+    }
+    return changes;
+  }
+
+  /**
+   * Started quests for the journal, in the order they were started
+   * @returns {Array} [{ id, name, description, state, objectives: [{ id, description, optional, state }] }]
+   */
+  getJournal() {
+    const journal = [];
+    this.quests.forEach((progress, questId) => {
+      const quest = this.definitions.get(questId);
+      if (!quest) return;
+      journal.push({
+        id: questId,
+        name: quest.name,
+        description: quest.description || '',
+        state: progress.state,
+        objectives: quest.objectives.map(objective => ({
+          id: objective.id,
+          description: objective.description,
+          optional: objective.optional,
+          state: progress.objectives[objective.id] || 'inactive'
+        }))
+      });
+    });
+    return journal;
+  }
+
+  // Serializable [{ id, state, objectives }] in start order for saves and rewind snapshots
+  getState() {
+    return Array.from(this.quests, ([id, progress]) => ({ id, state: progress.state, objectives: { ...progress.objectives } }));
+  }
+
+  // Restore getState() output; quests and objectives the adventure no longer declares are dropped
+  loadState(state = []) {
+    this.quests = new Map();
+    (Array.isArray(state) ? state : []).forEach(entry => {
+      const quest = entry?.id ? this.definitions.get(entry.id) : null;
+      if (!quest || !QUEST_STATES.includes(entry.state) || entry.state === 'inactive') return;
+      this.quests.set(entry.id, {
+        state: entry.state,
+        objectives: Object.fromEntries(quest.objectives.map(objective => {
+          const saved = entry.objectives?.[objective.id];
+          return [objective.id, QUEST_STATES.includes(saved) ? saved : 'active'];
+        }))
+      });
+    });
+    this.statsManager?.onQuestsChanged?.();
+  }
+
+  /**
+   * @private
+   */
+  finishObjective(key, state) {
+    const parsed = parseObjectiveKey(key);
+    const quest = parsed ? this.definitions.get(parsed.questId) : null;
+    const objective = quest?.objectives.find(entry => entry.id === parsed.objectiveId);
+    if (!objective) {
+      return { success: false, message: `Unknown quest objective: ${key}` };
+    }
+    if (this.getQuestState(quest.id) !== 'active') {
+      return { success: false, message: `${quest.name} is not active` };
+    }
+    if (this.getObjectiveState(key) !== 'active') {
+      return { success: false, message: `${objective.description} is already ${this.getObjectiveState(key)}` };
+    }
+
+    this.quests.get(quest.id).objectives[objective.id] = state;
+    this.changed(quest.id, objective.id, state, objective.description);
+
+    const required = quest.objectives.filter(entry => !entry.optional);
+    const objectives = this.quests.get(quest.id).objectives;
+    if (state === 'failed' && !objective.optional) {
+      this.endQuest(quest, 'failed');
+    } else if (required.length > 0 && required.every(entry => objectives[entry.id] === 'completed')) {
+      this.endQuest(quest, 'completed');
+    }
+    return { success: true, message: `${objective.description}: ${state}` };
+  }
+
+  /**
+   * @private
+   */
+  endQuest(quest, state) {
+    const progress = this.quests.get(quest.id);
+    progress.state = state;
+    Object.keys(progress.objectives).forEach(objectiveId => {
+      if (progress.objectives[objectiveId] === 'active') progress.objectives[objectiveId] = 'failed';
+    });
+    this.changed(quest.id, null, state, quest.name);
+    this.onQuestEnded?.(quest, state);
+  }
+
+  /**
+   * @private
+   */
+  changed(questId, objectiveId, state, name) {
+    this.statsManager?.onQuestsChanged?.();
+    this.events?.emit('questUpdated', { questId, objectiveId, state, name });
+  }
+}
+
+export default QuestManager;
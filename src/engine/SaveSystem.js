@@ -43,6 +43,17 @@ export class SaveSystem {
       secretChoicesAvailable: Array.from(this.storyEngine.getSecretChoicesAvailable()),
       inventory: inventoryManager ? inventoryManager.getAllItems() : [],
       inventoryState: inventoryManager ? inventoryManager.getInventoryState() : {},
+      equipment: inventoryManager?.getEquipmentState ? inventoryManager.getEquipmentState() : {},
+      crafted: inventoryManager?.getCraftedCounts ? inventoryManager.getCraftedCounts() : {},
+      shops: this.storyEngine.getShopStock ? this.storyEngine.getShopStock() : {},
+      statusEffects: this.storyEngine.statusEffectManager ? this.storyEngine.statusEffectManager.getState() : [],
+      characters: this.storyEngine.characterManager ? this.storyEngine.characterManager.getState() : {},
+      quests: this.storyEngine.questManager ? this.storyEngine.questManager.getState() : [],
+      pendingActions: this.storyEngine.getPendingActionsState ? this.storyEngine.getPendingActionsState() : [],
+      rngState: this.storyEngine.getRandomState ? this.storyEngine.getRandomState() : null,
+      callStack: this.storyEngine.getCallStack ? this.storyEngine.getCallStack() : [],
+      choiceTimer: this.storyEngine.getChoiceTimerState ? this.storyEngine.getChoiceTimerState() : null,
+      achievements: this.storyEngine.getUnlockedAchievements ? this.storyEngine.getUnlockedAchievements() : [],
       
       // Analytics and export data
       exportableData: this.storyEngine.generateExportableData(),
@@ -268,6 +279,7 @@ export class SaveSystem {
         secretChoicesAvailable: [],
         inventory: [],
         inventoryState: {},
+        pendingActions: [],
         exportableData: null,
         gameplayMetrics: null,
         saveMetadata: null
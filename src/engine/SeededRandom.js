@@ -0,0 +1,107 @@
+/**
+ * SeededRandom.js - Deterministic, seedable pseudo-random number generator
+ *
+ * Uses the mulberry32 algorithm: small, fast and good enough for gameplay randomness.
+ * The whole generator state is a single 32-bit integer, so it can be saved and restored
+ * to replay a playthrough exactly.
+ *
+ * Integration Points:
+ * - StoryEngine: owns an instance used for action probability checks
+ */
+
+export class SeededRandom {
+  constructor(seed = SeededRandom.createSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Create a random 32-bit seed
+   * @returns {number}
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Convert any seed (number or string) into an unsigned 32-bit integer
+   * @param {number|string} seed
+   * @returns {number}
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds
+    const text = String(seed ?? '');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Reset the generator to a new seed
+   * @param {number|string} seed
+   */
+  setSeed(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Next integer in [min, max] (inclusive)
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  nextInt(min, max) {
+    const low = Math.ceil(Math.min(min, max));
+    const high = Math.floor(Math.max(min, max));
+    return low + Math.floor(this.next() * (high - low + 1));
+  }
+
+  /**
+   * Returns true with the given probability (0-1)
+   * @param {number} probability
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Snapshot of the generator for save data
+   * @returns {Object} { seed, state }
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Restore a snapshot created by getState()
+   * @param {Object} snapshot - { seed, state }
+   */
+  setState(snapshot = {}) {
+    if (snapshot.seed !== undefined) {
+      this.seed = SeededRandom.normalizeSeed(snapshot.seed);
+    }
+    this.state = snapshot.state !== undefined
+      ? SeededRandom.normalizeSeed(snapshot.state)
+      : this.seed;
+  }
+}
@@ -0,0 +1,361 @@
+/**
+ * ShopManager.js - Shops attached to scenes: stock, prices and buy/sell transactions
+ *
+ * A scene with a `shop` lets the player trade while they are in it:
+ * - stock: [{ itemId, quantity?, price? }]; quantity limits how many can be bought
+ *   (omitted = unlimited), price defaults to the item's `value`
+ * - currencyStat: the stat paid with (defaults to adventure.currencyStat)
+ * - buyMultiplier / sellMultiplier: scale prices (defaults 1 and 0.5); sale prices
+ *   are based on the item's `value`
+ * - priceModifiers: [{ conditions, buy?, sell? }] extra multipliers that apply while
+ *   their conditions hold (a stat high enough, a flag set)
+ * - buys: item ids the shop buys from the player (omitted = any item with a value)
+ * - restock: limited stock is refilled each time the player comes into the scene from
+ *   another one (default true)
+ *
+ * Only stock that differs from the definition is kept, so restocking forgets a shop's
+ * entry and saves stay small. Shop ids default to the scene id.
+ *
+ * Integration Points:
+ * - StoryEngine: restocks on scene entry, buy_item / sell_item actions, saves `shops`
+ * - ConditionParser: evaluates price modifier conditions
+ * - GameScreen: ShopPanel for the current scene's shop
+ */
+
+const toMultiplier = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+const toQuantity = quantity => Math.floor(Number(quantity));
+
+export class ShopManager {
+  constructor() {
+    this.inventoryManager = null;
+    this.statsManager = null;
+    this.shops = new Map(); // shopId -> normalized shop
+    this.sceneShops = new Map(); // sceneId -> shopId
+    this.stock = new Map(); // shopId -> Map(itemId -> remaining), only for shops traded with since their last restock
+  }
+
+  /**
+   * Switch to an adventure; all stock starts full
+   * @param {Object} adventure
+   * @param {Object} managers - { inventoryManager, statsManager } of the engine
+   */
+  setAdventure(adventure, { inventoryManager, statsManager }) {
+    this.inventoryManager = inventoryManager;
+    this.statsManager = statsManager;
+    this.stock = new Map();
+    this.setDefinitions(adventure);
+  }
+
+  // Same shops with different text (a language switch); stock is untouched
+  setDefinitions(adventure) {
+    this.shops.clear();
+    this.sceneShops.clear();
+    (adventure?.scenes || []).forEach(scene => {
+      if (!scene?.id || !scene.shop || typeof scene.shop !== 'object') return;
+      const shop = this.normalizeShop(scene.shop, scene, adventure);
+      this.shops.set(shop.id, shop);
+      this.sceneShops.set(scene.id, shop.id);
+    });
+  }
+
+  /**
+   * @private
+   */
+  normalizeShop(shop, scene, adventure) {
+    const id = shop.id || scene.id;
+    return {
+      ...shop,
+      id,
+      sceneId: scene.id,
+      name: shop.name || scene.title || id,
+      currencyStat: shop.currencyStat || adventure?.currencyStat || null,
+      stock: (Array.isArray(shop.stock) ? shop.stock : [])
+        .filter(entry => entry?.itemId)
+        .map(entry => ({
+          itemId: entry.itemId,
+          quantity: Number.isInteger(entry.quantity) && entry.quantity >= 0 ? entry.quantity : null,
+          price: toMultiplier(entry.price, null)
+        })),
+      buyMultiplier: toMultiplier(shop.buyMultiplier, 1),
+      sellMultiplier: toMultiplier(shop.sellMultiplier, 0.5),
+      priceModifiers: (Array.isArray(shop.priceModifiers) ? shop.priceModifiers : []).filter(Boolean),
+      buys: Array.isArray(shop.buys) ? shop.buys : null,
+      restock: shop.restock !== false
+    };
+  }
+
+  getShop(shopId) {
+    return this.shops.get(shopId) || null;
+  }
+
+  getShopIdForScene(sceneId) {
+    return this.sceneShops.get(sceneId) || null;
+  }
+
+  // Called when the player enters a scene; refills its shop unless restock is off
+  enterScene(sceneId) {
+    const shop = this.getShop(this.getShopIdForScene(sceneId));
+    if (shop?.restock) this.restock(shop.id);
+  }
+
+  restock(shopId) {
+    this.stock.delete(shopId);
+  }
+
+  /**
+   * How many of an item the shop has left
+   * @returns {number|null} null when the item is unlimited (or not stocked at all)
+   */
+  getRemaining(shopId, itemId) {
+    const entry = this.getShop(shopId)?.stock.find(stocked => stocked.itemId === itemId);
+    if (!entry || entry.quantity === null) return null;
+    return this.stock.get(shopId)?.get(itemId) ?? entry.quantity;
+  }
+
+  /**
+   * @private
+   */
+  setRemaining(shopId, itemId, remaining) {
+    if (!this.stock.has(shopId)) this.stock.set(shopId, new Map());
+    this.stock.get(shopId).set(itemId, remaining);
+  }
+
+  /**
+   * The shop's multipliers with every price modifier whose conditions hold applied
+   * @param {Object} shop - normalized shop
+   * @param {ConditionParser} conditionParser - without one, modifiers are ignored
+   * @returns {Object} { buy, sell }
+   */
+  getMultipliers(shop, conditionParser = null) {
+    let buy = shop.buyMultiplier;
+    let sell = shop.sellMultiplier;
+    if (conditionParser) {
+      shop.priceModifiers.forEach(modifier => {
+        const conditions = Array.isArray(modifier.conditions) ? modifier.conditions : [];
+        if (conditions.length > 0 && !conditionParser.evaluateConditions(conditions)) return;
+        buy *= toMultiplier(modifier.buy, 1);
+        sell *= toMultiplier(modifier.sell, 1);
+      });
+    }
+    return { buy, sell };
+  }
+
+  getBuyPrice(shopId, itemId, conditionParser = null) {
+    const shop = this.getShop(shopId);
+    const entry = shop?.stock.find(stocked => stocked.itemId === itemId);
+    if (!entry) return null;
+    const base = entry.price ?? this.inventoryManager?.itemDefinitions.get(itemId)?.value ?? 0;
+    return Math.max(0, Math.round(base * this.getMultipliers(shop, conditionParser).buy));
+  }
+
+  getSellPrice(shopId, itemId, conditionParser = null) {
+    const shop = this.getShop(shopId);
+    if (!shop || !this.buysItem(shop, itemId)) return null;
+    const base = this.inventoryManager?.itemDefinitions.get(itemId)?.value ?? 0;
+    return Math.max(0, Math.round(base * this.getMultipliers(shop, conditionParser).sell));
+  }
+
+  /**
+   * @private
+   */
+  buysItem(shop, itemId) {
+    const itemDef = this.inventoryManager?.itemDefinitions.get(itemId);
+    if (!itemDef) return false;
+    return shop.buys ? shop.buys.includes(itemId) : itemDef.value > 0;
+  }
+
+  /**
+   * @private
+   */
+  getCurrency(shop) {
+    const statId = shop.currencyStat;
+    const value = statId ? this.statsManager?.getBaseStat(statId) : undefined;
+    return {
+      statId,
+      name: this.statsManager?.getStatDefinition(statId)?.name || statId,
+      value: typeof value === 'number' ? value : null
+    };
+  }
+
+  /**
+   * Whether the player can buy an item now, and why not
+   * @returns {Object} { canBuy, message, price } (price: total for the quantity)
+   */
+  getPurchaseStatus(shopId, itemId, quantity = 1, conditionParser = null) {
+    const shop = this.getShop(shopId);
+    if (!shop) return { canBuy: false, message: `Unknown shop: ${shopId}`, price: 0 };
+    const itemDef = this.inventoryManager?.itemDefinitions.get(itemId);
+    const name = itemDef?.name || itemId;
+    const price = this.getBuyPrice(shopId, itemId, conditionParser);
+    if (!itemDef || price === null) return { canBuy: false, message: `${name} is not for sale here`, price: 0 };
+
+    const count = toQuantity(quantity);
+    if (!(count > 0)) return { canBuy: false, message: 'Cannot buy zero or negative quantity', price: 0 };
+    const total = price * count;
+
+    const remaining = this.getRemaining(shopId, itemId);
+    if (remaining !== null && remaining < count) {
+      return { canBuy: false, message: remaining === 0 ? `${name} is sold out` : `Only ${remaining} ${name} left`, price: total };
+    }
+    if (this.inventoryManager.getItemCount(itemId) + count > itemDef.maxStack) {
+      return { canBuy: false, message: `Cannot carry more ${name} (max: ${itemDef.maxStack})`, price: total };
+    }
+    const currency = this.getCurrency(shop);
+    if (currency.value === null) {
+      return { canBuy: false, message: `${shop.name} has no currency stat`, price: total };
+    }
+    if (currency.value < total) {
+      return { canBuy: false, message: `Not enough ${currency.name} (costs ${total}, have ${currency.value})`, price: total };
+    }
+    return { canBuy: true, message: `Buy ${count} ${name} for ${total} ${currency.name}`, price: total };
+  }
+
+  /**
+   * Buy from a shop: pay with the currency stat, add the item, take it from the stock.
+   * Nothing changes when any check fails.
+   * @param {string} shopId
+   * @param {string} itemId
+   * @param {number} quantity
+   * @param {ConditionParser} conditionParser - evaluates price modifiers
+   * @returns {Object} { success, message, price }
+   */
+  buy(shopId, itemId, quantity = 1, conditionParser = null) {
+    const status = this.getPurchaseStatus(shopId, itemId, quantity, conditionParser);
+    if (!status.canBuy) return { success: false, message: status.message, price: 0 };
+
+    const shop = this.getShop(shopId);
+    const count = toQuantity(quantity);
+    const currency = this.getCurrency(shop);
+    if (!this.statsManager.setStat(currency.statId, currency.value - status.price)) {
+      return { success: false, message: `Could not pay ${status.price} ${currency.name}`, price: 0 };
+    }
+    const result = this.inventoryManager.addItem(itemId, count);
+    if (!result.success) {
+      this.statsManager.setStat(currency.statId, currency.value);
+      return { success: false, message: result.message, price: 0 };
+    }
+
+    const remaining = this.getRemaining(shopId, itemId);
+    if (remaining !== null) this.setRemaining(shopId, itemId, remaining - count);
+    const name = this.inventoryManager.itemDefinitions.get(itemId).name;
+    return { success: true, message: `Bought ${count} ${name} for ${status.price} ${currency.name}`, price: status.price };
+  }
+
+  /**
+   * Whether the player can sell an item here now, and why not
+   * @returns {Object} { canSell, message, price } (price: total for the quantity)
+   */
+  getSaleStatus(shopId, itemId, quantity = 1, conditionParser = null) {
+    const shop = this.getShop(shopId);
+    if (!shop) return { canSell: false, message: `Unknown shop: ${shopId}`, price: 0 };
+    const name = this.inventoryManager?.itemDefinitions.get(itemId)?.name || itemId;
+    const price = this.getSellPrice(shopId, itemId, conditionParser);
+    if (price === null) return { canSell: false, message: `${shop.name} does not buy ${name}`, price: 0 };
+
+    const count = toQuantity(quantity);
+    if (!(count > 0)) return { canSell: false, message: 'Cannot sell zero or negative quantity', price: 0 };
+    const have = this.inventoryManager.getItemCount(itemId);
+    if (have < count) {
+      return { canSell: false, message: `Don't have enough ${name} (have: ${have}, need: ${count})`, price: price * count };
+    }
+    const currency = this.getCurrency(shop);
+    if (currency.value === null) {
+      return { canSell: false, message: `${shop.name} has no currency stat`, price: price * count };
+    }
+    return { canSell: true, message: `Sell ${count} ${name} for ${price * count} ${currency.name}`, price: price * count };
+  }
+
+  /**
+   * Sell to a shop: remove the item and add its price to the currency stat.
+   * Items the shop stocks in limited quantities go back into its stock.
+   * @returns {Object} { success, message, price }
+   */
+  sell(shopId, itemId, quantity = 1, conditionParser = null) {
+    const status = this.getSaleStatus(shopId, itemId, quantity, conditionParser);
+    if (!status.canSell) return { success: false, message: status.message, price: 0 };
+
+    const shop = this.getShop(shopId);
+    const count = toQuantity(quantity);
+    const name = this.inventoryManager.itemDefinitions.get(itemId).name;
+    const result = this.inventoryManager.removeItem(itemId, count);
+    if (!result.success) return { success: false, message: result.message, price: 0 };
+    const currency = this.getCurrency(shop);
+    if (!this.statsManager.setStat(currency.statId, currency.value + status.price)) {
+      this.inventoryManager.addItem(itemId, count);
+      return { success: false, message: `Could not receive ${status.price} ${currency.name}`, price: 0 };
+    }
+
+    const remaining = this.getRemaining(shopId, itemId);
+    if (remaining !== null) this.setRemaining(shopId, itemId, remaining + count);
+    return { success: true, message: `Sold ${count} ${name} for ${status.price} ${currency.name}`, price: status.price };
+  }
+
+  /**
+   * A shop with prices and availability for the shop screen
+   * @returns {Object|null} { id, name, description, currency: { statId, name, value }, multipliers: { buy, sell },
+   *   stock: [{ itemId, name, icon, description, price, remaining, canBuy, message }],
+   *   sellable: [{ itemId, name, icon, count, price, canSell, message }] }
+   */
+  getShopView(shopId, conditionParser = null) {
+    const shop = this.getShop(shopId);
+    if (!shop) return null;
+    const describe = itemId => {
+      const itemDef = this.inventoryManager?.itemDefinitions.get(itemId);
+      return { itemId, name: itemDef?.name || itemId, icon: itemDef?.icon || '', description: itemDef?.description || '' };
+    };
+
+    return {
+      id: shop.id,
+      name: shop.name,
+      description: shop.description || '',
+      currency: this.getCurrency(shop),
+      multipliers: this.getMultipliers(shop, conditionParser),
+      stock: shop.stock.map(({ itemId }) => {
+        const status = this.getPurchaseStatus(shop.id, itemId, 1, conditionParser);
+        return {
+          ...describe(itemId),
+          price: this.getBuyPrice(shop.id, itemId, conditionParser),
+          remaining: this.getRemaining(shop.id, itemId),
+          canBuy: status.canBuy,
+          message: status.message
+        };
+      }),
+      sellable: (this.inventoryManager?.getAllItems() || [])
+        .filter(item => this.buysItem(shop, item.id))
+        .map(item => {
+          const status = this.getSaleStatus(shop.id, item.id, 1, conditionParser);
+          return {
+            ...describe(item.id),
+            count: item.count,
+            price: this.getSellPrice(shop.id, item.id, conditionParser),
+            canSell: status.canSell,
+            message: status.message
+          };
+        })
+    };
+  }
+
+  // Serializable { [shopId]: { [itemId]: remaining } } for saves
+  getStockState() {
+    return Object.fromEntries([...this.stock].map(([shopId, items]) => [shopId, Object.fromEntries(items)]));
+  }
+
+  // Replace all stock; shops missing from the state are full
+  loadStockState(state = {}) {
+    this.stock = new Map();
+    Object.entries(state || {}).forEach(([shopId, items]) => {
+      const shop = this.getShop(shopId);
+      if (!shop || !items || typeof items !== 'object') return;
+      Object.entries(items).forEach(([itemId, remaining]) => {
+        const stocked = shop.stock.some(entry => entry.itemId === itemId && entry.quantity !== null);
+        if (stocked && Number.isInteger(remaining) && remaining >= 0) this.setRemaining(shopId, itemId, remaining);
+      });
+    });
+  }
+}
+
+export default ShopManager;
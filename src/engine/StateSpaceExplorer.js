@@ -0,0 +1,407 @@
+/**
+ * StateSpaceExplorer.js - Bounded simulation of every way through an adventure
+ *
+ * Graph reachability ignores conditions; this plays the adventure instead. Starting
+ * from the start scene it tries every selectable choice in every reachable state
+ * (stats, flags, inventory, visited scenes, choice usage, unlocked secrets, queued
+ * actions) breadth-first, so the first path found to any state is a shortest one.
+ *
+ * Choices are made by a real StoryEngine, so conditions, requirements, oneTime /
+ * maxUses and actions behave exactly as in play. On top of that:
+ * - every eligible random branch is followed (plus the fallback target when none is)
+ * - input choices are tried with each option, or with the min and max of a number
+ * - rolls and action probabilities use the engine's seeded RNG: one outcome per state
+ * - cooldowns and real-time delays are treated as already elapsed
+ * - timed choices are untimed (a timeout takes a choice that is explored anyway)
+ * - the player profile starts empty (a first playthrough) and lives in memory; meta
+ *   flags and endings recorded on a path are part of that path's state
+ *
+ * Findings:
+ * - deadEnds: scenes with choices where, in some reachable state, none can be taken
+ *   (endings marked isEnding may keep choices; they are never dead ends)
+ * - unreachableEndings: endings (isEnding, or no choices) that no explored state reaches
+ * - unwinnable: the first state on a path after which no ending can be reached
+ *   (only when the exploration finished inside its bounds)
+ * Each comes with the shortest choice path that proves it.
+ *
+ * Integration Points:
+ * - ValidationService: the 'state-space' rule (validate(adventure, { stateSpace }))
+ */
+
+// Namespace import: StoryEngine → ValidationService → this module is an import cycle, so
+// the class is looked up when exploring (the standalone HTML bundler resolves named
+// imports as soon as a module runs)
+import * as storyEngineModule from './StoryEngine.js';
+import { PlayerProfile, isEnding } from './PlayerProfile.js';
+import { withQuietConsole } from '../utils/quietConsole.js';
+
+const DEFAULT_MAX_STATES = 5000;
+const DEFAULT_MAX_DEPTH = 200;
+
+// Conditions that can tell a choice taken twice from one taken once
+const COUNT_SENSITIVE = /"(choice_made_count|scene_visit_count|total_choices)"|\b(visits|choice)\.[A-Za-z_]/;
+
+export class StateSpaceExplorer {
+  /**
+   * @param {Object} adventure - Adventure in the 'adventure' export format
+   * @param {Object} options - { maxStates?, maxDepth? }
+   */
+  constructor(adventure, options = {}) {
+    this.adventure = adventure;
+    this.maxStates = options.maxStates ?? DEFAULT_MAX_STATES;
+    this.maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+    this.scenes = new Map((adventure?.scenes || []).filter(scene => scene?.id).map(scene => [scene.id, scene]));
+    this.choiceCaps = this.buildChoiceCaps();
+  }
+
+  /**
+   * Explore the state space
+   * @returns {Promise<Object>} {
+   *   complete, truncatedBy ('maxStates' | 'maxDepth' | null), statesExplored,
+   *   reachedScenes, endings: [{ sceneId, path }],
+   *   deadEnds: [{ sceneId, path, lockedChoices: [{ choiceId, text, reasons }] }],
+   *   unreachableEndings: [{ sceneId, blockedChoices: [{ sceneId, choiceId, text, path }] }],
+   *   unwinnable: [{ sceneId, path }]
+   * }
+   */
+  async explore() {
+    const engine = new storyEngineModule.StoryEngine();
+    engine.setValidationEnabled(false);
+    // Running out of time only makes a choice the search tries anyway
+    engine.setTimerScale(0);
+    // Simulated play must not touch the player's profile (endings, meta flags, achievements)
+    engine.setPlayerProfile(new PlayerProfile(null));
+
+    // The engine logs every step (and warns about every forced branch that can't happen);
+    // thousands of simulated choices would flood the console. With validation off, loading
+    // runs synchronously, so muting the calls themselves covers it
+    try {
+      // The engine keeps references to scene objects; play on a copy
+      await withQuietConsole(() => engine.loadAdventure(JSON.parse(JSON.stringify(this.adventure))));
+      if (!engine.getCurrentScene()) {
+        throw new Error(`Start scene '${this.adventure?.startSceneId}' not found`);
+      }
+      return withQuietConsole(() => this.search(engine));
+    } finally {
+      withQuietConsole(() => engine.dispose());
+    }
+  }
+
+  /**
+   * Breadth-first search over engine states
+   * @private
+   */
+  search(engine) {
+    const root = { key: this.stateKey(engine), snapshot: this.capture(engine), sceneId: engine.getCurrentScene().id, depth: 0, parent: null, step: null, successors: new Set() };
+    const states = new Map([[root.key, root]]);
+    const queue = [root];
+    const sceneVisits = new Map(); // sceneId → first (shortest-path) state in that scene
+    const deadEnds = new Map();
+    const endings = new Map();
+    const offeredChoices = new Map(); // `${sceneId}/${choiceId}` → first state offering the choice
+    let truncatedBy = null;
+
+    for (let index = 0; index < queue.length; index++) {
+      const state = queue[index];
+      if (!sceneVisits.has(state.sceneId)) sceneVisits.set(state.sceneId, state);
+
+      const scene = this.scenes.get(state.sceneId);
+      const ending = isEnding(scene);
+      if (ending && !endings.has(state.sceneId)) endings.set(state.sceneId, state);
+      // Choices out of an isEnding scene are still played; without choices the path ends here
+      if (!scene?.choices || scene.choices.length === 0) continue;
+
+      if (state.depth >= this.maxDepth) {
+        truncatedBy = truncatedBy || 'maxDepth';
+        continue;
+      }
+
+      this.restore(engine, state.snapshot);
+      const available = engine.getCurrentChoices();
+      const locked = [];
+      let exits = 0;
+
+      available.forEach(choice => {
+        const evaluation = choice.evaluation || {};
+        const offeredKey = `${state.sceneId}/${choice.id}`;
+        if (!offeredChoices.has(offeredKey)) offeredChoices.set(offeredKey, state);
+        if (evaluation.state === 'LOCKED' || evaluation.isSelectable === false) {
+          locked.push({ choiceId: choice.id, text: choice.text, reasons: evaluation.lockReasons || [] });
+          return;
+        }
+
+        this.outcomesFor(choice).forEach(outcome => {
+          this.restore(engine, state.snapshot);
+          const result = this.take(engine, choice, outcome);
+          if (!result) return;
+
+          exits += 1;
+          const key = this.stateKey(engine);
+          state.successors.add(key);
+          if (states.has(key)) return;
+
+          if (states.size >= this.maxStates) {
+            truncatedBy = 'maxStates';
+            return;
+          }
+          const next = {
+            key,
+            snapshot: this.capture(engine),
+            sceneId: engine.getCurrentScene().id,
+            depth: state.depth + 1,
+            parent: state,
+            step: {
+              sceneId: state.sceneId,
+              choiceId: choice.id,
+              text: choice.text,
+              targetSceneId: engine.getCurrentScene().id,
+              ...outcome.describe
+            },
+            successors: new Set()
+          };
+          states.set(key, next);
+          queue.push(next);
+        });
+      });
+
+      if (exits === 0 && !ending && !deadEnds.has(state.sceneId)) {
+        deadEnds.set(state.sceneId, { state, lockedChoices: locked });
+      }
+    }
+
+    const complete = truncatedBy === null;
+    const allChoices = [...this.scenes.values()].flatMap(scene => (scene.choices || []).map(choice => ({ scene, choice })));
+
+    const unreachableEndings = [...this.scenes.values()]
+      .filter(scene => isEnding(scene) && !endings.has(scene.id))
+      .map(scene => ({
+        sceneId: scene.id,
+        // Choices leading here from reached scenes, with a path to where each was shown (or its scene)
+        blockedChoices: allChoices
+          .filter(({ choice }) => this.choiceTargets(choice).includes(scene.id))
+          .filter(({ scene: from }) => sceneVisits.has(from.id))
+          .map(({ scene: from, choice }) => ({
+            sceneId: from.id,
+            choiceId: choice.id,
+            text: choice.text,
+            path: this.pathTo(offeredChoices.get(`${from.id}/${choice.id}`) || sceneVisits.get(from.id))
+          }))
+      }));
+
+    return {
+      complete,
+      truncatedBy,
+      statesExplored: states.size,
+      reachedScenes: [...sceneVisits.keys()],
+      endings: [...endings.values()].map(state => ({ sceneId: state.sceneId, path: this.pathTo(state) })),
+      deadEnds: [...deadEnds.values()].map(({ state, lockedChoices }) => ({
+        sceneId: state.sceneId,
+        path: this.pathTo(state),
+        lockedChoices
+      })),
+      unreachableEndings,
+      unwinnable: complete && endings.size > 0 ? this.findUnwinnable(states, queue) : []
+    };
+  }
+
+  /**
+   * States from which no ending is reachable, reported where the path first enters them
+   * @private
+   */
+  findUnwinnable(states, ordered) {
+    const predecessors = new Map();
+    states.forEach(state => {
+      state.successors.forEach(key => {
+        if (!predecessors.has(key)) predecessors.set(key, []);
+        predecessors.get(key).push(state);
+      });
+    });
+
+    // Walk backwards from every ending state
+    const winnable = new Set();
+    const stack = [...states.values()].filter(state => isEnding(this.scenes.get(state.sceneId)));
+    stack.forEach(state => winnable.add(state.key));
+    while (stack.length > 0) {
+      const state = stack.pop();
+      (predecessors.get(state.key) || []).forEach(previous => {
+        if (winnable.has(previous.key)) return;
+        winnable.add(previous.key);
+        stack.push(previous);
+      });
+    }
+
+    const reported = new Map();
+    ordered.forEach(state => {
+      // Dead ends (no successors) are reported on their own
+      if (winnable.has(state.key) || state.successors.size === 0) return;
+      if (!state.parent || !winnable.has(state.parent.key)) return;
+      if (!reported.has(state.sceneId)) reported.set(state.sceneId, state);
+    });
+    return [...reported.values()].map(state => ({ sceneId: state.sceneId, path: this.pathTo(state) }));
+  }
+
+  /**
+   * The ways one choice can play out: random branches × input values
+   * @private
+   */
+  outcomesFor(choice) {
+    const config = choice.inputConfig || {};
+    let inputs = [undefined];
+    if (choice.inputType === 'input_choice' && Array.isArray(config.options) && config.options.length > 0) {
+      inputs = config.options.map(option => option.value ?? option.label ?? option.id ?? '');
+    } else if (choice.inputType === 'input_number') {
+      inputs = [...new Set([config.min ?? 0, config.max ?? config.min ?? 0])];
+    } else if (choice.inputType === 'input_text') {
+      inputs = [config.placeholder || ''];
+    }
+
+    const branches = Array.isArray(choice.randomBranches) && choice.randomBranches.length > 0
+      ? [...choice.randomBranches.map((_, index) => index), 'fallback']
+      : [null];
+
+    return inputs.flatMap(inputValue => branches.map(branch => ({
+      inputValue,
+      branch,
+      describe: {
+        ...(inputValue !== undefined ? { inputValue } : {}),
+        ...(typeof branch === 'number' ? { branch } : {})
+      }
+    })));
+  }
+
+  /**
+   * Make a choice with a fixed random branch
+   * @returns {Object|null} the new scene, or null when this outcome can't happen
+   * @private
+   */
+  take(engine, choice, outcome) {
+    let impossible = false;
+    if (outcome.branch !== null) {
+      engine.pickRandomBranch = (branches) => {
+        const eligible = branches.filter(branch => this.isEligibleBranch(engine, branch));
+        if (outcome.branch === 'fallback' || !eligible.includes(branches[outcome.branch])) {
+          // Another branch (or the fallback) is what actually happens here
+          impossible = outcome.branch === 'fallback' ? eligible.length > 0 : true;
+          return null;
+        }
+        return branches[outcome.branch];
+      };
+    }
+
+    try {
+      const submission = outcome.inputValue !== undefined ? { inputValue: outcome.inputValue } : {};
+      const scene = engine.makeChoice(choice.id, submission);
+      if (impossible || !scene) return null;
+      // Real-time delays have run out by the time the player acts again (a go_to_scene among them moves on)
+      engine.processPendingActions(Number.POSITIVE_INFINITY);
+      return engine.getCurrentScene();
+    } finally {
+      delete engine.pickRandomBranch;
+    }
+  }
+
+  // Same eligibility rule as StoryEngine.pickRandomBranch
+  isEligibleBranch(engine, branch) {
+    if (!branch?.targetSceneId) return false;
+    if (!(Number(branch.weight ?? 1) > 0)) return false;
+    return !Array.isArray(branch.conditions) || branch.conditions.length === 0 ||
+      engine.conditionParser.evaluateConditions(branch.conditions);
+  }
+
+  choiceTargets(choice) {
+    const targets = new Set();
+    if (choice?.targetSceneId) targets.add(choice.targetSceneId);
+    (choice?.randomBranches || []).forEach(branch => branch?.targetSceneId && targets.add(branch.targetSceneId));
+    return [...targets];
+  }
+
+  /**
+   * How many uses of each choice are worth telling apart. Without count-sensitive
+   * conditions only "used up or not" matters, which keeps repeatable loops finite.
+   * @private
+   */
+  buildChoiceCaps() {
+    const caps = new Map();
+    if (COUNT_SENSITIVE.test(JSON.stringify(this.adventure || {}))) return null;
+    this.scenes.forEach(scene => (scene.choices || []).forEach(choice => {
+      if (!choice?.id) return;
+      const limit = choice.oneTime ? 1 : (typeof choice.maxUses === 'number' && choice.maxUses > 0 ? choice.maxUses : 1);
+      caps.set(choice.id, limit);
+    }));
+    return caps;
+  }
+
+  /**
+   * Everything that can change what happens next; the RNG state is left out so
+   * random adventures don't turn every state into a new one
+   * @private
+   */
+  stateKey(engine) {
+    const sorted = object => Object.keys(object || {}).sort().map(key => [key, object[key]]);
+    const counts = new Map();
+    engine.getChoiceHistory().forEach(record => {
+      counts.set(record.choiceId, (counts.get(record.choiceId) || 0) + 1);
+    });
+
+    return JSON.stringify([
+      engine.getCurrentScene()?.id,
+      sorted(engine.getStatsManager().getAllStats()),
+      sorted(engine.getStatsManager().getAllFlags()),
+      engine.getInventoryManager().getAllItems().map(item => [item.id, item.count]).sort(),
+      sorted(engine.getInventoryManager().getEquipmentState()),
+      sorted(engine.getInventoryManager().getCraftedCounts()),
+      sorted(engine.getShopStock()).map(([shopId, items]) => [shopId, sorted(items)]),
+      engine.statusEffectManager.getState().map(effect => [effect.id, effect.stacks, effect.remaining]),
+      sorted(engine.characterManager.getState()).map(([characterId, stats]) => [characterId, sorted(stats)]),
+      engine.questManager.getState().map(quest => [quest.id, quest.state, sorted(quest.objectives)]).sort(),
+      [...engine.getVisitedScenes()].sort(),
+      [...counts].map(([id, count]) => [id, this.choiceCaps ? Math.min(count, this.choiceCaps.get(id) ?? 1) : count]).sort(),
+      [...engine.getSecretChoicesAvailable()].sort(),
+      [...engine.executedActions].sort(),
+      engine.getCallStack().map(frame => frame.sceneId),
+      engine.getPendingActionsState(0).map(pending => [pending.action?.id ?? pending.action?.type, pending.turnsRemaining]),
+      sorted(engine.playerProfile.getRecord(engine.getProfileId()).metaFlags),
+      engine.playerProfile.getEndingsSeen(engine.getProfileId()).sort()
+    ]);
+  }
+
+  capture(engine) {
+    return {
+      currentSceneId: engine.getCurrentScene().id,
+      stats: engine.getStatsManager().getAllStats(),
+      flags: engine.getStatsManager().getAllFlags(),
+      inventory: engine.getInventoryManager().exportToSave(),
+      statusEffects: engine.statusEffectManager.getState(),
+      characters: engine.characterManager.getState(),
+      quests: engine.questManager.getState(),
+      visitedScenes: [...engine.getVisitedScenes()],
+      // Timestamp 0: cooldowns count as elapsed
+      choiceHistory: engine.getChoiceHistory().map(record => ({ ...record, timestamp: 0 })),
+      secretChoicesAvailable: [...engine.getSecretChoicesAvailable()],
+      executedActions: [...engine.executedActions],
+      callStack: engine.getCallStack(),
+      pendingActions: engine.getPendingActionsState(),
+      rngState: engine.getRandomState(),
+      profile: engine.playerProfile.read()
+    };
+  }
+
+  restore(engine, snapshot) {
+    const { inventory, profile, ...saveData } = snapshot;
+    engine.playerProfile.write(profile);
+    engine.reloadPlayerProfile();
+    engine.loadFromSave(saveData);
+    engine.getInventoryManager().loadFromSave(inventory);
+    engine.executedActions = new Set(snapshot.executedActions);
+  }
+
+  pathTo(state) {
+    const steps = [];
+    for (let current = state; current?.step; current = current.parent) {
+      steps.unshift(current.step);
+    }
+    return steps;
+  }
+}
+
+export default StateSpaceExplorer;
@@ -1,14 +1,21 @@
 // StatsManager.js - Enhanced version with Phase 3 advanced features
+import { ExpressionEvaluator, resolveInventoryTotal } from './ExpressionEvaluator.js';
+
 export class StatsManager {
   constructor(statDefs = []) {
     this.stats = {};
     this.flags = {};
     this.statDefinitions = {};
     this.inventoryManager = null;
+    this.statusEffectManager = null; // Active buffs/debuffs modify effective values (see getStatBreakdown)
     this.statChangeHistory = [];
     this.customStatTypes = new Map();
     // Incremented whenever stats or flags change so dependent caches can invalidate
     this._version = 0;
+    // Computed stats (definitions with a `formula`), in dependency order
+    this.computedStatOrder = [];
+    this.computedStatCycles = [];
+    this.computedStatErrors = new Set(); // ids already warned about, to avoid log spam
     
     // Initialize default custom stat types
     this.registerCustomStatType('percentage', {
@@ -39,6 +46,7 @@ export class StatsManager {
   // Internal: bump version when any stat/flag changes
   _bumpVersion() {
     this._version++;
+    this.recomputeDerivedStats();
   }
 
   // Expose a monotonic version number for cache invalidation
@@ -67,23 +75,212 @@ export class StatsManager {
         this.stats[def.id] = def.defaultValue;
       }
     });
+
+    const { order, cycles } = StatsManager.orderComputedStats(Object.values(this.statDefinitions));
+    this.computedStatOrder = order;
+    this.computedStatCycles = cycles;
+    if (cycles.length > 0) {
+      console.warn('StatsManager: Computed stat dependency cycles (left at default value):', cycles.map(c => c.join(' -> ')));
+    }
+    this.recomputeDerivedStats();
   }
 
-  // Set inventory manager reference for unified operations
-  setInventoryManager(inventoryManager) {
-    this.inventoryManager = inventoryManager;
-  }
+  /**
+   * Order computed stats so each formula is evaluated after the computed stats it reads
+   * @param {Array} statDefs - Stat definitions (computed ones have a `formula`)
+   * @returns {Object} { order: string[], cycles: string[][], errors: Array<{id, error}> }
+   */
+  static orderComputedStats(statDefs = []) {
+    const computed = new Map();
+    const errors = [];
+
+    statDefs.forEach(def => {
+      if (!def?.id || typeof def.formula !== 'string' || !def.formula.trim()) return;
+      try {
+        const deps = ExpressionEvaluator.collectReferences(def.formula)
+          .filter(ref => ref.namespace === 'stat')
+          .map(ref => ref.key);
+        computed.set(def.id, deps);
+      } catch (error) {
+        errors.push({ id: def.id, error: error.message });
+      }
+    });
+
+    const order = [];
+    const cycles = [];
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const inCycle = new Set();
+
+    const visit = (id, path) => {
+      if (state.get(id) === 'done') return;
+      if (state.get(id) === 'visiting') {
+        const cycle = path.slice(path.indexOf(id)).concat(id);
+        cycles.push(cycle);
+        cycle.forEach(member => inCycle.add(member));
+        return;
+      }
+      state.set(id, 'visiting');
+      computed.get(id).forEach(dep => {
+        if (computed.has(dep)) visit(dep, [...path, id]);
+      });
+      state.set(id, 'done');
+      order.push(id);
+    };
+
+    computed.forEach((_, id) => visit(id, []));
+
+    // Anything in or downstream of a cycle cannot be computed reliably
+    const blocked = new Set(inCycle);
+    order.forEach(id => {
+      if (computed.get(id).some(dep => blocked.has(dep))) blocked.add(id);
+    });
+
+    return { order: order.filter(id => !blocked.has(id)), cycles, errors };
+  }
+
+  // Computed stats are derived from a formula and cannot be set directly
+  isComputedStat(id) {
+    const def = this.statDefinitions[id];
+    return !!(def && typeof def.formula === 'string' && def.formula.trim());
+  }
+
+  // Re-evaluate every computed stat from current stats, flags and inventory
+  recomputeDerivedStats() {
+    if (this.computedStatOrder.length === 0) return;
+
+    const resolve = (namespace, key) => {
+      switch (namespace) {
+        case 'stat':
+          return this.getStat(key);
+        case 'flag':
+          return !!this.flags[key];
+        case 'item':
+          return this.inventoryManager ? this.inventoryManager.getItemCount(key) : 0;
+        case 'inventory':
+          return resolveInventoryTotal(this.inventoryManager, key);
+        default:
+          return undefined;
+      }
+    };
+
+    this.computedStatOrder.forEach(id => {
+      const def = this.statDefinitions[id];
+      try {
+        const value = ExpressionEvaluator.evaluate(def.formula, resolve);
+        this.stats[id] = this.normalizeComputedValue(def, value);
+      } catch (error) {
+        if (!this.computedStatErrors.has(id)) {
+          this.computedStatErrors.add(id);
+          console.warn(`StatsManager: Failed to compute stat ${id}:`, error.message);
+        }
+      }
+    });
+  }
+
+  // Apply the same type constraints setStat uses, without rejecting the value
+  normalizeComputedValue(def, value) {
+    if (this.customStatTypes.has(def.type)) {
+      const numeric = Number(value);
+      return this.customStatTypes.get(def.type).normalize(Number.isNaN(numeric) ? 0 : numeric);
+    }
+    if (def.type === 'boolean') return Boolean(value);
+    if (def.type === 'string') return String(value ?? '');
+
+    let numeric = typeof value === 'boolean' ? (value ? 1 : 0) : Number(value);
+    if (!Number.isFinite(numeric)) numeric = 0;
+    if (def.min !== undefined) numeric = Math.max(def.min, numeric);
+    if (def.max !== undefined) numeric = Math.min(def.max, numeric);
+    if (typeof def.precision === 'number') {
+      const factor = Math.pow(10, def.precision);
+      numeric = Math.round(numeric * factor) / factor;
+    }
+    return numeric;
+  }
+
+  // Called by InventoryManager so formulas using items/inventory totals stay current
+  onInventoryChanged() {
+    if (this.computedStatOrder.length > 0) {
+      this._bumpVersion();
+    }
+  }
+
+  // Called by InventoryManager when items are equipped or unequipped: effective values move
+  onEquipmentChanged() {
+    this._bumpVersion();
+  }
+
+  // Called by StatusEffectManager when effects are applied, cured or run out
+  onStatusEffectsChanged() {
+    this._bumpVersion();
+  }
+
+  setStatusEffectManager(statusEffectManager) {
+    this.statusEffectManager = statusEffectManager;
+    this._bumpVersion();
+  }
+
+  // Called by CharacterManager when a character stat changes, so cached conditions re-evaluate
+  onCharacterStatsChanged() {
+    this._bumpVersion();
+  }
+
+  // Called by QuestManager when a quest or objective changes state, so quest_state conditions re-evaluate
+  onQuestsChanged() {
+    this._bumpVersion();
+  }
+
+  // Set inventory manager reference for unified operations
+  setInventoryManager(inventoryManager) {
+    this.inventoryManager = inventoryManager;
+    this.recomputeDerivedStats();
+  }
 
   hasStatDefinition(statId) {
     return Object.prototype.hasOwnProperty.call(this.statDefinitions, statId);
   }
 
   // Enhanced stat operations
+  // Effective value: the base value with the modifiers of equipped items and status effects applied
   getStat(id) {
+    return this.getStatBreakdown(id).effective;
+  }
+
+  // Value without modifiers (what actions change and saves keep)
+  getBaseStat(id) {
     return this.stats[id];
   }
 
+  /**
+   * Base and effective value of a stat, with the equipped items and status effects that make
+   * the difference. Adds are summed first, then multipliers applied; the result keeps the stat's min/max.
+   * @param {string} id - Stat identifier
+   * @returns {Object} { base, effective, modifiers: [{ itemId, itemName, type, value } | { statusId, statusName, type, value }] }
+   */
+  getStatBreakdown(id) {
+    const base = this.stats[id];
+    const modifiers = typeof base === 'number'
+      ? [
+        ...(this.inventoryManager?.getStatModifiers ? this.inventoryManager.getStatModifiers(id) : []),
+        ...(this.statusEffectManager ? this.statusEffectManager.getStatModifiers(id) : [])
+      ]
+      : [];
+    if (modifiers.length === 0) {
+      return { base, effective: base, modifiers };
+    }
+
+    const added = modifiers.filter(m => m.type === 'add').reduce((sum, m) => sum + m.value, 0);
+    const factor = modifiers.filter(m => m.type === 'multiply').reduce((product, m) => product * m.value, 1);
+    const def = this.statDefinitions[id];
+    const value = (base + added) * factor;
+    return { base, effective: def ? this.normalizeComputedValue(def, value) : value, modifiers };
+  }
+
   setStat(id, value, recordHistory = true) {
+    if (this.isComputedStat(id)) {
+      console.warn(`StatsManager: Stat ${id} is computed from a formula and cannot be set directly`);
+      return false;
+    }
+
     const oldValue = this.stats[id];
     const def = this.statDefinitions[id];
     let newValue = value;
@@ -131,7 +328,7 @@ export class StatsManager {
   }
 
   addToStat(id, amount) {
-    const current = this.getStat(id);
+    const current = this.getBaseStat(id);
     if (typeof current === 'number') {
       return this.setStat(id, current + amount);
     }
@@ -140,7 +337,7 @@ export class StatsManager {
 
   // Multiply stat by factor
   multiplyStat(id, factor) {
-    const current = this.getStat(id);
+    const current = this.getBaseStat(id);
     if (typeof current === 'number') {
       return this.setStat(id, current * factor);
     }
@@ -232,10 +429,16 @@ export class StatsManager {
   }
 
   // Enhanced data retrieval
+  // Base values (the shape saves keep)
   getAllStats() {
     return { ...this.stats };
   }
 
+  // Values with equipment and status effect modifiers applied, for display
+  getEffectiveStats() {
+    return Object.fromEntries(Object.keys(this.stats).map(id => [id, this.getStat(id)]));
+  }
+
   getAllFlags() {
     return { ...this.flags };
   }
@@ -275,7 +478,7 @@ export class StatsManager {
     return Object.entries(this.statDefinitions)
       .filter(([_, def]) => !def.hidden)
       .map(([id, def]) => {
-        const value = this.stats[id];
+        const { base, effective: value, modifiers } = this.getStatBreakdown(id);
         let displayValue = value;
         
         // Apply custom type display formatting
@@ -288,11 +491,15 @@ export class StatsManager {
           id,
           name: def.name,
           value: value,
+          baseValue: base,
+          modifiers,
           displayValue: displayValue,
           type: def.type,
           category: def.category || 'general',
           min: def.min,
-          max: def.max
+          max: def.max,
+          computed: this.isComputedStat(id),
+          formula: def.formula
         };
       });
   }
@@ -439,5 +646,6 @@ export class StatsManager {
     if (this.inventoryManager) {
       this.inventoryManager.clearInventory();
     }
+    this.recomputeDerivedStats();
   }
 }
@@ -0,0 +1,264 @@
+/**
+ * StatusEffectManager.js - Timed buffs and debuffs on the player (poisoned, blessed, ...)
+ *
+ * adventure.statusEffects declares them; add_status / cure_status actions apply and cure them:
+ * - duration: turns the effect lasts once applied (a turn is one choice); omitted = until cured
+ * - stacking: what applying an effect that is already active does
+ *   'refresh' (default) restarts the duration, 'extend' adds the new duration to the turns left,
+ *   'stack' adds a stack (up to maxStacks) and restarts the duration, 'ignore' changes nothing
+ * - modifiers: [{ stat, type: 'add' | 'multiply', value }] change effective stat values while the
+ *   effect is active, like equipment; each stack applies them again
+ * - onTick: actions run every turn the effect is active (once per stack)
+ * - onExpire: actions run when the duration runs out; curing runs neither
+ * - debuff: marks harmful effects for the player UI
+ *
+ * Active effects keep the order they were applied in, so ticks run in a stable order.
+ *
+ * Integration Points:
+ * - StoryEngine: ticks on each choice, runs onTick / onExpire, saves `statusEffects`
+ * - StatsManager: getStatModifiers feeds effective values (getStatBreakdown)
+ * - ConditionParser: has_status conditions
+ * - StatsPanel: active effects with the turns they have left
+ */
+
+const STACKING_RULES = ['refresh', 'extend', 'stack', 'ignore'];
+
+// Whole number of turns (or stacks) above zero, else null (= no limit)
+const toCount = value => {
+  const number = Math.floor(Number(value));
+  return value !== null && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+export class StatusEffectManager {
+  constructor() {
+    this.statsManager = null;
+    this.definitions = new Map(); // effectId -> normalized definition
+    this.active = new Map(); // effectId -> { stacks, remaining (turns left, null = until cured) }
+  }
+
+  /**
+   * Switch to an adventure; no effect is active
+   * @param {Object} adventure
+   * @param {Object} managers - { statsManager } of the engine (told when effective values move)
+   */
+  setAdventure(adventure, { statsManager }) {
+    this.statsManager = statsManager;
+    this.active = new Map();
+    this.setDefinitions(adventure);
+  }
+
+  // Same effects with different text (a language switch); active effects are untouched
+  setDefinitions(adventure) {
+    this.definitions.clear();
+    (adventure?.statusEffects || []).forEach(effect => {
+      if (!effect?.id) return;
+      this.definitions.set(effect.id, this.normalizeEffect(effect));
+    });
+  }
+
+  /**
+   * @private
+   */
+  normalizeEffect(effect) {
+    return {
+      ...effect,
+      name: effect.name || effect.id,
+      duration: toCount(effect.duration),
+      stacking: STACKING_RULES.includes(effect.stacking) ? effect.stacking : 'refresh',
+      maxStacks: toCount(effect.maxStacks),
+      modifiers: (Array.isArray(effect.modifiers) ? effect.modifiers : []).filter(modifier => modifier?.stat),
+      onTick: Array.isArray(effect.onTick) ? effect.onTick : [],
+      onExpire: Array.isArray(effect.onExpire) ? effect.onExpire : []
+    };
+  }
+
+  getDefinition(effectId) {
+    return this.definitions.get(effectId) || null;
+  }
+
+  has(effectId) {
+    return this.active.has(effectId);
+  }
+
+  getStacks(effectId) {
+    return this.active.get(effectId)?.stacks || 0;
+  }
+
+  // Turns left, or null while the effect lasts until cured (or isn't active)
+  getRemaining(effectId) {
+    return this.active.get(effectId)?.remaining ?? null;
+  }
+
+  /**
+   * Apply an effect, or apply it again following its stacking rule
+   * @param {string} effectId
+   * @param {Object} options - { duration: turns instead of the definition's (0 = until cured) }
+   * @returns {Object} { success, message }
+   */
+  apply(effectId, { duration } = {}) {
+    const effect = this.definitions.get(effectId);
+    if (!effect) {
+      return { success: false, message: `Unknown status effect: ${effectId}` };
+    }
+
+    const turns = duration === undefined || duration === null || duration === '' ? effect.duration : toCount(duration);
+    const current = this.active.get(effectId);
+    if (!current) {
+      this.active.set(effectId, { stacks: 1, remaining: turns });
+      this.changed();
+      return { success: true, message: `${effect.name} applied` };
+    }
+
+    switch (effect.stacking) {
+      case 'ignore':
+        return { success: true, message: `${effect.name} is already active` };
+      case 'extend':
+        current.remaining = current.remaining === null || turns === null ? null : current.remaining + turns;
+        break;
+      case 'stack':
+        if (effect.maxStacks === null || current.stacks < effect.maxStacks) {
+          current.stacks += 1;
+        }
+        current.remaining = turns;
+        break;
+      default:
+        current.remaining = turns;
+    }
+    this.changed();
+    return { success: true, message: current.stacks > 1 ? `${effect.name} ×${current.stacks}` : `${effect.name} renewed` };
+  }
+
+  /**
+   * Cure an active effect
+   * @param {string} effectId
+   * @param {number|null} stacks - stacks to remove; null removes the effect
+   * @returns {Object} { success, message }
+   */
+  cure(effectId, stacks = null) {
+    const effect = this.definitions.get(effectId);
+    if (!effect) {
+      return { success: false, message: `Unknown status effect: ${effectId}` };
+    }
+    const current = this.active.get(effectId);
+    if (!current) {
+      return { success: false, message: `${effect.name} is not active` };
+    }
+
+    const count = toCount(stacks);
+    if (count !== null && count < current.stacks) {
+      current.stacks -= count;
+    } else {
+      this.active.delete(effectId);
+    }
+    this.changed();
+    return { success: true, message: `${effect.name} cured` };
+  }
+
+  clear() {
+    if (this.active.size === 0) return;
+    this.active = new Map();
+    this.changed();
+  }
+
+  /**
+   * One turn passes. Counts every timed effect down and drops the ones that run out;
+   * the engine runs the returned actions (ticks first, then expiries). Any count down
+   * notifies, so turns-left displays and condition caches keep up.
+   * @returns {Object} { ticks: [{ effect, stacks }], expired: [effect] }
+   */
+  advanceTurn() {
+    const ticks = [];
+    const expired = [];
+    let counted = false;
+    this.active.forEach((state, effectId) => {
+      const effect = this.definitions.get(effectId);
+      if (!effect) return;
+      if (effect.onTick.length > 0) {
+        ticks.push({ effect, stacks: state.stacks });
+      }
+      if (state.remaining !== null) {
+        state.remaining -= 1;
+        counted = true;
+        if (state.remaining <= 0) {
+          this.active.delete(effectId);
+          expired.push(effect);
+        }
+      }
+    });
+    if (counted) {
+      this.changed();
+    }
+    return { ticks, expired };
+  }
+
+  /**
+   * Modifiers active effects put on a stat, in StatsManager's breakdown shape
+   * @param {string} statId
+   * @returns {Array} [{ statusId, statusName, type: 'add' | 'multiply', value }]
+   */
+  getStatModifiers(statId) {
+    const modifiers = [];
+    this.active.forEach((state, effectId) => {
+      const effect = this.definitions.get(effectId);
+      (effect?.modifiers || []).forEach(modifier => {
+        if (modifier.stat !== statId) return;
+        const value = Number(modifier.value) || 0;
+        const multiply = modifier.type === 'multiply';
+        modifiers.push({
+          statusId: effectId,
+          statusName: effect.name,
+          type: multiply ? 'multiply' : 'add',
+          value: multiply ? Math.pow(value, state.stacks) : value * state.stacks
+        });
+      });
+    });
+    return modifiers;
+  }
+
+  // Active effects for the player UI, in the order they were applied
+  getActiveEffects() {
+    const effects = [];
+    this.active.forEach((state, effectId) => {
+      const effect = this.definitions.get(effectId);
+      if (!effect) return;
+      effects.push({
+        id: effectId,
+        name: effect.name,
+        description: effect.description || '',
+        icon: effect.icon || '',
+        debuff: !!effect.debuff,
+        stacks: state.stacks,
+        remaining: state.remaining,
+        duration: effect.duration
+      });
+    });
+    return effects;
+  }
+
+  // Serializable [{ id, stacks, remaining }] for saves and rewind snapshots
+  getState() {
+    return Array.from(this.active, ([id, state]) => ({ id, stacks: state.stacks, remaining: state.remaining }));
+  }
+
+  // Restore getState() output; effects the adventure no longer declares are dropped
+  loadState(state = []) {
+    this.active = new Map();
+    (Array.isArray(state) ? state : []).forEach(entry => {
+      if (!entry?.id || !this.definitions.has(entry.id)) return;
+      this.active.set(entry.id, {
+        stacks: toCount(entry.stacks) || 1,
+        remaining: toCount(entry.remaining)
+      });
+    });
+    this.changed();
+  }
+
+  /**
+   * @private
+   */
+  changed() {
+    this.statsManager?.onStatusEffectsChanged?.();
+  }
+}
+
+export default StatusEffectManager;
@@ -4,8 +4,26 @@ import { ConditionParser } from './ConditionParser.js';
 import { ChoiceEvaluator } from './ChoiceEvaluator.js';
 import { InventoryManager } from './InventoryManager.js';
 import { CrossGameSaveSystem } from './CrossGameSaveSystem.js';
+import { TextInterpolator } from './TextInterpolator.js';
+import { SeededRandom } from './SeededRandom.js';
+import { DiceRoller } from './DiceRoller.js';
+import { ExpressionEvaluator } from './ExpressionEvaluator.js';
+import { StoryEventBus } from './StoryEventBus.js';
+import { AchievementManager } from './AchievementManager.js';
+import { PlayerProfile, isEnding } from './PlayerProfile.js';
+import { ShopManager } from './ShopManager.js';
+import { StatusEffectManager } from './StatusEffectManager.js';
+import { CharacterManager, parseCharacterStatKey } from './CharacterManager.js';
+import { QuestManager, parseObjectiveKey } from './QuestManager.js';
+import { localizeAdventure, getLockMessages, getLocales, getSourceLocale } from './Localization.js';
 import { validationService } from '../services/ValidationService.js';
 
+// go_to_scene actions that may chain (onEnter of the scene moved to moving on again) before the engine stops
+const MAX_SCENE_REDIRECTS = 10;
+
+// Decision points kept for rewind when the adventure doesn't set rewind.limit
+export const DEFAULT_REWIND_LIMIT = 100;
+
 export class StoryEngine {
   constructor() {
     this.adventure = null;
@@ -20,7 +38,40 @@ export class StoryEngine {
     this.choiceHistory = [];
     this.secretsDiscovered = [];
     this.secretChoicesAvailable = new Set(); // Track which secret choices are permanently unlocked
-    this.executedActions = new Set(); // Track one-time actions executed (by action.id)
+    this.executedActions = new Set(); // Track one-time actions executed (by action.id)
+    this.rng = new SeededRandom(); // Deterministic randomness for probability, rolls and random branches
+    this.lastRoll = null;
+    this.events = new StoryEventBus(); // trigger_event and engine notifications for the UI
+    this.pendingActions = []; // Delayed actions waiting for their time or turn count
+    this.pendingActionTimer = null;
+    this.pendingActionCounter = 0;
+    this.rewindPoints = []; // State before each choice, for undo/rewind (see recordRewindPoint)
+    this.callStack = []; // Tunnels: { sceneId, choiceId } frames a return choice goes back to
+    this.choiceTimer = null; // Countdown for scenes with a timeLimit (see startChoiceTimer)
+    this.choiceTimerHandle = null;
+    this.choiceTimerPaused = false;
+    this.timerScale = 1; // Player accessibility override: 0 = no time limits, 2 = twice as long
+    this.locale = null; // Player language; null (or an untranslated locale) plays the source text
+    this.sourceAdventure = null; // The adventure as loaded; this.adventure is its localized copy
+    this.playerProfile = new PlayerProfile(); // Endings, meta flags and achievements across playthroughs
+    this.playthroughCompleted = false; // An ending was reached this playthrough (counted once in the profile)
+    this.achievementManager = new AchievementManager({
+      events: this.events,
+      profile: this.playerProfile,
+      onUnlock: achievement => this.executeActions(achievement.rewards)
+    });
+    this.shopManager = new ShopManager(); // Scene shops and what is left in their stock
+    this.statusEffectManager = new StatusEffectManager(); // Timed buffs and debuffs (ticked once per choice)
+    this.statsManager.setStatusEffectManager(this.statusEffectManager);
+    this.conditionParser.setStatusEffectManager(this.statusEffectManager);
+    this.characterManager = new CharacterManager(); // NPCs, their relationship stats and dialogue speakers
+    this.conditionParser.setCharacterManager(this.characterManager);
+    this.questManager = new QuestManager({ // Quest journal: objectives and quest states
+      events: this.events,
+      onQuestEnded: (quest, state) => this.executeActions(state === 'completed' ? quest.onComplete : quest.onFail)
+    });
+    this.conditionParser.setQuestManager(this.questManager);
+    this.sceneRedirect = null; // Scene a go_to_scene action moves to once the running actions finish
     
     // Validation integration
     this.validationService = validationService;
@@ -65,7 +116,16 @@ export class StoryEngine {
       }
     }
     
+    this.sourceAdventure = adventure;
+    adventure = localizeAdventure(adventure, this.locale);
     this.adventure = adventure;
+    this.setRandomSeed(adventure.randomSeed ?? SeededRandom.createSeed());
+    this.clearPendingActions();
+    this.stopChoiceTimer();
+    this.rewindPoints = [];
+    this.callStack = [];
+    this.sceneRedirect = null;
+    this.playthroughCompleted = false;
     this.statsManager = new StatsManager(adventure.stats || []);
     this.inventoryManager = new InventoryManager(this.statsManager);
     this.statsManager.setInventoryManager(this.inventoryManager);
@@ -73,11 +133,24 @@ export class StoryEngine {
     // Initialize inventory with adventure items
     if (adventure.inventory && adventure.inventory.length > 0) {
       this.inventoryManager.initializeInventory(adventure.inventory);
-      console.log('StoryEngine: Initialized inventory with', adventure.inventory.length, 'item types');
-    }
-
-    this.conditionParser = new ConditionParser(this.statsManager, this.visitedScenes, this.inventoryManager);
+      console.log('StoryEngine: Initialized inventory with', adventure.inventory.length, 'item types');
+    }
+    this.inventoryManager.setEquipmentSlots(adventure.equipmentSlots || []);
+    this.inventoryManager.setRecipes(adventure.recipes || []);
+    this.shopManager.setAdventure(adventure, { inventoryManager: this.inventoryManager, statsManager: this.statsManager });
+    this.statusEffectManager.setAdventure(adventure, { statsManager: this.statsManager });
+    this.statsManager.setStatusEffectManager(this.statusEffectManager);
+    this.characterManager.setAdventure(adventure, { statsManager: this.statsManager });
+    this.questManager.setAdventure(adventure, { statsManager: this.statsManager });
+
+    this.conditionParser = new ConditionParser(this.statsManager, this.visitedScenes, this.inventoryManager, this.choiceHistory);
+    this.conditionParser.setStatusEffectManager(this.statusEffectManager);
+    this.conditionParser.setCharacterManager(this.characterManager);
+    this.conditionParser.setQuestManager(this.questManager);
     this.choiceEvaluator = new ChoiceEvaluator(this.conditionParser, this.statsManager, this.inventoryManager);
+    this.choiceEvaluator.setMessages(getLockMessages(this.sourceAdventure, this.locale));
+    this.conditionParser.setPlayerProfile(this.playerProfile, this.getProfileId());
+    this.achievementManager.setAdventure(adventure);
     
     // Update choice evaluator with visit and choice history
     this.choiceEvaluator.updateVisitedScenes(this.visitedScenes);
@@ -92,8 +165,68 @@ export class StoryEngine {
     }
   }
 
-  // Navigate to a specific scene
-  navigateToScene(sceneId) {
+  /**
+   * Switch the language the adventure is played in, keeping all game state.
+   * Untranslated strings fall back to the source language. Emits 'localeChanged'.
+   * @param {string|null} locale - e.g. 'fr'; null plays the source language
+   */
+  setLocale(locale) {
+    this.locale = locale || null;
+    if (!this.sourceAdventure) return;
+
+    const localized = localizeAdventure(this.sourceAdventure, this.locale);
+    this.adventure = localized;
+    if (this.currentScene) {
+      this.currentScene = localized.scenes.find(scene => scene.id === this.currentScene.id) || this.currentScene;
+    }
+
+    // Swap in translated names; definitions are replaced, never mutated (they may belong to the source)
+    (localized.stats || []).forEach(stat => {
+      const definition = this.statsManager.statDefinitions[stat.id];
+      if (definition) {
+        this.statsManager.statDefinitions[stat.id] = { ...definition, name: stat.name, description: stat.description };
+      }
+    });
+    (localized.inventory || []).forEach(item => {
+      const definition = this.inventoryManager?.itemDefinitions.get(item.id);
+      if (definition) {
+        this.inventoryManager.itemDefinitions.set(item.id, { ...definition, name: item.name, description: item.description });
+      }
+    });
+    (localized.recipes || []).forEach(recipe => {
+      const definition = this.inventoryManager?.recipes.get(recipe?.id);
+      if (definition) {
+        this.inventoryManager.recipes.set(recipe.id, { ...definition, name: recipe.name || recipe.id, description: recipe.description });
+      }
+    });
+
+    this.achievementManager.setDefinitions(localized.achievements);
+    this.shopManager.setDefinitions(localized);
+    this.statusEffectManager.setDefinitions(localized);
+    this.characterManager.setDefinitions(localized);
+    this.questManager.setDefinitions(localized);
+    this.choiceEvaluator.setMessages(getLockMessages(this.sourceAdventure, this.locale));
+    this.events.emit('localeChanged', { locale: this.getLocale() });
+  }
+
+  // The locale being played (the source locale when none is set or it has no translations)
+  getLocale() {
+    if (!this.sourceAdventure) return this.locale;
+    const locales = getLocales(this.sourceAdventure);
+    return locales.includes(this.locale) ? this.locale : getSourceLocale(this.sourceAdventure);
+  }
+
+  getAvailableLocales() {
+    return this.sourceAdventure ? getLocales(this.sourceAdventure) : [];
+  }
+
+  // Navigate to a specific scene.
+  // options.restoring skips onExit/onEnter actions (used when loading a save).
+  // options.call enters the scene as a tunnel: the current scene is pushed on the call stack
+  // and, since it is only suspended, its onExit doesn't run. options.returning resumes a
+  // caller (see returnFromCall) without re-running its onEnter.
+  // A go_to_scene action in onExit or onEnter moves on from here (options.redirects counts the chain).
+  navigateToScene(sceneId, options = {}) {
     console.log('StoryEngine: Navigating to scene:', sceneId);
     
     if (!this.adventure) {
@@ -119,25 +252,65 @@ export class StoryEngine {
       this.choiceEvaluator.updateVisitedScenes(this.visitedScenes);
     }
 
+    if (options.call && this.currentScene) {
+      this.callStack.push({ sceneId: this.currentScene.id, choiceId: options.choiceId ?? null });
+    }
+
     // Execute onExit actions for current scene
-    if (this.currentScene?.onExit) {
+    if (!options.restoring && !options.call && this.currentScene?.onExit) {
       this.executeActions(this.currentScene.onExit);
     }
 
+    const previousSceneId = this.currentScene?.id;
     this.currentScene = scene;
     console.log('StoryEngine: Current scene set to:', scene.title, 'with', scene.choices?.length || 0, 'choices');
 
+    // Coming into a shop's scene from elsewhere refills its stock (before onEnter, which may trade);
+    // choices that loop back to the same scene keep it
+    if (!options.restoring && !options.returning && previousSceneId !== scene.id) {
+      this.shopManager.enterScene(scene.id);
+    }
+
     // Execute onEnter actions for new scene
-    if (scene.onEnter) {
+    if (!options.restoring && !options.returning && scene.onEnter) {
       this.executeActions(scene.onEnter);
     }
 
+    if (!options.restoring && this.sceneRedirect) {
+      const redirected = this.followSceneRedirect(options.redirects || 0);
+      if (redirected) return redirected;
+    }
+
+    if (!options.restoring && this.isEnding(scene)) {
+      this.recordEnding(scene);
+    }
+
     // Check for newly discovered secret choices
     this.discoverSecretChoices();
+    this.evaluateQuests();
+    this.evaluateAchievements();
+
+    // Restoring a save restarts the countdown itself (with the time that was left)
+    if (!options.restoring) {
+      this.startChoiceTimer(scene);
+    }
 
     return scene;
   }
 
+  // Move to the scene a go_to_scene action asked for, if any; returns that scene or null
+  followSceneRedirect(redirects = 0) {
+    const sceneId = this.sceneRedirect;
+    this.sceneRedirect = null;
+    if (!sceneId) return null;
+
+    if (redirects >= MAX_SCENE_REDIRECTS) {
+      console.warn('StoryEngine: Too many go_to_scene actions in a row, staying at', this.currentScene?.id);
+      return null;
+    }
+    return this.navigateToScene(sceneId, { redirects: redirects + 1 });
+  }
+
   // Discover secret choices based on current conditions
   discoverSecretChoices() {
     if (!this.currentScene?.choices) return;
@@ -263,6 +436,9 @@ export class StoryEngine {
       return null;
     }
 
+    this.recordRewindPoint(choice);
+    this.stopChoiceTimer();
+
     // Record choice in history
     const choiceRecord = {
       sceneId: this.currentScene.id,
@@ -271,8 +447,13 @@ export class StoryEngine {
       timestamp: Date.now()
     };
     this.choiceHistory.push(choiceRecord);
+    this.conditionParser.updateChoiceHistory(this.choiceHistory);
     this.choiceEvaluator.updateChoiceHistory(this.choiceHistory);
 
+    // Each choice is one turn for turn-delayed actions and status effects
+    this.advancePendingTurns();
+    this.advanceStatusEffects();
+
     this._applyChoiceInput(choice, submission, evaluation);
 
     // Execute choice actions (including inventory actions)
@@ -281,25 +462,91 @@ export class StoryEngine {
       this.executeActions(choice.actions);
     }
 
-    // Navigate to target scene or remain in place for fake choices
-    if (!choice.targetSceneId) {
-      if (choice.isFake) {
-        this.choiceEvaluator.clearCache();
-        this.discoverSecretChoices();
-        return this.currentScene;
-      }
-
-      console.error('StoryEngine: Choice has no targetSceneId');
-      return null;
+    // A go_to_scene action (or a turn-delayed one firing now) overrides where the choice leads
+    if (this.sceneRedirect) {
+      return this.followSceneRedirect() || this.currentScene;
     }
 
+    // Navigate to target scene or remain in place for fake choices
     if (choice.isFake) {
       this.choiceEvaluator.clearCache();
       this.discoverSecretChoices();
+      this.evaluateQuests();
+      this.evaluateAchievements();
+      this.startChoiceTimer(this.currentScene);
       return this.currentScene;
     }
 
-    return this.navigateToScene(choice.targetSceneId);
+    // Return choices go back to the scene that called this one
+    if (choice.isReturn) {
+      return this.returnFromCall(choice.targetSceneId);
+    }
+
+    const targetSceneId = this.resolveChoiceTarget(choice);
+    if (!targetSceneId) {
+      console.error('StoryEngine: Choice has no targetSceneId');
+      return null;
+    }
+    if (targetSceneId !== choice.targetSceneId) {
+      choiceRecord.randomBranchTarget = targetSceneId;
+    }
+
+    return this.navigateToScene(targetSceneId, choice.isCall ? { call: true, choiceId: choice.id } : {});
+  }
+
+  // Leave a tunnel: resume the scene on top of the call stack. With nothing on the stack
+  // the return choice's own targetSceneId (if any) is used instead.
+  returnFromCall(fallbackSceneId = null) {
+    const frame = this.callStack[this.callStack.length - 1];
+    if (!frame) {
+      if (fallbackSceneId) {
+        return this.navigateToScene(fallbackSceneId);
+      }
+      console.error('StoryEngine: Return choice with an empty call stack and no targetSceneId');
+      return null;
+    }
+
+    const scene = this.navigateToScene(frame.sceneId, { returning: true });
+    if (scene) {
+      this.callStack.pop();
+    }
+    return scene;
+  }
+
+  getCallStack() {
+    return this.callStack.map(frame => ({ ...frame }));
+  }
+
+  // Destination for a choice: a weighted pick from randomBranches, else targetSceneId
+  resolveChoiceTarget(choice) {
+    if (Array.isArray(choice.randomBranches) && choice.randomBranches.length > 0) {
+      const picked = this.pickRandomBranch(choice.randomBranches);
+      if (picked) {
+        console.log('StoryEngine: Random branch picked:', picked.targetSceneId);
+        return picked.targetSceneId;
+      }
+      console.warn('StoryEngine: No eligible random branch for choice:', choice.id);
+    }
+    return choice.targetSceneId || null;
+  }
+
+  // Weighted pick among branches whose conditions pass; weight defaults to 1
+  pickRandomBranch(branches = []) {
+    const eligible = branches.filter(branch => {
+      if (!branch?.targetSceneId) return false;
+      if (!(Number(branch.weight ?? 1) > 0)) return false;
+      return !Array.isArray(branch.conditions) || branch.conditions.length === 0 ||
+        this.conditionParser.evaluateConditions(branch.conditions);
+    });
+    if (eligible.length === 0) return null;
+
+    const totalWeight = eligible.reduce((sum, branch) => sum + Number(branch.weight ?? 1), 0);
+    let roll = this.rng.next() * totalWeight;
+    for (const branch of eligible) {
+      roll -= Number(branch.weight ?? 1);
+      if (roll < 0) return branch;
+    }
+    return eligible[eligible.length - 1];
   }
 
   _applyChoiceInput(choice, submission = {}, evaluation = {}) {
@@ -349,21 +596,35 @@ export class StoryEngine {
     this.statsManager.setStat(variable, value);
   }
 
-  // Execute actions with inventory support
-  executeActions(actions) {
+  // Execute actions with inventory support.
+  // options.fromQueue is set when delayed actions fire so they are not re-queued.
+  // options.executed collects the actions that ran (skipped, queued and unknown ones are left out).
+  executeActions(actions, options = {}) {
     if (!actions || actions.length === 0) return;
 
     console.log('StoryEngine: Executing', actions.length, 'actions');
 
     actions.forEach(action => {
+      if (!action) return;
+
       // Per-action one-time enforcement
-      if (action && action.oneTime && action.id) {
+      if (action.oneTime && action.id) {
         if (this.executedActions.has(action.id)) {
           console.log('StoryEngine: Skipping one-time action already executed:', action.id);
           return;
         }
       }
 
+      // Delayed actions are queued; conditions and probability are checked when they fire
+      if (!options.fromQueue && this.isDelayedAction(action)) {
+        this.schedulePendingAction(action);
+        return;
+      }
+
+      if (!this.shouldExecuteAction(action)) {
+        return;
+      }
+
       console.log('StoryEngine: Executing action:', action.type, action.key, action.value);
       
       switch (action.type) {
@@ -374,7 +635,7 @@ export class StoryEngine {
           this.statsManager.addToStat(action.key, action.value);
           break;
         case 'multiply_stat': {
-          const current = this.statsManager.getStat(action.key) || 0;
+          const current = this.statsManager.getBaseStat(action.key) || 0;
           const factor = Number(action.value) || 1;
           this.statsManager.setStat(action.key, current * factor);
           break;
@@ -402,17 +663,14 @@ export class StoryEngine {
         case 'toggle_flag':
           this.statsManager.toggleFlag(action.key);
           break;
-        case 'add_achievement': {
-          // Record achievement discovery; ensure it exists in adventure.achievements
-          const achId = action.key;
-          const exists = (this.adventure?.achievements || []).some(a => a.id === achId);
-          if (!exists) {
-            console.warn(`StoryEngine: Achievement id not found: ${achId}`);
-          }
-          // Reuse secretsDiscovered list as achievements log alternative if no dedicated system
-          this.secretsDiscovered.push({ choiceId: `achievement:${achId}`, sceneId: this.currentScene?.id, timestamp: Date.now() });
+        case 'set_meta_flag':
+          // Outlives the playthrough (see PlayerProfile); a missing value sets the flag
+          this.playerProfile.setMetaFlag(this.getProfileId(), action.key, action.value ?? true);
+          break;
+        case 'add_achievement':
+          // Unknown ids are reported by the manager
+          this.achievementManager.unlock(action.key, { source: 'action', sceneId: this.currentScene?.id ?? null });
           break;
-        }
         case 'add_inventory': {
           const quantity = action.value || 1;
           const result = this.inventoryManager.addItem(action.key, quantity);
@@ -435,14 +693,98 @@ export class StoryEngine {
           }
           break;
         }
+        case 'equip_item': {
+          const result = this.inventoryManager.equipItem(action.key);
+          this.logInventoryOutcome(result, `Equipped ${action.key}`);
+          break;
+        }
+        case 'unequip_item': {
+          const result = this.inventoryManager.unequipItem(action.key);
+          this.logInventoryOutcome(result, `Unequipped ${action.key}`);
+          break;
+        }
+        case 'craft': {
+          // Scripted crafting uses the recipe like the player would: ingredients and requirements apply
+          const result = this.inventoryManager.craft(action.key, this.conditionParser);
+          this.logInventoryOutcome(result, `Crafted ${action.key}`);
+          break;
+        }
+        case 'buy_item':
+        case 'sell_item': {
+          // Trades like the player would: prices, currency and stock apply
+          const shopId = action.shopId || this.getCurrentShopId();
+          const quantity = action.value || 1;
+          const result = action.type === 'buy_item'
+            ? this.shopManager.buy(shopId, action.key, quantity, this.conditionParser)
+            : this.shopManager.sell(shopId, action.key, quantity, this.conditionParser);
+          this.logInventoryOutcome(result);
+          break;
+        }
+        case 'add_status': {
+          // value overrides the effect's duration in turns (0 = until cured)
+          const result = this.statusEffectManager.apply(action.key, { duration: action.value });
+          this.logOutcome('Status effect', result);
+          break;
+        }
+        case 'cure_status': {
+          // value is the number of stacks to remove (omitted = the whole effect)
+          const result = this.statusEffectManager.cure(action.key, action.value ?? null);
+          this.logOutcome('Status effect', result);
+          break;
+        }
+        case 'character_stat': {
+          // key 'characterId.statId'; adds value unless operation is 'set'
+          const result = action.operation === 'set'
+            ? this.characterManager.setStat(action.key, action.value)
+            : this.characterManager.addToStat(action.key, action.value);
+          this.logOutcome('Character', result);
+          break;
+        }
+        case 'start_quest':
+          this.logOutcome('Quest', this.questManager.start(action.key));
+          break;
+        case 'complete_objective':
+          // key 'questId.objectiveId'; completing the last required objective completes the quest
+          this.logOutcome('Quest', this.questManager.completeObjective(action.key));
+          break;
+        case 'fail_quest':
+          this.logOutcome('Quest', this.questManager.fail(action.key));
+          break;
+        case 'roll':
+          this.executeRoll(action);
+          break;
+        case 'unlock_secret':
+          this.unlockSecretChoice(action.key);
+          break;
+        case 'go_to_scene':
+          // The move waits until the running actions finish (see followSceneRedirect)
+          if (!this.adventure?.scenes?.some(scene => scene.id === action.key)) {
+            console.warn('StoryEngine: go_to_scene to unknown scene:', action.key);
+            return;
+          }
+          this.sceneRedirect = action.key;
+          break;
+        case 'trigger_event':
+          if (!action.key) {
+            console.warn('StoryEngine: trigger_event action has no event name');
+            break;
+          }
+          this.events.emit(action.key, {
+            event: action.key,
+            payload: action.value,
+            sceneId: this.currentScene?.id
+          });
+          break;
         default:
           console.warn('StoryEngine: Unknown action type:', action.type);
+          return;
       }
 
       // Mark one-time action as executed
-      if (action && action.oneTime && action.id) {
+      if (action.oneTime && action.id) {
         this.executedActions.add(action.id);
       }
+      options.executed?.push(action);
     });
 
     // After state-affecting actions, clear evaluation caches so choices re-evaluate immediately
@@ -452,6 +794,795 @@ export class StoryEngine {
     if (this.choiceEvaluator && typeof this.choiceEvaluator.clearCache === 'function') {
       this.choiceEvaluator.clearCache();
     }
+
+    this.evaluateQuests();
+    this.evaluateAchievements();
+  }
+
+  // Start, progress and fail quests whose conditions hold now (see QuestManager.evaluate)
+  evaluateQuests() {
+    if (!this.adventure) return [];
+    return this.questManager.evaluate(this.conditionParser);
+  }
+
+  // Started quests with their objectives for the journal (see QuestManager.getJournal)
+  getQuestJournal() {
+    return this.questManager.getJournal();
+  }
+
+  // Unlock achievements whose conditions or counters are met now (see AchievementManager)
+  evaluateAchievements() {
+    if (!this.adventure) return [];
+    return this.achievementManager.evaluate(this.conditionParser);
+  }
+
+  getAchievements(options) {
+    return this.achievementManager.getAchievements(options);
+  }
+
+  /**
+   * Player profile: what carries over between playthroughs (endings, meta flags,
+   * achievements). Endings are scenes without choices or marked isEnding; the first
+   * one reached in a playthrough counts the playthrough as completed.
+   */
+
+  // Profile records are keyed by adventure id
+  getProfileId() {
+    return this.sourceAdventure?.id || 'current';
+  }
+
+  isEnding(scene) {
+    return isEnding(scene);
+  }
+
+  recordEnding(scene) {
+    const firstTime = this.playerProfile.recordEnding(this.getProfileId(), scene.id, {
+      completesPlaythrough: !this.playthroughCompleted
+    });
+    this.playthroughCompleted = true;
+    this.choiceEvaluator.clearCache(); // Its cache key only covers stats
+    this.events.emit('endingReached', { sceneId: scene.id, firstTime });
+  }
+
+  // Use another profile (e.g. an in-memory one for simulated play)
+  setPlayerProfile(profile) {
+    this.playerProfile = profile;
+    this.achievementManager.profile = profile;
+    this.reloadPlayerProfile();
+  }
+
+  // Re-read the profile after it was imported or reset
+  reloadPlayerProfile() {
+    this.conditionParser.setPlayerProfile(this.playerProfile, this.getProfileId());
+    if (this.adventure) {
+      this.achievementManager.setAdventure(this.adventure);
+    }
+    this.conditionParser.clearCache();
+    this.choiceEvaluator.clearCache();
+  }
+
+  /**
+   * @returns {Object} { playthroughs, endings: [{ sceneId, title, count, firstSeen }], totalEndings,
+   *   metaFlags, achievementsUnlocked, totalAchievements }
+   */
+  getPlayerProfileSummary() {
+    const record = this.playerProfile.getRecord(this.getProfileId());
+    const scenes = this.adventure?.scenes || [];
+    return {
+      playthroughs: record.playthroughs,
+      endings: Object.entries(record.endings).map(([sceneId, seen]) => ({
+        sceneId,
+        title: scenes.find(scene => scene.id === sceneId)?.title || sceneId,
+        count: seen.count,
+        firstSeen: seen.firstSeen
+      })),
+      totalEndings: scenes.filter(scene => this.isEnding(scene)).length,
+      metaFlags: { ...record.metaFlags },
+      achievementsUnlocked: record.achievements.length,
+      totalAchievements: (this.adventure?.achievements || []).length
+    };
+  }
+
+  getUnlockedAchievements() {
+    return this.achievementManager.getUnlocked();
+  }
+
+  // Check per-action conditions and probability (rolled on the seeded RNG)
+  shouldExecuteAction(action) {
+    if (Array.isArray(action.conditions) && action.conditions.length > 0) {
+      if (!this.conditionParser.evaluateConditions(action.conditions)) {
+        console.log('StoryEngine: Skipping action, conditions not met:', action.type, action.key);
+        return false;
+      }
+    }
+
+    if (action.probability !== undefined && action.probability !== null) {
+      const probability = Number(action.probability);
+      if (Number.isNaN(probability)) {
+        console.warn('StoryEngine: Ignoring invalid action probability:', action.probability);
+      } else if (probability < 1 && !this.rng.chance(probability)) {
+        console.log('StoryEngine: Skipping action, probability roll failed:', action.type, action.key);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Roll dice (e.g. '2d6 + agility'), store the total in action.key and
+  // optionally set action.successFlag to total >= action.difficulty
+  executeRoll(action) {
+    const resolve = (namespace, key) => this.conditionParser.resolveExpressionValue(namespace, key);
+
+    let outcome;
+    try {
+      outcome = DiceRoller.roll(String(action.value ?? ''), this.rng, resolve);
+    } catch (error) {
+      console.warn(`StoryEngine: Invalid roll "${action.value}": ${error.message}`);
+      return null;
+    }
+
+    if (action.key) {
+      this.statsManager.setStat(action.key, outcome.total);
+    }
+
+    // difficulty may be a number or an expression such as 'lock_level + 5'
+    let success = null;
+    if (action.difficulty !== undefined && action.difficulty !== null && action.difficulty !== '') {
+      let difficulty = Number(action.difficulty);
+      if (typeof action.difficulty === 'string' && Number.isNaN(difficulty)) {
+        try {
+          difficulty = Number(ExpressionEvaluator.evaluate(action.difficulty, resolve));
+        } catch (error) {
+          console.warn(`StoryEngine: Invalid roll difficulty "${action.difficulty}": ${error.message}`);
+        }
+      }
+      if (!Number.isNaN(difficulty)) {
+        success = outcome.total >= difficulty;
+        if (action.successFlag) {
+          this.statsManager.setFlag(action.successFlag, success);
+        }
+      }
+    }
+
+    this.lastRoll = {
+      ...outcome,
+      key: action.key || null,
+      difficulty: action.difficulty ?? null,
+      success,
+      sceneId: this.currentScene?.id
+    };
+    console.log('StoryEngine: Rolled', action.value, '=', outcome.total, success === null ? '' : (success ? '(success)' : '(failure)'));
+    this.events.emit('roll', this.lastRoll);
+    return this.lastRoll;
+  }
+
+  getLastRoll() {
+    return this.lastRoll;
+  }
+
+  // Reseed the RNG so a playthrough can be replayed
+  setRandomSeed(seed) {
+    this.rng.setSeed(seed);
+  }
+
+  // RNG snapshot for save data so reloads continue the same sequence instead of re-rolling
+  getRandomState() {
+    return this.rng.getState();
+  }
+
+  setRandomState(state) {
+    if (state) {
+      this.rng.setState(state);
+    }
+  }
+
+  // Make a secret choice permanently available
+  unlockSecretChoice(choiceId) {
+    if (!choiceId) {
+      console.warn('StoryEngine: unlock_secret action has no choice id');
+      return false;
+    }
+    if (this.secretChoicesAvailable.has(choiceId)) {
+      return false;
+    }
+
+    const scene = (this.adventure?.scenes || []).find(s => (s.choices || []).some(c => c.id === choiceId));
+    const choice = scene?.choices.find(c => c.id === choiceId);
+    if (!choice) {
+      console.warn('StoryEngine: unlock_secret references unknown choice:', choiceId);
+    }
+
+    this.secretChoicesAvailable.add(choiceId);
+    this.secretsDiscovered.push({
+      choiceId,
+      sceneId: scene?.id || this.currentScene?.id,
+      timestamp: Date.now(),
+      choiceText: choice?.text || choiceId,
+      discoveryMethod: 'action'
+    });
+
+    if (choice && typeof window !== 'undefined' && window.dispatchEvent) {
+      window.dispatchEvent(new CustomEvent('secretChoiceDiscovered', {
+        detail: {
+          choice,
+          scene,
+          secretsFound: this.secretsDiscovered.length
+        }
+      }));
+    }
+    return true;
+  }
+
+  /**
+   * Delayed actions
+   * - delay: milliseconds of real time before the action fires
+   * - delayTurns: number of choices the player must make before it fires
+   * When both are set, both must elapse.
+   */
+
+  isDelayedAction(action) {
+    return Number(action.delay) > 0 || Number(action.delayTurns) > 0;
+  }
+
+  // `remaining` restores a saved entry: { remainingMs, turnsRemaining, sceneId } (null = not delayed that way)
+  schedulePendingAction(action, remaining = null) {
+    const delay = remaining
+      ? remaining.remainingMs
+      : (Number(action.delay) > 0 ? Number(action.delay) : null);
+    const turns = remaining
+      ? remaining.turnsRemaining
+      : (Number(action.delayTurns) > 0 ? Math.floor(Number(action.delayTurns)) : null);
+
+    // A one-time action that is already queued should not be queued twice
+    if (action.oneTime && action.id && this.pendingActions.some(p => p.action.id === action.id)) {
+      return null;
+    }
+
+    const pending = {
+      id: `pending_${++this.pendingActionCounter}`,
+      action,
+      sceneId: remaining?.sceneId ?? this.currentScene?.id ?? null,
+      dueAt: delay != null ? Date.now() + Math.max(0, Number(delay) || 0) : null,
+      turnsRemaining: turns != null ? Math.max(0, Math.floor(Number(turns) || 0)) : null
+    };
+
+    this.pendingActions.push(pending);
+    console.log('StoryEngine: Queued delayed action:', action.type, action.key, { delay, turns });
+    this.schedulePendingActionTimer();
+    return pending;
+  }
+
+  // Count down turn-delayed actions after a choice and fire any that are due.
+  // A go_to_scene among them is left for makeChoice, which is about to leave the scene.
+  advancePendingTurns() {
+    this.pendingActions.forEach(pending => {
+      if (pending.turnsRemaining !== null) {
+        pending.turnsRemaining = Math.max(0, pending.turnsRemaining - 1);
+      }
+    });
+    return this.processPendingActions(Date.now(), { followRedirect: false });
+  }
+
+  // Fire every pending action whose delay has elapsed; returns the number fired
+  processPendingActions(now = Date.now(), { followRedirect = true } = {}) {
+    const isDue = pending =>
+      (pending.dueAt === null || pending.dueAt <= now) &&
+      (pending.turnsRemaining === null || pending.turnsRemaining <= 0);
+
+    const due = this.pendingActions.filter(isDue);
+    if (due.length === 0) {
+      this.schedulePendingActionTimer();
+      return 0;
+    }
+
+    this.pendingActions = this.pendingActions.filter(pending => !isDue(pending));
+    this.executeActions(due.map(pending => pending.action), { fromQueue: true });
+    const scene = followRedirect ? this.followSceneRedirect() : null;
+    this.schedulePendingActionTimer();
+
+    this.events.emit('actionsExecuted', {
+      source: 'delayed',
+      actions: due.map(pending => pending.action),
+      sceneId: this.currentScene?.id,
+      scene // Set when a go_to_scene moved the player
+    });
+    return due.length;
+  }
+
+  // Keep one timer armed for the earliest time-delayed action
+  schedulePendingActionTimer() {
+    if (this.pendingActionTimer) {
+      clearTimeout(this.pendingActionTimer);
+      this.pendingActionTimer = null;
+    }
+
+    const dueTimes = this.pendingActions
+      .filter(pending => pending.dueAt !== null && (pending.turnsRemaining === null || pending.turnsRemaining <= 0))
+      .map(pending => pending.dueAt);
+    if (dueTimes.length === 0) return;
+
+    const wait = Math.max(0, Math.min(...dueTimes) - Date.now());
+    this.pendingActionTimer = setTimeout(() => {
+      this.pendingActionTimer = null;
+      this.processPendingActions();
+    }, wait);
+
+    // Don't keep Node processes (tests, headless runs) alive for story timers
+    if (typeof this.pendingActionTimer?.unref === 'function') {
+      this.pendingActionTimer.unref();
+    }
+  }
+
+  getPendingActions() {
+    return this.pendingActions.map(pending => ({ ...pending }));
+  }
+
+  // Serializable snapshot for save data; times are stored relative to now
+  getPendingActionsState(now = Date.now()) {
+    return this.pendingActions.map(pending => ({
+      action: pending.action,
+      sceneId: pending.sceneId,
+      remainingMs: pending.dueAt !== null ? Math.max(0, pending.dueAt - now) : null,
+      turnsRemaining: pending.turnsRemaining
+    }));
+  }
+
+  restorePendingActions(savedPending = []) {
+    this.clearPendingActions();
+    (Array.isArray(savedPending) ? savedPending : []).forEach(saved => {
+      if (!saved?.action) return;
+      this.schedulePendingAction(saved.action, {
+        remainingMs: saved.remainingMs ?? null,
+        turnsRemaining: saved.turnsRemaining ?? null,
+        sceneId: saved.sceneId
+      });
+    });
+  }
+
+  clearPendingActions() {
+    this.pendingActions = [];
+    if (this.pendingActionTimer) {
+      clearTimeout(this.pendingActionTimer);
+      this.pendingActionTimer = null;
+    }
+  }
+
+  // Stop timers and drop listeners when the engine is discarded
+  dispose() {
+    this.clearPendingActions();
+    this.stopChoiceTimer();
+    this.events.clear();
+  }
+
+  /**
+   * Status effects
+   * One turn passes for every active effect: onTick actions run (once per stack), then
+   * onExpire for the effects that ran out. A go_to_scene among them is left for makeChoice.
+   */
+  advanceStatusEffects() {
+    const { ticks, expired } = this.statusEffectManager.advanceTurn();
+    ticks.forEach(({ effect, stacks }) => {
+      for (let stack = 0; stack < stacks; stack++) {
+        this.executeActions(effect.onTick);
+      }
+    });
+    expired.forEach(effect => {
+      this.executeActions(effect.onExpire);
+      this.events.emit('statusExpired', { statusId: effect.id, name: effect.name, sceneId: this.currentScene?.id });
+    });
+  }
+
+  // Active effects with stacks and turns left for the stats panel (see StatusEffectManager.getActiveEffects)
+  getStatusEffects() {
+    return this.statusEffectManager.getActiveEffects();
+  }
+
+  /**
+   * Characters
+   * The current scene's dialogue lines whose conditions hold, with their speaker
+   * (null for narration and unknown speakers).
+   * @returns {Array} [{ id, text, speaker: { id, name, portrait, color } | null }]
+   */
+  getCurrentDialogue() {
+    const lines = Array.isArray(this.currentScene?.dialogue) ? this.currentScene.dialogue : [];
+    return lines
+      .filter(line => line?.text && (!line.conditions?.length || this.conditionParser.evaluateConditions(line.conditions)))
+      .map((line, index) => {
+        const character = line.speaker ? this.characterManager.getCharacter(line.speaker) : null;
+        return {
+          id: line.id || `line_${index}`,
+          text: line.text,
+          speaker: character
+            ? { id: character.id, name: character.name, portrait: character.portrait || '', color: character.color || '' }
+            : null
+        };
+      });
+  }
+
+  // Characters with their current (visible) stats (see CharacterManager.getCharacters)
+  getCharacters() {
+    return this.characterManager.getCharacters();
+  }
+
+  /**
+   * Timed choices
+   * - scene.timeLimit: seconds the player has to choose (absent or 0 = untimed)
+   * - scene.defaultChoiceId: taken when time runs out; otherwise the first selectable choice
+   * The countdown (re)starts on entering the scene and after a fake choice, pauses with
+   * pauseChoiceTimer() and is saved as the time left. 'choiceTimerChanged' fires on every
+   * start/stop/pause/resume, 'choiceTimerExpired' after the default choice is made.
+   */
+
+  // Player override: multiplies every time limit; 0 turns timers off
+  setTimerScale(scale = 1) {
+    const value = Number(scale);
+    const previous = this.timerScale;
+    this.timerScale = Number.isFinite(value) && value >= 0 ? value : 1;
+    if (this.timerScale === previous || !this.currentScene) return;
+
+    // Keep the share of time already used when the countdown is stretched
+    const timer = this.getChoiceTimer();
+    const remainingMs = timer && this.timerScale > 0 ? timer.remainingMs * (this.timerScale / previous) : null;
+    this.startChoiceTimer(this.currentScene, remainingMs);
+  }
+
+  // `remainingMs` resumes a countdown (save/load); null starts from the full limit
+  startChoiceTimer(scene = this.currentScene, remainingMs = null) {
+    this.stopChoiceTimer({ silent: true });
+
+    const limitMs = Number(scene?.timeLimit) > 0 ? Number(scene.timeLimit) * 1000 * this.timerScale : 0;
+    if (limitMs > 0) {
+      this.choiceTimer = {
+        sceneId: scene.id,
+        defaultChoiceId: scene.defaultChoiceId || null,
+        limitMs,
+        remainingMs: remainingMs !== null && remainingMs !== undefined ? Math.max(0, Math.min(Number(remainingMs) || 0, limitMs)) : limitMs,
+        startedAt: null
+      };
+      if (!this.choiceTimerPaused) {
+        this.runChoiceTimer();
+      }
+    }
+
+    this.events.emit('choiceTimerChanged', this.getChoiceTimer());
+    return this.getChoiceTimer();
+  }
+
+  runChoiceTimer() {
+    this.choiceTimer.startedAt = Date.now();
+    this.choiceTimerHandle = setTimeout(() => {
+      this.choiceTimerHandle = null;
+      this.expireChoiceTimer();
+    }, this.choiceTimer.remainingMs);
+
+    // Don't keep Node processes (tests, headless runs) alive for story timers
+    if (typeof this.choiceTimerHandle?.unref === 'function') {
+      this.choiceTimerHandle.unref();
+    }
+  }
+
+  stopChoiceTimer({ silent = false } = {}) {
+    if (this.choiceTimerHandle) {
+      clearTimeout(this.choiceTimerHandle);
+      this.choiceTimerHandle = null;
+    }
+    const hadTimer = !!this.choiceTimer;
+    this.choiceTimer = null;
+    if (hadTimer && !silent) {
+      this.events.emit('choiceTimerChanged', null);
+    }
+  }
+
+  // Freeze the countdown (e.g. while the save menu is open); timers started meanwhile wait too
+  pauseChoiceTimer() {
+    this.choiceTimerPaused = true;
+    if (!this.choiceTimer || this.choiceTimer.startedAt === null) return;
+
+    this.choiceTimer.remainingMs = this.getChoiceTimer().remainingMs;
+    this.choiceTimer.startedAt = null;
+    clearTimeout(this.choiceTimerHandle);
+    this.choiceTimerHandle = null;
+    this.events.emit('choiceTimerChanged', this.getChoiceTimer());
+  }
+
+  resumeChoiceTimer() {
+    this.choiceTimerPaused = false;
+    if (!this.choiceTimer || this.choiceTimer.startedAt !== null) return;
+
+    this.runChoiceTimer();
+    this.events.emit('choiceTimerChanged', this.getChoiceTimer());
+  }
+
+  /**
+   * The running countdown, or null when the current scene is untimed. defaultChoiceId is the
+   * scene's own default: choices are only evaluated when time runs out (getTimeoutChoiceId)
+   * @returns {Object|null} { sceneId, limitMs, remainingMs, paused, defaultChoiceId }
+   */
+  getChoiceTimer(now = Date.now()) {
+    if (!this.choiceTimer) return null;
+    const { sceneId, limitMs, remainingMs, startedAt, defaultChoiceId } = this.choiceTimer;
+    return {
+      sceneId,
+      limitMs,
+      remainingMs: startedAt === null ? remainingMs : Math.max(0, remainingMs - (now - startedAt)),
+      paused: startedAt === null,
+      defaultChoiceId
+    };
+  }
+
+  // Serializable snapshot for save data
+  getChoiceTimerState(now = Date.now()) {
+    const timer = this.getChoiceTimer(now);
+    return timer ? { sceneId: timer.sceneId, remainingMs: timer.remainingMs } : null;
+  }
+
+  // The choice made when time runs out: defaultChoiceId if selectable, else the first selectable one
+  getTimeoutChoiceId() {
+    const choices = this.getCurrentChoices().filter(choice => choice.evaluation?.isSelectable !== false);
+    const preferred = choices.find(choice => choice.id === this.currentScene?.defaultChoiceId);
+    return (preferred || choices[0])?.id ?? null;
+  }
+
+  // Time ran out: make the default choice for the player
+  expireChoiceTimer() {
+    const timer = this.choiceTimer;
+    if (!timer || timer.sceneId !== this.currentScene?.id) return null;
+
+    const choiceId = this.getTimeoutChoiceId();
+    this.stopChoiceTimer();
+    if (!choiceId) {
+      console.warn('StoryEngine: Time ran out but no choice can be taken in scene:', timer.sceneId);
+      return null;
+    }
+
+    console.log('StoryEngine: Time ran out, taking default choice:', choiceId);
+    const scene = this.makeChoice(choiceId);
+    const record = this.choiceHistory[this.choiceHistory.length - 1];
+    if (scene && record?.choiceId === choiceId) {
+      record.timedOut = true;
+    }
+    this.events.emit('choiceTimerExpired', { sceneId: timer.sceneId, choiceId, scene });
+    return scene;
+  }
+
+  // adventure.rewind: { enabled = true, limit = DEFAULT_REWIND_LIMIT (0 keeps every decision point) }
+  getRewindSettings() {
+    const settings = this.adventure?.rewind || {};
+    const limit = Number(settings.limit);
+    return {
+      enabled: settings.enabled !== false,
+      limit: settings.limit === undefined || settings.limit === null || !Number.isFinite(limit) || limit < 0
+        ? DEFAULT_REWIND_LIMIT
+        : Math.floor(limit)
+    };
+  }
+
+  // Snapshot the state before a choice is applied so the player can return to this decision point
+  recordRewindPoint(choice) {
+    const { enabled, limit } = this.getRewindSettings();
+    if (!enabled) return;
+
+    this.rewindPoints.push({
+      turn: this.choiceHistory.length,
+      sceneId: this.currentScene.id,
+      sceneTitle: this.currentScene.title || this.currentScene.id,
+      choiceId: choice.id,
+      choiceText: choice.text,
+      timestamp: Date.now(),
+      snapshot: this.captureRewindState()
+    });
+    if (limit > 0 && this.rewindPoints.length > limit) {
+      this.rewindPoints.splice(0, this.rewindPoints.length - limit);
+    }
+  }
+
+  /**
+   * State to rewind to: save data plus executedActions (which saves don't keep). Visited
+   * scenes, choice history and executed one-time actions only grow between rewinds, so a
+   * decision point keeps their lengths (rewindTo cuts the current lists back) instead of a
+   * copy per point, which would grow with the length of the playthrough.
+   */
+  captureRewindState() {
+    return {
+      currentSceneId: this.currentScene.id,
+      stats: this.statsManager.getAllStats(),
+      flags: this.statsManager.getAllFlags(),
+      inventory: this.inventoryManager.exportToSave(),
+      shops: this.shopManager.getStockState(),
+      statusEffects: this.statusEffectManager.getState(),
+      characters: this.characterManager.getState(),
+      quests: this.questManager.getState(),
+      visitedSceneCount: this.visitedScenes.length,
+      choiceCount: this.choiceHistory.length,
+      secretsDiscovered: this.secretsDiscovered.map(secret => ({ ...secret })),
+      secretChoicesAvailable: [...this.secretChoicesAvailable],
+      executedActionCount: this.executedActions.size,
+      callStack: this.getCallStack(),
+      choiceTimer: this.getChoiceTimerState(),
+      pendingActions: this.getPendingActionsState(),
+      rngState: this.getRandomState()
+    };
+  }
+
+  /**
+   * Decision points the player can rewind to, oldest first
+   * @returns {Array} { turn, sceneId, sceneTitle, choiceId, choiceText, timestamp }
+   */
+  getRewindPoints() {
+    return this.rewindPoints.map(({ snapshot, ...point }) => ({ ...point }));
+  }
+
+  canRewind() {
+    return this.getRewindSettings().enabled && this.rewindPoints.length > 0;
+  }
+
+  /**
+   * Return to the state just before choice number `turn` was made; later decision points
+   * are dropped so the player branches from there. The RNG state is restored too, so
+   * making the same choice again gives the same random outcome.
+   * @param {number} turn - `turn` of a rewind point (its index in choiceHistory)
+   * @returns {Object|null} the restored scene, or null when there is no such point
+   */
+  rewindTo(turn) {
+    const index = this.rewindPoints.findIndex(point => point.turn === turn);
+    if (index === -1 || !this.getRewindSettings().enabled) {
+      console.warn('StoryEngine: No rewind point for turn', turn);
+      return null;
+    }
+
+    const point = this.rewindPoints[index];
+    const earlier = this.rewindPoints.slice(0, index);
+    const { visitedSceneCount, choiceCount, executedActionCount, ...snapshot } = point.snapshot;
+    const executedActions = [...this.executedActions].slice(0, executedActionCount);
+    this.loadFromSave({
+      ...snapshot,
+      visitedScenes: this.visitedScenes.slice(0, visitedSceneCount),
+      choiceHistory: this.choiceHistory.slice(0, choiceCount)
+    });
+    this.executedActions = new Set(executedActions);
+    this.rewindPoints = earlier;
+
+    this.events.emit('rewound', { turn, sceneId: point.sceneId, choiceId: point.choiceId });
+    return this.currentScene;
+  }
+
+  // Undo the most recent choice
+  undoLastChoice() {
+    const last = this.rewindPoints[this.rewindPoints.length - 1];
+    return last ? this.rewindTo(last.turn) : null;
+  }
+
+  // Equip or unequip from the player's inventory screen; same as the equip_item / unequip_item actions
+  equipItem(itemId) {
+    return this.applyInventoryChange(this.inventoryManager.equipItem(itemId));
+  }
+
+  unequipItem(itemId) {
+    return this.applyInventoryChange(this.inventoryManager.unequipItem(itemId));
+  }
+
+  // Craft from the player's inventory screen; same as the craft action
+  craft(recipeId) {
+    return this.applyInventoryChange(this.inventoryManager.craft(recipeId, this.conditionParser));
+  }
+
+  // Recipes with their status for the crafting screen (see InventoryManager.getRecipeList)
+  getRecipes() {
+    return this.inventoryManager.getRecipeList(this.conditionParser);
+  }
+
+  // Trade at the current scene's shop (or another shop by id); same as the buy_item / sell_item actions
+  buyItem(itemId, quantity = 1, shopId = this.getCurrentShopId()) {
+    return this.applyInventoryChange(this.shopManager.buy(shopId, itemId, quantity, this.conditionParser));
+  }
+
+  sellItem(itemId, quantity = 1, shopId = this.getCurrentShopId()) {
+    return this.applyInventoryChange(this.shopManager.sell(shopId, itemId, quantity, this.conditionParser));
+  }
+
+  getCurrentShopId() {
+    return this.currentScene ? this.shopManager.getShopIdForScene(this.currentScene.id) : null;
+  }
+
+  // The current scene's shop with prices and stock for the shop screen, or null (see ShopManager.getShopView)
+  getCurrentShop() {
+    const shopId = this.getCurrentShopId();
+    return shopId ? this.shopManager.getShopView(shopId, this.conditionParser) : null;
+  }
+
+  // Serializable { [shopId]: { [itemId]: remaining } } for saves
+  getShopStock() {
+    return this.shopManager.getStockState();
+  }
+
+  /**
+   * Use an item from the player's inventory screen. Its effects are actions run like
+   * choice actions; `requirements` and `usableIn` decide whether it can be used here.
+   * @returns {Object} { success, message, effects: descriptions of what happened, scene when it moved the player }
+   */
+  useItem(itemId, quantity = 1) {
+    return this.applyInventoryChange(this.inventoryManager.useItem(itemId, quantity, {
+      conditionParser: this.conditionParser,
+      scene: this.currentScene,
+      executeActions: actions => {
+        const executed = [];
+        this.executeActions(actions, { executed });
+        return executed.map(action => this.describeAction(action)).filter(Boolean);
+      }
+    }));
+  }
+
+  // Whether an item can be used in the current scene (see InventoryManager.getUseStatus)
+  getItemUseStatus(itemId) {
+    return this.inventoryManager.getUseStatus(itemId, { conditionParser: this.conditionParser, scene: this.currentScene });
+  }
+
+  // Player-facing summary of an executed action (action.description wins); null for bookkeeping actions
+  describeAction(action) {
+    if (action.description) return action.description;
+
+    const statName = id => this.statsManager.getStatDefinition(id)?.name || id;
+    const itemName = id => this.inventoryManager.itemDefinitions.get(id)?.name || id;
+    const quantity = action.value || 1;
+    switch (action.type) {
+      case 'add_stat':
+        return `${statName(action.key)} ${Number(action.value) >= 0 ? '+' : ''}${action.value}`;
+      case 'set_stat':
+        return `${statName(action.key)} set to ${action.value}`;
+      case 'multiply_stat':
+        return `${statName(action.key)} ×${action.value}`;
+      case 'add_inventory':
+        return `Gained ${quantity} ${itemName(action.key)}`;
+      case 'remove_inventory':
+        return `Lost ${quantity} ${itemName(action.key)}`;
+      case 'set_inventory':
+        return `${itemName(action.key)}: ${action.value ?? 0}`;
+      case 'add_achievement':
+        return `Achievement: ${this.achievementManager.getDefinition(action.key)?.name || action.key}`;
+      case 'add_status':
+        return this.statusEffectManager.getDefinition(action.key)?.name || action.key;
+      case 'cure_status':
+        return `${this.statusEffectManager.getDefinition(action.key)?.name || action.key} cured`;
+      case 'character_stat': {
+        const { characterId } = parseCharacterStatKey(action.key) || {};
+        const character = this.characterManager.getCharacter(characterId)?.name || characterId;
+        const stat = this.characterManager.getStatDefinition(action.key)?.name || action.key;
+        return action.operation === 'set'
+          ? `${character}'s ${stat} set to ${action.value}`
+          : `${character}'s ${stat} ${Number(action.value) >= 0 ? '+' : ''}${action.value}`;
+      }
+      case 'start_quest':
+        return `Quest started: ${this.questManager.getDefinition(action.key)?.name || action.key}`;
+      case 'complete_objective': {
+        const { questId, objectiveId } = parseObjectiveKey(action.key) || {};
+        const objective = this.questManager.getDefinition(questId)?.objectives.find(entry => entry.id === objectiveId);
+        return `Objective complete: ${objective?.description || action.key}`;
+      }
+      case 'fail_quest':
+        return `Quest failed: ${this.questManager.getDefinition(action.key)?.name || action.key}`;
+      case 'unlock_secret':
+        return 'A secret choice was revealed';
+      case 'go_to_scene':
+        return `Moved to ${this.adventure?.scenes?.find(scene => scene.id === action.key)?.title || action.key}`;
+      default:
+        return null;
+    }
+  }
+
+  // Caches and achievements after a change made from the player's screens; effects and
+  // achievement rewards can move the player (go_to_scene), reported as result.scene
+  applyInventoryChange(result) {
+    this.logInventoryOutcome(result);
+    if (result.success) {
+      this.conditionParser.clearCache();
+      this.choiceEvaluator.clearCache(); // Its cache key only covers base stats
+      this.evaluateQuests();
+      this.evaluateAchievements();
+      const scene = this.followSceneRedirect();
+      if (scene) return { ...result, scene };
+    }
+    return result;
   }
 
   logInventoryOutcome(result, fallbackMessage) {
@@ -467,6 +1598,16 @@ export class StoryEngine {
     logger(`StoryEngine: ${message}`);
   }
 
+  // Log a { success, message } result from a subsystem other than the inventory
+  // (status effects, characters, quests), labelled with what it is about
+  logOutcome(subject, result, fallbackMessage) {
+    const message = typeof result?.message === 'string' ? result.message : fallbackMessage;
+    if (!message) return;
+
+    const logger = result?.success === false ? console.warn : console.log;
+    logger(`StoryEngine: ${subject}: ${message}`);
+  }
+
   // Load from save data with Phase 3 features
   loadFromSave(saveData) {
     if (!this.adventure) {
@@ -475,6 +1616,10 @@ export class StoryEngine {
     }
 
     console.log('StoryEngine: Loading from save data');
+
+    // Decision points from before the load belong to another playthrough
+    this.rewindPoints = [];
+    this.sceneRedirect = null;
     
     // Load basic data
     this.visitedScenes = [...(saveData.visitedScenes || [])];
@@ -490,14 +1635,36 @@ export class StoryEngine {
     if (saveData.inventory) {
       this.inventoryManager.loadFromSave(saveData.inventory);
     }
+    // SaveSystem keeps equipment and crafting counts next to its item list
+    if (saveData.equipment) {
+      this.inventoryManager.loadEquipmentState(saveData.equipment);
+    }
+    if (saveData.crafted) {
+      this.inventoryManager.loadCraftedCounts(saveData.crafted);
+    }
+    // Saves without shop stock (older ones) start with every shop full
+    this.shopManager.loadStockState(saveData.shops || {});
+    this.statusEffectManager.loadState(saveData.statusEffects || []);
+    this.characterManager.loadState(saveData.characters || {});
+    this.questManager.loadState(saveData.quests || []);
     
     // Update evaluators
     this.conditionParser.updateVisitedScenes(this.visitedScenes);
+    this.conditionParser.updateChoiceHistory(this.choiceHistory);
     this.choiceEvaluator.updateVisitedScenes(this.visitedScenes);
     this.choiceEvaluator.updateChoiceHistory(this.choiceHistory);
+
+    // Unlocks from the save are added to the player's (never removed)
+    this.achievementManager.loadFromSave(saveData.achievements);
     
-    // Navigate to saved scene
-    this.navigateToScene(saveData.currentSceneId);
+    // Return to the saved scene without re-running its onEnter actions
+    this.navigateToScene(saveData.currentSceneId, { restoring: true });
+    this.callStack = (saveData.callStack || []).map(frame => ({ ...frame }));
+    const savedTimer = saveData.choiceTimer?.sceneId === this.currentScene?.id ? saveData.choiceTimer : null;
+    this.startChoiceTimer(this.currentScene, savedTimer ? savedTimer.remainingMs : null);
+
+    this.restorePendingActions(saveData.pendingActions || []);
+    this.setRandomState(saveData.rngState);
   }
 
   // Load from cross-game save data
@@ -582,6 +1749,16 @@ export class StoryEngine {
     return new Set(this.secretChoicesAvailable);
   }
 
+  // Render ${...} variables and {if} blocks in scene/choice text against current state
+  interpolateText(text, options = {}) {
+    const interpolator = new TextInterpolator(
+      this.statsManager,
+      this.inventoryManager,
+      this.choiceHistory
+    );
+    return interpolator.render(text, options);
+  }
+
   /**
    * Validation utility methods
    */
@@ -663,7 +1840,7 @@ export class StoryEngine {
       stats: this.statsManager.getExportableStats(),
       flags: this.statsManager.getExportableFlags(),
       inventory: inventoryExport,
-      achievements: this.secretsDiscovered,
+      achievements: this.achievementManager.getUnlocked().map(entry => entry.id),
       validation: {
         lastResult: this.lastValidationResult?.summary,
         healthScore: this.getValidationHealthScore(),
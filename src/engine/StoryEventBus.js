@@ -0,0 +1,81 @@
+/**
+ * StoryEventBus.js - Publish/subscribe channel for story events
+ *
+ * `trigger_event` actions emit here so UI components can react (sound cues,
+ * screen shakes, popups) without the engine knowing about them. Subscribing to
+ * '*' receives every event.
+ *
+ * Integration Points:
+ * - StoryEngine: exposes an instance as `storyEngine.events`
+ * - useStoryEvent hook: subscribes React components
+ */
+
+export class StoryEventBus {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name, or '*' for all events
+   * @param {Function} callback - Receives (payload, eventName)
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (typeof callback !== 'function') {
+      console.warn('StoryEventBus: Listener must be a function for event:', event);
+      return () => {};
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(callback);
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Subscribe for a single emission
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, callback) {
+    const unsubscribe = this.on(event, (payload, name) => {
+      unsubscribe();
+      callback(payload, name);
+    });
+    return unsubscribe;
+  }
+
+  off(event, callback) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(callback);
+      if (listeners.size === 0) {
+        this.listeners.delete(event);
+      }
+    }
+  }
+
+  /**
+   * Notify listeners of `event` and wildcard listeners
+   * @param {string} event
+   * @param {any} payload
+   */
+  emit(event, payload) {
+    const targets = [
+      ...(this.listeners.get(event) || []),
+      ...(event !== '*' ? this.listeners.get('*') || [] : [])
+    ];
+
+    targets.forEach(callback => {
+      try {
+        callback(payload, event);
+      } catch (error) {
+        console.error(`StoryEventBus: Listener error for ${event}:`, error);
+      }
+    });
+  }
+
+  clear() {
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,399 @@
+/**
+ * TextInterpolator.js - Variable interpolation and inline conditional text
+ *
+ * Template syntax (usable in scene content and choice text):
+ * - ${stat:gold}            Current value of a stat (custom stat types use their display format)
+ * - ${flag:met_king}        "true" / "false"
+ * - ${item:potion}          Item count from the inventory
+ * - ${visits:tavern}        Number of choices made in a scene
+ * - ${choice:ask_name}      Number of times a choice was taken
+ * - ${input:ask_name}       Last value the player entered for an input choice
+ * - ${gold}                 Shorthand for ${stat:gold}
+ * - ${stat:title|stranger}  Fallback text when the value is empty or unknown
+ * - {if flag:met_king}...{elseif stat:gold >= 10}...{else}...{/if}
+ *   Conditions are `[not|!] namespace:key [operator value]` with ==, !=, >, >=, <, <=.
+ * - \${ and \{ produce literal braces.
+ *
+ * Integration Points:
+ * - StoryEngine: interpolateText() renders templates against live game state
+ * - SceneDisplay / ChoiceList: render interpolated scene content and choice text
+ * - ValidationService: analyze() reports syntax errors and referenced keys
+ */
+
+export const INTERPOLATION_NAMESPACES = ['stat', 'flag', 'item', 'visits', 'choice', 'input'];
+
+const COMPARISON_OPERATORS = ['>=', '<=', '==', '!=', '>', '<'];
+
+// `namespace:key [operator literal]`; the reference is matched first, so an operator inside a
+// quoted literal ({if input:name == "a>=b"}) is part of the literal
+const CONDITION_PATTERN = new RegExp(`^((?:[a-z_]+:)?[A-Za-z0-9_.\\-]+)\\s*(?:(${COMPARISON_OPERATORS.join('|')})(.*))?$`, 's');
+
+export class TextInterpolator {
+  constructor(statsManager, inventoryManager = null, choiceHistory = []) {
+    this.statsManager = statsManager;
+    this.inventoryManager = inventoryManager;
+    this.choiceHistory = choiceHistory;
+  }
+
+  /**
+   * Quick check used to skip parsing for plain text
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static hasTemplates(text) {
+    return typeof text === 'string' && /\$\{|\{(if|elseif|else|\/if)\b/.test(text);
+  }
+
+  /**
+   * Parse a template into a node tree
+   * @param {string} template
+   * @returns {Object} { nodes, errors }
+   */
+  static parse(template = '') {
+    const errors = [];
+    const root = { children: [] };
+    const stack = [{ node: root, target: root.children }];
+    const source = typeof template === 'string' ? template : String(template ?? '');
+    let text = '';
+    let i = 0;
+
+    const flushText = () => {
+      if (text) {
+        stack[stack.length - 1].target.push({ type: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '\\' && (source[i + 1] === '$' || source[i + 1] === '{')) {
+        text += source[i + 1];
+        i += 2;
+        continue;
+      }
+
+      if (char === '$' && source[i + 1] === '{') {
+        const end = source.indexOf('}', i + 2);
+        if (end === -1) {
+          errors.push({ message: 'Unclosed "${" placeholder', index: i });
+          text += source.slice(i);
+          break;
+        }
+        flushText();
+        const raw = source.slice(i + 2, end);
+        const variable = TextInterpolator.parseVariable(raw);
+        if (!variable) {
+          errors.push({ message: `Invalid placeholder "\${${raw}}"`, index: i });
+        } else {
+          stack[stack.length - 1].target.push({ type: 'var', ...variable, raw, index: i });
+        }
+        i = end + 1;
+        continue;
+      }
+
+      if (char === '{') {
+        const tagMatch = /^\{(if|elseif)\s+([^}]*)\}|^\{(else|\/if)\}/.exec(source.slice(i));
+        if (tagMatch) {
+          flushText();
+          const tag = tagMatch[1] || tagMatch[3];
+          const frame = stack[stack.length - 1];
+
+          if (tag === 'if') {
+            const condition = TextInterpolator.parseCondition(tagMatch[2]);
+            if (!condition) {
+              errors.push({ message: `Invalid condition "${tagMatch[2].trim()}"`, index: i });
+            }
+            const branch = { condition, children: [] };
+            const block = { type: 'if', branches: [branch], elseChildren: null, index: i };
+            frame.target.push(block);
+            stack.push({ node: block, target: branch.children });
+          } else if (frame.node.type !== 'if') {
+            errors.push({ message: `"{${tag}}" without a matching "{if}"`, index: i });
+          } else if (tag === 'elseif') {
+            if (frame.node.elseChildren) {
+              errors.push({ message: '"{elseif}" after "{else}"', index: i });
+            }
+            const condition = TextInterpolator.parseCondition(tagMatch[2]);
+            if (!condition) {
+              errors.push({ message: `Invalid condition "${tagMatch[2].trim()}"`, index: i });
+            }
+            const branch = { condition, children: [] };
+            frame.node.branches.push(branch);
+            frame.target = branch.children;
+          } else if (tag === 'else') {
+            if (frame.node.elseChildren) {
+              errors.push({ message: 'Duplicate "{else}"', index: i });
+            }
+            frame.node.elseChildren = [];
+            frame.target = frame.node.elseChildren;
+          } else {
+            stack.pop();
+          }
+
+          i += tagMatch[0].length;
+          continue;
+        }
+      }
+
+      text += char;
+      i += 1;
+    }
+
+    flushText();
+
+    for (let depth = stack.length - 1; depth > 0; depth--) {
+      errors.push({ message: 'Unclosed "{if}" block', index: stack[depth].node.index });
+    }
+
+    return { nodes: root.children, errors };
+  }
+
+  /**
+   * Parse the inside of a ${...} placeholder
+   * @private
+   */
+  static parseVariable(raw = '') {
+    const [reference, ...fallbackParts] = raw.split('|');
+    const parsed = TextInterpolator.parseReference(reference);
+    if (!parsed) return null;
+    return {
+      ...parsed,
+      fallback: fallbackParts.length > 0 ? fallbackParts.join('|') : null
+    };
+  }
+
+  /**
+   * Parse a `namespace:key` reference (namespace defaults to stat)
+   * @private
+   */
+  static parseReference(raw = '') {
+    const trimmed = String(raw).trim();
+    const match = /^(?:([a-z_]+):)?([A-Za-z0-9_.\-]+)$/.exec(trimmed);
+    if (!match) return null;
+    const namespace = match[1] || 'stat';
+    if (!INTERPOLATION_NAMESPACES.includes(namespace)) return null;
+    return { namespace, key: match[2] };
+  }
+
+  /**
+   * Parse an {if ...} condition
+   * @private
+   */
+  static parseCondition(raw = '') {
+    let expression = String(raw).trim();
+    let negate = false;
+
+    const negation = /^(?:!|not\s+)/.exec(expression);
+    if (negation) {
+      negate = true;
+      expression = expression.slice(negation[0].length).trim();
+    }
+
+    const match = CONDITION_PATTERN.exec(expression);
+    const reference = match ? TextInterpolator.parseReference(match[1]) : null;
+    if (!reference) return null;
+    if (!match[2]) return { ...reference, operator: null, value: null, negate };
+    if (!match[3].trim()) return null;
+
+    return {
+      ...reference,
+      operator: match[2],
+      value: TextInterpolator.parseLiteral(match[3].trim()),
+      negate
+    };
+  }
+
+  /**
+   * Convert a literal from a condition into a JS value
+   * @private
+   */
+  static parseLiteral(raw) {
+    if (/^(['"]).*\1$/.test(raw)) return raw.slice(1, -1);
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (raw !== '' && !Number.isNaN(Number(raw))) return Number(raw);
+    return raw;
+  }
+
+  /**
+   * Collect references and syntax errors without rendering (used by validation)
+   * @param {string} template
+   * @returns {Object} { references: Array<{namespace, key, index}>, errors: Array<{message, index}> }
+   */
+  static analyze(template = '') {
+    const { nodes, errors } = TextInterpolator.parse(template);
+    const references = [];
+
+    const visit = (list = []) => {
+      list.forEach(node => {
+        if (node.type === 'var') {
+          references.push({ namespace: node.namespace, key: node.key, index: node.index });
+        } else if (node.type === 'if') {
+          node.branches.forEach(branch => {
+            if (branch.condition) {
+              references.push({ namespace: branch.condition.namespace, key: branch.condition.key, index: node.index });
+            }
+            visit(branch.children);
+          });
+          visit(node.elseChildren || []);
+        }
+      });
+    };
+
+    visit(nodes);
+    return { references, errors };
+  }
+
+  /**
+   * Render a template against the current game state
+   * @param {string} template
+   * @param {Object} options - { escapeHtml: boolean }
+   * @returns {string}
+   */
+  render(template, options = {}) {
+    if (!TextInterpolator.hasTemplates(template)) {
+      return template ?? '';
+    }
+
+    const { nodes, errors } = TextInterpolator.parse(template);
+    if (errors.length > 0) {
+      console.warn('TextInterpolator: Template has errors:', errors.map(e => e.message));
+    }
+
+    return this.renderNodes(nodes, options);
+  }
+
+  /**
+   * @private
+   */
+  renderNodes(nodes = [], options = {}) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'var': {
+          const value = this.formatValue(node.namespace, node.key, this.resolve(node.namespace, node.key));
+          const output = (value === '' || value == null) && node.fallback != null ? node.fallback : value;
+          return options.escapeHtml ? escapeHtml(output) : output;
+        }
+        case 'if': {
+          const branch = node.branches.find(b => b.condition && this.evaluateCondition(b.condition));
+          if (branch) return this.renderNodes(branch.children, options);
+          return node.elseChildren ? this.renderNodes(node.elseChildren, options) : '';
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Resolve a namespaced key to its raw value
+   * @param {string} namespace
+   * @param {string} key
+   * @returns {any}
+   */
+  resolve(namespace, key) {
+    const history = Array.isArray(this.choiceHistory) ? this.choiceHistory : [];
+
+    switch (namespace) {
+      case 'stat':
+        return this.statsManager?.getStat?.(key);
+      case 'flag':
+        return this.statsManager?.hasFlag?.(key) ?? false;
+      case 'item':
+        return this.inventoryManager?.getItemCount?.(key) ?? 0;
+      case 'visits':
+        return history.filter(record => record.sceneId === key).length;
+      case 'choice':
+        return history.filter(record => record.choiceId === key).length;
+      case 'input': {
+        for (let i = history.length - 1; i >= 0; i--) {
+          if (history[i].choiceId === key && history[i].inputValue != null) {
+            return history[i].inputValue;
+          }
+        }
+        return undefined;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Format a resolved value for display
+   * @private
+   */
+  formatValue(namespace, key, value) {
+    if (value === undefined || value === null) return '';
+
+    if (namespace === 'stat') {
+      const def = this.statsManager?.getStatDefinition?.(key);
+      const customType = def && this.statsManager?.customStatTypes?.get?.(def.type);
+      if (customType && typeof value === 'number') {
+        return String(customType.display(value));
+      }
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Evaluate an {if} condition
+   * @private
+   */
+  evaluateCondition(condition) {
+    const current = this.resolve(condition.namespace, condition.key);
+    let result;
+
+    if (!condition.operator) {
+      result = isTruthy(current);
+    } else {
+      result = compare(current, condition.operator, condition.value);
+    }
+
+    return condition.negate ? !result : result;
+  }
+}
+
+function isTruthy(value) {
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') return value.length > 0 && value !== 'false';
+  return Boolean(value);
+}
+
+function compare(current, operator, target) {
+  // Compare numerically when both sides look like numbers (input values are often strings)
+  const bothNumeric = current !== '' && current !== null && current !== undefined &&
+    typeof target === 'number' && !Number.isNaN(Number(current));
+  const left = bothNumeric ? Number(current) : current;
+  // Otherwise equality compares text: ${input:age} == 'young', ${stat:title} == 'Sir'
+  const equal = () => (bothNumeric ? left === target : String(left) === String(target));
+
+  switch (operator) {
+    case '==':
+      return typeof target === 'boolean' ? isTruthy(left) === target : equal();
+    case '!=':
+      return typeof target === 'boolean' ? isTruthy(left) !== target : !equal();
+    case '>':
+      return left > target;
+    case '>=':
+      return left >= target;
+    case '<':
+      return left < target;
+    case '<=':
+      return left <= target;
+    default:
+      return false;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -102,6 +102,13 @@ export function useGameState() {
     setAnalytics(generateAnalytics());
   }, [generateAnalytics]);
 
+  // Render ${...} variables and {if} blocks in scene/choice text against engine state.
+  // Depends on the synced React state so components re-render when values change.
+  const interpolateText = useCallback((text, options) => {
+    if (!storyEngine?.interpolateText) return text || '';
+    return storyEngine.interpolateText(text, options);
+  }, [storyEngine, state.stats, state.flags, state.inventory, state.choiceHistory]);
+
   // Build a compatibility-friendly gameState object expected by UI components
   const gameState = {
     // Core state
@@ -111,7 +118,35 @@ export function useGameState() {
     // Convert stats object to array of stat objects for UI components
     visibleStats: Array.isArray(state.stats)
       ? state.stats
-      : Object.keys(state.stats || {}).map(key => ({ id: key, name: key, value: state.stats[key] })),
+      : Object.keys(state.stats || {}).map(key => {
+        const def = (state.adventure?.stats || []).find(stat => stat.id === key);
+        // Equipped items and status effects can move the effective value away from the base one
+        const breakdown = storyEngine?.getStatsManager?.()?.getStatBreakdown?.(key);
+        return {
+          id: key,
+          name: key,
+          value: breakdown ? breakdown.effective : state.stats[key],
+          baseValue: state.stats[key],
+          modifiers: breakdown?.modifiers || [],
+          // Computed stats are flagged so the stats panel can mark them read-only
+          computed: !!def?.formula,
+          formula: def?.formula
+        };
+      }),
+    // Inventory in InventoryDisplay's shape, and every equipment slot with its items
+    // (state.inventory / state.equipment changes re-render us)
+    inventoryDisplay: storyEngine?.getInventoryManager?.()?.getDisplayInventory?.() || null,
+    equipment: storyEngine?.getInventoryManager?.()?.getEquipment?.() || [],
+    recipes: storyEngine?.getRecipes?.() || [],
+    // Active buffs and debuffs with stacks and turns left
+    statusEffects: storyEngine?.getStatusEffects?.() || [],
+    // The current scene's dialogue lines whose conditions hold, and characters with their stats
+    dialogue: storyEngine?.getCurrentDialogue?.() || [],
+    characters: storyEngine?.getCharacters?.() || [],
+    // Started quests with their objectives, for the journal
+    quests: storyEngine?.getQuestJournal?.() || [],
+    // The current scene's shop with prices and stock, or null
+    shop: storyEngine?.getCurrentShop?.() || null,
     visitedCount: state.visitedScenes?.length || 0,
     sceneCount: state.adventure?.scenes?.length || 0,
     progressPercent: state.adventure?.scenes?.length > 0 ? Math.round((state.visitedScenes.length / state.adventure.scenes.length) * 100) : 0,
@@ -119,6 +154,24 @@ export function useGameState() {
     canSave: !!saveSystem,
     canLoad: !!saveSystem,
     canQuickSave: !!saveSystem,
+    // Rewind: decision points the player can return to (re-read each render; choices re-render us)
+    rewindSettings: storyEngine?.getRewindSettings?.() || { enabled: false, limit: 0 },
+    rewindPoints: storyEngine?.getRewindPoints?.() || [],
+    canRewind: !!storyEngine?.canRewind?.(),
+    // Timed choices: countdown of the current scene (null when untimed)
+    choiceTimer: state.choiceTimer || null,
+    hasTimedScenes: (state.adventure?.scenes || []).some(scene => Number(scene.timeLimit) > 0),
+    playerSettings: state.playerSettings,
+    // Localization: locale being played (falls back to the source) and the locales on offer
+    locale: storyEngine?.getLocale?.() || null,
+    locales: storyEngine?.getAvailableLocales?.() || [],
+    // Achievements: every visible one with its progress, and unlocks not yet announced
+    achievements: storyEngine?.getAchievements?.() || [],
+    achievementNotifications: (state.achievements || [])
+      .filter(achievement => !achievement.notificationShown)
+      .map(achievement => ({ ...achievement, definition: storyEngine?.achievementManager?.getDefinition(achievement.id) || null })),
+    // Player profile: what carries over between playthroughs (endings, meta flags, achievements)
+    profile: state.adventure ? storyEngine?.getPlayerProfileSummary?.() || null : null,
     // Misc
     error: state.error,
     isLoading: state.isLoading,
@@ -207,6 +260,22 @@ export function useGameState() {
       return res;
     },
     getSaveAnalytics: getSaveAnalytics,
-    makeChoice: actions.makeChoice
+    interpolateText,
+    makeChoice: actions.makeChoice,
+    rewindTo: actions.rewindTo,
+    undoLastChoice: actions.undoLastChoice,
+    pauseChoiceTimer: actions.pauseChoiceTimer,
+    resumeChoiceTimer: actions.resumeChoiceTimer,
+    updatePlayerSettings: actions.updatePlayerSettings,
+    dismissAchievementNotification: actions.dismissAchievementNotification,
+    exportPlayerProfile: actions.exportPlayerProfile,
+    importPlayerProfile: actions.importPlayerProfile,
+    resetPlayerProfile: actions.resetPlayerProfile,
+    useItem: actions.useItem,
+    equipItem: actions.equipItem,
+    unequipItem: actions.unequipItem,
+    craftItem: actions.craftItem,
+    buyItem: actions.buyItem,
+    sellItem: actions.sellItem
   };
 }
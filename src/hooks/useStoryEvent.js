@@ -0,0 +1,27 @@
+// useStoryEvent.js - Subscribe React components to story events
+import { useEffect, useRef } from "https://esm.sh/react@18";
+import { useGameContext } from '../contexts/GameContext.js';
+
+/**
+ * Run a handler whenever the story emits an event (e.g. from a `trigger_event` action)
+ *
+ * @param {string} eventName - Event name, or '*' for every event
+ * @param {Function} handler - Receives ({ event, payload, sceneId }, eventName)
+ *
+ * @example
+ * useStoryEvent('thunder', ({ payload }) => playSound(payload.sound));
+ */
+export function useStoryEvent(eventName, handler) {
+  const { storyEngine } = useGameContext();
+  const handlerRef = useRef(handler);
+
+  // Always call the latest handler without resubscribing on every render
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    if (!storyEngine?.events || !eventName) return;
+    return storyEngine.events.on(eventName, (payload, name) => handlerRef.current?.(payload, name));
+  }, [storyEngine, eventName]);
+}
@@ -1,4 +1,14 @@
 import { logError } from '../utils/errorLogger.js';
+import { TextInterpolator } from '../engine/TextInterpolator.js';
+import { StatsManager } from '../engine/StatsManager.js';
+import { ExpressionEvaluator } from '../engine/ExpressionEvaluator.js';
+import { DiceRoller } from '../engine/DiceRoller.js';
+import { StateSpaceExplorer } from '../engine/StateSpaceExplorer.js';
+import { getTranslationCoverage } from '../engine/Localization.js';
+import { getItemActions } from '../engine/InventoryManager.js';
+import { parseCharacterStatKey } from '../engine/CharacterManager.js';
+import { parseObjectiveKey, QUEST_STATES } from '../engine/QuestManager.js';
+import { isEnding } from '../engine/PlayerProfile.js';
 
 /**
  * Centralized validation service with caching and advanced analysis
@@ -8,6 +18,13 @@ import { logError } from '../utils/errorLogger.js';
  * - Circular reference detection
  * - Stats/flags analysis
  * - Condition complexity analysis
+ * - Text interpolation (${...} / {if}) reference checks
+ * - Computed stat formulas and dependency cycles
+ * - Random branch and dice roll outcome enumeration
+ * - Tunnels: return edges back to calling scenes (reachability) and broken call/return choices
+ * - Translation coverage per locale (missing and leftover strings)
+ * - Opt-in state-space exploration (options.stateSpace): softlocks, unreachable
+ *   endings and unwinnable states, each with the shortest choice path proving it
  * - Custom validation rules support
  */
 class ValidationService {
@@ -62,6 +79,7 @@ class ValidationService {
       
       // Build validation context
       const context = this.buildValidationContext(adventure);
+      context.stateSpace = options.stateSpace || null;
       
       // Perform structural analysis
       this.performStructuralAnalysis(context);
@@ -197,6 +215,7 @@ class ValidationService {
     const { nodes } = context;
     const visited = new Set();
     const reachable = new Set();
+    context.returnTargets = this.getReturnTargets(nodes);
     
     // DFS to find all reachable nodes
     const dfs = (nodeId) => {
@@ -209,15 +228,16 @@ class ValidationService {
       
       const node = nodes.get(nodeId);
       
-      // Follow choices
+      // Follow choices (including every random branch destination)
       if (node.choices && Array.isArray(node.choices)) {
         node.choices.forEach(choice => {
-          if (choice.targetSceneId) {
-            dfs(choice.targetSceneId);
-          }
+          this.getChoiceTargets(choice).forEach(targetId => dfs(targetId));
         });
       }
       
+      // Follow return choices back to every scene that calls this one as a tunnel
+      (context.returnTargets.get(nodeId) || new Set()).forEach(callerId => dfs(callerId));
+      
       // Follow actions that change scenes
       if (node.actions && Array.isArray(node.actions)) {
         node.actions.forEach(action => {
@@ -274,9 +294,7 @@ class ValidationService {
       // Check choices
       if (node.choices && Array.isArray(node.choices)) {
         node.choices.forEach(choice => {
-          if (choice.targetSceneId) {
-            dfs(choice.targetSceneId, currentPath);
-          }
+          this.getChoiceTargets(choice).forEach(targetId => dfs(targetId, currentPath));
         });
       }
       
@@ -327,6 +345,22 @@ class ValidationService {
       }
     });
     
+    // Stats read by computed-stat formulas count as used (computed stats themselves are displayed)
+    context.stats.forEach((stat, statName) => {
+      if (typeof stat.formula !== 'string' || !stat.formula.trim()) return;
+      context.usedStats.add(statName);
+      try {
+        ExpressionEvaluator.collectReferences(stat.formula)
+          .filter(ref => ref.namespace === 'stat')
+          .forEach(ref => {
+            const target = Array.from(context.stats.values()).find(s => s.id === ref.key || s.name === ref.key);
+            if (target) context.usedStats.add(target.name);
+          });
+      } catch (error) {
+        // Formula syntax errors are reported by the computed-stats rule
+      }
+    });
+    
     // Find unused stats
     definedStats.forEach(statName => {
       if (!context.usedStats.has(statName)) {
@@ -346,6 +380,159 @@ class ValidationService {
     });
   }
   
+  /**
+   * Every scene a choice can lead to: targetSceneId plus random branch targets
+   */
+  getChoiceTargets(choice) {
+    if (!choice) return [];
+    const targets = new Set();
+    if (choice.targetSceneId) targets.add(choice.targetSceneId);
+    if (Array.isArray(choice.randomBranches)) {
+      choice.randomBranches.forEach(branch => {
+        if (branch?.targetSceneId) targets.add(branch.targetSceneId);
+      });
+    }
+    return Array.from(targets);
+  }
+  
+  /**
+   * Tunnels: the scenes each scene's return choices can go back to. A call choice enters
+   * its target as a tunnel; every scene reachable from there without crossing another
+   * call or return belongs to that tunnel and returns to the calling scene (a nested call
+   * comes back to the scene that made it, which is already part of the tunnel).
+   * @param {Map|Array} scenes - Scene map (id → scene) or scene array
+   * @returns {Map<string, Set<string>>} sceneId → ids of the scenes a return goes back to
+   */
+  getReturnTargets(scenes) {
+    const nodes = scenes instanceof Map
+      ? scenes
+      : new Map((Array.isArray(scenes) ? scenes : []).filter(scene => scene?.id).map(scene => [scene.id, scene]));
+    const returnTargets = new Map();
+    
+    nodes.forEach((caller, callerId) => {
+      (caller?.choices || []).forEach(call => {
+        if (!call?.isCall || call.isFake) return;
+        const seen = new Set();
+        const stack = this.getChoiceTargets(call);
+        while (stack.length > 0) {
+          const sceneId = stack.pop();
+          if (seen.has(sceneId) || !nodes.has(sceneId)) continue;
+          seen.add(sceneId);
+          (nodes.get(sceneId).choices || []).forEach(choice => {
+            if (!choice || choice.isFake || choice.isCall) return;
+            if (choice.isReturn) {
+              if (!returnTargets.has(sceneId)) returnTargets.set(sceneId, new Set());
+              returnTargets.get(sceneId).add(callerId);
+              return;
+            }
+            stack.push(...this.getChoiceTargets(choice));
+          });
+        }
+      });
+    });
+    
+    return returnTargets;
+  }
+  
+  /**
+   * Enumerate every random outcome in an adventure
+   * - random_branch choices: each destination with its weight and chance
+   *   (chance assumes every branch is eligible; conditional branches are flagged)
+   * - roll actions: dice range and, when computable, the chance of success
+   * @returns {Array<Object>}
+   */
+  enumerateBranchOutcomes(adventure) {
+    const outcomes = [];
+    const scenes = Array.isArray(adventure?.scenes) ? adventure.scenes : [];
+    
+    const collectRolls = (actions, sceneId, choiceId, source) => {
+      if (!Array.isArray(actions)) return;
+      actions.forEach((action, index) => {
+        if (action?.type !== 'roll') return;
+        const notation = String(action.value ?? '');
+        const analysis = DiceRoller.analyze(notation);
+        const hasDifficulty = action.difficulty !== undefined && action.difficulty !== null && action.difficulty !== '';
+        const successChance = analysis.valid && hasDifficulty
+          ? DiceRoller.successChance(notation, action.difficulty)
+          : null;
+        
+        outcomes.push({
+          type: 'roll',
+          sceneId,
+          choiceId,
+          source,
+          actionIndex: index,
+          notation,
+          valid: analysis.valid,
+          error: analysis.error || null,
+          min: analysis.min,
+          max: analysis.max,
+          difficulty: hasDifficulty ? action.difficulty : null,
+          successChance,
+          outcomes: hasDifficulty
+            ? [
+                { result: 'success', flag: action.successFlag || null, probability: successChance },
+                { result: 'failure', flag: action.successFlag || null, probability: successChance === null ? null : 1 - successChance }
+              ]
+            : []
+        });
+      });
+    };
+    
+    scenes.forEach(scene => {
+      if (!scene?.id) return;
+      collectRolls(scene.onEnter, scene.id, null, 'onEnter');
+      collectRolls(scene.onExit, scene.id, null, 'onExit');
+      
+      (scene.choices || []).forEach(choice => {
+        if (!choice) return;
+        collectRolls(choice.actions, scene.id, choice.id, 'choice');
+        
+        if (!Array.isArray(choice.randomBranches) || choice.randomBranches.length === 0) return;
+        const weightOf = branch => {
+          const weight = Number(branch?.weight ?? 1);
+          return Number.isFinite(weight) && weight > 0 ? weight : 0;
+        };
+        const totalWeight = choice.randomBranches.reduce((sum, branch) => sum + weightOf(branch), 0);
+        
+        outcomes.push({
+          type: 'random_branch',
+          sceneId: scene.id,
+          choiceId: choice.id,
+          totalWeight,
+          fallbackSceneId: choice.targetSceneId || null,
+          outcomes: choice.randomBranches.map((branch, index) => ({
+            index,
+            targetSceneId: branch?.targetSceneId || null,
+            label: branch?.label || null,
+            weight: weightOf(branch),
+            probability: totalWeight > 0 ? weightOf(branch) / totalWeight : 0,
+            conditional: Array.isArray(branch?.conditions) && branch.conditions.length > 0
+          }))
+        });
+      });
+    });
+    
+    return outcomes;
+  }
+  
+  /**
+   * Simulate play over stats, flags, inventory and choice usage (see StateSpaceExplorer)
+   * @param {Object} options - { maxStates?, maxDepth? }
+   * @returns {Promise<Object>} explorer report
+   */
+  async exploreStateSpace(adventure, options = {}) {
+    return new StateSpaceExplorer(adventure, options).explore();
+  }
+  
+  /**
+   * Translation coverage report (see Localization.getTranslationCoverage)
+   * @returns {Object} { sourceLocale, total, locales: [{ locale, translated, total, percent, missing, unused }] }
+   */
+  getTranslationCoverage(adventure) {
+    return getTranslationCoverage(adventure);
+  }
+  
   /**
    * Extract stats/flags from conditions
    */
@@ -617,6 +804,1293 @@ class ValidationService {
         }
       });
     });
+    
+    // Computed stats: formula syntax, unknown references and dependency cycles
+    this.addRule('computed-stats', (adventure, context, result) => {
+      const statDefs = Array.isArray(adventure.stats) ? adventure.stats : [];
+      const computedDefs = statDefs.filter(stat => typeof stat?.formula === 'string' && stat.formula.trim());
+      if (computedDefs.length === 0) return;
+      
+      const knownStats = new Set();
+      statDefs.forEach(stat => {
+        if (stat?.id) knownStats.add(stat.id);
+      });
+      
+      const { cycles, errors } = StatsManager.orderComputedStats(statDefs);
+      
+      errors.forEach(({ id, error }) => {
+        result.errors.push({
+          level: 'error',
+          message: `Computed stat '${id}' has an invalid formula: ${error}`,
+          location: `stats.${id}.formula`,
+          fix: 'Fix the formula syntax (e.g. strength * 10 - inventory.weight)'
+        });
+      });
+      
+      cycles.forEach(cycle => {
+        result.errors.push({
+          level: 'error',
+          message: `Computed stats depend on each other in a cycle: ${cycle.join(' -> ')}`,
+          location: `stats.${cycle[0]}.formula`,
+          fix: 'Break the cycle so at least one stat in it is not computed from the others',
+          details: { cycle }
+        });
+      });
+      
+      computedDefs.forEach(stat => {
+        let references = [];
+        try {
+          references = ExpressionEvaluator.collectReferences(stat.formula);
+        } catch (error) {
+          return;
+        }
+        references.forEach(ref => {
+          if (ref.namespace === 'stat' && !knownStats.has(ref.key)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Computed stat '${stat.id}' references unknown stat '${ref.key}'`,
+              location: `stats.${stat.id}.formula`,
+              fix: `Define stat '${ref.key}' or fix the formula`
+            });
+          } else if (['visited', 'visits', 'choice'].includes(ref.namespace)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Computed stat '${stat.id}' uses '${ref.namespace}.${ref.key}', which formulas cannot read (always 0)`,
+              location: `stats.${stat.id}.formula`,
+              fix: 'Use stats, flags, items or inventory totals in formulas'
+            });
+          }
+        });
+      });
+    });
+    
+    // Random branches and dice rolls: broken destinations, bad weights, invalid dice
+    this.addRule('random-outcomes', (adventure, context, result) => {
+      const knownStats = new Set(context.definedStats);
+      (adventure.stats || []).forEach(stat => stat?.id && knownStats.add(stat.id));
+      
+      this.enumerateBranchOutcomes(adventure).forEach(entry => {
+        if (entry.type === 'random_branch') {
+          const location = `scenes.${entry.sceneId}.choices.${entry.choiceId}.randomBranches`;
+          const choice = context.nodes.get(entry.sceneId)?.choices?.find(c => c?.id === entry.choiceId);
+          
+          entry.outcomes.forEach(outcome => {
+            const branch = choice?.randomBranches?.[outcome.index];
+            if (!outcome.targetSceneId) {
+              result.errors.push({
+                level: 'error',
+                message: `Random branch ${outcome.index + 1} of choice '${entry.choiceId}' has no target scene`,
+                location,
+                fix: 'Select a destination scene for every branch'
+              });
+            } else if (!context.nodes.has(outcome.targetSceneId)) {
+              result.errors.push({
+                level: 'error',
+                message: `Random branch of choice '${entry.choiceId}' targets missing scene '${outcome.targetSceneId}'`,
+                location,
+                fix: 'Point the branch at an existing scene or remove it'
+              });
+            }
+            const rawWeight = branch?.weight;
+            if (rawWeight !== undefined && rawWeight !== null && !(Number(rawWeight) >= 0)) {
+              result.errors.push({
+                level: 'error',
+                message: `Random branch of choice '${entry.choiceId}' has invalid weight '${rawWeight}'`,
+                location,
+                fix: 'Use a weight of zero or more'
+              });
+            }
+          });
+          
+          if (entry.totalWeight <= 0) {
+            result.errors.push({
+              level: 'error',
+              message: `Random branches of choice '${entry.choiceId}' have no positive weight`,
+              location,
+              fix: 'Give at least one branch a weight above zero'
+            });
+          } else if (!entry.fallbackSceneId && entry.outcomes.every(outcome => outcome.conditional || outcome.weight === 0)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Choice '${entry.choiceId}' may have no destination when no random branch condition is met`,
+              location,
+              fix: 'Add an unconditional branch or a fallback target scene'
+            });
+          }
+          return;
+        }
+        
+        const location = entry.choiceId
+          ? `scenes.${entry.sceneId}.choices.${entry.choiceId}.actions.${entry.actionIndex}`
+          : `scenes.${entry.sceneId}.${entry.source}.${entry.actionIndex}`;
+        if (!entry.valid) {
+          result.errors.push({
+            level: 'error',
+            message: `Invalid roll '${entry.notation}': ${entry.error}`,
+            location,
+            fix: 'Use dice notation such as 2d6 + agility'
+          });
+        } else if (entry.successChance === 0 || entry.successChance === 1) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Roll '${entry.notation}' vs ${entry.difficulty} always ${entry.successChance === 1 ? 'succeeds' : 'fails'}`,
+            location,
+            fix: 'Adjust the dice or the difficulty'
+          });
+        }
+      });
+      
+      // Roll targets must be stats
+      context.nodes.forEach((node, nodeId) => {
+        const actionLists = [node.onEnter, node.onExit, ...(node.choices || []).map(choice => choice?.actions)];
+        actionLists.forEach(actions => {
+          (Array.isArray(actions) ? actions : []).forEach(action => {
+            if (action?.type === 'roll' && action.key && !knownStats.has(action.key)) {
+              result.warnings.push({
+                level: 'warning',
+                message: `Roll stores its result in unknown stat '${action.key}'`,
+                location: `scenes.${nodeId}`,
+                fix: `Define stat '${action.key}'`
+              });
+            }
+          });
+        });
+      });
+    });
+    
+    // Tunnels: call/return choices that can't work
+    this.addRule('tunnels', (adventure, context, result) => {
+      const returnTargets = context.returnTargets || this.getReturnTargets(context.nodes);
+      
+      context.nodes.forEach((node, nodeId) => {
+        (node.choices || []).forEach(choice => {
+          if (!choice) return;
+          const location = `scenes.${nodeId}.choices.${choice.id}`;
+          if (choice.isCall && choice.isReturn) {
+            result.errors.push({
+              level: 'error',
+              message: `Choice '${choice.id}' both calls a scene and returns from one`,
+              location,
+              fix: 'Make the choice either a call or a return'
+            });
+          } else if (choice.isReturn && !choice.isFake && !returnTargets.has(nodeId) && !choice.targetSceneId) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Return choice '${choice.id}' in scene '${nodeId}' is never reached through a call and has no fallback target`,
+              location,
+              fix: 'Enter this scene with a call choice or give the return choice a target scene'
+            });
+          }
+        });
+      });
+    });
+    
+    // Timed scenes: the choice taken when time runs out must exist
+    this.addRule('timed-choices', (adventure, context, result) => {
+      context.nodes.forEach((node, nodeId) => {
+        if (node.timeLimit === undefined || node.timeLimit === null || node.timeLimit === '') return;
+        const location = `scenes.${nodeId}.timeLimit`;
+        if (!(Number(node.timeLimit) > 0)) {
+          result.errors.push({
+            level: 'error',
+            message: `Scene '${nodeId}' has an invalid time limit '${node.timeLimit}'`,
+            location,
+            fix: 'Use a number of seconds greater than 0, or remove the time limit'
+          });
+        } else if (node.defaultChoiceId && !(node.choices || []).some(choice => choice?.id === node.defaultChoiceId)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Default choice '${node.defaultChoiceId}' of timed scene '${nodeId}' does not exist; the first available choice is taken instead`,
+            location: `scenes.${nodeId}.defaultChoiceId`,
+            fix: 'Pick one of the scene\'s choices as its default'
+          });
+        } else if ((node.choices || []).length === 0) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Scene '${nodeId}' has a time limit but no choices`,
+            location,
+            fix: 'Remove the time limit or add choices'
+          });
+        }
+      });
+    });
+    
+    // Achievements: broken counters, unknown add_achievement ids, achievements nothing unlocks
+    this.addRule('achievements', (adventure, context, result) => {
+      const achievements = (Array.isArray(adventure.achievements) ? adventure.achievements : []).filter(a => a?.id);
+      const known = new Set(achievements.map(achievement => achievement.id));
+      const awarded = new Set();
+      
+      context.nodes.forEach((node, nodeId) => {
+        const actionLists = [node.onEnter, node.onExit, ...(node.choices || []).map(choice => choice?.actions)];
+        actionLists.forEach(actions => {
+          (Array.isArray(actions) ? actions : []).forEach(action => {
+            if (action?.type !== 'add_achievement') return;
+            awarded.add(action.key);
+            if (!known.has(action.key)) {
+              result.errors.push({
+                level: 'error',
+                message: `Action awards unknown achievement '${action.key}'`,
+                location: `scenes.${nodeId}`,
+                fix: `Define achievement '${action.key}' or pick an existing one`
+              });
+            }
+          });
+        });
+      });
+      
+      achievements.forEach(achievement => {
+        const location = `achievements.${achievement.id}`;
+        const counter = achievement.counter;
+        if (counter) {
+          const check = ExpressionEvaluator.validate(counter.expression || '');
+          if (!check.valid) {
+            result.errors.push({
+              level: 'error',
+              message: `Counter of achievement '${achievement.id}' is invalid: ${check.error}`,
+              location: `${location}.counter`,
+              fix: 'Use an expression such as stat.kills or visits.tavern'
+            });
+          }
+          if (!(Number(counter.target) > 0)) {
+            result.errors.push({
+              level: 'error',
+              message: `Counter of achievement '${achievement.id}' has invalid target '${counter.target}'`,
+              location: `${location}.counter`,
+              fix: 'Use a target greater than 0'
+            });
+          }
+        }
+        const hasConditions = Array.isArray(achievement.conditions) && achievement.conditions.length > 0;
+        if (!hasConditions && !counter && !awarded.has(achievement.id)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Achievement '${achievement.id}' can never be unlocked`,
+            location,
+            fix: 'Add unlock conditions or a counter, or award it with an add_achievement action'
+          });
+        }
+      });
+    });
+    
+    // Player profile: meta flags, endings and achievements checked across playthroughs
+    this.addRule('meta-progression', (adventure, context, result) => {
+      const declared = new Set((adventure.metaFlags || []).filter(flag => flag?.id).map(flag => flag.id));
+      const achievements = new Set((adventure.achievements || []).filter(a => a?.id).map(a => a.id));
+      const endings = new Set();
+      context.nodes.forEach((node, nodeId) => {
+        if (isEnding(node)) endings.add(nodeId);
+      });
+      const setFlags = new Set();
+      const { conditions, actions } = this.collectLogic(adventure, context);
+      
+      actions.forEach(({ action, location }) => {
+        if (action.type !== 'set_meta_flag') return;
+        setFlags.add(action.key);
+        if (!declared.has(action.key)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Action sets undeclared meta flag '${action.key}'`,
+            location,
+            fix: `Declare '${action.key}' in the adventure's meta flags`
+          });
+        }
+      });
+      
+      conditions.forEach(({ condition, location }) => {
+        if (condition.type === 'meta_flag' && !declared.has(condition.key)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Condition checks undeclared meta flag '${condition.key}'`,
+            location,
+            fix: `Declare '${condition.key}' in the adventure's meta flags`
+          });
+        } else if (condition.type === 'meta_flag' && !setFlags.has(condition.key)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Meta flag '${condition.key}' is checked but never set`,
+            location,
+            fix: `Add a set_meta_flag action for '${condition.key}'`
+          });
+        } else if (condition.type === 'ending_seen' && !endings.has(condition.key)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Condition checks ending '${condition.key}', which is not an ending scene`,
+            location,
+            fix: 'Pick a scene without choices or one marked as an ending'
+          });
+        } else if (condition.type === 'achievement_unlocked' && !achievements.has(condition.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Condition checks unknown achievement '${condition.key}'`,
+            location,
+            fix: `Define achievement '${condition.key}' or pick an existing one`
+          });
+        }
+      });
+    });
+    
+    // Equipment: slots items go in, the stats their modifiers change, equip actions and conditions
+    this.addRule('equipment', (adventure, context, result) => {
+      const slots = new Map();
+      (adventure.equipmentSlots || []).forEach((slot, index) => {
+        if (!slot?.id) {
+          result.errors.push({
+            level: 'error',
+            message: `Equipment slot ${index + 1} has no id`,
+            location: `equipmentSlots.${index}`,
+            fix: 'Give the slot an id such as head or weapon'
+          });
+        } else if (slots.has(slot.id)) {
+          result.errors.push({
+            level: 'error',
+            message: `Duplicate equipment slot '${slot.id}'`,
+            location: `equipmentSlots.${slot.id}`,
+            fix: 'Rename or remove one of the slots'
+          });
+        } else {
+          slots.set(slot.id, slot);
+          if (slot.capacity !== undefined && !(Number.isInteger(slot.capacity) && slot.capacity > 0)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Equipment slot '${slot.id}' has an invalid capacity; 1 is used`,
+              location: `equipmentSlots.${slot.id}`,
+              fix: 'Use a whole number of at least 1'
+            });
+          }
+        }
+      });
+      
+      const stats = new Set((adventure.stats || []).filter(stat => stat?.id).map(stat => stat.id));
+      const items = new Map((adventure.inventory || []).filter(item => item?.id).map(item => [item.id, item]));
+      items.forEach((item, itemId) => {
+        const location = `inventory.${itemId}`;
+        if (item.slot && !slots.has(item.slot)) {
+          result.errors.push({
+            level: 'error',
+            message: `Item '${itemId}' uses undeclared equipment slot '${item.slot}'`,
+            location,
+            fix: `Declare '${item.slot}' in the adventure's equipment slots`
+          });
+        }
+        const modifiers = Array.isArray(item.modifiers) ? item.modifiers : [];
+        if (modifiers.length > 0 && !item.slot) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Item '${itemId}' has stat modifiers but no slot, so they never apply`,
+            location,
+            fix: 'Give the item an equipment slot or remove its modifiers'
+          });
+        }
+        modifiers.forEach(modifier => {
+          if (!stats.has(modifier?.stat)) {
+            result.errors.push({
+              level: 'error',
+              message: `Item '${itemId}' modifies unknown stat '${modifier?.stat}'`,
+              location,
+              fix: 'Pick a defined stat'
+            });
+          } else if (!['add', 'multiply'].includes(modifier.type) || !Number.isFinite(Number(modifier.value))) {
+            result.errors.push({
+              level: 'error',
+              message: `Item '${itemId}' has an invalid modifier for '${modifier.stat}'`,
+              location,
+              fix: "Use type 'add' or 'multiply' with a numeric value"
+            });
+          }
+        });
+      });
+      
+      const { conditions, actions } = this.collectLogic(adventure, context);
+      actions.forEach(({ action, location }) => {
+        if (action.type !== 'equip_item' && action.type !== 'unequip_item') return;
+        if (!items.has(action.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Action ${action.type} references unknown item '${action.key}'`,
+            location,
+            fix: 'Pick a defined item'
+          });
+        } else if (!items.get(action.key).slot) {
+          result.errors.push({
+            level: 'error',
+            message: `Action ${action.type} references item '${action.key}', which has no equipment slot`,
+            location,
+            fix: `Give '${action.key}' an equipment slot`
+          });
+        }
+      });
+      conditions.forEach(({ condition, location }) => {
+        if (condition.type === 'item_equipped' && !items.has(condition.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Condition checks unknown item '${condition.key}'`,
+            location,
+            fix: 'Pick a defined item'
+          });
+        } else if (condition.type === 'slot_filled' && !slots.has(condition.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Condition checks undeclared equipment slot '${condition.key}'`,
+            location,
+            fix: `Declare '${condition.key}' in the adventure's equipment slots`
+          });
+        }
+      });
+    });
+    
+    // Crafting: recipes must turn known items into known items
+    this.addRule('crafting', (adventure, context, result) => {
+      const items = new Set((adventure.inventory || []).filter(item => item?.id).map(item => item.id));
+      const recipes = new Set();
+      (adventure.recipes || []).forEach((recipe, index) => {
+        if (!recipe?.id) {
+          result.errors.push({
+            level: 'error',
+            message: `Recipe ${index + 1} has no id`,
+            location: `recipes.${index}`,
+            fix: 'Give the recipe an id'
+          });
+          return;
+        }
+        const location = `recipes.${recipe.id}`;
+        if (recipes.has(recipe.id)) {
+          result.errors.push({
+            level: 'error',
+            message: `Duplicate recipe '${recipe.id}'`,
+            location,
+            fix: 'Rename or remove one of the recipes'
+          });
+          return;
+        }
+        recipes.add(recipe.id);
+        
+        ['ingredients', 'results'].forEach(field => {
+          const parts = Array.isArray(recipe[field]) ? recipe[field] : [];
+          if (parts.length === 0) {
+            result.errors.push({
+              level: 'error',
+              message: `Recipe '${recipe.id}' has no ${field}`,
+              location,
+              fix: `Add at least one item to its ${field}`
+            });
+          }
+          parts.forEach(part => {
+            if (!items.has(part?.itemId)) {
+              result.errors.push({
+                level: 'error',
+                message: `Recipe '${recipe.id}' uses unknown item '${part?.itemId}'`,
+                location,
+                fix: 'Pick a defined item'
+              });
+            } else if (part.quantity !== undefined && !(Number.isInteger(part.quantity) && part.quantity > 0)) {
+              result.warnings.push({
+                level: 'warning',
+                message: `Recipe '${recipe.id}' has an invalid quantity for '${part.itemId}'; 1 is used`,
+                location,
+                fix: 'Use a whole number of at least 1'
+              });
+            }
+          });
+        });
+      });
+      
+      const { conditions, actions } = this.collectLogic(adventure, context);
+      actions.forEach(({ action, location }) => {
+        if (action.type === 'craft' && !recipes.has(action.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Craft action references unknown recipe '${action.key}'`,
+            location,
+            fix: 'Pick a defined recipe'
+          });
+        }
+      });
+      conditions.forEach(({ condition, location }) => {
+        if ((condition.type === 'can_craft' || condition.type === 'crafted_count') && !recipes.has(condition.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Condition checks unknown recipe '${condition.key}'`,
+            location,
+            fix: 'Pick a defined recipe'
+          });
+        }
+      });
+    });
+    
+    // Shops: stock and prices must use known items and a numeric currency stat
+    this.addRule('shops', (adventure, context, result) => {
+      const items = new Set((adventure.inventory || []).filter(item => item?.id).map(item => item.id));
+      const stats = new Map((adventure.stats || []).filter(stat => stat?.id).map(stat => [stat.id, stat]));
+      const shops = new Map(); // shopId -> sceneId
+      const isMultiplier = value => value === undefined || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+      
+      context.nodes.forEach((scene, sceneId) => {
+        const shop = scene.shop;
+        if (!shop || typeof shop !== 'object') return;
+        const location = `scenes.${sceneId}`;
+        const shopId = shop.id || sceneId;
+        if (shops.has(shopId)) {
+          result.errors.push({
+            level: 'error',
+            message: `Shop '${shopId}' is used by scenes '${shops.get(shopId)}' and '${sceneId}'`,
+            location,
+            fix: 'Give each shop its own id'
+          });
+        }
+        shops.set(shopId, sceneId);
+        
+        const currencyStat = shop.currencyStat || adventure.currencyStat;
+        if (!currencyStat) {
+          result.errors.push({
+            level: 'error',
+            message: `Shop '${shopId}' has no currency stat`,
+            location,
+            fix: "Set the shop's currency stat or the adventure's currencyStat"
+          });
+        } else if (!stats.has(currencyStat)) {
+          result.errors.push({
+            level: 'error',
+            message: `Shop '${shopId}' uses unknown currency stat '${currencyStat}'`,
+            location,
+            fix: 'Pick a defined stat'
+          });
+        } else if (!['number', 'currency'].includes(stats.get(currencyStat).type || 'number')) {
+          result.errors.push({
+            level: 'error',
+            message: `Shop '${shopId}' pays with stat '${currencyStat}', which is not a number`,
+            location,
+            fix: "Use a stat of type 'number' or 'currency'"
+          });
+        }
+        
+        (Array.isArray(shop.stock) ? shop.stock : []).forEach(entry => {
+          if (!items.has(entry?.itemId)) {
+            result.errors.push({
+              level: 'error',
+              message: `Shop '${shopId}' stocks unknown item '${entry?.itemId}'`,
+              location,
+              fix: 'Pick a defined item'
+            });
+            return;
+          }
+          if (entry.quantity !== undefined && entry.quantity !== null && !(Number.isInteger(entry.quantity) && entry.quantity >= 0)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Shop '${shopId}' has an invalid quantity for '${entry.itemId}'; its stock is unlimited`,
+              location,
+              fix: 'Use a whole number, or leave it empty for unlimited stock'
+            });
+          }
+          if (entry.price !== undefined && entry.price !== null && !isMultiplier(entry.price)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Shop '${shopId}' has an invalid price for '${entry.itemId}'; the item value is used`,
+              location,
+              fix: 'Use a price of 0 or more'
+            });
+          }
+        });
+        (Array.isArray(shop.buys) ? shop.buys : []).forEach(itemId => {
+          if (!items.has(itemId)) {
+            result.errors.push({
+              level: 'error',
+              message: `Shop '${shopId}' buys unknown item '${itemId}'`,
+              location,
+              fix: 'Pick a defined item'
+            });
+          }
+        });
+        
+        const multipliers = [shop.buyMultiplier, shop.sellMultiplier];
+        (shop.priceModifiers || []).forEach(modifier => multipliers.push(modifier?.buy, modifier?.sell));
+        if (!multipliers.every(isMultiplier)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Shop '${shopId}' has an invalid price multiplier; it is ignored`,
+            location,
+            fix: 'Use numbers of 0 or more (1 keeps the price)'
+          });
+        }
+      });
+      
+      const { actions } = this.collectLogic(adventure, context);
+      actions.forEach(({ action, location }) => {
+        if (action.type !== 'buy_item' && action.type !== 'sell_item') return;
+        if (!items.has(action.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Action ${action.type} references unknown item '${action.key}'`,
+            location,
+            fix: 'Pick a defined item'
+          });
+        }
+        if (action.shopId) {
+          if (!shops.has(action.shopId)) {
+            result.errors.push({
+              level: 'error',
+              message: `Action ${action.type} references unknown shop '${action.shopId}'`,
+              location,
+              fix: 'Pick a scene shop'
+            });
+          }
+        } else if (location.startsWith('scenes.') && !context.nodes.get(location.slice('scenes.'.length))?.shop) {
+          result.errors.push({
+            level: 'error',
+            message: `Action ${action.type} has no shop: its scene has none and no shop id is given`,
+            location,
+            fix: 'Add a shop to the scene or name the shop to trade with'
+          });
+        }
+      });
+    });
+    
+    // Item use: effects are actions whose items and scenes must exist; usableIn names scenes or scene tags
+    this.addRule('item-use', (adventure, context, result) => {
+      const items = new Set((adventure.inventory || []).filter(item => item?.id).map(item => item.id));
+      const places = new Set(context.nodes.keys());
+      context.nodes.forEach(scene => (Array.isArray(scene.tags) ? scene.tags : []).forEach(tag => places.add(tag)));
+      
+      (adventure.inventory || []).filter(item => item?.id).forEach(item => {
+        const location = `inventory.${item.id}`;
+        if (getItemActions(item).length > 0 && !item.consumable && !item.usable && !item.slot) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Item '${item.id}' has effects but is neither consumable nor usable, so they never run`,
+            location,
+            fix: 'Mark the item consumable (used up) or usable (kept)'
+          });
+        }
+        (Array.isArray(item.usableIn) ? item.usableIn : []).forEach(place => {
+          if (!places.has(place)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Item '${item.id}' is usable in '${place}', which is not a scene id or scene tag`,
+              location,
+              fix: 'Pick a scene or a tag used by a scene'
+            });
+          }
+        });
+      });
+      
+      const { actions } = this.collectLogic(adventure, context);
+      actions.forEach(({ action, location }) => {
+        if (action.type === 'go_to_scene' && !context.nodes.has(action.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Action go_to_scene references unknown scene '${action.key}'`,
+            location,
+            fix: 'Pick an existing scene'
+          });
+        } else if (['add_inventory', 'remove_inventory', 'set_inventory'].includes(action.type) && !items.has(action.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Action ${action.type} references unknown item '${action.key}'`,
+            location,
+            fix: 'Pick a defined item'
+          });
+        }
+      });
+    });
+    
+    // Status effects: declared once, modifying known stats, and only applied, cured or checked by id
+    this.addRule('status-effects', (adventure, context, result) => {
+      const stats = new Set((adventure.stats || []).filter(stat => stat?.id).map(stat => stat.id));
+      const effects = new Map();
+      (adventure.statusEffects || []).forEach((effect, index) => {
+        if (!effect?.id) {
+          result.errors.push({
+            level: 'error',
+            message: `Status effect ${index + 1} has no id`,
+            location: `statusEffects.${index}`,
+            fix: 'Give the status effect an id such as poisoned'
+          });
+          return;
+        }
+        const location = `statusEffects.${effect.id}`;
+        if (effects.has(effect.id)) {
+          result.errors.push({
+            level: 'error',
+            message: `Duplicate status effect '${effect.id}'`,
+            location,
+            fix: 'Rename or remove one of the status effects'
+          });
+          return;
+        }
+        effects.set(effect.id, effect);
+        
+        if (effect.duration !== undefined && effect.duration !== null && !(Number.isInteger(effect.duration) && effect.duration >= 0)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Status effect '${effect.id}' has an invalid duration; it lasts until cured`,
+            location,
+            fix: 'Use a whole number of turns, or leave it empty to last until cured'
+          });
+        }
+        if (effect.stacking !== undefined && !['refresh', 'extend', 'stack', 'ignore'].includes(effect.stacking)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Status effect '${effect.id}' has unknown stacking '${effect.stacking}'; refresh is used`,
+            location,
+            fix: "Use 'refresh', 'extend', 'stack' or 'ignore'"
+          });
+        }
+        if (effect.maxStacks !== undefined && !(Number.isInteger(effect.maxStacks) && effect.maxStacks > 0)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Status effect '${effect.id}' has an invalid maxStacks; stacks are unlimited`,
+            location,
+            fix: 'Use a whole number of at least 1'
+          });
+        }
+        (Array.isArray(effect.modifiers) ? effect.modifiers : []).forEach(modifier => {
+          if (!stats.has(modifier?.stat)) {
+            result.errors.push({
+              level: 'error',
+              message: `Status effect '${effect.id}' modifies unknown stat '${modifier?.stat}'`,
+              location,
+              fix: 'Pick a defined stat'
+            });
+          } else if (!['add', 'multiply'].includes(modifier.type) || !Number.isFinite(Number(modifier.value))) {
+            result.errors.push({
+              level: 'error',
+              message: `Status effect '${effect.id}' has an invalid modifier for '${modifier.stat}'`,
+              location,
+              fix: "Use type 'add' or 'multiply' with a numeric value"
+            });
+          }
+        });
+      });
+      
+      const { conditions, actions } = this.collectLogic(adventure, context);
+      const cured = new Set();
+      const timedByAction = new Set();
+      actions.forEach(({ action, location }) => {
+        if (action.type !== 'add_status' && action.type !== 'cure_status') return;
+        if (!effects.has(action.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Action ${action.type} references unknown status effect '${action.key}'`,
+            location,
+            fix: 'Pick a defined status effect'
+          });
+        } else if (action.type === 'cure_status') {
+          cured.add(action.key);
+        } else if (Number(action.value) > 0) {
+          timedByAction.add(action.key);
+        }
+      });
+      conditions.forEach(({ condition, location }) => {
+        if (condition.type === 'has_status' && !effects.has(condition.key)) {
+          result.errors.push({
+            level: 'error',
+            message: `Condition checks unknown status effect '${condition.key}'`,
+            location,
+            fix: 'Pick a defined status effect'
+          });
+        }
+      });
+      effects.forEach((effect, effectId) => {
+        if (!(Number(effect.duration) > 0) && !cured.has(effectId) && !timedByAction.has(effectId)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Status effect '${effectId}' lasts until cured, but no cure_status action cures it`,
+            location: `statusEffects.${effectId}`,
+            fix: 'Give it a duration or add a cure_status action (a rest scene, an antidote)'
+          });
+        }
+      });
+    });
+    
+    this.addRule('characters', (adventure, context, result) => {
+      const characters = new Map();
+      (adventure.characters || []).forEach((character, index) => {
+        if (!character?.id) {
+          result.errors.push({
+            level: 'error',
+            message: `Character ${index + 1} has no id`,
+            location: `characters.${index}`,
+            fix: 'Give the character an id such as mara'
+          });
+          return;
+        }
+        const location = `characters.${character.id}`;
+        if (characters.has(character.id)) {
+          result.errors.push({
+            level: 'error',
+            message: `Duplicate character '${character.id}'`,
+            location,
+            fix: 'Rename or remove one of the characters'
+          });
+          return;
+        }
+        if (character.id.includes('.')) {
+          result.errors.push({
+            level: 'error',
+            message: `Character id '${character.id}' contains a dot`,
+            location,
+            fix: "Character stats are addressed as 'characterId.statId'; remove the dot from the id"
+          });
+        }
+        const stats = new Set();
+        (Array.isArray(character.stats) ? character.stats : []).forEach((stat, statIndex) => {
+          if (!stat?.id || stats.has(stat.id)) {
+            result.errors.push({
+              level: 'error',
+              message: stat?.id
+                ? `Character '${character.id}' has a duplicate stat '${stat.id}'`
+                : `Stat ${statIndex + 1} of character '${character.id}' has no id`,
+              location,
+              fix: 'Give every character stat its own id such as trust'
+            });
+            return;
+          }
+          stats.add(stat.id);
+          const min = Number(stat.min);
+          const max = Number(stat.max);
+          if (stat.min != null && stat.max != null && min > max) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Stat '${stat.id}' of character '${character.id}' has a min above its max`,
+              location,
+              fix: 'Swap min and max'
+            });
+          }
+        });
+        characters.set(character.id, stats);
+      });
+
+      const checkKey = (key, what, location) => {
+        const parsed = parseCharacterStatKey(key);
+        if (!parsed || !characters.get(parsed.characterId)?.has(parsed.statId)) {
+          result.errors.push({
+            level: 'error',
+            message: `${what} references unknown character stat '${key}'`,
+            location,
+            fix: "Use 'characterId.statId' with a defined character and stat"
+          });
+        }
+      };
+      const { conditions, actions } = this.collectLogic(adventure, context);
+      conditions.forEach(({ condition, location }) => {
+        if (condition.type === 'character_stat') checkKey(condition.key, 'Condition', location);
+      });
+      actions.forEach(({ action, location }) => {
+        if (action.type === 'character_stat') checkKey(action.key, 'Action character_stat', location);
+      });
+
+      context.nodes.forEach((node, nodeId) => {
+        const lineIds = new Set();
+        (Array.isArray(node.dialogue) ? node.dialogue : []).forEach((line, index) => {
+          const location = `scenes.${nodeId}.dialogue.${line?.id || index}`;
+          if (line?.speaker && !characters.has(line.speaker)) {
+            result.errors.push({
+              level: 'error',
+              message: `Dialogue line is spoken by unknown character '${line.speaker}'`,
+              location,
+              fix: 'Pick a defined character, or leave the speaker empty for narration'
+            });
+          }
+          if (!line?.text || !String(line.text).trim()) {
+            result.warnings.push({
+              level: 'warning',
+              message: 'Dialogue line has no text and is never shown',
+              location,
+              fix: 'Write the line or remove it'
+            });
+          }
+          if (line?.id && lineIds.has(line.id)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Duplicate dialogue line id '${line.id}'; its translations are shared`,
+              location,
+              fix: 'Give every line in the scene its own id'
+            });
+          }
+          if (line?.id) lineIds.add(line.id);
+        });
+      });
+    });
+    
+    // Quests and their objectives must be referenced correctly and be able to complete
+    this.addRule('quests', (adventure, context, result) => {
+      const quests = new Map();
+      (adventure.quests || []).forEach((quest, index) => {
+        if (!quest?.id) {
+          result.errors.push({
+            level: 'error',
+            message: `Quest ${index + 1} has no id`,
+            location: `quests.${index}`,
+            fix: 'Give the quest an id such as find_the_cat'
+          });
+          return;
+        }
+        const location = `quests.${quest.id}`;
+        if (quests.has(quest.id)) {
+          result.errors.push({
+            level: 'error',
+            message: `Duplicate quest '${quest.id}'`,
+            location,
+            fix: 'Rename or remove one of the quests'
+          });
+          return;
+        }
+        if (quest.id.includes('.')) {
+          result.errors.push({
+            level: 'error',
+            message: `Quest id '${quest.id}' contains a dot`,
+            location,
+            fix: "Objectives are addressed as 'questId.objectiveId'; remove the dot from the id"
+          });
+        }
+        const objectives = new Map();
+        (Array.isArray(quest.objectives) ? quest.objectives : []).forEach((objective, objectiveIndex) => {
+          if (!objective?.id || objectives.has(objective.id)) {
+            result.errors.push({
+              level: 'error',
+              message: objective?.id
+                ? `Quest '${quest.id}' has a duplicate objective '${objective.id}'`
+                : `Objective ${objectiveIndex + 1} of quest '${quest.id}' has no id`,
+              location,
+              fix: 'Give every objective its own id such as find_key'
+            });
+            return;
+          }
+          objectives.set(objective.id, objective);
+        });
+        quests.set(quest.id, { quest, objectives });
+      });
+
+      const started = new Set();
+      const completable = new Set();
+      const checkQuest = (key, what, location) => {
+        if (quests.has(key)) return true;
+        result.errors.push({
+          level: 'error',
+          message: `${what} references unknown quest '${key}'`,
+          location,
+          fix: 'Pick a defined quest'
+        });
+        return false;
+      };
+      const checkObjective = (key, what, location) => {
+        const parsed = parseObjectiveKey(key);
+        if (parsed && quests.get(parsed.questId)?.objectives.has(parsed.objectiveId)) return true;
+        result.errors.push({
+          level: 'error',
+          message: `${what} references unknown quest objective '${key}'`,
+          location,
+          fix: "Use 'questId.objectiveId' with a defined quest and objective"
+        });
+        return false;
+      };
+
+      const { conditions, actions } = this.collectLogic(adventure, context);
+      conditions.forEach(({ condition, location }) => {
+        if (condition.type !== 'quest_state') return;
+        const known = String(condition.key || '').includes('.')
+          ? checkObjective(condition.key, 'Condition', location)
+          : checkQuest(condition.key, 'Condition', location);
+        if (known && !QUEST_STATES.includes(condition.value)) {
+          result.errors.push({
+            level: 'error',
+            message: `Condition compares '${condition.key}' with unknown quest state '${condition.value}'`,
+            location,
+            fix: `Use one of ${QUEST_STATES.join(', ')}`
+          });
+        }
+      });
+      actions.forEach(({ action, location }) => {
+        if (action.type === 'start_quest' && checkQuest(action.key, 'Action start_quest', location)) {
+          started.add(action.key);
+        } else if (action.type === 'fail_quest') {
+          checkQuest(action.key, 'Action fail_quest', location);
+        } else if (action.type === 'complete_objective' && checkObjective(action.key, 'Action complete_objective', location)) {
+          completable.add(action.key);
+        }
+      });
+
+      quests.forEach(({ quest, objectives }, questId) => {
+        const location = `quests.${questId}`;
+        const required = Array.from(objectives.values()).filter(objective => !objective.optional);
+        if (required.length === 0) {
+          result.errors.push({
+            level: 'error',
+            message: `Quest '${questId}' can never complete: it has no required objectives`,
+            location,
+            fix: 'Add an objective that is not optional'
+          });
+        }
+        required.forEach(objective => {
+          const hasCompleteWhen = Array.isArray(objective.completeWhen) && objective.completeWhen.length > 0;
+          if (!hasCompleteWhen && !completable.has(`${questId}.${objective.id}`)) {
+            result.errors.push({
+              level: 'error',
+              message: `Quest '${questId}' can never complete: objective '${objective.id}' has no completeWhen conditions and no complete_objective action`,
+              location,
+              fix: 'Give the objective completeWhen conditions, add a complete_objective action for it or mark it optional'
+            });
+          }
+        });
+        const hasStartWhen = Array.isArray(quest.startWhen) && quest.startWhen.length > 0;
+        if (!hasStartWhen && !started.has(questId)) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Quest '${questId}' is never started`,
+            location,
+            fix: 'Give the quest startWhen conditions or add a start_quest action'
+          });
+        }
+      });
+    });
+    
+    // Simulated play: scenes that can trap the player and endings nobody can reach
+    this.addRule('state-space', async (adventure, context, result) => {
+      if (!context.stateSpace || !context.nodes.has(adventure.startSceneId)) return;
+      
+      const report = await this.exploreStateSpace(adventure, context.stateSpace === true ? {} : context.stateSpace);
+      const describePath = path => (path.length === 0
+        ? 'at the start'
+        : `after ${path.map(step => `'${step.text || step.choiceId}'`).join(' → ')}`);
+      
+      report.deadEnds.forEach(({ sceneId, path, lockedChoices }) => {
+        result.warnings.push({
+          level: 'warning',
+          message: `Scene '${sceneId}' has no choice the player can take ${describePath(path)}`,
+          location: `scenes.${sceneId}`,
+          fix: 'Loosen the conditions on its choices or add a choice that is always available',
+          details: { path, lockedChoices }
+        });
+      });
+      
+      report.unwinnable.forEach(({ sceneId, path }) => {
+        result.warnings.push({
+          level: 'warning',
+          message: `No ending can be reached ${describePath(path)} (scene '${sceneId}')`,
+          location: `scenes.${sceneId}`,
+          fix: 'Give the player a way out of the loop, or make sure the conditions on the way to an ending can still be met',
+          details: { path }
+        });
+      });
+      
+      report.unreachableEndings.forEach(({ sceneId, blockedChoices }) => {
+        result.warnings.push({
+          level: 'warning',
+          message: report.complete
+            ? `Ending '${sceneId}' can never be reached in play`
+            : `Ending '${sceneId}' was not reached in ${report.statesExplored} explored states`,
+          location: `scenes.${sceneId}`,
+          fix: 'Check the conditions on the choices leading to this ending',
+          details: { blockedChoices }
+        });
+      });
+      
+      if (!report.complete) {
+        result.info.push({
+          level: 'info',
+          message: `State-space exploration stopped at its ${report.truncatedBy} limit after ${report.statesExplored} states; findings cover the explored part only`,
+          location: 'scenes',
+          fix: 'Raise stateSpace.maxStates / maxDepth to explore further',
+          details: { statesExplored: report.statesExplored, truncatedBy: report.truncatedBy }
+        });
+      }
+    });
+    
+    // Localization: untranslated strings and translations of strings that are gone
+    this.addRule('translation-coverage', (adventure, context, result) => {
+      const coverage = this.getTranslationCoverage(adventure);
+      
+      coverage.locales.forEach(({ locale, translated, total, percent, missing, unused }) => {
+        if (missing.length > 0) {
+          result.warnings.push({
+            level: 'warning',
+            message: `Locale '${locale}' is ${percent}% translated (${missing.length} of ${total} strings missing; the source text is shown instead)`,
+            location: `localization.translations.${locale}`,
+            fix: 'Export the locale as XLIFF or PO, translate the empty targets and import it again',
+            details: { translated, total, missing }
+          });
+        }
+        if (unused.length > 0) {
+          result.info.push({
+            level: 'info',
+            message: `Locale '${locale}' has ${unused.length} translation${unused.length === 1 ? '' : 's'} for strings that no longer exist`,
+            location: `localization.translations.${locale}`,
+            fix: 'Remove the leftover entries or restore the scenes, choices, stats or items they belong to',
+            details: { unused }
+          });
+        }
+      });
+    });
+    
+    // Text interpolation: syntax errors and unknown keys in ${...} / {if ...}
+    this.addRule('text-interpolation', (adventure, context, result) => {
+      const known = this.collectInterpolationKeys(adventure, context);
+      const namespaceKeys = {
+        stat: known.stats,
+        flag: known.flags,
+        item: known.items,
+        visits: known.scenes,
+        choice: known.choices,
+        input: known.choices
+      };
+      
+      const checkText = (text, location) => {
+        if (!TextInterpolator.hasTemplates(text)) return;
+        const { references, errors } = TextInterpolator.analyze(text);
+        
+        errors.forEach(error => {
+          result.errors.push({
+            level: 'error',
+            message: `Text template error: ${error.message}`,
+            location,
+            fix: 'Check that every {if} has a matching {/if} and placeholders look like ${stat:gold}',
+            details: { index: error.index }
+          });
+        });
+        
+        references.forEach(ref => {
+          const keys = namespaceKeys[ref.namespace];
+          if (keys && !keys.has(ref.key)) {
+            result.warnings.push({
+              level: 'warning',
+              message: `Text references unknown ${ref.namespace} '${ref.key}'`,
+              location,
+              fix: `Define '${ref.key}' or fix the reference`,
+              details: { namespace: ref.namespace, key: ref.key }
+            });
+          }
+        });
+      };
+      
+      context.nodes.forEach((node, nodeId) => {
+        checkText(node.title, `scenes.${nodeId}.title`);
+        checkText(node.content, `scenes.${nodeId}.content`);
+        (node.choices || []).forEach((choice, index) => {
+          checkText(choice?.text, `scenes.${nodeId}.choices.${choice?.id || index}.text`);
+        });
+        (node.dialogue || []).forEach((line, index) => {
+          checkText(line?.text, `scenes.${nodeId}.dialogue.${line?.id || index}.text`);
+        });
+      });
+    });
+  }
+  
+  /**
+   * Every condition and action in scenes, choices, dialogue lines, achievements, recipes, items,
+   * status effects and quests with its location.
+   * Nested conditions are flattened; conditions on actions are included.
+   * @returns {Object} { conditions: [{ condition, location }], actions: [{ action, location }] }
+   */
+  collectLogic(adventure, context) {
+    const conditions = [];
+    const actions = [];
+    
+    const visitConditions = (list, location) => {
+      (Array.isArray(list) ? list : []).forEach(condition => {
+        if (!condition) return;
+        if (Array.isArray(condition.conditions)) {
+          visitConditions(condition.conditions, location);
+        } else {
+          conditions.push({ condition, location });
+        }
+      });
+    };
+    const visitActions = (list, location) => {
+      (Array.isArray(list) ? list : []).forEach(action => {
+        if (!action) return;
+        visitConditions(action.conditions, location);
+        actions.push({ action, location });
+      });
+    };
+    
+    context.nodes.forEach((node, nodeId) => {
+      const location = `scenes.${nodeId}`;
+      visitActions(node.onEnter, location);
+      visitActions(node.onExit, location);
+      (Array.isArray(node.dialogue) ? node.dialogue : []).forEach(line => visitConditions(line?.conditions, location));
+      (node.choices || []).forEach(choice => {
+        if (!choice) return;
+        visitConditions(choice.conditions, location);
+        visitConditions(choice.selectableIf, location);
+        visitConditions(choice.secretConditions, location);
+        (choice.randomBranches || []).forEach(branch => visitConditions(branch?.conditions, location));
+        visitActions(choice.actions, location);
+      });
+      (node.shop?.priceModifiers || []).forEach(modifier => visitConditions(modifier?.conditions, location));
+    });
+    (adventure.achievements || []).filter(a => a?.id).forEach(achievement => {
+      visitConditions(achievement.conditions, `achievements.${achievement.id}`);
+      visitActions(achievement.rewards, `achievements.${achievement.id}`);
+    });
+    (adventure.recipes || []).filter(recipe => recipe?.id).forEach(recipe => {
+      visitConditions(recipe.requirements, `recipes.${recipe.id}`);
+    });
+    (adventure.inventory || []).filter(item => item?.id).forEach(item => {
+      visitConditions(item.requirements, `inventory.${item.id}`);
+      visitActions(getItemActions(item), `inventory.${item.id}`);
+    });
+    (adventure.statusEffects || []).filter(effect => effect?.id).forEach(effect => {
+      visitActions(effect.onTick, `statusEffects.${effect.id}`);
+      visitActions(effect.onExpire, `statusEffects.${effect.id}`);
+    });
+    (adventure.quests || []).filter(quest => quest?.id).forEach(quest => {
+      const location = `quests.${quest.id}`;
+      visitConditions(quest.startWhen, location);
+      visitConditions(quest.failWhen, location);
+      (Array.isArray(quest.objectives) ? quest.objectives : []).forEach(objective => {
+        visitConditions(objective?.completeWhen, location);
+        visitConditions(objective?.failWhen, location);
+      });
+      visitActions(quest.onComplete, location);
+      visitActions(quest.onFail, location);
+    });
+    
+    return { conditions, actions };
+  }
+  
+  /**
+   * Collect every key a text template may legitimately reference
+   */
+  collectInterpolationKeys(adventure, context) {
+    const known = {
+      stats: new Set(context.definedStats),
+      flags: new Set(),
+      items: new Set(),
+      scenes: new Set(context.nodes.keys()),
+      choices: new Set()
+    };
+    
+    (adventure.stats || []).forEach(stat => stat?.id && known.stats.add(stat.id));
+    (adventure.flags || []).forEach(flag => flag?.id && known.flags.add(flag.id));
+    (adventure.inventory || []).forEach(item => item?.id && known.items.add(item.id));
+    
+    const collectActions = (actions) => {
+      if (!Array.isArray(actions)) return;
+      actions.forEach(action => {
+        if (!action?.key) return;
+        if (action.type === 'set_flag' || action.type === 'toggle_flag') {
+          known.flags.add(action.key);
+        } else if (action.type === 'set_stat' || action.type === 'add_stat' || action.type === 'roll') {
+          known.stats.add(action.key);
+        }
+        if (action.type === 'roll' && action.successFlag) {
+          known.flags.add(action.successFlag);
+        }
+      });
+    };
+    
+    context.nodes.forEach(node => {
+      collectActions(node.onEnter);
+      collectActions(node.onExit);
+      (node.choices || []).forEach(choice => {
+        if (!choice) return;
+        if (choice.id) known.choices.add(choice.id);
+        if (choice.inputConfig?.variable) known.stats.add(choice.inputConfig.variable);
+        collectActions(choice.actions);
+      });
+    });
+    
+    return known;
   }
   
   /**
@@ -799,9 +2273,14 @@ class ValidationService {
    * Setup automatic cache cleanup
    */
   setupCacheCleanup() {
-    setInterval(() => {
+    const timer = setInterval(() => {
       this.cleanupCache();
     }, 60000); // Cleanup every minute
+
+    // Don't keep Node processes (tests, headless runs) alive for cache cleanup
+    if (typeof timer?.unref === 'function') {
+      timer.unref();
+    }
   }
   
   /**
@@ -19,17 +19,130 @@
  *   achievements?: Achievement[],
  *   flags?: FlagDefinition[],
  *   categories?: Category[],
- *   metadata?: AdventureMetadata
+ *   metadata?: AdventureMetadata,
+ *   randomSeed?: number | string, // Fixed seed for replayable randomness (random when omitted)
+ *   rewind?: { enabled?: boolean, limit?: number }, // Player undo/rewind; on by default, keeps the newest 100 decision points unless limit says otherwise (0 keeps every one)
+ *   localization?: Localization,
+ *   metaFlags?: MetaFlagDefinition[], // Flags kept in the player profile across playthroughs
+ *   equipmentSlots?: EquipmentSlotDefinition[], // Slots items with a `slot` can be equipped into
+ *   recipes?: RecipeDefinition[], // Crafting: ingredients in, results out
+ *   currencyStat?: string, // Stat shops are paid with unless a shop names its own
+ *   statusEffects?: StatusEffectDefinition[], // Timed buffs and debuffs (add_status / cure_status)
+ *   characters?: CharacterDefinition[], // Recurring NPCs: dialogue speakers with their own stats (character_stat)
+ *   quests?: QuestDefinition[] // Quest journal (start_quest / complete_objective / fail_quest, quest_state)
+ * }
+ * 
+ * ShopDefinition structure (scene.shop; open while the player is in the scene, see engine/ShopManager.js):
+ * {
+ *   id?: string,                // Defaults to the scene id
+ *   name?: string,              // Defaults to the scene title
+ *   description?: string,
+ *   currencyStat?: string,      // Defaults to adventure.currencyStat
+ *   stock: { itemId: string, quantity?: number, price?: number }[], // quantity omitted = unlimited; price defaults to the item value
+ *   buyMultiplier?: number,     // Scales buy prices (default 1)
+ *   sellMultiplier?: number,    // Scales what the shop pays: item value x multiplier (default 0.5)
+ *   priceModifiers?: { conditions: Condition[], buy?: number, sell?: number, label?: string }[], // Extra multipliers while conditions hold
+ *   buys?: string[],            // Item ids the shop buys (default: any item with a value)
+ *   restock?: boolean           // Refill limited stock when the player comes in from another scene (default true)
+ * }
+ * 
+ * RecipeDefinition structure (crafted from the inventory screen or with the craft action):
+ * {
+ *   id: string,
+ *   name: string,
+ *   description?: string,
+ *   ingredients: { itemId: string, quantity?: number }[], // Removed when crafting (quantity defaults to 1)
+ *   results: { itemId: string, quantity?: number }[],     // Added when crafting; nothing changes if they do not fit
+ *   requirements?: Condition[], // e.g. a stat or flag the player needs (AND logic)
+ *   hidden?: boolean            // Listed only once craftable or crafted
+ * }
+ * 
+ * StatusEffectDefinition structure (see engine/StatusEffectManager.js; a turn is one choice):
+ * {
+ *   id: string,                 // e.g. 'poisoned', 'blessed'
+ *   name: string,
+ *   description?: string,
+ *   icon?: string,
+ *   debuff?: boolean,           // Harmful: shown in red
+ *   duration?: number,          // Turns it lasts (omitted = until cured)
+ *   stacking?: 'refresh' | 'extend' | 'stack' | 'ignore', // Applying it again while active (default 'refresh')
+ *   maxStacks?: number,         // stacking 'stack': most stacks at once (default unlimited)
+ *   modifiers?: { stat: string, type: 'add' | 'multiply', value: number }[], // Effective stat changes while active, per stack
+ *   onTick?: Action[],          // Run every turn while active, once per stack (e.g. add_stat health -1)
+ *   onExpire?: Action[]         // Run when the duration runs out (not when cured)
+ * }
+ * 
+ * CharacterDefinition structure (see engine/CharacterManager.js):
+ * {
+ *   id: string,                 // e.g. 'mara' (no dots: stats are addressed as 'mara.trust')
+ *   name: string,
+ *   description?: string,
+ *   portrait?: string,          // Image URL shown next to the character's dialogue
+ *   color?: string,             // CSS colour of the speaker name
+ *   stats?: { id: string, name?: string, defaultValue?: number, min?: number, max?: number, hidden?: boolean }[] // e.g. trust, affection
+ * }
+ * 
+ * DialogueLine structure (scene.dialogue; shown after the scene content, in order):
+ * {
+ *   id: string,                 // Stable within the scene (translation key)
+ *   speaker?: string,           // Character id; omitted = narration
+ *   text: string,               // Supports the same templates as scene content
+ *   conditions?: Condition[]    // Line is only shown while these hold (AND logic)
+ * }
+ * 
+ * QuestDefinition structure (see engine/QuestManager.js; states: inactive -> active -> completed | failed):
+ * {
+ *   id: string,                 // e.g. 'find_cat' (no dots: objectives are addressed as 'find_cat.search_barn')
+ *   name: string,
+ *   description?: string,
+ *   objectives: {
+ *     id: string,
+ *     description: string,
+ *     optional?: boolean,       // Not needed to complete the quest
+ *     completeWhen?: Condition[], // Completes the objective automatically while the quest is active
+ *     failWhen?: Condition[]    // Fails it (failing a required objective fails the quest)
+ *   }[],                        // The quest completes once every required objective is completed
+ *   startWhen?: Condition[],    // Starts the quest automatically
+ *   failWhen?: Condition[],     // Fails the active quest automatically
+ *   onComplete?: Action[],
+ *   onFail?: Action[]
+ * }
+ * 
+ * EquipmentSlotDefinition structure:
+ * {
+ *   id: string,              // e.g. 'head', 'weapon', 'ring'
+ *   name?: string,
+ *   capacity?: number        // Items the slot holds at once (default 1, e.g. 2 for rings)
+ * }
+ * 
+ * MetaFlagDefinition structure (set with set_meta_flag, read with meta_flag conditions):
+ * {
+ *   id: string,
+ *   name?: string,
+ *   description?: string
+ * }
+ * 
+ * Localization structure (see engine/Localization.js for the string IDs):
+ * {
+ *   sourceLocale?: string, // Language the adventure is written in (default 'en')
+ *   translations?: {       // Per-locale string tables; missing entries fall back to the source text
+ *     [locale: string]: { [stringId: string]: string } // e.g. fr: { 'scene.intro.title': 'Bienvenue' }
+ *   }
  * }
  * 
  * Scene structure (Phase 3 Enhanced):
  * {
  *   id: string,
  *   title: string,
- *   content: string,
+ *   content: string,          // Supports ${stat:id} variables and {if ...}{else}{/if} blocks (see TextInterpolator)
  *   choices: Choice[],
  *   onEnter?: Action[],
  *   onExit?: Action[],
+ *   timeLimit?: number,       // Seconds the player has to choose (player settings can extend or disable it)
+ *   defaultChoiceId?: string, // Choice taken when time runs out (default: first selectable choice)
+ *   isEnding?: boolean,       // Recorded in the player profile as an ending (scenes without choices always are)
+ *   shop?: ShopDefinition,    // Items the player can buy and sell here
+ *   dialogue?: DialogueLine[], // Speaker-tagged lines shown after the content
  *   
  *   // Phase 3 additions
  *   tags?: string[],
@@ -44,6 +157,9 @@
  *   id: string,
  *   text: string,
  *   targetSceneId: string,
+ *   randomBranches?: RandomBranch[], // random_branch target: weighted pick replaces targetSceneId
+ *   isCall?: boolean,          // Enter the target as a tunnel; a return choice there comes back to this scene
+ *   isReturn?: boolean,        // Go back to the scene that called this one (targetSceneId: fallback when nothing did)
  *   conditions?: Condition[],
  *   actions?: Action[],
  *   
@@ -70,13 +186,21 @@
  *   type: 'stat' | 'flag' | 'scene_visited' | 'has_item' | 'item_count' | 
  *         'inventory_category' | 'choice_made' | 'choice_made_count' |
  *         'scene_visit_count' | 'total_choices' | 'unique_scenes_visited' |
- *         'inventory_total' | 'inventory_weight' | 'inventory_value',
+ *         'inventory_total' | 'inventory_weight' | 'inventory_value' | 'expression' |
+ *         'meta_flag' | 'ending_seen' | 'playthrough_count' | 'achievement_unlocked' | // Player profile (no key for playthrough_count)
+ *         'item_equipped' | 'slot_filled', // Equipment: key is an item id / a slot id (value compared to the item count)
+ *         'can_craft' | 'crafted_count', // Crafting: key is a recipe id (value true / times crafted this playthrough)
+ *         'has_status', // Status effects: key is a status effect id (value true / false)
+ *         'character_stat', // Characters: key is 'characterId.statId' (value compared to the stat)
+ *         'quest_state', // Quests: key is 'questId' or 'questId.objectiveId' (value 'inactive' | 'active' | 'completed' | 'failed')
  *   operator: 'eq' | '==' | 'ne' | '!=' | 'gt' | '>' | 'gte' | '>=' | 
  *            'lt' | '<' | 'lte' | '<=' | 'contains' | 'not_contains' |
  *            'starts_with' | 'ends_with' | 'matches' | 'in' | 'not_in' |
  *            'between' | 'not_between',
  *   key: string,
  *   value: any,
+ *   expression?: string,      // For type 'expression', e.g. "strength + agility * 2 >= 15 && !flag.cursed"
+ *                             // (operator optional; see ExpressionEvaluator for syntax)
  *   
  *   // Complex condition support
  *   logic?: 'AND' | 'OR' | 'NOT' | 'XOR' | 'NAND' | 'NOR',
@@ -88,18 +212,45 @@
  *   weight?: number          // Importance weight for evaluation
  * }
  * 
+ * RandomBranch structure:
+ * {
+ *   targetSceneId: string,
+ *   weight?: number,           // Relative weight (default 1); chance = weight / sum of eligible weights
+ *   conditions?: Condition[],  // Branch is only eligible when conditions are met
+ *   label?: string             // Editor/validation label
+ * }
+ * 
  * Action structure (Phase 3 Enhanced):
  * {
  *   type: 'set_stat' | 'add_stat' | 'multiply_stat' | 'set_flag' | 'toggle_flag' |
  *         'add_inventory' | 'remove_inventory' | 'set_inventory' |
- *         'add_achievement' | 'unlock_secret' | 'trigger_event',
- *   key: string,
- *   value: any,
+ *         'add_achievement' | 'unlock_secret' | 'trigger_event' | 'roll' | 'set_meta_flag' |
+ *         'equip_item' | 'unequip_item' | 'craft' | 'buy_item' | 'sell_item' | 'go_to_scene' |
+ *         'add_status' | 'cure_status' | 'character_stat' | 'start_quest' | 'complete_objective' | 'fail_quest',
+ *   key: string,             // unlock_secret: choice id; trigger_event: event name; roll: stat that stores the total
+ *                            // set_meta_flag: meta flag id (value defaults to true)
+ *                            // equip_item / unequip_item: item id (equipping into a full slot replaces the oldest item)
+ *                            // craft: recipe id (ingredients and requirements apply; does nothing when they are not met)
+ *                            // buy_item / sell_item: item id, value the quantity (prices, currency and stock apply)
+ *                            // go_to_scene: scene id; the player moves there once the running actions finish
+ *                            // (instead of a choice's target when it is among the choice's actions)
+ *                            // add_status: status effect id, value the duration in turns (omitted = the effect's own, 0 = until cured)
+ *                            // cure_status: status effect id, value the stacks to remove (omitted = all of them)
+ *                            // character_stat: 'characterId.statId', value added (or set with operation 'set')
+ *                            // start_quest / fail_quest: quest id; complete_objective: 'questId.objectiveId'
+ *   value: any,              // trigger_event: payload passed to storyEngine.events listeners; roll: dice such as '2d6 + agility'
+ *   difficulty?: number | string, // roll: success when total >= difficulty (number or expression)
+ *   successFlag?: string,    // roll: flag set to the success result
+ *   shopId?: string,         // buy_item / sell_item: shop to trade with (default: the current scene's)
+ *   operation?: 'add' | 'set', // character_stat: change the stat by value (default) or set it to value
  *   
  *   // Phase 3 additions
  *   conditions?: Condition[], // Only execute if conditions met
- *   probability?: number,     // Chance of execution (0-1)
- *   delay?: number,          // Delay before execution (ms)
+ *   probability?: number,     // Chance of execution (0-1), rolled on the engine's seeded RNG
+ *   delay?: number,          // Delay before execution (ms); survives save/load
+ *   delayTurns?: number,     // Number of choices before execution; survives save/load
+ *   oneTime?: boolean,       // Execute at most once per playthrough (requires id)
+ *   id?: string,
  *   description?: string,    // Human-readable description
  *   category?: string       // Action category
  * }
@@ -121,7 +272,9 @@
  *   precision?: number,      // Decimal places for numbers
  *   noExport?: boolean,      // Exclude from cross-game exports
  *   tags?: string[],         // Organizational tags
- *   dependencies?: string[]  // Stats that affect this stat
+ *   dependencies?: string[], // Stats that affect this stat
+ *   formula?: string         // Computed stat: read-only value derived from an expression
+ *                            // (stats, flag.x, item.x, inventory.weight/total/value), recomputed on every change
  * }
  * 
  * InventoryItemDefinition structure (NEW):
@@ -143,7 +296,12 @@
  *   color?: string,          // Display color
  *   
  *   // Functional properties
- *   effects?: ItemEffect[],  // Effects when used/equipped
+ *   consumable?: boolean,    // Can be used; each use removes one
+ *   usable?: boolean,        // Can be used and is kept (e.g. a map)
+ *   effects?: Action[],      // Run when used, like choice actions (older ItemEffect entries still work)
+ *   usableIn?: string[],     // Scene ids or scene tags the item can be used in (default: anywhere)
+ *   slot?: string,           // Equipment slot id; the item can be equipped into it
+ *   modifiers?: StatModifier[], // Applied to effective stat values only while equipped
  *   requirements?: Condition[], // Requirements to use item
  *   tags?: string[],         // Item tags
  *   
@@ -152,7 +310,15 @@
  *   unique?: boolean        // Only one can exist
  * }
  * 
- * ItemEffect structure (NEW):
+ * StatModifier structure (effective = (base + sum of adds) * product of multipliers):
+ * {
+ *   stat: string,
+ *   type: 'add' | 'multiply',
+ *   value: number
+ * }
+ * 
+ * ItemEffect structure (older item effects; stat_modifier / stat_add add to the target stat,
+ * stat_set and flag_set set it, unlock_choice reveals a secret choice):
  * {
  *   type: 'stat_modifier' | 'flag_set' | 'unlock_choice' | 'unlock_scene' | 'custom',
  *   target?: string,         // Target stat/flag/choice/scene
@@ -189,15 +355,16 @@
  *   category?: string
  * }
  * 
- * Achievement structure (NEW):
+ * Achievement structure (NEW, unlocked at runtime by engine/AchievementManager.js):
  * {
  *   id: string,
  *   name: string,
  *   description: string,
  *   category?: string,
  *   icon?: string,
- *   conditions: Condition[],
- *   rewards?: Action[],      // Actions to execute when achieved
+ *   conditions: Condition[], // All must hold; without conditions or a counter only add_achievement unlocks it
+ *   counter?: { expression: string, target: number }, // Progress, e.g. { expression: 'stat.kills', target: 10 }
+ *   rewards?: Action[],      // Actions to execute when achieved (once; unlocks carry over to later playthroughs)
  *   points?: number,        // Achievement points value
  *   hidden?: boolean,       // Don't show until unlocked
  *   rarity?: 'common' | 'uncommon' | 'rare' | 'epic' | 'legendary'
@@ -263,7 +430,8 @@
  *   contentRating?: string, // Content rating (G, PG, PG-13, etc.)
  *   keywords?: string[],    // Search keywords
  *   previousVersions?: string[], // Previous version IDs
- *   changeLog?: string     // Change log for this version
+ *   changeLog?: string,    // Change log for this version
+ *   twine?: { ifid, format, formatVersion } // Kept by the Twee importer so re-exports reuse the IFID
  * }
  */
 
@@ -21,6 +21,16 @@
  *   secretChoicesAvailable: string[],         // NEW: Permanently unlocked secret choices
  *   inventory: InventoryItem[],               // NEW: Player inventory
  *   inventoryState: InventoryState,           // NEW: Inventory metadata
+ *   equipment?: Record<string, string[]>,     // Equipped item ids per equipment slot
+ *   crafted?: Record<string, number>,         // Times each recipe was crafted
+ *   shops?: Record<string, Record<string, number>>, // Remaining limited stock per shop scene and item
+ *   statusEffects?: { id: string, stacks: number, remaining: number | null }[], // Active status effects (remaining null = until cured)
+ *   characters?: Record<string, Record<string, number>>, // Relationship stat values per character
+ *   quests?: { id: string, state: string, objectives: Record<string, string> }[], // Started quests in start order
+ *   pendingActions?: PendingAction[],         // Delayed actions not yet fired
+ *   rngState?: { seed: number, state: number }, // Seeded RNG position so reloads don't re-roll
+ *   callStack?: { sceneId: string, choiceId: string }[], // Tunnel callers a return choice goes back to (innermost last)
+ *   choiceTimer?: { sceneId: string, remainingMs: number } | null, // Time left in a timed scene
  *   achievements: Achievement[],              // NEW: Unlocked achievements
  *   
  *   // Analytics and export data
@@ -45,9 +55,18 @@
  *   wasSecret?: boolean,      // NEW: Was this a secret choice
  *   wasLocked?: boolean,      // NEW: Was this choice previously locked
  *   executionTime?: number,   // NEW: Time taken to make choice
+ *   timedOut?: boolean,       // Made automatically when a timed scene ran out of time
  *   contextData?: any        // NEW: Additional context data
  * }
  * 
+ * PendingAction structure:
+ * {
+ *   action: Action,                 // The queued action (conditions/probability checked when it fires)
+ *   sceneId: string | null,         // Scene that queued it
+ *   remainingMs: number | null,     // Real time left for `delay` actions
+ *   turnsRemaining: number | null   // Choices left for `delayTurns` actions
+ * }
+ * 
  * SecretDiscovery structure (NEW):
  * {
  *   choiceId: string,
@@ -30,6 +30,9 @@ export class ErrorLogger {
   }
 
   setupGlobalHandlers() {
+    // Node (tests, headless playthroughs) has no window to listen on
+    if (typeof window === 'undefined') return;
+
     // Global error handler
     window.addEventListener('error', (event) => {
       this.logError({
@@ -68,8 +71,8 @@ export class ErrorLogger {
       filename: errorData.filename,
       lineno: errorData.lineno,
       colno: errorData.colno,
-      url: window.location.href,
-      userAgent: navigator.userAgent,
+      url: typeof window !== 'undefined' ? window.location?.href : undefined,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : undefined,
       context: this.sanitizeContext(context),
       severity: this.determineSeverity(errorData),
       category: this.categorizeError(errorData)
@@ -229,6 +232,7 @@ export class ErrorLogger {
   }
 
   loadLogsFromStorage() {
+    if (typeof localStorage === 'undefined') return;
     try {
       const stored = localStorage.getItem('error_logs');
       if (stored) {
@@ -246,6 +250,7 @@ export class ErrorLogger {
   }
 
   saveLogsToStorage() {
+    if (typeof localStorage === 'undefined') return;
     try {
       // Only save recent logs to prevent storage bloat
       const recentLogs = this.logs.slice(0, 50);
@@ -0,0 +1,27 @@
+/**
+ * quietConsole.js - Mute console output around synchronous work
+ *
+ * Simulated play (StateSpaceExplorer, PlaythroughRunner) drives a StoryEngine that logs
+ * every step. The console is process-wide, so muting is scoped to one synchronous call:
+ * keeping it muted across an await would swallow the output of whatever else runs
+ * meanwhile (other tests, error logging).
+ */
+
+const QUIET_METHODS = ['log', 'info', 'warn', 'error'];
+
+/**
+ * Call fn with console.log/info/warn/error muted
+ * @param {Function} fn - Synchronous; the part of an async function after its first await is not muted
+ * @returns {*} What fn returns
+ */
+export function withQuietConsole(fn) {
+  const original = QUIET_METHODS.map(method => console[method]);
+  QUIET_METHODS.forEach(method => { console[method] = () => {}; });
+  try {
+    return fn();
+  } finally {
+    QUIET_METHODS.forEach((method, index) => { console[method] = original[index]; });
+  }
+}
+
+export default withQuietConsole;
@@ -2,6 +2,8 @@
 import { validationService } from '../services/ValidationService.js';
 import compatibilityChecker from './compatibilityChecker.js';
 import { logError, logWarning, logInfo } from './errorLogger.js';
+import { ExpressionEvaluator } from '../engine/ExpressionEvaluator.js';
+import { CONDITION_TYPES, CONDITION_OPERATORS, KEYLESS_CONDITION_TYPES } from '../engine/ConditionParser.js';
 
 // Enhanced adventure validation with graceful degradation and recovery
 // Now delegates to ValidationService for consistency
@@ -799,6 +801,8 @@ export function validateSaveData(save) {
   if (save.inventoryState && !validateInventoryMetadata(save.inventoryState)) return false;
   if (save.secretsDiscovered && !validateSecretsDiscovered(save.secretsDiscovered)) return false;
   if (save.secretChoicesAvailable && !Array.isArray(save.secretChoicesAvailable)) return false;
+  if (save.pendingActions && !Array.isArray(save.pendingActions)) return false;
+  if (save.rngState && (typeof save.rngState !== 'object' || typeof save.rngState.state !== 'number')) return false;
   if (save.achievements && !validateAchievementProgress(save.achievements)) return false;
   if (save.exportableData && !validateExportableData(save.exportableData)) return false;
   if (save.gameplayMetrics && !validateGameplayMetrics(save.gameplayMetrics)) return false;
@@ -836,14 +840,14 @@ export function validateInventoryItems(inventory) {
   });
 }
 
-// Item effects validation
+// Item effects validation: actions (see ACTION_TYPES) or the older effect types
 function validateItemEffects(effects) {
   if (!Array.isArray(effects)) return false;
   
   return effects.every(effect => {
     if (!effect || typeof effect !== 'object') return false;
     
-    const validTypes = ['stat_modifier', 'flag_set', 'unlock_choice', 'unlock_scene', 'custom'];
+    const validTypes = ['stat_modifier', 'stat_add', 'stat_set', 'flag_set', 'unlock_choice', 'unlock_scene', 'custom', ...ACTION_TYPES];
     if (!validTypes.includes(effect.type)) return false;
     
     if (effect.duration !== undefined && typeof effect.duration !== 'number') return false;
@@ -924,33 +928,34 @@ export function validateConditions(conditions) {
       return validateConditions(condition.conditions);
     }
     
+    // Expression conditions only need a parseable expression
+    if (condition.type === 'expression') {
+      return ExpressionEvaluator.validate(condition.expression).valid;
+    }
+    
     // Simple condition validation
     const required = ['type', 'operator'];
     if (!required.every(field => field in condition)) return false;
     
-    const validTypes = [
-      'stat', 'flag', 'scene_visited', 'has_item', 'item_count',
-      'inventory_category', 'choice_made', 'choice_made_count',
-      'scene_visit_count', 'total_choices', 'unique_scenes_visited',
-      'inventory_total', 'inventory_weight', 'inventory_value'
-    ];
-    if (!validTypes.includes(condition.type)) return false;
-    
-    const validOperators = [
-      'eq', '==', 'ne', '!=', 'gt', '>', 'gte', '>=', 'lt', '<', 'lte', '<=',
-      'contains', 'not_contains', 'starts_with', 'ends_with', 'matches',
-      'in', 'not_in', 'between', 'not_between'
-    ];
-    if (!validOperators.includes(condition.operator)) return false;
+    // Same lists as ConditionParser.validateCondition
+    if (!CONDITION_TYPES.includes(condition.type)) return false;
+    if (!CONDITION_OPERATORS.includes(condition.operator)) return false;
     
     // Key is required for most condition types
-    const keylessTypes = ['total_choices', 'unique_scenes_visited'];
-    if (!keylessTypes.includes(condition.type) && !condition.key) return false;
+    if (!KEYLESS_CONDITION_TYPES.includes(condition.type) && !condition.key) return false;
     
     return true;
   });
 }
 
+const ACTION_TYPES = [
+  'set_stat', 'add_stat', 'multiply_stat', 'set_flag', 'toggle_flag',
+  'add_inventory', 'remove_inventory', 'set_inventory',
+  'add_achievement', 'unlock_secret', 'trigger_event', 'roll',
+  'set_meta_flag', 'equip_item', 'unequip_item', 'craft', 'buy_item', 'sell_item', 'go_to_scene',
+  'add_status', 'cure_status', 'character_stat', 'start_quest', 'complete_objective', 'fail_quest'
+];
+
 // Enhanced action validation
 export function validateActions(actions) {
   if (!Array.isArray(actions)) return false;
@@ -961,17 +966,13 @@ export function validateActions(actions) {
     const required = ['type', 'key'];
     if (!required.every(field => field in action)) return false;
     
-    const validTypes = [
-      'set_stat', 'add_stat', 'multiply_stat', 'set_flag', 'toggle_flag',
-      'add_inventory', 'remove_inventory', 'set_inventory',
-      'add_achievement', 'unlock_secret', 'trigger_event'
-    ];
-    if (!validTypes.includes(action.type)) return false;
+    if (!ACTION_TYPES.includes(action.type)) return false;
     
     // Phase 3 action properties
     if (action.conditions && !validateConditions(action.conditions)) return false;
     if (action.probability !== undefined && (typeof action.probability !== 'number' || action.probability < 0 || action.probability > 1)) return false;
     if (action.delay !== undefined && typeof action.delay !== 'number') return false;
+    if (action.delayTurns !== undefined && (!Number.isInteger(action.delayTurns) || action.delayTurns < 0)) return false;
     
     return true;
   });
@@ -0,0 +1,199 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import { collectStrings } from '../src/engine/Localization.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'mine',
+  title: 'The Mine',
+  startSceneId: 'entrance',
+  stats: [
+    { id: 'ore', name: 'ore', type: 'number', defaultValue: 0 },
+    { id: 'gold', name: 'gold', type: 'number', defaultValue: 0 }
+  ],
+  achievements: [
+    {
+      id: 'deep_diver',
+      name: 'Deep Diver',
+      description: 'Reach the bottom of the mine',
+      conditions: [{ type: 'scene_visited', key: 'bottom', operator: 'eq', value: true }],
+      rewards: [{ type: 'add_stat', key: 'gold', value: 5 }],
+      points: 10
+    },
+    {
+      id: 'prospector',
+      name: 'Prospector',
+      description: 'Dig up 3 ore',
+      conditions: [],
+      counter: { expression: 'stat.ore', target: 3 }
+    },
+    {
+      id: 'canary',
+      name: 'Canary',
+      description: 'Listen to the canary',
+      conditions: [{ type: 'choice_made', key: 'listen', operator: 'eq', value: true }],
+      hidden: true
+    },
+    { id: 'lucky_strike', name: 'Lucky Strike', description: 'Found by a story event', conditions: [] }
+  ],
+  scenes: [
+    {
+      id: 'entrance',
+      title: 'Entrance',
+      content: 'A dark shaft.',
+      choices: [
+        { id: 'dig', text: 'Dig', targetSceneId: 'entrance', isFake: true, actions: [{ type: 'add_stat', key: 'ore', value: 1 }] },
+        { id: 'listen', text: 'Listen to the canary', targetSceneId: 'entrance', isFake: true },
+        { id: 'descend', text: 'Descend', targetSceneId: 'bottom' }
+      ]
+    },
+    {
+      id: 'bottom',
+      title: 'Bottom',
+      content: 'A glittering vein.',
+      onEnter: [{ type: 'add_achievement', key: 'lucky_strike' }],
+      choices: []
+    }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const unlockedIds = engine => engine.getUnlockedAchievements().map(entry => entry.id);
+
+test('conditions unlock achievements after a state change, announce them and run their rewards', async () => {
+  localStorage.clear();
+  const engine = await createEngine();
+  const unlocked = [];
+  engine.events.on('achievementUnlocked', ({ achievement, source }) => unlocked.push([achievement.id, source]));
+
+  assert.deepEqual(unlockedIds(engine), []);
+  engine.makeChoice('listen');
+  engine.makeChoice('descend');
+
+  assert.deepEqual(unlocked, [['canary', 'conditions'], ['lucky_strike', 'action'], ['deep_diver', 'conditions']]);
+  assert.equal(engine.getStatsManager().getStat('gold'), 5);
+  assert.deepEqual(engine.getSecretsDiscovered(), []);
+});
+
+test('an unlock is announced before its rewards run', async () => {
+  localStorage.clear();
+  const adventure = createAdventure();
+  adventure.achievements[0].rewards.push({ type: 'add_achievement', key: 'lucky_strike' });
+  adventure.scenes[1].onEnter = [];
+  const engine = await createEngine(adventure);
+  const announced = [];
+  engine.events.on('achievementUnlocked', ({ achievement }) => {
+    announced.push([achievement.id, engine.getStatsManager().getStat('gold')]);
+  });
+
+  engine.makeChoice('descend');
+
+  // The reward's gold and the unlock it causes come after deep_diver's announcement
+  assert.deepEqual(announced, [['deep_diver', 0], ['lucky_strike', 5]]);
+});
+
+test('counters report progress and unlock at their target', async () => {
+  localStorage.clear();
+  const engine = await createEngine();
+  const progress = [];
+  engine.events.on('achievementProgress', ({ id, value, target }) => progress.push([id, value, target]));
+
+  engine.makeChoice('dig');
+  engine.makeChoice('dig');
+  const prospector = engine.getAchievements().find(achievement => achievement.id === 'prospector');
+  assert.equal(prospector.unlocked, false);
+  assert.equal(prospector.progress, 2 / 3);
+
+  engine.makeChoice('dig');
+  assert.deepEqual(progress, [['prospector', 1, 3], ['prospector', 2, 3], ['prospector', 3, 3]]);
+  assert.equal(engine.achievementManager.isUnlocked('prospector'), true);
+  assert.equal(engine.achievementManager.getProgress('prospector'), 1);
+
+  // Hidden achievements are listed once unlocked
+  assert.ok(!engine.getAchievements().some(achievement => achievement.id === 'canary'));
+  engine.makeChoice('listen');
+  assert.ok(engine.getAchievements().some(achievement => achievement.id === 'canary' && achievement.unlocked));
+});
+
+test('unlocks carry over to later playthroughs and survive rewinds without being announced again', async () => {
+  localStorage.clear();
+  const first = await createEngine();
+  first.makeChoice('listen');
+  first.undoLastChoice();
+  assert.deepEqual(unlockedIds(first), ['canary']);
+
+  const second = await createEngine();
+  const announced = [];
+  second.events.on('achievementUnlocked', ({ achievement }) => announced.push(achievement.id));
+  second.makeChoice('listen');
+  assert.deepEqual(unlockedIds(second), ['canary']);
+  assert.deepEqual(announced, []);
+
+  // Another adventure keeps its own unlocks
+  const other = await createEngine({ ...createAdventure(), id: 'other_mine' });
+  assert.deepEqual(unlockedIds(other), []);
+});
+
+test('saves carry unlocks to another browser', async () => {
+  localStorage.clear();
+  const engine = await createEngine();
+  engine.makeChoice('descend');
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.achievements.map(entry => entry.id), ['lucky_strike', 'deep_diver']);
+  assert.equal(typeof saveData.achievements[0].unlockedTimestamp, 'number');
+  assert.deepEqual(saveData.exportableData.achievements, ['lucky_strike', 'deep_diver']);
+
+  localStorage.clear();
+  const restored = await createEngine();
+  assert.deepEqual(unlockedIds(restored), []);
+  restored.loadFromSave(saveData);
+  assert.deepEqual(unlockedIds(restored), ['lucky_strike', 'deep_diver']);
+  // The reward was given when the achievement unlocked; loading doesn't give it again
+  assert.equal(restored.getStatsManager().getStat('gold'), saveData.stats.gold);
+});
+
+test('achievement text is translatable', async () => {
+  localStorage.clear();
+  const adventure = {
+    ...createAdventure(),
+    localization: { sourceLocale: 'en', translations: { fr: { 'achievement.deep_diver.name': 'Plongeur' } } }
+  };
+  assert.ok(collectStrings(adventure).some(entry => entry.id === 'achievement.prospector.description'));
+
+  const engine = await createEngine(adventure);
+  engine.setLocale('fr');
+  const names = engine.getAchievements().map(achievement => achievement.name);
+  assert.deepEqual(names, ['Plongeur', 'Prospector', 'Lucky Strike']);
+});
+
+test('ValidationService reports broken counters, unknown awards and unreachable achievements', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+  adventure.achievements.push(
+    { id: 'broken', name: 'Broken', conditions: [], counter: { expression: 'stat.ore +', target: 0 } },
+    { id: 'orphan', name: 'Orphan', conditions: [] }
+  );
+  adventure.scenes[0].onEnter = [{ type: 'add_achievement', key: 'missing' }];
+
+  const result = await service.validate(adventure);
+  const messages = [...result.errors, ...result.warnings]
+    .filter(issue => /achievement/i.test(issue.message))
+    .map(issue => issue.message);
+
+  assert.ok(messages.includes("Action awards unknown achievement 'missing'"));
+  assert.ok(messages.some(message => message.startsWith("Counter of achievement 'broken' is invalid")));
+  assert.ok(messages.includes("Counter of achievement 'broken' has invalid target '0'"));
+  assert.ok(messages.includes("Achievement 'orphan' can never be unlocked"));
+  assert.ok(!messages.some(message => /'lucky_strike'|'prospector'|'deep_diver'/.test(message)));
+});
@@ -0,0 +1,215 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+import { findCharacterAppearances } from '../src/engine/CharacterManager.js';
+import { collectStrings, mergeTranslations } from '../src/engine/Localization.js';
+
+const createAdventure = () => ({
+  id: 'characters',
+  title: 'Characters',
+  startSceneId: 'gate',
+  stats: [{ id: 'gold', name: 'Gold', type: 'number', defaultValue: 5 }],
+  characters: [
+    {
+      id: 'mara',
+      name: 'Mara',
+      portrait: 'mara.png',
+      color: '#7c3aed',
+      stats: [
+        { id: 'trust', name: 'Trust', defaultValue: 2, min: 0, max: 10 },
+        { id: 'debt', name: 'Debt', defaultValue: 0, hidden: true }
+      ]
+    },
+    { id: 'guard', name: 'Guard' }
+  ],
+  scenes: [
+    {
+      id: 'gate',
+      title: 'Gate',
+      content: 'The gate is shut.',
+      dialogue: [
+        { id: 'halt', speaker: 'guard', text: 'Halt!' },
+        { id: 'wind', text: 'The wind howls.' },
+        {
+          id: 'vouch',
+          speaker: 'mara',
+          text: 'He is with me.',
+          conditions: [{ type: 'character_stat', key: 'mara.trust', operator: 'gte', value: 5 }]
+        }
+      ],
+      choices: [
+        {
+          id: 'help',
+          text: 'Help Mara',
+          targetSceneId: 'gate',
+          actions: [{ type: 'character_stat', key: 'mara.trust', value: 3 }]
+        },
+        {
+          id: 'enter',
+          text: 'Enter',
+          targetSceneId: 'town',
+          conditions: [{ type: 'character_stat', key: 'mara.trust', operator: 'gte', value: 5 }]
+        },
+        {
+          id: 'betray',
+          text: 'Betray Mara',
+          targetSceneId: 'gate',
+          actions: [{ type: 'character_stat', key: 'mara.trust', value: -20 }]
+        }
+      ]
+    },
+    {
+      id: 'town',
+      title: 'Town',
+      content: 'Inside at last.',
+      onEnter: [{ type: 'character_stat', key: 'mara.trust', value: 10, operation: 'set' }],
+      choices: []
+    }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const choiceIds = engine => engine.getCurrentChoices()
+  .filter(choice => choice.evaluation.isVisible)
+  .map(choice => choice.id);
+
+test('dialogue lines come with their speaker and follow their conditions', async () => {
+  const engine = await createEngine();
+
+  assert.deepEqual(engine.getCurrentDialogue(), [
+    { id: 'halt', text: 'Halt!', speaker: { id: 'guard', name: 'Guard', portrait: '', color: '' } },
+    { id: 'wind', text: 'The wind howls.', speaker: null }
+  ]);
+
+  engine.makeChoice('help');
+  assert.deepEqual(engine.getCurrentDialogue().map(line => [line.id, line.speaker?.name ?? null]),
+    [['halt', 'Guard'], ['wind', null], ['vouch', 'Mara']]);
+  assert.equal(engine.getCurrentDialogue()[2].speaker.portrait, 'mara.png');
+});
+
+test('character_stat actions change, set and clamp character stats; conditions read them', async () => {
+  const engine = await createEngine();
+  const characters = engine.characterManager;
+
+  assert.equal(characters.getStat('mara.trust'), 2);
+  assert.deepEqual(choiceIds(engine), ['help', 'betray']);
+
+  engine.makeChoice('help');
+  assert.equal(characters.getStat('mara.trust'), 5);
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'character_stat', key: 'mara.trust', operator: 'eq', value: 5 }), true);
+  assert.deepEqual(choiceIds(engine), ['help', 'enter', 'betray']);
+  assert.equal(engine.describeAction({ type: 'character_stat', key: 'mara.trust', value: 3 }), "Mara's Trust +3");
+
+  engine.makeChoice('betray');
+  assert.equal(characters.getStat('mara.trust'), 0);
+  engine.makeChoice('help');
+  engine.makeChoice('help');
+  engine.makeChoice('enter');
+  assert.equal(characters.getStat('mara.trust'), 10);
+
+  // The player's own stats are untouched; hidden character stats stay out of the panel
+  assert.deepEqual(engine.getStatsManager().getAllStats(), { gold: 5 });
+  assert.deepEqual(engine.getCharacters().find(character => character.id === 'mara').stats.map(stat => [stat.id, stat.value]), [['trust', 10]]);
+
+  assert.equal(characters.addToStat('mara.charm', 1).success, false);
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'character_stat', key: 'nobody.trust', operator: 'eq', value: 0 }), false);
+});
+
+test('character_stat actions log as character outcomes and their conditions validate', async () => {
+  const engine = await createEngine();
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  try {
+    engine.executeActions([{ type: 'character_stat', key: 'mara.trust', value: 1 }]);
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(logged.includes("StoryEngine: Character: Mara's Trust is now 3"), JSON.stringify(logged));
+  const condition = { type: 'character_stat', key: 'mara.trust', operator: 'gte', value: 5 };
+  assert.deepEqual(engine.conditionParser.validateCondition(condition), { valid: true });
+  assert.equal(engine.conditionParser.getConditionDescription(condition), 'Character stat "mara.trust" greater than or equal 5');
+});
+
+test('character stats survive save/load and rewinding', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('help');
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.characters, { mara: { trust: 5, debt: 0 }, guard: {} });
+
+  const restored = await createEngine();
+  restored.loadFromSave(saveData);
+  assert.equal(restored.characterManager.getStat('mara.trust'), 5);
+  assert.deepEqual(choiceIds(restored), ['help', 'enter', 'betray']);
+
+  engine.makeChoice('betray');
+  engine.undoLastChoice();
+  assert.equal(engine.characterManager.getStat('mara.trust'), 5);
+});
+
+test('dialogue and characters are translatable, and appearances are found per scene', async () => {
+  const adventure = createAdventure();
+  const ids = collectStrings(adventure).map(entry => entry.id);
+  assert.ok(ids.includes('dialogue.gate.halt.text'));
+  assert.ok(ids.includes('character.mara.name'));
+  assert.ok(ids.includes('characterStat.mara.trust.name'));
+
+  const engine = await createEngine(mergeTranslations(adventure, 'fr', {
+    'dialogue.gate.halt.text': 'Halte !',
+    'character.guard.name': 'Garde',
+    'characterStat.mara.trust.name': 'Confiance'
+  }));
+  engine.setLocale('fr');
+  assert.deepEqual(engine.getCurrentDialogue()[0], { id: 'halt', text: 'Halte !', speaker: { id: 'guard', name: 'Garde', portrait: '', color: '' } });
+  assert.equal(engine.getCharacters()[0].stats[0].name, 'Confiance');
+
+  assert.deepEqual(findCharacterAppearances(adventure, 'mara'), [
+    { sceneId: 'gate', sceneTitle: 'Gate', dialogue: 1, conditions: 2, actions: 2 },
+    { sceneId: 'town', sceneTitle: 'Town', dialogue: 0, conditions: 0, actions: 1 }
+  ]);
+  assert.deepEqual(findCharacterAppearances(adventure, 'guard'), [
+    { sceneId: 'gate', sceneTitle: 'Gate', dialogue: 1, conditions: 0, actions: 0 }
+  ]);
+});
+
+test('ValidationService checks characters, speakers and character_stat keys', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+
+  const clean = await service.validate(adventure);
+  assert.ok(clean.errors.every(error => !/character|dialogue/i.test(error.message)), JSON.stringify(clean.errors));
+  assert.ok(clean.warnings.every(warning => !/character|dialogue/i.test(warning.message)), JSON.stringify(clean.warnings));
+
+  adventure.characters.push({ id: 'guard', name: 'Second guard' }, { id: 'old.man', name: 'Old man' });
+  adventure.scenes[0].dialogue.push({ id: 'ghost', speaker: 'ghost', text: 'Boo' }, { id: 'halt', speaker: 'guard', text: '' });
+  adventure.scenes[1].choices.push({
+    id: 'chat',
+    text: 'Chat',
+    targetSceneId: 'gate',
+    actions: [{ type: 'character_stat', key: 'mara.love', value: 1 }],
+    conditions: [{ type: 'character_stat', key: 'mara', operator: 'gt', value: 0 }]
+  });
+
+  const result = await service.validate(adventure);
+  const errors = result.errors.map(error => error.message);
+  const warnings = result.warnings.map(warning => warning.message);
+  assert.ok(errors.includes("Duplicate character 'guard'"));
+  assert.ok(errors.includes("Character id 'old.man' contains a dot"));
+  assert.ok(errors.includes("Dialogue line is spoken by unknown character 'ghost'"));
+  assert.ok(errors.includes("Action character_stat references unknown character stat 'mara.love'"));
+  assert.ok(errors.includes("Condition references unknown character stat 'mara'"));
+  assert.ok(warnings.includes('Dialogue line has no text and is never shown'));
+  assert.ok(warnings.includes("Duplicate dialogue line id 'halt'; its translations are shared"));
+});
@@ -0,0 +1,389 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importAdventureFromChoiceScript } from '../src/editor/importers/ChoiceScriptImporter.js';
+import { buildChoiceScriptFiles } from '../src/editor/exporters/ChoiceScriptExporter.js';
+
+const GAME = {
+  'startup.txt': `*title The Keep
+*author Test Author
+*scene_list
+  startup
+  gate
+  hall
+
+*create strength 3
+*create name "Ash"
+*create has_key false
+*create gold 10
+
+*comment the player names themselves first
+You wake before the keep, \${name}.
+
+*input_text name
+*goto_scene gate
+`,
+  'gate.txt': `*label gate
+The gate looms.
+*if strength > 5
+  You could force it.
+*else
+  It looks solid.
+
+*choice
+  #Force the gate
+    *set strength -1
+    *goto inside
+  *if (has_key) #Unlock it
+    *goto_scene hall
+  *selectable_if (gold >= 20) #Bribe the guard
+    *set gold -20
+    *finish
+  *disable_reuse #Search for a key
+    You find a rusty key.
+    *set has_key true
+    *goto gate
+  #Count your gold
+    *input_number gold 0 100
+    *goto gate
+  *if not(has_key)
+    #Knock
+      *gosub knock
+      *goto gate
+
+*label inside
+*set strength %+10
+You are inside. $!{name} grins. @{has_key open|locked}
+*finish
+`,
+  'hall.txt': `The hall is vast.
+*fake_choice
+  #Look around
+  #Wait
+    *set gold +1
+The end comes.
+*ending
+`
+};
+
+const createAdventure = () => ({
+  id: 'mill',
+  title: 'The Mill',
+  author: 'Test Author',
+  startSceneId: 'yard',
+  stats: [
+    { id: 'flour', name: 'Flour', type: 'number', defaultValue: 2 },
+    { id: 'miller', name: 'Miller', type: 'string', defaultValue: 'Bo' }
+  ],
+  scenes: [
+    {
+      id: 'yard',
+      title: 'Yard',
+      content: 'The wheel turns.\n\nSacks of flour: ${flour}.',
+      choices: [
+        { id: 'enter', text: 'Enter the mill', targetSceneId: 'mill_floor' },
+        { id: 'name', text: 'Greet the miller', targetSceneId: 'yard', inputType: 'input_text', inputConfig: { variable: 'miller' } },
+        { id: 'count', text: 'Count sacks', targetSceneId: 'yard', inputType: 'input_number', inputConfig: { variable: 'flour', min: 0, max: 9 } }
+      ]
+    },
+    {
+      id: 'mill_floor',
+      title: 'Mill floor',
+      content: 'Dust everywhere.',
+      choices: [
+        { id: 'back', text: 'Back outside', targetSceneId: 'yard' },
+        { id: 'loft', text: 'Climb to the loft', targetSceneId: 'loft' }
+      ]
+    },
+    { id: 'loft', title: 'Loft', content: 'You sleep in the hay.', choices: [] }
+  ]
+});
+
+test('ChoiceScript import maps variables, scenes, labels and choices', () => {
+  const { adventure } = importAdventureFromChoiceScript(GAME);
+
+  assert.equal(adventure.title, 'The Keep');
+  assert.equal(adventure.author, 'Test Author');
+  assert.equal(adventure.startSceneId, 'startup');
+  assert.deepEqual(adventure.stats.map(stat => [stat.id, stat.type, stat.defaultValue]), [
+    ['strength', 'number', 3],
+    ['name', 'string', 'Ash'],
+    ['gold', 'number', 10]
+  ]);
+  assert.deepEqual(adventure.flags, [{ id: 'has_key', name: 'has_key', defaultValue: false }]);
+  assert.deepEqual(adventure.scenes.map(scene => scene.id), [
+    'startup', 'gate', 'gate_option_4', 'gate_option_6', 'gate_inside', 'hall', 'hall_continued'
+  ]);
+
+  const scene = id => adventure.scenes.find(entry => entry.id === id);
+
+  const startup = scene('startup');
+  assert.equal(startup.content, 'You wake before the keep, ${stat:name}.');
+  assert.deepEqual(startup.choices.map(choice => [choice.text, choice.targetSceneId, choice.inputType]), [['Continue', 'gate', 'input_text']]);
+  assert.deepEqual(startup.choices[0].inputConfig, { variable: 'name' });
+
+  const gate = scene('gate');
+  assert.equal(gate.content, 'The gate looms.\n{if stat:strength > 5}You could force it.{else}It looks solid.{/if}');
+  assert.deepEqual(gate.choices.map(choice => [choice.text, choice.targetSceneId]), [
+    ['Force the gate', 'gate_inside'],
+    ['Unlock it', 'hall'],
+    ['Bribe the guard', 'hall'],
+    ['Search for a key', 'gate_option_4'],
+    ['Count your gold', 'gate'],
+    ['Knock', 'gate_option_6']
+  ]);
+  const [force, unlock, bribe, search, count, knock] = gate.choices;
+  assert.deepEqual(force.actions, [{ type: 'add_stat', key: 'strength', value: -1 }]);
+  assert.deepEqual(unlock.conditions, [{ type: 'flag', key: 'has_key', operator: '==', value: true }]);
+  assert.deepEqual(bribe.requirements, [{ type: 'stat', key: 'gold', operator: '>=', value: 20 }]);
+  assert.deepEqual(bribe.actions, [{ type: 'add_stat', key: 'gold', value: -20 }]);
+  assert.equal(search.oneTime, true);
+  assert.deepEqual(count.inputConfig, { variable: 'gold', min: 0, max: 100 });
+  assert.deepEqual(knock.conditions, [{ type: 'flag', key: 'has_key', operator: '==', value: false }]);
+
+  const searching = scene('gate_option_4');
+  assert.equal(searching.content, 'You find a rusty key.');
+  assert.deepEqual(searching.onEnter, [{ type: 'set_flag', key: 'has_key', value: true }]);
+  assert.deepEqual(searching.choices.map(choice => choice.targetSceneId), ['gate']);
+
+  assert.deepEqual(scene('gate_inside').choices.map(choice => choice.targetSceneId), ['hall']);
+
+  const hall = scene('hall');
+  assert.deepEqual(hall.choices.map(choice => [choice.text, choice.targetSceneId]), [
+    ['Look around', 'hall_continued'],
+    ['Wait', 'hall_continued']
+  ]);
+  assert.deepEqual(hall.choices[1].actions, [{ type: 'add_stat', key: 'gold', value: 1 }]);
+  assert.equal(scene('hall_continued').content, 'The end comes.');
+  assert.deepEqual(scene('hall_continued').choices, []);
+});
+
+test('ChoiceScript import reports unsupported constructs with file and line', () => {
+  const { report, warnings } = importAdventureFromChoiceScript(GAME);
+
+  assert.deepEqual(report.map(entry => [entry.file, entry.line]), [
+    ['gate.txt', 26],
+    ['gate.txt', 30],
+    ['gate.txt', 31],
+    ['gate.txt', 31]
+  ]);
+  assert.deepEqual(warnings, [
+    'gate.txt (line 26): *gosub is not supported; skipped.',
+    'gate.txt (line 30): fairmath (*set strength %+10) is not supported; skipped.',
+    'gate.txt (line 31): $!{name} capitalization is not supported; imported as ${name}.',
+    'gate.txt (line 31): multireplace @{...} is not supported; left as text.'
+  ]);
+
+  assert.throws(() => importAdventureFromChoiceScript({ 'gate.txt': GAME['gate.txt'] }), /startup\.txt not found/);
+});
+
+test('ChoiceScript export round-trips through the importer', () => {
+  const original = createAdventure();
+  const { files } = buildChoiceScriptFiles(original);
+  const { adventure, warnings } = importAdventureFromChoiceScript(files);
+
+  assert.deepEqual(warnings, []);
+  assert.equal(adventure.title, original.title);
+  assert.equal(adventure.author, original.author);
+  assert.equal(adventure.startSceneId, 'yard');
+  assert.deepEqual(adventure.stats.map(stat => [stat.id, stat.type, stat.defaultValue]), [
+    ['flour', 'number', 2],
+    ['miller', 'string', 'Bo']
+  ]);
+
+  assert.deepEqual(adventure.scenes.map(scene => scene.id), original.scenes.map(scene => scene.id));
+  // ${flour} comes back in its explicit ${stat:flour} form
+  assert.equal(adventure.scenes[0].content, 'The wheel turns.\n\nSacks of flour: ${stat:flour}.');
+  assert.equal(adventure.scenes[2].content, original.scenes[2].content);
+  adventure.scenes.forEach((scene, index) => {
+    const source = original.scenes[index];
+    assert.deepEqual(
+      scene.choices.map(choice => [choice.text, choice.targetSceneId, choice.inputType, choice.inputConfig]),
+      source.choices.map(choice => [choice.text, choice.targetSceneId, choice.inputType, choice.inputConfig])
+    );
+  });
+});
+
+test('An imported ChoiceScript game exports back with its startup file intact', () => {
+  const first = importAdventureFromChoiceScript(GAME);
+  const { files } = buildChoiceScriptFiles(first.adventure);
+
+  // The imported 'startup' scene gets its own file instead of replacing the generated startup.txt
+  assert.match(files['startup.txt'], /^\*title The Keep\n/);
+  assert.match(files['startup.txt'], /\*create strength 3\n\*create name "Ash"\n\*create gold 10\n\*create has_key false\n/);
+  assert.match(files['startup.txt'], /\*scene_list\n {2}startup_2\n/);
+  assert.match(files['startup.txt'], /\*goto startup_2\n/);
+  assert.match(files['startup_2.txt'], /^\*label startup_2\n\nYou wake before the keep, \$\{name\}\.\n/);
+
+  const second = importAdventureFromChoiceScript(files);
+  const renamed = id => (id === 'startup' ? 'startup_2' : id);
+  // Multireplace is left as text by the first import, so it is reported again
+  assert.deepEqual(second.warnings, ['gate_inside.txt (line 3): multireplace @{...} is not supported; left as text.']);
+  assert.equal(second.adventure.title, first.adventure.title);
+  assert.equal(second.adventure.startSceneId, renamed(first.adventure.startSceneId));
+  assert.deepEqual(second.adventure.stats, first.adventure.stats);
+  assert.deepEqual(second.adventure.flags, first.adventure.flags);
+  assert.deepEqual(second.adventure.scenes.map(scene => scene.id), first.adventure.scenes.map(scene => renamed(scene.id)));
+  second.adventure.scenes.forEach((scene, index) => {
+    const source = first.adventure.scenes[index];
+    assert.equal(scene.content, source.content);
+    assert.deepEqual(
+      scene.choices.map(choice => [choice.text, choice.targetSceneId, choice.inputType]),
+      source.choices.map(choice => [choice.text, renamed(choice.targetSceneId), choice.inputType])
+    );
+  });
+});
+
+const createLogicAdventure = () => ({
+  id: 'toll',
+  title: 'The Toll',
+  startSceneId: 'gate',
+  stats: [{ id: 'gold', name: 'Gold', type: 'number', defaultValue: 5 }],
+  flags: [{ id: 'warned', defaultValue: false }],
+  inventory: [{ id: 'coin', name: 'Coin', maxStack: 3 }],
+  scenes: [
+    {
+      id: 'gate',
+      title: 'Gate',
+      content: 'A guard blocks the gate.',
+      onEnter: [{ type: 'add_stat', key: 'gold', value: 1, conditions: [{ type: 'flag', key: 'warned', operator: '==', value: true }] }],
+      onExit: [{ type: 'set_flag', key: 'warned', value: true }],
+      choices: [
+        {
+          id: 'pay',
+          text: 'Pay the toll',
+          targetSceneId: 'road',
+          oneTime: true,
+          conditions: [{ logic: 'OR', conditions: [
+            { type: 'has_item', key: 'coin' },
+            { type: 'stat', key: 'gold', operator: 'between', value: [2, 9] }
+          ] }],
+          requirements: [{ logic: 'NOT', conditions: [{ type: 'scene_visited', key: 'road' }] }],
+          actions: [
+            { type: 'add_inventory', key: 'coin', value: 2 },
+            { type: 'remove_inventory', key: 'coin', value: 1, probability: 0.5 },
+            { type: 'add_stat', key: 'gold', value: -2 },
+            { type: 'roll', key: 'gold', value: '1d6 + 2', difficulty: 5, successFlag: 'lucky' }
+          ]
+        },
+        {
+          id: 'argue',
+          text: 'Argue',
+          targetSceneId: 'gate',
+          maxUses: 2,
+          conditions: [{ type: 'expression', expression: 'item.coin * 2 > gold || visits.gate % 2 == 1' }],
+          actions: [{ type: 'toggle_flag', key: 'warned', oneTime: true, id: 'first_argument' }, { type: 'add_achievement', key: 'stubborn' }]
+        }
+      ]
+    },
+    { id: 'road', title: 'Road', content: 'The road goes on.', choices: [] }
+  ]
+});
+
+test('ChoiceScript export translates conditions, actions and scene code', () => {
+  const { files, warnings } = buildChoiceScriptFiles(createLogicAdventure());
+
+  assert.deepEqual(files['startup.txt'].split('\n').filter(line => line.startsWith('*create')), [
+    '*create gold 5',
+    '*create warned false',
+    '*create coin 0',
+    '*create visited_road false',
+    '*create chance 0',
+    '*create lucky false',
+    '*create choices_in_gate 0',
+    '*create uses_gate_argue 0',
+    '*create done_first_argument false'
+  ]);
+
+  assert.equal(files['gate.txt'], `*label gate
+
+*if warned
+  *set gold +1
+
+A guard blocks the gate.
+
+*choice
+  *if ((coin > 0) or ((gold >= 2) and (gold <= 9)))
+    *disable_reuse *selectable_if (not(visited_road)) #Pay the toll
+      *set choices_in_gate +1
+      *set coin +2
+      *if coin > 3
+        *set coin 3
+      *rand chance 1 100
+      *if chance <= 50
+        *if coin >= 1
+          *set coin -1
+      *set gold -2
+      *rand gold 3 8
+      *set lucky (gold >= 5)
+      *set warned true
+      *goto road
+  *if (((coin * 2) > gold) or ((choices_in_gate modulo 2) = 1))
+    *selectable_if (uses_gate_argue < 2) #Argue
+      *comment Choice "Argue": add_achievement action "stubborn" is not supported by the ChoiceScript exporter; skipped.
+      *set choices_in_gate +1
+      *set uses_gate_argue +1
+      *if not(done_first_argument)
+        *set warned not(warned)
+        *set done_first_argument true
+      *set warned true
+      *goto gate
+`);
+  assert.match(files['road.txt'], /^\*label road\n\n\*set visited_road true\n\nThe road goes on\./);
+  assert.deepEqual(warnings, ['Choice "Argue": add_achievement action "stubborn" is not supported by the ChoiceScript exporter; skipped.']);
+
+  // The importer reads the translated code back
+  const imported = importAdventureFromChoiceScript(files).adventure.scenes.find(scene => scene.id === 'gate');
+  assert.deepEqual(imported.onEnter, [
+    { type: 'add_stat', key: 'gold', value: 1, conditions: [{ type: 'flag', key: 'warned', operator: '==', value: true }] }
+  ]);
+  assert.equal(imported.choices[0].oneTime, true);
+  assert.deepEqual(imported.choices[0].requirements, [{ type: 'flag', key: 'visited_road', operator: '==', value: false }]);
+});
+
+test('ChoiceScript export reports conditions it cannot translate', () => {
+  const adventure = createLogicAdventure();
+  adventure.scenes[1].choices = [{
+    id: 'wave',
+    text: 'Wave',
+    targetSceneId: 'gate',
+    conditions: [
+      { type: 'stat', key: 'gold', operator: 'starts_with', value: '1' },
+      { type: 'expression', expression: 'max(gold, 3) > 4' },
+      { type: 'flag', key: 'warned' }
+    ],
+    actions: [{ type: 'set_stat', key: 'gold', value: -4, delayTurns: 2 }]
+  }];
+
+  const { files, warnings } = buildChoiceScriptFiles(adventure);
+
+  assert.match(files['road.txt'], /\n {2}\*if \(warned\) #Wave\n/);
+  assert.match(files['road.txt'], /\n {4}\*set gold \(0 - 4\)\n/);
+  assert.deepEqual(warnings.slice(-3), [
+    'Choice "Wave": "starts_with" stat condition is not supported by ChoiceScript; dropped.',
+    'Choice "Wave": expression (max() has no ChoiceScript equivalent) condition is not supported by ChoiceScript; dropped.',
+    'Choice "Wave": set_stat action delay is not exported; it runs immediately.'
+  ]);
+});
+
+test('ChoiceScript export warns that timed scenes play untimed', () => {
+  const adventure = createLogicAdventure();
+  adventure.scenes[1].timeLimit = 15;
+  adventure.scenes[1].defaultChoiceId = adventure.scenes[1].choices[0]?.id;
+
+  const { files, warnings } = buildChoiceScriptFiles(adventure);
+
+  assert.ok(files['road.txt']);
+  assert.ok(warnings.includes('Scene "road" has a 15s time limit; ChoiceScript has no timed choices, so it is exported untimed.'), JSON.stringify(warnings));
+});
+
+test('ChoiceScript export converts text variables', () => {
+  const adventure = createLogicAdventure();
+  adventure.scenes[0].content = 'You carry ${stat:gold} gold (${gold}) and ${item:coin} coins.';
+  adventure.scenes[0].choices[0].text = 'Pay (warned: ${flag:warned})';
+
+  const { files } = buildChoiceScriptFiles(adventure);
+
+  assert.match(files['gate.txt'], /\nYou carry \$\{gold\} gold \(\$\{gold\}\) and \$\{item:coin\} coins\.\n/);
+  assert.match(files['gate.txt'], /#Pay \(warned: \$\{warned\}\)\n/);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StatsManager } from '../src/engine/StatsManager.js';
+import { InventoryManager } from '../src/engine/InventoryManager.js';
+import { validationService } from '../src/services/ValidationService.js';
+
+const statDefinitions = [
+  { id: 'strength', name: 'Strength', type: 'number', defaultValue: 4 },
+  { id: 'carry_capacity', name: 'Carry Capacity', type: 'number', defaultValue: 0, formula: 'strength * 10 - inventory.weight' },
+  { id: 'reputation_town', name: 'Town Rep', type: 'number', defaultValue: 2 },
+  { id: 'reputation_guild', name: 'Guild Rep', type: 'number', defaultValue: 4 },
+  { id: 'reputation_total', name: 'Total Rep', type: 'number', defaultValue: 0, formula: 'reputation_town + reputation_guild' },
+  { id: 'standing', name: 'Standing', type: 'number', defaultValue: 0, max: 10, formula: 'reputation_total * 2' }
+];
+
+const createManagers = () => {
+  const statsManager = new StatsManager(statDefinitions);
+  const inventoryManager = new InventoryManager(statsManager, [
+    { id: 'anvil', name: 'Anvil', category: 'misc', weight: 15 }
+  ]);
+  statsManager.setInventoryManager(inventoryManager);
+  return { statsManager, inventoryManager };
+};
+
+test('computed stats derive from stats and inventory and update on change', () => {
+  const { statsManager, inventoryManager } = createManagers();
+
+  assert.equal(statsManager.getStat('carry_capacity'), 40);
+  assert.equal(statsManager.getStat('reputation_total'), 6);
+  // Computed stats can depend on other computed stats, and respect min/max
+  assert.equal(statsManager.getStat('standing'), 10);
+
+  statsManager.setStat('strength', 6);
+  assert.equal(statsManager.getStat('carry_capacity'), 60);
+
+  const versionBefore = statsManager.getVersion();
+  inventoryManager.addItem('anvil', 2);
+  assert.equal(statsManager.getStat('carry_capacity'), 30);
+  assert.ok(statsManager.getVersion() > versionBefore, 'inventory changes bump the stats version');
+
+  statsManager.setStat('reputation_town', 0);
+  statsManager.setStat('reputation_guild', 1);
+  assert.equal(statsManager.getStat('reputation_total'), 1);
+  assert.equal(statsManager.getStat('standing'), 2);
+});
+
+test('computed stats are read-only and recomputed after loading a save', () => {
+  const { statsManager } = createManagers();
+
+  assert.equal(statsManager.setStat('carry_capacity', 999), false);
+  assert.equal(statsManager.addToStat('carry_capacity', 5), false);
+  assert.equal(statsManager.getStat('carry_capacity'), 40);
+
+  statsManager.loadFromSave({ strength: 2, carry_capacity: 999, reputation_town: 1, reputation_guild: 1 }, {});
+  assert.equal(statsManager.getStat('carry_capacity'), 20);
+
+  const visible = statsManager.getVisibleStats().find(stat => stat.id === 'carry_capacity');
+  assert.equal(visible.computed, true);
+  assert.equal(visible.formula, 'strength * 10 - inventory.weight');
+});
+
+test('dependency cycles are skipped at runtime and reported by ValidationService', async () => {
+  const cyclic = [
+    { id: 'a', name: 'a', type: 'number', defaultValue: 1, formula: 'b + 1' },
+    { id: 'b', name: 'b', type: 'number', defaultValue: 2, formula: 'a + 1' },
+    { id: 'c', name: 'c', type: 'number', defaultValue: 3, formula: 'a * 2' },
+    { id: 'd', name: 'd', type: 'number', defaultValue: 0, formula: 'missing + 1' }
+  ];
+
+  const { order, cycles } = StatsManager.orderComputedStats(cyclic);
+  assert.deepEqual(order, ['d']);
+  assert.deepEqual(cycles, [['a', 'b', 'a']]);
+
+  const statsManager = new StatsManager(cyclic);
+  assert.equal(statsManager.getStat('a'), 1);
+  assert.equal(statsManager.getStat('c'), 3);
+
+  const result = await validationService.validate({
+    id: 'cycle',
+    title: 'Cycle',
+    startSceneId: 'start',
+    stats: cyclic,
+    scenes: [{ id: 'start', title: 'Start', content: 'Hi', choices: [] }]
+  }, { skipCache: true });
+
+  assert.ok(result.errors.some(e => e.message.includes('cycle: a -> b -> a')));
+  assert.ok(result.warnings.some(w => w.message.includes("references unknown stat 'missing'")));
+});
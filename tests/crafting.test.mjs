@@ -0,0 +1,183 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'crafting',
+  title: 'Crafting',
+  startSceneId: 'hut',
+  stats: [
+    { id: 'alchemy', name: 'Alchemy', type: 'number', defaultValue: 0 },
+    { id: 'total_items', name: 'Total items', type: 'number', defaultValue: 0 }
+  ],
+  inventory: [
+    { id: 'herb', name: 'Herb' },
+    { id: 'flask', name: 'Flask' },
+    { id: 'potion', name: 'Potion', maxStack: 2 },
+    { id: 'elixir', name: 'Elixir' }
+  ],
+  recipes: [
+    {
+      id: 'brew_potion',
+      name: 'Healing Potion',
+      ingredients: [{ itemId: 'herb', quantity: 2 }, { itemId: 'flask' }],
+      results: [{ itemId: 'potion' }]
+    },
+    {
+      id: 'brew_elixir',
+      name: 'Elixir',
+      ingredients: [{ itemId: 'potion', quantity: 1 }],
+      results: [{ itemId: 'elixir' }],
+      requirements: [{ type: 'stat', key: 'alchemy', operator: 'gte', value: 3 }],
+      hidden: true
+    }
+  ],
+  scenes: [
+    {
+      id: 'hut',
+      title: 'Hut',
+      content: 'A cauldron bubbles.',
+      choices: [
+        {
+          id: 'gather',
+          text: 'Gather herbs',
+          targetSceneId: 'hut',
+          actions: [
+            { type: 'add_inventory', key: 'herb', value: 2 },
+            { type: 'add_inventory', key: 'flask', value: 1 }
+          ]
+        },
+        {
+          id: 'brew',
+          text: 'Brew at the cauldron',
+          targetSceneId: 'hut',
+          conditions: [{ type: 'can_craft', key: 'brew_potion', operator: 'eq', value: true }],
+          actions: [{ type: 'craft', key: 'brew_potion' }]
+        },
+        {
+          id: 'sell',
+          text: 'Sell your potion',
+          targetSceneId: 'market',
+          conditions: [{ type: 'crafted_count', key: 'brew_potion', operator: 'gte', value: 1 }]
+        }
+      ]
+    },
+    { id: 'market', title: 'Market', content: 'The end.', choices: [] }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const choiceIds = engine => engine.getCurrentChoices()
+  .filter(choice => choice.evaluation.isVisible)
+  .map(choice => choice.id);
+
+test('crafting consumes ingredients, adds results and counts the craft', async () => {
+  const engine = await createEngine();
+  const inventory = engine.getInventoryManager();
+
+  const status = inventory.getCraftingStatus('brew_potion');
+  assert.equal(status.canCraft, false);
+  assert.deepEqual(status.missing.map(part => [part.itemId, part.required, part.have]), [['herb', 2, 0], ['flask', 1, 0]]);
+  assert.equal(engine.craft('brew_potion').success, false);
+
+  inventory.addItem('herb', 3);
+  inventory.addItem('flask', 1);
+  const result = engine.craft('brew_potion');
+  assert.equal(result.success, true);
+  assert.equal(result.message, 'Crafted Healing Potion');
+  assert.equal(inventory.getItemCount('herb'), 1);
+  assert.equal(inventory.getItemCount('flask'), 0);
+  assert.equal(inventory.getItemCount('potion'), 1);
+  assert.equal(inventory.getCraftedCount('brew_potion'), 1);
+  assert.equal(engine.getStatsManager().getStat('total_items'), 2);
+});
+
+test('a craft whose results do not fit is rolled back', async () => {
+  const engine = await createEngine();
+  const inventory = engine.getInventoryManager();
+  inventory.addItem('herb', 2);
+  inventory.addItem('flask', 1);
+  inventory.addItem('potion', 2); // maxStack 2: no room for another
+  const before = inventory.getAllItems().map(item => [item.id, item.count]);
+
+  const result = engine.craft('brew_potion');
+  assert.equal(result.success, false);
+  assert.equal(result.message, 'Could not craft Healing Potion: Cannot carry more Potion (max: 2)');
+  assert.deepEqual(inventory.getAllItems().map(item => [item.id, item.count]), before);
+  assert.equal(inventory.getCraftedCount('brew_potion'), 0);
+  assert.equal(engine.getStatsManager().getStat('total_items'), 5);
+});
+
+test('requirements gate recipes and hidden recipes stay unlisted until craftable', async () => {
+  const engine = await createEngine();
+  engine.getInventoryManager().addItem('potion', 1);
+
+  assert.deepEqual(engine.getRecipes().map(recipe => recipe.id), ['brew_potion']);
+  assert.equal(engine.craft('brew_elixir').message, 'Requirements for Elixir are not met');
+
+  engine.executeActions([{ type: 'set_stat', key: 'alchemy', value: 3 }]);
+  const elixir = engine.getRecipes().find(recipe => recipe.id === 'brew_elixir');
+  assert.equal(elixir.canCraft, true);
+  assert.deepEqual(elixir.ingredients.map(part => [part.name, part.have, part.quantity]), [['Potion', 1, 1]]);
+  assert.equal(engine.craft('brew_elixir').success, true);
+});
+
+test('craft actions and crafting conditions drive choices; counts survive save/load and rewind', async () => {
+  const engine = await createEngine();
+  assert.deepEqual(choiceIds(engine), ['gather']);
+
+  engine.makeChoice('gather');
+  assert.deepEqual(choiceIds(engine), ['gather', 'brew']);
+
+  engine.makeChoice('brew');
+  assert.equal(engine.getInventoryManager().getItemCount('potion'), 1);
+  assert.deepEqual(choiceIds(engine), ['gather', 'sell']);
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.crafted, { brew_potion: 1 });
+  const restored = await createEngine();
+  restored.loadFromSave(saveData);
+  assert.equal(restored.getInventoryManager().getCraftedCount('brew_potion'), 1);
+  assert.deepEqual(choiceIds(restored), ['gather', 'sell']);
+
+  engine.undoLastChoice();
+  assert.equal(engine.getInventoryManager().getCraftedCount('brew_potion'), 0);
+  assert.deepEqual(choiceIds(engine), ['gather', 'brew']);
+});
+
+test('ValidationService checks recipes and what references them', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+
+  const clean = await service.validate(adventure);
+  assert.ok(clean.errors.every(error => !/recipe/i.test(error.message)), JSON.stringify(clean.errors));
+
+  adventure.recipes.push(
+    { id: 'brew_potion', name: 'Again', ingredients: [{ itemId: 'herb' }], results: [{ itemId: 'potion' }] },
+    { id: 'stone_soup', name: 'Stone soup', ingredients: [{ itemId: 'stone' }], results: [] }
+  );
+  adventure.scenes[0].choices.push({
+    id: 'transmute',
+    text: 'Transmute',
+    targetSceneId: 'market',
+    actions: [{ type: 'craft', key: 'gold' }],
+    conditions: [{ type: 'crafted_count', key: 'lead', operator: 'gte', value: 1 }]
+  });
+
+  const errors = (await service.validate(adventure)).errors.map(error => error.message);
+  assert.ok(errors.includes("Duplicate recipe 'brew_potion'"));
+  assert.ok(errors.includes("Recipe 'stone_soup' uses unknown item 'stone'"));
+  assert.ok(errors.includes("Recipe 'stone_soup' has no results"));
+  assert.ok(errors.includes("Craft action references unknown recipe 'gold'"));
+  assert.ok(errors.includes("Condition checks unknown recipe 'lead'"));
+});
@@ -0,0 +1,151 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { DiceRoller } from '../src/engine/DiceRoller.js';
+import { SeededRandom } from '../src/engine/SeededRandom.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import { validationService } from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'dice',
+  title: 'Dice',
+  startSceneId: 'gate',
+  randomSeed: 42,
+  stats: [
+    { id: 'agility', name: 'agility', type: 'number', defaultValue: 3 },
+    { id: 'check', name: 'check', type: 'number', defaultValue: 0 }
+  ],
+  flags: [{ id: 'picked_lock', name: 'picked_lock' }],
+  scenes: [
+    {
+      id: 'gate',
+      title: 'Gate',
+      content: 'A locked gate.',
+      choices: [
+        {
+          id: 'pick',
+          text: 'Pick the lock',
+          targetSceneId: 'gate',
+          actions: [{ type: 'roll', key: 'check', value: '2d6 + agility', difficulty: 9, successFlag: 'picked_lock' }]
+        },
+        {
+          id: 'wander',
+          text: 'Wander',
+          targetSceneId: 'gate',
+          randomBranches: [
+            { targetSceneId: 'forest', weight: 3 },
+            { targetSceneId: 'river', weight: 1 }
+          ]
+        }
+      ]
+    },
+    { id: 'forest', title: 'Forest', content: 'Trees.', choices: [{ id: 'back_f', text: 'Back', targetSceneId: 'gate' }] },
+    { id: 'river', title: 'River', content: 'Water.', choices: [{ id: 'back_r', text: 'Back', targetSceneId: 'gate' }] }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+test('DiceRoller rolls dice plus modifiers deterministically', () => {
+  const resolve = (namespace, key) => (namespace === 'stat' && key === 'agility' ? 4 : undefined);
+  const first = DiceRoller.roll('2d6 + agility', new SeededRandom(7), resolve);
+  const second = DiceRoller.roll('2d6 + agility', new SeededRandom(7), resolve);
+
+  assert.deepEqual(first, second);
+  assert.equal(first.rolls.length, 1);
+  assert.equal(first.rolls[0].results.length, 2);
+  assert.equal(first.total, first.rolls[0].sum + 4);
+  assert.ok(first.total >= 6 && first.total <= 16);
+
+  assert.equal(DiceRoller.analyze('2d6 +').valid, false);
+  assert.equal(DiceRoller.analyze('0d6').valid, false);
+  assert.equal(DiceRoller.parseDice('stat.d20 + d4').length, 1);
+  assert.ok(Math.abs(DiceRoller.successChance('2d6', 7) - 21 / 36) < 1e-9);
+});
+
+test('roll actions store the total and set the success flag', async () => {
+  const engine = await createEngine();
+  const rolls = [];
+  engine.events.on('roll', roll => rolls.push(roll));
+
+  engine.makeChoice('pick');
+
+  const total = engine.getStatsManager().getStat('check');
+  assert.equal(rolls.length, 1);
+  assert.equal(rolls[0].total, total);
+  assert.equal(total, rolls[0].rolls[0].sum + 3);
+  assert.equal(engine.getStatsManager().hasFlag('picked_lock'), total >= 9);
+  engine.dispose();
+});
+
+test('random branches pick weighted destinations reproducibly', async () => {
+  const play = async () => {
+    const engine = await createEngine();
+    const destinations = [];
+    for (let i = 0; i < 40; i++) {
+      destinations.push(engine.makeChoice('wander').id);
+      engine.makeChoice(destinations[i] === 'forest' ? 'back_f' : 'back_r');
+    }
+    const history = engine.getChoiceHistory();
+    engine.dispose();
+    return { destinations, history };
+  };
+
+  const { destinations, history } = await play();
+  assert.deepEqual((await play()).destinations, destinations);
+
+  const forest = destinations.filter(id => id === 'forest').length;
+  assert.ok(forest > 20 && forest < 40, `expected mostly forest, got ${forest}/40`);
+  assert.ok(destinations.includes('river'));
+  assert.equal(history.find(record => record.choiceId === 'wander').randomBranchTarget, destinations[0]);
+});
+
+test('RNG state is saved so reloading does not re-roll', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('pick');
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.equal(typeof saveData.rngState.state, 'number');
+
+  engine.makeChoice('pick');
+  const continued = engine.getStatsManager().getStat('check');
+  engine.dispose();
+
+  const reloaded = await createEngine();
+  reloaded.loadFromSave(saveData);
+  reloaded.makeChoice('pick');
+  assert.equal(reloaded.getStatsManager().getStat('check'), continued);
+  reloaded.dispose();
+});
+
+test('ValidationService enumerates branch outcomes and flags broken ones', async () => {
+  const adventure = createAdventure();
+  const outcomes = validationService.enumerateBranchOutcomes(adventure);
+
+  const branch = outcomes.find(entry => entry.type === 'random_branch');
+  assert.deepEqual(
+    branch.outcomes.map(outcome => [outcome.targetSceneId, outcome.probability]),
+    [['forest', 0.75], ['river', 0.25]]
+  );
+
+  const roll = outcomes.find(entry => entry.type === 'roll');
+  assert.equal(roll.min, 2);
+  assert.equal(roll.max, 12);
+  assert.deepEqual(roll.outcomes.map(outcome => outcome.result), ['success', 'failure']);
+
+  const clean = await validationService.validate(adventure, { skipCache: true });
+  assert.equal(clean.errors.filter(e => /random branch|roll/i.test(e.message)).length, 0);
+
+  adventure.scenes[0].choices[1].randomBranches.push({ targetSceneId: 'nowhere', weight: 1 });
+  adventure.scenes[0].choices[0].actions[0].value = '2d6 +';
+  const broken = await validationService.validate(adventure, { skipCache: true });
+  assert.ok(broken.errors.some(e => e.message.includes("targets missing scene 'nowhere'")));
+  assert.ok(broken.errors.some(e => e.message.startsWith("Invalid roll '2d6 +'")));
+});
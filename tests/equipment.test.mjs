@@ -0,0 +1,234 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'equipment',
+  title: 'Equipment',
+  startSceneId: 'armory',
+  stats: [
+    { id: 'strength', name: 'Strength', type: 'number', defaultValue: 5, min: 0, max: 10 },
+    { id: 'speed', name: 'Speed', type: 'number', defaultValue: 4 }
+  ],
+  equipmentSlots: [
+    { id: 'hands', name: 'Hands' },
+    { id: 'ring', name: 'Rings', capacity: 2 }
+  ],
+  inventory: [
+    { id: 'sword', name: 'Sword', slot: 'hands', modifiers: [{ stat: 'strength', type: 'add', value: 3 }] },
+    { id: 'hammer', name: 'Hammer', slot: 'hands', modifiers: [{ stat: 'strength', type: 'add', value: 8 }] },
+    { id: 'ring_swift', name: 'Ring of Speed', slot: 'ring', modifiers: [{ stat: 'speed', type: 'multiply', value: 2 }] },
+    { id: 'ring_plain', name: 'Plain Ring', slot: 'ring' },
+    { id: 'ring_old', name: 'Old Ring', slot: 'ring', modifiers: [{ stat: 'speed', type: 'add', value: 1 }] },
+    { id: 'bread', name: 'Bread' }
+  ],
+  scenes: [
+    {
+      id: 'armory',
+      title: 'Armory',
+      content: 'Racks of weapons.',
+      choices: [
+        {
+          id: 'take_sword',
+          text: 'Take the sword',
+          targetSceneId: 'armory',
+          actions: [
+            { type: 'add_inventory', key: 'sword', value: 1 },
+            { type: 'equip_item', key: 'sword' }
+          ]
+        },
+        {
+          id: 'fight',
+          text: 'Fight',
+          targetSceneId: 'arena',
+          conditions: [{ type: 'item_equipped', key: 'sword', operator: 'eq', value: true }]
+        },
+        {
+          id: 'show_rings',
+          text: 'Show your rings',
+          targetSceneId: 'arena',
+          conditions: [{ type: 'slot_filled', key: 'ring', operator: 'gte', value: 1 }]
+        }
+      ]
+    },
+    { id: 'arena', title: 'Arena', content: 'The end.', choices: [] }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const choiceIds = engine => engine.getCurrentChoices()
+  .filter(choice => choice.evaluation.isVisible)
+  .map(choice => choice.id);
+
+test('equipping fills slots up to their capacity and replaces the oldest item', async () => {
+  const engine = await createEngine();
+  const inventory = engine.getInventoryManager();
+  ['ring_swift', 'ring_plain', 'ring_old', 'sword', 'bread'].forEach(id => inventory.addItem(id, 1));
+
+  assert.equal(inventory.equipItem('bread').success, false);
+  assert.equal(inventory.equipItem('hammer').success, false); // not held
+
+  assert.equal(inventory.equipItem('ring_swift').success, true);
+  assert.equal(inventory.equipItem('ring_plain').success, true);
+  const third = inventory.equipItem('ring_old');
+  assert.equal(third.success, true);
+  assert.deepEqual(third.replaced, ['ring_swift']);
+  assert.deepEqual(inventory.getEquippedItems('ring'), ['ring_plain', 'ring_old']);
+  assert.equal(inventory.isEquipped('ring_swift'), false);
+
+  assert.equal(inventory.unequipItem('ring_plain').success, true);
+  assert.equal(inventory.unequipItem('ring_plain').success, false);
+  assert.deepEqual(inventory.getEquipmentState(), { ring: ['ring_old'] });
+});
+
+test('modifiers change effective stats only while equipped; actions change the base', async () => {
+  const engine = await createEngine();
+  const stats = engine.getStatsManager();
+  const inventory = engine.getInventoryManager();
+  inventory.addItem('sword', 1);
+  inventory.addItem('hammer', 1);
+  inventory.addItem('ring_swift', 1);
+  inventory.addItem('ring_old', 1);
+
+  engine.equipItem('sword');
+  assert.equal(stats.getStat('strength'), 8);
+  assert.equal(stats.getBaseStat('strength'), 5);
+  assert.deepEqual(stats.getStatBreakdown('strength').modifiers,
+    [{ itemId: 'sword', itemName: 'Sword', type: 'add', value: 3 }]);
+
+  // Hands hold one item: the hammer replaces the sword, and the result keeps the stat's max
+  engine.equipItem('hammer');
+  assert.equal(inventory.isEquipped('sword'), false);
+  assert.equal(stats.getStat('strength'), 10);
+
+  // Adds are applied before multipliers
+  engine.equipItem('ring_swift');
+  engine.equipItem('ring_old');
+  assert.equal(stats.getStat('speed'), 10);
+
+  engine.executeActions([{ type: 'add_stat', key: 'speed', value: 1 }]);
+  assert.equal(stats.getBaseStat('speed'), 5);
+  assert.equal(stats.getStat('speed'), 12);
+  assert.equal(stats.getAllStats().speed, 5);
+
+  // Losing an item takes it out of its slot
+  inventory.removeItem('ring_swift', 1);
+  assert.equal(inventory.isEquipped('ring_swift'), false);
+  assert.equal(stats.getStat('speed'), 6);
+
+  engine.unequipItem('hammer');
+  assert.equal(stats.getStat('strength'), 5);
+});
+
+test('losing an equipped item tells the stats manager', async () => {
+  const engine = await createEngine();
+  const stats = engine.getStatsManager();
+  const inventory = engine.getInventoryManager();
+  inventory.addItem('ring_swift', 1);
+  inventory.addItem('sword', 1);
+  engine.equipItem('ring_swift');
+  engine.equipItem('sword');
+
+  const before = stats.getVersion();
+  inventory.removeItem('ring_swift', 1);
+  assert.ok(stats.getVersion() > before);
+
+  const afterRemove = stats.getVersion();
+  inventory.setItemCount('sword', 0);
+  assert.ok(stats.getVersion() > afterRemove);
+  assert.equal(stats.getStat('strength'), 5);
+
+  // Items that weren't equipped don't move the stats
+  inventory.addItem('bread', 2);
+  const unequipped = stats.getVersion();
+  inventory.removeItem('bread', 2);
+  assert.equal(stats.getVersion(), unequipped);
+});
+
+test('equipment and crafting conditions validate and describe themselves', async () => {
+  const parser = (await createEngine()).conditionParser;
+
+  ['item_equipped', 'slot_filled', 'can_craft', 'crafted_count'].forEach(type => {
+    assert.deepEqual(parser.validateCondition({ type, key: 'x', operator: 'gte', value: 1 }), { valid: true });
+  });
+  assert.equal(parser.getConditionDescription({ type: 'item_equipped', key: 'sword', operator: 'eq', value: true }), 'Equipped "sword" equals true');
+  assert.equal(parser.getConditionDescription({ type: 'crafted_count', key: 'rope', operator: '>=', value: 2 }), 'Times crafted "rope" greater than or equal 2');
+});
+
+test('equip_item actions and equipment conditions drive choices', async () => {
+  const engine = await createEngine();
+  assert.deepEqual(choiceIds(engine), ['take_sword']);
+
+  engine.makeChoice('take_sword');
+  assert.deepEqual(choiceIds(engine), ['take_sword', 'fight']);
+  assert.equal(engine.getStatsManager().getStat('strength'), 8);
+
+  engine.getInventoryManager().addItem('ring_plain', 1);
+  engine.equipItem('ring_plain');
+  assert.deepEqual(choiceIds(engine), ['take_sword', 'fight', 'show_rings']);
+
+  engine.executeActions([{ type: 'unequip_item', key: 'sword' }]);
+  assert.deepEqual(choiceIds(engine), ['take_sword', 'show_rings']);
+});
+
+test('equipment survives save/load and rewinding', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('take_sword');
+  engine.getInventoryManager().addItem('ring_swift', 1);
+  engine.equipItem('ring_swift');
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.equipment, { hands: ['sword'], ring: ['ring_swift'] });
+
+  const restored = await createEngine();
+  restored.loadFromSave(saveData);
+  assert.equal(restored.getInventoryManager().getItemCount('sword'), 1);
+  assert.equal(restored.getInventoryManager().isEquipped('sword'), true);
+  assert.equal(restored.getStatsManager().getStat('strength'), 8);
+  assert.equal(restored.getStatsManager().getStat('speed'), 8);
+
+  engine.undoLastChoice();
+  assert.equal(engine.getInventoryManager().isEquipped('sword'), false);
+  assert.equal(engine.getStatsManager().getStat('strength'), 5);
+});
+
+test('ValidationService checks slots, modifiers and equipment logic', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+
+  const clean = await service.validate(adventure);
+  assert.ok(clean.errors.every(error => !/slot|modif|equip/i.test(error.message)), JSON.stringify(clean.errors));
+
+  adventure.equipmentSlots.push({ id: 'ring', name: 'Another ring' });
+  adventure.inventory.push(
+    { id: 'cloak', name: 'Cloak', slot: 'back' },
+    { id: 'charm', name: 'Charm', slot: 'ring', modifiers: [{ stat: 'luck', type: 'add', value: 1 }] },
+    { id: 'pebble', name: 'Pebble', modifiers: [{ stat: 'speed', type: 'add', value: 1 }] }
+  );
+  adventure.scenes[0].choices.push({
+    id: 'dress',
+    text: 'Dress up',
+    targetSceneId: 'arena',
+    actions: [{ type: 'equip_item', key: 'bread' }],
+    conditions: [{ type: 'slot_filled', key: 'feet', operator: 'gte', value: 1 }]
+  });
+
+  const result = await service.validate(adventure);
+  const errors = result.errors.map(error => error.message);
+  assert.ok(errors.includes("Duplicate equipment slot 'ring'"));
+  assert.ok(errors.includes("Item 'cloak' uses undeclared equipment slot 'back'"));
+  assert.ok(errors.includes("Item 'charm' modifies unknown stat 'luck'"));
+  assert.ok(errors.includes("Action equip_item references item 'bread', which has no equipment slot"));
+  assert.ok(errors.includes("Condition checks undeclared equipment slot 'feet'"));
+  assert.ok(result.warnings.some(warning => warning.message === "Item 'pebble' has stat modifiers but no slot, so they never apply"));
+});
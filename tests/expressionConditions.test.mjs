@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StatsManager } from '../src/engine/StatsManager.js';
+import { InventoryManager } from '../src/engine/InventoryManager.js';
+import { ConditionParser } from '../src/engine/ConditionParser.js';
+import { ExpressionEvaluator } from '../src/engine/ExpressionEvaluator.js';
+
+const createParser = () => {
+  const statsManager = new StatsManager([
+    { id: 'strength', name: 'Strength', type: 'number', defaultValue: 5 },
+    { id: 'agility', name: 'Agility', type: 'number', defaultValue: 6 }
+  ]);
+  const inventoryManager = new InventoryManager(statsManager, [
+    { id: 'potion', name: 'Potion', category: 'consumable' }
+  ]);
+  inventoryManager.addItem('potion', 2);
+
+  const choiceHistory = [
+    { sceneId: 'tavern', choiceId: 'drink' },
+    { sceneId: 'tavern', choiceId: 'drink' }
+  ];
+
+  const parser = new ConditionParser(statsManager, ['start', 'tavern'], inventoryManager, choiceHistory);
+  return { parser, statsManager };
+};
+
+test('expression conditions combine stats, flags, items and visit counts', () => {
+  const { parser, statsManager } = createParser();
+  const condition = { type: 'expression', expression: 'strength + agility * 2 >= 15 && !flag.cursed' };
+
+  assert.equal(parser.evaluateCondition(condition), true);
+
+  statsManager.setFlag('cursed', true);
+  assert.equal(parser.evaluateCondition(condition), false);
+
+  assert.equal(parser.evaluateCondition({ type: 'expression', expression: 'item.potion == 2 and visited.tavern' }), true);
+  assert.equal(parser.evaluateCondition({ type: 'expression', expression: 'visits.tavern + choice.drink > 3' }), true);
+  assert.equal(parser.evaluateCondition({ type: 'expression', expression: 'max(strength, agility) - min(1, 2)', operator: 'eq', value: 5 }), true);
+});
+
+test('expression conditions never execute arbitrary code', () => {
+  const { parser } = createParser();
+
+  assert.equal(parser.evaluateCondition({ type: 'expression', expression: 'constructor.constructor("return 1")()' }), false);
+  assert.throws(() => ExpressionEvaluator.parse('process.exit(1)'), /Unknown function|Unexpected/);
+  assert.throws(() => ExpressionEvaluator.parse('toString()'), /Unknown function "toString"/);
+});
+
+test('validateCondition reports expression parse errors with a position', () => {
+  const { parser } = createParser();
+
+  assert.deepEqual(parser.validateCondition({ type: 'expression', expression: 'strength >= 10' }), { valid: true });
+
+  const invalid = parser.validateCondition({ type: 'expression', expression: 'strength >= (10 +' });
+  assert.equal(invalid.valid, false);
+  assert.match(invalid.error, /^Invalid expression: Unexpected end of expression/);
+  assert.equal(invalid.position, 17);
+
+  assert.equal(parser.validateCondition({ type: 'expression', expression: 'gold = 3' }).valid, false);
+  assert.equal(parser.validateCondition({ type: 'expression' }).valid, false);
+});
+
+test('getConditionDescription renders expressions readably', () => {
+  const { parser } = createParser();
+
+  assert.equal(
+    parser.getConditionDescription({ type: 'expression', expression: '(strength+agility)*2>=15&&!flag.cursed || item.potion > 0' }),
+    '(strength + agility) * 2 >= 15 AND NOT flag "cursed" OR count of "potion" > 0'
+  );
+  assert.equal(
+    parser.getConditionDescription({ type: 'expression', expression: 'not (visited.tavern or choice.drink)' }),
+    'NOT (visited "tavern" OR times chose "drink")'
+  );
+});
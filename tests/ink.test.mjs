@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { importAdventureFromInk } from '../src/editor/importers/InkImporter.js';
+import ExportSystem from '../src/editor/ExportSystem.js';
+
+const STORY = `# title: The Crossing
+# author: Test Author
+VAR gold = 3
+VAR has_map = false
+CONST toll = 5
+LIST moods = happy, sad
+
+You stand at the river. // the ferry is late
+-> bank
+
+=== bank ===
+The ferryman waits. You have {gold} gold.
+{has_map: You know the way.|You are lost.}
+* (ask) [Ask about the toll] "How much?" you ask.
+  "{toll} gold," he says.
+  -> bank
++ {gold >= toll} [Pay]
+  ~ gold -= toll
+  -> crossing
+* {not has_map} Search the reeds
+  ~ has_map = true
+  ~ gold++
+  You find a map.
++ Wait
+  ~ temp rolled = RANDOM(1, 6)
+  -> wait_loop ->
+- (after) The river flows on.
+<- chatter
+{
+  - gold > 10: You are rich.
+  - else: You are poor.
+}
+-> END
+
+=== crossing ===
+= start
+The boat rocks. {&Splash|Drip}
+* Look back -> bank.after
+* Sit down
+  ** [Sleep] -> DONE
+  ** Stay awake
+  -- You arrive.
+- -> far_shore
+
+= far_shore
+You made it.
+-> END
+
+=== function twice(x) ===
+~ return x * 2
+`;
+
+const sceneById = (adventure, id) => adventure.scenes.find(scene => scene.id === id);
+
+test('Ink import maps knots, stitches, choices, diverts and variables', () => {
+  const { adventure } = importAdventureFromInk(STORY);
+
+  assert.equal(adventure.title, 'The Crossing');
+  assert.equal(adventure.author, 'Test Author');
+  assert.equal(adventure.startSceneId, 'start');
+  assert.deepEqual(adventure.stats.map(stat => [stat.id, stat.type, stat.defaultValue]), [
+    ['gold', 'number', 3],
+    ['toll', 'number', 5],
+    ['rolled', 'number', 0]
+  ]);
+  assert.deepEqual(adventure.flags.map(flag => [flag.id, flag.defaultValue]), [['has_map', false]]);
+
+  const start = sceneById(adventure, 'start');
+  assert.equal(start.content, 'You stand at the river.');
+  assert.deepEqual(start.choices.map(choice => [choice.text, choice.targetSceneId]), [['Continue', 'bank']]);
+
+  const bank = sceneById(adventure, 'bank');
+  assert.equal(bank.content, 'The ferryman waits. You have ${stat:gold} gold.\n{if flag:has_map} You know the way.{else}You are lost.{/if}');
+  assert.deepEqual(bank.choices.map(choice => [choice.text, choice.targetSceneId, choice.oneTime]), [
+    ['Ask about the toll', 'bank_option_1', true],
+    ['Pay', 'crossing_start', undefined],
+    ['Search the reeds', 'bank_option_3', true],
+    ['Wait', 'bank_option_4', undefined]
+  ]);
+  assert.deepEqual(bank.choices[1].conditions, [{ type: 'expression', expression: 'gold >= toll' }]);
+  // CONST values are inlined where an action needs a literal
+  assert.deepEqual(bank.choices[1].actions, [{ type: 'add_stat', key: 'gold', value: -5 }]);
+  assert.deepEqual(bank.choices[2].conditions, [{ type: 'flag', key: 'has_map', operator: '==', value: false }]);
+  assert.deepEqual(bank.choices[2].actions, [
+    { type: 'set_flag', key: 'has_map', value: true },
+    { type: 'add_stat', key: 'gold', value: 1 }
+  ]);
+  assert.deepEqual(bank.choices[3].actions, [{ type: 'roll', key: 'rolled', value: '1d6' }]);
+
+  // Text after [...] and the weave below a choice become the choice's scene
+  const ask = sceneById(adventure, 'bank_option_1');
+  assert.equal(ask.content, '"How much?" you ask.\n"${stat:toll} gold," he says.');
+  assert.deepEqual(ask.choices.map(choice => choice.targetSceneId), ['bank']);
+  assert.equal(sceneById(adventure, 'bank_option_3').content, 'Search the reeds\nYou find a map.');
+  assert.deepEqual(sceneById(adventure, 'bank_option_3').choices.map(choice => choice.targetSceneId), ['bank_after']);
+
+  // Labelled gathers are scenes; END leaves them without choices
+  const after = sceneById(adventure, 'bank_after');
+  assert.equal(after.content, 'The river flows on.\n{if stat:gold > 10}You are rich.{else}You are poor.{/if}');
+  assert.deepEqual(after.choices, []);
+
+  // A knot that opens with a stitch is that stitch; diverts resolve knot.stitch and knot.label paths
+  const crossing = sceneById(adventure, 'crossing_start');
+  assert.equal(crossing.title, 'Crossing: Start');
+  assert.equal(crossing.content, 'The boat rocks. Splash');
+  assert.deepEqual(sceneById(adventure, 'crossing_start_option_1').choices.map(choice => choice.targetSceneId), ['bank_after']);
+
+  const sitDown = sceneById(adventure, 'crossing_start_option_2');
+  assert.deepEqual(sitDown.choices.map(choice => [choice.text, choice.targetSceneId]), [
+    ['Sleep', 'end'],
+    ['Stay awake', 'crossing_start_option_2_option_2']
+  ]);
+  assert.deepEqual(sceneById(adventure, 'end').choices, []);
+  assert.equal(sceneById(adventure, 'crossing_start_option_2_gather').content, 'You arrive.');
+  assert.deepEqual(sceneById(adventure, 'crossing_start_gather').choices.map(choice => choice.targetSceneId), ['crossing_far_shore']);
+  assert.deepEqual(sceneById(adventure, 'crossing_far_shore').choices, []);
+});
+
+test('Ink import reports unsupported constructs with their line', () => {
+  const { warnings } = importAdventureFromInk(STORY);
+
+  assert.deepEqual(warnings, [
+    'Line 6: LIST moods is not supported; skipped.',
+    'Line 25: temporary variable rolled is imported as a number stat.',
+    'Line 26: tunnels (-> wait_loop ->) are not supported; skipped.',
+    'Line 28: threads (<- chatter) are not supported; skipped.',
+    'Line 37: sequences, cycles and shuffles ({&Splash|Drip}) are not supported; kept the first alternative.',
+    'Line 49: function twice() is not supported; skipped.'
+  ]);
+
+  assert.throws(() => importAdventureFromInk('// nothing here\n'), /No Ink story content found/);
+});
+
+test('Ink import starts at the first knot and keeps a passthrough start out', () => {
+  const { adventure, warnings } = importAdventureFromInk('-> hall\n=== hall ===\n+ [Look around]\n  ~ looks++\n  -> hall\n');
+
+  assert.equal(adventure.startSceneId, 'hall');
+  assert.deepEqual(adventure.scenes.map(scene => scene.id), ['hall']);
+  assert.deepEqual(adventure.scenes[0].choices[0].actions, [{ type: 'add_stat', key: 'looks', value: 1 }]);
+  assert.deepEqual(warnings, ['Line 4: looks is never declared with VAR; imported as a number stat.']);
+});
+
+test('ExportSystem registers the ink format for import', async () => {
+  let loaded = null;
+  const editorEngine = {
+    getAdventure: () => null,
+    getNodes: () => new Map(),
+    loadAdventure: (adventure) => { loaded = adventure; }
+  };
+  const exportSystem = new ExportSystem(editorEngine);
+
+  const imported = await exportSystem.importAdventure(STORY, { format: 'ink' });
+  assert.equal(imported.success, true);
+  assert.equal(loaded.title, 'The Crossing');
+  assert.equal(loaded.startSceneId, 'start');
+});
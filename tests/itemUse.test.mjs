@@ -0,0 +1,182 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'item-use',
+  title: 'Item use',
+  startSceneId: 'camp',
+  stats: [
+    { id: 'health', name: 'Health', type: 'number', defaultValue: 5 },
+    { id: 'magic', name: 'Magic', type: 'number', defaultValue: 0 }
+  ],
+  inventory: [
+    { id: 'herb', name: 'Herb', consumable: true, effects: [{ type: 'stat_add', target: 'health', value: 2 }] },
+    {
+      id: 'scroll',
+      name: 'Teleport Scroll',
+      consumable: true,
+      requirements: [{ type: 'stat', key: 'magic', operator: 'gte', value: 1 }],
+      effects: [{ type: 'go_to_scene', key: 'tower' }]
+    },
+    {
+      id: 'map',
+      name: 'Old Map',
+      usable: true,
+      usableIn: ['forest'],
+      effects: [
+        { type: 'unlock_secret', key: 'hidden_path' },
+        { type: 'add_inventory', key: 'herb', value: 1, description: 'You find a herb marked on the map' }
+      ]
+    },
+    { id: 'rock', name: 'Rock' }
+  ],
+  scenes: [
+    {
+      id: 'camp',
+      title: 'Camp',
+      content: 'A quiet camp.',
+      choices: [{ id: 'woods', text: 'Into the woods', targetSceneId: 'glade' }]
+    },
+    {
+      id: 'glade',
+      title: 'Glade',
+      tags: ['forest'],
+      content: 'Trees all around.',
+      choices: [
+        { id: 'back', text: 'Back to camp', targetSceneId: 'camp' },
+        {
+          id: 'hidden_path',
+          text: 'Follow the hidden path',
+          targetSceneId: 'tower',
+          isSecret: true,
+          conditions: [{ type: 'flag', key: 'knows_path', operator: '==', value: true }]
+        }
+      ]
+    },
+    {
+      id: 'tower',
+      title: 'Wizard Tower',
+      content: 'Shelves of books.',
+      onEnter: [{ type: 'add_stat', key: 'magic', value: 1 }],
+      choices: [{ id: 'leave', text: 'Leave', targetSceneId: 'camp' }]
+    }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const choiceIds = engine => engine.getCurrentChoices()
+  .filter(choice => choice.evaluation.isVisible)
+  .map(choice => choice.id);
+
+test('legacy stat effects still apply and consumables are used up', async () => {
+  const engine = await createEngine();
+  const inventory = engine.getInventoryManager();
+  inventory.addItem('herb', 2);
+
+  const result = engine.useItem('herb');
+  assert.equal(result.success, true);
+  assert.equal(result.message, 'Used 1 Herb');
+  assert.deepEqual(result.effects, ['Health +2']);
+  assert.equal(engine.getStatsManager().getStat('health'), 7);
+  assert.equal(inventory.getItemCount('herb'), 1);
+
+  // Without an engine the manager applies stat and flag effects itself
+  inventory.useItem('herb');
+  assert.equal(engine.getStatsManager().getStat('health'), 9);
+  assert.equal(inventory.getItemCount('herb'), 0);
+});
+
+test('use conditions are evaluated and a teleport scroll moves the player', async () => {
+  const engine = await createEngine();
+  const inventory = engine.getInventoryManager();
+  inventory.addItem('scroll', 1);
+
+  const blocked = engine.useItem('scroll');
+  assert.equal(blocked.success, false);
+  assert.equal(blocked.message, "Teleport Scroll can't be used right now");
+  assert.equal(inventory.getItemCount('scroll'), 1);
+
+  engine.getStatsManager().setStat('magic', 1);
+  const result = engine.useItem('scroll');
+  assert.equal(result.success, true);
+  assert.deepEqual(result.effects, ['Moved to Wizard Tower']);
+  assert.equal(result.scene.id, 'tower');
+  assert.equal(engine.getCurrentScene().id, 'tower');
+  assert.equal(engine.getStatsManager().getStat('magic'), 2); // The tower's onEnter ran
+  assert.equal(inventory.getItemCount('scroll'), 0);
+});
+
+test('usableIn limits items to scenes by id or tag and kept items can be reused', async () => {
+  const engine = await createEngine();
+  const inventory = engine.getInventoryManager();
+  inventory.addItem('map', 1);
+  inventory.addItem('rock', 1);
+
+  assert.equal(engine.useItem('rock').message, 'Rock cannot be used');
+  assert.equal(engine.getItemUseStatus('map').canUse, false);
+  assert.equal(engine.useItem('map').message, "Old Map can't be used here");
+
+  engine.makeChoice('woods');
+  assert.equal(choiceIds(engine).includes('hidden_path'), false);
+  const result = engine.useItem('map');
+  assert.equal(result.success, true);
+  assert.deepEqual(result.effects, ['A secret choice was revealed', 'You find a herb marked on the map']);
+  assert.equal(choiceIds(engine).includes('hidden_path'), true);
+  assert.equal(inventory.getItemCount('map'), 1);
+  assert.equal(inventory.getItemCount('herb'), 1);
+
+  const entry = inventory.getDisplayInventory().categories.get('misc').items.find(item => item.id === 'map');
+  assert.equal(entry.usable, true);
+});
+
+test('go_to_scene in choice and scene actions overrides where the choice leads', async () => {
+  const adventure = createAdventure();
+  adventure.scenes[0].choices.push({
+    id: 'portal',
+    text: 'Step into the portal',
+    targetSceneId: 'glade',
+    actions: [{ type: 'go_to_scene', key: 'tower' }]
+  });
+  adventure.scenes.push({
+    id: 'loop',
+    title: 'Loop',
+    content: 'Round and round.',
+    onEnter: [{ type: 'go_to_scene', key: 'loop' }],
+    choices: []
+  });
+  adventure.scenes[2].choices.push({ id: 'spin', text: 'Spin', targetSceneId: 'loop' });
+
+  const engine = await createEngine(adventure);
+  assert.equal(engine.makeChoice('portal').id, 'tower');
+  assert.equal(engine.getVisitedScenes().includes('glade'), false);
+
+  // A scene that keeps sending the player back to itself stops after a few moves
+  assert.equal(engine.makeChoice('spin').id, 'loop');
+  assert.equal(engine.sceneRedirect, null);
+});
+
+test('validation checks item effects and go_to_scene targets', async () => {
+  const adventure = createAdventure();
+  adventure.inventory[1].effects.push({ type: 'go_to_scene', key: 'nowhere' });
+  adventure.inventory[2].usableIn = ['forest', 'attic'];
+  adventure.inventory[0].effects.push({ type: 'add_inventory', key: 'ghost_item', value: 1 });
+
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const result = await service.validate(adventure);
+  const messages = [...result.errors, ...result.warnings].map(issue => issue.message);
+
+  assert.ok(messages.some(message => message.includes('nowhere')), messages.join('\n'));
+  assert.ok(messages.some(message => message.includes('attic')), messages.join('\n'));
+  assert.ok(messages.some(message => message.includes('ghost_item')), messages.join('\n'));
+});
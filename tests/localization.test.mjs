@@ -0,0 +1,188 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { PlayerSettings } from '../src/engine/PlayerSettings.js';
+import { collectStrings, localizeAdventure, mergeTranslations } from '../src/engine/Localization.js';
+import { exportTranslationsToXliff, exportTranslationsToPo } from '../src/editor/exporters/TranslationExporter.js';
+import { importTranslationsFromXliff, importTranslationsFromPo } from '../src/editor/importers/TranslationImporter.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'inn',
+  title: 'The Inn',
+  startSceneId: 'door',
+  stats: [{ id: 'gold', name: 'Gold', description: 'Coins in your purse', type: 'number', defaultValue: 3 }],
+  inventory: [{ id: 'key', name: 'Brass key', description: 'Opens room 4' }],
+  localization: {
+    sourceLocale: 'en',
+    translations: {
+      fr: {
+        'scene.door.title': 'La porte',
+        'scene.door.content': 'Une porte <b>verte</b>.',
+        'choice.door.knock.text': 'Frapper',
+        'stat.gold.name': 'Or',
+        'item.key.name': 'Clé en laiton',
+        'lock.oneTime': 'Déjà fait'
+      }
+    }
+  },
+  scenes: [
+    {
+      id: 'door',
+      title: 'The door',
+      content: 'A <b>green</b> door.',
+      choices: [
+        { id: 'knock', text: 'Knock', targetSceneId: 'door', oneTime: true, actions: [{ type: 'add_stat', key: 'gold', value: 1 }] },
+        { id: 'enter', text: 'Go in', targetSceneId: 'hall' }
+      ]
+    },
+    { id: 'hall', title: 'Hall', content: 'Warm and loud.\nSomeone says "hello".', choices: [] }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+test('strings get stable IDs and untranslated ones fall back to the source', () => {
+  const adventure = createAdventure();
+  const ids = collectStrings(adventure).map(entry => entry.id);
+  assert.deepEqual(ids.slice(0, 8), [
+    'scene.door.title',
+    'scene.door.content',
+    'choice.door.knock.text',
+    'choice.door.enter.text',
+    'scene.hall.title',
+    'scene.hall.content',
+    'stat.gold.name',
+    'stat.gold.description'
+  ]);
+  assert.ok(ids.includes('item.key.name') && ids.includes('lock.cooldown'));
+
+  const french = localizeAdventure(adventure, 'fr');
+  assert.equal(french.scenes[0].title, 'La porte');
+  assert.equal(french.scenes[0].choices[1].text, 'Go in');
+  assert.equal(french.stats[0].description, 'Coins in your purse');
+  // The source adventure is untouched, and unknown locales play it as is
+  assert.equal(adventure.scenes[0].title, 'The door');
+  assert.equal(localizeAdventure(adventure, 'de'), adventure);
+  assert.equal(localizeAdventure(adventure, 'en'), adventure);
+});
+
+test('switching locale mid-game keeps the game state', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('knock');
+
+  engine.setLocale('fr');
+  assert.equal(engine.getLocale(), 'fr');
+  assert.deepEqual(engine.getAvailableLocales(), ['en', 'fr']);
+  assert.equal(engine.getCurrentScene().title, 'La porte');
+  assert.equal(engine.getStatsManager().getStat('gold'), 4);
+  assert.equal(engine.getStatsManager().statDefinitions.gold.name, 'Or');
+
+  const choices = engine.getCurrentChoices();
+  const knock = choices.find(choice => choice.id === 'knock');
+  assert.equal(knock.text, 'Frapper');
+  assert.deepEqual(knock.evaluation.lockReasons, ['Déjà fait']);
+
+  engine.setLocale(null);
+  assert.equal(engine.getLocale(), 'en');
+  assert.equal(engine.getCurrentScene().title, 'The door');
+  assert.deepEqual(engine.getCurrentChoices().find(choice => choice.id === 'knock').evaluation.lockReasons, ['This choice can only be used once']);
+  assert.equal(engine.makeChoice('enter').id, 'hall');
+});
+
+test('the player locale setting is remembered and applied on load', async () => {
+  const entries = new Map();
+  const storage = { getItem: key => entries.get(key) ?? null, setItem: (key, value) => entries.set(key, String(value)) };
+  new PlayerSettings(storage).update({ locale: 'fr' });
+
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  new PlayerSettings(storage).applyTo(engine);
+  await engine.loadAdventure(createAdventure());
+  assert.equal(engine.getCurrentScene().content, 'Une porte <b>verte</b>.');
+  assert.equal(engine.getInventoryManager().itemDefinitions.get('key').name, 'Clé en laiton');
+
+  // A locale the adventure doesn't have plays the source language
+  const other = new StoryEngine();
+  other.setValidationEnabled(false);
+  other.setLocale('ja');
+  await other.loadAdventure(createAdventure());
+  assert.equal(other.getLocale(), 'en');
+  assert.equal(other.getCurrentScene().title, 'The door');
+});
+
+test('XLIFF 2.0 export and import round-trip translations', () => {
+  const adventure = createAdventure();
+  const { data } = exportTranslationsToXliff(adventure, 'fr');
+
+  assert.match(data, /<xliff xmlns="urn:oasis:names:tc:xliff:document:2\.0" version="2\.0" srcLang="en" trgLang="fr">/);
+  assert.match(data, /<unit id="u2" name="scene\.door\.content">/);
+  assert.match(data, /<source>A &lt;b&gt;green&lt;\/b&gt; door\.<\/source>\n\s*<target>Une porte &lt;b&gt;verte&lt;\/b&gt;\.<\/target>/);
+  assert.match(data, /<segment state="initial">\n\s*<source>Go in<\/source>\n\s*<\/segment>/);
+
+  // A translator fills in a target, and the file carries a unit for a deleted scene
+  const edited = data
+    .replace('<source>Go in</source>', '<source>Go in</source>\n        <target>Entrer</target>')
+    .replace('</file>', '<unit id="x" name="scene.cellar.title"><segment><source>Cellar</source><target>Cave</target></segment></unit>\n  </file>');
+  const source = createAdventure();
+  source.scenes[0].title = 'The green door';
+  const imported = importTranslationsFromXliff(edited, source);
+
+  assert.equal(imported.locale, 'fr');
+  const table = imported.adventure.localization.translations.fr;
+  assert.equal(table['choice.door.enter.text'], 'Entrer');
+  assert.equal(table['scene.door.content'], 'Une porte <b>verte</b>.');
+  assert.equal(table['scene.cellar.title'], undefined);
+  assert.deepEqual(imported.warnings, [
+    'Source text of "scene.door.title" changed since it was exported; check the translation.',
+    'String "scene.cellar.title" no longer exists in the adventure; skipped.'
+  ]);
+  assert.equal(imported.imported, 7);
+});
+
+test('gettext PO export and import round-trip translations', () => {
+  const adventure = mergeTranslations(createAdventure(), 'fr', { 'scene.hall.content': 'Chaud et bruyant.\nQuelqu\'un dit "bonjour".' });
+  const { data } = exportTranslationsToPo(adventure, 'fr');
+
+  assert.match(data, /"Language: fr\\n"/);
+  assert.match(data, /#\. Scene "Hall" content\nmsgctxt "scene\.hall\.content"\nmsgid ""\n"Warm and loud\.\\n"\n"Someone says \\"hello\\"\."\nmsgstr ""\n"Chaud et bruyant\.\\n"\n"Quelqu'un dit \\"bonjour\\"\."/);
+  assert.match(data, /msgctxt "choice\.door\.enter\.text"\nmsgid "Go in"\nmsgstr ""/);
+
+  const edited = data
+    .replace('msgid "Go in"\nmsgstr ""', 'msgid "Go in"\nmsgstr "Entrer"')
+    .replace('#. Scene "Hall" title\n', '#. Scene "Hall" title\n#, fuzzy\n')
+    .replace('msgid "Hall"\nmsgstr ""', 'msgid "Hall"\nmsgstr "Salle"');
+  const imported = importTranslationsFromPo(edited, createAdventure());
+  const table = imported.adventure.localization.translations.fr;
+
+  assert.equal(imported.locale, 'fr');
+  assert.equal(table['choice.door.enter.text'], 'Entrer');
+  assert.equal(table['scene.hall.content'], 'Chaud et bruyant.\nQuelqu\'un dit "bonjour".');
+  assert.equal(table['scene.hall.title'], undefined);
+  assert.equal(imported.warnings.length, 1);
+  assert.match(imported.warnings[0], /"scene\.hall\.title" is marked fuzzy; skipped/);
+});
+
+test('ValidationService reports translation coverage per locale', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = mergeTranslations(createAdventure(), 'fr', { 'scene.gone.title': 'Parti' });
+
+  const coverage = service.getTranslationCoverage(adventure);
+  const french = coverage.locales[0];
+  assert.equal(coverage.total, collectStrings(adventure).length);
+  assert.equal(french.translated, 6);
+  assert.ok(french.missing.includes('choice.door.enter.text'));
+  assert.deepEqual(french.unused, ['scene.gone.title']);
+
+  const result = await service.validate(adventure);
+  const warning = result.warnings.find(entry => entry.location === 'localization.translations.fr');
+  assert.equal(warning.message, `Locale 'fr' is ${french.percent}% translated (${french.missing.length} of ${coverage.total} strings missing; the source text is shown instead)`);
+  assert.ok(result.info.some(entry => entry.message === "Locale 'fr' has 1 translation for strings that no longer exist"));
+});
@@ -0,0 +1,213 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { PlayerProfile } from '../src/engine/PlayerProfile.js';
+import { StateSpaceExplorer } from '../src/engine/StateSpaceExplorer.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'loop',
+  title: 'The Loop',
+  startSceneId: 'wake',
+  stats: [],
+  metaFlags: [{ id: 'remembers', name: 'Remembers the dream' }],
+  achievements: [
+    { id: 'dreamer', name: 'Dreamer', description: 'Fall asleep', conditions: [{ type: 'scene_visited', key: 'dream', operator: 'eq', value: true }] }
+  ],
+  scenes: [
+    {
+      id: 'wake',
+      title: 'Waking Up',
+      content: 'You wake up. Again?',
+      choices: [
+        { id: 'sleep', text: 'Go back to sleep', targetSceneId: 'dream' },
+        {
+          id: 'remember',
+          text: 'I have been here before',
+          targetSceneId: 'truth',
+          isHidden: true,
+          conditions: [{ type: 'meta_flag', key: 'remembers', operator: 'eq', value: true }]
+        },
+        {
+          id: 'veteran',
+          text: 'Break the loop',
+          targetSceneId: 'truth',
+          isHidden: true,
+          conditions: [{ type: 'playthrough_count', operator: 'gte', value: 2 }]
+        }
+      ]
+    },
+    {
+      id: 'dream',
+      title: 'Dream',
+      content: 'A voice tells you to remember.',
+      onEnter: [{ type: 'set_meta_flag', key: 'remembers' }],
+      choices: [
+        { id: 'fall', text: 'Fall', targetSceneId: 'bad_end' },
+        { id: 'peek', text: 'Open your eyes', targetSceneId: 'epilogue' }
+      ]
+    },
+    {
+      id: 'epilogue',
+      title: 'Epilogue',
+      content: 'It could end here.',
+      isEnding: true,
+      choices: [{ id: 'onwards', text: 'Keep going', targetSceneId: 'bad_end' }]
+    },
+    { id: 'bad_end', title: 'The Fall', content: 'You fall forever.', choices: [] },
+    {
+      id: 'truth',
+      title: 'Truth',
+      content: 'The loop breaks.',
+      choices: [
+        {
+          id: 'look_back',
+          text: 'Remember the fall',
+          targetSceneId: 'bad_end',
+          isHidden: true,
+          conditions: [{ type: 'ending_seen', key: 'bad_end', operator: 'eq', value: true }]
+        }
+      ]
+    }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const choiceIds = engine => engine.getCurrentChoices()
+  .filter(choice => choice.evaluation.isVisible)
+  .map(choice => choice.id);
+
+test('PlayerProfile counts endings once per playthrough and keeps meta flags across playthroughs', async () => {
+  localStorage.clear();
+  const first = await createEngine();
+  const reached = [];
+  first.events.on('endingReached', event => reached.push(event));
+
+  assert.deepEqual(choiceIds(first), ['sleep']);
+  first.makeChoice('sleep');
+  first.makeChoice('peek');
+  first.makeChoice('onwards');
+
+  assert.deepEqual(reached, [{ sceneId: 'epilogue', firstTime: true }, { sceneId: 'bad_end', firstTime: true }]);
+  const summary = first.getPlayerProfileSummary();
+  assert.equal(summary.playthroughs, 1);
+  assert.deepEqual(summary.endings.map(ending => ending.title), ['Epilogue', 'The Fall']);
+  assert.equal(summary.totalEndings, 2);
+  assert.deepEqual(summary.metaFlags, { remembers: true });
+  assert.equal(summary.achievementsUnlocked, 1);
+
+  // A new playthrough (another engine on the same storage) sees what the first one did
+  const second = await createEngine();
+  assert.deepEqual(choiceIds(second), ['sleep', 'remember']);
+  second.makeChoice('remember');
+  assert.deepEqual(choiceIds(second), ['look_back']);
+  second.makeChoice('look_back');
+
+  const third = await createEngine();
+  assert.deepEqual(choiceIds(third), ['sleep', 'remember', 'veteran']);
+  assert.equal(third.playerProfile.getPlaythroughCount('loop'), 2);
+  assert.equal(third.playerProfile.getRecord('loop').endings.bad_end.count, 2);
+});
+
+test('PlayerProfile export, import and reset', async () => {
+  localStorage.clear();
+  const engine = await createEngine();
+  engine.makeChoice('sleep');
+  engine.makeChoice('fall');
+  const exported = engine.playerProfile.exportProfile();
+
+  engine.playerProfile.reset('loop');
+  engine.reloadPlayerProfile();
+  assert.equal(engine.getPlayerProfileSummary().playthroughs, 0);
+  assert.deepEqual(engine.getUnlockedAchievements(), []);
+
+  assert.deepEqual(engine.playerProfile.importProfile('{"not": "a profile"}'), { success: false, message: 'Not a player profile export' });
+  assert.equal(engine.playerProfile.importProfile('not json').success, false);
+  assert.equal(engine.playerProfile.importProfile(JSON.stringify({ ...JSON.parse(exported), version: 99 })).success, false);
+
+  const result = engine.playerProfile.importProfile(exported);
+  assert.equal(result.success, true);
+  engine.reloadPlayerProfile();
+  assert.equal(engine.getPlayerProfileSummary().playthroughs, 1);
+  assert.deepEqual(engine.getUnlockedAchievements().map(entry => entry.id), ['dreamer']);
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'ending_seen', key: 'bad_end', operator: 'eq', value: true }), true);
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'achievement_unlocked', key: 'dreamer', operator: 'eq', value: true }), true);
+
+  // Reset without an adventure id forgets every adventure
+  engine.playerProfile.reset();
+  assert.deepEqual(JSON.parse(engine.playerProfile.exportProfile()).adventures, {});
+});
+
+test('StateSpaceExplorer plays on an empty in-memory profile', async () => {
+  localStorage.clear();
+  const report = await new StateSpaceExplorer(createAdventure()).explore();
+
+  assert.equal(report.complete, true);
+  // The epilogue is marked isEnding but keeps a choice; it is an ending, not a dead end
+  assert.deepEqual(report.endings.map(ending => ending.sceneId), ['bad_end', 'epilogue']);
+  assert.deepEqual(report.deadEnds, []);
+  // The meta flag set in the dream opens 'remember' only on later playthroughs
+  assert.equal(report.reachedScenes.includes('truth'), false);
+  assert.equal(localStorage.getItem('adventure_player_profile'), null);
+});
+
+test('ConditionParser validates and describes profile conditions', async () => {
+  const engine = await createEngine();
+  const parser = engine.conditionParser;
+
+  assert.deepEqual(parser.validateCondition({ type: 'playthrough_count', operator: 'gte', value: 2 }), { valid: true });
+  ['meta_flag', 'ending_seen', 'achievement_unlocked'].forEach(type => {
+    assert.deepEqual(parser.validateCondition({ type, key: 'x', operator: 'eq', value: true }), { valid: true });
+  });
+  assert.equal(parser.getConditionDescription({ type: 'ending_seen', key: 'bad_end', operator: 'eq', value: true }), 'Seen ending "bad_end" equals true');
+  assert.equal(parser.getConditionDescription({ type: 'playthrough_count', operator: 'gte', value: 2 }), 'Completed playthroughs greater than or equal 2');
+});
+
+test('StateSpaceExplorer treats an isEnding scene with choices as a reachable ending', async () => {
+  const adventure = createAdventure();
+  adventure.scenes.find(scene => scene.id === 'bad_end').choices = [];
+  adventure.scenes.find(scene => scene.id === 'dream').choices = [{ id: 'peek', text: 'Open your eyes', targetSceneId: 'epilogue' }];
+  // Its only way on is locked, so it used to be a dead end and every path unwinnable
+  adventure.scenes.find(scene => scene.id === 'epilogue').choices[0].requirements = [{ type: 'playthrough_count', operator: 'gte', value: 5 }];
+
+  const report = await new StateSpaceExplorer(adventure).explore();
+
+  assert.deepEqual(report.endings.map(ending => ending.sceneId), ['epilogue']);
+  assert.deepEqual(report.deadEnds, []);
+  assert.deepEqual(report.unwinnable, []);
+  assert.deepEqual(report.unreachableEndings.map(ending => ending.sceneId), ['bad_end']);
+});
+
+test('ValidationService reports undeclared meta flags and unknown profile references', async () => {
+  const adventure = createAdventure();
+  adventure.scenes[0].choices.push({
+    id: 'odd',
+    text: 'Odd',
+    targetSceneId: 'dream',
+    conditions: [
+      { type: 'meta_flag', key: 'never_set', operator: 'eq', value: true },
+      { type: 'ending_seen', key: 'dream', operator: 'eq', value: true },
+      { type: 'achievement_unlocked', key: 'nope', operator: 'eq', value: true }
+    ],
+    actions: [{ type: 'set_meta_flag', key: 'secret_route' }]
+  });
+  adventure.metaFlags.push({ id: 'never_set' });
+
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const result = await service.validate(adventure);
+  const messages = [...result.errors, ...result.warnings].map(issue => issue.message);
+
+  assert.ok(messages.includes("Action sets undeclared meta flag 'secret_route'"));
+  assert.ok(messages.includes("Meta flag 'never_set' is checked but never set"));
+  assert.ok(messages.includes("Condition checks ending 'dream', which is not an ending scene"));
+  assert.ok(result.errors.some(issue => issue.message === "Condition checks unknown achievement 'nope'"));
+  assert.ok(!messages.some(message => message.includes("'remembers'")));
+});
@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// No browser globals on purpose: the runner has to work in plain Node
+import { PlaythroughRunner, formatTap, formatJUnit, registerPlaythroughTests } from '../src/engine/PlaythroughRunner.js';
+
+const createAdventure = () => ({
+  id: 'castle',
+  title: 'The Castle',
+  startSceneId: 'road',
+  stats: [{ id: 'gold', name: 'Gold', type: 'number', defaultValue: 5 }],
+  flags: [{ id: 'met_guard', name: 'met_guard', defaultValue: false }],
+  inventory: [
+    { id: 'key', name: 'Key', type: 'key', stackable: false },
+    { id: 'coin', name: 'Coin', type: 'misc', stackable: true }
+  ],
+  scenes: [
+    {
+      id: 'road',
+      title: 'Road',
+      content: 'A road to the castle.',
+      choices: [
+        { id: 'work', text: 'Work the fields', targetSceneId: 'road', actions: [{ type: 'add_stat', key: 'gold', value: 3 }] },
+        { id: 'search', text: 'Search the ditch', targetSceneId: 'road', oneTime: true, actions: [{ type: 'add_inventory', key: 'key', value: 1 }, { type: 'add_inventory', key: 'coin', value: 2 }] },
+        { id: 'guard', text: 'Talk to the guard', targetSceneId: 'road', actions: [{ type: 'set_flag', key: 'met_guard', value: true }] },
+        { id: 'gate', text: 'Go to the gate', targetSceneId: 'castle_gate', requirements: [{ type: 'stat', key: 'gold', operator: '>=', value: 10 }] },
+        { id: 'secret', text: 'Secret path', targetSceneId: 'castle_gate', conditions: [{ type: 'flag', key: 'met_guard', operator: 'eq', value: true }] }
+      ]
+    },
+    { id: 'castle_gate', title: 'Castle Gate', content: 'The gate.', choices: [] }
+  ]
+});
+
+test('a passing playthrough reports every step', async () => {
+  const runner = new PlaythroughRunner(createAdventure());
+  const result = await runner.run({
+    name: 'gold for the gate',
+    steps: [
+      { expect: { scene: 'road', choices: { visible: ['gate'], locked: ['gate'], hidden: ['secret'] } } },
+      { choose: 'work' },
+      { choose: 'search', expect: { stats: { gold: { gte: 8, lt: 9 } }, inventory: { key: true, coin: 2 } } },
+      { choose: 'work', expect: { choices: { selectable: ['gate'] } } },
+      { choose: 'gate', expect: { scene: 'castle_gate', stats: { gold: 11 }, inventory: { coin: { gt: 1 } }, flags: { met_guard: false } } }
+    ]
+  });
+
+  assert.equal(result.passed, true, JSON.stringify(result.steps.flatMap(step => step.failures)));
+  assert.equal(result.name, 'gold for the gate');
+  assert.deepEqual(result.steps.map(step => step.description), ['start', "choose 'work'", "choose 'search'", "choose 'work'", "choose 'gate'"]);
+  assert.deepEqual(result.steps.map(step => step.sceneId), ['road', 'road', 'road', 'road', 'castle_gate']);
+});
+
+test('the choices shorthand checks once at the end', async () => {
+  const runner = new PlaythroughRunner(createAdventure());
+  const [passing, failing] = await runner.runAll([
+    { name: 'guard', choices: ['guard', 'secret'], expect: { scene: 'castle_gate', flags: { met_guard: true } } },
+    { name: 'wrong ending', choices: ['guard'], expect: { scene: 'castle_gate', stats: { gold: { gt: 5 } }, inventory: { key: true }, choices: { hidden: ['secret'] } } }
+  ]);
+
+  assert.equal(passing.passed, true);
+  assert.equal(passing.steps.length, 2);
+  assert.equal(failing.passed, false);
+  assert.deepEqual(failing.steps[0].failures.map(failure => failure.message), [
+    "Expected scene 'castle_gate', got 'road'",
+    'Expected stat gold gt 5, got 5',
+    'Expected item key to be held',
+    "Expected choice 'secret' to be hidden, it is selectable"
+  ]);
+});
+
+test('a choice that cannot be taken fails its step and skips the rest', async () => {
+  const runner = new PlaythroughRunner(createAdventure());
+  const result = await runner.run({ name: 'locked gate', choices: ['gate', 'work'], expect: { scene: 'castle_gate' } });
+
+  assert.equal(result.passed, false);
+  assert.match(result.steps[0].failures[0].message, /^Choice 'gate' is locked in scene 'road'/);
+  assert.equal(result.steps[1].skipped, true);
+  assert.equal(result.steps[1].skipReason, 'step 1 failed');
+
+  const hidden = await runner.run({ name: 'hidden', choices: ['secret'] });
+  assert.equal(hidden.steps[0].failures[0].message, "Choice 'secret' is hidden in scene 'road'");
+
+  const unknown = await runner.run({ name: 'unknown', choices: ['fly'] });
+  assert.equal(unknown.steps[0].failures[0].message, "Scene 'road' has no choice 'fly'");
+
+  const search = await runner.run({ name: 'search twice', choices: ['search', 'search'] });
+  assert.match(search.steps[1].failures[0].message, /^Choice 'search' is (locked|hidden) in scene 'road'/);
+});
+
+test('each run starts from a fresh engine and leaves the console alone', async () => {
+  const adventure = createAdventure();
+  const runner = new PlaythroughRunner(adventure);
+  const log = console.log;
+  const pending = runner.run({ name: 'first', choices: ['work', 'work'] });
+  // Muting never spans an await, so concurrent tests keep their output
+  assert.equal(console.log, log);
+  await pending;
+  const second = await runner.run({ name: 'second', steps: [{ expect: { stats: { gold: 5 } } }] });
+
+  assert.equal(second.passed, true);
+  assert.equal(console.log, log);
+  assert.equal(adventure.scenes[0].choices.length, 5);
+
+  const broken = await new PlaythroughRunner({ ...adventure, startSceneId: 'nowhere' }).run({ name: 'broken', choices: ['work'] });
+  assert.equal(broken.passed, false);
+  assert.equal(broken.steps[0].failures[0].message, "Start scene 'nowhere' not found");
+  assert.equal(broken.steps[1].skipped, true);
+});
+
+test('results format as TAP and JUnit XML', async () => {
+  const runner = new PlaythroughRunner(createAdventure());
+  const results = await runner.runAll([
+    { name: 'works', choices: ['work'], expect: { stats: { gold: 8 } } },
+    { name: 'gate <early>', choices: ['gate', 'work'] }
+  ]);
+
+  const tap = formatTap(results);
+  assert.match(tap, /^TAP version 13\n# Subtest: works\n {4}ok 1 - choose 'work'\n {4}1\.\.1\nok 1 - works\n/);
+  assert.match(tap, / {4}not ok 1 - choose 'gate'\n {6}---\n {6}sceneId: "road"\n {6}failures:\n {8}- message: "Choice 'gate' is locked/);
+  assert.match(tap, / {4}ok 2 - choose 'work' # SKIP step 1 failed\n/);
+  assert.match(tap, /not ok 2 - gate <early>\n1\.\.2\n$/);
+
+  const xml = formatJUnit(results, { name: 'castle' });
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="castle" tests="3" failures="1" skipped="1" /);
+  assert.match(xml, /<testsuite name="gate &lt;early&gt;" tests="2" failures="1" skipped="1" /);
+  assert.match(xml, /<testcase classname="works" name="1 - choose &apos;work&apos;" time="[\d.]+"\/>/);
+  assert.match(xml, /<failure message="Choice &apos;gate&apos; is locked in scene &apos;road&apos;[^"]*">scene: road\n/);
+  assert.match(xml, /<skipped message="step 1 failed"\/>/);
+});
+
+// The way a story's own regression tests use the runner
+registerPlaythroughTests(test, createAdventure(), [
+  { name: 'registered: reach the gate with gold', choices: ['work', 'work', 'gate'], expect: { scene: 'castle_gate', stats: { gold: { gte: 10 } } } },
+  { name: 'registered: the guard shows the secret path', steps: [{ choose: 'guard', expect: { choices: { visible: ['secret'] } } }, { choose: 'secret', expect: { scene: 'castle_gate' } }] }
+]);
@@ -0,0 +1,246 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+import { collectStrings, mergeTranslations } from '../src/engine/Localization.js';
+import { CONDITION_TYPES } from '../src/engine/ConditionParser.js';
+import { validateConditions } from '../src/utils/validation.js';
+
+const createAdventure = () => ({
+  id: 'quests',
+  title: 'Quests',
+  startSceneId: 'yard',
+  stats: [{ id: 'gold', name: 'Gold', type: 'number', defaultValue: 0 }],
+  quests: [
+    {
+      id: 'rescue',
+      name: 'Rescue the cat',
+      description: 'The cat is stuck somewhere.',
+      objectives: [
+        { id: 'search', description: 'Search the barn' },
+        { id: 'lure', description: 'Lure it down with fish', optional: true },
+        { id: 'bring', description: 'Bring it home', completeWhen: [{ type: 'scene_visited', key: 'home', operator: 'eq', value: true }] }
+      ],
+      onComplete: [{ type: 'add_stat', key: 'gold', value: 10 }]
+    },
+    {
+      id: 'toll',
+      name: 'Pay the toll',
+      startWhen: [{ type: 'quest_state', key: 'rescue', operator: 'eq', value: 'completed' }],
+      objectives: [{ id: 'pay', description: 'Have 10 gold', completeWhen: [{ type: 'stat', key: 'gold', operator: 'gte', value: 10 }] }]
+    },
+    {
+      id: 'heist',
+      name: 'The heist',
+      objectives: [{ id: 'vault', description: 'Open the vault' }],
+      onFail: [{ type: 'add_stat', key: 'gold', value: -1 }]
+    }
+  ],
+  scenes: [
+    {
+      id: 'yard',
+      title: 'Yard',
+      content: 'A cat meows in the distance.',
+      choices: [
+        { id: 'take', text: 'Help find the cat', targetSceneId: 'barn', actions: [{ type: 'start_quest', key: 'rescue' }] },
+        { id: 'plan', text: 'Plan a heist', targetSceneId: 'yard', actions: [{ type: 'start_quest', key: 'heist' }] },
+        { id: 'abandon', text: 'Call the heist off', targetSceneId: 'yard', actions: [{ type: 'fail_quest', key: 'heist' }] },
+        { id: 'crack', text: 'Crack the vault', targetSceneId: 'yard', actions: [{ type: 'complete_objective', key: 'heist.vault' }] }
+      ]
+    },
+    {
+      id: 'barn',
+      title: 'Barn',
+      content: 'Hay everywhere.',
+      choices: [
+        { id: 'search', text: 'Search the hay', targetSceneId: 'barn', actions: [{ type: 'complete_objective', key: 'rescue.search' }] },
+        {
+          id: 'home',
+          text: 'Carry the cat home',
+          targetSceneId: 'home',
+          conditions: [{ type: 'quest_state', key: 'rescue.search', operator: 'eq', value: 'completed' }]
+        }
+      ]
+    },
+    {
+      id: 'home',
+      title: 'Home',
+      content: 'The cat purrs.',
+      choices: []
+    }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const choiceIds = engine => engine.getCurrentChoices()
+  .filter(choice => choice.evaluation.isVisible)
+  .map(choice => choice.id);
+
+const journal = engine => engine.getQuestJournal().map(quest => [
+  quest.id,
+  quest.state,
+  ...quest.objectives.map(objective => `${objective.id}:${objective.state}`)
+]);
+
+test('quest actions start quests and complete objectives; quest_state conditions read them', async () => {
+  const engine = await createEngine();
+  const updates = [];
+  engine.events.on('questUpdated', ({ questId, objectiveId, state }) => updates.push([questId, objectiveId, state]));
+
+  assert.equal(engine.questManager.getStateOf('rescue'), 'inactive');
+  assert.equal(engine.questManager.getStateOf('rescue.search'), 'inactive');
+  assert.equal(engine.questManager.getStateOf('nothing'), undefined);
+  assert.deepEqual(engine.getQuestJournal(), []);
+
+  engine.makeChoice('take');
+  assert.deepEqual(journal(engine), [['rescue', 'active', 'search:active', 'lure:active', 'bring:active']]);
+  assert.deepEqual(choiceIds(engine), ['search']);
+  assert.equal(engine.questManager.start('rescue').success, false);
+
+  engine.makeChoice('search');
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'quest_state', key: 'rescue.search', operator: 'eq', value: 'completed' }), true);
+  assert.deepEqual(choiceIds(engine), ['search', 'home']);
+  assert.equal(engine.questManager.completeObjective('rescue.search').success, false);
+  assert.equal(engine.describeAction({ type: 'complete_objective', key: 'rescue.search' }), 'Objective complete: Search the barn');
+
+  // Reaching home completes the last required objective; the optional one fails with the quest's end
+  engine.makeChoice('home');
+  assert.deepEqual(journal(engine), [
+    ['rescue', 'completed', 'search:completed', 'lure:failed', 'bring:completed'],
+    ['toll', 'completed', 'pay:completed']
+  ]);
+  assert.equal(engine.getStatsManager().getStat('gold'), 10);
+  assert.deepEqual(updates, [
+    ['rescue', null, 'active'],
+    ['rescue', 'search', 'completed'],
+    ['rescue', 'bring', 'completed'],
+    ['rescue', null, 'completed'],
+    ['toll', null, 'active'],
+    ['toll', 'pay', 'completed'],
+    ['toll', null, 'completed']
+  ]);
+});
+
+test('fail_quest fails an active quest, its open objectives and runs onFail', async () => {
+  const engine = await createEngine();
+
+  engine.makeChoice('abandon');
+  assert.deepEqual(engine.getQuestJournal(), []);
+  assert.equal(engine.questManager.fail('heist').message, 'The heist is not active');
+
+  engine.makeChoice('plan');
+  engine.makeChoice('abandon');
+  assert.deepEqual(journal(engine), [['heist', 'failed', 'vault:failed']]);
+  assert.equal(engine.getStatsManager().getStat('gold'), -1);
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'quest_state', key: 'heist', operator: 'eq', value: 'failed' }), true);
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'quest_state', key: 'ghost', operator: 'eq', value: 'inactive' }), false);
+});
+
+test('quest actions log as quest outcomes and quest_state conditions validate', async () => {
+  const engine = await createEngine();
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  try {
+    engine.executeActions([{ type: 'start_quest', key: 'heist' }]);
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(logged.includes('StoryEngine: Quest: Quest started: The heist'), JSON.stringify(logged));
+  const condition = { type: 'quest_state', key: 'rescue.search', operator: 'eq', value: 'active' };
+  assert.deepEqual(engine.conditionParser.validateCondition(condition), { valid: true });
+  assert.equal(engine.conditionParser.getConditionDescription(condition), 'Quest state of "rescue.search" equals active');
+
+  // The adventure-level check accepts every type the parser does
+  CONDITION_TYPES.filter(type => type !== 'expression').forEach(type => {
+    const typed = { type, key: 'x', operator: 'eq', value: true };
+    assert.deepEqual(engine.conditionParser.validateCondition(typed), { valid: true }, type);
+    assert.equal(validateConditions([typed]), true, type);
+  });
+  assert.equal(validateConditions([{ type: 'playthrough_count', operator: 'gte', value: 1 }]), true);
+});
+
+test('quest states survive save/load and rewinding', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('take');
+  engine.makeChoice('search');
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.quests, [{ id: 'rescue', state: 'active', objectives: { search: 'completed', lure: 'active', bring: 'active' } }]);
+
+  const restored = await createEngine();
+  restored.loadFromSave(saveData);
+  assert.deepEqual(journal(restored), journal(engine));
+  assert.deepEqual(choiceIds(restored), ['search', 'home']);
+
+  engine.makeChoice('home');
+  engine.undoLastChoice();
+  assert.deepEqual(journal(engine), [['rescue', 'active', 'search:completed', 'lure:active', 'bring:active']]);
+  assert.equal(engine.getStatsManager().getStat('gold'), 0);
+});
+
+test('quest names, descriptions and objectives are translatable', async () => {
+  const adventure = createAdventure();
+  const ids = collectStrings(adventure).map(entry => entry.id);
+  assert.ok(ids.includes('quest.rescue.name'));
+  assert.ok(ids.includes('quest.rescue.description'));
+  assert.ok(ids.includes('questObjective.rescue.search.description'));
+
+  const engine = await createEngine(mergeTranslations(adventure, 'fr', {
+    'quest.rescue.name': 'Sauver le chat',
+    'questObjective.rescue.search.description': 'Fouiller la grange'
+  }));
+  engine.makeChoice('take');
+  engine.setLocale('fr');
+  const [quest] = engine.getQuestJournal();
+  assert.equal(quest.name, 'Sauver le chat');
+  assert.equal(quest.state, 'active');
+  assert.equal(quest.objectives[0].description, 'Fouiller la grange');
+  assert.equal(quest.objectives[1].description, 'Lure it down with fish');
+});
+
+test('ValidationService checks quest references and quests that can never complete', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+
+  const clean = await service.validate(adventure);
+  assert.ok(clean.errors.every(error => !/quest/i.test(error.message)), JSON.stringify(clean.errors));
+  assert.ok(clean.warnings.every(warning => !/quest/i.test(warning.message)), JSON.stringify(clean.warnings));
+
+  adventure.quests.push(
+    { id: 'heist', name: 'Second heist', objectives: [{ id: 'x' }] },
+    { id: 'side.quest', objectives: [{ id: 'only', optional: true }] },
+    { id: 'stuck', objectives: [{ id: 'wait', description: 'Wait forever' }, { id: 'wait' }], startWhen: [{ type: 'stat', key: 'gold', operator: 'gt', value: 100 }] }
+  );
+  adventure.scenes[2].choices.push({
+    id: 'again',
+    text: 'Again',
+    targetSceneId: 'yard',
+    actions: [{ type: 'start_quest', key: 'rescue_2' }, { type: 'complete_objective', key: 'rescue.pet' }],
+    conditions: [{ type: 'quest_state', key: 'rescue', operator: 'eq', value: 'done' }]
+  });
+
+  const result = await service.validate(adventure);
+  const errors = result.errors.map(error => error.message);
+  const warnings = result.warnings.map(warning => warning.message);
+  assert.ok(errors.includes("Duplicate quest 'heist'"));
+  assert.ok(errors.includes("Quest id 'side.quest' contains a dot"));
+  assert.ok(errors.includes("Quest 'stuck' has a duplicate objective 'wait'"));
+  assert.ok(errors.includes("Action start_quest references unknown quest 'rescue_2'"));
+  assert.ok(errors.includes("Action complete_objective references unknown quest objective 'rescue.pet'"));
+  assert.ok(errors.includes("Condition compares 'rescue' with unknown quest state 'done'"));
+  assert.ok(errors.includes("Quest 'side.quest' can never complete: it has no required objectives"));
+  assert.ok(errors.includes("Quest 'stuck' can never complete: objective 'wait' has no completeWhen conditions and no complete_objective action"));
+  assert.ok(warnings.includes("Quest 'side.quest' is never started"));
+  assert.ok(!warnings.includes("Quest 'stuck' is never started"));
+});
@@ -0,0 +1,160 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine, DEFAULT_REWIND_LIMIT } from '../src/engine/StoryEngine.js';
+
+const createAdventure = (rewind) => ({
+  id: 'rewind',
+  title: 'Rewind',
+  startSceneId: 'camp',
+  randomSeed: 7,
+  rewind,
+  stats: [{ id: 'gold', name: 'gold', type: 'number', defaultValue: 0 }],
+  flags: [{ id: 'warned', name: 'warned' }],
+  inventory: [{ id: 'torch', name: 'Torch' }],
+  scenes: [
+    {
+      id: 'camp',
+      title: 'Camp',
+      content: 'A quiet camp.',
+      choices: [
+        {
+          id: 'search',
+          text: 'Search the camp',
+          targetSceneId: 'camp',
+          actions: [
+            { id: 'first_search', type: 'add_stat', key: 'gold', value: 5, oneTime: true },
+            { type: 'add_inventory', key: 'torch', value: 1 },
+            { type: 'unlock_secret', key: 'tunnel' }
+          ]
+        },
+        { id: 'listen', text: 'Listen', targetSceneId: 'cave', actions: [{ type: 'set_flag', key: 'warned', value: true }] },
+        { id: 'leave', text: 'Leave', targetSceneId: 'road' }
+      ]
+    },
+    {
+      id: 'cave',
+      title: 'Cave',
+      content: 'Darkness.',
+      choices: [
+        { id: 'tunnel', text: 'Crawl into the tunnel', targetSceneId: 'road', isSecret: true },
+        { id: 'out', text: 'Go back', targetSceneId: 'camp' }
+      ]
+    },
+    { id: 'road', title: 'Road', content: 'The road home.', choices: [] }
+  ]
+});
+
+const createEngine = async (rewind) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(createAdventure(rewind));
+  return engine;
+};
+
+test('undoLastChoice restores stats, flags, inventory, one-time actions and secrets', async () => {
+  const engine = await createEngine();
+  const rewound = [];
+  engine.events.on('rewound', event => rewound.push(event));
+
+  engine.makeChoice('search');
+  engine.makeChoice('listen');
+  assert.equal(engine.getCurrentScene().id, 'cave');
+  assert.equal(engine.getStatsManager().getStat('gold'), 5);
+  assert.equal(engine.getStatsManager().hasFlag('warned'), true);
+  assert.equal(engine.getInventoryManager().getItemCount('torch'), 1);
+  assert.ok(engine.secretChoicesAvailable.has('tunnel'));
+
+  engine.undoLastChoice();
+  assert.equal(engine.getCurrentScene().id, 'camp');
+  assert.deepEqual(engine.getVisitedScenes(), ['camp']);
+  assert.equal(engine.getStatsManager().hasFlag('warned'), false);
+  assert.equal(engine.getStatsManager().getStat('gold'), 5);
+  assert.deepEqual(engine.choiceHistory.map(record => record.choiceId), ['search']);
+
+  engine.undoLastChoice();
+  assert.equal(engine.getStatsManager().getStat('gold'), 0);
+  assert.equal(engine.getInventoryManager().getItemCount('torch'), 0);
+  assert.equal(engine.secretChoicesAvailable.has('tunnel'), false);
+  assert.deepEqual(engine.secretsDiscovered, []);
+  assert.deepEqual(engine.choiceHistory, []);
+  assert.equal(engine.canRewind(), false);
+  assert.equal(engine.undoLastChoice(), null);
+
+  // The one-time action was undone with the rest, so it pays out again
+  engine.makeChoice('search');
+  assert.equal(engine.getStatsManager().getStat('gold'), 5);
+  assert.deepEqual(rewound.map(event => [event.turn, event.choiceId]), [[1, 'listen'], [0, 'search']]);
+});
+
+test('rewindTo branches from an earlier decision point', async () => {
+  const engine = await createEngine();
+
+  engine.makeChoice('search');
+  engine.makeChoice('search');
+  engine.makeChoice('listen');
+  assert.deepEqual(engine.getRewindPoints().map(point => [point.turn, point.sceneTitle, point.choiceText]), [
+    [0, 'Camp', 'Search the camp'],
+    [1, 'Camp', 'Search the camp'],
+    [2, 'Camp', 'Listen']
+  ]);
+  assert.equal(engine.getRewindPoints()[0].snapshot, undefined);
+
+  const scene = engine.rewindTo(1);
+  assert.equal(scene.id, 'camp');
+  assert.equal(engine.getInventoryManager().getItemCount('torch'), 1);
+  assert.deepEqual(engine.getRewindPoints().map(point => point.turn), [0]);
+
+  engine.makeChoice('leave');
+  assert.equal(engine.getCurrentScene().id, 'road');
+  assert.deepEqual(engine.choiceHistory.map(record => record.choiceId), ['search', 'leave']);
+  assert.deepEqual(engine.getRewindPoints().map(point => point.turn), [0, 1]);
+
+  assert.equal(engine.rewindTo(5), null);
+});
+
+test('rewind settings limit or disable decision points', async () => {
+  const limited = await createEngine({ limit: 2 });
+  limited.makeChoice('search');
+  limited.makeChoice('search');
+  limited.makeChoice('search');
+  assert.deepEqual(limited.getRewindSettings(), { enabled: true, limit: 2 });
+  assert.deepEqual(limited.getRewindPoints().map(point => point.turn), [1, 2]);
+
+  const disabled = await createEngine({ enabled: false });
+  disabled.makeChoice('search');
+  assert.equal(disabled.canRewind(), false);
+  assert.deepEqual(disabled.getRewindPoints(), []);
+});
+
+test('decision points stay the same size and are capped by default', async () => {
+  const engine = await createEngine();
+  for (let turn = 0; turn < DEFAULT_REWIND_LIMIT + 50; turn++) engine.makeChoice('search');
+
+  assert.equal(engine.getRewindSettings().limit, DEFAULT_REWIND_LIMIT);
+  assert.equal(engine.getRewindPoints().length, DEFAULT_REWIND_LIMIT);
+  // Points keep list lengths rather than copies of the history, so late ones are no bigger
+  const sizes = engine.rewindPoints.map(point => JSON.stringify(point.snapshot).length);
+  assert.ok(Math.max(...sizes) - Math.min(...sizes) < 20, `snapshot sizes ${Math.min(...sizes)}..${Math.max(...sizes)}`);
+
+  engine.rewindTo(120);
+  assert.equal(engine.choiceHistory.length, 120);
+  assert.equal(engine.getRewindPoints().at(-1).turn, 119);
+  assert.deepEqual(engine.getVisitedScenes(), ['camp']);
+
+  const unlimited = await createEngine({ limit: 0 });
+  for (let turn = 0; turn < DEFAULT_REWIND_LIMIT + 10; turn++) unlimited.makeChoice('search');
+  assert.equal(unlimited.getRewindPoints().length, DEFAULT_REWIND_LIMIT + 10);
+});
+
+test('loading a save clears decision points from the previous playthrough', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('search');
+  const saveData = engine.captureRewindState();
+  engine.makeChoice('listen');
+
+  engine.loadFromSave(saveData);
+  assert.equal(engine.canRewind(), false);
+  assert.equal(engine.getStatsManager().getStat('gold'), 5);
+});
@@ -0,0 +1,204 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'shops',
+  title: 'Shops',
+  startSceneId: 'square',
+  currencyStat: 'gold',
+  stats: [
+    { id: 'gold', name: 'Gold', type: 'number', defaultValue: 50 },
+    { id: 'charisma', name: 'Charisma', type: 'number', defaultValue: 0 }
+  ],
+  flags: [{ id: 'guild_member', name: 'Guild member' }],
+  inventory: [
+    { id: 'potion', name: 'Potion', value: 10, maxStack: 3 },
+    { id: 'sword', name: 'Sword', value: 40 },
+    { id: 'pebble', name: 'Pebble' }
+  ],
+  scenes: [
+    {
+      id: 'square',
+      title: 'Square',
+      content: 'A busy square.',
+      choices: [
+        { id: 'enter', text: 'Enter the shop', targetSceneId: 'shop' }
+      ]
+    },
+    {
+      id: 'shop',
+      title: 'General Store',
+      content: 'Shelves of goods.',
+      shop: {
+        stock: [
+          { itemId: 'potion', quantity: 2 },
+          { itemId: 'sword', price: 30 }
+        ],
+        priceModifiers: [
+          { label: 'Guild discount', conditions: [{ type: 'flag', key: 'guild_member', operator: 'eq', value: true }], buy: 0.5 },
+          { label: 'Haggling', conditions: [{ type: 'stat', key: 'charisma', operator: 'gte', value: 5 }], sell: 2 }
+        ]
+      },
+      choices: [
+        { id: 'leave', text: 'Leave', targetSceneId: 'square' },
+        {
+          id: 'gift',
+          text: 'Buy a potion for a friend',
+          targetSceneId: 'shop',
+          actions: [{ type: 'buy_item', key: 'potion' }, { type: 'add_stat', key: 'charisma', value: 1 }]
+        }
+      ]
+    }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const gold = engine => engine.getStatsManager().getStat('gold');
+const remaining = (engine, itemId) => engine.getCurrentShop().stock.find(entry => entry.itemId === itemId).remaining;
+
+test('buying pays with the currency stat and takes from limited stock', async () => {
+  const engine = await createEngine();
+  assert.equal(engine.getCurrentShop(), null);
+  engine.makeChoice('enter');
+
+  const shop = engine.getCurrentShop();
+  assert.equal(shop.name, 'General Store');
+  assert.deepEqual(shop.currency, { statId: 'gold', name: 'Gold', value: 50 });
+  assert.deepEqual(shop.stock.map(entry => [entry.itemId, entry.price, entry.remaining]), [['potion', 10, 2], ['sword', 30, null]]);
+
+  const result = engine.buyItem('potion', 2);
+  assert.equal(result.success, true);
+  assert.equal(result.message, 'Bought 2 Potion for 20 Gold');
+  assert.equal(gold(engine), 30);
+  assert.equal(engine.getInventoryManager().getItemCount('potion'), 2);
+  assert.equal(remaining(engine, 'potion'), 0);
+  assert.equal(engine.buyItem('potion').message, 'Potion is sold out');
+});
+
+test('purchases check money and stack limits without changing anything', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('enter');
+
+  engine.buyItem('sword');
+  assert.equal(gold(engine), 20);
+  const broke = engine.buyItem('sword');
+  assert.equal(broke.success, false);
+  assert.equal(broke.message, 'Not enough Gold (costs 30, have 20)');
+  assert.equal(engine.getInventoryManager().getItemCount('sword'), 1);
+
+  engine.getInventoryManager().addItem('potion', 3); // maxStack 3
+  assert.equal(engine.buyItem('potion').message, 'Cannot carry more Potion (max: 3)');
+  assert.equal(gold(engine), 20);
+  assert.equal(remaining(engine, 'potion'), 2);
+});
+
+test('price modifiers follow flags and stats; selling pays and returns limited stock', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('enter');
+  engine.executeActions([{ type: 'set_flag', key: 'guild_member', value: true }]);
+  assert.equal(engine.getCurrentShop().stock.find(entry => entry.itemId === 'sword').price, 15);
+
+  engine.buyItem('potion');
+  assert.equal(gold(engine), 45);
+  assert.equal(remaining(engine, 'potion'), 1);
+
+  const sale = engine.sellItem('potion');
+  assert.equal(sale.message, 'Sold 1 Potion for 5 Gold');
+  assert.equal(gold(engine), 50);
+  assert.equal(remaining(engine, 'potion'), 2);
+
+  engine.executeActions([{ type: 'set_stat', key: 'charisma', value: 5 }]);
+  engine.getInventoryManager().addItem('sword', 1);
+  assert.equal(engine.sellItem('sword').message, 'Sold 1 Sword for 40 Gold');
+  assert.equal(engine.getInventoryManager().getItemCount('sword'), 0);
+
+  engine.getInventoryManager().addItem('pebble', 1);
+  assert.deepEqual(engine.getCurrentShop().sellable.map(entry => entry.itemId), []);
+  assert.equal(engine.sellItem('pebble').message, 'General Store does not buy Pebble');
+});
+
+test('a sale the currency stat cannot take keeps the item', async () => {
+  const adventure = createAdventure();
+  adventure.stats[0] = { id: 'gold', name: 'Gold', type: 'number', formula: '50' }; // computed: setStat rejects it
+  const engine = await createEngine(adventure);
+  engine.makeChoice('enter');
+  engine.getInventoryManager().addItem('potion', 1);
+
+  const sale = engine.sellItem('potion');
+  assert.equal(sale.success, false);
+  assert.equal(sale.message, 'Could not receive 5 Gold');
+  assert.equal(engine.getInventoryManager().getItemCount('potion'), 1);
+  assert.equal(gold(engine), 50);
+  assert.equal(remaining(engine, 'potion'), 2);
+});
+
+test('stock refills on re-entry, buy_item actions trade, and stock persists in saves', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('enter');
+  engine.buyItem('potion', 2);
+  engine.makeChoice('leave');
+  engine.makeChoice('enter');
+  assert.equal(remaining(engine, 'potion'), 2);
+
+  // Choices that loop back to the shop don't restock it
+  engine.makeChoice('gift');
+  assert.equal(remaining(engine, 'potion'), 1);
+  assert.equal(gold(engine), 20);
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.shops, { shop: { potion: 1 } });
+  const restored = await createEngine();
+  restored.loadFromSave(saveData);
+  assert.equal(remaining(restored, 'potion'), 1);
+
+  engine.makeChoice('leave');
+  engine.undoLastChoice();
+  assert.equal(remaining(engine, 'potion'), 1);
+
+  const adventure = createAdventure();
+  adventure.scenes[1].shop.restock = false;
+  const noRestock = await createEngine(adventure);
+  noRestock.makeChoice('enter');
+  noRestock.buyItem('potion', 2);
+  noRestock.makeChoice('leave');
+  noRestock.makeChoice('enter');
+  assert.equal(remaining(noRestock, 'potion'), 0);
+});
+
+test('ValidationService checks shops and trading actions', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+
+  const clean = await service.validate(adventure);
+  assert.ok(clean.errors.every(error => !/shop|currency/i.test(error.message)), JSON.stringify(clean.errors));
+
+  delete adventure.currencyStat;
+  adventure.scenes[1].shop.stock.push({ itemId: 'shield' });
+  adventure.scenes[0].shop = { id: 'shop', currencyStat: 'mana', stock: [] };
+  adventure.scenes[0].choices.push({
+    id: 'haggle',
+    text: 'Haggle',
+    targetSceneId: 'shop',
+    actions: [{ type: 'sell_item', key: 'sword', shopId: 'bazaar' }]
+  });
+  adventure.scenes[1].choices.push({ id: 'steal', text: 'Steal', targetSceneId: 'square', actions: [{ type: 'buy_item', key: 'gem' }] });
+
+  const errors = (await service.validate(adventure)).errors.map(error => error.message);
+  assert.ok(errors.includes("Shop 'shop' has no currency stat"));
+  assert.ok(errors.includes("Shop 'shop' uses unknown currency stat 'mana'"));
+  assert.ok(errors.includes("Shop 'shop' is used by scenes 'square' and 'shop'"));
+  assert.ok(errors.includes("Shop 'shop' stocks unknown item 'shield'"));
+  assert.ok(errors.includes("Action sell_item references unknown shop 'bazaar'"));
+  assert.ok(errors.includes("Action buy_item references unknown item 'gem'"));
+});
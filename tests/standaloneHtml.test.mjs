@@ -0,0 +1,210 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { readFile } from 'node:fs/promises';
+
+import '../src/test/setupBrowserEnv.js';
+import { exportAdventureToStandaloneHtml } from '../src/editor/exporters/StandaloneHtmlExporter.js';
+import ExportSystem from '../src/editor/ExportSystem.js';
+
+const readSource = path => readFile(new URL(`../src/${path}`, import.meta.url), 'utf8');
+
+const createAdventure = () => ({
+  id: 'bridge',
+  title: 'The Bridge </script>',
+  author: 'Test Author',
+  startSceneId: 'bank',
+  stats: [{ id: 'coins', name: 'Coins', type: 'number', defaultValue: 2 }],
+  inventory: [{ id: 'rope', name: 'Rope' }],
+  scenes: [
+    {
+      id: 'bank',
+      title: 'River bank',
+      content: 'You have ${stat:coins} coins.',
+      choices: [
+        { id: 'pay', text: 'Pay the toll', targetSceneId: 'bridge', requirements: [{ type: 'stat', key: 'coins', operator: '>=', value: 5 }] },
+        { id: 'count', text: 'Count again', targetSceneId: 'bank', inputType: 'input_number', inputConfig: { variable: 'coins', min: 0, max: 10 } },
+        { id: 'rope', text: 'Take the rope', targetSceneId: 'bank', oneTime: true, actions: [{ type: 'add_inventory', key: 'rope', value: 1 }] }
+      ]
+    },
+    { id: 'bridge', title: 'Bridge', content: 'You cross. <img src="https://example.com/river.png">', choices: [] }
+  ]
+});
+
+// Just enough DOM for StandalonePlayer (and sanitizeHtml's template pass-through)
+class FakeElement {
+  constructor(tagName) {
+    this.tagName = tagName.toUpperCase();
+    this.children = [];
+    this.childNodes = [];
+    this.attributes = {};
+    this.listeners = {};
+    this.textContent = '';
+    this.innerHTML = '';
+    this.className = '';
+    this.value = '';
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+    return child;
+  }
+
+  replaceChildren(...children) {
+    this.children = children;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+}
+
+const textOf = node => [node.textContent, node.innerHTML, ...node.children.map(textOf)].join(' ');
+const findAll = (node, predicate) => [
+  ...(predicate(node) ? [node] : []),
+  ...node.children.flatMap(child => findAll(child, predicate))
+];
+const button = (root, label) => findAll(root, node => node.tagName === 'BUTTON' && textOf(node).trim() === label)[0];
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function runExport(html, storage) {
+  const [, json] = html.match(/<script type="application\/json" id="adventure-data">([\s\S]*?)<\/script>/);
+  const [, script] = html.match(/<script>\n([\s\S]*?)\n<\/script>/);
+  const root = new FakeElement('div');
+  const document = {
+    createElement: tagName => new FakeElement(tagName),
+    createTextNode: text => Object.assign(new FakeElement('#text'), { textContent: text }),
+    getElementById: id => (id === 'player-root' ? root : { textContent: json })
+  };
+  root.ownerDocument = document;
+
+  const silent = { log: () => {}, info: () => {}, warn: () => {}, error: () => {}, group: () => {}, groupEnd: () => {} };
+  vm.runInNewContext(script, {
+    document,
+    window: { document, location: { href: 'file:///bridge.html' }, addEventListener: () => {} },
+    navigator: { userAgent: 'node-test' },
+    Node: { ELEMENT_NODE: 1 },
+    localStorage: storage,
+    console: silent,
+    setTimeout,
+    clearTimeout,
+    setInterval: () => 0,
+    clearInterval: () => {}
+  });
+  return root;
+}
+
+function createStorage() {
+  const entries = new Map();
+  return {
+    entries,
+    getItem: key => (entries.has(key) ? entries.get(key) : null),
+    setItem: (key, value) => entries.set(key, String(value)),
+    removeItem: key => entries.delete(key),
+    clear: () => entries.clear()
+  };
+}
+
+test('Standalone HTML export inlines the runtime and adventure without CDN imports', async () => {
+  const { data, warnings } = await exportAdventureToStandaloneHtml(createAdventure(), { readSource });
+
+  assert.match(data, /^<!DOCTYPE html>/);
+  assert.match(data, /<title>The Bridge &lt;\/script&gt;<\/title>/);
+  assert.doesNotMatch(data, /esm\.sh/);
+  assert.doesNotMatch(data, /<script[^>]+src=/);
+  assert.doesNotMatch(data, /^\s*import\s/m);
+  // The only literal </script> tags are the two that close the inline scripts
+  assert.equal(data.match(/<\/script>/g).length, 2);
+  for (const module of ['engine/StoryEngine.js', 'engine/ChoiceEvaluator.js', 'engine/ConditionParser.js', 'engine/StatsManager.js', 'engine/InventoryManager.js', 'engine/SaveSystem.js', 'components/player/playerFormatting.js']) {
+    assert.ok(data.includes(`"${module}": function`), `${module} is bundled`);
+  }
+
+  assert.deepEqual(warnings, ['Scene "Bridge" links to https://example.com/river.png; it won\'t load without a network connection.']);
+});
+
+test('Standalone HTML export warns about remote character portraits', async () => {
+  const adventure = createAdventure();
+  adventure.characters = [
+    { id: 'ferryman', name: 'Ferryman', portrait: 'https://example.com/ferryman.png' },
+    { id: 'troll', name: 'Troll', portrait: 'data:image/png;base64,AAAA' },
+    { id: 'goat', name: 'Goat' }
+  ];
+  const { warnings } = await exportAdventureToStandaloneHtml(adventure, { readSource });
+
+  assert.deepEqual(warnings.slice(1), ['Character "Ferryman" has a portrait at https://example.com/ferryman.png; it won\'t load without a network connection.']);
+});
+
+test('Standalone HTML export plays offline and saves to localStorage', async () => {
+  const { data } = await exportAdventureToStandaloneHtml(createAdventure(), { readSource });
+  const storage = createStorage();
+  const root = runExport(data, storage);
+  await settle();
+
+  assert.match(textOf(root), /You have 2 coins\./);
+  assert.ok(button(root, 'Locked'), 'toll choice is locked');
+
+  const input = findAll(root, node => node.tagName === 'INPUT')[0];
+  input.value = '7';
+  button(root, 'Choose 2').listeners.click();
+  await settle();
+  assert.match(textOf(root), /You have 7 coins\./);
+
+  button(root, 'Choose 3').listeners.click();
+  await settle();
+  assert.match(textOf(root), /Rope\s+1/);
+
+  const autosaves = JSON.parse(storage.getItem('adventure_saves_list'));
+  assert.deepEqual(autosaves.map(save => [save.name, save.adventureId]), [['The Bridge </script> - Autosave', 'bridge']]);
+
+  button(root, 'Save / Load').listeners.click();
+  await settle();
+  button(root, 'Slot 1').listeners.click();
+  await settle();
+  assert.ok(JSON.parse(storage.getItem('adventure_saves_list')).some(save => save.name === 'The Bridge </script> - Slot 1'));
+
+  button(root, 'Restart').listeners.click();
+  await settle();
+  assert.match(textOf(root), /You have 2 coins\./);
+
+  // The save panel stays open across the restart
+  const slotRow = findAll(root, node => node.tagName === 'LI' && textOf(node).includes('Slot 1'))[0];
+  button(slotRow, 'Load').listeners.click();
+  await settle();
+  assert.match(textOf(root), /You have 7 coins\./);
+
+  button(root, 'Choose 1').listeners.click();
+  await settle();
+  assert.match(textOf(root), /The End/);
+});
+
+test('Standalone HTML export refuses runtime modules with CDN imports', async () => {
+  const cdnSource = path => (path === 'components/player/StandalonePlayer.js'
+    ? Promise.resolve('import React from "https://esm.sh/react@18";\nexport function mountStandalonePlayer() {}\n')
+    : readSource(path));
+
+  await assert.rejects(
+    exportAdventureToStandaloneHtml(createAdventure(), { readSource: cdnSource }),
+    /imports "https:\/\/esm\.sh\/react@18"; the standalone player can only bundle relative imports/
+  );
+});
+
+test('ExportSystem registers the html format', async () => {
+  const original = createAdventure();
+  const editorEngine = {
+    getAdventure: () => original,
+    getNodes: () => new Map(original.scenes.map(scene => [scene.id, scene]))
+  };
+  const exportSystem = new ExportSystem(editorEngine);
+
+  assert.ok(exportSystem.getSupportedFormats().some(format => format.key === 'html'));
+
+  const exported = await exportSystem.exportAdventure('html', { ignoreErrors: true, readSource });
+  assert.equal(exported.mimeType, 'text/html');
+  assert.match(exported.filename, /\.html$/);
+  assert.equal(exported.warnings.length, 1);
+  assert.match(exported.data, /"startSceneId":"bank"/);
+});
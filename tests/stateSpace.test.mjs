@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StateSpaceExplorer } from '../src/engine/StateSpaceExplorer.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'vault',
+  title: 'The Vault',
+  startSceneId: 'hall',
+  stats: [{ id: 'coins', name: 'coins', type: 'number', defaultValue: 0 }],
+  flags: [{ id: 'has_rope', name: 'has_rope', defaultValue: false }],
+  scenes: [
+    {
+      id: 'hall',
+      title: 'Hall',
+      content: 'A locked vault, a cellar hatch and a well.',
+      choices: [
+        { id: 'coin', text: 'Take the coin', targetSceneId: 'hall', oneTime: true, actions: [{ type: 'add_stat', key: 'coins', value: 1 }] },
+        { id: 'vault', text: 'Open the vault', targetSceneId: 'vault', requirements: [{ type: 'stat', key: 'coins', operator: '>=', value: 2 }] },
+        { id: 'cellar', text: 'Go down to the cellar', targetSceneId: 'cellar' },
+        {
+          id: 'gamble',
+          text: 'Gamble',
+          randomBranches: [
+            { targetSceneId: 'well', weight: 1 },
+            { targetSceneId: 'garden', weight: 1, conditions: [{ type: 'stat', key: 'coins', operator: '>=', value: 1 }] }
+          ]
+        },
+        { id: 'leave', text: 'Leave', targetSceneId: 'garden' }
+      ]
+    },
+    {
+      id: 'cellar',
+      title: 'Cellar',
+      content: 'The hatch slams shut.',
+      choices: [
+        { id: 'climb', text: 'Climb out', targetSceneId: 'hall', requirements: [{ type: 'flag', key: 'has_rope', operator: '==', value: true }] }
+      ]
+    },
+    {
+      id: 'well',
+      title: 'Well',
+      content: 'You fell in.',
+      choices: [{ id: 'shout', text: 'Shout', targetSceneId: 'well' }]
+    },
+    { id: 'vault', title: 'Vault', content: 'Riches!', choices: [] },
+    { id: 'garden', title: 'Garden', content: 'Fresh air.', choices: [] }
+  ]
+});
+
+const choicePath = path => path.map(step => step.choiceId);
+
+test('StateSpaceExplorer finds softlocks, unwinnable loops and unreachable endings', async () => {
+  const report = await new StateSpaceExplorer(createAdventure()).explore();
+
+  assert.equal(report.complete, true);
+  assert.deepEqual(report.reachedScenes.sort(), ['cellar', 'garden', 'hall', 'well']);
+  assert.deepEqual(report.endings.map(ending => [ending.sceneId, choicePath(ending.path)]), [['garden', ['leave']]]);
+
+  // The cellar's only way out needs a rope nobody can get
+  assert.equal(report.deadEnds.length, 1);
+  assert.equal(report.deadEnds[0].sceneId, 'cellar');
+  assert.deepEqual(choicePath(report.deadEnds[0].path), ['cellar']);
+  assert.deepEqual(report.deadEnds[0].lockedChoices.map(choice => choice.choiceId), ['climb']);
+
+  // Only one coin exists, so the vault needs two the player can never have
+  assert.deepEqual(report.unreachableEndings.map(ending => ending.sceneId), ['vault']);
+  assert.deepEqual(report.unreachableEndings[0].blockedChoices.map(choice => [choice.sceneId, choice.choiceId, choicePath(choice.path)]), [
+    ['hall', 'vault', []]
+  ]);
+
+  // Every random branch is followed: the well loops forever
+  assert.deepEqual(report.unwinnable.map(entry => entry.sceneId), ['well']);
+  assert.deepEqual(report.unwinnable[0].path, [
+    { sceneId: 'hall', choiceId: 'gamble', text: 'Gamble', targetSceneId: 'well', branch: 0 }
+  ]);
+});
+
+test('StateSpaceExplorer respects maxUses and stops at its bounds', async () => {
+  const adventure = createAdventure();
+  adventure.scenes[0].choices[0] = { ...adventure.scenes[0].choices[0], oneTime: false, maxUses: 2 };
+
+  const report = await new StateSpaceExplorer(adventure).explore();
+  assert.deepEqual(report.unreachableEndings, []);
+  assert.deepEqual(choicePath(report.endings.find(ending => ending.sceneId === 'vault').path), ['coin', 'coin', 'vault']);
+
+  const bounded = await new StateSpaceExplorer(adventure, { maxStates: 3 }).explore();
+  assert.equal(bounded.complete, false);
+  assert.equal(bounded.truncatedBy, 'maxStates');
+  assert.equal(bounded.statesExplored, 3);
+  assert.deepEqual(bounded.unwinnable, []);
+});
+
+test('StateSpaceExplorer does not keep the console muted while it waits', async () => {
+  const methods = ['log', 'info', 'warn', 'error'].map(method => console[method]);
+  const pending = new StateSpaceExplorer(createAdventure()).explore();
+  // Output of other async work in the process (other tests, error logging) still gets through
+  assert.deepEqual(['log', 'info', 'warn', 'error'].map(method => console[method]), methods);
+  await pending;
+  assert.deepEqual(['log', 'info', 'warn', 'error'].map(method => console[method]), methods);
+});
+
+test('ValidationService reports state-space findings only when asked', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+
+  const quick = await service.validate(createAdventure());
+  assert.ok(quick.warnings.every(warning => !/no choice the player can take|can never be reached/.test(warning.message)));
+
+  const result = await service.validate(createAdventure(), { stateSpace: true });
+  const messages = result.warnings.map(warning => warning.message);
+  assert.ok(messages.includes("Scene 'cellar' has no choice the player can take after 'Go down to the cellar'"));
+  assert.ok(messages.includes("No ending can be reached after 'Gamble' (scene 'well')"));
+  assert.ok(messages.includes("Ending 'vault' can never be reached in play"));
+
+  const bounded = await service.validate(createAdventure(), { stateSpace: { maxStates: 2 } });
+  assert.ok(bounded.info.some(entry => /stopped at its maxStates limit after 2 states/.test(entry.message)));
+  assert.ok(bounded.warnings.some(warning => warning.message === "Ending 'vault' was not reached in 2 explored states"));
+});
@@ -0,0 +1,252 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'status-effects',
+  title: 'Status Effects',
+  startSceneId: 'swamp',
+  stats: [
+    { id: 'health', name: 'Health', type: 'number', defaultValue: 10, min: 0, max: 10 },
+    { id: 'luck', name: 'Luck', type: 'number', defaultValue: 1 },
+    { id: 'speed', name: 'Speed', type: 'number', defaultValue: 4 }
+  ],
+  statusEffects: [
+    {
+      id: 'poisoned',
+      name: 'Poisoned',
+      debuff: true,
+      duration: 3,
+      onTick: [{ type: 'add_stat', key: 'health', value: -1 }],
+      onExpire: [{ type: 'set_flag', key: 'recovered', value: true }]
+    },
+    { id: 'blessed', name: 'Blessed', modifiers: [{ stat: 'luck', type: 'add', value: 2 }] },
+    { id: 'hasted', name: 'Hasted', duration: 2, stacking: 'stack', maxStacks: 2, modifiers: [{ stat: 'speed', type: 'multiply', value: 2 }] },
+    { id: 'focused', name: 'Focused', duration: 2, stacking: 'extend' },
+    { id: 'shielded', name: 'Shielded', duration: 2, stacking: 'ignore' }
+  ],
+  scenes: [
+    {
+      id: 'swamp',
+      title: 'Swamp',
+      content: 'Something bites you.',
+      onEnter: [{ type: 'add_status', key: 'poisoned' }],
+      choices: [
+        { id: 'wade', text: 'Wade on', targetSceneId: 'swamp_edge' },
+        {
+          id: 'drink_antidote',
+          text: 'Drink the antidote',
+          targetSceneId: 'swamp_edge',
+          conditions: [{ type: 'has_status', key: 'poisoned', operator: 'eq', value: true }],
+          actions: [{ type: 'cure_status', key: 'poisoned' }]
+        }
+      ]
+    },
+    {
+      id: 'swamp_edge',
+      title: 'Swamp Edge',
+      content: 'Dry land ahead.',
+      choices: [
+        { id: 'wait', text: 'Wait', targetSceneId: 'swamp_edge' },
+        { id: 'pray', text: 'Pray', targetSceneId: 'swamp_edge', actions: [{ type: 'add_status', key: 'blessed' }] },
+        { id: 'rest', text: 'Rest', targetSceneId: 'camp' }
+      ]
+    },
+    {
+      id: 'camp',
+      title: 'Camp',
+      content: 'You rest.',
+      onEnter: [{ type: 'cure_status', key: 'blessed' }],
+      choices: [{ id: 'leave', text: 'Leave', targetSceneId: 'swamp_edge' }]
+    }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const choiceIds = engine => engine.getCurrentChoices()
+  .filter(choice => choice.evaluation.isVisible)
+  .map(choice => choice.id);
+
+test('poison ticks once per choice for its duration, then expires', async () => {
+  const engine = await createEngine();
+  const stats = engine.getStatsManager();
+  const expired = [];
+  engine.events.on('statusExpired', event => expired.push(event.statusId));
+
+  assert.deepEqual(engine.getStatusEffects().map(effect => [effect.id, effect.remaining, effect.debuff]), [['poisoned', 3, true]]);
+  assert.deepEqual(choiceIds(engine), ['wade', 'drink_antidote']);
+
+  engine.makeChoice('wade');
+  assert.equal(stats.getStat('health'), 9);
+  assert.equal(engine.getStatusEffects()[0].remaining, 2);
+
+  engine.makeChoice('wait');
+  engine.makeChoice('wait');
+  assert.equal(stats.getStat('health'), 7);
+  assert.deepEqual(engine.getStatusEffects(), []);
+  assert.deepEqual(expired, ['poisoned']);
+  assert.equal(stats.hasFlag('recovered'), true);
+
+  engine.makeChoice('wait');
+  assert.equal(stats.getStat('health'), 7);
+});
+
+test('cure_status ends an effect early without its onExpire, and has_status follows it', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('drink_antidote');
+
+  // The tick of that turn still happened before the antidote
+  assert.equal(engine.getStatsManager().getStat('health'), 9);
+  assert.equal(engine.statusEffectManager.has('poisoned'), false);
+  assert.equal(engine.getStatsManager().hasFlag('recovered'), false);
+  assert.equal(engine.conditionParser.evaluateCondition({ type: 'has_status', key: 'poisoned', operator: 'eq', value: false }), true);
+
+  // Blessing lasts until the player rests
+  engine.makeChoice('pray');
+  for (let turn = 0; turn < 5; turn++) engine.makeChoice('wait');
+  assert.equal(engine.getStatsManager().getStat('luck'), 3);
+  assert.equal(engine.getStatsManager().getBaseStat('luck'), 1);
+  assert.deepEqual(engine.getStatsManager().getStatBreakdown('luck').modifiers,
+    [{ statusId: 'blessed', statusName: 'Blessed', type: 'add', value: 2 }]);
+
+  engine.makeChoice('rest');
+  assert.equal(engine.statusEffectManager.has('blessed'), false);
+  assert.equal(engine.getStatsManager().getStat('luck'), 1);
+});
+
+test('stacking rules decide what applying an active effect again does', async () => {
+  const engine = await createEngine();
+  const statuses = engine.statusEffectManager;
+  engine.makeChoice('drink_antidote');
+
+  // refresh (default): the duration starts over
+  engine.executeActions([{ type: 'add_status', key: 'poisoned' }]);
+  engine.makeChoice('wait');
+  engine.executeActions([{ type: 'add_status', key: 'poisoned' }]);
+  assert.equal(statuses.getRemaining('poisoned'), 3);
+
+  // extend: turns add up; ignore: nothing changes
+  engine.executeActions([{ type: 'add_status', key: 'focused' }, { type: 'add_status', key: 'focused', value: 3 }]);
+  assert.equal(statuses.getRemaining('focused'), 5);
+  engine.executeActions([{ type: 'add_status', key: 'shielded' }]);
+  engine.makeChoice('wait');
+  engine.executeActions([{ type: 'add_status', key: 'shielded', value: 5 }]);
+  assert.equal(statuses.getRemaining('shielded'), 1);
+
+  // stack: up to maxStacks, each stack applies the modifiers again; curing can remove one stack
+  engine.executeActions([1, 2, 3].map(() => ({ type: 'add_status', key: 'hasted' })));
+  assert.equal(statuses.getStacks('hasted'), 2);
+  assert.equal(engine.getStatsManager().getStat('speed'), 16);
+  engine.executeActions([{ type: 'cure_status', key: 'hasted', value: 1 }]);
+  assert.equal(statuses.getStacks('hasted'), 1);
+  assert.equal(engine.getStatsManager().getStat('speed'), 8);
+
+  // A duration of 0 lasts until cured
+  engine.executeActions([{ type: 'add_status', key: 'focused', value: 0 }]);
+  engine.makeChoice('wait');
+  assert.equal(statuses.getRemaining('focused'), null);
+  assert.equal(statuses.has('focused'), true);
+});
+
+test('every turn an effect counts down notifies the stats manager', async () => {
+  const engine = await createEngine();
+  const effects = engine.statusEffectManager;
+  const stats = engine.getStatsManager();
+  effects.cure('poisoned');
+  effects.apply('focused');
+
+  const before = stats.getVersion();
+  effects.advanceTurn();
+  assert.deepEqual(effects.getState(), [{ id: 'focused', stacks: 1, remaining: 1 }]);
+  assert.ok(stats.getVersion() > before);
+
+  // Effects without a duration don't count down
+  effects.advanceTurn();
+  effects.apply('blessed');
+  const untimed = stats.getVersion();
+  effects.advanceTurn();
+  assert.equal(stats.getVersion(), untimed);
+});
+
+test('status effect actions log as status effects and their conditions validate', async () => {
+  const engine = await createEngine();
+  const logged = [];
+  const log = console.log;
+  console.log = message => logged.push(message);
+  try {
+    engine.executeActions([{ type: 'add_status', key: 'blessed' }, { type: 'cure_status', key: 'blessed' }]);
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(logged.includes('StoryEngine: Status effect: Blessed applied'), JSON.stringify(logged));
+  assert.ok(logged.includes('StoryEngine: Status effect: Blessed cured'), JSON.stringify(logged));
+  const condition = { type: 'has_status', key: 'poisoned', operator: 'eq', value: true };
+  assert.deepEqual(engine.conditionParser.validateCondition(condition), { valid: true });
+  assert.equal(engine.conditionParser.getConditionDescription(condition), 'Has status "poisoned" equals true');
+});
+
+test('active effects survive save/load and rewinding', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('wade');
+  engine.makeChoice('pray');
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.statusEffects, [
+    { id: 'poisoned', stacks: 1, remaining: 1 },
+    { id: 'blessed', stacks: 1, remaining: null }
+  ]);
+
+  const restored = await createEngine();
+  restored.loadFromSave(saveData);
+  assert.deepEqual(restored.getStatusEffects().map(effect => [effect.id, effect.remaining]), [['poisoned', 1], ['blessed', null]]);
+  assert.equal(restored.getStatsManager().getStat('luck'), 3);
+  restored.makeChoice('wait');
+  assert.equal(restored.getStatsManager().getStat('health'), 7);
+  assert.equal(restored.statusEffectManager.has('poisoned'), false);
+
+  engine.undoLastChoice();
+  assert.deepEqual(engine.getStatusEffects().map(effect => [effect.id, effect.remaining]), [['poisoned', 2]]);
+  assert.equal(engine.getStatsManager().getStat('luck'), 1);
+});
+
+test('ValidationService checks status effects and the actions and conditions using them', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+
+  const clean = await service.validate(adventure);
+  assert.ok(clean.errors.every(error => !/status/i.test(error.message)), JSON.stringify(clean.errors));
+  assert.ok(clean.warnings.every(warning => !/status/i.test(warning.message)), JSON.stringify(clean.warnings));
+
+  adventure.statusEffects.push(
+    { id: 'blessed', name: 'Blessed again' },
+    { id: 'cursed', name: 'Cursed', stacking: 'pile', modifiers: [{ stat: 'charm', type: 'add', value: -1 }] }
+  );
+  adventure.scenes[2].choices.push({
+    id: 'feast',
+    text: 'Feast',
+    targetSceneId: 'swamp',
+    actions: [{ type: 'add_status', key: 'well_fed' }],
+    conditions: [{ type: 'has_status', key: 'sleepy', operator: 'eq', value: true }]
+  });
+
+  const result = await service.validate(adventure);
+  const errors = result.errors.map(error => error.message);
+  const warnings = result.warnings.map(warning => warning.message);
+  assert.ok(errors.includes("Duplicate status effect 'blessed'"));
+  assert.ok(errors.includes("Status effect 'cursed' modifies unknown stat 'charm'"));
+  assert.ok(errors.includes("Action add_status references unknown status effect 'well_fed'"));
+  assert.ok(errors.includes("Condition checks unknown status effect 'sleepy'"));
+  assert.ok(warnings.includes("Status effect 'cursed' has unknown stacking 'pile'; refresh is used"));
+  assert.ok(warnings.includes("Status effect 'cursed' lasts until cured, but no cure_status action cures it"));
+});
@@ -0,0 +1,180 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { SeededRandom } from '../src/engine/SeededRandom.js';
+import { StoryEventBus } from '../src/engine/StoryEventBus.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+
+const createAdventure = (choiceActions = [], extra = {}) => ({
+  id: 'actions',
+  title: 'Actions',
+  startSceneId: 'start',
+  randomSeed: 'replay-me',
+  stats: [
+    { id: 'gold', name: 'gold', type: 'number', defaultValue: 0 },
+    { id: 'luck', name: 'luck', type: 'number', defaultValue: 0 }
+  ],
+  scenes: [
+    {
+      id: 'start',
+      title: 'Start',
+      content: 'Start',
+      choices: [
+        { id: 'act', text: 'Act', targetSceneId: 'start', actions: choiceActions },
+        { id: 'wait', text: 'Wait', targetSceneId: 'start' },
+        {
+          id: 'hidden',
+          text: 'Hidden door',
+          targetSceneId: 'start',
+          isSecret: true,
+          conditions: [{ type: 'flag', key: 'found_door', operator: '==', value: true }]
+        }
+      ]
+    }
+  ],
+  ...extra
+});
+
+const createEngine = async (adventure) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+test('SeededRandom is deterministic and restorable', () => {
+  const a = new SeededRandom('seed');
+  const b = new SeededRandom('seed');
+  const first = [a.next(), a.next(), a.next()];
+  assert.deepEqual(first, [b.next(), b.next(), b.next()]);
+  assert.ok(first.every(value => value >= 0 && value < 1));
+
+  const snapshot = a.getState();
+  const expected = a.nextInt(1, 6);
+  a.setState(snapshot);
+  assert.equal(a.nextInt(1, 6), expected);
+});
+
+test('StoryEventBus delivers events to named and wildcard listeners', () => {
+  const bus = new StoryEventBus();
+  const received = [];
+  const unsubscribe = bus.on('thunder', payload => received.push(['thunder', payload]));
+  bus.on('*', (payload, name) => received.push(['*', name]));
+
+  bus.emit('thunder', 1);
+  unsubscribe();
+  bus.emit('thunder', 2);
+
+  assert.deepEqual(received, [['thunder', 1], ['*', 'thunder'], ['*', 'thunder']]);
+});
+
+test('actions are gated by their conditions', async () => {
+  const engine = await createEngine(createAdventure([
+    { type: 'add_stat', key: 'gold', value: 5, conditions: [{ type: 'stat', key: 'luck', operator: '>=', value: 1 }] },
+    { type: 'add_stat', key: 'luck', value: 1 }
+  ]));
+
+  engine.makeChoice('act');
+  assert.equal(engine.getStatsManager().getStat('gold'), 0);
+
+  engine.makeChoice('act');
+  assert.equal(engine.getStatsManager().getStat('gold'), 5);
+  engine.dispose();
+});
+
+test('probabilistic actions replay identically with the same seed', async () => {
+  const actions = [{ type: 'add_stat', key: 'gold', value: 1, probability: 0.5 }];
+  const play = async () => {
+    const engine = await createEngine(createAdventure(actions));
+    const totals = [];
+    for (let i = 0; i < 20; i++) {
+      engine.makeChoice('act');
+      totals.push(engine.getStatsManager().getStat('gold'));
+    }
+    engine.dispose();
+    return totals;
+  };
+
+  const first = await play();
+  assert.deepEqual(await play(), first);
+  assert.ok(first[19] > 0 && first[19] < 20, 'roughly half of the rolls should succeed');
+
+  const never = await createEngine(createAdventure([{ type: 'add_stat', key: 'gold', value: 1, probability: 0 }]));
+  never.makeChoice('act');
+  assert.equal(never.getStatsManager().getStat('gold'), 0);
+  never.dispose();
+});
+
+test('unlock_secret and trigger_event actions are executed', async () => {
+  const engine = await createEngine(createAdventure([
+    { type: 'unlock_secret', key: 'hidden' },
+    { type: 'trigger_event', key: 'thunder', value: { volume: 3 } }
+  ]));
+  const events = [];
+  engine.events.on('thunder', detail => events.push(detail));
+  assert.equal(engine.getSecretChoicesAvailable().has('hidden'), false);
+
+  engine.makeChoice('act');
+
+  assert.ok(engine.getSecretChoicesAvailable().has('hidden'));
+  assert.equal(engine.getSecretsDiscovered().filter(s => s.choiceId === 'hidden').length, 1);
+  assert.deepEqual(events, [{ event: 'thunder', payload: { volume: 3 }, sceneId: 'start' }]);
+  engine.dispose();
+});
+
+test('turn-delayed actions fire after the given number of choices', async () => {
+  const engine = await createEngine(createAdventure([
+    { type: 'add_stat', key: 'gold', value: 10, delayTurns: 2 }
+  ]));
+  const fired = [];
+  engine.events.on('actionsExecuted', detail => fired.push(detail.source));
+
+  engine.makeChoice('act');
+  assert.equal(engine.getPendingActions().length, 1);
+  engine.makeChoice('wait');
+  assert.equal(engine.getStatsManager().getStat('gold'), 0);
+  engine.makeChoice('wait');
+  assert.equal(engine.getStatsManager().getStat('gold'), 10);
+  assert.equal(engine.getPendingActions().length, 0);
+  assert.deepEqual(fired, ['delayed']);
+  engine.dispose();
+});
+
+test('timed actions fire once their delay has elapsed', async () => {
+  const engine = await createEngine(createAdventure([
+    { type: 'add_stat', key: 'gold', value: 3, delay: 20 }
+  ]));
+
+  engine.makeChoice('act');
+  assert.equal(engine.getStatsManager().getStat('gold'), 0);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(engine.getStatsManager().getStat('gold'), 3);
+  engine.dispose();
+});
+
+test('pending actions survive save and load', async () => {
+  const adventure = createAdventure([
+    { type: 'add_stat', key: 'gold', value: 7, delayTurns: 2 },
+    { type: 'add_stat', key: 'luck', value: 1, delay: 60000 }
+  ]);
+  const engine = await createEngine(adventure);
+  engine.makeChoice('act');
+
+  const saveData = new SaveSystem(engine).createSaveData('slot');
+  assert.equal(saveData.pendingActions.length, 2);
+  assert.equal(saveData.pendingActions[0].turnsRemaining, 2);
+  assert.ok(saveData.pendingActions[1].remainingMs > 59000);
+  engine.dispose();
+
+  const restored = await createEngine(adventure);
+  restored.loadFromSave(JSON.parse(JSON.stringify(saveData)));
+  assert.equal(restored.getPendingActions().length, 2);
+
+  restored.makeChoice('wait');
+  restored.makeChoice('wait');
+  assert.equal(restored.getStatsManager().getStat('gold'), 7);
+  assert.equal(restored.getStatsManager().getStat('luck'), 0);
+  restored.dispose();
+});
@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StatsManager } from '../src/engine/StatsManager.js';
+import { InventoryManager } from '../src/engine/InventoryManager.js';
+import { TextInterpolator } from '../src/engine/TextInterpolator.js';
+import { validationService } from '../src/services/ValidationService.js';
+
+const createInterpolator = (choiceHistory = []) => {
+  const statsManager = new StatsManager([
+    { id: 'gold', name: 'Gold', type: 'number', defaultValue: 12 },
+    { id: 'health', name: 'Health', type: 'percentage', defaultValue: 80 },
+    { id: 'title', name: 'Title', type: 'string', defaultValue: '' }
+  ]);
+  statsManager.setFlag('met_king', true);
+
+  const inventoryManager = new InventoryManager(statsManager, [
+    { id: 'potion', name: 'Potion', category: 'consumable' }
+  ]);
+  inventoryManager.addItem('potion', 3);
+
+  return new TextInterpolator(statsManager, inventoryManager, choiceHistory);
+};
+
+test('TextInterpolator renders variables from stats, flags, inventory and history', () => {
+  const interpolator = createInterpolator([
+    { sceneId: 'start', choiceId: 'ask_name', inputValue: 'Ada' },
+    { sceneId: 'start', choiceId: 'wait' }
+  ]);
+
+  assert.equal(interpolator.render('You have ${stat:gold} gold and ${gold} coins.'), 'You have 12 gold and 12 coins.');
+  assert.equal(interpolator.render('Health: ${stat:health}'), 'Health: 80%');
+  assert.equal(interpolator.render('Potions: ${item:potion}'), 'Potions: 3');
+  assert.equal(interpolator.render('Met king: ${flag:met_king}'), 'Met king: true');
+  assert.equal(interpolator.render('Hello ${input:ask_name}, visits ${visits:start}, waited ${choice:wait}'), 'Hello Ada, visits 2, waited 1');
+  assert.equal(interpolator.render('Hail, ${stat:title|stranger}!'), 'Hail, stranger!');
+  assert.equal(interpolator.render('Literal \\${gold} and \\{if}'), 'Literal ${gold} and {if}');
+});
+
+test('TextInterpolator evaluates inline conditionals with elseif/else and nesting', () => {
+  const interpolator = createInterpolator();
+
+  assert.equal(
+    interpolator.render('{if flag:met_king}The king nods.{else}A guard blocks you.{/if}'),
+    'The king nods.'
+  );
+  assert.equal(
+    interpolator.render('{if stat:gold >= 100}Rich{elseif stat:gold > 10}Comfortable{else}Poor{/if}'),
+    'Comfortable'
+  );
+  assert.equal(
+    interpolator.render('{if not flag:betrayed}Loyal{if item:potion == 3}, well supplied{/if}{/if}.'),
+    'Loyal, well supplied.'
+  );
+  assert.equal(interpolator.render('{if flag:unknown}Hidden{/if}Shown'), 'Shown');
+});
+
+test('TextInterpolator keeps operators inside quoted literals', () => {
+  const interpolator = createInterpolator([{ sceneId: 'start', choiceId: 'ask_name', inputValue: 'a>=b' }]);
+
+  assert.equal(interpolator.render('{if input:ask_name == "a>=b"}Matched{else}Missed{/if}'), 'Matched');
+  assert.equal(interpolator.render("{if input:ask_name != 'x<y'}Different{/if}"), 'Different');
+  assert.deepEqual(TextInterpolator.parseCondition('stat:gold>=10'), { namespace: 'stat', key: 'gold', operator: '>=', value: 10, negate: false });
+  assert.equal(TextInterpolator.parseCondition('stat:gold >='), null);
+  assert.equal(TextInterpolator.parseCondition('stat:gold => 10'), null);
+});
+
+test('TextInterpolator escapes values when requested', () => {
+  const interpolator = createInterpolator([{ sceneId: 'start', choiceId: 'ask_name', inputValue: '<b>Eve</b>' }]);
+  assert.equal(
+    interpolator.render('<p>${input:ask_name}</p>', { escapeHtml: true }),
+    '<p>&lt;b&gt;Eve&lt;/b&gt;</p>'
+  );
+});
+
+test('TextInterpolator.analyze reports references and unbalanced blocks', () => {
+  const { references, errors } = TextInterpolator.analyze('${stat:gold} {if flag:met_king}hi{else}bye');
+  assert.deepEqual(references.map(ref => `${ref.namespace}:${ref.key}`), ['stat:gold', 'flag:met_king']);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /Unclosed/);
+
+  assert.equal(TextInterpolator.analyze('{/if}').errors.length, 1);
+  assert.equal(TextInterpolator.analyze('${bogus:key}').errors.length, 1);
+});
+
+test('ValidationService reports unknown interpolation keys and template errors', async () => {
+  const adventure = {
+    id: 'interp',
+    title: 'Interpolation',
+    startSceneId: 'start',
+    stats: [{ id: 'gold', name: 'gold', type: 'number', defaultValue: 0 }],
+    flags: [{ id: 'met_king', name: 'Met King' }],
+    inventory: [{ id: 'potion', name: 'Potion' }],
+    scenes: [
+      {
+        id: 'start',
+        title: 'Start',
+        content: 'Gold ${stat:gold}, ${stat:silver}, ${item:potion}, ${flag:met_king}, ${flag:lost}. {if flag:met_king}open',
+        choices: [
+          { id: 'go', text: 'Spend ${gold} (visited ${visits:nowhere})', targetSceneId: 'start' }
+        ]
+      }
+    ]
+  };
+
+  const result = await validationService.validate(adventure, { skipCache: true });
+  const warnings = result.warnings.filter(w => w.message.startsWith('Text references unknown'));
+  const unknownKeys = warnings.map(w => `${w.details.namespace}:${w.details.key}`).sort();
+
+  assert.deepEqual(unknownKeys, ['flag:lost', 'stat:silver', 'visits:nowhere']);
+  assert.ok(result.errors.some(e => e.message.includes('Unclosed "{if}"') && e.location === 'scenes.start.content'));
+});
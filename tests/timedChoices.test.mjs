@@ -0,0 +1,170 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import { PlayerSettings } from '../src/engine/PlayerSettings.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'fuse',
+  title: 'The Fuse',
+  startSceneId: 'fuse',
+  stats: [{ id: 'nerve', name: 'nerve', type: 'number', defaultValue: 0 }],
+  scenes: [
+    {
+      id: 'fuse',
+      title: 'Lit fuse',
+      content: 'The fuse is burning.',
+      timeLimit: 10,
+      defaultChoiceId: 'run',
+      choices: [
+        { id: 'cut', text: 'Cut the red wire', targetSceneId: 'saved', actions: [{ type: 'add_stat', key: 'nerve', value: 1 }] },
+        { id: 'run', text: 'Run', targetSceneId: 'outside' }
+      ]
+    },
+    { id: 'saved', title: 'Saved', content: 'Silence.', choices: [] },
+    { id: 'outside', title: 'Outside', content: 'Boom.', choices: [] }
+  ]
+});
+
+const createEngine = async (adventure = createAdventure()) => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(adventure);
+  return engine;
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a timed scene takes its default choice when time runs out', async () => {
+  const adventure = createAdventure();
+  adventure.scenes[0].timeLimit = 0.05;
+  const engine = await createEngine(adventure);
+  const expired = [];
+  engine.events.on('choiceTimerExpired', event => expired.push(event));
+
+  const timer = engine.getChoiceTimer();
+  assert.equal(timer.sceneId, 'fuse');
+  assert.equal(timer.limitMs, 50);
+  assert.equal(timer.defaultChoiceId, 'run');
+
+  await wait(120);
+  assert.equal(engine.getCurrentScene().id, 'outside');
+  assert.deepEqual(expired.map(({ sceneId, choiceId }) => [sceneId, choiceId]), [['fuse', 'run']]);
+  assert.equal(engine.getChoiceHistory().at(-1).timedOut, true);
+  assert.equal(engine.getChoiceTimer(), null);
+  engine.dispose();
+});
+
+test('choosing in time stops the countdown', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('cut');
+
+  assert.equal(engine.getCurrentScene().id, 'saved');
+  assert.equal(engine.getChoiceTimer(), null);
+  assert.equal(engine.getChoiceHistory().at(-1).timedOut, undefined);
+});
+
+test('the default falls back to the first selectable choice', async () => {
+  const adventure = createAdventure();
+  adventure.scenes[0].defaultChoiceId = 'missing';
+  const engine = await createEngine(adventure);
+
+  assert.equal(engine.getChoiceTimer().defaultChoiceId, 'missing');
+  assert.equal(engine.getTimeoutChoiceId(), 'cut');
+  assert.equal(engine.expireChoiceTimer().id, 'saved');
+});
+
+test('reading the timer does not evaluate the scene\'s choices', async () => {
+  const engine = await createEngine();
+  let evaluations = 0;
+  const evaluateChoice = engine.choiceEvaluator.evaluateChoice.bind(engine.choiceEvaluator);
+  engine.choiceEvaluator.evaluateChoice = (...args) => {
+    evaluations++;
+    return evaluateChoice(...args);
+  };
+
+  engine.pauseChoiceTimer();
+  engine.resumeChoiceTimer();
+  engine.getChoiceTimer();
+  engine.getChoiceTimerState();
+  assert.equal(evaluations, 0);
+
+  engine.expireChoiceTimer();
+  assert.ok(evaluations > 0);
+});
+
+test('pausing keeps the remaining time and save/load restores it', async () => {
+  const engine = await createEngine();
+  engine.pauseChoiceTimer();
+  const paused = engine.getChoiceTimer();
+  assert.equal(paused.paused, true);
+
+  await wait(30);
+  assert.equal(engine.getChoiceTimer().remainingMs, paused.remainingMs);
+
+  engine.resumeChoiceTimer();
+  assert.equal(engine.getChoiceTimer().paused, false);
+
+  engine.pauseChoiceTimer();
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.choiceTimer, { sceneId: 'fuse', remainingMs: engine.getChoiceTimer().remainingMs });
+  engine.dispose();
+
+  const restored = await createEngine();
+  restored.loadFromSave({ ...saveData, choiceTimer: { sceneId: 'fuse', remainingMs: 4000 } });
+  const timer = restored.getChoiceTimer();
+  assert.equal(timer.limitMs, 10000);
+  assert.ok(timer.remainingMs <= 4000 && timer.remainingMs > 3900, String(timer.remainingMs));
+  restored.dispose();
+});
+
+test('the timer scale stretches or disables time limits', async () => {
+  const engine = await createEngine();
+  engine.pauseChoiceTimer();
+  const { remainingMs } = engine.getChoiceTimer();
+
+  engine.setTimerScale(2);
+  assert.equal(engine.getChoiceTimer().limitMs, 20000);
+  assert.equal(engine.getChoiceTimer().remainingMs, remainingMs * 2);
+
+  engine.setTimerScale(0);
+  assert.equal(engine.getChoiceTimer(), null);
+
+  const explorer = await createEngine();
+  explorer.setTimerScale(0);
+  explorer.makeChoice('run');
+  assert.equal(explorer.getChoiceTimer(), null);
+  engine.dispose();
+});
+
+test('PlayerSettings persists the timer scale and applies it to the engine', async () => {
+  const entries = new Map();
+  const storage = { getItem: key => entries.get(key) ?? null, setItem: (key, value) => entries.set(key, String(value)) };
+
+  const settings = new PlayerSettings(storage);
+  assert.equal(settings.get().timerScale, 1);
+  assert.equal(settings.update({ timerScale: 3 }).timerScale, 3);
+  assert.equal(settings.update({ timerScale: -1 }).timerScale, 1);
+  settings.update({ timerScale: 0 });
+
+  const reloaded = new PlayerSettings(storage);
+  assert.equal(reloaded.get().timerScale, 0);
+
+  const engine = await createEngine();
+  reloaded.applyTo(engine);
+  assert.equal(engine.getChoiceTimer(), null);
+});
+
+test('validation checks time limits and default choices', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+  adventure.scenes[0].defaultChoiceId = 'hide';
+  adventure.scenes[1].timeLimit = -5;
+
+  const result = await service.validate(adventure);
+  assert.ok(result.warnings.some(warning => warning.message === "Default choice 'hide' of timed scene 'fuse' does not exist; the first available choice is taken instead"));
+  assert.ok(result.errors.some(error => error.message === "Scene 'saved' has an invalid time limit '-5'"));
+});
@@ -0,0 +1,151 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { StoryEngine } from '../src/engine/StoryEngine.js';
+import { SaveSystem } from '../src/engine/SaveSystem.js';
+import ValidationService from '../src/services/ValidationService.js';
+
+const createAdventure = () => ({
+  id: 'tunnels',
+  title: 'Tunnels',
+  startSceneId: 'town',
+  stats: [
+    { id: 'exits', name: 'exits', type: 'number', defaultValue: 0 },
+    { id: 'checks', name: 'checks', type: 'number', defaultValue: 0 }
+  ],
+  scenes: [
+    {
+      id: 'town',
+      title: 'Town',
+      content: 'A busy town.',
+      onExit: [{ type: 'add_stat', key: 'exits', value: 1 }],
+      choices: [
+        { id: 'open_pack', text: 'Check your pack', targetSceneId: 'pack', isCall: true },
+        { id: 'leave', text: 'Leave town', targetSceneId: 'road' }
+      ]
+    },
+    {
+      id: 'pack',
+      title: 'Your pack',
+      content: 'Rope, bread, a map.',
+      onEnter: [{ type: 'add_stat', key: 'checks', value: 1 }],
+      choices: [
+        { id: 'close_pack', text: 'Close the pack', isReturn: true },
+        { id: 'rest', text: 'Rest a while', targetSceneId: 'camp', isCall: true },
+        { id: 'read_map', text: 'Read the map', targetSceneId: 'map' }
+      ]
+    },
+    {
+      id: 'map',
+      title: 'Map',
+      content: 'The road leads north.',
+      choices: [{ id: 'fold_map', text: 'Fold the map', isReturn: true }]
+    },
+    {
+      id: 'camp',
+      title: 'Camp',
+      content: 'You rest by the fire.',
+      choices: [{ id: 'wake', text: 'Wake up', targetSceneId: 'town', isReturn: true }]
+    },
+    { id: 'road', title: 'Road', content: 'The end.', choices: [] }
+  ]
+});
+
+const createEngine = async () => {
+  const engine = new StoryEngine();
+  engine.setValidationEnabled(false);
+  await engine.loadAdventure(createAdventure());
+  return engine;
+};
+
+const stat = (engine, id) => engine.getStatsManager().getStat(id);
+
+test('call choices enter a tunnel and return choices come back to the caller', async () => {
+  const engine = await createEngine();
+
+  engine.makeChoice('open_pack');
+  assert.equal(engine.getCurrentScene().id, 'pack');
+  assert.deepEqual(engine.getCallStack(), [{ sceneId: 'town', choiceId: 'open_pack' }]);
+  // The caller is only suspended: its onExit waits, the tunnel's onEnter runs
+  assert.equal(stat(engine, 'exits'), 0);
+  assert.equal(stat(engine, 'checks'), 1);
+
+  // Nested call, then back out one level without re-running the pack's onEnter
+  engine.makeChoice('rest');
+  assert.deepEqual(engine.getCallStack().map(frame => frame.sceneId), ['town', 'pack']);
+  engine.makeChoice('wake');
+  assert.equal(engine.getCurrentScene().id, 'pack');
+  assert.equal(stat(engine, 'checks'), 1);
+
+  // Scenes reached from inside the tunnel return to the same caller
+  engine.makeChoice('read_map');
+  engine.makeChoice('fold_map');
+  assert.equal(engine.getCurrentScene().id, 'town');
+  assert.deepEqual(engine.getCallStack(), []);
+
+  engine.makeChoice('leave');
+  assert.equal(engine.getCurrentScene().id, 'road');
+  assert.equal(stat(engine, 'exits'), 1);
+});
+
+test('return choices fall back to their target scene when nothing called them', async () => {
+  const engine = await createEngine();
+  engine.loadFromSave({ currentSceneId: 'camp', stats: {}, flags: {} });
+
+  assert.equal(engine.makeChoice('wake').id, 'town');
+
+  engine.loadFromSave({ currentSceneId: 'pack', stats: {}, flags: {} });
+  assert.equal(engine.makeChoice('close_pack'), null);
+  assert.equal(engine.getCurrentScene().id, 'pack');
+});
+
+test('the call stack survives save/load and rewinding', async () => {
+  const engine = await createEngine();
+  engine.makeChoice('open_pack');
+  engine.makeChoice('rest');
+
+  const saveData = JSON.parse(JSON.stringify(new SaveSystem(engine).createSaveData('slot')));
+  assert.deepEqual(saveData.callStack.map(frame => frame.sceneId), ['town', 'pack']);
+
+  const restored = await createEngine();
+  restored.loadFromSave(saveData);
+  assert.equal(restored.makeChoice('wake').id, 'pack');
+  assert.equal(restored.makeChoice('close_pack').id, 'town');
+
+  restored.undoLastChoice();
+  assert.equal(restored.getCurrentScene().id, 'pack');
+  assert.deepEqual(restored.getCallStack(), [{ sceneId: 'town', choiceId: 'open_pack' }]);
+});
+
+test('ValidationService follows return edges and reports broken tunnels', async () => {
+  const service = new ValidationService({ enableCache: false, autoCleanupCache: false });
+  const adventure = createAdventure();
+
+  const returnTargets = service.getReturnTargets(adventure.scenes);
+  assert.deepEqual([...returnTargets].map(([sceneId, callers]) => [sceneId, [...callers]]), [
+    ['pack', ['town']],
+    ['map', ['town']],
+    ['camp', ['pack']]
+  ]);
+
+  const result = await service.validate(adventure, { stateSpace: true });
+  assert.deepEqual(result.errors, []);
+  assert.ok(result.warnings.every(warning => !/unreachable|no choice the player can take|No ending|tunnel|Return choice/.test(warning.message)),
+    JSON.stringify(result.warnings));
+
+  adventure.scenes.push({
+    id: 'cellar',
+    title: 'Cellar',
+    content: 'Dark.',
+    choices: [
+      { id: 'climb', text: 'Climb out', isReturn: true },
+      { id: 'confused', text: 'Confused', targetSceneId: 'road', isCall: true, isReturn: true }
+    ]
+  });
+  adventure.scenes[0].choices.push({ id: 'down', text: 'Go down', targetSceneId: 'cellar' });
+
+  const broken = await service.validate(adventure);
+  assert.ok(broken.errors.some(error => error.message === "Choice 'confused' both calls a scene and returns from one"));
+  assert.ok(broken.warnings.some(warning => warning.message === "Return choice 'climb' in scene 'cellar' is never reached through a call and has no fallback target"));
+});
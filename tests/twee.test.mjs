@@ -0,0 +1,180 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../src/test/setupBrowserEnv.js';
+import { importAdventureFromTwee } from '../src/editor/importers/TweeImporter.js';
+import { exportAdventureToTwee } from '../src/editor/exporters/TweeExporter.js';
+import ExportSystem from '../src/editor/ExportSystem.js';
+
+const TWEE_SOURCE = `:: StoryTitle
+The Cave
+
+:: StoryData
+{
+  "ifid": "D674C58C-DEFA-4F70-B7A2-27742230C0FC",
+  "format": "SugarCube",
+  "format-version": "2.36.1",
+  "start": "Cave Mouth"
+}
+
+:: StoryInit
+<<set $gold to 5>>
+<<set $hasTorch to false>>
+<<set $name to "Ash">>
+
+:: Cave Mouth [outside] {"position":"100,200","size":"100,100"}
+<<set $gold += 1>>
+You stand at the mouth of a cave, $name.
+<<if $hasTorch>>Your torch flickers.<<else>>It is dark.<</if>>
+
+[[Take the torch|Cave Mouth][$hasTorch to true]]
+<<if $gold gte 3 and not $hasTorch>>[[Pay the guide->Deep Cave]]<<else>>[[Deep Cave<-Go alone]]<</if>>
+<<link "Bribe" "Deep Cave">><<set $gold -= 2>><</link>>
+<<audio "drip" play>>
+
+:: Deep Cave
+<<set $gold to $gold * 2>>
+Treasure! <<print $gold>>
+[[Leave|Cave Mouth]]
+[[Nowhere]]
+`;
+
+const createAdventure = () => ({
+  id: 'lighthouse',
+  title: 'Lighthouse',
+  author: 'Test Author',
+  startSceneId: 'shore',
+  stats: [{ id: 'oil', name: 'oil', type: 'number', defaultValue: 2 }],
+  flags: [{ id: 'lamp_lit', name: 'lamp_lit', defaultValue: false }],
+  inventory: [{ id: 'key', name: 'Key' }],
+  scenes: [
+    {
+      id: 'shore',
+      title: 'Shore',
+      content: 'You have ${stat:oil} flasks. {if flag:lamp_lit}The lamp burns.{else}All is dark.{/if}',
+      onEnter: [{ type: 'add_stat', key: 'oil', value: 1 }],
+      choices: [
+        {
+          id: 'climb',
+          text: 'Climb the tower',
+          targetSceneId: 'tower',
+          conditions: [{ type: 'stat', key: 'oil', operator: '>=', value: 1 }],
+          actions: [{ type: 'add_stat', key: 'oil', value: -1 }, { type: 'set_flag', key: 'lamp_lit', value: true }]
+        },
+        {
+          id: 'search',
+          text: 'Search the rocks',
+          targetSceneId: 'shore',
+          conditions: [{ type: 'expression', expression: 'oil < 5 || !flag.lamp_lit' }],
+          actions: [{ type: 'add_inventory', key: 'key', value: 1 }]
+        }
+      ]
+    },
+    {
+      id: 'tower',
+      title: 'Tower',
+      content: 'The sea stretches out below.',
+      choices: [
+        { id: 'down', text: 'Go down', targetSceneId: 'shore', randomBranches: [{ targetSceneId: 'shore', weight: 1 }] }
+      ]
+    }
+  ]
+});
+
+test('Twee import maps passages, links, sets and ifs', () => {
+  const { adventure, warnings } = importAdventureFromTwee(TWEE_SOURCE);
+
+  assert.equal(adventure.title, 'The Cave');
+  assert.equal(adventure.startSceneId, 'cave_mouth');
+  assert.equal(adventure.metadata.twine.ifid, 'D674C58C-DEFA-4F70-B7A2-27742230C0FC');
+  assert.deepEqual(adventure.stats.map(stat => [stat.id, stat.type, stat.defaultValue]), [['gold', 'number', 5], ['name', 'string', 'Ash']]);
+  assert.deepEqual(adventure.flags, [{ id: 'hasTorch', name: 'hasTorch', defaultValue: false }]);
+
+  const [mouth, deep] = adventure.scenes;
+  assert.deepEqual(mouth.tags, ['outside']);
+  assert.deepEqual(mouth.position, { x: 100, y: 200 });
+  assert.deepEqual(mouth.onEnter, [{ type: 'add_stat', key: 'gold', value: 1 }]);
+  assert.ok(mouth.content.startsWith('You stand at the mouth of a cave, ${stat:name}.\n{if flag:hasTorch}Your torch flickers.{else}It is dark.{/if}'));
+
+  assert.deepEqual(mouth.choices.map(choice => [choice.text, choice.targetSceneId]), [
+    ['Take the torch', 'cave_mouth'],
+    ['Pay the guide', 'deep_cave'],
+    ['Go alone', 'deep_cave'],
+    ['Bribe', 'deep_cave']
+  ]);
+  assert.deepEqual(mouth.choices[0].actions, [{ type: 'set_flag', key: 'hasTorch', value: true }]);
+  assert.deepEqual(mouth.choices[1].conditions, [
+    { type: 'stat', key: 'gold', operator: '>=', value: 3 },
+    { type: 'flag', key: 'hasTorch', operator: '==', value: false }
+  ]);
+  assert.equal(mouth.choices[2].conditions[0].type, 'expression');
+  assert.deepEqual(mouth.choices[3].actions, [{ type: 'add_stat', key: 'gold', value: -2 }]);
+
+  assert.deepEqual(deep.onEnter, [{ type: 'multiply_stat', key: 'gold', value: 2 }]);
+  assert.equal(deep.content, 'Treasure! ${stat:gold}');
+  assert.equal(deep.choices[1].targetSceneId, '');
+
+  assert.deepEqual(warnings, [
+    'Passage "Cave Mouth" (line 25): <<audio>> is not supported; left as text.',
+    'Passage "Deep Cave" (line 31): link targets missing passage "Nowhere".'
+  ]);
+});
+
+test('Twee export writes SugarCube markup and warns about what it drops', () => {
+  const { data, warnings } = exportAdventureToTwee(createAdventure(), { ifid: 'TEST-IFID' });
+
+  assert.match(data, /^:: StoryTitle\nLighthouse\n/);
+  assert.match(data, /"ifid": "TEST-IFID"/);
+  assert.match(data, /"start": "Shore"/);
+  assert.match(data, /:: StoryInit\n<<set \$oil to 2>>\n<<set \$lamp_lit to false>>/);
+  assert.match(data, /:: Shore\n<<set \$oil \+= 1>>\nYou have \$oil flasks\. <<if \$lamp_lit>>The lamp burns\.<<else>>All is dark\.<<\/if>>/);
+  assert.match(data, /<<if \$oil gte 1>>\[\[Climb the tower\|Tower\]\[\$oil -= 1; \$lamp_lit to true\]\]<<\/if>>/);
+  assert.match(data, /<<if \(\$oil lt 5\) or not \$lamp_lit>>\[\[Search the rocks\|Shore\]\]<<\/if>>/);
+
+  assert.ok(warnings.includes('Inventory items are not exported; SugarCube has no built-in inventory.'));
+  assert.ok(warnings.some(warning => warning.startsWith('Choice "Search the rocks": add_inventory action "key" is not supported')));
+  assert.ok(warnings.some(warning => warning.startsWith('Choice "Go down" uses random branches')));
+});
+
+test('Twee export round-trips through the importer', () => {
+  const original = createAdventure();
+  const { adventure } = importAdventureFromTwee(exportAdventureToTwee(original).data);
+
+  assert.equal(adventure.title, original.title);
+  assert.equal(adventure.author, original.author);
+  assert.equal(adventure.startSceneId, 'shore');
+  assert.deepEqual(adventure.stats.map(stat => [stat.id, stat.defaultValue]), [['oil', 2]]);
+  assert.deepEqual(adventure.flags.map(flag => flag.id), ['lamp_lit']);
+
+  const [shore, tower] = adventure.scenes;
+  assert.equal(shore.content, original.scenes[0].content);
+  assert.deepEqual(shore.onEnter, original.scenes[0].onEnter);
+  assert.deepEqual(shore.choices[0].conditions, original.scenes[0].choices[0].conditions);
+  assert.deepEqual(shore.choices[0].actions, original.scenes[0].choices[0].actions);
+  assert.equal(shore.choices[1].conditions[0].expression, '(oil < 5) || ! flag.lamp_lit');
+  assert.deepEqual(tower.choices.map(choice => [choice.text, choice.targetSceneId]), [['Go down', 'shore']]);
+});
+
+test('ExportSystem registers the twee format for export and import', async () => {
+  const original = createAdventure();
+  let loaded = null;
+  const editorEngine = {
+    getAdventure: () => original,
+    getNodes: () => new Map(original.scenes.map(scene => [scene.id, scene])),
+    loadAdventure: (adventure) => { loaded = adventure; }
+  };
+  const exportSystem = new ExportSystem(editorEngine);
+
+  assert.ok(exportSystem.getSupportedFormats().some(format => format.key === 'twee'));
+
+  const exported = await exportSystem.exportAdventure('twee', { ignoreErrors: true });
+  assert.equal(exported.mimeType, 'text/plain');
+  assert.match(exported.filename, /^lighthouse_\d{4}-\d{2}-\d{2}\.twee$/);
+  assert.ok(exported.warnings.length > 0);
+
+  const imported = await exportSystem.importAdventure(exported.data, { format: 'twee', ignoreErrors: true });
+  assert.equal(imported.success, true);
+  assert.equal(loaded.title, 'Lighthouse');
+  assert.deepEqual(loaded.scenes.map(scene => scene.id), ['shore', 'tower']);
+  assert.ok(loaded.scenes.every(scene => scene.position));
+});